@@ -0,0 +1,111 @@
+/**
+ * Audit middleware for API routes
+ *
+ * Every mutating request is written to the audit log once its response is sent. Routes name the
+ * action with auditAction() and add the state of the target with setAuditContext(); requests of
+ * routes that do not name their action are still recorded from their method and path.
+ */
+
+// Methods that change something
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Account self-service (login, refresh, own password and two-factor) is not an administrative action
+const IGNORED_PATHS = [/^\/api\/auth(\/|$)/];
+
+/**
+ * Get the audit service
+ * @returns {AuditService|null} Audit service or null if not registered
+ */
+function getAuditService() {
+    const ServiceFactory = require('../../services/ServiceFactory');
+    return ServiceFactory.getInstance().getServices().auditService || null;
+}
+
+/**
+ * Add details to the audit entry of a request
+ * @param {Object} req - Express request object
+ * @param {Object} context - { action, targetType, targetId, targetName, serverId, before, after, details }
+ */
+function setAuditContext(req, context) {
+    req.audit = { ...(req.audit || {}), ...context };
+}
+
+/**
+ * Middleware naming the audited action of a route
+ * @param {string} action - Action name, e.g. 'server.start'
+ * @param {Object} options - Target of the action
+ * @param {string} options.targetType - Target type, e.g. 'server'
+ * @param {string} options.targetParam - Route parameter holding the target ID
+ * @param {string} options.serverParam - Route parameter holding the server ID
+ * @returns {Function} Express middleware
+ */
+function auditAction(action, options = {}) {
+    return (req, res, next) => {
+        const { targetType = null, targetParam = null, serverParam = null } = options;
+
+        setAuditContext(req, {
+            action,
+            targetType,
+            targetId: targetParam ? req.params[targetParam] ?? null : null,
+            serverId: serverParam ? req.params[serverParam] ?? null : null
+        });
+        next();
+    };
+}
+
+/**
+ * Middleware recording the mutating requests in the audit log
+ * @returns {Function} Express middleware
+ */
+function auditRequests() {
+    return (req, res, next) => {
+        if (!MUTATING_METHODS.includes(req.method)) {
+            return next();
+        }
+
+        const path = req.originalUrl.split('?')[0];
+        if (IGNORED_PATHS.some(pattern => pattern.test(path))) {
+            return next();
+        }
+
+        res.on('finish', () => {
+            const auditService = getAuditService();
+            if (!auditService) return;
+
+            // req.user is only known once the route authenticated the request
+            const context = req.audit || {};
+            const segments = path.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+
+            auditService.record({
+                actorType: req.user ? 'user' : 'anonymous',
+                actorId: req.user ? req.user.id : null,
+                actorName: req.user ? req.user.username : null,
+                action: context.action || `${req.method} /${segments.join('/')}`,
+                targetType: context.targetType ?? segments[0] ?? null,
+                targetId: context.action ? context.targetId ?? null : segments[1] ?? null,
+                targetName: context.targetName || null,
+                serverId: context.serverId ?? null,
+                before: context.before,
+                after: context.after,
+                details: {
+                    method: req.method,
+                    path,
+                    status: res.statusCode,
+                    body: req.body && Object.keys(req.body).length > 0 ? req.body : undefined,
+                    ...(context.details || {})
+                },
+                success: res.statusCode < 400,
+                source: 'api',
+                ip: req.ip
+            });
+        });
+
+        next();
+    };
+}
+
+module.exports = {
+    auditRequests,
+    auditAction,
+    setAuditContext
+};
@@ -4,11 +4,21 @@
 const jwt = require('jsonwebtoken');
 const config = require('../../config-loader');
 const logger = require('../../core/Logger');
+const PermissionService = require('../../services/PermissionService');
+
+/**
+ * Get the auth service, it also checks that the session of a token is still active
+ * @returns {AuthService|null} Auth service or null if not registered
+ */
+function getAuthService() {
+    const ServiceFactory = require('../../services/ServiceFactory');
+    return ServiceFactory.getInstance().getServices().authService || null;
+}
 
 /**
  * Middleware to check if user is authenticated
  */
-function isAuthenticated(req, res, next) {
+async function isAuthenticated(req, res, next) {
     try {
         // Extract token from header
         const authHeader = req.headers['authorization'];
@@ -21,24 +31,43 @@ function isAuthenticated(req, res, next) {
             });
         }
         
-        // Verify the token        // Use the API secret for verification to match AuthService
-        const secretToUse = config.api?.secret || config.auth?.jwtSecret || 'change_this_secret_key';
-        logger.debug(`Verifying token with secret: ${secretToUse.substring(0, 5)}...`);
+        let decoded = null;
+        const authService = getAuthService();
         
-        jwt.verify(token, secretToUse, (err, decoded) => {
-            if (err) {
+        if (authService) {
+            // Verifies the signature and that the session was not revoked
+            decoded = await authService.verifyToken(token);
+        } else {
+            // Without a database there are no sessions, only the signature can be checked
+            // Use the API secret for verification to match AuthService
+            const secretToUse = config.api?.secret || config.auth?.jwtSecret || 'change_this_secret_key';
+            try {
+                decoded = jwt.verify(token, secretToUse);
+            } catch (err) {
                 logger.error(`Token verification error: ${err.message}`);
-                return res.status(403).json({ 
-                    success: false,
-                    error: 'Invalid or expired token'
-                });
             }
-            
-            // Set user info on req object for future middleware
-            req.user = decoded;
-            logger.debug(`User authenticated: ${JSON.stringify(decoded)}`);
-            next();
-        });
+        }
+        
+        if (!decoded) {
+            return res.status(401).json({ 
+                success: false,
+                error: 'Invalid or expired token'
+            });
+        }
+        
+        // Only the /api/auth routes stay available until the required two-factor is enabled
+        if (decoded.twoFactorSetupRequired) {
+            return res.status(403).json({
+                success: false,
+                error: 'Two-factor authentication must be enabled for your role',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+        
+        // Set user info on req object for future middleware
+        req.user = decoded;
+        logger.debug(`User authenticated: ${JSON.stringify(decoded)}`);
+        next();
     } catch (error) {
         logger.error(`Auth middleware error: ${error.message}`);
         res.status(500).json({ 
@@ -48,22 +77,67 @@ function isAuthenticated(req, res, next) {
     }
 }
 
+/**
+ * Get the permission service shared with in-game commands
+ * @returns {PermissionService|null} Permission service or null if not registered
+ */
+function getPermissionService() {
+    const ServiceFactory = require('../../services/ServiceFactory');
+    return ServiceFactory.getInstance().getServices().permissionService || null;
+}
+
+/**
+ * Middleware factory to check if user has a permission
+ * @param {string} permission - Required permission
+ * @param {Object} options - { serverParam } route parameter holding a server ID for server-scoped roles
+ */
+function requirePermission(permission, options = {}) {
+    return (req, res, next) => {
+        isAuthenticated(req, res, async () => {
+            try {
+                const permissionService = getPermissionService();
+                let allowed;
+
+                if (permissionService) {
+                    const serverId = options.serverParam ? req.params[options.serverParam] : null;
+                    const { roles, permissions } = await permissionService.resolve({ userId: req.user.id }, serverId);
+
+                    req.user.roles = roles;
+                    req.user.permissions = permissions;
+                    allowed = PermissionService.matches(permissions, permission);
+                } else {
+                    // Without a database only the role stored in the token is known
+                    allowed = req.user.role === 'admin';
+                }
+
+                if (!allowed) {
+                    return res.status(403).json({
+                        success: false,
+                        error: `Permission required: ${permission}`
+                    });
+                }
+
+                next();
+            } catch (error) {
+                logger.error(`Permission middleware error: ${error.message}`);
+                res.status(500).json({
+                    success: false,
+                    error: 'Authorization error'
+                });
+            }
+        });
+    };
+}
+
 /**
  * Middleware to check if user is an admin
  */
 function isAdmin(req, res, next) {
-    isAuthenticated(req, res, () => {
-        if (!req.user || req.user.role !== 'admin') {
-            return res.status(403).json({ 
-                success: false,
-                error: 'Admin privileges required'
-            });
-        }
-        next();
-    });
+    requirePermission('admin')(req, res, next);
 }
 
 module.exports = {
     isAuthenticated,
-    isAdmin
+    isAdmin,
+    requirePermission
 };
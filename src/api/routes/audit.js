@@ -0,0 +1,111 @@
+/**
+ * Audit routes for the API
+ * Search the audit log and export it as CSV
+ */
+
+module.exports = function() {
+    const express = require('express');
+    const router = express.Router();
+    const ServiceFactory = require('../../services/ServiceFactory');
+    const { requirePermission } = require('../middlewares/auth');
+
+    const canViewAudit = requirePermission('audit.view');
+
+    // Service lookup is lazy, the audit service needs the database
+    const getAuditService = (res) => {
+        const auditService = ServiceFactory.getInstance().getServices().auditService;
+        if (!auditService) {
+            res.status(503).json({ success: false, error: 'Audit service not available' });
+            return null;
+        }
+        return auditService;
+    };
+
+    // Filters shared by the search and the export
+    const parseFilters = (query) => {
+        const filters = {};
+
+        for (const name of ['actor', 'actorType', 'action', 'targetType', 'targetId', 'serverId', 'source']) {
+            if (typeof query[name] === 'string' && query[name].trim()) {
+                filters[name] = query[name].trim();
+            }
+        }
+
+        if (query.success === 'true' || query.success === 'false') {
+            filters.success = query.success === 'true';
+        }
+
+        for (const name of ['from', 'to']) {
+            if (query[name]) {
+                const date = new Date(query[name]);
+                if (isNaN(date.getTime())) {
+                    throw new Error(`Invalid date for ${name}: ${query[name]}`);
+                }
+                filters[name] = date;
+            }
+        }
+
+        return filters;
+    };
+
+    // Search the audit log
+    router.get('/', canViewAudit, async (req, res) => {
+        try {
+            const auditService = getAuditService(res);
+            if (!auditService) return;
+
+            let filters;
+            try {
+                filters = parseFilters(req.query);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const offset = parseInt(req.query.offset) || 0;
+            const { entries, total } = await auditService.search(filters, limit, offset);
+
+            res.json({ success: true, total, limit, offset, entries });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Recorded actions, for the filters
+    router.get('/actions', canViewAudit, async (req, res) => {
+        try {
+            const auditService = getAuditService(res);
+            if (!auditService) return;
+
+            res.json({ success: true, actions: await auditService.getActions() });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Export the entries matching the filters as CSV
+    router.get('/export', canViewAudit, async (req, res) => {
+        try {
+            const auditService = getAuditService(res);
+            if (!auditService) return;
+
+            let filters;
+            try {
+                filters = parseFilters(req.query);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+
+            const csv = await auditService.exportCsv(filters);
+            const date = new Date().toISOString().slice(0, 10);
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-${date}.csv"`);
+            res.send(csv);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -40,6 +40,16 @@ module.exports = function(serverManager) {
         }
         
         return { userService, logService, authService };
+    };
+    
+    // Close the sockets opened with revoked sessions
+    const disconnectSessions = (sessionIds, reason) => {
+        const socketSessionService = serviceFactory.getServices().socketSessionService;
+        if (!socketSessionService) return;
+        
+        for (const sessionId of sessionIds) {
+            socketSessionService.disconnectSession(sessionId, reason);
+        }
     };    /**
      * Authentication middleware to verify the JWT token
      */
@@ -69,7 +79,7 @@ module.exports = function(serverManager) {
                 const user = await authService.verifyToken(token);
                 if (!user) {
                     logService.warn(`Invalid token verification result: ${user}`);
-                    return res.status(403).json({ success: false, error: 'Invalid or expired authentication token' });
+                    return res.status(401).json({ success: false, error: 'Invalid or expired authentication token' });
                 }
                 
                 // Store user in req for subsequent middlewares
@@ -108,14 +118,27 @@ module.exports = function(serverManager) {
                 return res.status(400).json({ success: false, error: 'Username and password required' });
             }
             
-            // Authenticate user via AuthService
-            const authResult = await authService.authenticate(username, password);
+            // Authenticate user via AuthService, which opens a session
+            const authResult = await authService.authenticate(username, password, {
+                userAgent: req.headers['user-agent'],
+                ipAddress: req.ip
+            });
             
             if (!authResult.success) {
                 logService.warn(`Authentication failed for user: ${username}`);
                 return res.status(401).json({ success: false, error: authResult.error });
             }
             
+            // The session is opened by /login/2fa once the code is checked
+            if (authResult.twoFactorRequired) {
+                logService.info(`Password accepted for user: ${username}, waiting for the two-factor code`);
+                return res.json({
+                    success: true,
+                    twoFactorRequired: true,
+                    challengeToken: authResult.challengeToken
+                });
+            }
+            
             logService.info(`Authentication successful for user: ${username}`);
             
             // Update last login timestamp
@@ -124,6 +147,7 @@ module.exports = function(serverManager) {
             res.json({
                 success: true,
                 token: authResult.token,
+                refreshToken: authResult.refreshToken,
                 user: authResult.user
             });
         } catch (error) {
@@ -133,6 +157,230 @@ module.exports = function(serverManager) {
         }
     });
 
+    /**
+     * @route POST /api/auth/login/2fa
+     * @desc Second login step, exchange the challenge token and a TOTP or recovery code for a session
+     */
+    router.post('/login/2fa', async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const { userService, logService, authService } = services;
+            
+            const { challengeToken, code } = req.body;
+            if (!challengeToken || !code) {
+                return res.status(400).json({ success: false, error: 'Challenge token and code required' });
+            }
+            
+            const result = await authService.completeTwoFactorLogin(challengeToken, code, {
+                userAgent: req.headers['user-agent'],
+                ipAddress: req.ip
+            });
+            
+            if (!result.success) {
+                return res.status(401).json({
+                    success: false,
+                    error: result.error,
+                    challengeExpired: !!result.challengeExpired
+                });
+            }
+            
+            if (result.usedRecoveryCode) {
+                logService.warn(`User ${result.user.username} logged in with a recovery code`);
+            }
+            logService.info(`Two-factor authentication successful for user: ${result.user.username}`);
+            
+            await userService.updateLastLogin(result.user.id);
+            
+            res.json({
+                success: true,
+                token: result.token,
+                refreshToken: result.refreshToken,
+                user: result.user,
+                usedRecoveryCode: result.usedRecoveryCode
+            });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Two-factor login error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route POST /api/auth/refresh
+     * @desc Exchange a refresh token for new tokens, the refresh token can only be used once
+     */
+    router.post('/refresh', async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const { authService } = services;
+            
+            const { refreshToken } = req.body;
+            if (!refreshToken) {
+                return res.status(400).json({ success: false, error: 'Refresh token required' });
+            }
+            
+            const result = await authService.refreshSession(refreshToken);
+            
+            if (!result.success) {
+                if (result.revokedSessionId) {
+                    disconnectSessions([result.revokedSessionId], 'session revoked');
+                }
+                return res.status(401).json({ success: false, error: result.error });
+            }
+            
+            res.json({
+                success: true,
+                token: result.token,
+                refreshToken: result.refreshToken,
+                user: result.user
+            });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Token refresh error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route POST /api/auth/logout
+     * @desc Revoke the current session
+     */
+    router.post('/logout', authenticateToken, async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const { authService } = services;
+            
+            if (req.user.sid) {
+                await authService.revokeSession(req.user.id, req.user.sid);
+                disconnectSessions([req.user.sid], 'logged out');
+            }
+            
+            res.json({ success: true, message: 'Logged out' });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Logout error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route POST /api/auth/logout-all
+     * @desc Revoke every session of the user, the current one included
+     */
+    router.post('/logout-all', authenticateToken, async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const { authService, logService } = services;
+            
+            const revoked = await authService.revokeAllSessions(req.user.id);
+            disconnectSessions(revoked, 'logged out everywhere');
+            logService.info(`User ${req.user.username} logged out of ${revoked.length} session(s)`);
+            
+            res.json({ success: true, count: revoked.length });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Logout everywhere error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route GET /api/auth/sessions
+     * @desc List the active sessions of the user
+     */
+    router.get('/sessions', authenticateToken, async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const { authService } = services;
+            
+            const sessions = await authService.getSessions(req.user.id);
+            
+            res.json({
+                success: true,
+                sessions: sessions.map(session => ({
+                    ...session.toJSON(),
+                    current: session.id === req.user.sid
+                }))
+            });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Session list error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route DELETE /api/auth/sessions
+     * @desc Revoke every session of the user except the current one
+     */
+    router.delete('/sessions', authenticateToken, async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const { authService } = services;
+            
+            const revoked = await authService.revokeAllSessions(req.user.id, req.user.sid);
+            disconnectSessions(revoked, 'session revoked');
+            
+            res.json({ success: true, count: revoked.length });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Session revocation error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route DELETE /api/auth/sessions/:id
+     * @desc Revoke a session of the user
+     */
+    router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const { authService } = services;
+            
+            const revoked = await authService.revokeSession(req.user.id, req.params.id);
+            if (!revoked) {
+                return res.status(404).json({ success: false, error: 'Session not found' });
+            }
+            
+            disconnectSessions([req.params.id], 'session revoked');
+            
+            res.json({ success: true });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Session revocation error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
     /**
      * @route GET /api/auth/verify
      * @desc Verify token and return user data
@@ -197,14 +445,14 @@ module.exports = function(serverManager) {
             }
             
             // Generate new token with updated information
-            const newToken = await authService.generateToken(user);
+            const newToken = await authService.generateToken(user, req.user.sid);
             
             // Return complete user information
             res.json({ 
                 success: true,
                 token: newToken,
                 user: {
-                    ...userService.sanitizeUser(user),
+                    ...authService.getPublicUser(user),
                     isAdminSetup
                 }
             });
@@ -215,6 +463,209 @@ module.exports = function(serverManager) {
         }
     });
 
+    // Get the two-factor service, it needs the database
+    const getTwoFactorService = (res) => {
+        const twoFactorService = getService('twoFactorService');
+        if (!twoFactorService) {
+            res.status(503).json({ success: false, error: 'Two-factor service not available' });
+            return null;
+        }
+        return twoFactorService;
+    };
+
+    /**
+     * @route GET /api/auth/2fa
+     * @desc Two-factor status of the user
+     */
+    router.get('/2fa', authenticateToken, async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const twoFactorService = getTwoFactorService(res);
+            if (!twoFactorService) return;
+            
+            const user = await services.userService.getUserById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            res.json({ success: true, ...await twoFactorService.getStatus(user) });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Two-factor status error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route POST /api/auth/2fa/setup
+     * @desc Start the two-factor enrollment, returns the secret and its provisioning URI
+     */
+    router.post('/2fa/setup', authenticateToken, async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const twoFactorService = getTwoFactorService(res);
+            if (!twoFactorService) return;
+            
+            const { userService } = services;
+            const { currentPassword } = req.body;
+            
+            if (!currentPassword) {
+                return res.status(400).json({ success: false, error: 'Current password required' });
+            }
+            
+            const user = await userService.getUserById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            if (!await userService.comparePassword(currentPassword, user.password)) {
+                return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+            }
+            
+            const result = await twoFactorService.beginSetup(user);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+            
+            res.json(result);
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Two-factor setup error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route POST /api/auth/2fa/enable
+     * @desc Confirm the enrollment with a code, returns the recovery codes once
+     */
+    router.post('/2fa/enable', authenticateToken, async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const twoFactorService = getTwoFactorService(res);
+            if (!twoFactorService) return;
+            
+            const { userService, logService, authService } = services;
+            
+            const user = await userService.getUserById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            const result = await twoFactorService.enable(user, req.body.code);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+            
+            logService.info(`Two-factor authentication enabled for user ${user.username}`);
+            
+            // Sessions opened with the password alone are closed, the current one proved the second factor
+            const revoked = await authService.revokeAllSessions(user.id, req.user.sid);
+            disconnectSessions(revoked, 'two-factor enabled');
+            
+            const updatedUser = await userService.getUserById(user.id);
+            res.json({
+                success: true,
+                recoveryCodes: result.recoveryCodes,
+                user: authService.getPublicUser(updatedUser)
+            });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Two-factor enable error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route POST /api/auth/2fa/disable
+     * @desc Disable two-factor, requires the password and a code
+     */
+    router.post('/2fa/disable', authenticateToken, async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const twoFactorService = getTwoFactorService(res);
+            if (!twoFactorService) return;
+            
+            const { userService, logService, authService } = services;
+            const { currentPassword, code } = req.body;
+            
+            if (!currentPassword || !code) {
+                return res.status(400).json({ success: false, error: 'Current password and code required' });
+            }
+            
+            const user = await userService.getUserById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            if (!await userService.comparePassword(currentPassword, user.password)) {
+                return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+            }
+            
+            const result = await twoFactorService.disable(user, code);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+            
+            logService.info(`Two-factor authentication disabled for user ${user.username}`);
+            
+            const updatedUser = await userService.getUserById(user.id);
+            res.json({ success: true, user: authService.getPublicUser(updatedUser) });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Two-factor disable error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route POST /api/auth/2fa/recovery-codes
+     * @desc Replace the recovery codes, requires a code
+     */
+    router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            if (services.error) {
+                return res.status(503).json({ success: false, error: services.error });
+            }
+            
+            const twoFactorService = getTwoFactorService(res);
+            if (!twoFactorService) return;
+            
+            const user = await services.userService.getUserById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            const result = await twoFactorService.regenerateRecoveryCodes(user, req.body.code);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+            
+            res.json(result);
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Recovery codes error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
     /**
      * @route POST /api/auth/change-password
      * @desc Change user password
@@ -226,7 +677,7 @@ module.exports = function(serverManager) {
                 return res.status(503).json({ success: false, error: services.error });
             }
             
-            const { userService, logService } = services;
+            const { userService, logService, authService } = services;
             
             const { currentPassword, newPassword } = req.body;
             
@@ -240,6 +691,10 @@ module.exports = function(serverManager) {
                 return res.status(401).json({ success: false, error: result.error });
             }
             
+            // The other sessions were opened with the old password
+            const revoked = await authService.revokeAllSessions(req.user.id, req.user.sid);
+            disconnectSessions(revoked, 'password changed');
+            
             res.json({ success: true, message: 'Password changed successfully' });
         } catch (error) {
             const logService = getService('logService') || console;
@@ -282,7 +737,7 @@ module.exports = function(serverManager) {
             }
             
             // Generate new token with updated information
-            const newToken = await authService.generateToken(updateResult.user);
+            const newToken = await authService.generateToken(updateResult.user, req.user.sid);
             
             res.json({
                 success: true,
@@ -330,7 +785,7 @@ module.exports = function(serverManager) {
             }
             
             // Generate new token with updated information
-            const newToken = await authService.generateToken(result.user);
+            const newToken = await authService.generateToken(result.user, req.user.sid);
             
             res.json({
                 success: true,
@@ -407,7 +862,7 @@ module.exports = function(serverManager) {
             }
             
             // Generate new token with updated information
-            const newToken = await authService.generateToken(result.user);
+            const newToken = await authService.generateToken(result.user, req.user.sid);
             
             res.json({
                 success: true,
@@ -460,6 +915,82 @@ module.exports = function(serverManager) {
         }
     });
 
+    /**
+     * @route GET /api/auth/invites/:token
+     * @desc Check an invite before registering, returns the role it grants
+     */
+    router.get('/invites/:token', async (req, res) => {
+        try {
+            const inviteService = getService('inviteService');
+            if (!inviteService) {
+                return res.status(503).json({ success: false, error: 'Invite service not available' });
+            }
+            
+            const invite = await inviteService.getValidInvite(req.params.token);
+            if (!invite) {
+                return res.status(404).json({ success: false, error: 'Invalid or expired invite' });
+            }
+            
+            res.json({
+                success: true,
+                invite: {
+                    role: invite.role,
+                    email: invite.email,
+                    expiresAt: invite.expiresAt
+                }
+            });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Invite check error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * @route POST /api/auth/register
+     * @desc Create an account with an invite and open a session
+     */
+    router.post('/register', async (req, res) => {
+        try {
+            const services = getRequiredServices();
+            const inviteService = getService('inviteService');
+            if (services.error || !inviteService) {
+                return res.status(503).json({ success: false, error: services.error || 'Invite service not available' });
+            }
+            
+            const { userService, logService, authService } = services;
+            
+            const { inviteToken, username, password, email } = req.body;
+            if (!inviteToken || !username || !password) {
+                return res.status(400).json({ success: false, error: 'Invite, username and password required' });
+            }
+            
+            const result = await inviteService.acceptInvite(inviteToken, { username, password, email });
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+            
+            logService.info(`User ${username} registered with an invite (role: ${result.user.role})`);
+            
+            const { token, refreshToken } = await authService.createSession(result.user, {
+                userAgent: req.headers['user-agent'],
+                ipAddress: req.ip
+            });
+            await userService.updateLastLogin(result.user.id);
+            
+            res.status(201).json({
+                success: true,
+                token,
+                refreshToken,
+                user: authService.getPublicUser(await userService.getUserById(result.user.id))
+            });
+        } catch (error) {
+            const logService = getService('logService') || console;
+            logService.error(`Registration error: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
     // Export authentication middleware
     router.authenticateToken = authenticateToken;
 
@@ -4,6 +4,7 @@
 module.exports = function(serverManager) {
     const express = require('express');
     const router = express.Router();
+    const { auditAction } = require('../middlewares/audit');
     
     // Import middleware directly rather than from a module that might not exist
     const isAuthenticated = (req, res, next) => {
@@ -58,7 +59,7 @@ module.exports = function(serverManager) {
     
     // Admin-only routes
     // Create a new event
-    router.post('/', isAdmin, eventController.createEvent);
+    router.post('/', isAdmin, auditAction('event.create', { targetType: 'event' }), eventController.createEvent);
     
     // Register additional routes for player and server events
     router.get('/players/:id/events', isAuthenticated, (req, res, next) => {
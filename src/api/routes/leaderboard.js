@@ -0,0 +1,52 @@
+/**
+ * Leaderboard routes for the API
+ * Players ranked by skill rating in each game mode, mounted under /stats/leaderboard
+ */
+
+module.exports = function() {
+    const express = require('express');
+    const router = express.Router();
+    const ServiceFactory = require('../../services/ServiceFactory');
+
+    // Ranking of a game mode, players with too few rated matches are left out
+    router.get('/', async (req, res) => {
+        try {
+            const ratingService = ServiceFactory.getInstance().getServices().ratingService;
+            if (!ratingService) {
+                return res.status(503).json({ success: false, error: 'Ratings not available', players: [] });
+            }
+
+            const filters = {};
+            for (const name of ['game', 'mode', 'search']) {
+                if (typeof req.query[name] === 'string' && req.query[name].trim()) {
+                    filters[name] = req.query[name].trim();
+                }
+            }
+
+            const minMatches = parseInt(req.query.minMatches);
+            if (minMatches >= 0) {
+                filters.minMatches = minMatches;
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+            const offset = parseInt(req.query.offset) || 0;
+            const [result, modes] = await Promise.all([
+                ratingService.getLeaderboard(filters, limit, offset),
+                ratingService.getModes()
+            ]);
+
+            res.json({
+                success: true,
+                total: result.total,
+                limit,
+                offset,
+                modes,
+                players: result.ratings.map((rating, index) => ({ rank: offset + index + 1, ...rating.toJSON() }))
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,77 @@
+/**
+ * Stats period routes for the API
+ * Zombies standings per day, ISO week, month, season and year, mounted under /stats/periods
+ */
+
+module.exports = function() {
+    const express = require('express');
+    const router = express.Router();
+    const ServiceFactory = require('../../services/ServiceFactory');
+    const StatsPeriod = require('../../core/StatsPeriod');
+    const StatsPeriodRepository = require('../../repositories/StatsPeriodRepository');
+
+    const getStatsPeriodService = () => ServiceFactory.getInstance().getServices().statsPeriodService;
+
+    // Periods of a type, most recent first
+    router.get('/', async (req, res) => {
+        try {
+            const statsPeriodService = getStatsPeriodService();
+            if (!statsPeriodService) {
+                return res.status(503).json({ success: false, error: 'Stats periods not available', periods: [] });
+            }
+
+            const type = req.query.type || 'weekly';
+            if (!StatsPeriod.TYPES.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid period type. Must be one of: ${StatsPeriod.TYPES.join(', ')}`
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+            const periods = await statsPeriodService.getPeriods(type, limit);
+
+            res.json({ success: true, type, periods });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Standings of a period, the key can be current for the period being played
+    router.get('/:type/:key', async (req, res) => {
+        try {
+            const statsPeriodService = getStatsPeriodService();
+            if (!statsPeriodService) {
+                return res.status(503).json({ success: false, error: 'Stats periods not available', standings: [] });
+            }
+
+            const { type, key } = req.params;
+            if (!StatsPeriod.TYPES.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid period type. Must be one of: ${StatsPeriod.TYPES.join(', ')}`
+                });
+            }
+
+            const metric = req.query.metric || 'kills';
+            if (!StatsPeriodRepository.METRICS.includes(metric)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid metric. Must be one of: ${StatsPeriodRepository.METRICS.join(', ')}`
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+            const result = await statsPeriodService.getPeriodStandings(type, key, metric, limit);
+            if (!result) {
+                return res.status(400).json({ success: false, error: `Invalid ${type} period key: ${key}` });
+            }
+
+            res.json({ success: true, metric, period: result.period, standings: result.standings });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,151 @@
+/**
+ * Permission routes for the API
+ * Manages the roles shared by in-game commands and the web interface
+ */
+
+module.exports = function() {
+    const express = require('express');
+    const router = express.Router();
+    const ServiceFactory = require('../../services/ServiceFactory');
+    const { isAuthenticated, isAdmin } = require('../middlewares/auth');
+    const { auditAction, setAuditContext } = require('../middlewares/audit');
+
+    // Service lookup is lazy, the permission service needs the database
+    const getPermissionService = (res) => {
+        const permissionService = ServiceFactory.getInstance().getServices().permissionService;
+        if (!permissionService) {
+            res.status(503).json({ success: false, error: 'Permission service not available' });
+            return null;
+        }
+        return permissionService;
+    };
+
+    // Roles and permissions of the current user, optionally for a server
+    router.get('/me', isAuthenticated, async (req, res) => {
+        try {
+            const permissionService = getPermissionService(res);
+            if (!permissionService) return;
+
+            const result = await permissionService.resolve({ userId: req.user.id }, req.query.serverId || null);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // List roles
+    router.get('/roles', isAdmin, async (req, res) => {
+        try {
+            const permissionService = getPermissionService(res);
+            if (!permissionService) return;
+
+            res.json({ success: true, roles: await permissionService.getRoles() });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Create a role
+    router.post('/roles', isAdmin, auditAction('role.create', { targetType: 'role' }), async (req, res) => {
+        try {
+            const permissionService = getPermissionService(res);
+            if (!permissionService) return;
+
+            const role = await permissionService.createRole(req.body || {});
+            setAuditContext(req, { targetId: role.id, targetName: role.name, after: role });
+            res.status(201).json({ success: true, role });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Update a role
+    router.put('/roles/:roleId', isAdmin, auditAction('role.update', { targetType: 'role', targetParam: 'roleId' }), async (req, res) => {
+        try {
+            const permissionService = getPermissionService(res);
+            if (!permissionService) return;
+
+            const before = await permissionService.getRole(req.params.roleId);
+            const role = await permissionService.updateRole(req.params.roleId, req.body || {});
+            if (!role) {
+                return res.status(404).json({ success: false, error: 'Role not found' });
+            }
+
+            setAuditContext(req, { targetName: role.name, before, after: role });
+
+            res.json({ success: true, role });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Delete a role
+    router.delete('/roles/:roleId', isAdmin, auditAction('role.delete', { targetType: 'role', targetParam: 'roleId' }), async (req, res) => {
+        try {
+            const permissionService = getPermissionService(res);
+            if (!permissionService) return;
+
+            const before = await permissionService.getRole(req.params.roleId);
+            const result = await permissionService.deleteRole(req.params.roleId);
+            setAuditContext(req, { targetName: before && before.name, before });
+            res.status(result.success ? 200 : 400).json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // List the role assignments of a player GUID or a web user
+    router.get('/assignments/:subjectType/:subjectId', isAdmin, async (req, res) => {
+        try {
+            const permissionService = getPermissionService(res);
+            if (!permissionService) return;
+
+            const { subjectType, subjectId } = req.params;
+            const assignments = await permissionService.getAssignments(subjectType, subjectId);
+            res.json({ success: true, assignments });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Assign a role, globally or for one server
+    router.post('/assignments', isAdmin, auditAction('role.assign', { targetType: 'role_assignment' }), async (req, res) => {
+        try {
+            const permissionService = getPermissionService(res);
+            if (!permissionService) return;
+
+            const { subjectType, subjectId, roleId, serverId } = req.body || {};
+            const assignment = await permissionService.assignRole({
+                subjectType,
+                subjectId,
+                roleId,
+                serverId: serverId || null,
+                grantedBy: req.user.id
+            });
+
+            setAuditContext(req, { targetId: assignment.id, after: assignment });
+            res.status(201).json({ success: true, assignment });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Remove a role assignment
+    router.delete('/assignments/:assignmentId', isAdmin, auditAction('role.unassign', { targetType: 'role_assignment', targetParam: 'assignmentId' }), async (req, res) => {
+        try {
+            const permissionService = getPermissionService(res);
+            if (!permissionService) return;
+
+            const removed = await permissionService.revokeAssignment(req.params.assignmentId);
+            if (!removed) {
+                return res.status(404).json({ success: false, error: 'Assignment not found' });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
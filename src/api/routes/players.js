@@ -6,6 +6,10 @@
 module.exports = function(app) {
     const express = require('express');
     const router = express.Router();
+    const { auditAction, setAuditContext } = require('../middlewares/audit');
+    const { requirePermission } = require('../middlewares/auth');
+    const ServiceFactory = require('../../services/ServiceFactory');
+    const ChatService = require('../../services/ChatService');
 
     // Simple mock middleware if needed
     const authenticateToken = (req, res, next) => {
@@ -63,17 +67,135 @@ module.exports = function(app) {
         
         // Get player events
         router.get('/:id/events', (req, res) => eventController.getPlayerEvents(req, res));
+
+        // Skill ratings of the player in each game mode and their history
+        router.get('/:id/ratings', async (req, res) => {
+            try {
+                const ratingService = ServiceFactory.getInstance().getServices().ratingService;
+                if (!ratingService) {
+                    return res.status(503).json({ success: false, error: 'Ratings not available' });
+                }
+
+                const filters = {};
+                for (const name of ['game', 'mode']) {
+                    if (typeof req.query[name] === 'string' && req.query[name].trim()) {
+                        filters[name] = req.query[name].trim();
+                    }
+                }
+
+                const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+                const result = await ratingService.getPlayerRatings(req.params.id, filters, limit);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Player not found' });
+                }
+
+                res.json({ success: true, ratings: result.ratings, history: result.history });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Every achievement with the progress of the player and the ones unlocked
+        router.get('/:id/achievements', async (req, res) => {
+            try {
+                const achievementService = ServiceFactory.getInstance().getServices().achievementService;
+                if (!achievementService) {
+                    return res.status(503).json({ success: false, error: 'Achievements not available' });
+                }
+
+                const result = await achievementService.getPlayerAchievements(req.params.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Player not found' });
+                }
+
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Chat history of the player on every server
+        router.get('/:id/chat', requirePermission('chat.view'), async (req, res) => {
+            try {
+                const chatService = ServiceFactory.getInstance().getServices().chatService;
+                if (!chatService) {
+                    return res.status(503).json({ success: false, error: 'Chat history not available' });
+                }
+                
+                let filters;
+                try {
+                    filters = ChatService.parseQuery(req.query);
+                } catch (error) {
+                    return res.status(400).json({ success: false, error: error.message });
+                }
+                
+                const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+                const offset = parseInt(req.query.offset) || 0;
+                const result = await chatService.searchPlayer(req.params.id, filters, limit, offset);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Player not found' });
+                }
+                
+                res.json({ success: true, total: result.total, limit, offset, messages: result.messages });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
         
         // Authenticated routes
         
+        // Audited actions on the player of the route
+        const auditPlayer = (action) => auditAction(action, { targetType: 'player', targetParam: 'id' });
+        
+        // Warning history of the player, expired and cleared warnings included
+        router.get('/:id/warnings', requirePermission('warnings.view'), async (req, res) => {
+            try {
+                const warningService = ServiceFactory.getInstance().getServices().warningService;
+                if (!warningService) {
+                    return res.status(503).json({ success: false, error: 'Warnings not available' });
+                }
+                
+                const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+                const offset = parseInt(req.query.offset) || 0;
+                const result = await warningService.getPlayerWarnings(req.params.id, limit, offset);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Player not found' });
+                }
+                
+                res.json({ success: true, total: result.total, active: result.active, limit, offset, warnings: result.warnings });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+        
+        // Clear the active warnings of the player
+        router.delete('/:id/warnings', requirePermission('warnings.clear'), auditPlayer('player.warnings.clear'), async (req, res) => {
+            try {
+                const warningService = ServiceFactory.getInstance().getServices().warningService;
+                if (!warningService) {
+                    return res.status(503).json({ success: false, error: 'Warnings not available' });
+                }
+                
+                const result = await warningService.clearPlayerWarnings(req.params.id, req.user.username);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Player not found' });
+                }
+                
+                setAuditContext(req, { targetName: result.player.name, after: { cleared: result.cleared } });
+                res.json({ success: true, cleared: result.cleared });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+        
         // Update player info - requires authentication
-        router.post('/:id', authenticateToken, (req, res) => playerController.updatePlayer(req, res));
+        router.post('/:id', authenticateToken, auditPlayer('player.update'), (req, res) => playerController.updatePlayer(req, res));
 
         // Add note to player - requires authentication
-        router.post('/:id/notes', authenticateToken, (req, res) => playerController.addPlayerNote(req, res));
+        router.post('/:id/notes', authenticateToken, auditPlayer('player.note.add'), (req, res) => playerController.addPlayerNote(req, res));
         
         // Delete note - requires authentication
-        router.delete('/:id/notes/:noteId', authenticateToken, (req, res) => playerController.deletePlayerNote(req, res));
+        router.delete('/:id/notes/:noteId', authenticateToken, auditPlayer('player.note.delete'), (req, res) => playerController.deletePlayerNote(req, res));
         
         // Get player detailed admin info - requires authentication
         router.get('/:id/admin', authenticateToken, (req, res) => playerController.getPlayerAdminInfo(req, res));
@@ -82,10 +204,10 @@ module.exports = function(app) {
         router.get('/:id/matches/detailed', authenticateToken, (req, res) => matchController.getDetailedPlayerMatches(req, res));
         
         // Ban player - requires authentication
-        router.post('/:id/ban', authenticateToken, (req, res) => playerController.banPlayer(req, res));
+        router.post('/:id/ban', authenticateToken, auditPlayer('player.ban'), (req, res) => playerController.banPlayer(req, res));
         
         // Unban player - requires authentication
-        router.post('/:id/unban', authenticateToken, (req, res) => playerController.unbanPlayer(req, res));
+        router.post('/:id/unban', authenticateToken, auditPlayer('player.unban'), (req, res) => playerController.unbanPlayer(req, res));
         
         console.log('Player routes initialized');
         return router;
@@ -0,0 +1,146 @@
+/**
+ * Rank routes for the API
+ * Rank ladders: list them, create, change or delete them and preview how players would be ranked
+ */
+
+module.exports = function() {
+    const express = require('express');
+    const router = express.Router();
+    const ServiceFactory = require('../../services/ServiceFactory');
+    const RankLadder = require('../../core/RankLadder');
+    const { requirePermission } = require('../middlewares/auth');
+    const { auditAction, setAuditContext } = require('../middlewares/audit');
+
+    const canManageRanks = requirePermission('ranks.manage');
+
+    // Service lookup is lazy, the rank service needs the server manager
+    const getRankService = (res) => {
+        const rankService = ServiceFactory.getInstance().getServices().rankService;
+        if (!rankService) {
+            res.status(503).json({ success: false, error: 'Rank service not available' });
+            return null;
+        }
+        return rankService;
+    };
+
+    const auditLadder = (action) => auditAction(action, { targetType: 'rank_ladder', targetParam: 'id' });
+
+    // List the ladders and the metrics their requirements can use
+    router.get('/ladders', async (req, res) => {
+        try {
+            const rankService = getRankService(res);
+            if (!rankService) return;
+
+            res.json({ success: true, metrics: RankLadder.METRICS, ladders: await rankService.getLadders() });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Preview a ladder that is not stored yet
+    router.post('/ladders/preview', canManageRanks, auditAction('rank.ladder.preview', { targetType: 'rank_ladder' }), async (req, res) => {
+        try {
+            const rankService = getRankService(res);
+            if (!rankService) return;
+
+            const result = await rankService.previewLadder(req.body || {});
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Get a ladder with the number of players holding each rank
+    router.get('/ladders/:id', async (req, res) => {
+        try {
+            const rankService = getRankService(res);
+            if (!rankService) return;
+
+            const result = await rankService.getLadder(parseInt(req.params.id));
+            if (!result) {
+                return res.status(404).json({ success: false, error: 'Ladder not found' });
+            }
+
+            res.json({ success: true, ladder: result.ladder, distribution: result.distribution });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Preview changes to a stored ladder, with the players it would promote or demote
+    router.post('/ladders/:id/preview', canManageRanks, auditLadder('rank.ladder.preview'), async (req, res) => {
+        try {
+            const rankService = getRankService(res);
+            if (!rankService) return;
+
+            const result = await rankService.previewLadder(req.body || {}, parseInt(req.params.id));
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Create a ladder, every player is ranked in it
+    router.post('/ladders', canManageRanks, auditAction('rank.ladder.create', { targetType: 'rank_ladder' }), async (req, res) => {
+        try {
+            const rankService = getRankService(res);
+            if (!rankService) return;
+
+            const result = await rankService.createLadder(req.body || {}, req.user.username);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetId: result.ladder.id, targetName: result.ladder.name, after: result.ladder });
+            res.status(201).json({ success: true, ladder: result.ladder });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Change a ladder, every player is ranked again
+    router.put('/ladders/:id', canManageRanks, auditLadder('rank.ladder.update'), async (req, res) => {
+        try {
+            const rankService = getRankService(res);
+            if (!rankService) return;
+
+            const result = await rankService.updateLadder(parseInt(req.params.id), req.body || {});
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetName: result.ladder.name, before: result.before, after: result.ladder });
+            res.json({ success: true, ladder: result.ladder });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Delete a ladder and the ranks of its players
+    router.delete('/ladders/:id', canManageRanks, auditLadder('rank.ladder.delete'), async (req, res) => {
+        try {
+            const rankService = getRankService(res);
+            if (!rankService) return;
+
+            const ladder = await rankService.deleteLadder(parseInt(req.params.id));
+            if (!ladder) {
+                return res.status(404).json({ success: false, error: 'Ladder not found' });
+            }
+
+            setAuditContext(req, { targetName: ladder.name, before: ladder });
+            res.json({ success: true });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,168 @@
+/**
+ * Report routes for the API
+ * Moderation queue: search the player reports, claim, resolve or reject them and attach evidence
+ */
+
+module.exports = function() {
+    const express = require('express');
+    const router = express.Router();
+    const ServiceFactory = require('../../services/ServiceFactory');
+    const Report = require('../../models/Report');
+    const { requirePermission } = require('../middlewares/auth');
+    const { auditAction, setAuditContext } = require('../middlewares/audit');
+
+    const canViewReports = requirePermission('reports.view');
+    const canManageReports = requirePermission('reports.manage');
+
+    // Service lookup is lazy, the report service needs the server manager
+    const getReportService = (res) => {
+        const reportService = ServiceFactory.getInstance().getServices().reportService;
+        if (!reportService) {
+            res.status(503).json({ success: false, error: 'Report service not available' });
+            return null;
+        }
+        return reportService;
+    };
+
+    // Fields of a report kept in the audit log
+    const auditState = (report) => report ? {
+        status: report.status,
+        claimedBy: report.claimedByName,
+        resolution: report.resolution
+    } : null;
+
+    const auditReport = (action) => auditAction(action, { targetType: 'report', targetParam: 'id' });
+
+    // Search the reports, the open ones by default
+    router.get('/', canViewReports, async (req, res) => {
+        try {
+            const reportService = getReportService(res);
+            if (!reportService) return;
+
+            const filters = {};
+            const statuses = String(req.query.status || `${Report.Status.OPEN},${Report.Status.CLAIMED}`)
+                .split(',')
+                .map(status => status.trim())
+                .filter(status => status && status !== 'all');
+
+            const invalid = statuses.find(status => !Object.values(Report.Status).includes(status));
+            if (invalid) {
+                return res.status(400).json({ success: false, error: `Invalid status: ${invalid}` });
+            }
+            filters.status = statuses;
+
+            for (const name of ['serverId', 'player']) {
+                if (typeof req.query[name] === 'string' && req.query[name].trim()) {
+                    filters[name] = req.query[name].trim();
+                }
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const offset = parseInt(req.query.offset) || 0;
+            const { reports, total, counts } = await reportService.search(filters, limit, offset);
+
+            res.json({ success: true, total, limit, offset, counts, reports });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Get a report with its evidence
+    router.get('/:id', canViewReports, async (req, res) => {
+        try {
+            const reportService = getReportService(res);
+            if (!reportService) return;
+
+            const report = await reportService.getReport(parseInt(req.params.id));
+            if (!report) {
+                return res.status(404).json({ success: false, error: 'Report not found' });
+            }
+
+            res.json({ success: true, report });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Claim a report
+    router.post('/:id/claim', canManageReports, auditReport('report.claim'), async (req, res) => {
+        try {
+            const reportService = getReportService(res);
+            if (!reportService) return;
+
+            const before = await reportService.getReport(parseInt(req.params.id));
+            const result = await reportService.claim(parseInt(req.params.id), req.user);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetName: result.report.targetName, before: auditState(before), after: auditState(result.report) });
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Resolve or reject a report
+    router.post('/:id/resolve', canManageReports, auditReport('report.resolve'), async (req, res) => {
+        try {
+            const reportService = getReportService(res);
+            if (!reportService) return;
+
+            const { status = Report.Status.RESOLVED, resolution } = req.body || {};
+
+            const before = await reportService.getReport(parseInt(req.params.id));
+            const result = await reportService.resolve(parseInt(req.params.id), req.user, status, resolution);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetName: result.report.targetName, before: auditState(before), after: auditState(result.report) });
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Attach a chat line or an event to a report
+    router.post('/:id/evidence', canManageReports, auditReport('report.evidence.add'), async (req, res) => {
+        try {
+            const reportService = getReportService(res);
+            if (!reportService) return;
+
+            const { type, refId, note } = req.body || {};
+            if (!type || refId === undefined || refId === null || refId === '') {
+                return res.status(400).json({ success: false, error: 'type and refId are required' });
+            }
+
+            const result = await reportService.addEvidence(parseInt(req.params.id), { type, refId, note }, req.user);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetName: result.report.targetName });
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Detach evidence from a report
+    router.delete('/:id/evidence/:evidenceId', canManageReports, auditReport('report.evidence.delete'), async (req, res) => {
+        try {
+            const reportService = getReportService(res);
+            if (!reportService) return;
+
+            const result = await reportService.removeEvidence(parseInt(req.params.id), parseInt(req.params.evidenceId));
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,121 @@
+/**
+ * Season routes for the API
+ * Seasons with custom dates: list them, read their leaderboards and rewards, create, change or delete them
+ */
+
+module.exports = function() {
+    const express = require('express');
+    const router = express.Router();
+    const ServiceFactory = require('../../services/ServiceFactory');
+    const StatsPeriodRepository = require('../../repositories/StatsPeriodRepository');
+    const { requirePermission } = require('../middlewares/auth');
+    const { auditAction, setAuditContext } = require('../middlewares/audit');
+
+    const canManageSeasons = requirePermission('seasons.manage');
+
+    // Service lookup is lazy, the season service needs the server manager
+    const getSeasonService = (res) => {
+        const seasonService = ServiceFactory.getInstance().getServices().seasonService;
+        if (!seasonService) {
+            res.status(503).json({ success: false, error: 'Season service not available' });
+            return null;
+        }
+        return seasonService;
+    };
+
+    const auditSeason = (action) => auditAction(action, { targetType: 'season', targetParam: 'id' });
+
+    // List the seasons and the metrics their leaderboards and rewards can use
+    router.get('/', async (req, res) => {
+        try {
+            const seasonService = getSeasonService(res);
+            if (!seasonService) return;
+
+            res.json({ success: true, metrics: StatsPeriodRepository.METRICS, seasons: await seasonService.getSeasons() });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Get a season with a leaderboard, frozen once it ended, its summary and its rewards
+    router.get('/:id', async (req, res) => {
+        try {
+            const seasonService = getSeasonService(res);
+            if (!seasonService) return;
+
+            const metric = req.query.metric || 'kills';
+            if (!StatsPeriodRepository.METRICS.includes(metric)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid metric. Must be one of: ${StatsPeriodRepository.METRICS.join(', ')}`
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+            const result = await seasonService.getSeason(parseInt(req.params.id), metric, limit);
+            if (!result) {
+                return res.status(404).json({ success: false, error: 'Season not found' });
+            }
+
+            res.json({ success: true, metric, ...result });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Create a season, the matches it already contains are counted
+    router.post('/', canManageSeasons, auditAction('season.create', { targetType: 'season' }), async (req, res) => {
+        try {
+            const seasonService = getSeasonService(res);
+            if (!seasonService) return;
+
+            const result = await seasonService.createSeason(req.body || {}, req.user.username);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetId: result.season.id, targetName: result.season.name, after: result.season });
+            res.status(201).json({ success: true, season: result.season });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Change a season that has not ended
+    router.put('/:id', canManageSeasons, auditSeason('season.update'), async (req, res) => {
+        try {
+            const seasonService = getSeasonService(res);
+            if (!seasonService) return;
+
+            const result = await seasonService.updateSeason(parseInt(req.params.id), req.body || {});
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetName: result.season.name, before: result.before, after: result.season });
+            res.json({ success: true, season: result.season });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Delete a season with its leaderboards and its rewards
+    router.delete('/:id', canManageSeasons, auditSeason('season.delete'), async (req, res) => {
+        try {
+            const seasonService = getSeasonService(res);
+            if (!seasonService) return;
+
+            const season = await seasonService.deleteSeason(parseInt(req.params.id));
+            if (!season) {
+                return res.status(404).json({ success: false, error: 'Season not found' });
+            }
+
+            setAuditContext(req, { targetName: season.name, before: season });
+            res.json({ success: true });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
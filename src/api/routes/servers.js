@@ -4,6 +4,10 @@
 module.exports = function(serverManager) {
     const express = require('express');
     const router = express.Router();
+    const ServiceFactory = require('../../services/ServiceFactory');
+    const ChatService = require('../../services/ChatService');
+    const { requirePermission } = require('../middlewares/auth');
+    const { auditAction, setAuditContext } = require('../middlewares/audit');
     
     // Create a simple mock controller if real one is not available
     // This helps avoid errors during initialization
@@ -20,6 +24,12 @@ module.exports = function(serverManager) {
         restartServer: (req, res) => res.json({ success: false, message: 'Server controller not initialized' })
     };
     
+    // Audited actions whose target is the server itself
+    const auditServer = (action) => auditAction(action, { targetType: 'server', targetParam: 'id', serverParam: 'id' });
+    
+    // Audited actions on an object of a server
+    const auditServerObject = (action, targetType, targetParam) => auditAction(action, { targetType, targetParam, serverParam: 'id' });
+    
     // Get all servers
     router.get('/', serverController.getAllServers);
     
@@ -39,13 +49,402 @@ module.exports = function(serverManager) {
     router.get('/:id/logs', serverController.getServerLogs);
     
     // Start a server
-    router.post('/:id/start', serverController.startServer);
+    router.post('/:id/start', auditServer('server.start'), serverController.startServer);
     
     // Stop a server
-    router.post('/:id/stop', serverController.stopServer);
+    router.post('/:id/stop', auditServer('server.stop'), serverController.stopServer);
     
     // Restart a server
-    router.post('/:id/restart', serverController.restartServer);
+    router.post('/:id/restart', auditServer('server.restart'), serverController.restartServer);
+    
+    // RCON console
+    const rconPermission = requirePermission('servers.rcon', { serverParam: 'id' });
+    
+    const getRconConsole = (req, res) => {
+        const rconConsoleService = ServiceFactory.getInstance().getServices().rconConsoleService;
+        if (!rconConsoleService) {
+            res.status(503).json({ success: false, error: 'RCON console not available' });
+            return null;
+        }
+        if (!serverManager || !serverManager.getServerById(req.params.id)) {
+            res.status(404).json({ success: false, error: 'Server not found' });
+            return null;
+        }
+        return rconConsoleService;
+    };
+    
+    // Run an RCON command
+    router.post('/:id/rcon', rconPermission, auditServer('server.rcon'), async (req, res) => {
+        try {
+            const rconConsoleService = getRconConsole(req, res);
+            if (!rconConsoleService) return;
+            
+            const entry = await rconConsoleService.execute(req.params.id, req.body?.command, req.user, 'api');
+            res.json({ success: entry.success, ...entry });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Commands previously sent by the current user
+    router.get('/:id/rcon/history', rconPermission, async (req, res) => {
+        try {
+            const rconConsoleService = getRconConsole(req, res);
+            if (!rconConsoleService) return;
+            
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            res.json({ success: true, history: await rconConsoleService.getHistory(req.user.id, req.params.id, limit) });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Commands and dvars for the console autocomplete
+    router.get('/:id/rcon/suggestions', rconPermission, (req, res) => {
+        const rconConsoleService = getRconConsole(req, res);
+        if (!rconConsoleService) return;
+        
+        res.json({ success: true, suggestions: rconConsoleService.getSuggestions(req.params.id) });
+    });
+    
+    // Chat history read from the server log
+    const chatPermission = requirePermission('chat.view', { serverParam: 'id' });
+    
+    const getChat = (req, res) => {
+        const chatService = ServiceFactory.getInstance().getServices().chatService;
+        if (!chatService) {
+            res.status(503).json({ success: false, error: 'Chat history not available' });
+            return null;
+        }
+        return chatService;
+    };
+    
+    // Search the chat of a server
+    router.get('/:id/chat', chatPermission, async (req, res) => {
+        try {
+            const chatService = getChat(req, res);
+            if (!chatService) return;
+            
+            let filters;
+            try {
+                filters = ChatService.parseQuery(req.query);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+            
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const offset = parseInt(req.query.offset) || 0;
+            const { messages, total } = await chatService.search({ ...filters, serverId: req.params.id }, limit, offset);
+            
+            res.json({ success: true, total, limit, offset, messages });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Messages said around a message, to review a report
+    router.get('/:id/chat/:messageId/context', chatPermission, async (req, res) => {
+        try {
+            const chatService = getChat(req, res);
+            if (!chatService) return;
+            
+            const messages = await chatService.getContext(req.params.id, parseInt(req.params.messageId), req.query.size);
+            if (!messages) {
+                return res.status(404).json({ success: false, error: 'Message not found' });
+            }
+            
+            res.json({ success: true, messageId: parseInt(req.params.messageId), messages });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Scheduled tasks (broadcasts, RCON commands, restarts)
+    const schedulePermission = requirePermission('servers.schedules', { serverParam: 'id' });
+    
+    const getScheduler = (req, res) => {
+        const schedulerService = ServiceFactory.getInstance().getServices().schedulerService;
+        if (!schedulerService) {
+            res.status(503).json({ success: false, error: 'Scheduler not available' });
+            return null;
+        }
+        if (!serverManager || !serverManager.getServerById(req.params.id)) {
+            res.status(404).json({ success: false, error: 'Server not found' });
+            return null;
+        }
+        return schedulerService;
+    };
+    
+    // List the scheduled tasks of a server
+    router.get('/:id/schedules', schedulePermission, async (req, res) => {
+        try {
+            const schedulerService = getScheduler(req, res);
+            if (!schedulerService) return;
+            
+            res.json({ success: true, schedules: await schedulerService.getTasks(req.params.id) });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Get a scheduled task
+    router.get('/:id/schedules/:scheduleId', schedulePermission, async (req, res) => {
+        try {
+            const schedulerService = getScheduler(req, res);
+            if (!schedulerService) return;
+            
+            const schedule = await schedulerService.getTask(req.params.id, req.params.scheduleId);
+            if (!schedule) {
+                return res.status(404).json({ success: false, error: 'Schedule not found' });
+            }
+            
+            res.json({ success: true, schedule });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Create a scheduled task
+    router.post('/:id/schedules', schedulePermission, auditServerObject('schedule.create', 'schedule'), async (req, res) => {
+        try {
+            const schedulerService = getScheduler(req, res);
+            if (!schedulerService) return;
+            
+            const schedule = await schedulerService.createTask(req.params.id, req.body || {});
+            setAuditContext(req, { targetId: schedule.id, after: schedule });
+            res.status(201).json({ success: true, schedule });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Update a scheduled task
+    router.put('/:id/schedules/:scheduleId', schedulePermission, auditServerObject('schedule.update', 'schedule', 'scheduleId'), async (req, res) => {
+        try {
+            const schedulerService = getScheduler(req, res);
+            if (!schedulerService) return;
+            
+            const before = await schedulerService.getTask(req.params.id, req.params.scheduleId);
+            const schedule = await schedulerService.updateTask(req.params.id, req.params.scheduleId, req.body || {});
+            if (!schedule) {
+                return res.status(404).json({ success: false, error: 'Schedule not found' });
+            }
+            
+            setAuditContext(req, { before, after: schedule });
+            res.json({ success: true, schedule });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Delete a scheduled task
+    router.delete('/:id/schedules/:scheduleId', schedulePermission, auditServerObject('schedule.delete', 'schedule', 'scheduleId'), async (req, res) => {
+        try {
+            const schedulerService = getScheduler(req, res);
+            if (!schedulerService) return;
+            
+            const before = await schedulerService.getTask(req.params.id, req.params.scheduleId);
+            const deleted = await schedulerService.deleteTask(req.params.id, req.params.scheduleId);
+            if (!deleted) {
+                return res.status(404).json({ success: false, error: 'Schedule not found' });
+            }
+            
+            setAuditContext(req, { before });
+            res.json({ success: true });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Run a scheduled task now
+    router.post('/:id/schedules/:scheduleId/run', schedulePermission, auditServerObject('schedule.run', 'schedule', 'scheduleId'), async (req, res) => {
+        try {
+            const schedulerService = getScheduler(req, res);
+            if (!schedulerService) return;
+            
+            const result = await schedulerService.runTaskNow(req.params.id, req.params.scheduleId);
+            if (!result) {
+                return res.status(404).json({ success: false, error: 'Schedule not found' });
+            }
+            
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Map rotation, presets and map changes
+    const mapPermission = requirePermission('servers.maps', { serverParam: 'id' });
+    
+    const getMapRotation = (req, res) => {
+        const mapRotationService = ServiceFactory.getInstance().getServices().mapRotationService;
+        if (!mapRotationService) {
+            res.status(503).json({ success: false, error: 'Map rotation not available' });
+            return null;
+        }
+        if (!serverManager || !serverManager.getServerById(req.params.id)) {
+            res.status(404).json({ success: false, error: 'Server not found' });
+            return null;
+        }
+        return mapRotationService;
+    };
+    
+    // Current rotation and map of a server
+    router.get('/:id/maps/rotation', mapPermission, async (req, res) => {
+        try {
+            const mapRotationService = getMapRotation(req, res);
+            if (!mapRotationService) return;
+            
+            res.json({ success: true, rotation: await mapRotationService.getRotation(req.params.id) });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Replace the rotation, from entries or from a sv_mapRotation value
+    router.put('/:id/maps/rotation', mapPermission, auditServer('map.rotation.update'), async (req, res) => {
+        try {
+            const mapRotationService = getMapRotation(req, res);
+            if (!mapRotationService) return;
+            
+            const body = req.body || {};
+            const before = await mapRotationService.getRotation(req.params.id);
+            const rotation = await mapRotationService.setRotation(
+                req.params.id,
+                typeof body.value === 'string' ? body.value : body.entries
+            );
+            setAuditContext(req, { before, after: rotation });
+            res.json({ success: true, rotation });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Load the next map of the rotation
+    router.post('/:id/maps/rotate', mapPermission, auditServer('map.rotate'), async (req, res) => {
+        try {
+            const mapRotationService = getMapRotation(req, res);
+            if (!mapRotationService) return;
+            
+            await mapRotationService.rotate(req.params.id);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Load a map
+    router.post('/:id/maps/change', mapPermission, auditServer('map.change'), async (req, res) => {
+        try {
+            const mapRotationService = getMapRotation(req, res);
+            if (!mapRotationService) return;
+            
+            const { map, gametype } = req.body || {};
+            await mapRotationService.changeMap(req.params.id, map, gametype || null);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Vote in progress on a server
+    router.get('/:id/maps/vote', mapPermission, (req, res) => {
+        const mapVoteService = ServiceFactory.getInstance().getServices().mapVoteService;
+        res.json({ success: true, vote: mapVoteService ? mapVoteService.getVote(req.params.id) : null });
+    });
+    
+    // Cancel the vote in progress
+    router.delete('/:id/maps/vote', mapPermission, auditServer('map.vote.cancel'), (req, res) => {
+        const mapVoteService = ServiceFactory.getInstance().getServices().mapVoteService;
+        const cancelled = mapVoteService ? mapVoteService.cancelVote(req.params.id) : false;
+        
+        if (!cancelled) {
+            return res.status(404).json({ success: false, error: 'No vote in progress' });
+        }
+        
+        res.json({ success: true });
+    });
+    
+    // List the rotation presets of a server
+    router.get('/:id/maps/presets', mapPermission, async (req, res) => {
+        try {
+            const mapRotationService = getMapRotation(req, res);
+            if (!mapRotationService) return;
+            
+            res.json({ success: true, presets: await mapRotationService.getPresets(req.params.id) });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Create a rotation preset
+    router.post('/:id/maps/presets', mapPermission, auditServerObject('map.preset.create', 'map_preset'), async (req, res) => {
+        try {
+            const mapRotationService = getMapRotation(req, res);
+            if (!mapRotationService) return;
+            
+            const preset = await mapRotationService.createPreset(req.params.id, req.body || {});
+            setAuditContext(req, { targetId: preset.id, targetName: preset.name, after: preset });
+            res.status(201).json({ success: true, preset });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Update a rotation preset
+    router.put('/:id/maps/presets/:presetId', mapPermission, auditServerObject('map.preset.update', 'map_preset', 'presetId'), async (req, res) => {
+        try {
+            const mapRotationService = getMapRotation(req, res);
+            if (!mapRotationService) return;
+            
+            const before = await mapRotationService.getPreset(req.params.id, req.params.presetId);
+            const preset = await mapRotationService.updatePreset(req.params.id, req.params.presetId, req.body || {});
+            if (!preset) {
+                return res.status(404).json({ success: false, error: 'Preset not found' });
+            }
+            
+            setAuditContext(req, { targetName: preset.name, before, after: preset });
+            res.json({ success: true, preset });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Delete a rotation preset
+    router.delete('/:id/maps/presets/:presetId', mapPermission, auditServerObject('map.preset.delete', 'map_preset', 'presetId'), async (req, res) => {
+        try {
+            const mapRotationService = getMapRotation(req, res);
+            if (!mapRotationService) return;
+            
+            const before = await mapRotationService.getPreset(req.params.id, req.params.presetId);
+            const deleted = await mapRotationService.deletePreset(req.params.id, req.params.presetId);
+            if (!deleted) {
+                return res.status(404).json({ success: false, error: 'Preset not found' });
+            }
+            
+            setAuditContext(req, { targetName: before && before.name, before });
+            res.json({ success: true });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Write a preset to the server rotation
+    router.post('/:id/maps/presets/:presetId/apply', mapPermission, auditServerObject('map.preset.apply', 'map_preset', 'presetId'), async (req, res) => {
+        try {
+            const mapRotationService = getMapRotation(req, res);
+            if (!mapRotationService) return;
+            
+            const rotation = await mapRotationService.applyPreset(req.params.id, req.params.presetId);
+            if (!rotation) {
+                return res.status(404).json({ success: false, error: 'Preset not found' });
+            }
+            
+            res.json({ success: true, rotation });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
     
     return router;
 };
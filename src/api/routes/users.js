@@ -0,0 +1,258 @@
+/**
+ * User routes for the API
+ * Manages the web users and the invites used to register new ones
+ */
+
+module.exports = function() {
+    const express = require('express');
+    const router = express.Router();
+    const ServiceFactory = require('../../services/ServiceFactory');
+    const { requirePermission } = require('../middlewares/auth');
+    const { auditAction, setAuditContext } = require('../middlewares/audit');
+
+    const canManageUsers = requirePermission('users.manage');
+
+    // Audited actions on the user of the route
+    const auditUser = (action) => auditAction(action, { targetType: 'user', targetParam: 'userId' });
+
+    // Public fields of a user, as recorded before and after a change
+    const auditState = (user) => user && {
+        username: user.username,
+        email: user.email || null,
+        role: user.role,
+        disabled: !!user.disabled_at,
+        twoFactor: !!user.totp_enabled_at
+    };
+
+    // Service lookup is lazy, the user services need the database
+    const getServices = (res) => {
+        const { userService, authService, permissionService, inviteService } = ServiceFactory.getInstance().getServices();
+        if (!userService || !authService || !permissionService || !inviteService) {
+            res.status(503).json({ success: false, error: 'User management services not available' });
+            return null;
+        }
+        return { userService, authService, permissionService, inviteService };
+    };
+
+    // End the sessions and close the sockets of a user
+    const endUserSessions = async (authService, userId, reason) => {
+        await authService.revokeAllSessions(userId);
+
+        const socketSessionService = ServiceFactory.getInstance().getServices().socketSessionService;
+        if (socketSessionService) {
+            socketSessionService.disconnectUser(userId, reason);
+        }
+    };
+
+    // Make sure a role exists before giving it to a user
+    const validateRole = async (permissionService, role, res) => {
+        if (!role || !await permissionService.getRole(role)) {
+            res.status(400).json({ success: false, error: `Unknown role: ${role}` });
+            return false;
+        }
+        return true;
+    };
+
+    // List users
+    router.get('/', canManageUsers, async (req, res) => {
+        try {
+            const services = getServices(res);
+            if (!services) return;
+
+            res.json({ success: true, users: await services.userService.getUsers() });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Create a user
+    router.post('/', canManageUsers, auditAction('user.create', { targetType: 'user' }), async (req, res) => {
+        try {
+            const services = getServices(res);
+            if (!services) return;
+
+            const { username, password, email, role = 'user' } = req.body || {};
+            if (!await validateRole(services.permissionService, role, res)) return;
+
+            const result = await services.userService.createUser({ username, password, email, role });
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            setAuditContext(req, { targetId: result.user.id, targetName: result.user.username, after: auditState(result.user) });
+            res.status(201).json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // List invites
+    router.get('/invites', canManageUsers, async (req, res) => {
+        try {
+            const services = getServices(res);
+            if (!services) return;
+
+            res.json({ success: true, invites: await services.inviteService.getInvites() });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Create an invite, the token is only returned here
+    router.post('/invites', canManageUsers, auditAction('invite.create', { targetType: 'invite' }), async (req, res) => {
+        try {
+            const services = getServices(res);
+            if (!services) return;
+
+            const { role, email, expiresInHours } = req.body || {};
+            const { invite, token } = await services.inviteService.createInvite({
+                role,
+                email,
+                expiresInHours,
+                createdBy: req.user.id
+            });
+
+            setAuditContext(req, { targetId: invite.id, after: invite });
+            res.status(201).json({ success: true, invite, token });
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    // Revoke an invite
+    router.delete('/invites/:inviteId', canManageUsers, auditAction('invite.revoke', { targetType: 'invite', targetParam: 'inviteId' }), async (req, res) => {
+        try {
+            const services = getServices(res);
+            if (!services) return;
+
+            const revoked = await services.inviteService.revokeInvite(req.params.inviteId);
+            if (!revoked) {
+                return res.status(404).json({ success: false, error: 'Invite not found or already used' });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Change the role of a user
+    router.put('/:userId/role', canManageUsers, auditUser('user.role.update'), async (req, res) => {
+        try {
+            const services = getServices(res);
+            if (!services) return;
+
+            const { role } = req.body || {};
+            if (!await validateRole(services.permissionService, role, res)) return;
+
+            const before = await services.userService.getUserById(req.params.userId);
+            const result = await services.userService.setUserRole(req.params.userId, role, req.user.id);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetName: result.user.username, before: auditState(before), after: auditState(result.user) });
+
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Disable a user and end its sessions
+    router.post('/:userId/disable', canManageUsers, auditUser('user.disable'), async (req, res) => {
+        try {
+            const services = getServices(res);
+            if (!services) return;
+
+            const before = await services.userService.getUserById(req.params.userId);
+            const result = await services.userService.setUserDisabled(req.params.userId, true, req.user.id);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetName: result.user.username, before: auditState(before), after: auditState(result.user) });
+
+            await endUserSessions(services.authService, req.params.userId, 'account disabled');
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Enable a disabled user
+    router.post('/:userId/enable', canManageUsers, auditUser('user.enable'), async (req, res) => {
+        try {
+            const services = getServices(res);
+            if (!services) return;
+
+            const before = await services.userService.getUserById(req.params.userId);
+            const result = await services.userService.setUserDisabled(req.params.userId, false, req.user.id);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetName: result.user.username, before: auditState(before), after: auditState(result.user) });
+
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Reset the two-factor of a user who lost the authenticator and the recovery codes
+    router.delete('/:userId/2fa', canManageUsers, auditUser('user.2fa.reset'), async (req, res) => {
+        try {
+            const services = getServices(res);
+            if (!services) return;
+
+            const twoFactorService = ServiceFactory.getInstance().getServices().twoFactorService;
+            if (!twoFactorService) {
+                return res.status(503).json({ success: false, error: 'Two-factor service not available' });
+            }
+
+            const user = await services.userService.getUserById(req.params.userId);
+            if (!user) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+
+            await twoFactorService.disable(user);
+            await endUserSessions(services.authService, user.id, 'two-factor reset');
+
+            const updatedUser = await services.userService.getUserById(user.id);
+            setAuditContext(req, { targetName: user.username, before: auditState(user), after: auditState(updatedUser) });
+
+            res.json({ success: true, user: services.userService.sanitizeUser(updatedUser) });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Delete a user
+    router.delete('/:userId', canManageUsers, auditUser('user.delete'), async (req, res) => {
+        try {
+            const services = getServices(res);
+            if (!services) return;
+
+            const before = await services.userService.getUserById(req.params.userId);
+            const result = await services.userService.deleteUser(req.params.userId, req.user.id);
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+
+            setAuditContext(req, { targetName: before.username, before: auditState(before) });
+
+            // The sessions are deleted with the user, only the sockets are left open
+            const socketSessionService = ServiceFactory.getInstance().getServices().socketSessionService;
+            if (socketSessionService) {
+                socketSessionService.disconnectUser(req.params.userId, 'account deleted');
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
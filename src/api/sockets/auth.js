@@ -0,0 +1,91 @@
+/**
+ * Socket.IO authentication
+ * Sockets authenticate with the JWT of the REST API, sent in the handshake auth or Authorization header
+ */
+const logger = require('../../core/Logger');
+const PermissionService = require('../../services/PermissionService');
+
+/**
+ * Create a namespace middleware that verifies the handshake token and sets socket.user
+ * socket.user holds the token payload with the global roles and permissions of the user
+ * @param {Object} services - Service container with the authService
+ * @returns {Function} Socket.IO middleware (socket, next)
+ */
+function authenticateSocket(services) {
+    return async (socket, next) => {
+        try {
+            const authHeader = socket.handshake.headers.authorization;
+            const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+            if (!token || !services.authService) {
+                return next(new Error('Authentication required'));
+            }
+
+            const user = await services.authService.verifyToken(token);
+            if (!user) {
+                return next(new Error('Invalid or expired token'));
+            }
+
+            if (user.twoFactorSetupRequired) {
+                return next(new Error('Two-factor authentication must be enabled for your role'));
+            }
+
+            if (services.permissionService) {
+                const { roles, permissions } = await services.permissionService.resolve({ userId: user.id });
+                user.roles = roles;
+                user.permissions = permissions;
+            } else {
+                // Without a database only the role stored in the token is known
+                user.roles = user.role ? [user.role] : [];
+                user.permissions = user.role === 'admin' ? ['*'] : [];
+            }
+
+            socket.user = user;
+            socket.token = token;
+
+            if (services.socketSessionService) {
+                services.socketSessionService.track(socket);
+            }
+
+            next();
+        } catch (error) {
+            logger.error(`Socket authentication error: ${error.message}`);
+            next(new Error('Authentication error'));
+        }
+    };
+}
+
+/**
+ * Create a namespace middleware restricting a namespace to the users with a permission
+ * Must run after authenticateSocket
+ * @param {string} permission - Required permission
+ * @returns {Function} Socket.IO middleware (socket, next)
+ */
+function requireSocketPermission(permission) {
+    return (socket, next) => {
+        if (!socket.user || !PermissionService.matches(socket.user.permissions, permission)) {
+            return next(new Error(`Permission required: ${permission}`));
+        }
+        next();
+    };
+}
+
+/**
+ * Check if the user of a socket has a permission on a server, server-scoped roles included
+ * @param {Object} services - Service container with the permissionService
+ * @param {Object} socket - Authenticated socket
+ * @param {string} permission - Required permission
+ * @param {string|null} serverId - Server ID
+ * @returns {Promise<boolean>} Whether the permission is granted
+ */
+async function socketHasPermission(services, socket, permission, serverId = null) {
+    if (PermissionService.matches(socket.user.permissions, permission)) {
+        return true;
+    }
+    if (serverId === null || !services.permissionService) {
+        return false;
+    }
+    return services.permissionService.hasPermission({ userId: socket.user.id }, permission, serverId);
+}
+
+module.exports = { authenticateSocket, requireSocketPermission, socketHasPermission };
@@ -0,0 +1,268 @@
+/**
+ * Real-time event bridge
+ * Publishes the server manager and event service events to the dashboard sockets:
+ * - to every authenticated socket: server:update, player:connect/disconnect, player:ban/kick, server_event
+ * - to the sockets subscribed to a server (room server:<id>): server:players, server:chat, server:game
+ * - to the subscribers allowed to read the server logs (room server:<id>:logs): server:log
+ * - to the sockets subscribed to a player (room player:<id>): player:update, player:chat
+ * - to the sockets allowed to read the reports (room reports): report:update
+ * - to the admins on the /admin namespace: notification
+ */
+
+module.exports = function(io, services) {
+    const logger = require('../../core/Logger');
+    const Penalty = require('../../models/Penalty');
+    const { authenticateSocket, requireSocketPermission, socketHasPermission } = require('./auth');
+
+    const serverRoom = (serverId) => `server:${serverId}`;
+    const logsRoom = (serverId) => `server:${serverId}:logs`;
+    const playerRoom = (playerId) => `player:${playerId}`;
+    const reportsRoom = 'reports';
+    const admin = io.of('/admin');
+
+    // Public part of a player, the IP address stays on the server
+    const playerSummary = (player) => player ? {
+        id: player.clientId || player.id || null,
+        guid: player.guid,
+        name: player.name,
+        clientSlot: player.clientSlot
+    } : null;
+
+    const serverSummary = (serverId) => {
+        const server = services.serverManager && services.serverManager.getServerById(serverId);
+        if (!server) return { id: serverId };
+
+        const json = server.toJSON();
+        return {
+            id: json.id,
+            name: json.name,
+            status: json.status,
+            playerCount: json.playerCount,
+            maxPlayers: json.maxPlayers,
+            mapName: json.mapName,
+            readOnly: json.readOnly
+        };
+    };
+
+    // Short entry for the dashboard activity feed
+    const publishServerEvent = (type, data) => {
+        io.emit('server_event', {
+            type,
+            serverId: data.serverId,
+            serverName: data.serverName,
+            ...data.details,
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Players not yet stored in the database have no room
+    const publishToPlayer = (player, event, payload) => {
+        if (player && player.id) {
+            io.to(playerRoom(player.id)).emit(event, payload);
+        }
+    };
+
+    // Notification for the admins, e.g. a server going down or a ban
+    const notifyAdmins = (level, type, data, message) => {
+        admin.emit('notification', {
+            level,
+            type,
+            serverId: data.serverId,
+            serverName: data.serverName,
+            message,
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    const publishServerUpdate = (serverId) => {
+        io.emit('server:update', serverSummary(serverId));
+    };
+
+    // Only authenticated sockets receive events, admin notifications require the admin permission
+    io.use(authenticateSocket(services));
+    admin.use(authenticateSocket(services));
+    admin.use(requireSocketPermission('admin'));
+
+    admin.on('connection', (socket) => {
+        logger.debug(`Admin notifications connected: ${socket.user.username} (${socket.id})`);
+    });
+
+    io.on('connection', (socket) => {
+        const reply = (ack, payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+
+        // The moderation queue follows the reports without subscribing
+        socketHasPermission(services, socket, 'reports.view')
+            .then(allowed => { if (allowed) socket.join(reportsRoom); })
+            .catch(error => logger.warn(`Could not check the report permission of ${socket.id}: ${error.message}`));
+
+        // Follow the detailed events of a server or a player
+        // The raw log lines of a server require the servers.logs permission
+        socket.on('subscribe', async ({ serverId, playerId } = {}, ack) => {
+            try {
+                if (serverId === undefined && playerId === undefined) {
+                    return reply(ack, { success: false, error: 'serverId or playerId is required' });
+                }
+
+                let logs = false;
+                if (serverId !== undefined) {
+                    socket.join(serverRoom(serverId));
+
+                    logs = await socketHasPermission(services, socket, 'servers.logs', serverId);
+                    if (logs) socket.join(logsRoom(serverId));
+                }
+                if (playerId !== undefined) socket.join(playerRoom(playerId));
+
+                reply(ack, {
+                    success: true,
+                    logs,
+                    server: serverId !== undefined ? serverSummary(serverId) : undefined
+                });
+            } catch (error) {
+                reply(ack, { success: false, error: error.message });
+            }
+        });
+
+        socket.on('unsubscribe', ({ serverId, playerId } = {}, ack) => {
+            if (serverId !== undefined) {
+                socket.leave(serverRoom(serverId));
+                socket.leave(logsRoom(serverId));
+            }
+            if (playerId !== undefined) socket.leave(playerRoom(playerId));
+            reply(ack, { success: true });
+        });
+    });
+
+    const serverManager = services.serverManager;
+    if (!serverManager) {
+        logger.warn('Server manager not available, real-time server events are disabled');
+        return;
+    }
+
+    // Server status
+    serverManager.on('server.status.change', (data) => {
+        publishServerUpdate(data.serverId);
+        publishServerEvent(data.status === 'online' ? 'online' : data.status === 'error' ? 'error' : 'offline', {
+            serverId: data.serverId,
+            serverName: data.serverName,
+            details: { status: data.status, previousStatus: data.previousStatus }
+        });
+
+        if (data.status === 'error') {
+            notifyAdmins('error', 'server.error', data, `${data.serverName} is in error state`);
+        }
+    });
+
+    serverManager.on('server.start', (data) => {
+        publishServerEvent('start', data);
+    });
+
+    serverManager.on('server.stop', (data) => {
+        publishServerEvent('stop', data);
+    });
+
+    serverManager.on('server.restart', (data) => {
+        publishServerEvent('restart', { ...data, details: { command: data.command } });
+    });
+
+    serverManager.on('server.removed', (data) => {
+        io.emit('server:removed', { id: data.serverId, name: data.serverName });
+        notifyAdmins('warning', 'server.removed', data, `${data.serverName} was removed`);
+    });
+
+    // Players joining and leaving
+    serverManager.on('player.connect', (data) => {
+        const payload = { serverId: data.serverId, serverName: data.serverName, player: playerSummary(data.player) };
+
+        io.emit('player:connect', payload);
+        publishToPlayer(payload.player, 'player:update', { ...payload.player, online: true, serverId: data.serverId });
+        io.to(serverRoom(data.serverId)).emit('server:players', serverSummary(data.serverId));
+        publishServerEvent('connect', { ...data, details: { player: payload.player.name } });
+    });
+
+    serverManager.on('player.disconnect', (data) => {
+        const payload = { serverId: data.serverId, serverName: data.serverName, player: playerSummary(data.player) };
+
+        io.emit('player:disconnect', payload);
+        publishToPlayer(payload.player, 'player:update', { ...payload.player, online: false, serverId: data.serverId });
+        io.to(serverRoom(data.serverId)).emit('server:players', serverSummary(data.serverId));
+        publishServerEvent('disconnect', { ...data, details: { player: payload.player.name } });
+    });
+
+    // Penalties
+    serverManager.on('player.penalty', (data) => {
+        const isKick = data.type === Penalty.Types.KICK;
+        const payload = {
+            serverId: data.serverId,
+            serverName: data.serverName,
+            type: data.type,
+            player: playerSummary(data.player),
+            reason: data.reason,
+            origin: data.origin ? data.origin.name : null,
+            duration: data.duration || null
+        };
+
+        io.emit(isKick ? 'player:kick' : 'player:ban', payload);
+        publishToPlayer(payload.player, 'player:update', { ...payload.player, penalty: data.type });
+        publishServerEvent(isKick ? 'kick' : 'ban', { ...data, details: { player: payload.player.name, reason: data.reason } });
+
+        if (!isKick) {
+            notifyAdmins('info', 'player.ban', data, `${payload.player.name} banned by ${payload.origin || 'System'}: ${data.reason}`);
+        }
+    });
+
+    serverManager.on('player.banned', (data) => {
+        publishServerEvent('ban_enforced', { ...data, details: { player: data.player ? data.player.name : null } });
+    });
+
+    // Player reports and the moderation queue
+    serverManager.on('report.update', (data) => {
+        io.to(reportsRoom).emit('report:update', { action: data.action, report: data.report });
+
+        if (data.action === 'created') {
+            const server = serverSummary(data.serverId);
+            notifyAdmins('warning', 'player.report', { serverId: data.serverId, serverName: server.name }, `${data.report.reporterName} reported ${data.report.targetName}: ${data.report.reason}`);
+        }
+    });
+
+    // Chat, logs and game events go to the subscribers only
+    serverManager.on('chat.message', (data) => {
+        const payload = {
+            serverId: data.serverId,
+            player: playerSummary(data.player),
+            message: data.message,
+            timestamp: new Date().toISOString()
+        };
+
+        io.to(serverRoom(data.serverId)).emit('server:chat', payload);
+        publishToPlayer(payload.player, 'player:chat', payload);
+    });
+
+    serverManager.on('server.log', (data) => {
+        io.to(logsRoom(data.serverId)).emit('server:log', { serverId: data.serverId, line: data.line });
+    });
+
+    serverManager.on('game.event', (data) => {
+        io.to(serverRoom(data.serverId)).emit('server:game', { serverId: data.serverId, type: data.type, data: data.data });
+
+        if (data.type === 'match_start' || data.type === 'match_end') {
+            publishServerEvent(data.type, data);
+        }
+    });
+
+    // Events only known to the event service (map changes, scheduled tasks...)
+    const eventService = services.eventService;
+    if (eventService) {
+        for (const type of ['server.map.change', 'server.schedule.run', 'match.start', 'match.end']) {
+            eventService.on(type, (event = {}) => {
+                if (!event.serverId) return;
+
+                io.to(serverRoom(event.serverId)).emit('server:event', { type, ...event });
+                publishServerEvent(type, { serverId: event.serverId, details: event.data });
+            });
+        }
+    }
+
+    logger.info('Real-time event bridge attached to Socket.IO');
+};
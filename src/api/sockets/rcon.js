@@ -0,0 +1,108 @@
+/**
+ * RCON console Socket.IO channel
+ * Admins join a server room on the /rcon namespace, send commands and receive the responses
+ * of every command sent to that server, from the socket or from the REST API
+ */
+
+module.exports = function(io, services) {
+    const logger = require('../../core/Logger');
+    const { authenticateSocket, socketHasPermission } = require('./auth');
+    const nsp = io.of('/rcon');
+
+    const room = (serverId) => `server:${serverId}`;
+
+    // Same rule as the REST route, server-scoped roles apply
+    const canUseConsole = (socket, serverId) => socketHasPermission(services, socket, 'servers.rcon', serverId);
+
+    // Authenticate the socket with the JWT sent in the handshake
+    nsp.use(authenticateSocket(services));
+
+    // Forward every command and its response to the admins watching the server
+    const rconConsoleService = services.rconConsoleService;
+    if (rconConsoleService) {
+        rconConsoleService.on('command.sent', (entry) => {
+            nsp.to(room(entry.serverId)).emit('rcon:command', entry);
+        });
+        rconConsoleService.on('command.response', (entry) => {
+            nsp.to(room(entry.serverId)).emit('rcon:response', entry);
+        });
+    }
+
+    nsp.on('connection', (socket) => {
+        logger.debug(`RCON console connected: ${socket.user.username} (${socket.id})`);
+
+        const reply = (ack, payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+
+        // Join the console of a server, replies with the user's history and the recent output
+        socket.on('rcon:join', async ({ serverId } = {}, ack) => {
+            try {
+                if (!rconConsoleService) {
+                    return reply(ack, { success: false, error: 'RCON console not available' });
+                }
+
+                if (!await canUseConsole(socket, serverId)) {
+                    return reply(ack, { success: false, error: 'Permission required: servers.rcon' });
+                }
+
+                socket.join(room(serverId));
+
+                reply(ack, {
+                    success: true,
+                    history: await rconConsoleService.getHistory(socket.user.id, serverId),
+                    recent: await rconConsoleService.getRecentCommands(serverId),
+                    suggestions: rconConsoleService.getSuggestions(serverId)
+                });
+            } catch (error) {
+                reply(ack, { success: false, error: error.message });
+            }
+        });
+
+        socket.on('rcon:leave', ({ serverId } = {}) => {
+            socket.leave(room(serverId));
+        });
+
+        // Run a command, the output is broadcast to the server room
+        socket.on('rcon:command', async ({ serverId, command } = {}, ack) => {
+            try {
+                if (!rconConsoleService) {
+                    return reply(ack, { success: false, error: 'RCON console not available' });
+                }
+
+                if (!await canUseConsole(socket, serverId)) {
+                    return reply(ack, { success: false, error: 'Permission required: servers.rcon' });
+                }
+
+                const entry = await rconConsoleService.execute(serverId, command, socket.user, 'socket');
+
+                // Commands sent over the REST API are recorded by the audit middleware
+                if (services.auditService) {
+                    await services.auditService.record({
+                        actorType: 'user',
+                        actorId: socket.user.id,
+                        actorName: socket.user.username,
+                        action: 'server.rcon',
+                        targetType: 'server',
+                        targetId: serverId,
+                        serverId,
+                        details: { command: entry.command },
+                        success: entry.success,
+                        source: 'socket',
+                        ip: socket.handshake.address
+                    });
+                }
+
+                reply(ack, { success: entry.success, entry });
+            } catch (error) {
+                reply(ack, { success: false, error: error.message });
+            }
+        });
+
+        socket.on('disconnect', () => {
+            logger.debug(`RCON console disconnected: ${socket.user.username} (${socket.id})`);
+        });
+    });
+
+    return nsp;
+};
@@ -86,14 +86,36 @@ async function main() {
         if (dbService && connection) {
             const UserService = require('./services/UserService');
             const AuthService = require('./services/AuthService');
+            const PenaltyService = require('./services/PenaltyService');
+            const PermissionService = require('./services/PermissionService');
+            const InviteService = require('./services/InviteService');
+            const TwoFactorService = require('./services/TwoFactorService');
+            const AuditService = require('./services/AuditService');
+            const EventService = require('./services/EventService');
             
             console.log('[app.js] Database connection available. Registering UserService and AuthService.'); // Direct console log
             logService.info('Database connection available. Registering UserService and AuthService.');
-            serviceFactory.register('userService', new UserService(connection, logService));
+            serviceFactory.register('userService', new UserService(dbService, logService));
+            serviceFactory.register('twoFactorService', new TwoFactorService(dbService, config.api?.twoFactor || {}));
             serviceFactory.register('authService', new AuthService(
                 serviceFactory.get('userService'),
-                logService
+                logService,
+                config.api || {},
+                dbService,
+                serviceFactory.get('twoFactorService')
             ));
+            serviceFactory.get('authService').startSessionCleanup();
+            serviceFactory.register('penaltyService', new PenaltyService(dbService));
+            serviceFactory.register('permissionService', new PermissionService(dbService));
+            serviceFactory.register('inviteService', new InviteService(
+                dbService,
+                serviceFactory.get('userService'),
+                serviceFactory.get('permissionService')
+            ));
+            serviceFactory.register('auditService', new AuditService(dbService));
+            
+            // Registered before the server manager, server instances keep the reference they get
+            serviceFactory.register('eventService', new EventService(dbService));
             console.log('[app.js] UserService and AuthService registered.'); // Direct console log
         } else {
             console.warn('[app.js] Database connection NOT available or dbService is missing.'); // Direct console log
@@ -2,6 +2,8 @@
  * Base Command - Abstract class for all commands
  * Provides common functionality and structure for commands
  */
+const PermissionService = require('../services/PermissionService');
+
 class BaseCommand {
     /**
      * Create a new command
@@ -24,6 +26,16 @@ class BaseCommand {
         this.permission = options.permission || null; // null = no permission required
     }
 
+    /**
+     * Get the chat command prefix players type, the first one when several are configured
+     * @param {Object} services - Services container
+     * @returns {string} Command prefix
+     */
+    static getPrefix(services) {
+        const prefix = services?.configService?.config?.commands?.prefix;
+        return (Array.isArray(prefix) ? prefix[0] : prefix) || '!';
+    }
+
     /**
      * Execute the command (abstract method to be implemented by subclasses)
      * @param {Array<string>} args - Command arguments
@@ -43,69 +55,17 @@ class BaseCommand {
             return true;
         }
 
-        // Handle admin permission special case
-        if (this.permission === 'admin' || this.permission === 'administrator') {
-            return this._checkAdminPermission(player);
+        if (!player) {
+            return false;
         }
 
-        // Check if player has the required permission
-        if (player && player.hasPermission) {
+        // Players resolve their permissions through the PermissionService
+        if (typeof player.hasPermission === 'function') {
             return player.hasPermission(this.permission);
-        } else if (player && player.permissions) {
-            return player.permissions.includes(this.permission);
-        } else if (player && player.role) {
-            // Check permission based on role
-            return this._roleHasPermission(player.role, this.permission);
         }
 
-        // If no permission system is available, default to false for safety
-        return false;
-    }
-    
-    /**
-     * Check if a player has admin permission
-     * @param {Object} player - Player to check permissions for
-     * @returns {boolean} Whether the player is an admin
-     * @private
-     */
-    _checkAdminPermission(player) {
-        if (!player) return false;
-        
-        // Check various admin indicators
-        return (
-            (player.isAdmin === true) || 
-            (player.role === 'admin' || player.role === 'administrator') ||
-            (player.permissions && (
-                player.permissions.includes('admin') || 
-                player.permissions.includes('administrator')
-            ))
-        );
-    }
-    
-    /**
-     * Check if a role has a specific permission
-     * @param {string} role - Role name
-     * @param {string} permission - Permission to check
-     * @returns {boolean} Whether the role has the permission
-     * @private
-     */
-    _roleHasPermission(role, permission) {
-        // Basic role hierarchy
-        const roles = {
-            'admin': ['*'],
-            'moderator': ['moderate', 'mute', 'kick', 'ban', 'stats'],
-            'vip': ['stats', 'map'],
-            'player': []
-        };
-        
-        // Check if role exists
-        if (!roles[role]) return false;
-        
-        // Admins have all permissions
-        if (role === 'admin' || roles[role].includes('*')) return true;
-        
-        // Check specific permission
-        return roles[role].includes(permission);
+        // Plain objects carrying already resolved permissions (e.g. web users)
+        return PermissionService.matches(player.permissions, this.permission);
     }
 
     /**
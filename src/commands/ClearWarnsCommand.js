@@ -0,0 +1,57 @@
+/**
+ * Clear Warns Command - Clear the active warnings of a player
+ */
+const BaseCommand = require('./BaseCommand');
+
+class ClearWarnsCommand extends BaseCommand {
+    /**
+     * Create a new ClearWarnsCommand instance
+     * @param {Object} services - Services container
+     */
+    constructor(services) {
+        super({
+            name: 'clearwarns',
+            aliases: ['cw'],
+            description: 'Clear the active warnings of a player',
+            usage: `${BaseCommand.getPrefix(services)}clearwarns <player>`,
+            permission: 'warnings.clear'
+        });
+
+        this.services = services;
+    }
+
+    /**
+     * Execute the clearwarns command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} context - Command execution context (player, server)
+     * @returns {Promise<Object>} Command execution result
+     */
+    async execute(args, context) {
+        const { player, server } = context;
+
+        // Registered after the commands, looked up when used
+        const warningService = this.services.warningService;
+        if (!warningService || !server) {
+            return { success: false, message: '^1Warnings are not available' };
+        }
+
+        if (args.length < 1) {
+            return { success: false, message: `^7Usage: ^5${this.usage}` };
+        }
+
+        const { player: target, error } = server.matchPlayer(args[0]);
+        if (!target) {
+            return { success: false, message: `^1${error}` };
+        }
+
+        const cleared = await warningService.clearWarnings(target, player ? player.name : 'System', server.id);
+        if (cleared === 0) {
+            return { success: true, message: `^5${target.name}^7 has no active warning` };
+        }
+
+        await target.tell(`^2Your warnings were cleared`);
+        return { success: true, message: `^2Cleared ^3${cleared}^2 warnings of ^5${target.name}` };
+    }
+}
+
+module.exports = ClearWarnsCommand;
@@ -0,0 +1,68 @@
+/**
+ * Map Command - Change the map directly, for staff
+ */
+const BaseCommand = require('./BaseCommand');
+const MapRotation = require('../core/MapRotation');
+
+class MapCommand extends BaseCommand {
+    /**
+     * Create a new MapCommand instance
+     * @param {Object} services - Services container
+     */
+    constructor(services) {
+        super({
+            name: 'map',
+            aliases: ['changemap'],
+            description: 'Load a map of the rotation, or the next one',
+            usage: `${BaseCommand.getPrefix(services)}map <map|next> [gametype]`,
+            permission: 'map'
+        });
+
+        this.services = services;
+    }
+
+    /**
+     * Execute the map command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} context - Command execution context (player, server)
+     * @returns {Promise<Object>} Command execution result
+     */
+    async execute(args, context) {
+        const { server } = context;
+
+        // Registered after the commands, looked up when used
+        const mapRotationService = this.services.mapRotationService;
+        if (!mapRotationService || !server) {
+            return { success: false, message: '^1Map changes are not available' };
+        }
+
+        if (args.length === 0) {
+            return { success: false, message: `^7Usage: ^5${this.usage}` };
+        }
+
+        try {
+            // A staff change replaces any vote in progress
+            if (this.services.mapVoteService) {
+                this.services.mapVoteService.cancelVote(server.id);
+            }
+
+            if (args[0].toLowerCase() === 'next') {
+                await mapRotationService.rotate(server.id);
+                return { success: true, message: '^2Loading the next map' };
+            }
+
+            // Names from the rotation can be shortened ("raid" for "mp_raid")
+            const rotation = new MapRotation((await mapRotationService.getRotation(server.id)).entries);
+            const entry = rotation.findMap(args[0]);
+            const map = entry ? entry.map : args[0];
+            const gametype = args[1] || (entry ? entry.gametype : null);
+
+            await mapRotationService.changeMap(server.id, map, gametype);
+            return { success: true, message: `^2Loading ^5${map}` };
+        } catch (error) {
+            return { success: false, message: `^1Map change failed: ${error.message}` };
+        }
+    }
+}
+
+module.exports = MapCommand;
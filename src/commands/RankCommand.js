@@ -0,0 +1,73 @@
+/**
+ * Rank Command - Show the ranks of a player in the rank ladders
+ */
+const BaseCommand = require('./BaseCommand');
+const RankLadder = require('../core/RankLadder');
+
+class RankCommand extends BaseCommand {
+    /**
+     * Create a new RankCommand instance
+     * @param {Object} services - Services container
+     */
+    constructor(services) {
+        super({
+            name: 'rank',
+            aliases: ['ranks'],
+            description: 'Show the ranks of a player and the progress towards the next ones',
+            usage: `${BaseCommand.getPrefix(services)}rank [player]`,
+            permission: null // All players can see the ranks
+        });
+
+        this.services = services;
+    }
+
+    /**
+     * Execute the rank command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} context - Command execution context (player, server)
+     * @returns {Promise<Object>} Command execution result
+     */
+    async execute(args, context) {
+        const { player, server } = context;
+
+        // Registered after the commands, looked up when used
+        const rankService = this.services.rankService;
+        if (!rankService || !server) {
+            return { success: false, message: '^1Ranks are not available' };
+        }
+
+        let target = player;
+        if (args.length > 0) {
+            const match = server.matchPlayer(args[0]);
+            if (!match.player) {
+                return { success: false, message: `^1${match.error}` };
+            }
+            target = match.player;
+        }
+
+        if (!target || !target.guid) {
+            return { success: false, message: `^7Usage: ^5${this.usage}` };
+        }
+
+        const ranks = await rankService.getPlayerRanks(target);
+        if (ranks.length === 0) {
+            return { success: true, message: '^7No rank ladder is enabled' };
+        }
+
+        const lines = ranks.map(({ ladder, rank, next, value, needed }) => {
+            const current = `^7${ladder.name}: ${rank.color}${rank.name}^7`;
+            if (!next) return `${current} (highest rank)`;
+
+            const metric = RankLadder.METRICS[ladder.metric].label;
+            const progress = needed !== null ? ` ${value}/${needed} ${metric.toLowerCase()}` : '';
+            return `${current}, next ${next.color}${next.name}^7${progress}`;
+        });
+
+        return {
+            success: true,
+            message: [`^5${target.name}^7 ranks:`, ...lines]
+        };
+    }
+}
+
+module.exports = RankCommand;
@@ -0,0 +1,62 @@
+/**
+ * Report Command - Report a player to the staff
+ */
+const BaseCommand = require('./BaseCommand');
+
+class ReportCommand extends BaseCommand {
+    /**
+     * Create a new ReportCommand instance
+     * @param {Object} services - Services container
+     */
+    constructor(services) {
+        super({
+            name: 'report',
+            aliases: ['rep'],
+            description: 'Report a player to the staff',
+            usage: `${BaseCommand.getPrefix(services)}report <player> <reason>`,
+            permission: null // All players can report
+        });
+
+        this.services = services;
+    }
+
+    /**
+     * Execute the report command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} context - Command execution context (player, server)
+     * @returns {Promise<Object>} Command execution result
+     */
+    async execute(args, context) {
+        const { player, server } = context;
+
+        // Registered after the commands, looked up when used
+        const reportService = this.services.reportService;
+        if (!reportService || !server) {
+            return { success: false, message: '^1Reports are not available' };
+        }
+
+        if (args.length < 2) {
+            return { success: false, message: `^7Usage: ^5${this.usage}` };
+        }
+
+        const { player: target, error } = server.matchPlayer(args[0]);
+        if (!target) {
+            return { success: false, message: `^1${error}` };
+        }
+
+        const result = await reportService.createReport({
+            server,
+            reporter: player,
+            target,
+            reason: args.slice(1).join(' ')
+        });
+
+        if (!result.success) {
+            return { success: false, message: `^1${result.error}` };
+        }
+
+        return { success: true, message: `^2Report #${result.report.id}^7 on ^5${target.name}^7 sent to the staff` };
+    }
+}
+
+module.exports = ReportCommand;
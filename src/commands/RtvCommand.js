@@ -0,0 +1,46 @@
+/**
+ * Rock The Vote Command - Vote to skip to the next map of the rotation
+ */
+const BaseCommand = require('./BaseCommand');
+
+class RtvCommand extends BaseCommand {
+    /**
+     * Create a new RtvCommand instance
+     * @param {Object} services - Services container
+     */
+    constructor(services) {
+        super({
+            name: 'rtv',
+            aliases: ['rockthevote'],
+            description: 'Vote to load the next map of the rotation',
+            usage: `${BaseCommand.getPrefix(services)}rtv`,
+            permission: null // All players can vote
+        });
+
+        this.services = services;
+    }
+
+    /**
+     * Execute the rtv command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} context - Command execution context (player, server)
+     * @returns {Promise<Object>} Command execution result
+     */
+    async execute(args, context) {
+        const { player, server } = context;
+
+        // Registered after the commands, looked up when used
+        const mapVoteService = this.services.mapVoteService;
+        if (!mapVoteService || !server) {
+            return { success: false, message: '^1Map votes are not available' };
+        }
+
+        try {
+            return await mapVoteService.rockTheVote(server, player);
+        } catch (error) {
+            return { success: false, message: `^1Vote failed: ${error.message}` };
+        }
+    }
+}
+
+module.exports = RtvCommand;
@@ -0,0 +1,50 @@
+/**
+ * Vote Map Command - Vote for a map of the rotation
+ */
+const BaseCommand = require('./BaseCommand');
+
+class VoteMapCommand extends BaseCommand {
+    /**
+     * Create a new VoteMapCommand instance
+     * @param {Object} services - Services container
+     */
+    constructor(services) {
+        super({
+            name: 'votemap',
+            aliases: ['vm'],
+            description: 'Vote for the next map, the map changes once enough players agree',
+            usage: `${BaseCommand.getPrefix(services)}votemap <map>`,
+            permission: null // All players can vote
+        });
+
+        this.services = services;
+    }
+
+    /**
+     * Execute the votemap command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} context - Command execution context (player, server)
+     * @returns {Promise<Object>} Command execution result
+     */
+    async execute(args, context) {
+        const { player, server } = context;
+
+        // Registered after the commands, looked up when used
+        const mapVoteService = this.services.mapVoteService;
+        if (!mapVoteService || !server) {
+            return { success: false, message: '^1Map votes are not available' };
+        }
+
+        if (args.length === 0) {
+            return { success: false, message: `^7Usage: ^5${this.usage}` };
+        }
+
+        try {
+            return await mapVoteService.voteMap(server, player, args.join(' '));
+        } catch (error) {
+            return { success: false, message: `^1Map vote failed: ${error.message}` };
+        }
+    }
+}
+
+module.exports = VoteMapCommand;
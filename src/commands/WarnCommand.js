@@ -0,0 +1,68 @@
+/**
+ * Warn Command - Warn a player, enough warnings kick or ban the player
+ */
+const BaseCommand = require('./BaseCommand');
+
+class WarnCommand extends BaseCommand {
+    /**
+     * Create a new WarnCommand instance
+     * @param {Object} services - Services container
+     */
+    constructor(services) {
+        super({
+            name: 'warn',
+            aliases: ['w'],
+            description: 'Warn a player',
+            usage: `${BaseCommand.getPrefix(services)}warn <player> <reason>`,
+            permission: 'warnings.add'
+        });
+
+        this.services = services;
+    }
+
+    /**
+     * Execute the warn command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} context - Command execution context (player, server)
+     * @returns {Promise<Object>} Command execution result
+     */
+    async execute(args, context) {
+        const { player, server } = context;
+
+        // Registered after the commands, looked up when used
+        const warningService = this.services.warningService;
+        if (!warningService || !server) {
+            return { success: false, message: '^1Warnings are not available' };
+        }
+
+        if (args.length < 2) {
+            return { success: false, message: `^7Usage: ^5${this.usage}` };
+        }
+
+        const { player: target, error } = server.matchPlayer(args[0]);
+        if (!target) {
+            return { success: false, message: `^1${error}` };
+        }
+
+        const result = await warningService.warn({
+            server,
+            player: target,
+            reason: args.slice(1).join(' '),
+            origin: player
+        });
+
+        if (!result.success) {
+            return { success: false, message: `^1${result.error}` };
+        }
+
+        const outcomes = { kick: '^1kicked', tempban: '^1temporarily banned', ban: '^1banned' };
+        const outcome = outcomes[result.action] ? `, ${outcomes[result.action]}` : '';
+
+        return {
+            success: true,
+            message: `^5${target.name}^7 warned (^3${result.count}^7 active${outcome}^7)`
+        };
+    }
+}
+
+module.exports = WarnCommand;
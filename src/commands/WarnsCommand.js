@@ -0,0 +1,75 @@
+/**
+ * Warns Command - List the active warnings of a player
+ */
+const BaseCommand = require('./BaseCommand');
+
+// Needed to list the warnings of another player
+const VIEW_PERMISSION = 'warnings.view';
+
+class WarnsCommand extends BaseCommand {
+    /**
+     * Create a new WarnsCommand instance
+     * @param {Object} services - Services container
+     */
+    constructor(services) {
+        super({
+            name: 'warns',
+            aliases: ['warnings'],
+            description: 'List the active warnings of a player',
+            usage: `${BaseCommand.getPrefix(services)}warns [player]`,
+            permission: null // All players can list their own warnings
+        });
+
+        this.services = services;
+    }
+
+    /**
+     * Execute the warns command
+     * @param {Array<string>} args - Command arguments
+     * @param {Object} context - Command execution context (player, server)
+     * @returns {Promise<Object>} Command execution result
+     */
+    async execute(args, context) {
+        const { player, server } = context;
+
+        // Registered after the commands, looked up when used
+        const warningService = this.services.warningService;
+        if (!warningService || !server) {
+            return { success: false, message: '^1Warnings are not available' };
+        }
+
+        let target = player;
+        if (args.length > 0) {
+            const match = server.matchPlayer(args[0]);
+            if (!match.player) {
+                return { success: false, message: `^1${match.error}` };
+            }
+            target = match.player;
+        }
+
+        if (!target || !target.guid) {
+            return { success: false, message: `^7Usage: ^5${this.usage}` };
+        }
+
+        const isSelf = player && player.guid === target.guid;
+        if (!isSelf && !(player && player.hasPermission(VIEW_PERMISSION))) {
+            return { success: false, message: '^1You cannot list the warnings of other players' };
+        }
+
+        const warnings = await warningService.getActiveWarnings(target.guid);
+        if (warnings.length === 0) {
+            return { success: true, message: `^5${target.name}^7 has no active warning` };
+        }
+
+        const lines = warnings.map((warning, index) =>
+            `^3${index + 1}.^7 ${warning.reason} ^7(${warning.originName || 'System'})`
+        );
+
+        return {
+            success: true,
+            message: [`^5${target.name}^7 has ^3${warnings.length}^7 active warnings:`, ...lines]
+        };
+    }
+}
+
+module.exports = WarnsCommand;
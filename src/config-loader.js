@@ -8,6 +8,15 @@ const fs = require('fs');
 // Chemin du fichier de configuration principal
 const CONFIG_PATH = path.join(__dirname, '..', 'config', 'default.json');
 
+// Plugins optionnels d'exemple, désactivés tant qu'ils ne sont pas retirés de plugins.disabled
+const DEFAULT_DISABLED_PLUGINS = [
+    'ExampleMvcPlugin',
+    'SimpleExampleMvcPlugin',
+    'PlayerStatsPlugin',
+    'StatisticsPlugin',
+    'WelcomeMessagePlugin'
+];
+
 // Charger la configuration
 function loadConfig() {
     try {
@@ -65,7 +74,13 @@ function createDefaultConfig() {
             "api": {
                 "port": 3001,
                 "secret": "change_this_secret_key",
-                "tokenExpiry": "24h",
+                "tokenExpiry": "15m",
+                "refreshTokenDays": 30,
+                "sessionRetentionDays": 7,
+                "twoFactor": {
+                    "issuer": "Node Server Manager",
+                    "requiredRoles": ["admin"]
+                },
                 "rateLimit": {
                     "windowMs": 900000,
                     "max": 300
@@ -82,6 +97,87 @@ function createDefaultConfig() {
             "localization": {
                 "default": "fr"
             },
+            "penalties": {
+                "enforceIpBans": false
+            },
+            "commands": {
+                "prefix": "!",
+                "linesPerPage": 4
+            },
+            "rcon": {
+                "timeout": 5000,
+                "retries": 2,
+                "idleWindow": 300
+            },
+            "mapVote": {
+                "quorum": 0.6,
+                "minVotes": 1,
+                "duration": 120,
+                "countdown": [10, 5, 3]
+            },
+            "reports": {
+                "cooldown": 60,
+                "chatEvidence": 10
+            },
+            "warnings": {
+                "expiry": 604800,
+                "escalation": [
+                    { "at": 3, "action": "kick" },
+                    { "at": 5, "action": "tempban", "duration": 86400 }
+                ]
+            },
+            "ranks": {
+                "enabled": true,
+                "announce": true
+            },
+            "ratings": {
+                "enabled": true,
+                "initialRating": 1500,
+                "initialDeviation": 350,
+                "minDeviation": 50,
+                "inactivityGrowth": 25,
+                "minEvents": 3,
+                "leaderboardMinMatches": 5
+            },
+            "achievements": {
+                "enabled": true,
+                "announce": true
+            },
+            "periods": {
+                "timezone": "UTC",
+                "seasonMonths": 3,
+                "standings": 10
+            },
+            "seasons": {
+                "announce": true,
+                "standings": 10
+            },
+            "plugins": {
+                "disabled": DEFAULT_DISABLED_PLUGINS
+            },
+            "moderation": {
+                "enabled": true,
+                "words": [],
+                "patterns": [],
+                "flood": {
+                    "messages": 5,
+                    "interval": 10
+                },
+                "repeat": {
+                    "count": 3,
+                    "interval": 60
+                },
+                "caps": {
+                    "minLength": 12,
+                    "ratio": 0.7
+                },
+                "escalation": {
+                    "kickAt": 3,
+                    "banAt": 5,
+                    "banDuration": 3600,
+                    "decay": 1800
+                }
+            },
             "logging": {
                 "level": "info",
                 "file": "logs/server.log",
@@ -135,6 +231,8 @@ function validateConfig(config) {
     if (!config.logging.level) config.logging.level = 'info';
     if (!config.logging.file) config.logging.file = 'logs/server.log';
     if (config.logging.console === undefined) config.logging.console = true;
+    if (!config.plugins) config.plugins = {};
+    if (!Array.isArray(config.plugins.disabled)) config.plugins.disabled = [...DEFAULT_DISABLED_PLUGINS];
     
     // Normaliser les chemins
     config.db.path = path.normalize(config.db.path);
@@ -40,6 +40,10 @@ class AppController {
             await this.initializeServerManager();
             console.log('Server manager initialized');
             
+            // Plugins subscribe to the game events published by the servers
+            await this.loadPlugins();
+            console.log('Plugins loaded');
+            
             // Initialize controllers with services
             await this.initializeControllers();
             console.log('Controllers initialized');
@@ -98,6 +102,12 @@ class AppController {
             
             // Create server manager with services
             this.serverManager = new ServerManager(this.config, this.services);
+            
+            // Route in-game chat commands, store and moderate the chat before servers start emitting them
+            this.initializeCommandDispatcher();
+            this.initializeChatLog();
+            this.initializeChatModeration();
+            
             await this.serverManager.init();
             
             // Make available to services
@@ -107,12 +117,176 @@ class AppController {
             if (this.services.serverService) {
                 this.services.serverService.setServerManager(this.serverManager);
             }
+            
+            await this.initializeScheduler();
+            await this.initializeStatsPeriods();
+            
+            if (this.services.dbService) {
+                const RconConsoleService = require('../services/RconConsoleService');
+                this.serviceFactory.register('rconConsoleService', new RconConsoleService(
+                    this.services.dbService,
+                    this.serverManager,
+                    this.services
+                ));
+                
+                const MapRotationService = require('../services/MapRotationService');
+                this.serviceFactory.register('mapRotationService', new MapRotationService(
+                    this.services.dbService,
+                    this.serverManager,
+                    this.services
+                ));
+                
+                const MapVoteService = require('../services/MapVoteService');
+                this.serviceFactory.register('mapVoteService', new MapVoteService(this.serverManager, this.services));
+                
+                const ReportService = require('../services/ReportService');
+                this.serviceFactory.register('reportService', new ReportService(
+                    this.services.dbService,
+                    this.serverManager,
+                    this.services
+                ));
+                
+                const WarningService = require('../services/WarningService');
+                this.serviceFactory.register('warningService', new WarningService(
+                    this.services.dbService,
+                    this.serverManager,
+                    this.services
+                ));
+                
+                // Ranks follow the rated matches, so the rank service listens before ratings start
+                const RankService = require('../services/RankService');
+                const rankService = new RankService(this.services.dbService, this.serverManager, this.services);
+                this.serviceFactory.register('rankService', rankService);
+                await rankService.attach();
+                
+                const RatingService = require('../services/RatingService');
+                const ratingService = new RatingService(this.services.dbService, this.serverManager, this.services);
+                this.serviceFactory.register('ratingService', ratingService);
+                ratingService.attach();
+
+                const AchievementService = require('../services/AchievementService');
+                const achievementService = new AchievementService(this.services.dbService, this.serverManager, this.services);
+                this.serviceFactory.register('achievementService', achievementService);
+                achievementService.attach();
+
+                // Seasons count the stored zombies matches, servers keep running if they cannot start
+                const SeasonService = require('../services/SeasonService');
+                const seasonService = new SeasonService(this.services.dbService, this.serverManager, this.services);
+                this.serviceFactory.register('seasonService', seasonService);
+                try {
+                    await seasonService.start();
+                } catch (error) {
+                    this.services.logService.error('Failed to start the seasons', error);
+                }
+            }
         } catch (error) {
             this.services.logService.error('Failed to initialize server manager', error);
             throw error;
         }
     }
     
+    /**
+     * Initialize the scheduler running the per-server scheduled tasks
+     * @private
+     * @returns {Promise<void>}
+     */
+    async initializeScheduler() {
+        if (!this.services.dbService) {
+            this.services.logService.warn('Database not available, scheduled tasks are disabled');
+            return;
+        }
+        
+        try {
+            const SchedulerService = require('../services/SchedulerService');
+            const schedulerService = new SchedulerService(this.services.dbService, this.serverManager, this.services);
+            this.serviceFactory.register('schedulerService', schedulerService);
+            
+            await schedulerService.start();
+        } catch (error) {
+            // Servers keep running without their scheduled tasks
+            this.services.logService.error('Failed to start the scheduler', error);
+        }
+    }
+    
+    /**
+     * Initialize the stats periods, counting the zombies matches of the history and closing the ended periods
+     * @private
+     * @returns {Promise<void>}
+     */
+    async initializeStatsPeriods() {
+        if (!this.services.dbService) {
+            this.services.logService.warn('Database not available, stats periods are disabled');
+            return;
+        }
+        
+        try {
+            const StatsPeriodService = require('../services/StatsPeriodService');
+            const statsPeriodService = new StatsPeriodService(this.services.dbService, this.services);
+            this.serviceFactory.register('statsPeriodService', statsPeriodService);
+            
+            await statsPeriodService.start();
+        } catch (error) {
+            // Period standings stay as they were, they are caught up at the next start
+            this.services.logService.error('Failed to start the stats periods', error);
+        }
+    }
+    
+    /**
+     * Initialize the command service and the in-game chat command dispatcher
+     * @private
+     */
+    initializeCommandDispatcher() {
+        if (!this.services.commandService) {
+            const CommandService = require('../services/CommandService');
+            this.serviceFactory.register('commandService', new CommandService(this.services));
+        }
+        
+        const ChatCommandDispatcher = require('../core/ChatCommandDispatcher');
+        this.commandDispatcher = new ChatCommandDispatcher(
+            this.serverManager,
+            this.services.commandService,
+            this.config.commands || {}
+        );
+        this.commandDispatcher.attach();
+    }
+    
+    /**
+     * Initialize the chat log storing the chat read from the server logs
+     * @private
+     */
+    initializeChatLog() {
+        if (!this.services.dbService) {
+            this.services.logService.warn('Database not available, the chat is not stored');
+            return;
+        }
+        
+        const ChatService = require('../services/ChatService');
+        const chatService = new ChatService(this.services.dbService, this.serverManager);
+        chatService.attach();
+        this.serviceFactory.register('chatService', chatService);
+    }
+    
+    /**
+     * Initialize the chat moderation warning, kicking and banning abusive players
+     * @private
+     */
+    initializeChatModeration() {
+        if (!this.services.dbService) {
+            this.services.logService.warn('Database not available, the chat is not moderated');
+            return;
+        }
+        
+        const ChatModerationService = require('../services/ChatModerationService');
+        const chatModerationService = new ChatModerationService(
+            this.services.dbService,
+            this.serverManager,
+            this.services,
+            this.config.moderation || {}
+        );
+        chatModerationService.attach();
+        this.serviceFactory.register('chatModerationService', chatModerationService);
+    }
+    
     /**
      * Load plugins
      * @private
@@ -168,7 +342,7 @@ class AppController {
                     const pluginName = path.basename(file, '.js');
                     
                     // Skip if plugin is disabled in config
-                    if (!isCore && this.config.plugins.disabled && 
+                    if (!isCore && this.config.plugins?.disabled && 
                         this.config.plugins.disabled.includes(pluginName)) {
                         logService.info(`Plugin ${pluginName} is disabled, skipping`);
                         continue;
@@ -193,9 +367,10 @@ class AppController {
                             plugin = new PluginClass(this.serviceFactory);
                         }
                         
-                        // Initialize plugin if it has an init method
-                        if (typeof plugin.init === 'function') {
-                            await plugin.init();
+                        // Initialize plugin if it has an init method, MVC plugins report failures by returning false
+                        if (typeof plugin.init === 'function' && await plugin.init() === false) {
+                            logService.error(`Plugin ${pluginName} failed to initialize, skipping`);
+                            continue;
                         }
                         
                         // Store metadata about plugin
@@ -414,9 +589,37 @@ class AppController {
             
             logService.info('Stopping application...');
             
-            // Stop API server if it exists
+            // Stop scheduled tasks first, a restart countdown must not run against stopping servers
+            if (this.services.schedulerService) {
+                this.services.schedulerService.stop();
+            }
+            
+            // Stop map votes before the servers they target
+            if (this.services.mapVoteService) {
+                this.services.mapVoteService.stop();
+            }
+            
+            // Stop the stats period rollover and the season updates with the other timers, before any step that can fail
+            if (this.services.statsPeriodService) {
+                this.services.statsPeriodService.stop();
+            }
+            
+            if (this.services.seasonService) {
+                this.services.seasonService.stop();
+            }
+            
+            // Disconnect the sockets before closing the servers they use
+            if (this.services.socketSessionService) {
+                this.services.socketSessionService.stop();
+            }
+            
+            if (this.services.authService) {
+                this.services.authService.stopSessionCleanup();
+            }
+            
+            // Stop API server if it exists, closing Socket.IO also closes the HTTP server it is attached to
             if (this.apiServer) {
-                await this.apiServer.stop();
+                await new Promise(resolve => (this.io || this.apiServer).close(() => resolve()));
                 logService.info('API server stopped');
             }
             
@@ -724,6 +927,20 @@ class AppController {
                 });
             });
             
+            // Authenticated sockets of both Socket.IO servers, disconnected when their session ends
+            const SocketSessionService = require('../services/SocketSessionService');
+            const socketSessionService = new SocketSessionService(this.services);
+            socketSessionService.start();
+            this.serviceFactory.register('socketSessionService', socketSessionService);
+            
+            // Real-time server and player events
+            const setupEventsSocket = require('../api/sockets/events');
+            setupEventsSocket(this.io, this.services);
+            
+            // Web RCON console channel
+            const setupRconSocket = require('../api/sockets/rcon');
+            setupRconSocket(this.io, this.services);
+            
             // Make io instance available to other services if needed
             this.serviceFactory.register('io', this.io);
             logger.info('Socket.IO server initialized and attached to API server.');
@@ -837,6 +1054,10 @@ class AppController {
             });
         };
         
+        // Audit trail of every mutating request, mounted before the routes it records
+        const { auditRequests } = require('../api/middlewares/audit');
+        apiRouter.use(auditRequests());
+        
         // Servers routes (MVC)
         const setupServersRoutes = require('../api/routes/servers');
         apiRouter.use('/servers', setupServersRoutes(this.serverManager));
@@ -857,6 +1078,36 @@ class AppController {
         apiRouter.use('/auth', setupAuthRoutes(this.serverManager));
         console.log('Added auth routes');
         
+        // Permission routes (roles and role assignments)
+        const setupPermissionRoutes = require('../api/routes/permissions');
+        apiRouter.use('/permissions', setupPermissionRoutes());
+        console.log('Added permission routes');
+        
+        // User routes (web users and invites)
+        const setupUserRoutes = require('../api/routes/users');
+        apiRouter.use('/users', setupUserRoutes());
+        console.log('Added user routes');
+        
+        // Audit log routes (search and CSV export)
+        const setupAuditRoutes = require('../api/routes/audit');
+        apiRouter.use('/audit', setupAuditRoutes());
+        console.log('Added audit routes');
+        
+        // Report routes (moderation queue)
+        const setupReportRoutes = require('../api/routes/reports');
+        apiRouter.use('/reports', setupReportRoutes());
+        console.log('Added report routes');
+        
+        // Rank ladder routes
+        const setupRankRoutes = require('../api/routes/ranks');
+        apiRouter.use('/ranks', setupRankRoutes());
+        console.log('Added rank routes');
+        
+        // Season routes
+        const setupSeasonRoutes = require('../api/routes/seasons');
+        apiRouter.use('/seasons', setupSeasonRoutes());
+        console.log('Added season routes');
+        
         // Events routes (use real implementation)
         const setupEventRoutes = require('../api/routes/events');
         apiRouter.use('/events', setupEventRoutes(this.serverManager));
@@ -914,13 +1165,13 @@ class AppController {
             });
         });
         
-        statsRouter.get('/leaderboard', (req, res) => {
-            res.json({
-                success: true,
-                message: 'Leaderboard API is working',
-                players: []
-            });
-        });
+        // Skill rating leaderboard
+        const setupLeaderboardRoutes = require('../api/routes/leaderboard');
+        statsRouter.use('/leaderboard', setupLeaderboardRoutes());
+        
+        // Zombies standings per period
+        const setupPeriodRoutes = require('../api/routes/periods');
+        statsRouter.use('/periods', setupPeriodRoutes());
         
         statsRouter.get('/multiplayer', (req, res) => {
             res.json({
@@ -3,6 +3,7 @@
  */
 const PlayerService = require('../services/PlayerService');
 const StatsService = require('../services/StatsService');
+const StatsPeriod = require('../core/StatsPeriod');
 
 class PlayerController {
     /**
@@ -117,11 +118,7 @@ class PlayerController {
             const stats = await this.statsService.getPlayerStats(playerId, true);
             
             // Group period stats by type
-            const periodStats = {
-                weekly: [],
-                monthly: [],
-                yearly: []
-            };
+            const periodStats = Object.fromEntries(StatsPeriod.TYPES.map(type => [type, []]));
             
             if (stats && stats.periods) {
                 stats.periods.forEach(period => {
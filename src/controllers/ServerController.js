@@ -3,6 +3,7 @@
  */
 const ServerService = require('../services/ServerService');
 const ServerInstanceService = require('../services/ServerInstanceService');
+const { setAuditContext } = require('../api/middlewares/audit');
 
 class ServerController {
     /**
@@ -163,6 +164,7 @@ class ServerController {
                         rconPort: server.rconPort,
                         status: status,
                         online: server.isRunning(),
+                        readOnly: server.readOnly,
                         players: playerCount,
                         maxPlayers: server.maxPlayers || 0,
                         map: status?.map || null,
@@ -183,6 +185,7 @@ class ServerController {
                         rconPort: server.rconPort,
                         status: 'error',
                         online: false,
+                        readOnly: server.readOnly,
                         error: error.message,
                         config: server.config || {}
                     }
@@ -479,8 +482,15 @@ class ServerController {
                 });
             }
             
+            const previousStatus = server.status;
             await server.start();
             
+            setAuditContext(req, {
+                targetName: server.name,
+                before: { status: previousStatus },
+                after: { status: server.status }
+            });
+            
             res.json({
                 success: true,
                 message: 'Server started successfully',
@@ -533,8 +543,15 @@ class ServerController {
                 });
             }
             
+            const previousStatus = server.status;
             await server.stop();
             
+            setAuditContext(req, {
+                targetName: server.name,
+                before: { status: previousStatus },
+                after: { status: server.status }
+            });
+            
             res.json({
                 success: true,
                 message: 'Server stopped successfully',
@@ -576,8 +593,15 @@ class ServerController {
                 });
             }
             
+            const previousStatus = server.status;
             await server.restart();
             
+            setAuditContext(req, {
+                targetName: server.name,
+                before: { status: previousStatus },
+                after: { status: server.status }
+            });
+            
             res.json({
                 success: true,
                 message: 'Server restarted successfully',
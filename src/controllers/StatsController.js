@@ -2,6 +2,9 @@
  * Stats Controller - Handles statistics-related API endpoints
  */
 const StatsService = require('../services/StatsService');
+const StatsPeriod = require('../core/StatsPeriod');
+const PlayerService = require('../services/PlayerService');
+const { setAuditContext } = require('../api/middlewares/audit');
 
 class StatsController {
     /**
@@ -10,6 +13,7 @@ class StatsController {
      */
     constructor(db) {
         this.statsService = new StatsService(db);
+        this.playerService = new PlayerService(db);
         
         // Bind methods to ensure 'this' context
         this.getLeaderboard = this.getLeaderboard.bind(this);
@@ -33,11 +37,11 @@ class StatsController {
             const search = req.query.search || '';
             
             // Validate periodType
-            const validPeriodTypes = ['all', 'weekly', 'monthly', 'yearly'];
+            const validPeriodTypes = ['all', ...StatsPeriod.TYPES];
             if (!validPeriodTypes.includes(periodType)) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Invalid period type. Must be one of: all, weekly, monthly, yearly'
+                    error: `Invalid period type. Must be one of: ${validPeriodTypes.join(', ')}`
                 });
             }
             
@@ -96,11 +100,10 @@ class StatsController {
             const periodKey = req.query.periodKey || null;
             
             // Validate periodType
-            const validPeriodTypes = ['weekly', 'monthly', 'yearly'];
-            if (!validPeriodTypes.includes(periodType)) {
+            if (!StatsPeriod.TYPES.includes(periodType)) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Invalid period type. Must be one of: weekly, monthly, yearly'
+                    error: `Invalid period type. Must be one of: ${StatsPeriod.TYPES.join(', ')}`
                 });
             }
             
@@ -136,6 +139,8 @@ class StatsController {
                 });
             }
             
+            setAuditContext(req, { action: 'stats.update', targetType: 'player', targetId: guid, targetName: name });
+            
             // Update player stats
             const updatedStats = await this.statsService.updatePlayerStats(guid, name, stats);
             
@@ -169,6 +174,12 @@ class StatsController {
                 });
             }
             
+            setAuditContext(req, { action: 'stats.reset', targetType: 'player', targetId: guid });
+            
+            // Keep the stats being reset for the audit log
+            const player = await this.playerService.getPlayerByGuid(guid);
+            const before = player ? await this.statsService.getPlayerStats(player.id) : null;
+            
             // Reset player stats
             const success = await this.statsService.resetCurrentStats(guid);
             
@@ -179,6 +190,12 @@ class StatsController {
                 });
             }
             
+            setAuditContext(req, {
+                targetName: player.name,
+                before,
+                after: await this.statsService.getPlayerStats(player.id)
+            });
+            
             res.json({
                 success: true,
                 message: 'Player stats have been reset'
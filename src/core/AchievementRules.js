@@ -0,0 +1,180 @@
+/**
+ * Achievement Rules - Declarative achievements and the checks deciding when they are unlocked
+ * Rules are plain objects { id, name, description, icon, type, stat, count, map, resetOn, hours }:
+ * - threshold: a lifetime stat reaches count (the highest round for the round stat)
+ * - streak: a stat is counted count times in one match without any of the resetOn stats in between
+ * - first: like threshold, but only the first players to get there unlock it
+ * - playtime: the player spent hours on the servers
+ */
+
+// Stats the rules can use. Counters add up, levels keep the highest value reached
+const STATS = {
+    kills: { label: 'Kills', kind: 'counter' },
+    deaths: { label: 'Deaths', kind: 'counter' },
+    connections: { label: 'Connections', kind: 'counter' },
+    playtime: { label: 'Playtime (seconds)', kind: 'counter' },
+    zombiesKills: { label: 'Zombies kills', kind: 'counter' },
+    headshots: { label: 'Headshots', kind: 'counter' },
+    downs: { label: 'Downs', kind: 'counter' },
+    revives: { label: 'Revives', kind: 'counter' },
+    revived: { label: 'Times revived', kind: 'counter' },
+    round: { label: 'Highest round', kind: 'level' }
+};
+
+const TYPES = ['threshold', 'streak', 'first', 'playtime'];
+
+// Stats ending a streak when none are given
+const DEFAULT_RESETS = {
+    kills: ['deaths'],
+    zombiesKills: ['downs'],
+    headshots: ['downs']
+};
+
+const ID_PATTERN = /^[a-z0-9_-]+$/;
+
+class AchievementRules {
+    /**
+     * Create a rule set
+     * @param {Array<Object>} rules - Rule definitions
+     */
+    constructor(rules = []) {
+        this.rules = rules.map(rule => AchievementRules.normalizeRule(rule));
+    }
+
+    /**
+     * Check the rules, throws on the first error
+     */
+    validate() {
+        const ids = new Set();
+
+        for (const rule of this.rules) {
+            if (!ID_PATTERN.test(rule.id)) {
+                throw new Error(`Invalid achievement id: ${rule.id}`);
+            }
+
+            if (ids.has(rule.id)) {
+                throw new Error(`Duplicate achievement: ${rule.id}`);
+            }
+            ids.add(rule.id);
+
+            if (!rule.name) {
+                throw new Error(`Achievement ${rule.id} needs a name`);
+            }
+
+            if (!TYPES.includes(rule.type)) {
+                throw new Error(`Unknown type for achievement ${rule.id}: ${rule.type}`);
+            }
+
+            if (!STATS[rule.stat]) {
+                throw new Error(`Unknown stat for achievement ${rule.id}: ${rule.stat}`);
+            }
+
+            if (!Number.isFinite(rule.count) || rule.count <= 0) {
+                throw new Error(`Invalid count for achievement ${rule.id}`);
+            }
+
+            if (rule.type === 'streak' && STATS[rule.stat].kind !== 'counter') {
+                throw new Error(`Achievement ${rule.id} counts a streak of ${rule.stat}, which is not a counter`);
+            }
+
+            for (const stat of rule.resetOn) {
+                if (!STATS[stat] || stat === rule.stat) {
+                    throw new Error(`Invalid reset stat for achievement ${rule.id}: ${stat}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the rule of an achievement
+     * @param {string} id - Achievement ID
+     * @returns {Object|null} Rule or null
+     */
+    get(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * Get the rules a stat can unlock
+     * @param {string} stat - Stat name
+     * @returns {Array<Object>} Rules
+     */
+    getRulesFor(stat) {
+        return this.rules.filter(rule => rule.stat === stat);
+    }
+
+    /**
+     * Get the stat keys to store, stats of rules limited to a map are also kept per map
+     * @returns {Set<string>} Stat keys
+     */
+    getStatKeys() {
+        const keys = new Set(Object.keys(STATS));
+
+        for (const rule of this.rules) {
+            keys.add(AchievementRules.statKey(rule.stat, rule.map));
+        }
+
+        return keys;
+    }
+
+    /**
+     * Check if a rule is met
+     * @param {Object} rule - Rule
+     * @param {Object} values - { lifetime, streak } values of the rule stat
+     * @returns {boolean} Whether the rule is met, the first rules also need nobody to hold them
+     */
+    static isMet(rule, values) {
+        const value = rule.type === 'streak' ? values.streak : values.lifetime;
+        return (value || 0) >= rule.count;
+    }
+
+    /**
+     * Get the key a stat is stored under
+     * @param {string} stat - Stat name
+     * @param {string|null} map - Map name, for the stats kept per map
+     * @returns {string} Stat key
+     */
+    static statKey(stat, map = null) {
+        return map ? `${stat}:${map}` : stat;
+    }
+
+    /**
+     * Clean a rule definition
+     * @param {Object} rule - Rule definition, playtime rules may give hours instead of a stat and a count
+     * @returns {Object} Rule { id, name, description, icon, type, stat, count, map, resetOn }
+     */
+    static normalizeRule(rule = {}) {
+        const type = rule.type || 'threshold';
+        const stat = type === 'playtime' ? 'playtime' : rule.stat;
+        const count = type === 'playtime' && rule.hours !== undefined
+            ? Number(rule.hours) * 3600
+            : Number(rule.count);
+
+        let resetOn = [];
+        if (type === 'streak') {
+            resetOn = Array.isArray(rule.resetOn) ? rule.resetOn : DEFAULT_RESETS[stat] || [];
+        }
+
+        return {
+            id: String(rule.id || '').trim(),
+            name: String(rule.name || '').trim(),
+            description: rule.description || '',
+            icon: rule.icon || null,
+            type,
+            stat,
+            count,
+            map: rule.map || null,
+            resetOn
+        };
+    }
+
+    /**
+     * Get the stats the rules can use
+     * @returns {Object} Stat name -> { label, kind }
+     */
+    static get STATS() {
+        return STATS;
+    }
+}
+
+module.exports = AchievementRules;
@@ -38,7 +38,8 @@ class BasePlugin {
         this.repositories = {};
         
         // Plugin configuration
-        this.config = this.configService ? 
+        // The config service registered by app.js is a plain { config } object without getPluginConfig
+        this.config = this.configService && typeof this.configService.getPluginConfig === 'function' ?
             this.configService.getPluginConfig(this.name.toLowerCase()) || {} : {};
         
         // Plugin state
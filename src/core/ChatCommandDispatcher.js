@@ -0,0 +1,162 @@
+/**
+ * Chat Command Dispatcher - Runs in-game chat commands through the CommandService
+ * Listens to the chat.command events proxied by the ServerManager and replies to the player
+ */
+const logger = require('./Logger');
+
+// Pending pages are dropped when the player does not ask for them
+const PAGE_EXPIRY = 2 * 60 * 1000;
+
+class ChatCommandDispatcher {
+    /**
+     * Create a new ChatCommandDispatcher
+     * @param {ServerManager} serverManager - Server manager emitting chat.command events
+     * @param {CommandManager} commandService - Command service executing the commands
+     * @param {Object} options - Dispatcher options (config.commands)
+     * @param {string|Array<string>} options.prefix - Command prefix shown in replies
+     * @param {number} options.linesPerPage - Lines sent before asking for the next page
+     * @param {string} options.moreCommand - Command showing the next page
+     */
+    constructor(serverManager, commandService, options = {}) {
+        this.serverManager = serverManager;
+        this.commandService = commandService;
+
+        const prefix = Array.isArray(options.prefix) ? options.prefix[0] : options.prefix;
+        this.prefix = prefix || '!';
+        this.linesPerPage = options.linesPerPage || 4;
+        this.moreCommand = options.moreCommand || 'more';
+
+        // "serverId:guid" -> { pages, page, expires }
+        this.pendingPages = new Map();
+
+        this.handleCommand = this.handleCommand.bind(this);
+    }
+
+    /**
+     * Start listening to chat commands
+     */
+    attach() {
+        this.serverManager.on('chat.command', this.handleCommand);
+        logger.debug('Chat command dispatcher attached');
+    }
+
+    /**
+     * Stop listening to chat commands
+     */
+    detach() {
+        this.serverManager.off('chat.command', this.handleCommand);
+        this.pendingPages.clear();
+    }
+
+    /**
+     * Handle a chat command event
+     * @param {Object} data - Event data { serverId, player, command, args }
+     * @returns {Promise<void>}
+     */
+    async handleCommand(data) {
+        const { serverId, player, command, args = [] } = data;
+
+        if (!player || !command) return;
+
+        try {
+            const key = `${serverId}:${player.guid}`;
+
+            if (command === this.moreCommand && this.pendingPages.has(key)) {
+                await this.sendNextPage(key, player);
+                return;
+            }
+
+            const server = this.serverManager.getServerById(serverId) || player.server;
+
+            logger.info(`Chat command from ${player.name} on ${data.serverName || serverId}: ${command} ${args.join(' ')}`);
+
+            const result = await this.commandService.executeCommand(command, args, {
+                player,
+                server,
+                serverManager: this.serverManager
+            });
+
+            await this.reply(key, player, result);
+        } catch (error) {
+            logger.error(`Error dispatching chat command '${command}': ${error.message}`);
+
+            // The player may have left or RCON may be down, the error reply must not throw from the listener
+            try {
+                await player.tell(`^1Error executing command: ${command}`);
+            } catch (tellError) {
+                logger.error(`Error replying to ${player.name} after command '${command}' failed: ${tellError.message}`);
+            }
+        }
+    }
+
+    /**
+     * Send a command result to the player, paginating long results
+     * @param {string} key - Pagination key
+     * @param {ActivePlayer} player - Player to reply to
+     * @param {Object} result - Command result { success, message }
+     * @returns {Promise<void>}
+     */
+    async reply(key, player, result) {
+        const lines = this.toLines(result && result.message);
+        if (lines.length === 0) return;
+
+        const pages = [];
+        for (let i = 0; i < lines.length; i += this.linesPerPage) {
+            pages.push(lines.slice(i, i + this.linesPerPage));
+        }
+
+        this.pendingPages.set(key, {
+            pages,
+            page: 0,
+            expires: Date.now() + PAGE_EXPIRY
+        });
+
+        await this.sendNextPage(key, player);
+    }
+
+    /**
+     * Send the next pending page to the player
+     * @param {string} key - Pagination key
+     * @param {ActivePlayer} player - Player to reply to
+     * @returns {Promise<void>}
+     */
+    async sendNextPage(key, player) {
+        const pending = this.pendingPages.get(key);
+        if (!pending) return;
+
+        if (pending.expires < Date.now()) {
+            this.pendingPages.delete(key);
+            return;
+        }
+
+        const lines = pending.pages[pending.page];
+        pending.page++;
+
+        for (const line of lines) {
+            await player.tell(line);
+        }
+
+        if (pending.page < pending.pages.length) {
+            pending.expires = Date.now() + PAGE_EXPIRY;
+            await player.tell(`^7Page ${pending.page}/${pending.pages.length} - type ^5${this.prefix}${this.moreCommand}^7 for more`);
+        } else {
+            this.pendingPages.delete(key);
+        }
+    }
+
+    /**
+     * Normalize a command message into lines
+     * @param {string|Array<string>} message - Command message
+     * @returns {Array<string>} Non-empty lines
+     */
+    toLines(message) {
+        if (!message) return [];
+
+        const lines = Array.isArray(message) ? message : String(message).split('\n');
+        return lines
+            .map(line => String(line).trim())
+            .filter(line => line.length > 0);
+    }
+}
+
+module.exports = ChatCommandDispatcher;
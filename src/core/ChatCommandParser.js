@@ -0,0 +1,74 @@
+/**
+ * Chat Command Parser - Detects prefixed commands in chat messages and splits their arguments
+ * Arguments can be quoted to contain spaces: !report "Some Player" camping
+ */
+class ChatCommandParser {
+    /**
+     * Create a new ChatCommandParser
+     * @param {string|Array<string>} prefixes - Command prefix or list of accepted prefixes
+     */
+    constructor(prefixes = '!') {
+        const list = Array.isArray(prefixes) ? prefixes : [prefixes];
+
+        // Longest prefixes first so '!!' wins over '!'
+        this.prefixes = list
+            .filter(prefix => typeof prefix === 'string' && prefix.length > 0)
+            .sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Check if a message starts with a command prefix
+     * @param {string} message - Chat message
+     * @returns {boolean} Whether the message is a command
+     */
+    isCommand(message) {
+        return this.parse(message) !== null;
+    }
+
+    /**
+     * Parse a chat message into a command and its arguments
+     * @param {string} message - Chat message
+     * @returns {Object|null} { prefix, command, args, argString } or null if not a command
+     */
+    parse(message) {
+        if (!message) return null;
+
+        const text = message.trim();
+        const prefix = this.prefixes.find(p => text.startsWith(p));
+        if (!prefix) return null;
+
+        const body = text.slice(prefix.length);
+
+        // A command name must directly follow the prefix ("! hello" is plain chat)
+        const nameMatch = body.match(/^([^\s"']+)/);
+        if (!nameMatch) return null;
+
+        const argString = body.slice(nameMatch[1].length).trim();
+
+        return {
+            prefix,
+            command: nameMatch[1].toLowerCase(),
+            args: this.splitArguments(argString),
+            argString
+        };
+    }
+
+    /**
+     * Split an argument string on spaces, keeping quoted parts together
+     * @param {string} argString - Raw arguments
+     * @returns {Array<string>} Arguments
+     */
+    splitArguments(argString) {
+        const args = [];
+        const tokenRegex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+        let match;
+
+        while ((match = tokenRegex.exec(argString)) !== null) {
+            args.push(match[1] ?? match[2] ?? match[3]);
+        }
+
+        return args;
+    }
+}
+
+module.exports = ChatCommandParser;
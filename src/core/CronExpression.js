@@ -0,0 +1,224 @@
+/**
+ * Cron Expression - Parses standard 5-field cron expressions and computes run times
+ * Fields: minute hour day-of-month month day-of-week, evaluated in server local time
+ * Supports '*', lists (1,15), ranges (1-5), steps (*\/10, 0-30/5), month/day names and @aliases
+ */
+
+const ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Upper bound for next() so impossible dates (e.g. 31 feb) cannot loop forever
+const MAX_SEARCH_YEARS = 5;
+
+class CronExpression {
+    /**
+     * Parse a cron expression
+     * @param {string} expression - Cron expression or alias
+     * @throws {Error} If the expression is invalid
+     */
+    constructor(expression) {
+        if (typeof expression !== 'string' || !expression.trim()) {
+            throw new Error('Cron expression is required');
+        }
+
+        this.expression = expression.trim();
+        const source = ALIASES[this.expression.toLowerCase()] || this.expression;
+        const parts = source.split(/\s+/);
+
+        if (parts.length !== FIELDS.length) {
+            throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+        }
+
+        FIELDS.forEach((field, index) => {
+            this[field.name] = this.parseField(parts[index], field);
+        });
+
+        // Sunday can be written 0 or 7
+        if (this.dayOfWeek.has(7)) {
+            this.dayOfWeek.delete(7);
+            this.dayOfWeek.add(0);
+        }
+
+        // With both day fields restricted, a day matches when either does (standard cron behavior)
+        this.dayOfMonthRestricted = parts[2] !== '*';
+        this.dayOfWeekRestricted = parts[4] !== '*';
+    }
+
+    /**
+     * Check if an expression is valid
+     * @param {string} expression - Cron expression
+     * @returns {boolean} Whether the expression can be parsed
+     */
+    static isValid(expression) {
+        try {
+            new CronExpression(expression);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parse a single field into the set of allowed values
+     * @param {string} text - Field text
+     * @param {Object} field - Field definition
+     * @returns {Set<number>} Allowed values
+     * @private
+     */
+    parseField(text, field) {
+        const values = new Set();
+
+        for (const part of text.toLowerCase().split(',')) {
+            const [rangeText, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid step "${part}" in ${field.name} field`);
+            }
+
+            let start;
+            let end;
+
+            if (rangeText === '*') {
+                start = field.min;
+                end = field.name === 'dayOfWeek' ? 6 : field.max;
+            } else {
+                const [startText, endText] = rangeText.split('-');
+                start = this.parseValue(startText, field);
+                // "5/15" means from 5 to the end of the range
+                end = endText !== undefined
+                    ? this.parseValue(endText, field)
+                    : (stepText !== undefined ? field.max : start);
+            }
+
+            if (start > end) {
+                throw new Error(`Invalid range "${part}" in ${field.name} field`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Parse a single value, accepting month and day names
+     * @param {string} text - Value text
+     * @param {Object} field - Field definition
+     * @returns {number} Value
+     * @private
+     */
+    parseValue(text, field) {
+        let value = Number(text);
+
+        if (field.names && field.names.includes(text)) {
+            value = field.names.indexOf(text) + field.offset;
+        }
+
+        if (!Number.isInteger(value) || value < field.min || value > field.max) {
+            throw new Error(`Invalid value "${text}" in ${field.name} field`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Check if the day of a date matches the day fields
+     * @param {Date} date - Date to check
+     * @returns {boolean} Whether the day matches
+     * @private
+     */
+    matchesDay(date) {
+        const domMatch = this.dayOfMonth.has(date.getDate());
+        const dowMatch = this.dayOfWeek.has(date.getDay());
+
+        if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+            return domMatch || dowMatch;
+        }
+
+        return domMatch && dowMatch;
+    }
+
+    /**
+     * Check if a date matches the expression (seconds are ignored)
+     * @param {Date} date - Date to check
+     * @returns {boolean} Whether the expression fires at that minute
+     */
+    matches(date) {
+        return this.minute.has(date.getMinutes())
+            && this.hour.has(date.getHours())
+            && this.month.has(date.getMonth() + 1)
+            && this.matchesDay(date);
+    }
+
+    /**
+     * Get the next time the expression fires, strictly after a date
+     * @param {Date} from - Reference date
+     * @returns {Date|null} Next run time, or null if the expression never fires
+     */
+    next(from = new Date()) {
+        const date = new Date(from.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const limit = from.getFullYear() + MAX_SEARCH_YEARS;
+
+        while (date.getFullYear() <= limit) {
+            if (!this.month.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.hour.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+                continue;
+            }
+
+            if (!this.minute.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+                continue;
+            }
+
+            return date;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the expression text
+     * @returns {string} Cron expression
+     */
+    toString() {
+        return this.expression;
+    }
+}
+
+module.exports = CronExpression;
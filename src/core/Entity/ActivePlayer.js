@@ -6,6 +6,8 @@ const EventEmitter = require('events');
 const crypto = require('crypto');
 const logger = require('../Logger');
 const PlayerModel = require('../../models/Player');
+const PermissionService = require('../../services/PermissionService');
+const RconService = require('../../services/RconService');
 
 // System user for administrative actions
 const SystemUser = { clientId: 0, name: 'System' };
@@ -37,6 +39,10 @@ class ActivePlayer extends EventEmitter {
         this.initialGuid = guid; // Store original GUID for reference
         this.permissionLevel = 0;
         
+        // Roles and permissions, resolved by the PermissionService
+        this.roles = [];
+        this.permissions = [];
+        
         // Model reference
         this.playerModel = null;
         
@@ -118,6 +124,8 @@ class ActivePlayer extends EventEmitter {
                 // Continue player construction despite DB error
             }
             
+            await this.loadPermissions();
+            
             // Initialize match data and temporary data
             this.matchData = {};
             this.sessionData = {}; 
@@ -291,8 +299,7 @@ class ActivePlayer extends EventEmitter {
                 
                 // Log the connection event via EventService
                 if (this.server.services.eventService) {
-                    await this.server.services.eventService.createEvent({
-                        type: 'player.connect',
+                    await this.server.services.eventService.emitAndStore('player.connect', {
                         playerId: this.clientId,
                         serverId: this.server.id,
                         data: {
@@ -330,6 +337,33 @@ class ActivePlayer extends EventEmitter {
         }
     }
     
+    /**
+     * Resolve the roles and permissions of the player on this server
+     * @returns {Promise<void>}
+     */
+    async loadPermissions() {
+        const permissionService = this.server.services && this.server.services.permissionService;
+        if (!permissionService) return;
+        
+        try {
+            const { roles, permissions } = await permissionService.resolve({ guid: this.guid }, this.server.id);
+            this.roles = roles;
+            this.permissions = permissions;
+            logger.debug(`Roles of ${this.name}: ${roles.join(', ') || 'none'}`);
+        } catch (error) {
+            logger.error(`Error loading permissions for ${this.name}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Check if the player has a permission
+     * @param {string} permission - Required permission
+     * @returns {boolean} Whether the permission is granted
+     */
+    hasPermission(permission) {
+        return PermissionService.matches(this.permissions, permission);
+    }
+    
     /**
      * Get persistent metadata for player
      * @param {string} name - Metadata name
@@ -364,36 +398,28 @@ class ActivePlayer extends EventEmitter {
      * Report player for violation
      * @param {string} reason - Report reason
      * @param {Object} origin - Origin player or system
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    report(reason, origin = SystemUser) {
+    async report(reason, origin = SystemUser) {
         try {
-            // Use EventService if available
-            if (this.server.services && this.server.services.eventService) {
-                this.server.services.eventService.createEvent({
-                    type: 'player.report',
-                    playerId: this.clientId,
-                    serverId: this.server.id,
-                    originId: origin.clientId,
-                    data: { 
-                        reason,
-                        playerName: this.name,
-                        originName: origin.name
-                    }
-                });
-            } else {
-                // Fall back to legacy reporting
-                this.server.db.addReport(origin.clientId, this.clientId, reason);
+            const reportService = this.server.services && this.server.services.reportService;
+            if (!reportService) {
+                logger.warn(`ReportService not available, report of ${this.name} is dropped`);
+                return false;
             }
             
-            this.server.emit('report', origin, this, reason);
+            const result = await reportService.createReport({
+                server: this.server,
+                reporter: origin,
+                target: this,
+                reason
+            });
             
-            if (this.server.tellStaffGlobal && typeof this.server.tellStaffGlobal === 'function') {
-                const message = `${origin.name} reported ${this.name} on ${this.server.hostname || this.server.name}: ${reason}`;
-                this.server.tellStaffGlobal(message);
+            if (!result.success) {
+                logger.warn(`Report of ${this.name} by ${origin.name} refused: ${result.error}`);
             }
             
-            return true;
+            return result.success;
         } catch (error) {
             logger.error(`Error reporting ${this.name}: ${error.message}`, error);
             return false;
@@ -401,36 +427,76 @@ class ActivePlayer extends EventEmitter {
     }
     
     /**
-     * Permanently ban player
-     * @param {string} reason - Ban reason
+     * Persist a penalty and publish it through the EventService
+     * @param {string} type - Penalty type (PENALTY_KICK, PENALTY_TEMP_BAN, PENALTY_PERMA_BAN)
+     * @param {string} reason - Penalty reason
      * @param {Object} origin - Origin player or system
-     * @returns {boolean} Success status
+     * @param {number} duration - Duration in seconds (temporary bans only)
+     * @returns {Promise<Object|null>} Created penalty or null if it could not be persisted
      */
-    ban(reason, origin = SystemUser) {
-        try {
-            // Use EventService if available
-            if (this.server.services && this.server.services.eventService) {
-                this.server.services.eventService.createPenaltyEvent({
-                    type: 'PENALTY_PERMA_BAN',
-                    playerId: this.clientId,
-                    serverId: this.server.id,
-                    originId: origin.clientId,
+    async recordPenalty(type, reason, origin = SystemUser, duration = 0) {
+        const services = this.server.services || {};
+        let penalty = null;
+        
+        if (services.penaltyService) {
+            // A penalty that cannot be stored (database error, missing GUID...) must not keep the player on the server
+            try {
+                penalty = await services.penaltyService.addPenalty({
+                    type,
                     reason,
-                    duration: 0
-                });
-            } else {
-                // Fall back to legacy penalty system
-                this.server.db.addPenalty({
-                    targetId: this.clientId,
-                    originId: origin.clientId,
-                    penaltyType: 'PENALTY_PERMA_BAN',
-                    duration: 0,
-                    reason: reason
+                    origin,
+                    duration,
+                    playerId: this.clientId || null,
+                    playerGuid: this.guid,
+                    playerIp: this.ipAddress,
+                    playerName: this.name,
+                    serverId: this.server.id
                 });
+            } catch (error) {
+                logger.error(`Could not persist the ${type} of ${this.name}: ${error.message}`);
             }
+        } else {
+            logger.warn(`PenaltyService not available, ${type} of ${this.name} is not persisted`);
+        }
+        
+        if (services.eventService) {
+            const eventNames = {
+                PENALTY_KICK: 'kick',
+                PENALTY_TEMP_BAN: 'tempban',
+                PENALTY_PERMA_BAN: 'ban'
+            };
+            
+            await services.eventService.emitAndStore(`player.penalty.${eventNames[type] || 'other'}`, {
+                serverId: this.server.id,
+                playerId: this.clientId,
+                data: {
+                    penaltyId: penalty ? penalty.id : null,
+                    type,
+                    reason,
+                    duration,
+                    name: this.name,
+                    guid: this.guid,
+                    originId: origin.clientId,
+                    originName: origin.name
+                }
+            }, true);
+        }
+        
+        return penalty;
+    }
+    
+    /**
+     * Permanently ban player
+     * @param {string} reason - Ban reason
+     * @param {Object} origin - Origin player or system
+     * @returns {Promise<boolean>} Success status
+     */
+    async ban(reason, origin = SystemUser) {
+        try {
+            await this.recordPenalty('PENALTY_PERMA_BAN', reason, origin);
             
             this.server.emit('penalty', 'PENALTY_PERMA_BAN', this, reason, origin);
-            this.kick(`You have been permanently banned for: ^5${reason}`, origin, false, '');
+            await this.kick(`You have been permanently banned for: ^5${reason}`, origin, false, '');
             return true;
         } catch (error) {
             logger.error(`Error banning ${this.name}: ${error.message}`, error);
@@ -443,30 +509,11 @@ class ActivePlayer extends EventEmitter {
      * @param {string} reason - Ban reason
      * @param {Object} origin - Origin player or system
      * @param {number} duration - Ban duration in seconds
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    tempBan(reason, origin, duration) {
+    async tempBan(reason, origin = SystemUser, duration) {
         try {
-            // Use EventService if available
-            if (this.server.services && this.server.services.eventService) {
-                this.server.services.eventService.createPenaltyEvent({
-                    type: 'PENALTY_TEMP_BAN',
-                    playerId: this.clientId,
-                    serverId: this.server.id,
-                    originId: origin.clientId,
-                    reason,
-                    duration
-                });
-            } else {
-                // Fall back to legacy penalty system
-                this.server.db.addPenalty({
-                    targetId: this.clientId,
-                    originId: origin.clientId,
-                    penaltyType: 'PENALTY_TEMP_BAN',
-                    duration: duration,
-                    reason: reason
-                });
-            }
+            await this.recordPenalty('PENALTY_TEMP_BAN', reason, origin, duration);
             
             this.server.emit('penalty', 'PENALTY_TEMP_BAN', this, reason, origin, duration);
             
@@ -474,7 +521,7 @@ class ActivePlayer extends EventEmitter {
                 ? this.server.utils.secondsToDhms(duration) 
                 : `${duration}s`;
             
-            this.kick(`You have been banned for: ^5${reason} ${durationText}^7 left`, origin, false, '');
+            await this.kick(`You have been banned for: ^5${reason} ${durationText}^7 left`, origin, false, '');
             return true;
         } catch (error) {
             logger.error(`Error temp-banning ${this.name}: ${error.message}`, error);
@@ -497,8 +544,8 @@ class ActivePlayer extends EventEmitter {
             }
             
             const prefixes = this.server.rcon.commandPrefixes;
-            const maxLength = prefixes.dvars && prefixes.dvars.maxSayLength 
-                ? prefixes.dvars.maxSayLength 
+            const maxLength = prefixes.Dvars && prefixes.Dvars.maxSayLength 
+                ? prefixes.Dvars.maxSayLength 
                 : 100;
             
             // Function to split text into chunks
@@ -527,10 +574,11 @@ class ActivePlayer extends EventEmitter {
                 // Use player name rather than client slot for tell command
                 const playerIdentifier = this.name || this.clientSlot;
                 
+                // Names and messages carry player text, it must not break out of the quoted message
                 await this.server.rcon.executeCommandAsync(
-                    prefixes.rcon.tell
-                        .replace('%CLIENT%', playerIdentifier)
-                        .replace('%MESSAGE%', chunks[i])
+                    prefixes.Rcon.Tell
+                        .replace('%CLIENT%', RconService.sanitizeText(playerIdentifier))
+                        .replace('%MESSAGE%', RconService.sanitizeText(chunks[i]))
                 );
             }
             
@@ -547,40 +595,21 @@ class ActivePlayer extends EventEmitter {
      * @param {Object} origin - Origin player or system
      * @param {boolean} log - Whether to log the kick
      * @param {string} baseMsg - Base message prefix
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    kick(message, origin = SystemUser, log = true, baseMsg = 'You have been kicked: ^5') {
+    async kick(message, origin = SystemUser, log = true, baseMsg = 'You have been kicked: ^5') {
         try {
-            // Use EventService if available
-            if (this.server.services && this.server.services.eventService) {
-                this.server.services.eventService.createPenaltyEvent({
-                    type: 'PENALTY_KICK',
-                    playerId: this.clientId,
-                    serverId: this.server.id,
-                    originId: origin.clientId,
-                    reason: message,
-                    duration: 0
-                });
-            } else {
-                // Fall back to legacy penalty system
-                this.server.db.addPenalty({
-                    targetId: this.clientId,
-                    originId: origin.clientId,
-                    penaltyType: 'PENALTY_KICK',
-                    duration: 0,
-                    reason: message
-                });
-            }
-            
+            // Bans record their own penalty before kicking
             if (log) {
+                await this.recordPenalty('PENALTY_KICK', message, origin);
                 this.server.emit('penalty', 'PENALTY_KICK', this, message, origin);
             }
             
             if (this.server.rcon && this.server.rcon.commandPrefixes) {
-                this.server.rcon.executeCommandAsync(
-                    this.server.rcon.commandPrefixes.rcon.clientKick
+                await this.server.rcon.executeCommandAsync(
+                    this.server.rcon.commandPrefixes.Rcon.clientKick
                         .replace('%CLIENT%', this.clientSlot)
-                        .replace('%REASON%', `${baseMsg}${message}`)
+                        .replace('%REASON%', RconService.sanitizeText(`${baseMsg}${message}`))
                 );
             } else {
                 logger.warn(`Cannot kick ${this.name}: RCON not configured`);
@@ -609,8 +638,7 @@ class ActivePlayer extends EventEmitter {
             
             // Log disconnect event
             if (this.server.services && this.server.services.eventService) {
-                await this.server.services.eventService.createEvent({
-                    type: 'player.disconnect',
+                await this.server.services.eventService.emitAndStore('player.disconnect', {
                     playerId: this.clientId,
                     serverId: this.server.id,
                     data: {
@@ -658,9 +686,12 @@ class ActivePlayer extends EventEmitter {
                 id: this.server.id,
                 name: this.server.name
             },
-            permissionLevel: this.permissionLevel
+            permissionLevel: this.permissionLevel,
+            roles: this.roles
         };
     }
 }
 
+ActivePlayer.SystemUser = SystemUser;
+
 module.exports = ActivePlayer;
@@ -0,0 +1,237 @@
+/**
+ * JSON Log Event Parser - Extracts and validates JSON events written to the game log
+ * Events are produced by scripts/stats_system.gsc through logPrint(json_encode(obj))
+ */
+
+/**
+ * Schema of the stats object attached to players
+ */
+const STATS_SCHEMA = {
+    type: 'object',
+    properties: {
+        Kills: { type: 'integer', key: 'kills' },
+        Downs: { type: 'integer', key: 'downs' },
+        Revives: { type: 'integer', key: 'revives' },
+        Headshots: { type: 'integer', key: 'headshots' },
+        Score: { type: 'integer', key: 'score' },
+        Round: { type: 'integer', key: 'round' }
+    }
+};
+
+/**
+ * Schema of a player object
+ */
+const PLAYER_SCHEMA = {
+    type: 'object',
+    required: ['Guid', 'Name'],
+    properties: {
+        Name: { type: 'string', key: 'name' },
+        Guid: { type: 'string', key: 'guid' },
+        Clientslot: { type: 'integer', key: 'clientSlot' },
+        Stats: { ...STATS_SCHEMA, key: 'stats' }
+    }
+};
+
+const PLAYER_LIST_SCHEMA = { type: 'array', items: PLAYER_SCHEMA };
+
+/**
+ * Schemas of every event type written by stats_system.gsc
+ * Keys are renamed to camelCase once validated
+ */
+const EVENT_SCHEMAS = {
+    match_start: {
+        type: 'object',
+        required: ['map', 'players'],
+        properties: {
+            map: { type: 'string', key: 'mapName' },
+            players: PLAYER_LIST_SCHEMA,
+            timestamp: { type: 'integer' }
+        }
+    },
+    round_start: {
+        type: 'object',
+        required: ['round', 'players'],
+        properties: {
+            round: { type: 'integer' },
+            players: PLAYER_LIST_SCHEMA
+        }
+    },
+    player_downed: {
+        type: 'object',
+        required: ['player'],
+        properties: { player: PLAYER_SCHEMA }
+    },
+    player_revived: {
+        type: 'object',
+        required: ['player'],
+        properties: { player: PLAYER_SCHEMA }
+    },
+    player_joined: {
+        type: 'object',
+        required: ['player'],
+        properties: {
+            player: PLAYER_SCHEMA,
+            timestamp: { type: 'integer' }
+        }
+    },
+    player_left: {
+        type: 'object',
+        required: ['player'],
+        properties: {
+            player: PLAYER_SCHEMA,
+            timestamp: { type: 'integer' }
+        }
+    },
+    update_stats: {
+        type: 'object',
+        required: ['player'],
+        properties: { player: PLAYER_SCHEMA }
+    },
+    match_end: {
+        type: 'object',
+        required: ['map', 'players'],
+        properties: {
+            map: { type: 'string', key: 'mapName' },
+            players: PLAYER_LIST_SCHEMA,
+            duration_seconds: { type: 'integer', key: 'durationSeconds' },
+            timestamp: { type: 'integer' }
+        }
+    }
+};
+
+// Optional game timestamp (  0:01) followed by the JSON object and nothing else
+const PAYLOAD_PATTERN = /^\s*(?:\d+:\d{2}\s+)?(\{.*\})\s*$/;
+
+class JsonLogEventParser {
+    /**
+     * Create a new JsonLogEventParser
+     * @param {Object} schemas - Event schemas keyed by event name
+     */
+    constructor(schemas = EVENT_SCHEMAS) {
+        this.schemas = { ...schemas };
+    }
+
+    /**
+     * Register or replace the schema of an event type
+     * @param {string} eventName - Value of the "event" property
+     * @param {Object} schema - Event schema
+     * @returns {JsonLogEventParser} This parser for chaining
+     */
+    registerSchema(eventName, schema) {
+        this.schemas[eventName] = schema;
+        return this;
+    }
+
+    /**
+     * Extract a JSON event from a raw log line
+     * The object must be the whole logPrint payload after the game timestamp, so chat lines
+     * (say;id;guid;name;message) holding JSON typed by a player are never read as events
+     * @param {string} line - Raw log line
+     * @returns {Object|null} Parsed JSON object with an "event" property, or null
+     */
+    extract(line) {
+        if (!line) return null;
+
+        const match = line.match(PAYLOAD_PATTERN);
+        if (!match) return null;
+
+        try {
+            const payload = JSON.parse(match[1]);
+            return payload && typeof payload.event === 'string' ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Validate a JSON event against the schema of its type
+     * @param {Object} payload - Parsed JSON event
+     * @returns {Object} { valid, errors, type, data } with data normalized to camelCase keys
+     */
+    validate(payload) {
+        const type = payload.event;
+        const schema = this.schemas[type];
+
+        if (!schema) {
+            return { valid: false, errors: [`Unknown event type: ${type}`], type, data: null };
+        }
+
+        const errors = [];
+        const data = this._validateValue(payload, schema, type, errors);
+
+        return { valid: errors.length === 0, errors, type, data };
+    }
+
+    /**
+     * Extract and validate a JSON event from a raw log line
+     * @param {string} line - Raw log line
+     * @returns {Object|null} Validation result or null if the line holds no JSON event
+     */
+    parse(line) {
+        const payload = this.extract(line);
+        return payload ? this.validate(payload) : null;
+    }
+
+    /**
+     * Validate a value against a schema node and return its normalized form
+     * GSC json_encode writes numeric-looking values unquoted, so strings and integers are coerced
+     * @private
+     * @param {*} value - Value to validate
+     * @param {Object} schema - Schema node
+     * @param {string} path - Path of the value, for error messages
+     * @param {Array<string>} errors - Collected errors
+     * @returns {*} Normalized value
+     */
+    _validateValue(value, schema, path, errors) {
+        switch (schema.type) {
+            case 'string':
+                if (typeof value === 'string') return value;
+                if (typeof value === 'number') return String(value);
+                errors.push(`${path} must be a string`);
+                return null;
+
+            case 'integer': {
+                const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                if (Number.isInteger(number)) return number;
+                errors.push(`${path} must be an integer`);
+                return null;
+            }
+
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push(`${path} must be an array`);
+                    return [];
+                }
+                return value.map((item, index) =>
+                    this._validateValue(item, schema.items, `${path}[${index}]`, errors));
+
+            case 'object': {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${path} must be an object`);
+                    return null;
+                }
+
+                for (const field of schema.required || []) {
+                    if (value[field] === undefined || value[field] === null) {
+                        errors.push(`${path}.${field} is required`);
+                    }
+                }
+
+                const result = {};
+                for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+                    if (value[field] === undefined || value[field] === null) continue;
+                    result[fieldSchema.key || field] =
+                        this._validateValue(value[field], fieldSchema, `${path}.${field}`, errors);
+                }
+                return result;
+            }
+
+            default:
+                return value;
+        }
+    }
+}
+
+JsonLogEventParser.EVENT_SCHEMAS = EVENT_SCHEMAS;
+
+module.exports = JsonLogEventParser;
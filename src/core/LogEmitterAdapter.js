@@ -0,0 +1,170 @@
+/**
+ * Log Emitter Adapter - Follows a game server log file and emits each new line
+ * Handles log truncation (map restart) and rotation (file replaced or recreated)
+ */
+const EventEmitter = require('events');
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+
+const READ_CHUNK_SIZE = 64 * 1024;
+
+class LogEmitterAdapter extends EventEmitter {
+    /**
+     * Create a new LogEmitterAdapter
+     * @param {string} filePath - Path of the log file to follow
+     * @param {Object} options - Adapter options
+     * @param {number} options.pollInterval - Interval between file checks in ms
+     * @param {boolean} options.fromBeginning - Read existing content on start instead of only new lines
+     * @param {string} options.encoding - File encoding
+     */
+    constructor(filePath, options = {}) {
+        super();
+
+        this.filePath = filePath;
+        this.pollInterval = options.pollInterval || 1000;
+        this.fromBeginning = options.fromBeginning || false;
+        this.encoding = options.encoding || 'utf8';
+
+        this.position = 0;
+        this.inode = null;
+        this.partialLine = '';
+        this.decoder = new StringDecoder(this.encoding);
+
+        this.pollTimer = null;
+        this.polling = false;
+        this.running = false;
+    }
+
+    /**
+     * Start following the log file
+     * A missing file is not an error, it is picked up as soon as the server creates it
+     * @returns {Promise<boolean>} Success status
+     */
+    async start() {
+        if (this.running) {
+            return true;
+        }
+
+        try {
+            const stats = await fs.promises.stat(this.filePath);
+            this.inode = stats.ino;
+            this.position = this.fromBeginning ? 0 : stats.size;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.emit('error', error);
+                return false;
+            }
+            this.inode = null;
+            this.position = 0;
+        }
+
+        this.running = true;
+        this.pollTimer = setInterval(() => this._poll(), this.pollInterval);
+        return true;
+    }
+
+    /**
+     * Stop following the log file
+     */
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        this.running = false;
+        this.partialLine = '';
+    }
+
+    /**
+     * Check the file for rotation, truncation or new content
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _poll() {
+        // Skip if the previous read is still in progress
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            let stats;
+            try {
+                stats = await fs.promises.stat(this.filePath);
+            } catch (error) {
+                // File removed during rotation, wait for the new one
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+
+            // Some file systems always report an inode of 0, only compare real values
+            if (this.inode && stats.ino && stats.ino !== this.inode) {
+                this._reset('rotated');
+            } else if (stats.size < this.position) {
+                this._reset('truncated');
+            }
+            this.inode = stats.ino;
+
+            if (stats.size > this.position) {
+                await this._readUntil(stats.size);
+            }
+        } catch (error) {
+            this.emit('error', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Restart reading from the beginning of the file
+     * @private
+     * @param {string} reason - Why the file is re-read ('rotated' or 'truncated')
+     */
+    _reset(reason) {
+        this.position = 0;
+        this.partialLine = '';
+        this.decoder = new StringDecoder(this.encoding);
+        this.emit('reset', { reason, filePath: this.filePath });
+    }
+
+    /**
+     * Read the file from the current position up to the given offset and emit complete lines
+     * @private
+     * @param {number} end - Offset to read up to
+     * @returns {Promise<void>}
+     */
+    async _readUntil(end) {
+        const handle = await fs.promises.open(this.filePath, 'r');
+
+        try {
+            const buffer = Buffer.alloc(Math.min(READ_CHUNK_SIZE, end - this.position));
+
+            while (this.running && this.position < end) {
+                const length = Math.min(buffer.length, end - this.position);
+                const { bytesRead } = await handle.read(buffer, 0, length, this.position);
+                if (bytesRead === 0) break;
+
+                this.position += bytesRead;
+                this._emitLines(this.decoder.write(buffer.subarray(0, bytesRead)));
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Split decoded text into lines, keeping the trailing incomplete line for the next read
+     * @private
+     * @param {string} text - Decoded text
+     */
+    _emitLines(text) {
+        const lines = (this.partialLine + text).split(/\r?\n/);
+        this.partialLine = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim().length > 0) {
+                this.emit('line', line);
+            }
+        }
+    }
+}
+
+module.exports = LogEmitterAdapter;
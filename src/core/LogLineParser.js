@@ -0,0 +1,158 @@
+/**
+ * Log Line Parser - Turns raw game log lines into typed events
+ * Built from the EventPatterns of the game's RCON command prefixes, extra patterns can be registered
+ */
+
+/**
+ * Default mappers for the EventPatterns keys shared by every game prefix file
+ */
+const DEFAULT_MAPPERS = {
+    // J;id;guid;name
+    connect: {
+        type: 'player.connected',
+        map: (match) => ({
+            clientSlot: parseInt(match[1]),
+            guid: match[2].trim(),
+            name: match[3].trim()
+        })
+    },
+    // Q;id;guid;name
+    disconnect: {
+        type: 'player.disconnected',
+        map: (match) => ({
+            clientSlot: parseInt(match[1]),
+            guid: match[2].trim(),
+            name: match[3].trim()
+        })
+    },
+    // say;id;guid;name;message
+    say: {
+        type: 'player.say',
+        map: (match) => ({
+            clientSlot: parseInt(match[1]),
+            guid: match[2].trim(),
+            name: match[3].trim(),
+            // The game prefixes chat messages with a NAK control character
+            message: match[4].replace(/^\x15/, '').trim()
+        })
+    },
+    // K;killer_id;killer_name;victim_id;victim_name;weapon
+    kill: {
+        type: 'player.kill',
+        map: (match) => ({
+            attacker: {
+                clientSlot: parseInt(match[1]),
+                name: match[2].trim()
+            },
+            victim: {
+                clientSlot: parseInt(match[3]),
+                name: match[4].trim()
+            },
+            weapon: match[5].trim()
+        })
+    }
+};
+
+/**
+ * Match boundaries, written the same way by every game
+ */
+const MATCH_PATTERNS = [
+    // InitGame: \g_gametype\war\mapname\mp_rust\...
+    {
+        type: 'match.start',
+        regex: /InitGame:\s*(.*)$/,
+        map: (match) => {
+            const info = LogLineParser.parseInfoString(match[1]);
+            return {
+                gametype: info.g_gametype || null,
+                mapName: info.mapname || null
+            };
+        }
+    },
+    // ShutdownGame:
+    {
+        type: 'match.end',
+        regex: /ShutdownGame:/,
+        map: () => ({})
+    }
+];
+
+class LogLineParser {
+    /**
+     * Create a new LogLineParser
+     * @param {Object} eventPatterns - EventPatterns object from a RconCommandPrefixes file
+     */
+    constructor(eventPatterns = {}) {
+        this.patterns = [];
+
+        // Chat is tried first, a message may contain text looking like another event
+        for (const key of ['say', 'kill', 'connect', 'disconnect']) {
+            const mapper = DEFAULT_MAPPERS[key];
+            const regex = eventPatterns[key];
+            if (regex instanceof RegExp) {
+                this.registerPattern(mapper.type, regex, mapper.map);
+            }
+        }
+
+        for (const pattern of MATCH_PATTERNS) {
+            this.registerPattern(pattern.type, pattern.regex, pattern.map);
+        }
+    }
+
+    /**
+     * Register an additional pattern
+     * Patterns are tried in registration order, the first match wins
+     * @param {string} type - Event type emitted when the pattern matches
+     * @param {RegExp} regex - Pattern to test lines against
+     * @param {Function} map - Function converting the match array into event data
+     * @returns {LogLineParser} This parser for chaining
+     */
+    registerPattern(type, regex, map = (match) => ({ match: match.slice(1) })) {
+        this.patterns.push({ type, regex, map });
+        return this;
+    }
+
+    /**
+     * Parse a single log line
+     * @param {string} line - Raw log line
+     * @returns {Object|null} Parsed event { type, data } or null if no pattern matches
+     */
+    parse(line) {
+        if (!line) return null;
+
+        for (const pattern of this.patterns) {
+            const match = line.match(pattern.regex);
+            if (!match) continue;
+
+            try {
+                return {
+                    type: pattern.type,
+                    data: pattern.map(match)
+                };
+            } catch (error) {
+                // Malformed line for this pattern, try the next one
+                continue;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a backslash separated info string (\key\value\key\value)
+     * @param {string} text - Info string
+     * @returns {Object} Values by key
+     */
+    static parseInfoString(text) {
+        const parts = String(text || '').trim().replace(/^\\/, '').split('\\');
+        const info = {};
+
+        for (let i = 0; i + 1 < parts.length; i += 2) {
+            info[parts[i]] = parts[i + 1];
+        }
+
+        return info;
+    }
+}
+
+module.exports = LogLineParser;
@@ -0,0 +1,124 @@
+/**
+ * Map Rotation - Parses and writes the sv_mapRotation dvar
+ * The dvar is a list of "gametype <name>" and "map <name>" pairs, a gametype applies to every map after it
+ */
+
+// Map and gametype names are sent unquoted, anything else could inject a second command
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class MapRotation {
+    /**
+     * Create a rotation from its entries
+     * @param {Array<Object>} entries - Entries { map, gametype }, gametype null keeps the current one
+     */
+    constructor(entries = []) {
+        this.entries = entries.map(entry => ({
+            map: entry.map,
+            gametype: entry.gametype || null
+        }));
+    }
+
+    /**
+     * Parse a sv_mapRotation value
+     * @param {string} value - Dvar value, e.g. "gametype tdm map mp_raid map mp_slums"
+     * @returns {MapRotation} Rotation with the effective gametype of every map
+     */
+    static parse(value) {
+        const tokens = String(value || '').replace(/\^[0-9]/g, '').trim().split(/\s+/).filter(Boolean);
+        const entries = [];
+        let gametype = null;
+
+        for (let i = 0; i < tokens.length - 1; i++) {
+            const key = tokens[i].toLowerCase();
+
+            if (key === 'gametype') {
+                gametype = tokens[++i];
+            } else if (key === 'map') {
+                entries.push({ map: tokens[++i], gametype });
+            }
+        }
+
+        return new MapRotation(entries);
+    }
+
+    /**
+     * Check that a map or gametype name can be sent to the server
+     * @param {string} name - Map or gametype name
+     * @returns {boolean} True if the name is valid
+     */
+    static isValidName(name) {
+        return typeof name === 'string' && NAME_PATTERN.test(name);
+    }
+
+    /**
+     * Validate the entries
+     * @throws {Error} If an entry has an invalid map or gametype
+     */
+    validate() {
+        if (this.entries.length === 0) {
+            throw new Error('A rotation requires at least one map');
+        }
+
+        for (const entry of this.entries) {
+            if (!MapRotation.isValidName(entry.map)) {
+                throw new Error(`Invalid map name: ${entry.map}`);
+            }
+            if (entry.gametype !== null && !MapRotation.isValidName(entry.gametype)) {
+                throw new Error(`Invalid gametype: ${entry.gametype}`);
+            }
+        }
+    }
+
+    /**
+     * Get the distinct maps of the rotation
+     * @returns {Array<string>} Map names in rotation order
+     */
+    getMaps() {
+        return [...new Set(this.entries.map(entry => entry.map))];
+    }
+
+    /**
+     * Find the entry of a map, by exact name or by a part of it ("raid" finds "mp_raid")
+     * @param {string} name - Map name or part of it
+     * @returns {Object|null} Entry { map, gametype } or null if none or several maps match
+     */
+    findMap(name) {
+        const search = String(name || '').toLowerCase();
+        if (!search) return null;
+
+        const exact = this.entries.find(entry => entry.map.toLowerCase() === search);
+        if (exact) return exact;
+
+        const matches = this.getMaps().filter(map => map.toLowerCase().includes(search));
+        return matches.length === 1 ? this.entries.find(entry => entry.map === matches[0]) : null;
+    }
+
+    /**
+     * Write the rotation as a sv_mapRotation value, a gametype is only repeated when it changes
+     * @returns {string} Dvar value
+     */
+    toString() {
+        const tokens = [];
+        let gametype = null;
+
+        for (const entry of this.entries) {
+            if (entry.gametype && entry.gametype !== gametype) {
+                gametype = entry.gametype;
+                tokens.push('gametype', gametype);
+            }
+            tokens.push('map', entry.map);
+        }
+
+        return tokens.join(' ');
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Array<Object>} Entries { map, gametype }
+     */
+    toJSON() {
+        return this.entries;
+    }
+}
+
+module.exports = MapRotation;
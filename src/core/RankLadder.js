@@ -0,0 +1,160 @@
+/**
+ * Rank Ladder - Ordered ranks with compound requirements on player metrics
+ * A player holds the highest rank whose requirements are all met. Ranks are ordered by the
+ * chosen metric of the ladder, which is also the metric shown as progress towards the next rank
+ */
+
+// Metrics a requirement can use, and the stats they are read from
+const METRICS = {
+    kills: { label: 'Kills', source: 'multiplayer' },
+    deaths: { label: 'Deaths', source: 'multiplayer' },
+    kd: { label: 'K/D ratio', source: 'multiplayer' },
+    matches: { label: 'Rated matches', source: 'multiplayer' },
+    rating: { label: 'Skill rating', source: 'multiplayer' },
+    playtime: { label: 'Playtime (hours)', source: 'players' },
+    zombiesKills: { label: 'Zombies kills', source: 'zombies' },
+    highestRound: { label: 'Highest round', source: 'zombies' },
+    revives: { label: 'Revives', source: 'zombies' },
+    downs: { label: 'Downs', source: 'zombies' },
+    zombiesMatches: { label: 'Zombies matches', source: 'zombies' }
+};
+
+// Quake color codes ^0 to ^9
+const COLOR_PATTERN = /^\^[0-9]$/;
+
+class RankLadder {
+    /**
+     * Create a ladder
+     * @param {string} metric - Metric ordering the ranks
+     * @param {Array<Object>} ranks - Ranks { name, color, requirements: { metric: minimum } }
+     */
+    constructor(metric, ranks = []) {
+        this.metric = metric;
+
+        // Sorting is stable, ranks with the same threshold keep their order
+        this.ranks = ranks
+            .map(rank => RankLadder.normalizeRank(rank))
+            .sort((a, b) => (a.requirements[metric] || 0) - (b.requirements[metric] || 0));
+    }
+
+    /**
+     * Check the ladder, throws on the first error
+     */
+    validate() {
+        if (!METRICS[this.metric]) {
+            throw new Error(`Unknown metric: ${this.metric}`);
+        }
+
+        if (this.ranks.length === 0) {
+            throw new Error('A ladder needs at least one rank');
+        }
+
+        const names = new Set();
+
+        for (const rank of this.ranks) {
+            if (!rank.name) {
+                throw new Error('Every rank needs a name');
+            }
+
+            if (names.has(rank.name.toLowerCase())) {
+                throw new Error(`Duplicate rank: ${rank.name}`);
+            }
+            names.add(rank.name.toLowerCase());
+
+            if (!COLOR_PATTERN.test(rank.color)) {
+                throw new Error(`Invalid color for rank ${rank.name}: ${rank.color}`);
+            }
+
+            for (const [metric, minimum] of Object.entries(rank.requirements)) {
+                if (!METRICS[metric]) {
+                    throw new Error(`Unknown metric in rank ${rank.name}: ${metric}`);
+                }
+
+                if (!Number.isFinite(minimum) || minimum < 0) {
+                    throw new Error(`Invalid ${metric} requirement in rank ${rank.name}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the rank of a player
+     * @param {Object} metrics - Player metrics, missing metrics count as 0
+     * @returns {number} Index of the highest rank whose requirements are met, 0 if none
+     */
+    getRankIndex(metrics) {
+        let index = 0;
+
+        this.ranks.forEach((rank, i) => {
+            if (RankLadder.meets(rank, metrics)) index = i;
+        });
+
+        return index;
+    }
+
+    /**
+     * Get the value of the ladder metric
+     * @param {Object} metrics - Player metrics
+     * @returns {number} Value
+     */
+    getValue(metrics) {
+        return metrics[this.metric] || 0;
+    }
+
+    /**
+     * Get the stats a ladder needs
+     * @returns {Set<string>} Sources (multiplayer, players, zombies)
+     */
+    getSources() {
+        const sources = new Set([METRICS[this.metric].source]);
+
+        for (const rank of this.ranks) {
+            for (const metric of Object.keys(rank.requirements)) {
+                sources.add(METRICS[metric].source);
+            }
+        }
+
+        return sources;
+    }
+
+    /**
+     * Check if metrics meet every requirement of a rank
+     * @param {Object} rank - Rank
+     * @param {Object} metrics - Player metrics
+     * @returns {boolean} Whether the rank is reached
+     */
+    static meets(rank, metrics) {
+        return Object.entries(rank.requirements).every(([metric, minimum]) => (metrics[metric] || 0) >= minimum);
+    }
+
+    /**
+     * Clean a rank definition
+     * @param {Object} rank - { name, color, requirements } or a legacy { name, color, minKills }
+     * @returns {Object} Rank { name, color, requirements }
+     */
+    static normalizeRank(rank = {}) {
+        const requirements = {};
+        const source = rank.requirements || (rank.minKills !== undefined ? { kills: rank.minKills } : {});
+
+        for (const [metric, minimum] of Object.entries(source)) {
+            if (minimum === null || minimum === undefined || minimum === '') continue;
+            requirements[metric] = Number(minimum);
+        }
+
+        return {
+            name: String(rank.name || '').trim(),
+            color: rank.color || '^7',
+            requirements
+        };
+    }
+
+    /**
+     * Get the metrics a requirement can use
+     * @returns {Object} Metric name -> { label, source }
+     */
+    static get METRICS() {
+        return METRICS;
+    }
+}
+
+module.exports = RankLadder;
@@ -0,0 +1,184 @@
+/**
+ * Skill Rating - Glicko rating engine for multiplayer matches
+ * A rating comes with a deviation measuring its uncertainty. The deviation shrinks as the player
+ * plays and grows back with inactivity, rankings use the conservative rating (rating - 2 deviations)
+ */
+
+// Glicko scale constant
+const Q = Math.log(10) / 400;
+
+const DEFAULT_OPTIONS = {
+    initialRating: 1500,
+    initialDeviation: 350,
+    minDeviation: 50,
+    // Deviation gained per day without a match
+    inactivityGrowth: 25
+};
+
+class SkillRating {
+    /**
+     * Create a rating engine
+     * @param {Object} options - { initialRating, initialDeviation, minDeviation, inactivityGrowth }
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Get the deviation of a player after a period of inactivity
+     * @param {number} deviation - Deviation after the last match
+     * @param {number} days - Days since the last match
+     * @returns {number} Grown deviation, never above the initial deviation
+     */
+    decay(deviation, days) {
+        if (!(days > 0)) return deviation;
+
+        const grown = Math.sqrt(deviation * deviation + this.options.inactivityGrowth ** 2 * days);
+        return Math.min(grown, this.options.initialDeviation);
+    }
+
+    /**
+     * Rate the players of a match
+     * Every pair of opponents is scored from the team result, their duels (kills on each other)
+     * and, when they did not meet, their performance. A match weighs as much as one game
+     * against the average opponent, whatever the number of players
+     * @param {Array<Object>} players - { key, rating, deviation, team, kills, deaths, score }
+     * @param {Object} options - Match results
+     * @param {Map<string, number>} options.duels - Kills by "attackerKey victimKey"
+     * @param {Object} options.teamScores - Score of each team, for team modes
+     * @returns {Array<Object>} New { key, rating, deviation, delta } in the order of the players
+     */
+    rateMatch(players, { duels = new Map(), teamScores = null } = {}) {
+        const useScore = players.some(player => player.score > 0);
+        const performance = (player) => (useScore ? player.score : player.kills - player.deaths);
+
+        return players.map((player) => {
+            const opponents = [];
+
+            for (const other of players) {
+                if (other === player || SkillRating.isTeammate(player, other)) continue;
+
+                const components = [];
+
+                const teamResult = SkillRating.teamResult(player, other, teamScores);
+                if (teamResult !== null) components.push(teamResult);
+
+                const won = duels.get(`${player.key} ${other.key}`) || 0;
+                const lost = duels.get(`${other.key} ${player.key}`) || 0;
+                if (won + lost > 0) components.push(won / (won + lost));
+
+                if (components.length === 0) {
+                    components.push(SkillRating.compare(performance(player), performance(other)));
+                }
+
+                opponents.push({
+                    rating: other.rating,
+                    deviation: other.deviation,
+                    score: components.reduce((sum, value) => sum + value, 0) / components.length
+                });
+            }
+
+            if (opponents.length === 0) {
+                return { key: player.key, rating: player.rating, deviation: player.deviation, delta: 0 };
+            }
+
+            const result = this.update(player, opponents, 1 / opponents.length);
+            return { key: player.key, ...result, delta: result.rating - player.rating };
+        });
+    }
+
+    /**
+     * Glicko update of a rating against a set of opponents
+     * @param {Object} player - { rating, deviation }
+     * @param {Array<Object>} opponents - { rating, deviation, score } with a score between 0 and 1
+     * @param {number} weight - Weight of each opponent
+     * @returns {Object} { rating, deviation }
+     */
+    update(player, opponents, weight = 1) {
+        let variance = 0;
+        let improvement = 0;
+
+        for (const opponent of opponents) {
+            const g = SkillRating.g(opponent.deviation);
+            const expected = SkillRating.expectedScore(player.rating, opponent.rating, opponent.deviation);
+
+            variance += weight * Q * Q * g * g * expected * (1 - expected);
+            improvement += weight * g * (opponent.score - expected);
+        }
+
+        const precision = 1 / (player.deviation * player.deviation) + variance;
+
+        return {
+            rating: player.rating + (Q / precision) * improvement,
+            deviation: Math.max(Math.sqrt(1 / precision), this.options.minDeviation)
+        };
+    }
+
+    /**
+     * Expected score of a player against an opponent
+     * @param {number} rating - Player rating
+     * @param {number} opponentRating - Opponent rating
+     * @param {number} opponentDeviation - Opponent deviation
+     * @returns {number} Probability of winning, between 0 and 1
+     */
+    static expectedScore(rating, opponentRating, opponentDeviation) {
+        return 1 / (1 + Math.pow(10, -SkillRating.g(opponentDeviation) * (rating - opponentRating) / 400));
+    }
+
+    /**
+     * Weight of an opponent's result, lower when the opponent's rating is uncertain
+     * @param {number} deviation - Opponent deviation
+     * @returns {number} Weight between 0 and 1
+     */
+    static g(deviation) {
+        return 1 / Math.sqrt(1 + 3 * Q * Q * deviation * deviation / (Math.PI * Math.PI));
+    }
+
+    /**
+     * Rating used to rank players, low while the rating is uncertain
+     * @param {number} rating - Rating
+     * @param {number} deviation - Deviation
+     * @returns {number} Conservative rating
+     */
+    static conservative(rating, deviation) {
+        return rating - 2 * deviation;
+    }
+
+    /**
+     * Check if two players are in the same team
+     * @param {Object} a - Player { team }
+     * @param {Object} b - Player { team }
+     * @returns {boolean} Whether both have the same team
+     */
+    static isTeammate(a, b) {
+        return !!a.team && !!b.team && a.team !== 'none' && a.team === b.team;
+    }
+
+    /**
+     * Result of the team of a player against the team of an opponent
+     * @param {Object} a - Player { team }
+     * @param {Object} b - Opponent { team }
+     * @param {Object|null} teamScores - Score of each team
+     * @returns {number|null} 1, 0 or 0.5 for a draw, null without team scores
+     */
+    static teamResult(a, b, teamScores) {
+        if (!teamScores || !a.team || !b.team) return null;
+        if (!(a.team in teamScores) || !(b.team in teamScores)) return null;
+
+        return SkillRating.compare(teamScores[a.team], teamScores[b.team]);
+    }
+
+    /**
+     * Compare two values as a game result
+     * @param {number} a - Player value
+     * @param {number} b - Opponent value
+     * @returns {number} 1 if a is higher, 0 if lower, 0.5 for a draw
+     */
+    static compare(a, b) {
+        if (a > b) return 1;
+        if (a < b) return 0;
+        return 0.5;
+    }
+}
+
+module.exports = SkillRating;
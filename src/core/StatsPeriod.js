@@ -0,0 +1,230 @@
+/**
+ * Stats Period - Period keys and boundaries of the period stats, in a configurable timezone
+ * Weeks follow ISO 8601: they start on monday and belong to the year of their thursday,
+ * so the last days of december can be in week 1 of the next year (2025-12-29 is 2026-W01).
+ * Seasons split the year in blocks of a few months (quarters by default)
+ */
+
+const TYPES = ['daily', 'weekly', 'monthly', 'seasonal', 'yearly'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const KEY_PATTERNS = {
+    daily: /^(\d{4})-(\d{2})-(\d{2})$/,
+    weekly: /^(\d{4})-W(\d{2})$/,
+    monthly: /^(\d{4})-(\d{2})$/,
+    seasonal: /^(\d{4})-S(\d{1,2})$/,
+    yearly: /^(\d{4})$/
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class StatsPeriod {
+    /**
+     * Create a period engine
+     * @param {Object} options - { timezone, seasonMonths }
+     */
+    constructor(options = {}) {
+        this.timezone = options.timezone || 'UTC';
+        this.seasonMonths = options.seasonMonths || 3;
+
+        // Throws a RangeError for an unknown timezone
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+
+    /**
+     * Check the options, throws on the first error
+     */
+    validate() {
+        if (!Number.isInteger(this.seasonMonths) || this.seasonMonths < 1 || 12 % this.seasonMonths !== 0) {
+            throw new Error(`Invalid season length: ${this.seasonMonths} months, it must divide the year`);
+        }
+    }
+
+    /**
+     * Get the period containing a date
+     * @param {string} type - Period type (daily, weekly, monthly, seasonal, yearly)
+     * @param {Date} date - Date
+     * @returns {Object} Period { type, key, start, end }, end is excluded
+     */
+    getPeriod(type, date = new Date()) {
+        const { year, month, day } = this.getLocalParts(date);
+
+        switch (type) {
+            case 'daily':
+                return this.build(type, `${year}-${pad(month)}-${pad(day)}`, [year, month, day], [year, month, day + 1]);
+
+            case 'weekly': {
+                const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+                const monday = day - weekday;
+
+                // The week belongs to the year of its thursday
+                const thursday = new Date(Date.UTC(year, month - 1, monday + 3));
+                const weekYear = thursday.getUTCFullYear();
+                const week = Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / DAY / 7) + 1;
+
+                return this.build(type, `${weekYear}-W${pad(week)}`, [year, month, monday], [year, month, monday + 7]);
+            }
+
+            case 'monthly':
+                return this.build(type, `${year}-${pad(month)}`, [year, month, 1], [year, month + 1, 1]);
+
+            case 'seasonal': {
+                const season = Math.floor((month - 1) / this.seasonMonths);
+                const firstMonth = season * this.seasonMonths + 1;
+
+                return this.build(type, `${year}-S${season + 1}`, [year, firstMonth, 1], [year, firstMonth + this.seasonMonths, 1]);
+            }
+
+            case 'yearly':
+                return this.build(type, String(year), [year, 1, 1], [year + 1, 1, 1]);
+
+            default:
+                throw new Error(`Unknown period type: ${type}`);
+        }
+    }
+
+    /**
+     * Get a period from its key
+     * @param {string} type - Period type
+     * @param {string} key - Period key, e.g. 2026-W01, 2026-03, 2026-S2
+     * @returns {Object|null} Period or null if the key is invalid
+     */
+    getPeriodByKey(type, key) {
+        const match = KEY_PATTERNS[type] && KEY_PATTERNS[type].exec(String(key));
+        if (!match) return null;
+
+        const [year, a, b] = match.slice(1).map(Number);
+        let start;
+
+        switch (type) {
+            case 'daily':
+                start = [year, a, b];
+                break;
+            case 'weekly': {
+                // January 4th is always in week 1
+                const weekday = (new Date(Date.UTC(year, 0, 4)).getUTCDay() + 6) % 7;
+                start = [year, 1, 4 - weekday + (a - 1) * 7];
+                break;
+            }
+            case 'monthly':
+                start = [year, a, 1];
+                break;
+            case 'seasonal':
+                start = [year, (a - 1) * this.seasonMonths + 1, 1];
+                break;
+            default:
+                start = [year, 1, 1];
+        }
+
+        // Out of range keys (month 13, week 53 of a 52 weeks year...) give another key back
+        const period = this.getPeriod(type, this.toDate(...start));
+        return period.key === key ? period : null;
+    }
+
+    /**
+     * Get the period before another one
+     * @param {Object} period - Period
+     * @returns {Object} Previous period
+     */
+    getPrevious(period) {
+        return this.getPeriod(period.type, new Date(period.start.getTime() - 1));
+    }
+
+    /**
+     * Get the date and time of an instant in the timezone
+     * @param {Date} date - Instant
+     * @returns {Object} { year, month, day, hour, minute, second }, month from 1 to 12
+     */
+    getLocalParts(date) {
+        const parts = {};
+        for (const { type, value } of this.formatter.formatToParts(date)) {
+            parts[type] = Number(value);
+        }
+
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hour: parts.hour % 24,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+
+    /**
+     * Get the instant of a local midnight, out of range days and months roll over
+     * @param {number} year - Year
+     * @param {number} month - Month from 1 to 12
+     * @param {number} day - Day of the month
+     * @returns {Date} Instant
+     */
+    toDate(year, month, day) {
+        const local = Date.UTC(year, month - 1, day);
+
+        // The offset is taken again at the first guess, in case it crossed a DST change
+        const guess = local - this.getOffset(new Date(local));
+        return new Date(local - this.getOffset(new Date(guess)));
+    }
+
+    /**
+     * Get the offset of the timezone at an instant
+     * @param {Date} date - Instant
+     * @returns {number} Offset in milliseconds, positive east of UTC
+     * @private
+     */
+    getOffset(date) {
+        const { year, month, day, hour, minute, second } = this.getLocalParts(date);
+        const local = Date.UTC(year, month - 1, day, hour, minute, second);
+
+        return local - (date.getTime() - date.getUTCMilliseconds());
+    }
+
+    /**
+     * Build a period
+     * @param {string} type - Period type
+     * @param {string} key - Period key
+     * @param {Array<number>} start - Local [year, month, day] of the first day
+     * @param {Array<number>} end - Local [year, month, day] of the day after the last day
+     * @returns {Object} Period { type, key, start, end }
+     * @private
+     */
+    build(type, key, start, end) {
+        return { type, key, start: this.toDate(...start), end: this.toDate(...end) };
+    }
+
+    /**
+     * Create the period engine of the configuration, an invalid configuration falls back to UTC quarters
+     * @param {Object} settings - { timezone, seasonMonths }
+     * @returns {StatsPeriod} Period engine
+     */
+    static fromConfig(settings = {}) {
+        try {
+            const periods = new StatsPeriod(settings);
+            periods.validate();
+            return periods;
+        } catch (error) {
+            console.error(`Invalid stats periods configuration, using UTC: ${error.message}`);
+            return new StatsPeriod();
+        }
+    }
+
+    /**
+     * Get the period types
+     * @returns {Array<string>} Period types
+     */
+    static get TYPES() {
+        return TYPES;
+    }
+}
+
+module.exports = StatsPeriod;
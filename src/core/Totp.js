@@ -0,0 +1,182 @@
+/**
+ * TOTP - Time-based one-time passwords (RFC 6238) with the defaults of authenticator apps
+ * HMAC-SHA1, 6 digits, 30 second steps, secrets exchanged in base32 (RFC 4648)
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_OPTIONS = {
+    digits: 6,
+    period: 30,
+    algorithm: 'sha1'
+};
+
+class Totp {
+    /**
+     * Encode bytes in base32 without padding
+     * @param {Buffer} buffer - Bytes to encode
+     * @returns {string} Base32 string
+     */
+    static base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * Decode a base32 string, case, spaces and padding are ignored
+     * @param {string} input - Base32 string
+     * @returns {Buffer} Decoded bytes
+     * @throws {Error} If the string contains a character outside the base32 alphabet
+     */
+    static base32Decode(input) {
+        const clean = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid base32 character: ${char}`);
+            }
+
+            value = (value << 5) | index;
+            bits += 5;
+
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Generate a random secret
+     * @param {number} size - Number of random bytes, 20 matches the SHA-1 block recommendation of RFC 4226
+     * @returns {string} Base32 secret
+     */
+    static generateSecret(size = 20) {
+        return Totp.base32Encode(crypto.randomBytes(size));
+    }
+
+    /**
+     * Get the time step of a timestamp
+     * @param {number} timestamp - Milliseconds since epoch
+     * @param {number} period - Step length in seconds
+     * @returns {number} Time step counter
+     */
+    static getStep(timestamp = Date.now(), period = DEFAULT_OPTIONS.period) {
+        return Math.floor(timestamp / 1000 / period);
+    }
+
+    /**
+     * Compute the HOTP code of a counter (RFC 4226)
+     * @param {string} secret - Base32 secret
+     * @param {number} counter - Counter value
+     * @param {Object} options - { digits, algorithm }
+     * @returns {string} Code, left-padded with zeros
+     */
+    static hotp(secret, counter, options = {}) {
+        const { digits, algorithm } = { ...DEFAULT_OPTIONS, ...options };
+
+        const message = Buffer.alloc(8);
+        message.writeBigUInt64BE(BigInt(counter));
+
+        const hmac = crypto.createHmac(algorithm, Totp.base32Decode(secret)).update(message).digest();
+
+        // Dynamic truncation
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24)
+            | (hmac[offset + 1] << 16)
+            | (hmac[offset + 2] << 8)
+            | hmac[offset + 3];
+
+        return String(binary % 10 ** digits).padStart(digits, '0');
+    }
+
+    /**
+     * Compute the TOTP code at a time
+     * @param {string} secret - Base32 secret
+     * @param {number} timestamp - Milliseconds since epoch
+     * @param {Object} options - { digits, period, algorithm }
+     * @returns {string} Code
+     */
+    static generate(secret, timestamp = Date.now(), options = {}) {
+        const { period } = { ...DEFAULT_OPTIONS, ...options };
+        return Totp.hotp(secret, Totp.getStep(timestamp, period), options);
+    }
+
+    /**
+     * Find the time step a code was generated for
+     * Codes of the adjacent steps are accepted to tolerate clock drift
+     * @param {string} secret - Base32 secret
+     * @param {string} code - Code entered by the user
+     * @param {Object} options - { window, timestamp, digits, period, algorithm }
+     * @returns {number|null} Matching time step or null if the code is invalid
+     */
+    static verify(secret, code, options = {}) {
+        const { window = 1, timestamp = Date.now(), ...codeOptions } = options;
+        const { digits, period } = { ...DEFAULT_OPTIONS, ...codeOptions };
+
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+            return null;
+        }
+
+        const current = Totp.getStep(timestamp, period);
+        for (let step = current - window; step <= current + window; step++) {
+            const expected = Totp.hotp(secret, step, codeOptions);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the otpauth:// URI read by authenticator apps (usually shown as a QR code)
+     * @param {Object} params - { secret, account, issuer, digits, period, algorithm }
+     * @returns {string} Provisioning URI
+     */
+    static getProvisioningUri({ secret, account, issuer, ...options }) {
+        const { digits, period, algorithm } = { ...DEFAULT_OPTIONS, ...options };
+        const label = issuer
+            ? `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`
+            : encodeURIComponent(account);
+
+        const query = new URLSearchParams({
+            secret,
+            algorithm: algorithm.toUpperCase(),
+            digits: String(digits),
+            period: String(period)
+        });
+        if (issuer) {
+            query.set('issuer', issuer);
+        }
+
+        return `otpauth://totp/${label}?${query.toString()}`;
+    }
+}
+
+module.exports = Totp;
@@ -145,8 +145,7 @@ class ServerManager extends EventEmitter {
             
             // Log status change to event service
             if (this.eventService) {
-                this.eventService.createEvent({
-                    type: 'server.status.change',
+                this.eventService.emitAndStore('server.status.change', {
                     serverId: instance.id,
                     data: {
                         status: data.status,
@@ -193,6 +192,82 @@ class ServerManager extends EventEmitter {
                 args: data.args
             });
         });
+        
+        // Proxy kills and match boundaries read from the log
+        instance.on('player.kill', (data) => {
+            this.emit('player.kill', {
+                serverId: instance.id,
+                serverName: instance.name,
+                game: instance.game,
+                attacker: data.attacker,
+                victim: data.victim,
+                weapon: data.weapon
+            });
+        });
+        
+        for (const event of ['match.start', 'match.end']) {
+            instance.on(event, (data = {}) => {
+                this.emit(event, {
+                    serverId: instance.id,
+                    serverName: instance.name,
+                    game: instance.game,
+                    gametype: data.gametype || null,
+                    mapName: data.mapName || null
+                });
+            });
+        }
+        
+        // Proxy monitoring start/stop and restarts
+        for (const event of ['server.start', 'server.stop', 'server.restart']) {
+            instance.on(event, (data = {}) => {
+                this.emit(event, {
+                    serverId: instance.id,
+                    serverName: instance.name,
+                    command: data.command
+                });
+            });
+        }
+        
+        // Proxy penalties issued to connected players
+        instance.on('penalty', (type, player, reason, origin, duration) => {
+            this.emit('player.penalty', {
+                serverId: instance.id,
+                serverName: instance.name,
+                type,
+                player,
+                reason,
+                origin,
+                duration
+            });
+        });
+        
+        // Proxy kicks of banned players
+        instance.on('player.banned', (data) => {
+            this.emit('player.banned', {
+                serverId: instance.id,
+                serverName: instance.name,
+                player: data.player,
+                penalty: data.penalty
+            });
+        });
+        
+        // Proxy raw log lines and game events
+        instance.on('log.line', (data) => {
+            this.emit('server.log', {
+                serverId: instance.id,
+                serverName: instance.name,
+                line: data.line
+            });
+        });
+        
+        instance.on('game.event', (data) => {
+            this.emit('game.event', {
+                serverId: instance.id,
+                serverName: instance.name,
+                type: data.type,
+                data: data.data
+            });
+        });
     }
     
     /**
@@ -0,0 +1,157 @@
+/**
+ * Audit Entry Model - Administrative action recorded in the audit log
+ * The actor is a web user, an in-game player or the system; the target is what the action changed
+ */
+
+class AuditEntry {
+    /**
+     * Create a new AuditEntry object
+     * @param {Object} data - Entry data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.actorType = data.actorType || data.actor_type || 'system';
+        this.actorId = data.actorId ?? data.actor_id ?? null;
+        this.actorName = data.actorName || data.actor_name || null;
+        this.action = data.action || null;
+        this.targetType = data.targetType || data.target_type || null;
+        this.targetId = data.targetId ?? data.target_id ?? null;
+        this.targetName = data.targetName || data.target_name || null;
+        this.serverId = data.serverId ?? data.server_id ?? null;
+
+        // State of the target before and after the action, when the caller knows it
+        this.before = data.before ?? null;
+        this.after = data.after ?? null;
+
+        this.details = data.details || null;
+        this.success = data.success !== undefined ? !!data.success : true;
+
+        // 'api', 'socket' or 'game'
+        this.source = data.source || null;
+        this.ip = data.ip || null;
+        this.createdAt = data.createdAt || data.created_at || new Date();
+    }
+
+    /**
+     * Get the fields that changed between the before and after states
+     * @returns {Object} { field: { from, to } }, empty if the states are unknown or equal
+     */
+    getChanges() {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const changes = {};
+
+        if (!isObject(this.before) && !isObject(this.after)) {
+            if (JSON.stringify(this.before) !== JSON.stringify(this.after)) {
+                changes.value = { from: this.before, to: this.after };
+            }
+            return changes;
+        }
+
+        const before = isObject(this.before) ? this.before : {};
+        const after = isObject(this.after) ? this.after : {};
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        for (const field of fields) {
+            const from = before[field] ?? null;
+            const to = after[field] ?? null;
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes[field] = { from, to };
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Convert database row to AuditEntry model
+     * @param {Object} row - Database row
+     * @returns {AuditEntry} AuditEntry instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        const parse = (value) => {
+            if (value === null || value === undefined) return null;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        };
+
+        return new AuditEntry({
+            id: row.id,
+            actorType: row.actor_type,
+            actorId: row.actor_id,
+            actorName: row.actor_name,
+            action: row.action,
+            targetType: row.target_type,
+            targetId: row.target_id,
+            targetName: row.target_name,
+            serverId: row.server_id,
+            before: parse(row.before_data),
+            after: parse(row.after_data),
+            details: parse(row.details),
+            success: row.success === 1,
+            source: row.source,
+            ip: row.ip,
+            createdAt: row.created_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toJson = (value) => value === null || value === undefined ? null : JSON.stringify(value);
+        const toText = (value) => value === null || value === undefined ? null : String(value);
+
+        return {
+            id: this.id,
+            actor_type: this.actorType,
+            actor_id: toText(this.actorId),
+            actor_name: this.actorName,
+            action: this.action,
+            target_type: this.targetType,
+            target_id: toText(this.targetId),
+            target_name: this.targetName,
+            server_id: toText(this.serverId),
+            before_data: toJson(this.before),
+            after_data: toJson(this.after),
+            details: toJson(this.details),
+            success: this.success ? 1 : 0,
+            source: this.source,
+            ip: this.ip,
+            created_at: this.createdAt instanceof Date ? this.createdAt.toISOString() : this.createdAt
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            actorType: this.actorType,
+            actorId: this.actorId,
+            actorName: this.actorName,
+            action: this.action,
+            targetType: this.targetType,
+            targetId: this.targetId,
+            targetName: this.targetName,
+            serverId: this.serverId,
+            before: this.before,
+            after: this.after,
+            changes: this.getChanges(),
+            details: this.details,
+            success: this.success,
+            source: this.source,
+            ip: this.ip,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = AuditEntry;
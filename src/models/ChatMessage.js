@@ -0,0 +1,75 @@
+/**
+ * Chat Message Model - Chat line said by a player, read from the server log
+ */
+
+class ChatMessage {
+    /**
+     * Create a new ChatMessage object
+     * @param {Object} data - Message data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.serverId = data.serverId ?? data.server_id ?? null;
+        this.matchId = data.matchId || data.match_id || null;
+        this.playerId = data.playerId || data.player_id || null;
+        this.playerGuid = data.playerGuid || data.player_guid || null;
+        this.playerName = data.playerName || data.player_name || '';
+        this.message = data.message || '';
+        this.createdAt = data.createdAt || data.created_at || new Date();
+    }
+
+    /**
+     * Convert database row to ChatMessage model
+     * @param {Object} row - Database row
+     * @returns {ChatMessage} ChatMessage instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        return new ChatMessage({
+            id: row.id,
+            serverId: row.server_id,
+            matchId: row.match_id,
+            playerId: row.player_id,
+            playerGuid: row.player_guid,
+            playerName: row.player_name,
+            message: row.message,
+            createdAt: row.created_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage, the ID is assigned by the database
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        return {
+            server_id: this.serverId !== null ? String(this.serverId) : null,
+            match_id: this.matchId,
+            player_id: this.playerId !== null ? String(this.playerId) : null,
+            player_guid: this.playerGuid,
+            player_name: this.playerName,
+            message: this.message,
+            created_at: this.createdAt instanceof Date ? this.createdAt.toISOString() : this.createdAt
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            serverId: this.serverId,
+            matchId: this.matchId,
+            playerId: this.playerId,
+            playerGuid: this.playerGuid,
+            playerName: this.playerName,
+            message: this.message,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = ChatMessage;
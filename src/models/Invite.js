@@ -0,0 +1,109 @@
+/**
+ * Invite Model - Registration link for a new web user
+ * The invited user picks a username and password, the role is chosen by the admin who created the invite
+ */
+
+class Invite {
+    /**
+     * Create a new Invite object
+     * @param {Object} data - Invite data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+
+        // SHA-256 of the invite secret, the full token is only shown once to the admin
+        this.tokenHash = data.tokenHash || data.token_hash || null;
+
+        this.role = data.role || 'user';
+        this.email = data.email || null;
+        this.createdBy = data.createdBy || data.created_by || null;
+        this.createdAt = data.createdAt || data.created_at || new Date();
+        this.expiresAt = data.expiresAt || data.expires_at || null;
+        this.usedAt = data.usedAt || data.used_at || null;
+        this.usedBy = data.usedBy || data.used_by || null;
+        this.revokedAt = data.revokedAt || data.revoked_at || null;
+    }
+
+    /**
+     * Get the status of the invite
+     * @returns {string} 'used', 'revoked', 'expired' or 'pending'
+     */
+    getStatus() {
+        if (this.usedAt) return 'used';
+        if (this.revokedAt) return 'revoked';
+        if (!this.expiresAt || new Date(this.expiresAt) <= new Date()) return 'expired';
+        return 'pending';
+    }
+
+    /**
+     * Check if the invite can still be used to register
+     * @returns {boolean} True if the invite is neither used, revoked nor expired
+     */
+    isUsable() {
+        return this.getStatus() === 'pending';
+    }
+
+    /**
+     * Convert database row to Invite model
+     * @param {Object} row - Database row
+     * @returns {Invite} Invite instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        return new Invite({
+            id: row.id,
+            tokenHash: row.token_hash,
+            role: row.role,
+            email: row.email,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            usedAt: row.used_at,
+            usedBy: row.used_by,
+            revokedAt: row.revoked_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toIso = (date) => date instanceof Date ? date.toISOString() : date;
+
+        return {
+            id: this.id,
+            token_hash: this.tokenHash,
+            role: this.role,
+            email: this.email,
+            created_by: this.createdBy,
+            created_at: toIso(this.createdAt),
+            expires_at: toIso(this.expiresAt),
+            used_at: toIso(this.usedAt),
+            used_by: this.usedBy,
+            revoked_at: toIso(this.revokedAt)
+        };
+    }
+
+    /**
+     * Convert to API response format, without the token hash
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            role: this.role,
+            email: this.email,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            expiresAt: this.expiresAt,
+            usedAt: this.usedAt,
+            usedBy: this.usedBy,
+            revokedAt: this.revokedAt,
+            status: this.getStatus()
+        };
+    }
+}
+
+module.exports = Invite;
@@ -0,0 +1,117 @@
+/**
+ * Ladder Model - Rank ladder defined by admins, e.g. military ranks for multiplayer or zombies ranks
+ */
+const RankLadder = require('../core/RankLadder');
+
+class Ladder {
+    /**
+     * Create a new Ladder object
+     * @param {Object} data - Ladder data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.name = data.name || '';
+        this.description = data.description || '';
+
+        // Multiplayer stats counted by the ladder, no game or no modes counts them all
+        this.game = data.game || null;
+        this.modes = Array.isArray(data.modes) ? data.modes : [];
+
+        // Metric ordering the ranks, and the ranks { name, color, requirements }
+        this.metric = data.metric || 'kills';
+        this.ranks = Array.isArray(data.ranks) ? data.ranks : [];
+
+        // Whether promotions and demotions are said in game
+        this.announce = data.announce ?? true;
+        this.enabled = data.enabled ?? true;
+
+        this.createdBy = data.createdBy || data.created_by || null;
+        this.createdAt = data.createdAt || data.created_at || new Date();
+        this.updatedAt = data.updatedAt || data.updated_at || new Date();
+    }
+
+    /**
+     * Get the ranks of the ladder
+     * @returns {RankLadder} Ladder with its ranks sorted
+     */
+    getRankLadder() {
+        return new RankLadder(this.metric, this.ranks);
+    }
+
+    /**
+     * Convert database row to Ladder model
+     * @param {Object} row - Database row
+     * @returns {Ladder} Ladder instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        const parse = (value) => {
+            try {
+                return value ? JSON.parse(value) : [];
+            } catch (error) {
+                return [];
+            }
+        };
+
+        return new Ladder({
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            game: row.game,
+            modes: parse(row.modes),
+            metric: row.metric,
+            ranks: parse(row.ranks),
+            announce: !!row.announce,
+            enabled: !!row.enabled,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage, the ID is generated by the database
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toIso = (date) => date instanceof Date ? date.toISOString() : date;
+
+        return {
+            name: this.name,
+            description: this.description,
+            game: this.game,
+            modes: JSON.stringify(this.modes),
+            metric: this.metric,
+            ranks: JSON.stringify(this.ranks),
+            announce: this.announce ? 1 : 0,
+            enabled: this.enabled ? 1 : 0,
+            created_by: this.createdBy,
+            created_at: toIso(this.createdAt),
+            updated_at: toIso(this.updatedAt)
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            game: this.game,
+            modes: this.modes,
+            metric: this.metric,
+            ranks: this.ranks,
+            announce: this.announce,
+            enabled: this.enabled,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = Ladder;
@@ -0,0 +1,94 @@
+/**
+ * Map Rotation Preset Model - Named map rotation saved for a server
+ */
+const MapRotation = require('../core/MapRotation');
+
+class MapRotationPreset {
+    /**
+     * Create a new MapRotationPreset object
+     * @param {Object} data - Preset data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.serverId = data.serverId || data.server_id || null;
+        this.name = data.name || '';
+        this.description = data.description || '';
+
+        // Entries { map, gametype }
+        this.entries = Array.isArray(data.entries) ? data.entries : [];
+
+        this.createdAt = data.createdAt || data.created_at || new Date();
+        this.updatedAt = data.updatedAt || data.updated_at || new Date();
+    }
+
+    /**
+     * Get the rotation of the preset
+     * @returns {MapRotation} Rotation
+     */
+    getRotation() {
+        return new MapRotation(this.entries);
+    }
+
+    /**
+     * Convert database row to MapRotationPreset model
+     * @param {Object} row - Database row
+     * @returns {MapRotationPreset} MapRotationPreset instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        let entries = [];
+        try {
+            entries = row.entries ? JSON.parse(row.entries) : [];
+        } catch (error) {
+            entries = [];
+        }
+
+        return new MapRotationPreset({
+            id: row.id,
+            serverId: row.server_id,
+            name: row.name,
+            description: row.description,
+            entries,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toIso = (date) => date instanceof Date ? date.toISOString() : date;
+
+        return {
+            id: this.id,
+            server_id: this.serverId,
+            name: this.name,
+            description: this.description,
+            entries: JSON.stringify(this.entries),
+            created_at: toIso(this.createdAt),
+            updated_at: toIso(this.updatedAt)
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            serverId: this.serverId,
+            name: this.name,
+            description: this.description,
+            entries: this.entries,
+            value: this.getRotation().toString(),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = MapRotationPreset;
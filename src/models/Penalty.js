@@ -0,0 +1,164 @@
+/**
+ * Penalty Model - Defines the schema and methods for Penalty objects
+ */
+
+/**
+ * Penalty types, named after the values already used by ActivePlayer
+ */
+const PenaltyTypes = {
+    KICK: 'PENALTY_KICK',
+    TEMP_BAN: 'PENALTY_TEMP_BAN',
+    PERMA_BAN: 'PENALTY_PERMA_BAN'
+};
+
+class Penalty {
+    /**
+     * Create a new Penalty object
+     * @param {Object} data - Penalty data
+     */
+    constructor(data = {}) {
+        // Core identifiers
+        this.id = data.id || null;
+        this.type = data.type || PenaltyTypes.KICK;
+        this.reason = data.reason || '';
+
+        // Target
+        this.playerId = data.playerId || data.player_id || null;
+        this.playerGuid = data.playerGuid || data.player_guid || null;
+        this.playerIp = data.playerIp || data.player_ip || null;
+        this.playerName = data.playerName || data.player_name || null;
+
+        // Origin admin (player ID or web user ID, 0 for the system)
+        this.originId = data.originId ?? data.origin_id ?? null;
+        this.originName = data.originName || data.origin_name || null;
+
+        // Server the penalty was issued on
+        this.serverId = data.serverId || data.server_id || null;
+
+        // Duration in seconds, 0 means permanent
+        this.duration = data.duration || 0;
+
+        // Timestamps
+        this.createdAt = data.createdAt || data.created_at || new Date();
+        this.expiresAt = data.expiresAt || data.expires_at || null;
+
+        // Revocation
+        this.revokedAt = data.revokedAt || data.revoked_at || null;
+        this.revokedBy = data.revokedBy || data.revoked_by || null;
+        this.revokeReason = data.revokeReason || data.revoke_reason || null;
+    }
+
+    /**
+     * Check if the penalty prevents the player from joining
+     * @returns {boolean} Whether this is a ban or temp ban
+     */
+    isBan() {
+        return this.type === PenaltyTypes.PERMA_BAN || this.type === PenaltyTypes.TEMP_BAN;
+    }
+
+    /**
+     * Check if the penalty is still in effect
+     * @param {Date} now - Reference date
+     * @returns {boolean} Whether the penalty is active
+     */
+    isActive(now = new Date()) {
+        if (this.revokedAt) return false;
+        if (!this.expiresAt) return this.type === PenaltyTypes.PERMA_BAN;
+        return new Date(this.expiresAt) > now;
+    }
+
+    /**
+     * Get the remaining time of the penalty
+     * @param {Date} now - Reference date
+     * @returns {number|null} Remaining seconds, null if permanent
+     */
+    getRemainingSeconds(now = new Date()) {
+        if (!this.expiresAt) return null;
+        return Math.max(0, Math.ceil((new Date(this.expiresAt) - now) / 1000));
+    }
+
+    /**
+     * Convert database row to Penalty model
+     * @param {Object} row - Database row
+     * @returns {Penalty} Penalty instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        return new Penalty({
+            id: row.id,
+            type: row.type,
+            reason: row.reason,
+            playerId: row.player_id,
+            playerGuid: row.player_guid,
+            playerIp: row.player_ip,
+            playerName: row.player_name,
+            originId: row.origin_id,
+            originName: row.origin_name,
+            serverId: row.server_id,
+            duration: row.duration,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            revokedAt: row.revoked_at,
+            revokedBy: row.revoked_by,
+            revokeReason: row.revoke_reason
+        });
+    }
+
+    /**
+     * Convert to database format for storage
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toIso = (date) => date instanceof Date ? date.toISOString() : date;
+
+        return {
+            id: this.id,
+            type: this.type,
+            reason: this.reason,
+            player_id: this.playerId,
+            player_guid: this.playerGuid,
+            player_ip: this.playerIp,
+            player_name: this.playerName,
+            origin_id: this.originId,
+            origin_name: this.originName,
+            server_id: this.serverId,
+            duration: this.duration,
+            created_at: toIso(this.createdAt),
+            expires_at: toIso(this.expiresAt),
+            revoked_at: toIso(this.revokedAt),
+            revoked_by: this.revokedBy,
+            revoke_reason: this.revokeReason
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            reason: this.reason,
+            playerId: this.playerId,
+            playerGuid: this.playerGuid,
+            playerName: this.playerName,
+            originId: this.originId,
+            originName: this.originName,
+            serverId: this.serverId,
+            duration: this.duration,
+            createdAt: this.createdAt,
+            expiresAt: this.expiresAt,
+            revokedAt: this.revokedAt,
+            revokedBy: this.revokedBy,
+            revokeReason: this.revokeReason,
+            active: this.isActive(),
+            remainingSeconds: this.getRemainingSeconds()
+        };
+    }
+}
+
+Penalty.Types = PenaltyTypes;
+
+module.exports = Penalty;
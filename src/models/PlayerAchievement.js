@@ -0,0 +1,73 @@
+/**
+ * Player Achievement Model - Achievement unlocked by a player
+ */
+class PlayerAchievement {
+    /**
+     * Create a new PlayerAchievement object
+     * @param {Object} data - Unlock data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.playerGuid = data.playerGuid || data.player_guid || null;
+        this.playerName = data.playerName || data.player_name || null;
+        this.achievementId = data.achievementId || data.achievement_id || null;
+
+        // Where the achievement was unlocked, null when it was not in a match
+        this.serverId = data.serverId || data.server_id || null;
+        this.mapName = data.mapName || data.map_name || null;
+
+        this.unlockedAt = data.unlockedAt || data.unlocked_at || new Date();
+    }
+
+    /**
+     * Convert database row to PlayerAchievement model
+     * @param {Object} row - Database row
+     * @returns {PlayerAchievement} PlayerAchievement instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        return new PlayerAchievement({
+            id: row.id,
+            playerGuid: row.player_guid,
+            playerName: row.player_name,
+            achievementId: row.achievement_id,
+            serverId: row.server_id,
+            mapName: row.map_name,
+            unlockedAt: row.unlocked_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage, the ID is generated by the database
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        return {
+            player_guid: this.playerGuid,
+            player_name: this.playerName,
+            achievement_id: this.achievementId,
+            server_id: this.serverId,
+            map_name: this.mapName,
+            unlocked_at: this.unlockedAt instanceof Date ? this.unlockedAt.toISOString() : this.unlockedAt
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            playerGuid: this.playerGuid,
+            playerName: this.playerName,
+            achievementId: this.achievementId,
+            serverId: this.serverId,
+            mapName: this.mapName,
+            unlockedAt: this.unlockedAt
+        };
+    }
+}
+
+module.exports = PlayerAchievement;
@@ -0,0 +1,116 @@
+/**
+ * Player Rating Model - Skill rating of a player in a game mode
+ */
+const SkillRating = require('../core/SkillRating');
+
+class PlayerRating {
+    /**
+     * Create a new PlayerRating object
+     * @param {Object} data - Rating data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+
+        // Rated player
+        this.playerGuid = data.playerGuid || data.player_guid || null;
+        this.playerId = data.playerId ?? data.player_id ?? null;
+        this.playerName = data.playerName || data.player_name || null;
+
+        // Game and game mode (gametype) the rating applies to
+        this.game = data.game || null;
+        this.mode = data.mode || null;
+
+        // Rating and its uncertainty
+        this.rating = data.rating ?? null;
+        this.deviation = data.deviation ?? null;
+
+        // Totals of the rated matches
+        this.matches = data.matches || 0;
+        this.kills = data.kills || 0;
+        this.deaths = data.deaths || 0;
+
+        // Last rated match, and last time the deviation was grown for inactivity
+        this.lastMatchAt = data.lastMatchAt || data.last_match_at || null;
+        this.decayedAt = data.decayedAt || data.decayed_at || null;
+    }
+
+    /**
+     * Get the rating used to rank the player
+     * @returns {number} Conservative rating
+     */
+    getConservative() {
+        return SkillRating.conservative(this.rating, this.deviation);
+    }
+
+    /**
+     * Convert database row to PlayerRating model
+     * @param {Object} row - Database row
+     * @returns {PlayerRating} PlayerRating instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        return new PlayerRating({
+            id: row.id,
+            playerGuid: row.player_guid,
+            playerId: row.player_id,
+            playerName: row.player_name,
+            game: row.game,
+            mode: row.mode,
+            rating: row.rating,
+            deviation: row.deviation,
+            matches: row.matches,
+            kills: row.kills,
+            deaths: row.deaths,
+            lastMatchAt: row.last_match_at,
+            decayedAt: row.decayed_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage, the ID is generated by the database
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toIso = (date) => date instanceof Date ? date.toISOString() : date;
+
+        return {
+            player_guid: this.playerGuid,
+            player_id: this.playerId === null || this.playerId === undefined ? null : String(this.playerId),
+            player_name: this.playerName,
+            game: this.game,
+            mode: this.mode,
+            rating: this.rating,
+            deviation: this.deviation,
+            conservative: this.getConservative(),
+            matches: this.matches,
+            kills: this.kills,
+            deaths: this.deaths,
+            last_match_at: toIso(this.lastMatchAt),
+            decayed_at: toIso(this.decayedAt)
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            playerGuid: this.playerGuid,
+            playerId: this.playerId,
+            playerName: this.playerName,
+            game: this.game,
+            mode: this.mode,
+            rating: Math.round(this.rating),
+            deviation: Math.round(this.deviation),
+            conservative: Math.round(this.getConservative()),
+            matches: this.matches,
+            kills: this.kills,
+            deaths: this.deaths,
+            lastMatchAt: this.lastMatchAt
+        };
+    }
+}
+
+module.exports = PlayerRating;
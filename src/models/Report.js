@@ -0,0 +1,170 @@
+/**
+ * Report Model - Player reported by another player, handled by the staff from the moderation queue
+ */
+
+/**
+ * Report statuses, a report is claimed by a staff member then resolved or rejected
+ */
+const ReportStatus = {
+    OPEN: 'open',
+    CLAIMED: 'claimed',
+    RESOLVED: 'resolved',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Kinds of records attached to a report as evidence
+ */
+const EvidenceTypes = {
+    CHAT: 'chat',
+    EVENT: 'event'
+};
+
+class Report {
+    /**
+     * Create a new Report object
+     * @param {Object} data - Report data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.serverId = data.serverId ?? data.server_id ?? null;
+
+        // Reporting player, the system reports with the ID 0
+        this.reporterId = data.reporterId ?? data.reporter_id ?? null;
+        this.reporterGuid = data.reporterGuid || data.reporter_guid || null;
+        this.reporterName = data.reporterName || data.reporter_name || '';
+
+        // Reported player
+        this.targetId = data.targetId ?? data.target_id ?? null;
+        this.targetGuid = data.targetGuid || data.target_guid || null;
+        this.targetName = data.targetName || data.target_name || '';
+
+        this.reason = data.reason || '';
+        this.status = data.status || ReportStatus.OPEN;
+
+        // Staff member handling the report (web user)
+        this.claimedBy = data.claimedBy || data.claimed_by || null;
+        this.claimedByName = data.claimedByName || data.claimed_by_name || null;
+        this.claimedAt = data.claimedAt || data.claimed_at || null;
+
+        // Outcome
+        this.resolvedBy = data.resolvedBy || data.resolved_by || null;
+        this.resolvedByName = data.resolvedByName || data.resolved_by_name || null;
+        this.resolvedAt = data.resolvedAt || data.resolved_at || null;
+        this.resolution = data.resolution || null;
+
+        // Timestamps
+        this.createdAt = data.createdAt || data.created_at || new Date();
+        this.updatedAt = data.updatedAt || data.updated_at || new Date();
+
+        // Evidence items, only loaded with the details of a report
+        this.evidence = data.evidence || null;
+    }
+
+    /**
+     * Check if the report was handled
+     * @returns {boolean} Whether the report is resolved or rejected
+     */
+    isClosed() {
+        return this.status === ReportStatus.RESOLVED || this.status === ReportStatus.REJECTED;
+    }
+
+    /**
+     * Convert database row to Report model
+     * @param {Object} row - Database row
+     * @returns {Report} Report instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        return new Report({
+            id: row.id,
+            serverId: row.server_id,
+            reporterId: row.reporter_id,
+            reporterGuid: row.reporter_guid,
+            reporterName: row.reporter_name,
+            targetId: row.target_id,
+            targetGuid: row.target_guid,
+            targetName: row.target_name,
+            reason: row.reason,
+            status: row.status,
+            claimedBy: row.claimed_by,
+            claimedByName: row.claimed_by_name,
+            claimedAt: row.claimed_at,
+            resolvedBy: row.resolved_by,
+            resolvedByName: row.resolved_by_name,
+            resolvedAt: row.resolved_at,
+            resolution: row.resolution,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage, the ID is given by the database
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toIso = (date) => date instanceof Date ? date.toISOString() : date;
+
+        return {
+            server_id: this.serverId !== null ? String(this.serverId) : null,
+            reporter_id: this.reporterId !== null ? String(this.reporterId) : null,
+            reporter_guid: this.reporterGuid,
+            reporter_name: this.reporterName,
+            target_id: this.targetId !== null ? String(this.targetId) : null,
+            target_guid: this.targetGuid,
+            target_name: this.targetName,
+            reason: this.reason,
+            status: this.status,
+            claimed_by: this.claimedBy,
+            claimed_by_name: this.claimedByName,
+            claimed_at: toIso(this.claimedAt),
+            resolved_by: this.resolvedBy,
+            resolved_by_name: this.resolvedByName,
+            resolved_at: toIso(this.resolvedAt),
+            resolution: this.resolution,
+            created_at: toIso(this.createdAt),
+            updated_at: toIso(this.updatedAt)
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        const json = {
+            id: this.id,
+            serverId: this.serverId,
+            reporterId: this.reporterId,
+            reporterGuid: this.reporterGuid,
+            reporterName: this.reporterName,
+            targetId: this.targetId,
+            targetGuid: this.targetGuid,
+            targetName: this.targetName,
+            reason: this.reason,
+            status: this.status,
+            claimedBy: this.claimedBy,
+            claimedByName: this.claimedByName,
+            claimedAt: this.claimedAt,
+            resolvedBy: this.resolvedBy,
+            resolvedByName: this.resolvedByName,
+            resolvedAt: this.resolvedAt,
+            resolution: this.resolution,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+
+        if (this.evidence) {
+            json.evidence = this.evidence;
+        }
+
+        return json;
+    }
+}
+
+Report.Status = ReportStatus;
+Report.EvidenceTypes = EvidenceTypes;
+
+module.exports = Report;
@@ -0,0 +1,74 @@
+/**
+ * Role Model - Defines the schema and methods for Role objects
+ */
+
+class Role {
+    /**
+     * Create a new Role object
+     * @param {Object} data - Role data
+     */
+    constructor(data = {}) {
+        // Identifier, also used as the role name in assignments (e.g. 'moderator')
+        this.id = data.id || null;
+        this.name = data.name || data.id || '';
+        this.description = data.description || '';
+
+        // Inherited role, its permissions are granted as well
+        this.parentId = data.parentId || data.parent_id || null;
+
+        // Granted permissions, '*' grants everything and 'prefix.*' a whole group
+        this.permissions = data.permissions || [];
+
+        this.createdAt = data.createdAt || data.created_at || new Date();
+    }
+
+    /**
+     * Convert database row to Role model
+     * @param {Object} row - Database row
+     * @param {Array<string>} permissions - Permissions of the role
+     * @returns {Role} Role instance
+     */
+    static fromDatabaseRow(row, permissions = []) {
+        if (!row) return null;
+
+        return new Role({
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            parentId: row.parent_id,
+            permissions,
+            createdAt: row.created_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            parent_id: this.parentId,
+            created_at: this.createdAt instanceof Date ? this.createdAt.toISOString() : this.createdAt
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            parentId: this.parentId,
+            permissions: this.permissions,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = Role;
@@ -0,0 +1,147 @@
+/**
+ * Scheduled Task Model - Defines the schema and methods for per-server scheduled jobs
+ */
+const CronExpression = require('../core/CronExpression');
+
+/**
+ * Task types
+ * - broadcast: says the next message of a rotating list
+ * - rcon: runs one or more RCON commands
+ * - restart: warns the players then restarts the server
+ */
+const TaskTypes = {
+    BROADCAST: 'broadcast',
+    RCON: 'rcon',
+    RESTART: 'restart'
+};
+
+class ScheduledTask {
+    /**
+     * Create a new ScheduledTask object
+     * @param {Object} data - Task data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.serverId = data.serverId || data.server_id || null;
+        this.name = data.name || '';
+        this.type = data.type || TaskTypes.BROADCAST;
+        this.cron = data.cron || '';
+
+        // Type specific settings (messages, commands, warning delay...)
+        this.payload = data.payload || {};
+
+        this.enabled = data.enabled !== undefined ? Boolean(data.enabled) : true;
+
+        // Execution state
+        this.lastRunAt = data.lastRunAt || data.last_run_at || null;
+        this.lastStatus = data.lastStatus || data.last_status || null;
+        this.lastResult = data.lastResult || data.last_result || null;
+        this.runCount = data.runCount || data.run_count || 0;
+
+        // Next message of a broadcast rotation
+        this.messageIndex = data.messageIndex || data.message_index || 0;
+
+        this.createdAt = data.createdAt || data.created_at || new Date();
+        this.updatedAt = data.updatedAt || data.updated_at || new Date();
+    }
+
+    /**
+     * Get the next time the task runs
+     * @param {Date} from - Reference date
+     * @returns {Date|null} Next run time, null if disabled or the expression is invalid
+     */
+    getNextRun(from = new Date()) {
+        if (!this.enabled) return null;
+
+        try {
+            return new CronExpression(this.cron).next(from);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Convert database row to ScheduledTask model
+     * @param {Object} row - Database row
+     * @returns {ScheduledTask} ScheduledTask instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        let payload = {};
+        try {
+            payload = row.payload ? JSON.parse(row.payload) : {};
+        } catch (error) {
+            payload = {};
+        }
+
+        return new ScheduledTask({
+            id: row.id,
+            serverId: row.server_id,
+            name: row.name,
+            type: row.type,
+            cron: row.cron,
+            payload,
+            enabled: row.enabled === 1,
+            lastRunAt: row.last_run_at,
+            lastStatus: row.last_status,
+            lastResult: row.last_result,
+            runCount: row.run_count,
+            messageIndex: row.message_index,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toIso = (date) => date instanceof Date ? date.toISOString() : date;
+
+        return {
+            id: this.id,
+            server_id: this.serverId,
+            name: this.name,
+            type: this.type,
+            cron: this.cron,
+            payload: JSON.stringify(this.payload || {}),
+            enabled: this.enabled ? 1 : 0,
+            last_run_at: toIso(this.lastRunAt),
+            last_status: this.lastStatus,
+            last_result: this.lastResult,
+            run_count: this.runCount,
+            message_index: this.messageIndex,
+            created_at: toIso(this.createdAt),
+            updated_at: toIso(this.updatedAt)
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            serverId: this.serverId,
+            name: this.name,
+            type: this.type,
+            cron: this.cron,
+            payload: this.payload,
+            enabled: this.enabled,
+            lastRunAt: this.lastRunAt,
+            lastStatus: this.lastStatus,
+            lastResult: this.lastResult,
+            runCount: this.runCount,
+            nextRunAt: this.getNextRun(),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+ScheduledTask.Types = TaskTypes;
+
+module.exports = ScheduledTask;
@@ -0,0 +1,127 @@
+/**
+ * Season Model - Season defined by admins with its own dates, its zombies stats are counted apart
+ * and its leaderboards are frozen once it ends, when the rewards are given to the top players
+ */
+
+const SeasonStatus = {
+    SCHEDULED: 'scheduled',
+    ACTIVE: 'active',
+    ENDED: 'ended'
+};
+
+class Season {
+    /**
+     * Create a new Season object
+     * @param {Object} data - Season data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.name = data.name || '';
+        this.description = data.description || '';
+
+        // The season contains the matches ended from its start and before its end
+        this.startsAt = data.startsAt || data.starts_at || null;
+        this.endsAt = data.endsAt || data.ends_at || null;
+
+        // Rewards { metric, top, title, message } given to the top players of the final leaderboards
+        this.rewards = Array.isArray(data.rewards) ? data.rewards : [];
+
+        // Set once the leaderboards are frozen and the rewards given
+        this.finalizedAt = data.finalizedAt || data.finalized_at || null;
+
+        this.createdBy = data.createdBy || data.created_by || null;
+        this.createdAt = data.createdAt || data.created_at || new Date();
+        this.updatedAt = data.updatedAt || data.updated_at || new Date();
+    }
+
+    /**
+     * Get the status of the season
+     * @param {Date} now - Current time
+     * @returns {string} scheduled, active or ended
+     */
+    getStatus(now = new Date()) {
+        if (this.finalizedAt) return SeasonStatus.ENDED;
+        return now < new Date(this.startsAt) ? SeasonStatus.SCHEDULED : SeasonStatus.ACTIVE;
+    }
+
+    /**
+     * Get the period key of the season stats
+     * @returns {string} Period key
+     */
+    getPeriodKey() {
+        return String(this.id);
+    }
+
+    /**
+     * Convert database row to Season model
+     * @param {Object} row - Database row
+     * @returns {Season} Season instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        let rewards = [];
+        try {
+            rewards = row.rewards ? JSON.parse(row.rewards) : [];
+        } catch (error) {
+            rewards = [];
+        }
+
+        return new Season({
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            startsAt: row.starts_at,
+            endsAt: row.ends_at,
+            rewards,
+            finalizedAt: row.finalized_at,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage, the ID is generated by the database
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toIso = (date) => date instanceof Date ? date.toISOString() : date;
+
+        return {
+            name: this.name,
+            description: this.description,
+            starts_at: toIso(this.startsAt),
+            ends_at: toIso(this.endsAt),
+            rewards: JSON.stringify(this.rewards),
+            finalized_at: toIso(this.finalizedAt),
+            created_by: this.createdBy,
+            created_at: toIso(this.createdAt),
+            updated_at: toIso(this.updatedAt)
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            startsAt: this.startsAt,
+            endsAt: this.endsAt,
+            status: this.getStatus(),
+            rewards: this.rewards,
+            finalizedAt: this.finalizedAt,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+Season.Status = SeasonStatus;
+
+module.exports = Season;
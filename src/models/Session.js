@@ -0,0 +1,94 @@
+/**
+ * Session Model - Login session of a web user
+ * A session outlives the short access tokens, it is extended by the refresh token until it expires or is revoked
+ */
+
+class Session {
+    /**
+     * Create a new Session object
+     * @param {Object} data - Session data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.userId = data.userId || data.user_id || null;
+
+        // SHA-256 of the current refresh token, the token itself is only known by the client
+        this.refreshTokenHash = data.refreshTokenHash || data.refresh_token_hash || null;
+
+        this.userAgent = data.userAgent || data.user_agent || null;
+        this.ipAddress = data.ipAddress || data.ip_address || null;
+        this.createdAt = data.createdAt || data.created_at || new Date();
+        this.lastUsedAt = data.lastUsedAt || data.last_used_at || new Date();
+        this.expiresAt = data.expiresAt || data.expires_at || null;
+        this.revokedAt = data.revokedAt || data.revoked_at || null;
+    }
+
+    /**
+     * Check if the session can still be used
+     * @returns {boolean} True if the session is neither revoked nor expired
+     */
+    isActive() {
+        return !this.revokedAt && !!this.expiresAt && new Date(this.expiresAt) > new Date();
+    }
+
+    /**
+     * Convert database row to Session model
+     * @param {Object} row - Database row
+     * @returns {Session} Session instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        return new Session({
+            id: row.id,
+            userId: row.user_id,
+            refreshTokenHash: row.refresh_token_hash,
+            userAgent: row.user_agent,
+            ipAddress: row.ip_address,
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at,
+            expiresAt: row.expires_at,
+            revokedAt: row.revoked_at
+        });
+    }
+
+    /**
+     * Convert to database format for storage
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toIso = (date) => date instanceof Date ? date.toISOString() : date;
+
+        return {
+            id: this.id,
+            user_id: this.userId,
+            refresh_token_hash: this.refreshTokenHash,
+            user_agent: this.userAgent,
+            ip_address: this.ipAddress,
+            created_at: toIso(this.createdAt),
+            last_used_at: toIso(this.lastUsedAt),
+            expires_at: toIso(this.expiresAt),
+            revoked_at: toIso(this.revokedAt)
+        };
+    }
+
+    /**
+     * Convert to API response format, without the refresh token hash
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            userId: this.userId,
+            userAgent: this.userAgent,
+            ipAddress: this.ipAddress,
+            createdAt: this.createdAt,
+            lastUsedAt: this.lastUsedAt,
+            expiresAt: this.expiresAt,
+            revokedAt: this.revokedAt,
+            active: this.isActive()
+        };
+    }
+}
+
+module.exports = Session;
@@ -2,6 +2,8 @@
  * Stats Model - Defines the schema and methods for player statistics
  * Focused on Zombies game mode, but extensible to other game modes
  */
+const StatsPeriod = require('../core/StatsPeriod');
+
 class Stats {
     /**
      * Create a new Stats object
@@ -205,7 +207,7 @@ class Stats {
 }
 
 /**
- * Period Stats Model - For weekly/monthly/yearly statistics tracking
+ * Period Stats Model - For daily/weekly/monthly/seasonal/yearly statistics tracking
  */
 class PeriodStats {
     /**
@@ -218,8 +220,8 @@ class PeriodStats {
         this.playerId = data.playerId || data.player_id || null;
         
         // Period information
-        this.periodType = data.periodType || data.period_type || 'weekly'; // weekly, monthly, yearly
-        this.periodKey = data.periodKey || data.period_key || ''; // Format: 2025-W20, 2025-05, 2025
+        this.periodType = data.periodType || data.period_type || 'weekly'; // daily, weekly, monthly, seasonal, yearly
+        this.periodKey = data.periodKey || data.period_key || ''; // Format: 2025-05-14, 2025-W20 (ISO week), 2025-05, 2025-S2, 2025
         
         // Stats
         this.kills = data.kills || 0;
@@ -298,27 +300,12 @@ class PeriodStats {
     
     /**
      * Generate current period key for a given type
-     * @param {string} periodType - weekly, monthly, yearly
+     * @param {string} periodType - daily, weekly, monthly, seasonal, yearly
+     * @param {StatsPeriod} periods - Period engine with the configured timezone, UTC by default
      * @returns {string} Period key
      */
-    static getCurrentPeriodKey(periodType = 'weekly') {
-        const now = new Date();
-        const year = now.getFullYear();
-        
-        switch (periodType) {
-            case 'weekly': {
-                // Calculate week number
-                const firstDayOfYear = new Date(year, 0, 1);
-                const pastDaysOfYear = (now - firstDayOfYear) / 86400000;
-                const weekNumber = Math.ceil((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
-                return `${year}-W${weekNumber.toString().padStart(2, '0')}`;
-            }
-            case 'monthly':
-                return `${year}-${(now.getMonth() + 1).toString().padStart(2, '0')}`;
-            case 'yearly':
-            default:
-                return year.toString();
-        }
+    static getCurrentPeriodKey(periodType = 'weekly', periods = new StatsPeriod()) {
+        return periods.getPeriod(periodType, new Date()).key;
     }
     
     /**
@@ -0,0 +1,115 @@
+/**
+ * Warning Model - Warning given to a player by an admin, counted until it expires or is cleared
+ */
+
+class Warning {
+    /**
+     * Create a new Warning object
+     * @param {Object} data - Warning data
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.serverId = data.serverId ?? data.server_id ?? null;
+
+        // Warned player
+        this.playerId = data.playerId ?? data.player_id ?? null;
+        this.playerGuid = data.playerGuid || data.player_guid || null;
+        this.playerName = data.playerName || data.player_name || null;
+
+        this.reason = data.reason || '';
+
+        // Origin admin (player ID, 0 for the system)
+        this.originId = data.originId ?? data.origin_id ?? null;
+        this.originName = data.originName || data.origin_name || null;
+
+        // Timestamps, a warning without expiry counts until it is cleared
+        this.createdAt = data.createdAt || data.created_at || new Date();
+        this.expiresAt = data.expiresAt || data.expires_at || null;
+
+        // Clearing (!clearwarns or the web interface)
+        this.clearedAt = data.clearedAt || data.cleared_at || null;
+        this.clearedBy = data.clearedBy || data.cleared_by || null;
+    }
+
+    /**
+     * Check if the warning still counts towards the escalation
+     * @param {Date} now - Reference date
+     * @returns {boolean} Whether the warning is active
+     */
+    isActive(now = new Date()) {
+        if (this.clearedAt) return false;
+        if (!this.expiresAt) return true;
+        return new Date(this.expiresAt) > now;
+    }
+
+    /**
+     * Convert database row to Warning model
+     * @param {Object} row - Database row
+     * @returns {Warning} Warning instance
+     */
+    static fromDatabaseRow(row) {
+        if (!row) return null;
+
+        return new Warning({
+            id: row.id,
+            serverId: row.server_id,
+            playerId: row.player_id,
+            playerGuid: row.player_guid,
+            playerName: row.player_name,
+            reason: row.reason,
+            originId: row.origin_id,
+            originName: row.origin_name,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            clearedAt: row.cleared_at,
+            clearedBy: row.cleared_by
+        });
+    }
+
+    /**
+     * Convert to database format for storage, the ID is generated by the database
+     * @returns {Object} Database format
+     */
+    toDatabase() {
+        const toIso = (date) => date instanceof Date ? date.toISOString() : date;
+        const toText = (value) => value === null || value === undefined ? null : String(value);
+
+        return {
+            server_id: toText(this.serverId),
+            player_id: toText(this.playerId),
+            player_guid: this.playerGuid,
+            player_name: this.playerName,
+            reason: this.reason,
+            origin_id: toText(this.originId),
+            origin_name: this.originName,
+            created_at: toIso(this.createdAt),
+            expires_at: toIso(this.expiresAt),
+            cleared_at: toIso(this.clearedAt),
+            cleared_by: this.clearedBy
+        };
+    }
+
+    /**
+     * Convert to API response format
+     * @returns {Object} API format
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            serverId: this.serverId,
+            playerId: this.playerId,
+            playerGuid: this.playerGuid,
+            playerName: this.playerName,
+            reason: this.reason,
+            originId: this.originId,
+            originName: this.originName,
+            createdAt: this.createdAt,
+            expiresAt: this.expiresAt,
+            clearedAt: this.clearedAt,
+            clearedBy: this.clearedBy,
+            active: this.isActive()
+        };
+    }
+}
+
+module.exports = Warning;
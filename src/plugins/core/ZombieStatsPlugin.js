@@ -0,0 +1,413 @@
+/**
+ * ZombieStatsPlugin - Records zombies matches from the JSON events of stats_system.gsc
+ * Matches, rounds, downs and revives are stored without any manual API call
+ */
+const BasePlugin = require('../../core/BasePlugin');
+
+class ZombieStatsPlugin extends BasePlugin {
+    constructor(serviceFactory) {
+        super(serviceFactory);
+
+        // Define plugin metadata
+        this.name = 'ZombieStatsPlugin';
+        this.version = '1.0.0';
+        this.description = 'Records zombies matches and player stats from the game log';
+        this.author = 'Node Server Manager Team';
+
+        // Latest stats received for each player of the running match, per server
+        // serverId -> Map(guid -> { name, kills, downs, revives, headshots, score, round })
+        this.matchPlayers = new Map();
+
+        // Events of a server are handled one after the other, a round must not be read before its match is stored
+        // serverId -> promise of the last queued event
+        this.queues = new Map();
+    }
+
+    /**
+     * Set up models used by this plugin
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _setupModels() {
+        this.registerModel('ZombieMatch', require('./models/ZombieMatchModel'));
+        this.registerModel('ZombiePlayerStats', require('./models/ZombiePlayerStatsModel'));
+    }
+
+    /**
+     * Set up repositories used by this plugin
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _setupRepositories() {
+        // The repository awaits run/get/all, so it needs the promise based DatabaseService
+        const dbService = this.getService('dbService');
+        if (!dbService) {
+            throw new Error('Database service is required for ZombieStatsPlugin');
+        }
+
+        const ZombieStatsRepository = require('./repositories/ZombieStatsRepository');
+        const repository = this.registerRepository('zombieStats', new ZombieStatsRepository(dbService));
+        await repository.ready;
+    }
+
+    /**
+     * Set up controllers used by this plugin
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _setupControllers() {
+        const ZombieMatchController = require('./controllers/ZombieMatchController');
+        this.registerController('zombieMatch', new ZombieMatchController(
+            this.repositories.zombieStats,
+            this.emitEvent.bind(this)
+        ));
+    }
+
+    /**
+     * Set up API routes
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _setupRoutes() {
+        const apiService = this.getService('apiService');
+        if (apiService) {
+            apiService.registerRoutes('/zombies', this.controllers.zombieMatch.getRoutes());
+            this.log('info', 'Registered zombies API routes');
+        }
+    }
+
+    /**
+     * Set up event handlers
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _setupEventHandlers() {
+        const handlers = {
+            'game.match_start': this._handleMatchStart,
+            'game.round_start': this._handleRoundStart,
+            'game.player_downed': this._handlePlayerDowned,
+            'game.player_revived': this._handlePlayerRevived,
+            'game.player_joined': this._handlePlayerJoined,
+            'game.player_left': this._handlePlayerLeft,
+            'game.update_stats': this._handleUpdateStats,
+            'game.match_end': this._handleMatchEnd
+        };
+
+        for (const [eventType, handler] of Object.entries(handlers)) {
+            this.subscribe(eventType, (event) => this._enqueue(event.serverId, handler, event));
+        }
+    }
+
+    /**
+     * Handle an event after the events of the same server already queued
+     * @param {string} serverId - Server ID
+     * @param {Function} handler - Event handler
+     * @param {Object} event - Event data { serverId, data }
+     * @returns {Promise<void>} Resolved once the event is handled
+     * @private
+     */
+    _enqueue(serverId, handler, event) {
+        const previous = this.queues.get(serverId) || Promise.resolve();
+
+        const queued = previous
+            .then(() => handler.call(this, event))
+            .catch(error => this.log('error', `Error handling a game event on server ${serverId}:`, error))
+            .finally(() => {
+                // Idle servers do not keep a queue
+                if (this.queues.get(serverId) === queued) this.queues.delete(serverId);
+            });
+
+        this.queues.set(serverId, queued);
+        return queued;
+    }
+
+    /**
+     * Handle match_start: close any unfinished match and create a new one
+     * @param {Object} event - Event data { serverId, data }
+     * @private
+     */
+    async _handleMatchStart(event) {
+        const { serverId, data } = event;
+
+        try {
+            const controller = this.controllers.zombieMatch;
+
+            // A match without match_end (crash, map change by RCON) is closed with what we know
+            const previousMatch = await controller.getActiveMatch(serverId);
+            if (previousMatch) {
+                this.log('warn', `Closing unfinished zombies match ${previousMatch.id} on server ${serverId}`);
+                await this._finalizeMatch(serverId, previousMatch, previousMatch.round);
+            }
+
+            this.matchPlayers.set(serverId, new Map());
+            this._updatePlayers(serverId, data.players);
+
+            await controller.createMatch({
+                serverId,
+                mapName: data.mapName,
+                startTime: new Date(),
+                playerGuids: data.players.map(player => player.guid)
+            });
+        } catch (error) {
+            this.log('error', `Error recording match start on server ${serverId}:`, error);
+        }
+    }
+
+    /**
+     * Handle round_start: store the reached round and a snapshot of player stats
+     * @param {Object} event - Event data { serverId, data }
+     * @private
+     */
+    async _handleRoundStart(event) {
+        const { serverId, data } = event;
+
+        try {
+            const activeMatch = await this._getActiveMatch(serverId);
+            if (!activeMatch) return;
+
+            this._updatePlayers(serverId, data.players);
+
+            // Persisting the snapshot lets a restarted manager resume the match
+            await this.repositories.zombieStats.updateMatch(activeMatch.id, {
+                round: data.round,
+                maxRound: Math.max(activeMatch.maxRound, data.round),
+                playerGuids: this._mergePlayerGuids(serverId, activeMatch),
+                stats: this._buildMatchStats(serverId)
+            });
+
+            await this.emitEvent('zombies.round.started', {
+                matchId: activeMatch.id,
+                serverId,
+                round: data.round,
+                playerCount: data.players.length,
+                timestamp: new Date()
+            });
+        } catch (error) {
+            this.log('error', `Error recording round start on server ${serverId}:`, error);
+        }
+    }
+
+    /**
+     * Handle player_downed
+     * @param {Object} event - Event data { serverId, data }
+     * @private
+     */
+    async _handlePlayerDowned(event) {
+        await this._recordPlayerEvent('zombies.player.downed', event);
+    }
+
+    /**
+     * Handle player_revived
+     * @param {Object} event - Event data { serverId, data }
+     * @private
+     */
+    async _handlePlayerRevived(event) {
+        await this._recordPlayerEvent('zombies.player.revived', event);
+    }
+
+    /**
+     * Handle player_joined: the player takes part in the running match
+     * @param {Object} event - Event data { serverId, data }
+     * @private
+     */
+    async _handlePlayerJoined(event) {
+        const { serverId, data } = event;
+
+        const activeMatch = await this._getActiveMatch(serverId).catch(() => null);
+        if (!activeMatch) return;
+
+        this._updatePlayers(serverId, [data.player]);
+    }
+
+    /**
+     * Handle player_left: the last known stats are kept for the end of the match
+     * @param {Object} event - Event data { serverId, data }
+     * @private
+     */
+    async _handlePlayerLeft(event) {
+        const { serverId, data } = event;
+
+        const activeMatch = await this._getActiveMatch(serverId).catch(() => null);
+        if (!activeMatch) return;
+
+        this._updatePlayers(serverId, [data.player]);
+    }
+
+    /**
+     * Handle update_stats: periodic stats of a single player
+     * @param {Object} event - Event data { serverId, data }
+     * @private
+     */
+    async _handleUpdateStats(event) {
+        const { serverId, data } = event;
+
+        const activeMatch = await this._getActiveMatch(serverId).catch(() => null);
+        if (!activeMatch) return;
+
+        this._updatePlayers(serverId, [data.player]);
+    }
+
+    /**
+     * Handle match_end: finalize the match and update cumulative player stats
+     * @param {Object} event - Event data { serverId, data }
+     * @private
+     */
+    async _handleMatchEnd(event) {
+        const { serverId, data } = event;
+
+        try {
+            const activeMatch = await this._getActiveMatch(serverId);
+            if (!activeMatch) {
+                this.log('warn', `Received match_end without an active zombies match on server ${serverId}`);
+                return;
+            }
+
+            this._updatePlayers(serverId, data.players);
+
+            const rounds = data.players
+                .map(player => player.stats?.round || 0)
+                .concat(activeMatch.round);
+
+            await this._finalizeMatch(serverId, activeMatch, Math.max(...rounds), data.durationSeconds);
+        } catch (error) {
+            this.log('error', `Error recording match end on server ${serverId}:`, error);
+        }
+    }
+
+    /**
+     * Record a downed/revived event for the player of the running match
+     * @param {string} eventType - Event type to persist
+     * @param {Object} event - Event data { serverId, data }
+     * @private
+     */
+    async _recordPlayerEvent(eventType, event) {
+        const { serverId, data } = event;
+
+        try {
+            const activeMatch = await this._getActiveMatch(serverId);
+            if (!activeMatch) return;
+
+            this._updatePlayers(serverId, [data.player]);
+
+            await this.emitEvent(eventType, {
+                matchId: activeMatch.id,
+                serverId,
+                playerGuid: data.player.guid,
+                playerName: data.player.name,
+                round: data.player.stats?.round || activeMatch.round,
+                timestamp: new Date()
+            }, true);
+        } catch (error) {
+            this.log('error', `Error recording ${eventType} on server ${serverId}:`, error);
+        }
+    }
+
+    /**
+     * Finalize a match with the collected player stats
+     * @param {string} serverId - Server ID
+     * @param {Object} activeMatch - Active match model
+     * @param {number} round - Final round
+     * @param {number} durationSeconds - Match duration reported by the game
+     * @private
+     */
+    async _finalizeMatch(serverId, activeMatch, round, durationSeconds = null) {
+        // Players who joined late must be part of the match before finalizing
+        await this.repositories.zombieStats.updateMatch(activeMatch.id, {
+            playerGuids: this._mergePlayerGuids(serverId, activeMatch)
+        });
+
+        await this.controllers.zombieMatch.finalizeMatch({
+            serverId,
+            endTime: new Date(),
+            round,
+            stats: {
+                ...this._buildMatchStats(serverId),
+                durationSeconds
+            }
+        });
+
+        this.matchPlayers.delete(serverId);
+    }
+
+    /**
+     * Get the active match of a server, restoring the player snapshot if needed
+     * @param {string} serverId - Server ID
+     * @returns {Promise<Object|null>} Active match or null
+     * @private
+     */
+    async _getActiveMatch(serverId) {
+        const activeMatch = await this.controllers.zombieMatch.getActiveMatch(serverId);
+
+        if (activeMatch && !this.matchPlayers.has(serverId)) {
+            const players = new Map(Object.entries(activeMatch.stats?.players || {}));
+            this.matchPlayers.set(serverId, players);
+        }
+
+        return activeMatch;
+    }
+
+    /**
+     * Update the player snapshot of a server
+     * @param {string} serverId - Server ID
+     * @param {Array<Object>} players - Validated players from a JSON event
+     * @private
+     */
+    _updatePlayers(serverId, players = []) {
+        if (!this.matchPlayers.has(serverId)) {
+            this.matchPlayers.set(serverId, new Map());
+        }
+        const snapshot = this.matchPlayers.get(serverId);
+
+        for (const player of players) {
+            const previous = snapshot.get(player.guid) || {};
+            snapshot.set(player.guid, {
+                ...previous,
+                name: player.name,
+                ...(player.stats || {})
+            });
+        }
+    }
+
+    /**
+     * Get the GUIDs of the match merged with the players seen since it started
+     * @param {string} serverId - Server ID
+     * @param {Object} activeMatch - Active match model
+     * @returns {Array<string>} Player GUIDs
+     * @private
+     */
+    _mergePlayerGuids(serverId, activeMatch) {
+        const snapshot = this.matchPlayers.get(serverId) || new Map();
+        return [...new Set([...activeMatch.playerGuids, ...snapshot.keys()])];
+    }
+
+    /**
+     * Build the stats object expected by ZombieMatchController.finalizeMatch
+     * @param {string} serverId - Server ID
+     * @returns {Object} Match stats { players: { guid: stats } }
+     * @private
+     */
+    _buildMatchStats(serverId) {
+        const snapshot = this.matchPlayers.get(serverId) || new Map();
+        const players = {};
+
+        for (const [guid, stats] of snapshot.entries()) {
+            players[guid] = { ...stats };
+        }
+
+        return { players };
+    }
+
+    /**
+     * Clean up resources
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _cleanupResources() {
+        // Events already read are stored before the database closes
+        await Promise.all(this.queues.values());
+        this.queues.clear();
+        this.matchPlayers.clear();
+    }
+}
+
+module.exports = ZombieStatsPlugin;
@@ -14,8 +14,8 @@ class ZombieStatsRepository {
         this.matchesTable = 'zombies_matches';
         this.statsTable = 'zombies_player_stats';
         
-        // Initialize the database schema
-        this._initSchema();
+        // Initialize the database schema, awaited by the plugin before the first event
+        this.ready = this._initSchema();
     }
     
     /**
@@ -191,6 +191,11 @@ class ZombieStatsRepository {
                     updateData.endTime.toISOString() : updateData.endTime);
             }
             
+            if ('playerGuids' in updateData) {
+                updateFields.push('player_guids = ?');
+                params.push(JSON.stringify(updateData.playerGuids || []));
+            }
+            
             if ('stats' in updateData) {
                 updateFields.push('stats = ?');
                 params.push(typeof updateData.stats === 'object' ? 
@@ -368,4 +373,6 @@ class ZombieStatsRepository {
     async close() {
         // Nothing to do for now, but required by BasePlugin
     }
-}
\ No newline at end of file
+}
+
+module.exports = ZombieStatsRepository;
@@ -58,7 +58,7 @@ class StatsCommand extends BaseCommand {
                 const targetName = args.join(' ');
                 
                 // Only admins and moderators can check other players' stats
-                if (!this.checkPermission({ ...player, role: 'moderator' })) {
+                if (typeof player.hasPermission !== 'function' || !player.hasPermission('stats.others')) {
                     return { 
                         success: false, 
                         message: "^1You don't have permission to view other players' stats." 
@@ -0,0 +1,164 @@
+/**
+ * Achievement Repository - Data access for the lifetime stats of the players and their unlocked achievements
+ */
+const BaseRepository = require('./BaseRepository');
+const PlayerAchievement = require('../models/PlayerAchievement');
+
+class AchievementRepository extends BaseRepository {
+    /**
+     * Create a new AchievementRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'player_achievements');
+    }
+
+    /**
+     * Add to the counters of a player
+     * @param {string} guid - Player GUID
+     * @param {Object} amounts - Stat key -> amount to add
+     * @returns {Promise<void>}
+     */
+    async addToStats(guid, amounts) {
+        try {
+            await this.saveStats(guid, amounts, 'value + excluded.value');
+        } catch (error) {
+            console.error('Error in AchievementRepository.addToStats:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Raise the levels of a player, lower values are ignored
+     * @param {string} guid - Player GUID
+     * @param {Object} values - Stat key -> value reached
+     * @returns {Promise<void>}
+     */
+    async raiseStats(guid, values) {
+        try {
+            await this.saveStats(guid, values, 'MAX(value, excluded.value)');
+        } catch (error) {
+            console.error('Error in AchievementRepository.raiseStats:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the stats of a player
+     * @param {string} guid - Player GUID
+     * @returns {Promise<Object>} Stat key -> value
+     */
+    async getStats(guid) {
+        try {
+            const rows = await this.db.all('SELECT stat, value FROM player_achievement_stats WHERE player_guid = ?', [guid]);
+            return Object.fromEntries(rows.map(row => [row.stat, row.value]));
+        } catch (error) {
+            console.error('Error in AchievementRepository.getStats:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store an unlocked achievement, an achievement is only unlocked once per player
+     * @param {PlayerAchievement} achievement - Unlock
+     * @returns {Promise<boolean>} Whether the achievement was not unlocked yet
+     */
+    async unlock(achievement) {
+        try {
+            const data = achievement.toDatabase();
+            const columns = Object.keys(data);
+
+            const result = await this.db.run(`
+                INSERT OR IGNORE INTO player_achievements (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            if (result.changes === 0) return false;
+
+            achievement.id = result.lastID;
+            return true;
+        } catch (error) {
+            console.error('Error in AchievementRepository.unlock:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the achievements of a player
+     * @param {string} guid - Player GUID
+     * @returns {Promise<Array<PlayerAchievement>>} Unlocks, oldest first
+     */
+    async getUnlocks(guid) {
+        try {
+            const rows = await this.db.all(
+                'SELECT * FROM player_achievements WHERE player_guid = ? ORDER BY unlocked_at, id',
+                [guid]
+            );
+
+            return rows.map(row => PlayerAchievement.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in AchievementRepository.getUnlocks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the first unlock of an achievement
+     * @param {string} achievementId - Achievement ID
+     * @returns {Promise<PlayerAchievement|null>} Unlock or null if nobody unlocked it
+     */
+    async getFirstUnlock(achievementId) {
+        try {
+            const row = await this.db.get(
+                'SELECT * FROM player_achievements WHERE achievement_id = ? ORDER BY unlocked_at, id LIMIT 1',
+                [achievementId]
+            );
+            return PlayerAchievement.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in AchievementRepository.getFirstUnlock:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count the players who unlocked each achievement
+     * @returns {Promise<Map<string, number>>} Achievement ID -> players
+     */
+    async countUnlocks() {
+        try {
+            const rows = await this.db.all(`
+                SELECT achievement_id, COUNT(*) as players FROM player_achievements
+                GROUP BY achievement_id
+            `);
+
+            return new Map(rows.map(row => [row.achievement_id, row.players]));
+        } catch (error) {
+            console.error('Error in AchievementRepository.countUnlocks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upsert stats of a player
+     * @param {string} guid - Player GUID
+     * @param {Object} values - Stat key -> value
+     * @param {string} update - SQL expression of the new value
+     * @returns {Promise<void>}
+     * @private
+     */
+    async saveStats(guid, values, update) {
+        const now = new Date().toISOString();
+
+        for (const [stat, value] of Object.entries(values)) {
+            await this.db.run(`
+                INSERT INTO player_achievement_stats (player_guid, stat, value, updated_at)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT (player_guid, stat) DO UPDATE SET
+                    value = ${update},
+                    updated_at = excluded.updated_at
+            `, [guid, stat, value, now]);
+        }
+    }
+}
+
+module.exports = AchievementRepository;
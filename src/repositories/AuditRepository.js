@@ -0,0 +1,146 @@
+/**
+ * Audit Repository - Data access for the audit log
+ */
+const BaseRepository = require('./BaseRepository');
+const AuditEntry = require('../models/AuditEntry');
+
+class AuditRepository extends BaseRepository {
+    /**
+     * Create a new AuditRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'audit_log');
+    }
+
+    /**
+     * Store an entry
+     * @param {AuditEntry} entry - Entry with an ID
+     * @returns {Promise<AuditEntry>} Stored entry
+     */
+    async create(entry) {
+        try {
+            const data = entry.toDatabase();
+            const columns = Object.keys(data);
+
+            await this.db.run(`
+                INSERT INTO audit_log (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            return entry;
+        } catch (error) {
+            console.error('Error in AuditRepository.create:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the entries matching the filters, most recent first
+     * @param {Object} filters - { actor, actorType, action, targetType, targetId, serverId, source, success, from, to }
+     * @param {number} limit - Maximum results, 0 for all
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object>} { entries, total }
+     */
+    async search(filters = {}, limit = 50, offset = 0) {
+        try {
+            const { where, params } = this.buildWhere(filters);
+
+            const countRow = await this.db.get(`SELECT COUNT(*) as total FROM audit_log ${where}`, params);
+
+            const rows = await this.db.all(`
+                SELECT * FROM audit_log
+                ${where}
+                ORDER BY created_at DESC, rowid DESC
+                ${limit > 0 ? 'LIMIT ? OFFSET ?' : ''}
+            `, limit > 0 ? [...params, limit, offset] : params);
+
+            return {
+                entries: rows.map(row => AuditEntry.fromDatabaseRow(row)),
+                total: countRow ? countRow.total : 0
+            };
+        } catch (error) {
+            console.error('Error in AuditRepository.search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the distinct actions, for the filters of the web interface
+     * @returns {Promise<Array<string>>} Actions
+     */
+    async getActions() {
+        try {
+            const rows = await this.db.all('SELECT DISTINCT action FROM audit_log ORDER BY action');
+            return rows.map(row => row.action);
+        } catch (error) {
+            console.error('Error in AuditRepository.getActions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the WHERE clause of a search
+     * @param {Object} filters - Search filters
+     * @returns {Object} { where, params }
+     * @private
+     */
+    buildWhere(filters) {
+        const conditions = [];
+        const params = [];
+
+        // Name or ID of the actor
+        if (filters.actor) {
+            conditions.push('(actor_id = ? OR actor_name LIKE ?)');
+            params.push(String(filters.actor), `%${filters.actor}%`);
+        }
+
+        // A trailing '*' matches every action of a family, e.g. 'server.*'
+        if (filters.action) {
+            if (filters.action.endsWith('*')) {
+                conditions.push('action LIKE ?');
+                params.push(`${filters.action.slice(0, -1)}%`);
+            } else {
+                conditions.push('action = ?');
+                params.push(filters.action);
+            }
+        }
+
+        const exact = {
+            actorType: 'actor_type',
+            targetType: 'target_type',
+            targetId: 'target_id',
+            serverId: 'server_id',
+            source: 'source'
+        };
+
+        for (const [filter, column] of Object.entries(exact)) {
+            if (filters[filter] !== undefined && filters[filter] !== null && filters[filter] !== '') {
+                conditions.push(`${column} = ?`);
+                params.push(String(filters[filter]));
+            }
+        }
+
+        if (filters.success !== undefined && filters.success !== null) {
+            conditions.push('success = ?');
+            params.push(filters.success ? 1 : 0);
+        }
+
+        if (filters.from) {
+            conditions.push('created_at >= ?');
+            params.push(new Date(filters.from).toISOString());
+        }
+
+        if (filters.to) {
+            conditions.push('created_at <= ?');
+            params.push(new Date(filters.to).toISOString());
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+}
+
+module.exports = AuditRepository;
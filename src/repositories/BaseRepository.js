@@ -74,8 +74,9 @@ class BaseRepository {
                 VALUES (${placeholders})
             `;
             
-            const result = await this.db._run(query, values);
-            return { id: result.lastID, ...data };
+            const result = await this.db.run(query, values);
+            // Tables with generated IDs get the ID of the new row
+            return { ...data, id: data.id ?? result.lastID };
         } catch (error) {
             console.error(`Error in ${this.tableName}.insert:`, error);
             throw error;
@@ -100,7 +101,7 @@ class BaseRepository {
                 WHERE id = ?
             `;
             
-            const result = await this.db._run(query, values);
+            const result = await this.db.run(query, values);
             return result.changes > 0;
         } catch (error) {
             console.error(`Error in ${this.tableName}.update:`, error);
@@ -115,7 +116,7 @@ class BaseRepository {
      */
     async delete(id) {
         try {
-            const result = await this.db._run(
+            const result = await this.db.run(
                 `DELETE FROM ${this.tableName} WHERE id = ?`,
                 [id]
             );
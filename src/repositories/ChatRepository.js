@@ -0,0 +1,160 @@
+/**
+ * Chat Repository - Data access for the stored chat messages and their full-text index
+ */
+const BaseRepository = require('./BaseRepository');
+const ChatMessage = require('../models/ChatMessage');
+
+class ChatRepository extends BaseRepository {
+    /**
+     * Create a new ChatRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'chat_messages');
+    }
+
+    /**
+     * Store a message
+     * @param {ChatMessage} message - Message without an ID
+     * @returns {Promise<ChatMessage>} Stored message with its ID
+     */
+    async create(message) {
+        try {
+            const data = message.toDatabase();
+            const columns = Object.keys(data);
+
+            const result = await this.db.run(`
+                INSERT INTO chat_messages (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            message.id = result.lastID;
+            return message;
+        } catch (error) {
+            console.error('Error in ChatRepository.create:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a message by ID
+     * @param {number} id - Message ID
+     * @returns {Promise<ChatMessage|null>} Message or null
+     */
+    async getMessageById(id) {
+        try {
+            const row = await this.db.get('SELECT * FROM chat_messages WHERE id = ?', [id]);
+            return ChatMessage.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in ChatRepository.getMessageById:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the messages matching the filters, most recent first
+     * @param {Object} filters - { serverId, playerId, playerGuid, matchId, from, to, match, like }
+     *                           match is an FTS5 query, like a list of LIKE patterns used without the index
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object>} { messages, total }
+     */
+    async search(filters = {}, limit = 50, offset = 0) {
+        try {
+            const conditions = [];
+            const params = [];
+
+            if (filters.serverId) {
+                conditions.push('server_id = ?');
+                params.push(String(filters.serverId));
+            }
+
+            // Messages said before the player was saved only carry the GUID
+            if (filters.playerId || filters.playerGuid) {
+                conditions.push('(player_id = ? OR player_guid = ?)');
+                params.push(String(filters.playerId || ''), filters.playerGuid || '');
+            }
+
+            if (filters.matchId) {
+                conditions.push('match_id = ?');
+                params.push(filters.matchId);
+            }
+
+            if (filters.from) {
+                conditions.push('created_at >= ?');
+                params.push(new Date(filters.from).toISOString());
+            }
+
+            if (filters.to) {
+                conditions.push('created_at <= ?');
+                params.push(new Date(filters.to).toISOString());
+            }
+
+            if (filters.match) {
+                conditions.push('id IN (SELECT rowid FROM chat_messages_fts WHERE chat_messages_fts MATCH ?)');
+                params.push(filters.match);
+            }
+
+            for (const pattern of filters.like || []) {
+                conditions.push("message LIKE ? ESCAPE '\\'");
+                params.push(pattern);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countRow = await this.db.get(`SELECT COUNT(*) as total FROM chat_messages ${where}`, params);
+            const rows = await this.db.all(`
+                SELECT * FROM chat_messages
+                ${where}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]);
+
+            return {
+                messages: rows.map(row => ChatMessage.fromDatabaseRow(row)),
+                total: countRow ? countRow.total : 0
+            };
+        } catch (error) {
+            console.error('Error in ChatRepository.search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the messages said on the same server around a message
+     * @param {ChatMessage} message - Reference message
+     * @param {number} before - Messages to return before it
+     * @param {number} after - Messages to return after it
+     * @returns {Promise<Array<ChatMessage>>} Messages in chronological order, the reference included
+     */
+    async getContext(message, before = 10, after = 10) {
+        try {
+            const serverId = String(message.serverId);
+
+            const previous = await this.db.all(`
+                SELECT * FROM chat_messages
+                WHERE server_id = ? AND id < ?
+                ORDER BY id DESC
+                LIMIT ?
+            `, [serverId, message.id, before]);
+
+            const next = await this.db.all(`
+                SELECT * FROM chat_messages
+                WHERE server_id = ? AND id > ?
+                ORDER BY id ASC
+                LIMIT ?
+            `, [serverId, message.id, after]);
+
+            return [
+                ...previous.reverse().map(row => ChatMessage.fromDatabaseRow(row)),
+                message,
+                ...next.map(row => ChatMessage.fromDatabaseRow(row))
+            ];
+        } catch (error) {
+            console.error('Error in ChatRepository.getContext:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ChatRepository;
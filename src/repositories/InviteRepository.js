@@ -0,0 +1,114 @@
+/**
+ * Invite Repository - Data access for the registration invites of the web users
+ */
+const BaseRepository = require('./BaseRepository');
+const Invite = require('../models/Invite');
+
+class InviteRepository extends BaseRepository {
+    /**
+     * Create a new InviteRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'user_invites');
+    }
+
+    /**
+     * Store a new invite
+     * @param {Invite} invite - Invite model with an ID
+     * @returns {Promise<Invite>} Stored invite
+     */
+    async create(invite) {
+        try {
+            const data = invite.toDatabase();
+            const columns = Object.keys(data);
+
+            await this.db.run(`
+                INSERT INTO user_invites (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            return invite;
+        } catch (error) {
+            console.error('Error in InviteRepository.create:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get an invite by ID
+     * @param {string} id - Invite ID
+     * @returns {Promise<Invite|null>} Invite or null
+     */
+    async getInviteById(id) {
+        try {
+            const row = await this.db.get('SELECT * FROM user_invites WHERE id = ?', [id]);
+            return Invite.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in InviteRepository.getInviteById:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the invites, most recent first
+     * @param {number} limit - Maximum number of invites
+     * @returns {Promise<Array<Invite>>} Invites
+     */
+    async getInvites(limit = 100) {
+        try {
+            const rows = await this.db.all(
+                'SELECT * FROM user_invites ORDER BY created_at DESC LIMIT ?',
+                [limit]
+            );
+
+            return rows.map(row => Invite.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in InviteRepository.getInvites:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark an invite as used
+     * Only succeeds if the invite is still usable, so an invite registers a single user
+     * @param {string} id - Invite ID
+     * @param {string} userId - Registered user ID
+     * @returns {Promise<boolean>} Whether the invite was claimed
+     */
+    async markUsed(id, userId) {
+        try {
+            const now = new Date().toISOString();
+            const result = await this.db.run(`
+                UPDATE user_invites SET used_at = ?, used_by = ?
+                WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL AND expires_at > ?
+            `, [now, userId, id, now]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in InviteRepository.markUsed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke an invite that was not used yet
+     * @param {string} id - Invite ID
+     * @returns {Promise<boolean>} Whether an unused invite was revoked
+     */
+    async revokeInvite(id) {
+        try {
+            const result = await this.db.run(
+                'UPDATE user_invites SET revoked_at = ? WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL',
+                [new Date().toISOString(), id]
+            );
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in InviteRepository.revokeInvite:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = InviteRepository;
@@ -0,0 +1,132 @@
+/**
+ * Map Rotation Preset Repository - Data access for the rotation presets of the servers
+ */
+const BaseRepository = require('./BaseRepository');
+const MapRotationPreset = require('../models/MapRotationPreset');
+
+class MapRotationPresetRepository extends BaseRepository {
+    /**
+     * Create a new MapRotationPresetRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'map_rotation_presets');
+    }
+
+    /**
+     * Store a new preset
+     * @param {MapRotationPreset} preset - Preset model with an ID
+     * @returns {Promise<MapRotationPreset>} Stored preset
+     */
+    async create(preset) {
+        try {
+            const data = preset.toDatabase();
+            const columns = Object.keys(data);
+
+            await this.db.run(`
+                INSERT INTO map_rotation_presets (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            return preset;
+        } catch (error) {
+            console.error('Error in MapRotationPresetRepository.create:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a preset
+     * @param {MapRotationPreset} preset - Preset model
+     * @returns {Promise<boolean>} Whether a preset was updated
+     */
+    async update(preset) {
+        try {
+            const result = await this.db.run(`
+                UPDATE map_rotation_presets
+                SET name = ?, description = ?, entries = ?, updated_at = ?
+                WHERE id = ?
+            `, [
+                preset.name,
+                preset.description,
+                JSON.stringify(preset.entries),
+                new Date().toISOString(),
+                preset.id
+            ]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in MapRotationPresetRepository.update:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a preset by ID
+     * @param {string} id - Preset ID
+     * @returns {Promise<MapRotationPreset|null>} Preset or null
+     */
+    async getPresetById(id) {
+        try {
+            const row = await this.db.get('SELECT * FROM map_rotation_presets WHERE id = ?', [id]);
+            return MapRotationPreset.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in MapRotationPresetRepository.getPresetById:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a preset of a server by name
+     * @param {string} serverId - Server ID
+     * @param {string} name - Preset name
+     * @returns {Promise<MapRotationPreset|null>} Preset or null
+     */
+    async getPresetByName(serverId, name) {
+        try {
+            const row = await this.db.get(
+                'SELECT * FROM map_rotation_presets WHERE server_id = ? AND name = ? COLLATE NOCASE',
+                [serverId, name]
+            );
+            return MapRotationPreset.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in MapRotationPresetRepository.getPresetByName:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the presets of a server
+     * @param {string} serverId - Server ID
+     * @returns {Promise<Array<MapRotationPreset>>} Presets sorted by name
+     */
+    async getPresets(serverId) {
+        try {
+            const rows = await this.db.all(
+                'SELECT * FROM map_rotation_presets WHERE server_id = ? ORDER BY name COLLATE NOCASE',
+                [serverId]
+            );
+            return rows.map(row => MapRotationPreset.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in MapRotationPresetRepository.getPresets:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a preset
+     * @param {string} id - Preset ID
+     * @returns {Promise<boolean>} Whether a preset was deleted
+     */
+    async deletePreset(id) {
+        try {
+            const result = await this.db.run('DELETE FROM map_rotation_presets WHERE id = ?', [id]);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in MapRotationPresetRepository.deletePreset:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = MapRotationPresetRepository;
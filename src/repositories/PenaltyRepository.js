@@ -0,0 +1,176 @@
+/**
+ * Penalty Repository - Data access for player penalties
+ */
+const BaseRepository = require('./BaseRepository');
+const Penalty = require('../models/Penalty');
+
+class PenaltyRepository extends BaseRepository {
+    /**
+     * Create a new PenaltyRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'penalties');
+    }
+
+    /**
+     * Store a new penalty
+     * @param {Penalty} penalty - Penalty model with an ID
+     * @returns {Promise<Penalty>} Stored penalty
+     */
+    async create(penalty) {
+        try {
+            const data = penalty.toDatabase();
+            const columns = Object.keys(data);
+
+            await this.db.run(`
+                INSERT INTO penalties (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            return penalty;
+        } catch (error) {
+            console.error('Error in PenaltyRepository.create:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a penalty by ID
+     * @param {string} id - Penalty ID
+     * @returns {Promise<Penalty|null>} Penalty or null
+     */
+    async getPenaltyById(id) {
+        try {
+            const row = await this.db.get('SELECT * FROM penalties WHERE id = ?', [id]);
+            return Penalty.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in PenaltyRepository.getPenaltyById:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the bans currently in effect for a GUID and optionally an IP address
+     * @param {string} guid - Player GUID
+     * @param {string|null} ip - Player IP address, without port
+     * @returns {Promise<Array<Penalty>>} Active bans, permanent bans first
+     */
+    async getActiveBans(guid, ip = null) {
+        try {
+            const params = [Penalty.Types.PERMA_BAN, Penalty.Types.TEMP_BAN, new Date().toISOString(), guid];
+            let targetClause = 'player_guid = ?';
+
+            if (ip) {
+                targetClause = '(player_guid = ? OR player_ip = ?)';
+                params.push(ip);
+            }
+
+            const rows = await this.db.all(`
+                SELECT * FROM penalties
+                WHERE type IN (?, ?)
+                  AND revoked_at IS NULL
+                  AND (expires_at IS NULL OR expires_at > ?)
+                  AND ${targetClause}
+                ORDER BY expires_at IS NOT NULL, expires_at DESC
+            `, params);
+
+            return rows.map(row => Penalty.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in PenaltyRepository.getActiveBans:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get penalties of a player
+     * @param {Object} target - { playerId, guid }
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Array<Penalty>>} Penalties, most recent first
+     */
+    async getPlayerPenalties(target, limit = 50, offset = 0) {
+        try {
+            const rows = await this.db.all(`
+                SELECT * FROM penalties
+                WHERE player_id = ? OR player_guid = ?
+                ORDER BY created_at DESC
+                LIMIT ? OFFSET ?
+            `, [target.playerId || null, target.guid || null, limit, offset]);
+
+            return rows.map(row => Penalty.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in PenaltyRepository.getPlayerPenalties:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get recent penalties across all players
+     * @param {Object} options - { type, limit, offset }
+     * @returns {Promise<Array<Penalty>>} Penalties, most recent first
+     */
+    async getRecentPenalties(options = {}) {
+        try {
+            const { type = null, limit = 50, offset = 0 } = options;
+            const where = type ? 'WHERE type = ?' : '';
+            const params = type ? [type, limit, offset] : [limit, offset];
+
+            const rows = await this.db.all(`
+                SELECT * FROM penalties ${where}
+                ORDER BY created_at DESC
+                LIMIT ? OFFSET ?
+            `, params);
+
+            return rows.map(row => Penalty.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in PenaltyRepository.getRecentPenalties:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a penalty as revoked
+     * @param {string} id - Penalty ID
+     * @param {string} revokedBy - ID of the admin revoking the penalty
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<boolean>} Whether a penalty was revoked
+     */
+    async revoke(id, revokedBy, reason = null) {
+        try {
+            const result = await this.db.run(`
+                UPDATE penalties
+                SET revoked_at = ?, revoked_by = ?, revoke_reason = ?
+                WHERE id = ? AND revoked_at IS NULL
+            `, [new Date().toISOString(), revokedBy, reason, id]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in PenaltyRepository.revoke:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Keep the legacy ban columns of the players table in sync
+     * @param {string} guid - Player GUID
+     * @param {Penalty|null} ban - Ban in effect, or null to clear the flag
+     * @returns {Promise<void>}
+     */
+    async syncPlayerBanFlag(guid, ban) {
+        try {
+            await this.db.run(`
+                UPDATE players
+                SET banned = ?, ban_reason = ?, ban_admin_id = ?, ban_expiry = ?
+                WHERE guid = ?
+            `, ban
+                ? [1, ban.reason, ban.originId, ban.toDatabase().expires_at, guid]
+                : [0, null, null, null, guid]);
+        } catch (error) {
+            console.error('Error in PenaltyRepository.syncPlayerBanFlag:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PenaltyRepository;
@@ -1,6 +1,7 @@
 /**
  * Player Repository - Data access for player records
  */
+const { v4: uuidv4 } = require('uuid');
 const BaseRepository = require('./BaseRepository');
 const Player = require('../models/Player');
 
@@ -148,7 +149,7 @@ class PlayerRepository extends BaseRepository {
             const playerObj = await this.upsert(player);
             
             // Create new session
-            const result = await this.db._run(
+            const result = await this.db.run(
                 'INSERT INTO sessions (player_id, server_id) VALUES (?, ?)',
                 [playerObj.id, serverId]
             );
@@ -189,7 +190,7 @@ class PlayerRepository extends BaseRepository {
                 params = [now, now, playerId];
             }
             
-            const result = await this.db._run(query, params);
+            const result = await this.db.run(query, params);
             return result.changes > 0;
         } catch (error) {
             console.error('Error in PlayerRepository.logDisconnection:', error);
@@ -206,7 +207,7 @@ class PlayerRepository extends BaseRepository {
     async getMetadata(playerId, name) {
         try {
             // Ensure metadata table exists
-            await this.db._run(`
+            await this.db.run(`
                 CREATE TABLE IF NOT EXISTS player_meta (
                     id INTEGER PRIMARY KEY AUTOINCREMENT,
                     player_id INTEGER NOT NULL,
@@ -256,7 +257,7 @@ class PlayerRepository extends BaseRepository {
     async setMetadata(playerId, name, value) {
         try {
             // Ensure metadata table exists
-            await this.db._run(`
+            await this.db.run(`
                 CREATE TABLE IF NOT EXISTS player_meta (
                     id INTEGER PRIMARY KEY AUTOINCREMENT,
                     player_id INTEGER NOT NULL,
@@ -293,14 +294,14 @@ class PlayerRepository extends BaseRepository {
             
             if (existing) {
                 // Update existing
-                await this.db._run(`
+                await this.db.run(`
                     UPDATE player_meta 
                     SET meta_value = ?, meta_type = ?, updated_at = CURRENT_TIMESTAMP
                     WHERE id = ?
                 `, [String(valueToStore), type, existing.id]);
             } else {
                 // Insert new
-                await this.db._run(`
+                await this.db.run(`
                     INSERT INTO player_meta (player_id, meta_key, meta_value, meta_type)
                     VALUES (?, ?, ?, ?)
                 `, [playerId, name, String(valueToStore), type]);
@@ -367,21 +368,30 @@ class PlayerRepository extends BaseRepository {
      */
     async addPenalty(penalty) {
         try {
+            // The GUID is taken from the player record, penalties cannot target an unknown player
+            const player = await this.db.get('SELECT guid FROM players WHERE id = ?', [penalty.TargetId]);
+            if (!player || !player.guid) {
+                throw new Error(`Player ${penalty.TargetId} not found`);
+            }
+            
             // Create punishment record
-            const result = await this.db._run(`
+            const id = uuidv4();
+            await this.db.run(`
                 INSERT INTO penalties (
-                    player_id, admin_id, type, reason, duration, expires_at
-                ) VALUES (?, ?, ?, ?, ?, ?)
+                    id, type, reason, player_id, player_guid, origin_id, duration, expires_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `, [
-                penalty.TargetId,
-                penalty.OriginId,
+                id,
                 penalty.PenaltyType,
                 penalty.Reason,
+                penalty.TargetId,
+                player.guid,
+                penalty.OriginId,
                 penalty.Duration,
                 penalty.Duration > 0 ? new Date(Date.now() + penalty.Duration * 1000).toISOString() : null
             ]);
             
-            return { id: result.lastID, ...penalty };
+            return { id, ...penalty };
         } catch (error) {
             console.error('Error in PlayerRepository.addPenalty:', error);
             throw error;
@@ -0,0 +1,355 @@
+/**
+ * Rank Repository - Data access for the rank ladders, the ranks of the players and the stats they are computed from
+ */
+const BaseRepository = require('./BaseRepository');
+const Ladder = require('../models/Ladder');
+
+class RankRepository extends BaseRepository {
+    /**
+     * Create a new RankRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'rank_ladders');
+    }
+
+    /**
+     * Store a new ladder
+     * @param {Ladder} ladder - Ladder model
+     * @returns {Promise<Ladder>} Stored ladder with its ID
+     */
+    async createLadder(ladder) {
+        try {
+            const data = ladder.toDatabase();
+            const columns = Object.keys(data);
+
+            const result = await this.db.run(`
+                INSERT INTO rank_ladders (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            ladder.id = result.lastID;
+            return ladder;
+        } catch (error) {
+            console.error('Error in RankRepository.createLadder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a ladder
+     * @param {Ladder} ladder - Ladder model
+     * @returns {Promise<boolean>} Whether a ladder was updated
+     */
+    async updateLadder(ladder) {
+        try {
+            const { created_by, created_at, ...data } = ladder.toDatabase();
+            data.updated_at = new Date().toISOString();
+
+            const result = await this.db.run(`
+                UPDATE rank_ladders
+                SET ${Object.keys(data).map(column => `${column} = ?`).join(', ')}
+                WHERE id = ?
+            `, [...Object.values(data), ladder.id]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in RankRepository.updateLadder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a ladder and the ranks of its players
+     * @param {number} id - Ladder ID
+     * @returns {Promise<boolean>} Whether a ladder was deleted
+     */
+    async deleteLadder(id) {
+        try {
+            await this.db.run('DELETE FROM player_ladder_ranks WHERE ladder_id = ?', [id]);
+            const result = await this.db.run('DELETE FROM rank_ladders WHERE id = ?', [id]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in RankRepository.deleteLadder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a ladder by ID
+     * @param {number} id - Ladder ID
+     * @returns {Promise<Ladder|null>} Ladder or null
+     */
+    async getLadder(id) {
+        try {
+            const row = await this.db.get('SELECT * FROM rank_ladders WHERE id = ?', [id]);
+            return Ladder.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in RankRepository.getLadder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a ladder by name
+     * @param {string} name - Ladder name
+     * @returns {Promise<Ladder|null>} Ladder or null
+     */
+    async getLadderByName(name) {
+        try {
+            const row = await this.db.get('SELECT * FROM rank_ladders WHERE name = ? COLLATE NOCASE', [name]);
+            return Ladder.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in RankRepository.getLadderByName:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get every ladder
+     * @returns {Promise<Array<Ladder>>} Ladders in creation order
+     */
+    async getLadders() {
+        try {
+            const rows = await this.db.all('SELECT * FROM rank_ladders ORDER BY id');
+            return rows.map(row => Ladder.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in RankRepository.getLadders:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the stored ranks of a ladder
+     * @param {number} ladderId - Ladder ID
+     * @param {Array<string>|null} guids - Player GUIDs, null for every player
+     * @returns {Promise<Map<string, Object>>} GUID -> { rankIndex, rankName, metricValue, achievedAt }
+     */
+    async getPlayerRanks(ladderId, guids = null) {
+        try {
+            const ranks = new Map();
+            if (guids && guids.length === 0) return ranks;
+
+            const rows = await this.db.all(`
+                SELECT * FROM player_ladder_ranks
+                WHERE ladder_id = ?${guids ? ` AND player_guid IN (${guids.map(() => '?').join(', ')})` : ''}
+            `, [ladderId, ...(guids || [])]);
+
+            for (const row of rows) {
+                ranks.set(row.player_guid, {
+                    rankIndex: row.rank_index,
+                    rankName: row.rank_name,
+                    metricValue: row.metric_value,
+                    achievedAt: row.achieved_at
+                });
+            }
+
+            return ranks;
+        } catch (error) {
+            console.error('Error in RankRepository.getPlayerRanks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the rank of a player, the date it was achieved only changes with the rank
+     * @param {Object} entry - { ladderId, guid, name, rankIndex, rankName, metricValue }
+     * @returns {Promise<void>}
+     */
+    async savePlayerRank(entry) {
+        try {
+            const now = new Date().toISOString();
+
+            await this.db.run(`
+                INSERT INTO player_ladder_ranks
+                    (ladder_id, player_guid, player_name, rank_index, rank_name, metric_value, achieved_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (ladder_id, player_guid) DO UPDATE SET
+                    player_name = COALESCE(excluded.player_name, player_name),
+                    achieved_at = CASE WHEN rank_index = excluded.rank_index THEN achieved_at ELSE excluded.achieved_at END,
+                    rank_index = excluded.rank_index,
+                    rank_name = excluded.rank_name,
+                    metric_value = excluded.metric_value,
+                    updated_at = excluded.updated_at
+            `, [entry.ladderId, entry.guid, entry.name || null, entry.rankIndex, entry.rankName, entry.metricValue, now, now]);
+        } catch (error) {
+            console.error('Error in RankRepository.savePlayerRank:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the ranks of a player in every ladder
+     * @param {string} guid - Player GUID
+     * @returns {Promise<Array<Object>>} { ladderId, rankIndex, rankName, metricValue, achievedAt }
+     */
+    async getLadderRanksOfPlayer(guid) {
+        try {
+            const rows = await this.db.all(
+                'SELECT * FROM player_ladder_ranks WHERE player_guid = ? ORDER BY ladder_id',
+                [guid]
+            );
+
+            return rows.map(row => ({
+                ladderId: row.ladder_id,
+                rankIndex: row.rank_index,
+                rankName: row.rank_name,
+                metricValue: row.metric_value,
+                achievedAt: row.achieved_at
+            }));
+        } catch (error) {
+            console.error('Error in RankRepository.getLadderRanksOfPlayer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count the players holding each rank of a ladder
+     * @param {number} ladderId - Ladder ID
+     * @returns {Promise<Map<number, number>>} Rank index -> players
+     */
+    async countPlayersByRank(ladderId) {
+        try {
+            const rows = await this.db.all(`
+                SELECT rank_index, COUNT(*) as players FROM player_ladder_ranks
+                WHERE ladder_id = ?
+                GROUP BY rank_index
+            `, [ladderId]);
+
+            return new Map(rows.map(row => [row.rank_index, row.players]));
+        } catch (error) {
+            console.error('Error in RankRepository.countPlayersByRank:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the metrics of players for a ladder, only the stats the ladder uses are read
+     * @param {Ladder} ladder - Ladder
+     * @param {Array<string>|null} guids - Player GUIDs, null for every player with stats
+     * @returns {Promise<Map<string, Object>>} GUID -> { guid, name, metrics }
+     */
+    async getMetrics(ladder, guids = null) {
+        try {
+            const players = new Map();
+            if (guids && guids.length === 0) return players;
+
+            const sources = ladder.getRankLadder().getSources();
+            const inGuids = (column) => guids ? ` AND ${column} IN (${guids.map(() => '?').join(', ')})` : '';
+            const guidParams = guids || [];
+
+            const entry = (guid, name) => {
+                let player = players.get(guid);
+                if (!player) {
+                    player = { guid, name: name || null, metrics: {} };
+                    players.set(guid, player);
+                }
+                if (!player.name && name) player.name = name;
+                return player;
+            };
+
+            if (sources.has('multiplayer')) {
+                const conditions = ['1 = 1'];
+                const params = [];
+
+                if (ladder.game) {
+                    conditions.push('game = ?');
+                    params.push(ladder.game);
+                }
+
+                if (ladder.modes.length > 0) {
+                    conditions.push(`mode IN (${ladder.modes.map(() => '?').join(', ')})`);
+                    params.push(...ladder.modes);
+                }
+
+                const rows = await this.db.all(`
+                    SELECT player_guid, MAX(player_name) as name, SUM(kills) as kills, SUM(deaths) as deaths,
+                        SUM(matches) as matches, MAX(conservative) as rating
+                    FROM player_ratings
+                    WHERE ${conditions.join(' AND ')}${inGuids('player_guid')}
+                    GROUP BY player_guid
+                `, [...params, ...guidParams]);
+
+                for (const row of rows) {
+                    Object.assign(entry(row.player_guid, row.name).metrics, {
+                        kills: row.kills || 0,
+                        deaths: row.deaths || 0,
+                        kd: row.deaths > 0 ? Math.round(row.kills / row.deaths * 100) / 100 : row.kills || 0,
+                        matches: row.matches || 0,
+                        rating: Math.round(row.rating || 0)
+                    });
+                }
+            }
+
+            if (sources.has('players')) {
+                const rows = await this.db.all(`
+                    SELECT guid, MAX(name) as name, SUM(playtime_seconds) as playtime
+                    FROM players
+                    WHERE guid IS NOT NULL AND playtime_seconds > 0${inGuids('guid')}
+                    GROUP BY guid
+                `, guidParams);
+
+                for (const row of rows) {
+                    entry(row.guid, row.name).metrics.playtime = Math.floor(row.playtime / 360) / 10;
+                }
+            }
+
+            // The zombies stats table belongs to the zombies stats plugin and may not exist yet
+            if (sources.has('zombies') && await this.tableExists('zombies_player_stats')) {
+                const rows = await this.db.all(`
+                    SELECT player_guid, player_name, kills, downs, revives, matches_played, highest_round
+                    FROM zombies_player_stats
+                    WHERE 1 = 1${inGuids('player_guid')}
+                `, guidParams);
+
+                for (const row of rows) {
+                    Object.assign(entry(row.player_guid, row.player_name).metrics, {
+                        zombiesKills: row.kills || 0,
+                        highestRound: row.highest_round || 0,
+                        revives: row.revives || 0,
+                        downs: row.downs || 0,
+                        zombiesMatches: row.matches_played || 0
+                    });
+                }
+            }
+
+            return players;
+        } catch (error) {
+            console.error('Error in RankRepository.getMetrics:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the players of a zombies match
+     * @param {string} matchId - Zombies match ID
+     * @returns {Promise<Array<string>>} Player GUIDs
+     */
+    async getZombiesMatchPlayers(matchId) {
+        try {
+            if (!await this.tableExists('zombies_matches')) return [];
+
+            const row = await this.db.get('SELECT player_guids FROM zombies_matches WHERE match_id = ?', [matchId]);
+            const guids = row && row.player_guids ? JSON.parse(row.player_guids) : [];
+
+            return Array.isArray(guids) ? guids : [];
+        } catch (error) {
+            console.error('Error in RankRepository.getZombiesMatchPlayers:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if a table exists
+     * @param {string} name - Table name
+     * @returns {Promise<boolean>} Whether the table exists
+     * @private
+     */
+    async tableExists(name) {
+        const row = await this.db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]);
+        return !!row;
+    }
+}
+
+module.exports = RankRepository;
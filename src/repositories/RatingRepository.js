@@ -0,0 +1,346 @@
+/**
+ * Rating Repository - Data access for skill ratings, their history and the rated matches
+ */
+const BaseRepository = require('./BaseRepository');
+const PlayerRating = require('../models/PlayerRating');
+
+class RatingRepository extends BaseRepository {
+    /**
+     * Create a new RatingRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'player_ratings');
+    }
+
+    /**
+     * Get the ratings of players in a game mode
+     * @param {Array<string>} guids - Player GUIDs
+     * @param {string} game - Game
+     * @param {string} mode - Game mode
+     * @returns {Promise<Map<string, PlayerRating>>} Ratings by GUID, players without a rating are missing
+     */
+    async getRatings(guids, game, mode) {
+        try {
+            const ratings = new Map();
+            if (guids.length === 0) return ratings;
+
+            const rows = await this.db.all(`
+                SELECT * FROM player_ratings
+                WHERE game = ? AND mode = ? AND player_guid IN (${guids.map(() => '?').join(', ')})
+            `, [game, mode, ...guids]);
+
+            for (const row of rows) {
+                ratings.set(row.player_guid, PlayerRating.fromDatabaseRow(row));
+            }
+
+            return ratings;
+        } catch (error) {
+            console.error('Error in RatingRepository.getRatings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update a rating
+     * @param {PlayerRating} rating - Rating
+     * @returns {Promise<PlayerRating>} Stored rating
+     */
+    async save(rating) {
+        try {
+            const data = rating.toDatabase();
+            const columns = Object.keys(data);
+            const updates = columns
+                .filter(column => !['player_guid', 'game', 'mode'].includes(column))
+                .map(column => `${column} = excluded.${column}`);
+
+            await this.db.run(`
+                INSERT INTO player_ratings (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+                ON CONFLICT (player_guid, game, mode) DO UPDATE SET ${updates.join(', ')}
+            `, Object.values(data));
+
+            return rating;
+        } catch (error) {
+            console.error('Error in RatingRepository.save:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the rating of a player after a match
+     * @param {Object} entry - { playerGuid, game, mode, matchId, serverId, rating, deviation, delta, kills, deaths, createdAt }
+     * @returns {Promise<void>}
+     */
+    async addHistory(entry) {
+        try {
+            await this.db.run(`
+                INSERT INTO player_rating_history
+                    (player_guid, game, mode, match_id, server_id, rating, deviation, delta, kills, deaths, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                entry.playerGuid,
+                entry.game,
+                entry.mode,
+                String(entry.matchId),
+                entry.serverId === null || entry.serverId === undefined ? null : String(entry.serverId),
+                entry.rating,
+                entry.deviation,
+                entry.delta,
+                entry.kills || 0,
+                entry.deaths || 0,
+                (entry.createdAt || new Date()).toISOString()
+            ]);
+        } catch (error) {
+            console.error('Error in RatingRepository.addHistory:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the ranking of a game mode
+     * @param {Object} filters - { game, mode, search, minMatches }
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object>} { ratings, total } sorted by conservative rating
+     */
+    async getLeaderboard(filters = {}, limit = 20, offset = 0) {
+        try {
+            const conditions = ['matches >= ?'];
+            const params = [filters.minMatches || 0];
+
+            for (const column of ['game', 'mode']) {
+                if (filters[column]) {
+                    conditions.push(`${column} = ?`);
+                    params.push(filters[column]);
+                }
+            }
+
+            if (filters.search) {
+                conditions.push('player_name LIKE ?');
+                params.push(`%${filters.search}%`);
+            }
+
+            const where = `WHERE ${conditions.join(' AND ')}`;
+
+            const countRow = await this.db.get(`SELECT COUNT(*) as total FROM player_ratings ${where}`, params);
+            const rows = await this.db.all(`
+                SELECT * FROM player_ratings
+                ${where}
+                ORDER BY conservative DESC, matches DESC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]);
+
+            return {
+                ratings: rows.map(row => PlayerRating.fromDatabaseRow(row)),
+                total: countRow ? countRow.total : 0
+            };
+        } catch (error) {
+            console.error('Error in RatingRepository.getLeaderboard:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the game modes with ratings
+     * @returns {Promise<Array<Object>>} { game, mode, players }
+     */
+    async getModes() {
+        try {
+            return await this.db.all(`
+                SELECT game, mode, COUNT(*) as players FROM player_ratings
+                GROUP BY game, mode
+                ORDER BY players DESC
+            `);
+        } catch (error) {
+            console.error('Error in RatingRepository.getModes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get every rating of a player
+     * @param {string} guid - Player GUID
+     * @returns {Promise<Array<PlayerRating>>} Ratings, most played mode first
+     */
+    async getPlayerRatings(guid) {
+        try {
+            const rows = await this.db.all(
+                'SELECT * FROM player_ratings WHERE player_guid = ? ORDER BY matches DESC',
+                [guid]
+            );
+
+            return rows.map(row => PlayerRating.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in RatingRepository.getPlayerRatings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the rating history of a player
+     * @param {string} guid - Player GUID
+     * @param {Object} filters - { game, mode }
+     * @param {number} limit - Maximum results, the most recent are kept
+     * @returns {Promise<Array<Object>>} History entries in chronological order
+     */
+    async getHistory(guid, filters = {}, limit = 100) {
+        try {
+            const conditions = ['player_guid = ?'];
+            const params = [guid];
+
+            for (const column of ['game', 'mode']) {
+                if (filters[column]) {
+                    conditions.push(`${column} = ?`);
+                    params.push(filters[column]);
+                }
+            }
+
+            const rows = await this.db.all(`
+                SELECT * FROM player_rating_history
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ?
+            `, [...params, limit]);
+
+            return rows.reverse().map(row => ({
+                game: row.game,
+                mode: row.mode,
+                matchId: row.match_id,
+                serverId: row.server_id,
+                rating: Math.round(row.rating),
+                deviation: Math.round(row.deviation),
+                delta: Math.round(row.delta * 10) / 10,
+                kills: row.kills,
+                deaths: row.deaths,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error('Error in RatingRepository.getHistory:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the ratings whose deviation was not grown since a date
+     * @param {Date} before - Date
+     * @param {number} maxDeviation - Ratings already at this deviation are skipped
+     * @returns {Promise<Array<PlayerRating>>} Ratings
+     */
+    async getRatingsToDecay(before, maxDeviation) {
+        try {
+            const rows = await this.db.all(`
+                SELECT * FROM player_ratings
+                WHERE deviation < ? AND COALESCE(decayed_at, last_match_at) < ?
+            `, [maxDeviation, before.toISOString()]);
+
+            return rows.map(row => PlayerRating.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in RatingRepository.getRatingsToDecay:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if a match was already rated
+     * @param {string} matchId - Match ID
+     * @returns {Promise<boolean>} Whether the match was rated
+     */
+    async isMatchRated(matchId) {
+        try {
+            const row = await this.db.get('SELECT match_id FROM rated_matches WHERE match_id = ?', [String(matchId)]);
+            return !!row;
+        } catch (error) {
+            console.error('Error in RatingRepository.isMatchRated:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a rated match, a match is only rated once
+     * @param {Object} match - { matchId, serverId, game, mode, players, source }
+     * @returns {Promise<boolean>} Whether the match was not rated yet
+     */
+    async markMatchRated(match) {
+        try {
+            const result = await this.db.run(`
+                INSERT OR IGNORE INTO rated_matches (match_id, server_id, game, mode, players, source, rated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                String(match.matchId),
+                match.serverId === null || match.serverId === undefined ? null : String(match.serverId),
+                match.game,
+                match.mode,
+                match.players || 0,
+                match.source,
+                new Date().toISOString()
+            ]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in RatingRepository.markMatchRated:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the finished matches of the matches table not rated yet
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<Object>>} { id, serverId, game, mode, endTime }, oldest first
+     */
+    async getUnratedMatches(limit = 100) {
+        try {
+            const rows = await this.db.all(`
+                SELECT m.id, m.server_id, m.mode, m.end_time, s.game
+                FROM matches m
+                LEFT JOIN servers s ON s.id = m.server_id
+                LEFT JOIN rated_matches r ON r.match_id = m.id
+                WHERE m.end_time IS NOT NULL AND r.match_id IS NULL
+                ORDER BY m.end_time ASC
+                LIMIT ?
+            `, [limit]);
+
+            return rows.map(row => ({
+                id: row.id,
+                serverId: row.server_id,
+                game: row.game,
+                mode: row.mode,
+                endTime: row.end_time
+            }));
+        } catch (error) {
+            console.error('Error in RatingRepository.getUnratedMatches:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the players of a stored match with their results
+     * @param {string} matchId - Match ID
+     * @returns {Promise<Array<Object>>} { playerId, guid, name, team, kills, deaths, score }
+     */
+    async getMatchPlayers(matchId) {
+        try {
+            const rows = await this.db.all(`
+                SELECT pm.player_id, pm.team, pm.kills, pm.deaths, pm.score, p.guid, p.name
+                FROM player_matches pm
+                JOIN players p ON p.id = pm.player_id
+                WHERE pm.match_id = ?
+            `, [matchId]);
+
+            return rows.map(row => ({
+                playerId: row.player_id,
+                guid: row.guid,
+                name: row.name,
+                team: row.team,
+                kills: row.kills || 0,
+                deaths: row.deaths || 0,
+                score: row.score || 0
+            }));
+        } catch (error) {
+            console.error('Error in RatingRepository.getMatchPlayers:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RatingRepository;
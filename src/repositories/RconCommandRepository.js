@@ -0,0 +1,112 @@
+/**
+ * RCON Command Repository - Data access for the RCON commands sent from the web console
+ */
+const BaseRepository = require('./BaseRepository');
+
+class RconCommandRepository extends BaseRepository {
+    /**
+     * Create a new RconCommandRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'rcon_commands');
+    }
+
+    /**
+     * Store an executed command
+     * @param {Object} entry - { id, serverId, userId, username, command, response, success, source, createdAt }
+     * @returns {Promise<Object>} Stored entry
+     */
+    async create(entry) {
+        try {
+            await this.db.run(`
+                INSERT INTO rcon_commands (id, server_id, user_id, username, command, response, success, source, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                entry.id,
+                entry.serverId,
+                entry.userId,
+                entry.username,
+                entry.command,
+                entry.response,
+                entry.success ? 1 : 0,
+                entry.source,
+                entry.createdAt.toISOString()
+            ]);
+
+            return entry;
+        } catch (error) {
+            console.error('Error in RconCommandRepository.create:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the distinct commands a user sent to a server, most recently used first
+     * @param {string} userId - User ID
+     * @param {string} serverId - Server ID
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<string>>} Commands
+     */
+    async getUserHistory(userId, serverId, limit = 50) {
+        try {
+            const rows = await this.db.all(`
+                SELECT command, MAX(created_at) as last_used
+                FROM rcon_commands
+                WHERE user_id = ? AND server_id = ?
+                GROUP BY command
+                ORDER BY last_used DESC
+                LIMIT ?
+            `, [userId, serverId, limit]);
+
+            return rows.map(row => row.command);
+        } catch (error) {
+            console.error('Error in RconCommandRepository.getUserHistory:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the latest commands sent to a server by all users
+     * @param {string} serverId - Server ID
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<Object>>} Entries, oldest first
+     */
+    async getServerCommands(serverId, limit = 50) {
+        try {
+            const rows = await this.db.all(`
+                SELECT * FROM rcon_commands
+                WHERE server_id = ?
+                ORDER BY created_at DESC
+                LIMIT ?
+            `, [serverId, limit]);
+
+            return rows.reverse().map(row => this.mapEntry(row));
+        } catch (error) {
+            console.error('Error in RconCommandRepository.getServerCommands:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Map a row to API format
+     * @param {Object} row - Database row
+     * @returns {Object} Entry
+     * @private
+     */
+    mapEntry(row) {
+        return {
+            id: row.id,
+            serverId: row.server_id,
+            userId: row.user_id,
+            username: row.username,
+            command: row.command,
+            response: row.response,
+            success: row.success === 1,
+            source: row.source,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = RconCommandRepository;
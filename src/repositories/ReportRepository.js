@@ -0,0 +1,262 @@
+/**
+ * Report Repository - Data access for player reports and their evidence
+ */
+const BaseRepository = require('./BaseRepository');
+const Report = require('../models/Report');
+
+class ReportRepository extends BaseRepository {
+    /**
+     * Create a new ReportRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'reports');
+    }
+
+    /**
+     * Store a new report
+     * @param {Report} report - Report without an ID
+     * @returns {Promise<Report>} Stored report with its ID
+     */
+    async create(report) {
+        try {
+            const data = report.toDatabase();
+            const columns = Object.keys(data);
+
+            const result = await this.db.run(`
+                INSERT INTO reports (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            report.id = result.lastID;
+            return report;
+        } catch (error) {
+            console.error('Error in ReportRepository.create:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a report by ID
+     * @param {number} id - Report ID
+     * @returns {Promise<Report|null>} Report or null
+     */
+    async getReportById(id) {
+        try {
+            const row = await this.db.get('SELECT * FROM reports WHERE id = ?', [id]);
+            return Report.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in ReportRepository.getReportById:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the report a player still has open against another player
+     * @param {string} reporterGuid - Reporting player GUID
+     * @param {string} targetGuid - Reported player GUID
+     * @returns {Promise<Report|null>} Open or claimed report, or null
+     */
+    async getPendingReport(reporterGuid, targetGuid) {
+        try {
+            const row = await this.db.get(`
+                SELECT * FROM reports
+                WHERE reporter_guid = ? AND target_guid = ? AND status IN (?, ?)
+                ORDER BY created_at DESC
+                LIMIT 1
+            `, [reporterGuid, targetGuid, Report.Status.OPEN, Report.Status.CLAIMED]);
+
+            return Report.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in ReportRepository.getPendingReport:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the reports matching the filters, oldest first so that the queue is handled in order
+     * @param {Object} filters - { status, serverId, player, from, to }
+     *                           status may be a list, player matches the reported player GUID, ID or name
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object>} { reports, total }
+     */
+    async search(filters = {}, limit = 50, offset = 0) {
+        try {
+            const conditions = [];
+            const params = [];
+
+            const statuses = [].concat(filters.status || []);
+            if (statuses.length > 0) {
+                conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+                params.push(...statuses);
+            }
+
+            if (filters.serverId) {
+                conditions.push('server_id = ?');
+                params.push(String(filters.serverId));
+            }
+
+            if (filters.player) {
+                conditions.push('(target_guid = ? OR target_id = ? OR target_name LIKE ?)');
+                params.push(String(filters.player), String(filters.player), `%${filters.player}%`);
+            }
+
+            if (filters.from) {
+                conditions.push('created_at >= ?');
+                params.push(new Date(filters.from).toISOString());
+            }
+
+            if (filters.to) {
+                conditions.push('created_at <= ?');
+                params.push(new Date(filters.to).toISOString());
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countRow = await this.db.get(`SELECT COUNT(*) as total FROM reports ${where}`, params);
+            const rows = await this.db.all(`
+                SELECT * FROM reports
+                ${where}
+                ORDER BY created_at ASC, id ASC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]);
+
+            return {
+                reports: rows.map(row => Report.fromDatabaseRow(row)),
+                total: countRow ? countRow.total : 0
+            };
+        } catch (error) {
+            console.error('Error in ReportRepository.search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count the reports of each status
+     * @returns {Promise<Object>} { open, claimed, resolved, rejected }
+     */
+    async countByStatus() {
+        try {
+            const counts = {};
+            for (const status of Object.values(Report.Status)) {
+                counts[status] = 0;
+            }
+
+            const rows = await this.db.all('SELECT status, COUNT(*) as total FROM reports GROUP BY status');
+            for (const row of rows) {
+                counts[row.status] = row.total;
+            }
+
+            return counts;
+        } catch (error) {
+            console.error('Error in ReportRepository.countByStatus:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the workflow fields of a report (status, claim and resolution)
+     * @param {Report} report - Updated report
+     * @returns {Promise<Report>} Report
+     */
+    async updateStatus(report) {
+        try {
+            const data = report.toDatabase();
+            report.updatedAt = new Date();
+
+            await this.db.run(`
+                UPDATE reports
+                SET status = ?, claimed_by = ?, claimed_by_name = ?, claimed_at = ?,
+                    resolved_by = ?, resolved_by_name = ?, resolved_at = ?, resolution = ?, updated_at = ?
+                WHERE id = ?
+            `, [
+                data.status, data.claimed_by, data.claimed_by_name, data.claimed_at,
+                data.resolved_by, data.resolved_by_name, data.resolved_at, data.resolution,
+                report.updatedAt.toISOString(), report.id
+            ]);
+
+            return report;
+        } catch (error) {
+            console.error('Error in ReportRepository.updateStatus:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Attach a record to a report, a record is only attached once
+     * @param {number} reportId - Report ID
+     * @param {Object} evidence - { type, refId, note, addedBy, addedByName }
+     * @returns {Promise<number|null>} Evidence ID or null if the record was already attached
+     */
+    async addEvidence(reportId, evidence) {
+        try {
+            const result = await this.db.run(`
+                INSERT OR IGNORE INTO report_evidence (report_id, type, ref_id, note, added_by, added_by_name, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                reportId,
+                evidence.type,
+                String(evidence.refId),
+                evidence.note || null,
+                evidence.addedBy || null,
+                evidence.addedByName || null,
+                new Date().toISOString()
+            ]);
+
+            return result.changes > 0 ? result.lastID : null;
+        } catch (error) {
+            console.error('Error in ReportRepository.addEvidence:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the evidence attached to a report
+     * @param {number} reportId - Report ID
+     * @returns {Promise<Array<Object>>} Evidence { id, type, refId, note, addedBy, addedByName, createdAt }
+     */
+    async getEvidence(reportId) {
+        try {
+            const rows = await this.db.all(
+                'SELECT * FROM report_evidence WHERE report_id = ? ORDER BY type, id',
+                [reportId]
+            );
+
+            return rows.map(row => ({
+                id: row.id,
+                type: row.type,
+                refId: row.ref_id,
+                note: row.note,
+                addedBy: row.added_by,
+                addedByName: row.added_by_name,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error('Error in ReportRepository.getEvidence:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Detach a record from a report
+     * @param {number} reportId - Report ID
+     * @param {number} evidenceId - Evidence ID
+     * @returns {Promise<boolean>} Whether the evidence existed
+     */
+    async removeEvidence(reportId, evidenceId) {
+        try {
+            const result = await this.db.run(
+                'DELETE FROM report_evidence WHERE report_id = ? AND id = ?',
+                [reportId, evidenceId]
+            );
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in ReportRepository.removeEvidence:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ReportRepository;
@@ -0,0 +1,284 @@
+/**
+ * Role Repository - Data access for roles, role permissions and role assignments
+ */
+const BaseRepository = require('./BaseRepository');
+const Role = require('../models/Role');
+
+class RoleRepository extends BaseRepository {
+    /**
+     * Create a new RoleRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'roles');
+    }
+
+    /**
+     * Get all roles with their permissions
+     * @returns {Promise<Array<Role>>} Roles
+     */
+    async getRoles() {
+        try {
+            const rows = await this.db.all('SELECT * FROM roles ORDER BY name');
+            const permissionRows = await this.db.all('SELECT role_id, permission FROM role_permissions');
+
+            const permissions = {};
+            for (const row of permissionRows) {
+                (permissions[row.role_id] = permissions[row.role_id] || []).push(row.permission);
+            }
+
+            return rows.map(row => Role.fromDatabaseRow(row, permissions[row.id] || []));
+        } catch (error) {
+            console.error('Error in RoleRepository.getRoles:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a role by ID with its permissions
+     * @param {string} id - Role ID
+     * @returns {Promise<Role|null>} Role or null
+     */
+    async getRoleById(id) {
+        try {
+            const row = await this.db.get('SELECT * FROM roles WHERE id = ?', [id]);
+            if (!row) return null;
+
+            const permissionRows = await this.db.all(
+                'SELECT permission FROM role_permissions WHERE role_id = ?',
+                [id]
+            );
+
+            return Role.fromDatabaseRow(row, permissionRows.map(r => r.permission));
+        } catch (error) {
+            console.error('Error in RoleRepository.getRoleById:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store a new role and its permissions
+     * @param {Role} role - Role model
+     * @returns {Promise<Role>} Stored role
+     */
+    async createRole(role) {
+        try {
+            const data = role.toDatabase();
+            const columns = Object.keys(data);
+
+            await this.db.run(`
+                INSERT INTO roles (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            await this.setRolePermissions(role.id, role.permissions);
+
+            return role;
+        } catch (error) {
+            console.error('Error in RoleRepository.createRole:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update the attributes of a role
+     * @param {Role} role - Role model
+     * @returns {Promise<boolean>} Whether a role was updated
+     */
+    async updateRole(role) {
+        try {
+            const result = await this.db.run(`
+                UPDATE roles
+                SET name = ?, description = ?, parent_id = ?
+                WHERE id = ?
+            `, [role.name, role.description, role.parentId, role.id]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in RoleRepository.updateRole:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a role, its permissions and its assignments
+     * @param {string} id - Role ID
+     * @returns {Promise<boolean>} Whether a role was deleted
+     */
+    async deleteRole(id) {
+        try {
+            await this.db.run('DELETE FROM role_permissions WHERE role_id = ?', [id]);
+            await this.db.run('DELETE FROM role_assignments WHERE role_id = ?', [id]);
+            const result = await this.db.run('DELETE FROM roles WHERE id = ?', [id]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in RoleRepository.deleteRole:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the permissions of a role
+     * @param {string} roleId - Role ID
+     * @param {Array<string>} permissions - Permissions
+     * @returns {Promise<void>}
+     */
+    async setRolePermissions(roleId, permissions = []) {
+        try {
+            await this.db.run('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+
+            for (const permission of new Set(permissions)) {
+                await this.db.run(
+                    'INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)',
+                    [roleId, permission]
+                );
+            }
+        } catch (error) {
+            console.error('Error in RoleRepository.setRolePermissions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the roles assigned to a subject
+     * @param {string} subjectType - 'player' (GUID) or 'user' (web user ID)
+     * @param {string} subjectId - Player GUID or user ID
+     * @param {string|undefined} serverId - Only keep global and this server's assignments when provided
+     * @returns {Promise<Array<Object>>} Assignments
+     */
+    async getAssignments(subjectType, subjectId, serverId = undefined) {
+        try {
+            const params = [subjectType, String(subjectId)];
+            let serverClause = '';
+
+            if (serverId !== undefined) {
+                serverClause = 'AND (server_id IS NULL OR server_id = ?)';
+                params.push(serverId === null ? null : String(serverId));
+            }
+
+            const rows = await this.db.all(`
+                SELECT * FROM role_assignments
+                WHERE subject_type = ? AND subject_id = ? ${serverClause}
+                ORDER BY created_at
+            `, params);
+
+            return rows.map(row => this.mapAssignment(row));
+        } catch (error) {
+            console.error('Error in RoleRepository.getAssignments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a specific assignment
+     * @param {string} subjectType - 'player' or 'user'
+     * @param {string} subjectId - Player GUID or user ID
+     * @param {string} roleId - Role ID
+     * @param {string|null} serverId - Server ID, null for a global assignment
+     * @returns {Promise<Object|null>} Assignment or null
+     */
+    async findAssignment(subjectType, subjectId, roleId, serverId = null) {
+        try {
+            const row = await this.db.get(`
+                SELECT * FROM role_assignments
+                WHERE subject_type = ? AND subject_id = ? AND role_id = ? AND server_id IS ?
+            `, [subjectType, String(subjectId), roleId, serverId === null ? null : String(serverId)]);
+
+            return row ? this.mapAssignment(row) : null;
+        } catch (error) {
+            console.error('Error in RoleRepository.findAssignment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store a role assignment
+     * @param {Object} assignment - { id, roleId, subjectType, subjectId, serverId, grantedBy }
+     * @returns {Promise<Object>} Stored assignment
+     */
+    async createAssignment(assignment) {
+        try {
+            await this.db.run(`
+                INSERT INTO role_assignments (id, role_id, subject_type, subject_id, server_id, granted_by, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                assignment.id,
+                assignment.roleId,
+                assignment.subjectType,
+                String(assignment.subjectId),
+                assignment.serverId === null || assignment.serverId === undefined ? null : String(assignment.serverId),
+                assignment.grantedBy || null,
+                new Date().toISOString()
+            ]);
+
+            return assignment;
+        } catch (error) {
+            console.error('Error in RoleRepository.createAssignment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a role assignment
+     * @param {string} id - Assignment ID
+     * @returns {Promise<boolean>} Whether an assignment was deleted
+     */
+    async deleteAssignment(id) {
+        try {
+            const result = await this.db.run('DELETE FROM role_assignments WHERE id = ?', [id]);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in RoleRepository.deleteAssignment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the web user linked to a player GUID
+     * @param {string} guid - Player GUID
+     * @returns {Promise<Object|null>} { id, role } or null
+     */
+    async getUserByGameId(guid) {
+        try {
+            return await this.db.get('SELECT id, role FROM users WHERE game_id = ?', [guid]) || null;
+        } catch (error) {
+            console.error('Error in RoleRepository.getUserByGameId:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the role and linked player GUID of a web user
+     * @param {string} userId - User ID
+     * @returns {Promise<Object|null>} { id, role, game_id } or null
+     */
+    async getUserById(userId) {
+        try {
+            return await this.db.get('SELECT id, role, game_id FROM users WHERE id = ?', [userId]) || null;
+        } catch (error) {
+            console.error('Error in RoleRepository.getUserById:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Map an assignment row to API format
+     * @param {Object} row - Database row
+     * @returns {Object} Assignment
+     * @private
+     */
+    mapAssignment(row) {
+        return {
+            id: row.id,
+            roleId: row.role_id,
+            subjectType: row.subject_type,
+            subjectId: row.subject_id,
+            serverId: row.server_id,
+            grantedBy: row.granted_by,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = RoleRepository;
@@ -0,0 +1,142 @@
+/**
+ * Scheduled Task Repository - Data access for per-server scheduled jobs
+ */
+const BaseRepository = require('./BaseRepository');
+const ScheduledTask = require('../models/ScheduledTask');
+
+class ScheduledTaskRepository extends BaseRepository {
+    /**
+     * Create a new ScheduledTaskRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'scheduled_tasks');
+    }
+
+    /**
+     * Store a new task
+     * @param {ScheduledTask} task - Task model with an ID
+     * @returns {Promise<ScheduledTask>} Stored task
+     */
+    async create(task) {
+        try {
+            const data = task.toDatabase();
+            const columns = Object.keys(data);
+
+            await this.db.run(`
+                INSERT INTO scheduled_tasks (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            return task;
+        } catch (error) {
+            console.error('Error in ScheduledTaskRepository.create:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the definition of a task
+     * @param {ScheduledTask} task - Task model
+     * @returns {Promise<boolean>} Whether a task was updated
+     */
+    async update(task) {
+        try {
+            const result = await this.db.run(`
+                UPDATE scheduled_tasks
+                SET name = ?, type = ?, cron = ?, payload = ?, enabled = ?, message_index = ?, updated_at = ?
+                WHERE id = ?
+            `, [
+                task.name,
+                task.type,
+                task.cron,
+                JSON.stringify(task.payload || {}),
+                task.enabled ? 1 : 0,
+                task.messageIndex,
+                new Date().toISOString(),
+                task.id
+            ]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in ScheduledTaskRepository.update:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the outcome of a run
+     * @param {string} id - Task ID
+     * @param {Object} run - { status, result, messageIndex }
+     * @returns {Promise<void>}
+     */
+    async recordRun(id, run) {
+        try {
+            await this.db.run(`
+                UPDATE scheduled_tasks
+                SET last_run_at = ?, last_status = ?, last_result = ?,
+                    run_count = run_count + 1, message_index = COALESCE(?, message_index)
+                WHERE id = ?
+            `, [
+                new Date().toISOString(),
+                run.status,
+                run.result,
+                run.messageIndex ?? null,
+                id
+            ]);
+        } catch (error) {
+            console.error('Error in ScheduledTaskRepository.recordRun:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a task by ID
+     * @param {string} id - Task ID
+     * @returns {Promise<ScheduledTask|null>} Task or null
+     */
+    async getTaskById(id) {
+        try {
+            const row = await this.db.get('SELECT * FROM scheduled_tasks WHERE id = ?', [id]);
+            return ScheduledTask.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in ScheduledTaskRepository.getTaskById:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the tasks of a server, or of all servers
+     * @param {string|null} serverId - Server ID, null for all servers
+     * @returns {Promise<Array<ScheduledTask>>} Tasks
+     */
+    async getTasks(serverId = null) {
+        try {
+            const rows = serverId
+                ? await this.db.all('SELECT * FROM scheduled_tasks WHERE server_id = ? ORDER BY created_at', [serverId])
+                : await this.db.all('SELECT * FROM scheduled_tasks ORDER BY created_at');
+
+            return rows.map(row => ScheduledTask.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in ScheduledTaskRepository.getTasks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a task
+     * @param {string} id - Task ID
+     * @returns {Promise<boolean>} Whether a task was deleted
+     */
+    async deleteTask(id) {
+        try {
+            const result = await this.db.run('DELETE FROM scheduled_tasks WHERE id = ?', [id]);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in ScheduledTaskRepository.deleteTask:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ScheduledTaskRepository;
@@ -0,0 +1,252 @@
+/**
+ * Season Repository - Data access for the seasons, the zombies matches counted in each season
+ * and the rewards given when a season ends
+ */
+const BaseRepository = require('./BaseRepository');
+const Season = require('../models/Season');
+
+class SeasonRepository extends BaseRepository {
+    /**
+     * Create a new SeasonRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'seasons');
+    }
+
+    /**
+     * Store a new season
+     * @param {Season} season - Season model
+     * @returns {Promise<Season>} Stored season with its ID
+     */
+    async createSeason(season) {
+        try {
+            const data = season.toDatabase();
+            const columns = Object.keys(data);
+
+            const result = await this.db.run(`
+                INSERT INTO seasons (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            season.id = result.lastID;
+            return season;
+        } catch (error) {
+            console.error('Error in SeasonRepository.createSeason:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a season
+     * @param {Season} season - Season model
+     * @returns {Promise<boolean>} Whether a season was updated
+     */
+    async updateSeason(season) {
+        try {
+            const { created_by, created_at, ...data } = season.toDatabase();
+            data.updated_at = new Date().toISOString();
+
+            const result = await this.db.run(`
+                UPDATE seasons
+                SET ${Object.keys(data).map(column => `${column} = ?`).join(', ')}
+                WHERE id = ?
+            `, [...Object.values(data), season.id]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in SeasonRepository.updateSeason:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a season with its counted matches and its rewards
+     * @param {number} id - Season ID
+     * @returns {Promise<boolean>} Whether a season was deleted
+     */
+    async deleteSeason(id) {
+        try {
+            await this.db.run('DELETE FROM season_matches WHERE season_id = ?', [id]);
+            await this.db.run('DELETE FROM season_rewards WHERE season_id = ?', [id]);
+            const result = await this.db.run('DELETE FROM seasons WHERE id = ?', [id]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in SeasonRepository.deleteSeason:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a season by ID
+     * @param {number} id - Season ID
+     * @returns {Promise<Season|null>} Season or null
+     */
+    async getSeason(id) {
+        try {
+            const row = await this.db.get('SELECT * FROM seasons WHERE id = ?', [id]);
+            return Season.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in SeasonRepository.getSeason:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a season by name
+     * @param {string} name - Season name
+     * @returns {Promise<Season|null>} Season or null
+     */
+    async getSeasonByName(name) {
+        try {
+            const row = await this.db.get('SELECT * FROM seasons WHERE name = ? COLLATE NOCASE', [name]);
+            return Season.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in SeasonRepository.getSeasonByName:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the seasons, most recent first
+     * @returns {Promise<Array<Season>>} Seasons
+     */
+    async getSeasons() {
+        try {
+            const rows = await this.db.all('SELECT * FROM seasons ORDER BY starts_at DESC, id DESC');
+            return rows.map(row => Season.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in SeasonRepository.getSeasons:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the seasons whose leaderboards are not frozen yet
+     * @returns {Promise<Array<Season>>} Seasons
+     */
+    async getOpenSeasons() {
+        try {
+            const rows = await this.db.all('SELECT * FROM seasons WHERE finalized_at IS NULL ORDER BY ends_at');
+            return rows.map(row => Season.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in SeasonRepository.getOpenSeasons:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the finished zombies matches of a season not counted in it yet, oldest first
+     * @param {Season} season - Season
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<Object>>} Match rows
+     */
+    async getUncountedMatches(season, limit = 500) {
+        try {
+            // The table is created by the zombies plugin
+            if (!await this.tableExists('zombies_matches')) return [];
+
+            // End times are stored as ISO strings, they compare in time order
+            return await this.db.all(`
+                SELECT m.match_id, m.server_id, m.map_name, m.max_round, m.end_time, m.player_guids, m.stats
+                FROM zombies_matches m
+                LEFT JOIN season_matches c ON c.match_id = m.match_id AND c.season_id = ?
+                WHERE m.end_time >= ? AND m.end_time < ? AND c.match_id IS NULL
+                ORDER BY m.end_time
+                LIMIT ?
+            `, [season.id, new Date(season.startsAt).toISOString(), new Date(season.endsAt).toISOString(), limit]);
+        } catch (error) {
+            console.error('Error in SeasonRepository.getUncountedMatches:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a match as counted in a season, so it is never counted twice
+     * @param {number} seasonId - Season ID
+     * @param {string} matchId - Zombies match ID
+     * @returns {Promise<void>}
+     */
+    async markMatchCounted(seasonId, matchId) {
+        try {
+            await this.db.run('INSERT OR IGNORE INTO season_matches (season_id, match_id) VALUES (?, ?)', [seasonId, matchId]);
+        } catch (error) {
+            console.error('Error in SeasonRepository.markMatchCounted:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Forget the matches counted in a season, they are counted again
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<void>}
+     */
+    async clearCountedMatches(seasonId) {
+        try {
+            await this.db.run('DELETE FROM season_matches WHERE season_id = ?', [seasonId]);
+        } catch (error) {
+            console.error('Error in SeasonRepository.clearCountedMatches:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store a reward given to a player
+     * @param {number} seasonId - Season ID
+     * @param {Object} reward - { metric, position, playerId, guid, name, value, title }
+     * @returns {Promise<void>}
+     */
+    async addReward(seasonId, reward) {
+        try {
+            await this.db.run(`
+                INSERT INTO season_rewards (season_id, metric, position, player_id, player_guid, player_name, value, title)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [seasonId, reward.metric, reward.position, reward.playerId, reward.guid, reward.name, reward.value, reward.title || null]);
+        } catch (error) {
+            console.error('Error in SeasonRepository.addReward:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the rewards given at the end of a season
+     * @param {number} seasonId - Season ID
+     * @returns {Promise<Array<Object>>} Rewards { metric, position, playerId, guid, name, value, title, awardedAt }
+     */
+    async getRewards(seasonId) {
+        try {
+            const rows = await this.db.all(
+                'SELECT * FROM season_rewards WHERE season_id = ? ORDER BY metric, position',
+                [seasonId]
+            );
+
+            return rows.map(row => ({
+                metric: row.metric,
+                position: row.position,
+                playerId: row.player_id,
+                guid: row.player_guid,
+                name: row.player_name,
+                value: row.value,
+                title: row.title,
+                awardedAt: row.awarded_at
+            }));
+        } catch (error) {
+            console.error('Error in SeasonRepository.getRewards:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if a table exists
+     * @param {string} name - Table name
+     * @returns {Promise<boolean>} Whether the table exists
+     * @private
+     */
+    async tableExists(name) {
+        const row = await this.db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]);
+        return !!row;
+    }
+}
+
+module.exports = SeasonRepository;
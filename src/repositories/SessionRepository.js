@@ -0,0 +1,165 @@
+/**
+ * Session Repository - Data access for the login sessions of the web users
+ */
+const BaseRepository = require('./BaseRepository');
+const Session = require('../models/Session');
+
+class SessionRepository extends BaseRepository {
+    /**
+     * Create a new SessionRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'sessions');
+    }
+
+    /**
+     * Store a new session
+     * @param {Session} session - Session model with an ID
+     * @returns {Promise<Session>} Stored session
+     */
+    async create(session) {
+        try {
+            const data = session.toDatabase();
+            const columns = Object.keys(data);
+
+            await this.db.run(`
+                INSERT INTO sessions (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            return session;
+        } catch (error) {
+            console.error('Error in SessionRepository.create:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a session by ID
+     * @param {string} id - Session ID
+     * @returns {Promise<Session|null>} Session or null
+     */
+    async getSessionById(id) {
+        try {
+            const row = await this.db.get('SELECT * FROM sessions WHERE id = ?', [id]);
+            return Session.fromDatabaseRow(row);
+        } catch (error) {
+            console.error('Error in SessionRepository.getSessionById:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the sessions of a user that are neither revoked nor expired
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<Session>>} Sessions, most recently used first
+     */
+    async getActiveSessions(userId) {
+        try {
+            const rows = await this.db.all(`
+                SELECT * FROM sessions
+                WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+                ORDER BY last_used_at DESC
+            `, [userId, new Date().toISOString()]);
+
+            return rows.map(row => Session.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in SessionRepository.getActiveSessions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the refresh token of a session and extend it
+     * Only succeeds if the session still has the expected token, so a token can be rotated once
+     * @param {string} id - Session ID
+     * @param {string} previousHash - Hash of the refresh token being rotated
+     * @param {string} hash - Hash of the new refresh token
+     * @param {Date} expiresAt - New expiry date
+     * @returns {Promise<boolean>} Whether the token was rotated
+     */
+    async rotateRefreshToken(id, previousHash, hash, expiresAt) {
+        try {
+            const result = await this.db.run(`
+                UPDATE sessions
+                SET refresh_token_hash = ?, last_used_at = ?, expires_at = ?
+                WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+            `, [hash, new Date().toISOString(), expiresAt.toISOString(), id, previousHash]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in SessionRepository.rotateRefreshToken:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a session
+     * @param {string} id - Session ID
+     * @returns {Promise<boolean>} Whether an active session was revoked
+     */
+    async revokeSession(id) {
+        try {
+            const result = await this.db.run(
+                'UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+                [new Date().toISOString(), id]
+            );
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in SessionRepository.revokeSession:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke every session of a user
+     * @param {string} userId - User ID
+     * @param {string|null} exceptId - Session kept active, null to revoke them all
+     * @returns {Promise<Array<string>>} IDs of the revoked sessions
+     */
+    async revokeUserSessions(userId, exceptId = null) {
+        try {
+            const rows = await this.db.all(
+                'SELECT id FROM sessions WHERE user_id = ? AND revoked_at IS NULL AND id != ?',
+                [userId, exceptId || '']
+            );
+            const ids = rows.map(row => row.id);
+
+            if (ids.length > 0) {
+                await this.db.run(`
+                    UPDATE sessions SET revoked_at = ?
+                    WHERE id IN (${ids.map(() => '?').join(', ')})
+                `, [new Date().toISOString(), ...ids]);
+            }
+
+            return ids;
+        } catch (error) {
+            console.error('Error in SessionRepository.revokeUserSessions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete the sessions expired or revoked before a date
+     * @param {Date} before - Cutoff date
+     * @returns {Promise<number>} Number of deleted sessions
+     */
+    async deleteEndedSessions(before) {
+        try {
+            const cutoff = before.toISOString();
+            const result = await this.db.run(
+                'DELETE FROM sessions WHERE expires_at < ? OR revoked_at < ?',
+                [cutoff, cutoff]
+            );
+
+            return result.changes;
+        } catch (error) {
+            console.error('Error in SessionRepository.deleteEndedSessions:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SessionRepository;
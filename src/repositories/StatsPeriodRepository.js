@@ -0,0 +1,354 @@
+/**
+ * Stats Period Repository - Data access for the stats periods, the zombies stats of the players in each
+ * period and the final standings archived when a period is closed
+ */
+const BaseRepository = require('./BaseRepository');
+
+// Columns of zombies_stats_periods that can be ranked
+const METRICS = ['kills', 'downs', 'revives', 'headshots', 'rounds_survived', 'highest_round', 'highest_score'];
+
+// Records keep the best value of the period, the other metrics are summed
+const RECORDS = ['highest_round', 'highest_score'];
+
+class StatsPeriodRepository extends BaseRepository {
+    /**
+     * Create a new StatsPeriodRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'stats_periods');
+    }
+
+    /**
+     * Get a period
+     * @param {string} type - Period type
+     * @param {string} key - Period key
+     * @returns {Promise<Object|null>} Period row or null
+     */
+    async getPeriod(type, key) {
+        try {
+            const row = await this.db.get('SELECT * FROM stats_periods WHERE period_type = ? AND period_key = ?', [type, key]);
+            return row || null;
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.getPeriod:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the periods of a type, most recent first
+     * @param {string} type - Period type
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<Object>>} Period rows
+     */
+    async getPeriods(type, limit = 20) {
+        try {
+            return await this.db.all(`
+                SELECT * FROM stats_periods
+                WHERE period_type = ?
+                ORDER BY starts_at DESC
+                LIMIT ?
+            `, [type, limit]);
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.getPeriods:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the periods not closed yet
+     * @returns {Promise<Array<Object>>} Period rows
+     */
+    async getOpenPeriods() {
+        try {
+            return await this.db.all("SELECT * FROM stats_periods WHERE status = 'open' ORDER BY starts_at");
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.getOpenPeriods:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update a period
+     * @param {Object} period - Period { type, key, start, end }
+     * @param {string} status - open or closed
+     * @returns {Promise<void>}
+     */
+    async savePeriod(period, status = 'open') {
+        try {
+            const closedAt = status === 'closed' ? new Date().toISOString() : null;
+
+            await this.db.run(`
+                INSERT INTO stats_periods (period_type, period_key, starts_at, ends_at, status, closed_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT (period_type, period_key) DO UPDATE SET
+                    starts_at = excluded.starts_at,
+                    ends_at = excluded.ends_at,
+                    status = excluded.status,
+                    closed_at = excluded.closed_at
+            `, [period.type, period.key, period.start.toISOString(), period.end.toISOString(), status, closedAt]);
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.savePeriod:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the finished zombies matches not counted in the periods yet, oldest first
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<Object>>} Match rows
+     */
+    async getUncountedMatches(limit = 500) {
+        try {
+            // The table is created by the zombies plugin
+            if (!await this.tableExists('zombies_matches')) return [];
+
+            return await this.db.all(`
+                SELECT m.match_id, m.server_id, m.map_name, m.max_round, m.end_time, m.player_guids, m.stats
+                FROM zombies_matches m
+                LEFT JOIN stats_period_matches c ON c.match_id = m.match_id
+                WHERE m.end_time IS NOT NULL AND c.match_id IS NULL
+                ORDER BY m.end_time
+                LIMIT ?
+            `, [limit]);
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.getUncountedMatches:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a match as counted, so it is never counted twice
+     * @param {string} matchId - Zombies match ID
+     * @returns {Promise<void>}
+     */
+    async markMatchCounted(matchId) {
+        try {
+            await this.db.run('INSERT OR IGNORE INTO stats_period_matches (match_id) VALUES (?)', [matchId]);
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.markMatchCounted:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the player IDs of some GUIDs
+     * @param {Array<string>} guids - Player GUIDs
+     * @returns {Promise<Map<string, string>>} GUID -> player ID, unknown GUIDs are left out
+     * @private
+     */
+    async getPlayerIds(guids) {
+        try {
+            if (guids.length === 0) return new Map();
+
+            const rows = await this.db.all(`
+                SELECT guid, MIN(id) AS id FROM players
+                WHERE guid IN (${guids.map(() => '?').join(', ')})
+                GROUP BY guid
+            `, guids);
+
+            return new Map(rows.map(row => [row.guid, row.id]));
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.getPlayerIds:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the stats of the stored players of a zombies match
+     * @param {Object} match - zombies_matches row
+     * @returns {Promise<Array<Object>>} { playerId, stats } with the metrics of the match
+     */
+    async getMatchPlayerStats(match) {
+        try {
+            const stats = this.parseJSON(match.stats, {});
+            const players = stats.players || {};
+            const matchGuids = this.parseJSON(match.player_guids, []);
+            const guids = [...new Set([...(Array.isArray(matchGuids) ? matchGuids : []), ...Object.keys(players)])];
+
+            const playerIds = await this.getPlayerIds(guids);
+
+            return [...playerIds].map(([guid, playerId]) => {
+                const player = players[guid] || {};
+                const round = player.round || match.max_round || 0;
+
+                return {
+                    playerId,
+                    stats: {
+                        kills: player.kills,
+                        downs: player.downs,
+                        revives: player.revives,
+                        headshots: player.headshots,
+                        // The round the player went down in is not survived
+                        rounds_survived: Math.max(round - 1, 0),
+                        highest_round: round,
+                        highest_score: player.score
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.getMatchPlayerStats:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add the stats of a match to the stats of a player in a period
+     * @param {string} playerId - Player ID
+     * @param {string} type - Period type
+     * @param {string} key - Period key
+     * @param {Object} stats - Metric -> value of the match
+     * @returns {Promise<void>}
+     */
+    async addPlayerStats(playerId, type, key, stats) {
+        try {
+            const values = METRICS.map(metric => stats[metric] || 0);
+            const updates = METRICS.map(metric => RECORDS.includes(metric)
+                ? `${metric} = MAX(${metric}, excluded.${metric})`
+                : `${metric} = ${metric} + excluded.${metric}`);
+
+            await this.db.run(`
+                INSERT INTO zombies_stats_periods (player_id, period_type, period_key, ${METRICS.join(', ')})
+                VALUES (?, ?, ?, ${METRICS.map(() => '?').join(', ')})
+                ON CONFLICT (player_id, period_type, period_key) DO UPDATE SET
+                    ${updates.join(',\n                    ')},
+                    updated_at = CURRENT_TIMESTAMP
+            `, [playerId, type, key, ...values]);
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.addPlayerStats:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete the stats and the archived standings of a period
+     * @param {string} type - Period type
+     * @param {string} key - Period key
+     * @returns {Promise<void>}
+     */
+    async deletePlayerStats(type, key) {
+        try {
+            await this.db.run('DELETE FROM zombies_stats_periods WHERE period_type = ? AND period_key = ?', [type, key]);
+            await this.db.run('DELETE FROM stats_period_standings WHERE period_type = ? AND period_key = ?', [type, key]);
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.deletePlayerStats:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the live standings of a period
+     * @param {string} type - Period type
+     * @param {string} key - Period key
+     * @param {string} metric - Ranked metric
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<Object>>} Standings { position, player_id, player_guid, player_name, value }
+     */
+    async getStandings(type, key, metric, limit = 10) {
+        try {
+            if (!METRICS.includes(metric)) {
+                throw new Error(`Unknown period metric: ${metric}`);
+            }
+
+            const rows = await this.db.all(`
+                SELECT s.player_id, p.guid AS player_guid, p.name AS player_name, s.${metric} AS value
+                FROM zombies_stats_periods s
+                LEFT JOIN players p ON p.id = s.player_id
+                WHERE s.period_type = ? AND s.period_key = ? AND s.${metric} > 0
+                ORDER BY s.${metric} DESC, s.updated_at
+                LIMIT ?
+            `, [type, key, limit]);
+
+            return rows.map((row, index) => ({ position: index + 1, ...row }));
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.getStandings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the archived standings of a period for a metric
+     * @param {string} type - Period type
+     * @param {string} key - Period key
+     * @param {string} metric - Ranked metric
+     * @param {Array<Object>} standings - Standings from getStandings
+     * @returns {Promise<void>}
+     */
+    async saveStandings(type, key, metric, standings) {
+        try {
+            await this.db.run(
+                'DELETE FROM stats_period_standings WHERE period_type = ? AND period_key = ? AND metric = ?',
+                [type, key, metric]
+            );
+
+            for (const standing of standings) {
+                await this.db.run(`
+                    INSERT INTO stats_period_standings (period_type, period_key, metric, position, player_id, player_guid, player_name, value)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [type, key, metric, standing.position, standing.player_id, standing.player_guid, standing.player_name, standing.value]);
+            }
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.saveStandings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the archived standings of a closed period
+     * @param {string} type - Period type
+     * @param {string} key - Period key
+     * @param {string} metric - Ranked metric
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<Object>>} Standings { position, player_id, player_guid, player_name, value }
+     */
+    async getArchivedStandings(type, key, metric, limit = 10) {
+        try {
+            return await this.db.all(`
+                SELECT position, player_id, player_guid, player_name, value
+                FROM stats_period_standings
+                WHERE period_type = ? AND period_key = ? AND metric = ?
+                ORDER BY position
+                LIMIT ?
+            `, [type, key, metric, limit]);
+        } catch (error) {
+            console.error('Error in StatsPeriodRepository.getArchivedStandings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse a JSON column
+     * @param {string} value - Stored JSON
+     * @param {*} fallback - Value used when the column is empty or invalid
+     * @returns {*} Parsed value
+     * @private
+     */
+    parseJSON(value, fallback) {
+        try {
+            return value ? JSON.parse(value) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    /**
+     * Check if a table exists
+     * @param {string} name - Table name
+     * @returns {Promise<boolean>} Whether the table exists
+     * @private
+     */
+    async tableExists(name) {
+        const row = await this.db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]);
+        return !!row;
+    }
+
+    /**
+     * Get the metrics that can be ranked
+     * @returns {Array<string>} Metrics
+     */
+    static get METRICS() {
+        return METRICS;
+    }
+}
+
+module.exports = StatsPeriodRepository;
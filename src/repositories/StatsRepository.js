@@ -2,15 +2,19 @@
  * Stats Repository - Data access for player stats
  */
 const BaseRepository = require('./BaseRepository');
+const StatsPeriod = require('../core/StatsPeriod');
 const { Stats, PeriodStats } = require('../models/Stats');
+const config = require('../config-loader');
 
 class StatsRepository extends BaseRepository {
     /**
      * Create a new StatsRepository
      * @param {Object} db - Database connection
+     * @param {StatsPeriod} periods - Period engine, the configured timezone by default
      */
-    constructor(db) {
+    constructor(db, periods = null) {
         super(db, 'zombies_stats');
+        this.periods = periods || StatsPeriod.fromConfig(config.periods);
     }
     
     /**
@@ -100,12 +104,9 @@ class StatsRepository extends BaseRepository {
             // Update stats with new data
             stats.updateWithGameData(data);
             
-            // Save to database
+            // Save to database, period stats are counted from the finished matches
             await this.update(stats.id, stats.toDatabase());
             
-            // Update period stats
-            await this.updatePeriodStats(playerId, data);
-            
             return stats;
         } catch (error) {
             console.error('Error in StatsRepository.updatePlayerStats:', error);
@@ -136,7 +137,7 @@ class StatsRepository extends BaseRepository {
     /**
      * Get period stats
      * @param {number} playerId - Player ID
-     * @param {string} periodType - Period type (weekly, monthly, yearly)
+     * @param {string} periodType - Period type (daily, weekly, monthly, seasonal, yearly)
      * @param {string} periodKey - Period key
      * @returns {Promise<PeriodStats|null>} PeriodStats model or null
      */
@@ -154,92 +155,6 @@ class StatsRepository extends BaseRepository {
         }
     }
     
-    /**
-     * Update period stats
-     * @param {number} playerId - Player ID
-     * @param {Object} data - Stats data
-     * @returns {Promise<boolean>} Success
-     */
-    async updatePeriodStats(playerId, data) {
-        try {
-            // Update for each period type
-            const periodTypes = ['weekly', 'monthly', 'yearly'];
-            
-            for (const periodType of periodTypes) {
-                const periodKey = PeriodStats.getCurrentPeriodKey(periodType);
-                
-                // Get or create period stats
-                let periodStats = await this.getPeriodStats(playerId, periodType, periodKey);
-                
-                if (!periodStats) {
-                    // Create new period stats
-                    periodStats = new PeriodStats({
-                        playerId,
-                        periodType,
-                        periodKey
-                    });
-                    
-                    const result = await this.db._run(
-                        `INSERT INTO zombies_stats_periods (
-                            player_id, period_type, period_key, kills, downs, revives, headshots, 
-                            rounds_survived, highest_round, highest_score, current_kills, 
-                            current_downs, current_revives, current_headshots, current_rounds_survived
-                        ) VALUES (?, ?, ?, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0)`,
-                        [playerId, periodType, periodKey]
-                    );
-                    
-                    periodStats.id = result.lastID;
-                }
-                
-                // Update period stats
-                if (data.kills !== undefined) periodStats.currentKills = data.kills;
-                if (data.downs !== undefined) periodStats.currentDowns = data.downs;
-                if (data.revives !== undefined) periodStats.currentRevives = data.revives;
-                if (data.headshots !== undefined) periodStats.currentHeadshots = data.headshots;
-                if (data.roundsSurvived !== undefined) periodStats.currentRoundsSurvived = data.roundsSurvived;
-                
-                // Update cumulative stats
-                periodStats.kills += (data.kills || 0) - (periodStats.currentKills || 0);
-                periodStats.downs += (data.downs || 0) - (periodStats.currentDowns || 0);
-                periodStats.revives += (data.revives || 0) - (periodStats.currentRevives || 0);
-                periodStats.headshots += (data.headshots || 0) - (periodStats.currentHeadshots || 0);
-                periodStats.roundsSurvived += (data.roundsSurvived || 0) - (periodStats.currentRoundsSurvived || 0);
-                
-                // Update records
-                if ((data.round || 0) > periodStats.highestRound) {
-                    periodStats.highestRound = data.round;
-                }
-                
-                if ((data.score || 0) > periodStats.highestScore) {
-                    periodStats.highestScore = data.score;
-                }
-                
-                // Save to database
-                await this.db._run(
-                    `UPDATE zombies_stats_periods SET
-                        kills = ?, downs = ?, revives = ?, headshots = ?, rounds_survived = ?,
-                        highest_round = ?, highest_score = ?,
-                        current_kills = ?, current_downs = ?, current_revives = ?,
-                        current_headshots = ?, current_rounds_survived = ?,
-                        updated_at = CURRENT_TIMESTAMP
-                    WHERE id = ?`,
-                    [
-                        periodStats.kills, periodStats.downs, periodStats.revives, periodStats.headshots, periodStats.roundsSurvived,
-                        periodStats.highestRound, periodStats.highestScore,
-                        periodStats.currentKills, periodStats.currentDowns, periodStats.currentRevives,
-                        periodStats.currentHeadshots, periodStats.currentRoundsSurvived,
-                        periodStats.id
-                    ]
-                );
-            }
-            
-            return true;
-        } catch (error) {
-            console.error('Error in StatsRepository.updatePeriodStats:', error);
-            throw error;
-        }
-    }
-    
     /**
      * Reset current period stats
      * @param {number} playerId - Player ID
@@ -247,7 +162,7 @@ class StatsRepository extends BaseRepository {
      */
     async resetCurrentPeriodStats(playerId) {
         try {
-            await this.db._run(
+            await this.db.run(
                 `UPDATE zombies_stats_periods SET
                     current_kills = 0, current_downs = 0, current_revives = 0,
                     current_headshots = 0, current_rounds_survived = 0,
@@ -265,8 +180,8 @@ class StatsRepository extends BaseRepository {
     
     /**
      * Get leaderboard for a specific period
-     * @param {string} periodType - Period type (weekly, monthly, yearly, all)
-     * @param {string} periodKey - Period key (required for weekly/monthly/yearly)
+     * @param {string} periodType - Period type (daily, weekly, monthly, seasonal, yearly, all)
+     * @param {string} periodKey - Period key, the current period by default
      * @param {string} orderBy - Field to sort by
      * @param {number} limit - Maximum results
      * @param {number} offset - Results to skip
@@ -297,7 +212,7 @@ class StatsRepository extends BaseRepository {
             } else {
                 // Get from period stats
                 if (!periodKey) {
-                    periodKey = PeriodStats.getCurrentPeriodKey(periodType);
+                    periodKey = PeriodStats.getCurrentPeriodKey(periodType, this.periods);
                 }
                 
                 query = `
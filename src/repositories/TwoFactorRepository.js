@@ -0,0 +1,152 @@
+/**
+ * Two-Factor Repository - Data access for the TOTP secrets and recovery codes of the web users
+ */
+const BaseRepository = require('./BaseRepository');
+
+class TwoFactorRepository extends BaseRepository {
+    /**
+     * Create a new TwoFactorRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'user_recovery_codes');
+    }
+
+    /**
+     * Store a pending TOTP secret, two-factor stays disabled until a code confirms it
+     * @param {string} userId - User ID
+     * @param {string} secret - Base32 secret
+     * @returns {Promise<void>}
+     */
+    async setPendingSecret(userId, secret) {
+        try {
+            await this.db.run(
+                'UPDATE users SET totp_secret = ?, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+                [secret, userId]
+            );
+        } catch (error) {
+            console.error('Error in TwoFactorRepository.setPendingSecret:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Enable two-factor with the pending secret
+     * @param {string} userId - User ID
+     * @param {number} step - Time step of the confirmation code
+     * @returns {Promise<void>}
+     */
+    async enable(userId, step) {
+        try {
+            await this.db.run(
+                'UPDATE users SET totp_enabled_at = ?, totp_last_step = ? WHERE id = ?',
+                [new Date().toISOString(), step, userId]
+            );
+        } catch (error) {
+            console.error('Error in TwoFactorRepository.enable:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Disable two-factor and delete the secret and recovery codes
+     * @param {string} userId - User ID
+     * @returns {Promise<void>}
+     */
+    async disable(userId) {
+        try {
+            await this.db.run(
+                'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+                [userId]
+            );
+            await this.db.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+        } catch (error) {
+            console.error('Error in TwoFactorRepository.disable:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the time step of an accepted code so it cannot be replayed
+     * Only succeeds if the step is newer than the last accepted one
+     * @param {string} userId - User ID
+     * @param {number} step - Time step of the code
+     * @returns {Promise<boolean>} Whether the step was recorded
+     */
+    async useStep(userId, step) {
+        try {
+            const result = await this.db.run(`
+                UPDATE users SET totp_last_step = ?
+                WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+            `, [step, userId, step]);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in TwoFactorRepository.useStep:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the recovery codes of a user
+     * @param {string} userId - User ID
+     * @param {Array<Object>} codes - { id, codeHash } of the new codes
+     * @returns {Promise<void>}
+     */
+    async replaceRecoveryCodes(userId, codes) {
+        try {
+            await this.db.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+            for (const code of codes) {
+                await this.db.run(
+                    'INSERT INTO user_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+                    [code.id, userId, code.codeHash]
+                );
+            }
+        } catch (error) {
+            console.error('Error in TwoFactorRepository.replaceRecoveryCodes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Use a recovery code
+     * @param {string} userId - User ID
+     * @param {string} codeHash - Hash of the code entered by the user
+     * @returns {Promise<boolean>} Whether an unused code matched and was used up
+     */
+    async useRecoveryCode(userId, codeHash) {
+        try {
+            const result = await this.db.run(
+                'UPDATE user_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+                [new Date().toISOString(), userId, codeHash]
+            );
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error in TwoFactorRepository.useRecoveryCode:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count the unused recovery codes of a user
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Number of unused codes
+     */
+    async countRecoveryCodes(userId) {
+        try {
+            const { count } = await this.db.get(
+                'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+                [userId]
+            );
+
+            return count;
+        } catch (error) {
+            console.error('Error in TwoFactorRepository.countRecoveryCodes:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = TwoFactorRepository;
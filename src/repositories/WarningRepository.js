@@ -0,0 +1,121 @@
+/**
+ * Warning Repository - Data access for player warnings
+ */
+const BaseRepository = require('./BaseRepository');
+const Warning = require('../models/Warning');
+
+// Condition matching the warnings that still count
+const ACTIVE_CLAUSE = 'cleared_at IS NULL AND (expires_at IS NULL OR expires_at > ?)';
+
+class WarningRepository extends BaseRepository {
+    /**
+     * Create a new WarningRepository
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        super(db, 'warnings');
+    }
+
+    /**
+     * Store a new warning
+     * @param {Warning} warning - Warning without an ID
+     * @returns {Promise<Warning>} Stored warning with its ID
+     */
+    async create(warning) {
+        try {
+            const data = warning.toDatabase();
+            const columns = Object.keys(data);
+
+            const result = await this.db.run(`
+                INSERT INTO warnings (${columns.join(', ')})
+                VALUES (${columns.map(() => '?').join(', ')})
+            `, Object.values(data));
+
+            warning.id = result.lastID;
+            return warning;
+        } catch (error) {
+            console.error('Error in WarningRepository.create:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the warnings of a GUID still in effect
+     * @param {string} guid - Player GUID
+     * @returns {Promise<Array<Warning>>} Active warnings, oldest first
+     */
+    async getActiveWarnings(guid) {
+        try {
+            const rows = await this.db.all(`
+                SELECT * FROM warnings
+                WHERE player_guid = ? AND ${ACTIVE_CLAUSE}
+                ORDER BY created_at ASC, id ASC
+            `, [guid, new Date().toISOString()]);
+
+            return rows.map(row => Warning.fromDatabaseRow(row));
+        } catch (error) {
+            console.error('Error in WarningRepository.getActiveWarnings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the warning history of a player, expired and cleared warnings included
+     * @param {Object} target - { playerId, guid }
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object>} { warnings, total, active }
+     */
+    async getPlayerWarnings(target, limit = 50, offset = 0) {
+        try {
+            const params = [target.playerId ? String(target.playerId) : null, target.guid || null];
+
+            const countRow = await this.db.get(`
+                SELECT COUNT(*) as total,
+                       SUM(CASE WHEN ${ACTIVE_CLAUSE} THEN 1 ELSE 0 END) as active
+                FROM warnings
+                WHERE player_id = ? OR player_guid = ?
+            `, [new Date().toISOString(), ...params]);
+
+            const rows = await this.db.all(`
+                SELECT * FROM warnings
+                WHERE player_id = ? OR player_guid = ?
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]);
+
+            return {
+                warnings: rows.map(row => Warning.fromDatabaseRow(row)),
+                total: countRow ? countRow.total : 0,
+                active: countRow ? countRow.active || 0 : 0
+            };
+        } catch (error) {
+            console.error('Error in WarningRepository.getPlayerWarnings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear the active warnings of a GUID, they are kept in the history
+     * @param {string} guid - Player GUID
+     * @param {string} clearedBy - Name of the admin clearing the warnings
+     * @returns {Promise<number>} Cleared warnings
+     */
+    async clearActive(guid, clearedBy) {
+        try {
+            const now = new Date().toISOString();
+            const result = await this.db.run(`
+                UPDATE warnings
+                SET cleared_at = ?, cleared_by = ?
+                WHERE player_guid = ? AND ${ACTIVE_CLAUSE}
+            `, [now, clearedBy, guid, now]);
+
+            return result.changes;
+        } catch (error) {
+            console.error('Error in WarningRepository.clearActive:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = WarningRepository;
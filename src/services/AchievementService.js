@@ -0,0 +1,590 @@
+/**
+ * Achievement Service - Achievements unlocked by the players, from the declarative rules of the configuration
+ * Lifetime stats are counted from the server events (kills read in the logs, connections, zombies events
+ * and stats snapshots) and from the time spent on the servers. Streaks only live for the match being played.
+ * Unlocks are stored once per player and told to the player in game
+ */
+const logger = require('../core/Logger');
+const AchievementRules = require('../core/AchievementRules');
+const PlayerAchievement = require('../models/PlayerAchievement');
+const AchievementRepository = require('../repositories/AchievementRepository');
+const PlayerRepository = require('../repositories/PlayerRepository');
+
+// Achievements used when the configuration has none
+const DEFAULT_ACHIEVEMENTS = [
+    { id: 'marksman', name: 'Marksman', description: 'Get 100 kills', icon: 'crosshairs', type: 'threshold', stat: 'kills', count: 100 },
+    { id: 'warlord', name: 'Warlord', description: 'Get 1000 kills', icon: 'crosshairs', type: 'threshold', stat: 'kills', count: 1000 },
+    { id: 'killing_spree', name: 'Killing Spree', description: 'Get 5 kills in a row without dying', icon: 'fire', type: 'streak', stat: 'kills', count: 5 },
+    { id: 'unstoppable', name: 'Unstoppable', description: 'Get 10 kills in a row without dying', icon: 'fire', type: 'streak', stat: 'kills', count: 10 },
+    { id: 'zombie_hunter', name: 'Zombie Hunter', description: 'Kill 1000 zombies', icon: 'skull', type: 'threshold', stat: 'zombiesKills', count: 1000 },
+    { id: 'untouchable', name: 'Untouchable', description: 'Kill 100 zombies in one match without going down', icon: 'shield', type: 'streak', stat: 'zombiesKills', count: 100 },
+    { id: 'good_samaritan', name: 'Good Samaritan', description: 'Revive 50 teammates', icon: 'medkit', type: 'threshold', stat: 'revives', count: 50 },
+    { id: 'survivor_30', name: 'Hold The Line', description: 'Reach round 30', icon: 'flag', type: 'threshold', stat: 'round', count: 30 },
+    { id: 'tranzit_pioneer', name: 'TranZit Pioneer', description: 'Be the first to reach round 30 on TranZit', icon: 'trophy', type: 'first', stat: 'round', count: 30, map: 'zm_transit' },
+    { id: 'regular', name: 'Regular', description: 'Play for 10 hours', icon: 'clock', type: 'playtime', hours: 10 },
+    { id: 'dedicated', name: 'Dedicated', description: 'Play for 100 hours', icon: 'clock', type: 'playtime', hours: 100 },
+    { id: 'familiar_face', name: 'Familiar Face', description: 'Connect 50 times', icon: 'user', type: 'threshold', stat: 'connections', count: 50 }
+];
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    // Tell the players the achievements they unlock
+    announce: true,
+    achievements: DEFAULT_ACHIEVEMENTS
+};
+
+// Time spent on the servers is counted every minute
+const PLAYTIME_INTERVAL = 60 * 1000;
+
+// Stats of the zombies snapshots counted as the difference with the previous snapshot of the match
+const SNAPSHOT_STATS = {
+    kills: 'zombiesKills',
+    headshots: 'headshots',
+    revives: 'revives'
+};
+
+class AchievementService {
+    /**
+     * Create a new AchievementService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager emitting the player events
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(db, serverManager, services = {}) {
+        this.achievementRepository = new AchievementRepository(db);
+        this.playerRepository = new PlayerRepository(db);
+        this.serverManager = serverManager;
+        this.services = services;
+        this.settings = { ...DEFAULT_SETTINGS, ...services.configService?.config?.achievements };
+        this.rules = new AchievementRules(this.settings.achievements || []);
+        this.statKeys = this.rules.getStatKeys();
+
+        // Server ID -> match being played { mapName, startedAt, streaks: Map<guid>, snapshots: Map<guid> }
+        this.matches = new Map();
+
+        // GUID -> IDs of the achievements of the connected players
+        this.unlocked = new Map();
+        this.playtimeTimer = null;
+
+        this.handleMatchStart = this.handleMatchStart.bind(this);
+        this.handleKill = this.handleKill.bind(this);
+        this.handleConnect = this.handleConnect.bind(this);
+        this.handleDisconnect = this.handleDisconnect.bind(this);
+        this.handleZombiesMatchStart = this.handleZombiesMatchStart.bind(this);
+        this.handleRoundStart = this.handleRoundStart.bind(this);
+        this.handlePlayerDowned = this.handlePlayerDowned.bind(this);
+        this.handlePlayerRevived = this.handlePlayerRevived.bind(this);
+        this.handleStatsSnapshot = this.handleStatsSnapshot.bind(this);
+    }
+
+    /**
+     * Start following the servers
+     */
+    attach() {
+        if (!this.settings.enabled) {
+            logger.info('Achievements disabled');
+            return;
+        }
+
+        try {
+            this.rules.validate();
+        } catch (error) {
+            logger.error(`Achievements disabled, the configuration is invalid: ${error.message}`);
+            return;
+        }
+
+        this.serverManager.on('match.start', this.handleMatchStart);
+        this.serverManager.on('player.kill', this.handleKill);
+        this.serverManager.on('player.connect', this.handleConnect);
+        this.serverManager.on('player.disconnect', this.handleDisconnect);
+
+        const eventService = this.services.eventService;
+        if (eventService) {
+            eventService.on('game.match_start', this.handleZombiesMatchStart);
+            eventService.on('game.round_start', this.handleRoundStart);
+            eventService.on('game.player_downed', this.handlePlayerDowned);
+            eventService.on('game.player_revived', this.handlePlayerRevived);
+            eventService.on('game.update_stats', this.handleStatsSnapshot);
+            eventService.on('game.player_left', this.handleStatsSnapshot);
+            eventService.on('game.match_end', this.handleStatsSnapshot);
+        }
+
+        this.playtimeTimer = setInterval(() => {
+            this.countPlaytime().catch(error => logger.error(`Error counting playtime: ${error.message}`));
+        }, PLAYTIME_INTERVAL);
+        this.playtimeTimer.unref();
+    }
+
+    /**
+     * Stop following the servers, the streaks of the matches being played are dropped
+     */
+    detach() {
+        this.serverManager.off('match.start', this.handleMatchStart);
+        this.serverManager.off('player.kill', this.handleKill);
+        this.serverManager.off('player.connect', this.handleConnect);
+        this.serverManager.off('player.disconnect', this.handleDisconnect);
+
+        const eventService = this.services.eventService;
+        if (eventService) {
+            eventService.off('game.match_start', this.handleZombiesMatchStart);
+            eventService.off('game.round_start', this.handleRoundStart);
+            eventService.off('game.player_downed', this.handlePlayerDowned);
+            eventService.off('game.player_revived', this.handlePlayerRevived);
+            eventService.off('game.update_stats', this.handleStatsSnapshot);
+            eventService.off('game.player_left', this.handleStatsSnapshot);
+            eventService.off('game.match_end', this.handleStatsSnapshot);
+        }
+
+        clearInterval(this.playtimeTimer);
+        this.playtimeTimer = null;
+        this.matches.clear();
+        this.unlocked.clear();
+    }
+
+    /**
+     * Start a multiplayer match read from the log
+     * @param {Object} data - Event data { serverId, mapName }
+     */
+    handleMatchStart(data) {
+        this.startMatch(data.serverId, data.mapName);
+    }
+
+    /**
+     * Count a kill for the attacker and a death for the victim, kills by the world or of bots only count the death
+     * @param {Object} data - Event data { serverId, attacker, victim }
+     * @returns {Promise<void>}
+     */
+    async handleKill(data) {
+        const { serverId, attacker, victim } = data;
+
+        try {
+            if (victim && victim.guid) {
+                await this.record(serverId, victim, { deaths: 1 });
+            }
+
+            if (attacker && attacker.guid && victim && victim.guid && attacker.guid !== victim.guid) {
+                await this.record(serverId, attacker, { kills: 1 });
+            }
+        } catch (error) {
+            logger.error(`Error counting a kill for achievements on server ${serverId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count a connection
+     * @param {Object} data - Event data { serverId, player }
+     * @returns {Promise<void>}
+     */
+    async handleConnect(data) {
+        if (!data.player || !data.player.guid) return;
+
+        try {
+            await this.record(data.serverId, data.player, { connections: 1 });
+        } catch (error) {
+            logger.error(`Error counting a connection for achievements: ${error.message}`);
+        }
+    }
+
+    /**
+     * Forget the achievements of a player who left
+     * @param {Object} data - Event data { serverId, player }
+     */
+    handleDisconnect(data) {
+        if (data.player && data.player.guid) {
+            this.unlocked.delete(data.player.guid);
+        }
+    }
+
+    /**
+     * Start a zombies match
+     * @param {Object} event - Event data { serverId, data: { mapName, players } }
+     */
+    handleZombiesMatchStart(event) {
+        this.startMatch(event.serverId, event.data.mapName);
+    }
+
+    /**
+     * Count the round reached by the players of a zombies match
+     * @param {Object} event - Event data { serverId, data: { round, players } }
+     * @returns {Promise<void>}
+     */
+    async handleRoundStart(event) {
+        const { serverId, data } = event;
+
+        try {
+            for (const player of data.players || []) {
+                await this.recordSnapshot(serverId, player, {}, { round: data.round });
+            }
+        } catch (error) {
+            logger.error(`Error counting round ${data.round} for achievements on server ${serverId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count a down, which ends the zombies streaks
+     * @param {Object} event - Event data { serverId, data: { player } }
+     * @returns {Promise<void>}
+     */
+    async handlePlayerDowned(event) {
+        try {
+            await this.recordSnapshot(event.serverId, event.data.player, { downs: 1 });
+        } catch (error) {
+            logger.error(`Error counting a down for achievements: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count a player being revived
+     * @param {Object} event - Event data { serverId, data: { player } }
+     * @returns {Promise<void>}
+     */
+    async handlePlayerRevived(event) {
+        try {
+            await this.recordSnapshot(event.serverId, event.data.player, { revived: 1 });
+        } catch (error) {
+            logger.error(`Error counting a revive for achievements: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count the stats of zombies snapshots (update_stats, player_left, match_end)
+     * @param {Object} event - Event data { serverId, data: { player } or { players } }
+     * @returns {Promise<void>}
+     */
+    async handleStatsSnapshot(event) {
+        const { serverId, data } = event;
+        const players = data.players || (data.player ? [data.player] : []);
+
+        try {
+            for (const player of players) {
+                await this.recordSnapshot(serverId, player);
+            }
+        } catch (error) {
+            logger.error(`Error counting zombies stats for achievements on server ${serverId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count a minute for every player on the servers
+     * @returns {Promise<void>}
+     */
+    async countPlaytime() {
+        const seconds = PLAYTIME_INTERVAL / 1000;
+
+        for (const server of this.serverManager.getServers()) {
+            for (const player of server.players || []) {
+                if (!player || !player.guid || player.isOnline === false) continue;
+
+                await this.record(server.id, player, { playtime: seconds });
+            }
+        }
+    }
+
+    /**
+     * Start counting the streaks of a new match on a server
+     * @param {string} serverId - Server ID
+     * @param {string|null} mapName - Map of the match
+     * @returns {Object} Match
+     * @private
+     */
+    startMatch(serverId, mapName = null) {
+        const match = {
+            mapName: mapName || null,
+            startedAt: new Date(),
+            streaks: new Map(),
+            snapshots: new Map()
+        };
+
+        this.matches.set(serverId, match);
+        return match;
+    }
+
+    /**
+     * Get the match played on a server, started now when the start was missed
+     * @param {string} serverId - Server ID
+     * @returns {Object} Match
+     * @private
+     */
+    getMatch(serverId) {
+        const match = this.matches.get(serverId);
+        if (match) return match;
+
+        const server = this.serverManager.getServerById(serverId);
+        return this.startMatch(serverId, server?.queryStatus?.mapName);
+    }
+
+    /**
+     * Count the stats of a zombies snapshot, as the difference with the previous snapshot of the match
+     * The first snapshot after a manager restart counts the match since its start
+     * @param {string} serverId - Server ID
+     * @param {Object} player - Player { guid, name, stats }
+     * @param {Object} counters - Other counters of the event
+     * @param {Object} levels - Levels reached
+     * @returns {Promise<Array<Object>>} Unlocked achievements
+     * @private
+     */
+    async recordSnapshot(serverId, player, counters = {}, levels = {}) {
+        if (!player || !player.guid) return [];
+
+        const match = this.getMatch(serverId);
+        const stats = player.stats || {};
+        const previous = match.snapshots.get(player.guid) || {};
+        const deltas = {};
+
+        for (const [field, stat] of Object.entries(SNAPSHOT_STATS)) {
+            if (stats[field] === undefined || stats[field] === null) continue;
+
+            // A lower value means the stats were reset by a match the manager missed
+            const last = previous[field] || 0;
+            const delta = stats[field] >= last ? stats[field] - last : stats[field];
+            if (delta > 0) deltas[stat] = delta;
+        }
+
+        match.snapshots.set(player.guid, { ...previous, ...stats });
+
+        // Snapshot stats come first, kills made before going down still count in the streak
+        return await this.record(serverId, player, { ...deltas, ...counters }, levels);
+    }
+
+    /**
+     * Count stats of a player and unlock the achievements they complete
+     * @param {string} serverId - Server ID
+     * @param {Object} player - Player { guid, name }
+     * @param {Object} counters - Stat -> amount to add
+     * @param {Object} levels - Stat -> value reached
+     * @returns {Promise<Array<Object>>} Unlocked achievements
+     * @private
+     */
+    async record(serverId, player, counters = {}, levels = {}) {
+        const match = this.getMatch(serverId);
+        const mapName = match.mapName;
+        const onMap = (rule) => !rule.map || rule.map === mapName;
+        const completed = [];
+
+        // Streaks are counted first, in the order of the events
+        let streaks = match.streaks.get(player.guid);
+        if (!streaks) {
+            streaks = {};
+            match.streaks.set(player.guid, streaks);
+        }
+
+        for (const [stat, amount] of Object.entries(counters)) {
+            for (const rule of this.rules.rules) {
+                if (rule.type !== 'streak') continue;
+
+                if (rule.stat === stat && onMap(rule)) {
+                    streaks[rule.id] = (streaks[rule.id] || 0) + amount;
+                    if (AchievementRules.isMet(rule, { streak: streaks[rule.id] })) completed.push(rule);
+                }
+
+                if (rule.resetOn.includes(stat)) {
+                    streaks[rule.id] = 0;
+                }
+            }
+        }
+
+        const added = this.toStatKeys(counters, mapName);
+        const raised = this.toStatKeys(levels, mapName);
+
+        if (Object.keys(added).length > 0) await this.achievementRepository.addToStats(player.guid, added);
+        if (Object.keys(raised).length > 0) await this.achievementRepository.raiseStats(player.guid, raised);
+
+        const changed = new Set([...Object.keys(counters), ...Object.keys(levels)]);
+        const lifetimeRules = this.rules.rules.filter(rule => rule.type !== 'streak' && changed.has(rule.stat) && onMap(rule));
+
+        if (lifetimeRules.length > 0) {
+            const stats = await this.achievementRepository.getStats(player.guid);
+
+            for (const rule of lifetimeRules) {
+                const lifetime = stats[AchievementRules.statKey(rule.stat, rule.map)];
+                if (AchievementRules.isMet(rule, { lifetime })) completed.push(rule);
+            }
+        }
+
+        const unlocked = [];
+        for (const rule of completed) {
+            if (await this.unlock(serverId, match, player, rule)) unlocked.push(rule);
+        }
+
+        return unlocked;
+    }
+
+    /**
+     * Unlock an achievement for a player if the player does not hold it yet
+     * The first rules are only unlocked by the players of the match where somebody unlocked them first
+     * @param {string} serverId - Server ID
+     * @param {Object} match - Match being played
+     * @param {Object} player - Player { guid, name }
+     * @param {Object} rule - Achievement rule
+     * @returns {Promise<boolean>} Whether the achievement was unlocked
+     * @private
+     */
+    async unlock(serverId, match, player, rule) {
+        const held = await this.getUnlockedIds(player.guid);
+        if (held.has(rule.id)) return false;
+
+        if (rule.type === 'first') {
+            const first = await this.achievementRepository.getFirstUnlock(rule.id);
+            if (first && (first.serverId !== serverId || new Date(first.unlockedAt) < match.startedAt)) {
+                return false;
+            }
+        }
+
+        const achievement = new PlayerAchievement({
+            playerGuid: player.guid,
+            playerName: player.name,
+            achievementId: rule.id,
+            serverId,
+            mapName: match.mapName
+        });
+
+        held.add(rule.id);
+        if (!await this.achievementRepository.unlock(achievement)) return false;
+
+        logger.info(`${player.name} unlocked the achievement ${rule.name}`);
+
+        await this.announce(serverId, player.guid, rule);
+        await this.publish(serverId, player, rule);
+
+        return true;
+    }
+
+    /**
+     * Get the achievements held by a player, kept while the player is connected
+     * @param {string} guid - Player GUID
+     * @returns {Promise<Set<string>>} Achievement IDs
+     * @private
+     */
+    async getUnlockedIds(guid) {
+        let ids = this.unlocked.get(guid);
+        if (!ids) {
+            const unlocks = await this.achievementRepository.getUnlocks(guid);
+            ids = new Set(unlocks.map(unlock => unlock.achievementId));
+            this.unlocked.set(guid, ids);
+        }
+
+        return ids;
+    }
+
+    /**
+     * Get the stat keys to store for stats counted on a map
+     * @param {Object} values - Stat -> value
+     * @param {string|null} mapName - Map of the match
+     * @returns {Object} Stat key -> value
+     * @private
+     */
+    toStatKeys(values, mapName) {
+        const keys = {};
+
+        for (const [stat, value] of Object.entries(values)) {
+            if (!value || value <= 0) continue;
+
+            keys[stat] = value;
+
+            const mapKey = AchievementRules.statKey(stat, mapName);
+            if (mapName && this.statKeys.has(mapKey)) keys[mapKey] = value;
+        }
+
+        return keys;
+    }
+
+    /**
+     * Tell a player the achievement they unlocked, if they are still on the server
+     * @param {string} serverId - Server ID
+     * @param {string} guid - Player GUID
+     * @param {Object} rule - Achievement rule
+     * @returns {Promise<void>}
+     * @private
+     */
+    async announce(serverId, guid, rule) {
+        if (!this.settings.announce) return;
+
+        const server = this.serverManager.getServerById(serverId);
+        const player = server && (server.players || []).find(p => p && p.guid === guid && p.isOnline !== false);
+        if (!player) return;
+
+        const description = rule.description ? `^7: ${rule.description}` : '';
+        await player.tell(`^2Achievement unlocked ^5${rule.name}${description}`);
+    }
+
+    /**
+     * Store an unlock in the events
+     * @param {string} serverId - Server ID
+     * @param {Object} player - Player { guid, name }
+     * @param {Object} rule - Achievement rule
+     * @returns {Promise<void>}
+     * @private
+     */
+    async publish(serverId, player, rule) {
+        if (!this.services.eventService) return;
+
+        try {
+            await this.services.eventService.emitAndStore('player.achievement.unlocked', {
+                serverId,
+                data: {
+                    guid: player.guid,
+                    name: player.name,
+                    achievementId: rule.id,
+                    achievement: rule.name
+                }
+            }, true);
+        } catch (error) {
+            logger.warn(`Could not store the achievement of ${player.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get every achievement with the progress of a stored player
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object|null>} { achievements, unlocked, total } or null if the player does not exist
+     */
+    async getPlayerAchievements(playerId) {
+        try {
+            const player = await this.playerRepository.getById(playerId);
+            if (!player) return null;
+
+            const stats = player.guid ? await this.achievementRepository.getStats(player.guid) : {};
+            const unlocks = player.guid ? await this.achievementRepository.getUnlocks(player.guid) : [];
+            const counts = await this.achievementRepository.countUnlocks();
+            const unlocksById = new Map(unlocks.map(unlock => [unlock.achievementId, unlock]));
+
+            const achievements = this.rules.rules.map(rule => {
+                const unlock = unlocksById.get(rule.id) || null;
+                const unlockedBy = counts.get(rule.id) || 0;
+
+                // Streaks are not kept between matches, they only show whether they were done
+                const value = rule.type === 'streak'
+                    ? null
+                    : Math.min(stats[AchievementRules.statKey(rule.stat, rule.map)] || 0, rule.count);
+
+                return {
+                    id: rule.id,
+                    name: rule.name,
+                    description: rule.description,
+                    icon: rule.icon,
+                    type: rule.type,
+                    stat: rule.stat,
+                    map: rule.map,
+                    target: rule.count,
+                    progress: unlock ? rule.count : value,
+                    unlocked: !!unlock,
+                    unlockedAt: unlock ? unlock.unlockedAt : null,
+                    unlockedBy,
+                    // A first achievement held by somebody else cannot be unlocked anymore
+                    available: rule.type !== 'first' || !!unlock || unlockedBy === 0
+                };
+            });
+
+            return {
+                achievements,
+                unlocked: achievements.filter(achievement => achievement.unlocked).length,
+                total: achievements.length
+            };
+        } catch (error) {
+            console.error('Error in AchievementService.getPlayerAchievements:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = AchievementService;
@@ -0,0 +1,180 @@
+/**
+ * Audit Service - Records who did what through the API, the sockets and the in-game commands
+ *
+ * Recording never throws: a failing audit write is logged and the action it describes goes on.
+ * Secrets (passwords, tokens, codes) are masked before anything is stored.
+ */
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../core/Logger');
+const AuditEntry = require('../models/AuditEntry');
+const AuditRepository = require('../repositories/AuditRepository');
+
+// Keys whose values are never written to the audit log
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|code|hash/i;
+
+// Rows exported at once to CSV
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+    ['createdAt', 'date'],
+    ['source', 'source'],
+    ['actorType', 'actor_type'],
+    ['actorId', 'actor_id'],
+    ['actorName', 'actor_name'],
+    ['action', 'action'],
+    ['targetType', 'target_type'],
+    ['targetId', 'target_id'],
+    ['targetName', 'target_name'],
+    ['serverId', 'server_id'],
+    ['success', 'success'],
+    ['ip', 'ip'],
+    ['changes', 'changes'],
+    ['details', 'details']
+];
+
+class AuditService {
+    /**
+     * Create a new AuditService
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        this.auditRepository = new AuditRepository(db);
+    }
+
+    /**
+     * Record an action
+     * @param {Object} data - { actorType, actorId, actorName, action, targetType, targetId, targetName,
+     *                          serverId, before, after, details, success, source, ip }
+     * @returns {Promise<AuditEntry|null>} Stored entry or null if it could not be stored
+     */
+    async record(data) {
+        try {
+            if (!data || !data.action) {
+                throw new Error('An action is required');
+            }
+
+            const entry = new AuditEntry({
+                ...data,
+                id: uuidv4(),
+                before: AuditService.redact(data.before),
+                after: AuditService.redact(data.after),
+                details: AuditService.redact(data.details),
+                createdAt: new Date()
+            });
+
+            return await this.auditRepository.create(entry);
+        } catch (error) {
+            logger.error(`Failed to record audit entry '${data && data.action}': ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Search the audit log
+     * @param {Object} filters - { actor, actorType, action, targetType, targetId, serverId, source, success, from, to }
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object>} { entries, total }
+     */
+    async search(filters = {}, limit = 50, offset = 0) {
+        try {
+            return await this.auditRepository.search(filters, limit, offset);
+        } catch (error) {
+            console.error('Error in AuditService.search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the recorded actions
+     * @returns {Promise<Array<string>>} Distinct actions
+     */
+    async getActions() {
+        try {
+            return await this.auditRepository.getActions();
+        } catch (error) {
+            console.error('Error in AuditService.getActions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Export the entries matching the filters as CSV
+     * @param {Object} filters - Same filters as search
+     * @returns {Promise<string>} CSV document with a header row
+     */
+    async exportCsv(filters = {}) {
+        try {
+            const { entries } = await this.auditRepository.search(filters, MAX_EXPORT_ROWS, 0);
+            return AuditService.toCsv(entries);
+        } catch (error) {
+            console.error('Error in AuditService.exportCsv:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Format entries as CSV
+     * @param {Array<AuditEntry>} entries - Entries
+     * @returns {string} CSV document
+     */
+    static toCsv(entries) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+
+            let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+            // Spreadsheets run cells starting with a formula character
+            if (/^[=+\-@]/.test(text)) {
+                text = `'${text}`;
+            }
+
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [CSV_COLUMNS.map(([, header]) => header).join(',')];
+
+        for (const entry of entries) {
+            const json = entry.toJSON();
+            lines.push(CSV_COLUMNS.map(([field]) => {
+                const value = json[field];
+                if (field === 'changes' && Object.keys(value).length === 0) return '';
+                return escape(value);
+            }).join(','));
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Mask the secrets of a value before it is stored
+     * @param {*} value - Value to store
+     * @returns {*} Copy of the value with the secret keys masked
+     */
+    static redact(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => AuditService.redact(item));
+        }
+
+        if (value === null || typeof value !== 'object') {
+            return value === undefined ? null : value;
+        }
+
+        if (typeof value.toJSON === 'function') {
+            return AuditService.redact(value.toJSON());
+        }
+
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (item === undefined) continue;
+
+            copy[key] = SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined
+                ? '***'
+                : AuditService.redact(item);
+        }
+
+        return copy;
+    }
+}
+
+module.exports = AuditService;
@@ -1,31 +1,66 @@
 /**
  * Authentication Service - Handles user authentication and token management
+ *
+ * Every login opens a session. The short-lived JWT carries the session ID (sid) and is only
+ * accepted while its session is active; the refresh token ("<sessionId>.<secret>") extends the
+ * session and is replaced on every use.
+ *
+ * Users with two-factor enabled get a short challenge token instead of a session after the password
+ * check; the session is opened once a TOTP or recovery code is given with it.
  */
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const Session = require('../models/Session');
+const SessionRepository = require('../repositories/SessionRepository');
+
+// Interval between two deletions of the ended sessions
+const SESSION_CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+// Purpose claim of the two-factor challenge tokens, they are never accepted as access tokens
+const TWO_FACTOR_CHALLENGE = 'two_factor_challenge';
+// Lifetime of a two-factor challenge and wrong codes allowed during it
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
 
 class AuthService {
     /**
      * Create a new AuthService
      * @param {Object} userService - User service
      * @param {Object} logService - Logging service
-     * @param {Object} config - Configuration object
+     * @param {Object} config - Configuration object (api section)
+     * @param {Object} db - Database connection, sessions are not tracked without it
+     * @param {Object} twoFactorService - Two-factor service, no second factor is asked without it
      */
-    constructor(userService, logService, config = {}) {
+    constructor(userService, logService, config = {}, db = null, twoFactorService = null) {
         this.userService = userService;
         this.logger = logService || console;
         this.config = config;
         this.secret = config.secret || 'change_this_secret_key';
         this.tokenExpiry = config.tokenExpiry || '24h';
+
+        // Days a session stays open without being refreshed
+        this.refreshTokenDays = config.refreshTokenDays || 30;
+        // Days ended sessions are kept before the cleanup deletes them
+        this.sessionRetentionDays = config.sessionRetentionDays || 7;
+
+        this.sessionRepository = db ? new SessionRepository(db) : null;
+        this.cleanupTimer = null;
+
+        this.twoFactorService = twoFactorService;
+        // Challenge ID -> { attempts, expiresAt } of the pending two-factor logins
+        this.twoFactorAttempts = new Map();
     }
 
     /**
      * Authenticate a user
      * @param {string} username - Username
      * @param {string} password - Password
-     * @returns {Promise<Object>} Authentication result
+     * @param {Object} context - { userAgent, ipAddress } of the login request
+     * @returns {Promise<Object>} Authentication result { success, token, refreshToken, user },
+     *   or { success, twoFactorRequired, challengeToken } when a second factor is needed
      */
-    async authenticate(username, password) {
+    async authenticate(username, password, context = {}) {
         try {
             // Get user by username
             const user = await this.userService.getUserByUsername(username);
@@ -54,13 +89,26 @@ class AuthService {
                 return { success: false, error: 'Invalid password' };
             }
 
-            // Generate token
-            const token = await this.generateToken(user);
+            if (user.disabled_at) {
+                return { success: false, error: 'Account disabled' };
+            }
+
+            if (this.twoFactorService && this.twoFactorService.isEnabled(user)) {
+                return {
+                    success: true,
+                    twoFactorRequired: true,
+                    challengeToken: this.createTwoFactorChallenge(user)
+                };
+            }
+
+            // Open a session and generate its tokens
+            const { token, refreshToken } = await this.createSession(user, context);
 
             return { 
                 success: true, 
                 token,
-                user: this.userService.sanitizeUser(user)
+                refreshToken,
+                user: this.getPublicUser(user)
             };
         } catch (error) {
             this.logger.error('Authentication error:', error);
@@ -68,12 +116,84 @@ class AuthService {
         }
     }
 
+    /**
+     * Finish a login with the second factor
+     * @param {string} challengeToken - Challenge token returned by authenticate
+     * @param {string} code - TOTP code or recovery code
+     * @param {Object} context - { userAgent, ipAddress } of the login request
+     * @returns {Promise<Object>} Authentication result { success, token, refreshToken, user, usedRecoveryCode }
+     */
+    async completeTwoFactorLogin(challengeToken, code, context = {}) {
+        try {
+            let challenge;
+            try {
+                challenge = jwt.verify(challengeToken, this.secret);
+            } catch (verifyError) {
+                return { success: false, error: 'Invalid or expired login challenge' };
+            }
+
+            if (challenge.purpose !== TWO_FACTOR_CHALLENGE || !this.twoFactorService) {
+                return { success: false, error: 'Invalid or expired login challenge' };
+            }
+
+            const attempt = this.twoFactorAttempts.get(challenge.jti);
+            if (!attempt) {
+                return { success: false, error: 'Invalid or expired login challenge' };
+            }
+
+            const user = await this.userService.getUserById(challenge.id);
+            if (!user || user.disabled_at) {
+                this.twoFactorAttempts.delete(challenge.jti);
+                return { success: false, error: user ? 'Account disabled' : 'User not found' };
+            }
+
+            const method = await this.twoFactorService.verify(user, code);
+            if (!method) {
+                attempt.attempts++;
+                if (attempt.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+                    this.twoFactorAttempts.delete(challenge.jti);
+                    this.logger.warn(`Too many wrong two-factor codes for user ${user.username}, login challenge dropped`);
+                    return { success: false, error: 'Too many attempts, please log in again', challengeExpired: true };
+                }
+                return { success: false, error: 'Invalid two-factor code' };
+            }
+
+            this.twoFactorAttempts.delete(challenge.jti);
+            const { token, refreshToken } = await this.createSession(user, context);
+
+            return {
+                success: true,
+                token,
+                refreshToken,
+                user: this.getPublicUser(user),
+                usedRecoveryCode: method === 'recovery'
+            };
+        } catch (error) {
+            this.logger.error('Two-factor login error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the user data returned to the client
+     * @param {Object} user - User row
+     * @returns {Object} Sanitized user with its two-factor state
+     */
+    getPublicUser(user) {
+        return {
+            ...this.userService.sanitizeUser(user),
+            twoFactorEnabled: !!this.twoFactorService && this.twoFactorService.isEnabled(user),
+            twoFactorSetupRequired: !!this.twoFactorService && this.twoFactorService.isSetupRequired(user)
+        };
+    }
+
     /**
      * Generate JWT token for a user
      * @param {Object} user - User object
+     * @param {string|null} sessionId - Session the token belongs to
      * @returns {Promise<string>} JWT token
      */
-    async generateToken(user) {
+    async generateToken(user, sessionId = null) {
         try {
             // Create payload with essential user data
             const payload = {
@@ -87,6 +207,10 @@ class AuthService {
                 setupStep: user.setup_step || 0
             };
 
+            if (sessionId) {
+                payload.sid = sessionId;
+            }
+
             // Sign token
             return jwt.sign(payload, this.secret, { expiresIn: this.tokenExpiry });
         } catch (error) {
@@ -116,6 +240,20 @@ class AuthService {
                 return null;
             }
             
+            // Two-factor challenges only unlock the second login step
+            if (decoded.purpose) {
+                this.logger.warn(`Token of user ${decoded.id} refused, it is a ${decoded.purpose} token`);
+                return null;
+            }
+            
+            // Tokens of a revoked or expired session are refused
+            if (this.sessionRepository) {
+                if (!await this.isSessionActive(decoded.sid, decoded.id)) {
+                    this.logger.warn(`Token of user ${decoded.id} refused, session ${decoded.sid || 'missing'} is not active`);
+                    return null;
+                }
+            }
+            
             // Check if user still exists
             try {
                 const user = await this.userService.getUserById(decoded.id);
@@ -123,6 +261,13 @@ class AuthService {
                     this.logger.warn(`User ${decoded.id} from token not found in database`);
                     return null;
                 }
+                if (user.disabled_at) {
+                    this.logger.warn(`Token of disabled user ${decoded.id} refused`);
+                    return null;
+                }
+                
+                // The policy is checked on every request, it can change after the token was issued
+                decoded.twoFactorSetupRequired = !!this.twoFactorService && this.twoFactorService.isSetupRequired(user);
                 this.logger.debug(`User ${decoded.id} found in database`);
             } catch (userError) {
                 this.logger.error(`Error retrieving user: ${userError.message}`);
@@ -138,38 +283,240 @@ class AuthService {
     }
 
     /**
-     * Track login session in database
+     * Open a session for a user
+     * @param {Object} user - User object
+     * @param {Object} context - { userAgent, ipAddress } of the login request
+     * @returns {Promise<Object>} { token, refreshToken, session }, no refresh token without a database
+     */
+    async createSession(user, context = {}) {
+        try {
+            if (!this.sessionRepository) {
+                return { token: await this.generateToken(user), refreshToken: null, session: null };
+            }
+
+            const secret = crypto.randomBytes(32).toString('hex');
+            const session = new Session({
+                id: uuidv4(),
+                userId: user.id,
+                refreshTokenHash: this.hashToken(secret),
+                userAgent: context.userAgent ? String(context.userAgent).substring(0, 255) : null,
+                ipAddress: context.ipAddress || null,
+                expiresAt: this.getSessionExpiry()
+            });
+
+            await this.sessionRepository.create(session);
+
+            return {
+                token: await this.generateToken(user, session.id),
+                refreshToken: `${session.id}.${secret}`,
+                session
+            };
+        } catch (error) {
+            this.logger.error('Error creating session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and a new refresh token
+     * A refresh token that was already used revokes its session, it has likely been stolen
+     * @param {string} refreshToken - Refresh token "<sessionId>.<secret>"
+     * @returns {Promise<Object>} { success, token, refreshToken, user } or { success: false, error }
+     */
+    async refreshSession(refreshToken) {
+        try {
+            const [sessionId, secret] = String(refreshToken || '').split('.');
+            const session = this.sessionRepository && sessionId && secret
+                ? await this.sessionRepository.getSessionById(sessionId)
+                : null;
+
+            if (!session || !session.isActive()) {
+                return { success: false, error: 'Invalid or expired refresh token' };
+            }
+
+            const hash = this.hashToken(secret);
+            if (hash !== session.refreshTokenHash) {
+                await this.sessionRepository.revokeSession(session.id);
+                this.logger.warn(`Reused refresh token for session ${session.id}, session revoked`);
+                return { success: false, error: 'Invalid or expired refresh token', revokedSessionId: session.id };
+            }
+
+            const user = await this.userService.getUserById(session.userId);
+            if (!user || user.disabled_at) {
+                await this.sessionRepository.revokeSession(session.id);
+                return { success: false, error: user ? 'Account disabled' : 'User not found' };
+            }
+
+            const newSecret = crypto.randomBytes(32).toString('hex');
+            const rotated = await this.sessionRepository.rotateRefreshToken(
+                session.id,
+                hash,
+                this.hashToken(newSecret),
+                this.getSessionExpiry()
+            );
+
+            // Another request rotated the same token first
+            if (!rotated) {
+                return { success: false, error: 'Invalid or expired refresh token' };
+            }
+
+            return {
+                success: true,
+                token: await this.generateToken(user, session.id),
+                refreshToken: `${session.id}.${newSecret}`,
+                user: this.getPublicUser(user)
+            };
+        } catch (error) {
+            this.logger.error('Error refreshing session:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check if a session can still be used
+     * @param {string} sessionId - Session ID
+     * @param {string} userId - User the session must belong to
+     * @returns {Promise<boolean>} True if the session exists, belongs to the user and is neither revoked nor expired
+     */
+    async isSessionActive(sessionId, userId) {
+        if (!this.sessionRepository || !sessionId) return false;
+
+        const session = await this.sessionRepository.getSessionById(sessionId);
+        return !!session && session.isActive() && String(session.userId) === String(userId);
+    }
+
+    /**
+     * Get the active sessions of a user
      * @param {string} userId - User ID
-     * @param {string} token - JWT token
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<Array<Session>>} Sessions, most recently used first
+     */
+    async getSessions(userId) {
+        if (!this.sessionRepository) return [];
+        return this.sessionRepository.getActiveSessions(userId);
+    }
+
+    /**
+     * Revoke a session of a user
+     * @param {string} userId - User ID owning the session
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<boolean>} Whether a session was revoked
      */
-    async trackSession(userId, token) {
+    async revokeSession(userId, sessionId) {
         try {
-            // Save session in database
-            const id = uuidv4();
-            
-            // Get token expiry
-            const decoded = jwt.decode(token);
-            const expiresAt = new Date(decoded.exp * 1000); // Convert from Unix timestamp
-            
-            // Insert into sessions table
-            const query = `
-                INSERT INTO sessions (id, user_id, token, created_at, expires_at)
-                VALUES (?, ?, ?, datetime('now'), ?)
-            `;
-            
-            await this.db.run(query, [
-                id,
-                userId,
-                token,
-                expiresAt.toISOString()
-            ]);
-            
-            return true;
+            if (!this.sessionRepository) return false;
+
+            const session = await this.sessionRepository.getSessionById(sessionId);
+            if (!session || String(session.userId) !== String(userId)) {
+                return false;
+            }
+
+            return await this.sessionRepository.revokeSession(sessionId);
+        } catch (error) {
+            this.logger.error('Error revoking session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke every session of a user
+     * @param {string} userId - User ID
+     * @param {string|null} exceptSessionId - Session kept active, null to log out everywhere
+     * @returns {Promise<Array<string>>} IDs of the revoked sessions
+     */
+    async revokeAllSessions(userId, exceptSessionId = null) {
+        try {
+            if (!this.sessionRepository) return [];
+            return await this.sessionRepository.revokeUserSessions(userId, exceptSessionId);
         } catch (error) {
-            this.logger.error('Error tracking session:', error);
-            return false;
+            this.logger.error('Error revoking sessions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete the sessions ended for longer than the retention period
+     * @returns {Promise<number>} Number of deleted sessions
+     */
+    async cleanupSessions() {
+        try {
+            if (!this.sessionRepository) return 0;
+
+            const before = new Date(Date.now() - this.sessionRetentionDays * 24 * 60 * 60 * 1000);
+            const count = await this.sessionRepository.deleteEndedSessions(before);
+
+            if (count > 0) {
+                this.logger.info(`Deleted ${count} ended session(s)`);
+            }
+            return count;
+        } catch (error) {
+            this.logger.error('Error cleaning up sessions:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Start deleting the ended sessions periodically
+     */
+    startSessionCleanup() {
+        if (this.cleanupTimer || !this.sessionRepository) return;
+
+        this.cleanupSessions();
+        this.cleanupTimer = setInterval(() => this.cleanupSessions(), SESSION_CLEANUP_INTERVAL);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Stop the periodic session cleanup
+     */
+    stopSessionCleanup() {
+        clearInterval(this.cleanupTimer);
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Create the challenge token of a login waiting for its second factor
+     * @private
+     * @param {Object} user - User row
+     * @returns {string} Signed challenge token
+     */
+    createTwoFactorChallenge(user) {
+        const now = Date.now();
+        for (const [id, attempt] of this.twoFactorAttempts) {
+            if (attempt.expiresAt <= now) this.twoFactorAttempts.delete(id);
         }
+
+        const challengeId = uuidv4();
+        const token = jwt.sign(
+            { id: user.id, purpose: TWO_FACTOR_CHALLENGE, jti: challengeId },
+            this.secret,
+            { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+        );
+
+        this.twoFactorAttempts.set(challengeId, {
+            attempts: 0,
+            expiresAt: jwt.decode(token).exp * 1000
+        });
+
+        return token;
+    }
+
+    /**
+     * Get the expiry date of a session opened or refreshed now
+     * @private
+     * @returns {Date} Expiry date
+     */
+    getSessionExpiry() {
+        return new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Hash a refresh token secret for storage
+     * @private
+     * @param {string} secret - Refresh token secret
+     * @returns {string} SHA-256 hex digest
+     */
+    hashToken(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
     }
 }
 
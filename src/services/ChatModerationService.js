@@ -0,0 +1,383 @@
+/**
+ * Chat Moderation Service - Checks the chat read from the server logs and punishes abuse
+ * Word filters, flood, repeated messages and caps give a warning; warnings escalate to a kick
+ * then a temporary ban and decay over time. They are stored in the player metadata
+ */
+const logger = require('../core/Logger');
+const ActivePlayer = require('../core/Entity/ActivePlayer');
+const PlayerRepository = require('../repositories/PlayerRepository');
+
+// Player metadata holding the warnings { count, updatedAt }
+const WARNINGS_META = 'moderation.warnings';
+
+// Players allowed to bypass the moderation
+const EXEMPT_PERMISSION = 'chat.moderation.exempt';
+
+// Chat state is pruned of players silent for long once this many are tracked
+const MAX_TRACKED_PLAYERS = 256;
+
+// Characters read as letters by the word filters
+const LEET_MAP = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '+': 't'
+};
+
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    words: [],
+    patterns: [],
+    flood: { messages: 5, interval: 10 },
+    repeat: { count: 3, interval: 60 },
+    caps: { minLength: 12, ratio: 0.7 },
+    escalation: { kickAt: 3, banAt: 5, banDuration: 3600, decay: 1800 }
+};
+
+class ChatModerationService {
+    /**
+     * Create a new ChatModerationService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager emitting chat.message events
+     * @param {Object} services - Service container
+     * @param {Object} options - Moderation options (config.moderation)
+     */
+    constructor(db, serverManager, services = {}, options = {}) {
+        this.playerRepository = new PlayerRepository(db);
+        this.serverManager = serverManager;
+        this.services = services;
+
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            flood: { ...DEFAULT_OPTIONS.flood, ...options.flood },
+            repeat: { ...DEFAULT_OPTIONS.repeat, ...options.repeat },
+            caps: { ...DEFAULT_OPTIONS.caps, ...options.caps },
+            escalation: { ...DEFAULT_OPTIONS.escalation, ...options.escalation }
+        };
+
+        this.words = (this.options.words || [])
+            .map(word => ChatModerationService.compileWord(word))
+            .filter(Boolean);
+        this.patterns = ChatModerationService.compilePatterns(this.options.patterns || []);
+
+        // "serverId:guid" -> { times, lastMessage, lastMessageAt, repeats, lastAt }
+        this.chatState = new Map();
+
+        // Warnings of players without a database ID, by GUID
+        this.memoryWarnings = new Map();
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Start moderating the chat of the servers
+     */
+    attach() {
+        if (!this.options.enabled) {
+            logger.info('Chat moderation disabled');
+            return;
+        }
+
+        this.serverManager.on('chat.message', this.handleMessage);
+        logger.debug(`Chat moderation attached (${this.words.length} words, ${this.patterns.length} patterns)`);
+    }
+
+    /**
+     * Stop moderating the chat
+     */
+    detach() {
+        this.serverManager.off('chat.message', this.handleMessage);
+        this.chatState.clear();
+    }
+
+    /**
+     * Check a chat.message event and punish the player if it breaks a rule
+     * @param {Object} data - Event data { serverId, player, message }
+     * @returns {Promise<Object|null>} { reason, action, warnings } or null if the message is accepted
+     */
+    async handleMessage(data) {
+        const { serverId, player, message } = data;
+        if (!player || !message) return null;
+
+        try {
+            if (typeof player.hasPermission === 'function' && player.hasPermission(EXEMPT_PERMISSION)) {
+                return null;
+            }
+
+            const reason = this.check(`${serverId}:${player.guid}`, message);
+            if (!reason) return null;
+
+            return await this.punish(player, serverId, reason);
+        } catch (error) {
+            logger.error(`Error moderating chat message from ${player.name}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Find the rule broken by a message
+     * @param {string} key - Player chat state key
+     * @param {string} message - Chat message
+     * @param {number} now - Reference time in milliseconds
+     * @returns {string|null} Reason shown to the player or null
+     */
+    check(key, message, now = Date.now()) {
+        const { flood, repeat, caps } = this.options;
+        const normalized = ChatModerationService.normalize(message);
+        const state = this.getChatState(key, now);
+
+        state.lastAt = now;
+
+        // Flood: too many messages in the interval
+        state.times = state.times.filter(time => now - time < flood.interval * 1000);
+        state.times.push(now);
+
+        // Repeat: the same message again and again
+        if (normalized && normalized === state.lastMessage && now - state.lastMessageAt < repeat.interval * 1000) {
+            state.repeats++;
+        } else {
+            state.repeats = 1;
+        }
+        state.lastMessage = normalized;
+        state.lastMessageAt = now;
+
+        if (this.containsFilteredWord(message, normalized)) {
+            return 'inappropriate language';
+        }
+
+        if (flood.messages > 0 && state.times.length > flood.messages) {
+            state.times = [];
+            return 'spamming the chat';
+        }
+
+        if (repeat.count > 1 && state.repeats >= repeat.count) {
+            state.repeats = 0;
+            return 'repeating the same message';
+        }
+
+        if (caps.minLength > 0 && ChatModerationService.isShouting(message, caps.minLength, caps.ratio)) {
+            return 'excessive caps';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a message against the word list and the patterns
+     * @param {string} message - Raw chat message
+     * @param {string} normalized - Normalized message
+     * @returns {boolean} Whether the message is filtered
+     */
+    containsFilteredWord(message, normalized) {
+        if (this.words.length > 0) {
+            // Words spelled letter by letter ("b a d") are joined back
+            const joined = normalized.replace(/(?<![^ ])(?:\S ){2,}\S(?![^ ])/g, run => run.replace(/ /g, ''));
+
+            if (this.words.some(word => word.test(joined))) return true;
+        }
+
+        return this.patterns.some(pattern => pattern.test(message) || pattern.test(normalized));
+    }
+
+    /**
+     * Add a warning to the player and apply the escalation
+     * @param {ActivePlayer} player - Offending player
+     * @param {string} serverId - Server ID
+     * @param {string} reason - Broken rule
+     * @returns {Promise<Object>} { reason, action, warnings }
+     */
+    async punish(player, serverId, reason) {
+        const { kickAt, banAt, banDuration } = this.options.escalation;
+        const warnings = (await this.getWarnings(player)) + 1;
+        await this.setWarnings(player, warnings);
+
+        let action = 'warn';
+        if (banAt > 0 && warnings >= banAt) {
+            action = 'tempban';
+        } else if (kickAt > 0 && warnings >= kickAt) {
+            action = 'kick';
+        }
+
+        logger.info(`Chat moderation: ${action} ${player.name} on server ${serverId} for ${reason} (${warnings} warnings)`);
+
+        if (action === 'tempban') {
+            await player.tempBan(`Chat: ${reason}`, ActivePlayer.SystemUser, banDuration);
+        } else if (action === 'kick') {
+            await player.kick(`Chat: ${reason}`, ActivePlayer.SystemUser);
+        } else {
+            const count = kickAt > 1 ? ` ${warnings}/${kickAt - 1}` : '';
+            await player.tell(`^3Warning${count}: ^7${reason}`);
+            await this.publishWarning(player, serverId, reason, warnings);
+        }
+
+        return { reason, action, warnings };
+    }
+
+    /**
+     * Store the warning in the event history
+     * @param {ActivePlayer} player - Warned player
+     * @param {string} serverId - Server ID
+     * @param {string} reason - Broken rule
+     * @param {number} warnings - Warnings after this one
+     * @returns {Promise<void>}
+     * @private
+     */
+    async publishWarning(player, serverId, reason, warnings) {
+        if (!this.services.eventService) return;
+
+        try {
+            await this.services.eventService.emitAndStore('player.warning', {
+                serverId,
+                playerId: player.clientId || null,
+                data: {
+                    reason,
+                    warnings,
+                    name: player.name,
+                    guid: player.guid
+                }
+            }, true);
+        } catch (error) {
+            logger.warn(`Could not store the warning of ${player.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the current warnings of a player, after decay
+     * @param {ActivePlayer} player - Player
+     * @param {number} now - Reference time in milliseconds
+     * @returns {Promise<number>} Warnings
+     */
+    async getWarnings(player, now = Date.now()) {
+        const stored = player.clientId
+            ? await this.playerRepository.getMetadata(player.clientId, WARNINGS_META)
+            : this.memoryWarnings.get(player.guid);
+
+        return ChatModerationService.decay(stored, this.options.escalation.decay, now);
+    }
+
+    /**
+     * Store the warnings of a player
+     * @param {ActivePlayer} player - Player
+     * @param {number} count - Warnings
+     * @param {number} now - Reference time in milliseconds
+     * @returns {Promise<void>}
+     */
+    async setWarnings(player, count, now = Date.now()) {
+        const value = { count, updatedAt: new Date(now).toISOString() };
+
+        if (player.clientId) {
+            await this.playerRepository.setMetadata(player.clientId, WARNINGS_META, value);
+        } else {
+            this.memoryWarnings.set(player.guid, value);
+        }
+    }
+
+    /**
+     * Get the chat state of a player, pruning silent players when too many are tracked
+     * @param {string} key - Player chat state key
+     * @param {number} now - Reference time in milliseconds
+     * @returns {Object} Chat state
+     * @private
+     */
+    getChatState(key, now) {
+        let state = this.chatState.get(key);
+        if (state) return state;
+
+        if (this.chatState.size >= MAX_TRACKED_PLAYERS) {
+            const maxAge = Math.max(this.options.flood.interval, this.options.repeat.interval) * 1000;
+            for (const [stateKey, value] of this.chatState) {
+                if (now - value.lastAt >= maxAge) this.chatState.delete(stateKey);
+            }
+        }
+
+        state = { times: [], lastMessage: null, lastMessageAt: 0, repeats: 0, lastAt: now };
+        this.chatState.set(key, state);
+        return state;
+    }
+
+    /**
+     * Remove the warnings lost since the last one, one per decay period
+     * @param {Object|null} stored - Stored warnings { count, updatedAt }
+     * @param {number} decay - Seconds for a warning to expire, 0 to keep them
+     * @param {number} now - Reference time in milliseconds
+     * @returns {number} Remaining warnings
+     */
+    static decay(stored, decay, now = Date.now()) {
+        if (!stored || !stored.count) return 0;
+        if (!decay || !stored.updatedAt) return stored.count;
+
+        const elapsed = now - new Date(stored.updatedAt).getTime();
+        const expired = Math.floor(Math.max(elapsed, 0) / (decay * 1000));
+        return Math.max(stored.count - expired, 0);
+    }
+
+    /**
+     * Normalize a text for the word filters
+     * Color codes and separators inside words are removed and leetspeak is read as letters
+     * ("Sh1t", "$hit" and "s.h.i.t" all give "shit")
+     * @param {string} text - Text to normalize
+     * @returns {string} Lowercase words separated by single spaces
+     */
+    static normalize(text) {
+        return String(text || '')
+            .replace(/\^\d/g, '')
+            .toLowerCase()
+            .replace(/[!|](?=\w)/g, 'i')
+            .replace(/[0-9@$+]/g, char => LEET_MAP[char] || char)
+            .replace(/(\w)[._\-*'](?=\w)/g, '$1')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Compile a filtered word into an expression matching it as a whole word
+     * Each letter may be repeated, so "bad" also matches "baaaad" but not "bd"
+     * @param {string} word - Filtered word
+     * @returns {RegExp|null} Expression for normalized texts or null for an empty word
+     */
+    static compileWord(word) {
+        const normalized = ChatModerationService.normalize(word).replace(/ /g, '');
+        if (!normalized) return null;
+
+        const letters = normalized.match(/(.)\1*/g)
+            .map(run => (run.length > 1 ? `${run[0]}{${run.length},}` : `${run[0]}+`))
+            .join('');
+
+        return new RegExp(`(?<![a-z0-9])${letters}(?![a-z0-9])`);
+    }
+
+    /**
+     * Check if a message is mostly written in capitals
+     * @param {string} message - Chat message
+     * @param {number} minLength - Letters needed before a message is checked
+     * @param {number} ratio - Share of capital letters considered as shouting
+     * @returns {boolean} Whether the message is shouted
+     */
+    static isShouting(message, minLength, ratio) {
+        const letters = String(message).replace(/\^\d/g, '').match(/\p{L}/gu) || [];
+        if (letters.length < minLength) return false;
+
+        const capitals = letters.filter(letter => letter !== letter.toLowerCase()).length;
+        return capitals / letters.length >= ratio;
+    }
+
+    /**
+     * Compile the configured patterns, skipping invalid ones
+     * @param {Array<string>} patterns - Regular expressions
+     * @returns {Array<RegExp>} Case-insensitive expressions
+     */
+    static compilePatterns(patterns) {
+        const compiled = [];
+
+        for (const pattern of patterns) {
+            try {
+                compiled.push(new RegExp(pattern, 'i'));
+            } catch (error) {
+                logger.warn(`Invalid chat moderation pattern '${pattern}': ${error.message}`);
+            }
+        }
+
+        return compiled;
+    }
+}
+
+module.exports = ChatModerationService;
@@ -0,0 +1,217 @@
+/**
+ * Chat Service - Stores the chat read from the server logs and searches it
+ * Every message is linked to the server, the player and the match in progress when it was said
+ */
+const logger = require('../core/Logger');
+const ChatMessage = require('../models/ChatMessage');
+const ChatRepository = require('../repositories/ChatRepository');
+const MatchRepository = require('../repositories/MatchRepository');
+const PlayerRepository = require('../repositories/PlayerRepository');
+
+// Messages returned around a message when none is asked
+const DEFAULT_CONTEXT_SIZE = 10;
+const MAX_CONTEXT_SIZE = 50;
+
+class ChatService {
+    /**
+     * Create a new ChatService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager emitting chat.message events
+     */
+    constructor(db, serverManager) {
+        this.db = db;
+        this.chatRepository = new ChatRepository(db);
+        this.matchRepository = new MatchRepository(db);
+        this.playerRepository = new PlayerRepository(db);
+        this.serverManager = serverManager;
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Start storing the chat of the servers
+     */
+    attach() {
+        this.serverManager.on('chat.message', this.handleMessage);
+        logger.debug('Chat log attached');
+    }
+
+    /**
+     * Stop storing the chat
+     */
+    detach() {
+        this.serverManager.off('chat.message', this.handleMessage);
+    }
+
+    /**
+     * Store a chat.message event
+     * @param {Object} data - Event data { serverId, player, message }
+     * @returns {Promise<ChatMessage|null>} Stored message or null if it was not stored
+     */
+    async handleMessage(data) {
+        const { serverId, player, message } = data;
+        if (!player || !message) return null;
+
+        try {
+            return await this.chatRepository.create(new ChatMessage({
+                serverId,
+                matchId: await this.getActiveMatchId(serverId),
+                playerId: player.clientId || null,
+                playerGuid: player.guid || null,
+                playerName: player.name,
+                message,
+                createdAt: new Date()
+            }));
+        } catch (error) {
+            logger.error(`Error storing chat message from ${player.name}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Get the match in progress on a server
+     * The match history belongs to the stats, a message is still stored when it cannot be read
+     * @param {string} serverId - Server ID
+     * @returns {Promise<number|null>} Match ID or null
+     * @private
+     */
+    async getActiveMatchId(serverId) {
+        try {
+            const match = await this.matchRepository.getActiveMatch(String(serverId));
+            return match ? String(match.id) : null;
+        } catch (error) {
+            logger.debug(`No match for the chat of server ${serverId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Search the stored chat
+     * @param {Object} filters - { serverId, playerId, playerGuid, matchId, query, from, to }
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object>} { messages, total }
+     */
+    async search(filters = {}, limit = 50, offset = 0) {
+        try {
+            const { query, ...rest } = filters;
+            const terms = ChatService.tokenize(query);
+
+            if (terms.length > 0) {
+                if (this.db.chatSearchEnabled) {
+                    rest.match = ChatService.toMatchQuery(terms);
+                } else {
+                    rest.like = terms.map(term => `%${term.replace(/[\\%_]/g, '\\$&')}%`);
+                }
+            }
+
+            return await this.chatRepository.search(rest, limit, offset);
+        } catch (error) {
+            console.error('Error in ChatService.search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Search the chat of a player, on every server unless filtered
+     * @param {string} playerId - Player ID
+     * @param {Object} filters - { serverId, matchId, query, from, to }
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object|null>} { messages, total } or null if the player does not exist
+     */
+    async searchPlayer(playerId, filters = {}, limit = 50, offset = 0) {
+        try {
+            const player = await this.playerRepository.getById(playerId);
+            if (!player) return null;
+
+            return await this.search({ ...filters, playerId: player.id, playerGuid: player.guid }, limit, offset);
+        } catch (error) {
+            console.error('Error in ChatService.searchPlayer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a message of a server with the messages said around it
+     * @param {string} serverId - Server ID
+     * @param {number} messageId - Message ID
+     * @param {number} size - Messages to return on each side
+     * @returns {Promise<Array<ChatMessage>|null>} Messages in chronological order or null if not found on this server
+     */
+    async getContext(serverId, messageId, size = DEFAULT_CONTEXT_SIZE) {
+        try {
+            const message = await this.chatRepository.getMessageById(messageId);
+            if (!message || String(message.serverId) !== String(serverId)) {
+                return null;
+            }
+
+            const count = Math.min(Math.max(parseInt(size) || DEFAULT_CONTEXT_SIZE, 0), MAX_CONTEXT_SIZE);
+            return await this.chatRepository.getContext(message, count, count);
+        } catch (error) {
+            console.error('Error in ChatService.getContext:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the search filters of an API query string
+     * @param {Object} query - Express query { q, from, to, matchId, serverId, playerId }
+     * @returns {Object} Filters for search()
+     * @throws {Error} If a date cannot be parsed
+     */
+    static parseQuery(query = {}) {
+        const filters = {};
+
+        if (typeof query.q === 'string' && query.q.trim()) {
+            filters.query = query.q.trim();
+        }
+
+        for (const name of ['matchId', 'serverId', 'playerId']) {
+            if (typeof query[name] === 'string' && query[name].trim()) {
+                filters[name] = query[name].trim();
+            }
+        }
+
+        for (const name of ['from', 'to']) {
+            if (query[name]) {
+                const date = new Date(query[name]);
+                if (isNaN(date.getTime())) {
+                    throw new Error(`Invalid date for ${name}: ${query[name]}`);
+                }
+                filters[name] = date;
+            }
+        }
+
+        return filters;
+    }
+
+    /**
+     * Split a search text into words
+     * @param {string} text - Text typed by the user
+     * @returns {Array<string>} Words, without the FTS5 syntax characters
+     */
+    static tokenize(text) {
+        if (typeof text !== 'string') return [];
+
+        return text
+            .split(/\s+/)
+            .map(term => term.replace(/["*^():]/g, '').trim())
+            .filter(term => term.length > 0)
+            .slice(0, 10);
+    }
+
+    /**
+     * Build an FTS5 query matching messages containing every word, the last one as a prefix
+     * Words are quoted so that operators typed by the user (OR, NEAR, -) are searched as text
+     * @param {Array<string>} terms - Words from tokenize()
+     * @returns {string} FTS5 MATCH expression
+     */
+    static toMatchQuery(terms) {
+        return terms
+            .map((term, index) => `"${term}"${index === terms.length - 1 ? '*' : ''}`)
+            .join(' ');
+    }
+}
+
+module.exports = ChatService;
@@ -44,6 +44,27 @@ class CommandManager {
         }
     }
     
+    /**
+     * Get a registered command by name or alias
+     * @param {string} commandName - Command name or alias
+     * @returns {BaseCommand|null} Command instance or null if not found
+     */
+    getCommand(commandName) {
+        const name = commandName.toLowerCase();
+        
+        if (this.commands.has(name)) {
+            return this.commands.get(name);
+        }
+        
+        for (const command of this.commands.values()) {
+            if (typeof command.matches === 'function' && command.matches(name)) {
+                return command;
+            }
+        }
+        
+        return null;
+    }
+    
     /**
      * Register all commands from the commands directory
      * @private
@@ -89,18 +110,23 @@ class CommandManager {
      */
     async executeCommand(commandName, args = [], context = {}) {
         try {
-            const name = commandName.toLowerCase();
+            // Get command instance, by name or alias
+            const command = this.getCommand(commandName);
             
             // Check if command exists
-            if (!this.commands.has(name)) {
+            if (!command) {
                 return {
                     success: false,
                     message: `Unknown command: ${commandName}`
                 };
             }
             
-            // Get command instance
-            const command = this.commands.get(name);
+            const name = command.name;
+            
+            // Refresh the player's roles, they may have changed since the player joined
+            if (context.player && command.permission !== null && typeof context.player.loadPermissions === 'function') {
+                await context.player.loadPermissions();
+            }
             
             // Check permissions if context includes a player
             if (context.player && !command.checkPermission(context.player)) {
@@ -116,16 +142,31 @@ class CommandManager {
             
             // Log command execution to the event service if available
             if (this.services.eventService && context.player) {
-                await this.services.eventService.createEvent({
-                    type: 'command.executed',
+                await this.services.eventService.emitAndStore('command.executed', {
                     playerId: context.player.clientId,
                     serverId: context.server ? context.server.id : null,
-                    data: {
-                        command: name,
-                        args: args,
-                        success: result.success,
-                        result: result.message
-                    }
+                    command: name,
+                    args: args,
+                    success: result.success,
+                    result: result.message
+                }, true);
+            }
+            
+            // Commands requiring a permission are administrative actions
+            if (this.services.auditService && context.player && command.permission !== null) {
+                await this.services.auditService.record({
+                    actorType: 'player',
+                    actorId: context.player.guid,
+                    actorName: context.player.name,
+                    action: `command.${name}`,
+                    targetType: context.server ? 'server' : null,
+                    targetId: context.server ? context.server.id : null,
+                    targetName: context.server ? context.server.name : null,
+                    serverId: context.server ? context.server.id : null,
+                    details: { args, message: result.message },
+                    success: result.success,
+                    source: 'game',
+                    ip: context.player.ipAddress || null
                 });
             }
             
@@ -5,6 +5,18 @@ const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Permissions granted to the default roles after they were first seeded
+ * The default roles are only created in an empty database, existing ones get new permissions from here.
+ * Each migration is applied once, a permission removed afterwards by an admin is not granted again.
+ * { version, roleId, permissions }, versions only ever grow
+ */
+const ROLE_PERMISSION_MIGRATIONS = [
+    { version: 1, roleId: 'moderator', permissions: ['chat.view'] },
+    { version: 2, roleId: 'moderator', permissions: ['reports.view', 'reports.manage'] },
+    { version: 3, roleId: 'moderator', permissions: ['warnings.add', 'warnings.clear', 'warnings.view'] }
+];
+
 class DatabaseService {
     /**
      * Create a new DatabaseService
@@ -16,6 +28,9 @@ class DatabaseService {
         this.logger = logService;
         this.db = null;
         this.isInitialized = false;
+        
+        // Set once the chat full-text index is created
+        this.chatSearchEnabled = false;
     }
     
     /**
@@ -52,6 +67,12 @@ class DatabaseService {
                         // Initialize default admin user
                         await this.initializeDefaultAdmin();
                         
+                        // Initialize default roles
+                        await this.initializeDefaultRoles();
+                        
+                        // Grant the permissions added to the default roles since they were created
+                        await this.migrateRolePermissions();
+                        
                         this.isInitialized = true;
                         this.logger.info('Database initialized successfully');
                         resolve(true);
@@ -153,20 +174,84 @@ class DatabaseService {
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                     last_login DATETIME,
                     has_completed_setup INTEGER DEFAULT 0,
-                    setup_step INTEGER DEFAULT 0
+                    setup_step INTEGER DEFAULT 0,
+                    disabled_at DATETIME,
+                    totp_secret TEXT,
+                    totp_enabled_at DATETIME,
+                    totp_last_step INTEGER
+                );
+            `);
+            
+            // Add the columns introduced after the users table was first created
+            const addedUserColumns = {
+                disabled_at: 'DATETIME',
+                totp_secret: 'TEXT',
+                totp_enabled_at: 'DATETIME',
+                totp_last_step: 'INTEGER'
+            };
+            for (const [column, type] of Object.entries(addedUserColumns)) {
+                await this.get(`SELECT ${column} FROM users LIMIT 1`).catch(async error => {
+                    if (error.message.includes('no such column')) {
+                        await this.exec(`ALTER TABLE users ADD COLUMN ${column} ${type}`);
+                        this.logger.info(`Added the ${column} column to the users table`);
+                    }
+                });
+            }
+            
+            // Create user_recovery_codes table (single-use two-factor recovery codes, stored hashed)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS user_recovery_codes (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    code_hash TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    used_at DATETIME,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                );
+                CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes (user_id);
+            `);
+            
+            // Create user_invites table (registration links with a pre-assigned role, the token is stored hashed)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS user_invites (
+                    id TEXT PRIMARY KEY,
+                    token_hash TEXT NOT NULL,
+                    role TEXT NOT NULL,
+                    email TEXT,
+                    created_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    expires_at DATETIME NOT NULL,
+                    used_at DATETIME,
+                    used_by TEXT,
+                    revoked_at DATETIME,
+                    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+                    FOREIGN KEY (used_by) REFERENCES users(id) ON DELETE SET NULL
                 );
             `);
             
-            // Create sessions table
+            // Drop the first sessions table, it stored raw tokens and was never written to
+            await this.get('SELECT refresh_token_hash FROM sessions LIMIT 1').catch(async error => {
+                if (error.message.includes('no such column')) {
+                    await this.exec('DROP TABLE sessions');
+                    this.logger.info('Replaced the legacy sessions table');
+                }
+            });
+            
+            // Create sessions table (one row per login, the refresh token is stored hashed)
             await this.exec(`
                 CREATE TABLE IF NOT EXISTS sessions (
                     id TEXT PRIMARY KEY,
                     user_id TEXT NOT NULL,
-                    token TEXT NOT NULL,
+                    refresh_token_hash TEXT NOT NULL,
+                    user_agent TEXT,
+                    ip_address TEXT,
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                     expires_at DATETIME NOT NULL,
+                    revoked_at DATETIME,
                     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
                 );
+                CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
             `);
             
             // Create player_stats table
@@ -221,6 +306,20 @@ class DatabaseService {
                 );
             `);
             
+            // Create events table (server, player and game events stored by the EventService)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    server_id TEXT,
+                    player_id TEXT,
+                    type TEXT NOT NULL,
+                    data TEXT,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_events_type ON events (type);
+                CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events (timestamp);
+            `);
+            
             // Create user_tokens table for game token linking
             await this.exec(`
                 CREATE TABLE IF NOT EXISTS user_tokens (
@@ -248,6 +347,431 @@ class DatabaseService {
                 );
             `);
             
+            // Create penalties table (kicks, bans, temporary bans)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS penalties (
+                    id TEXT PRIMARY KEY,
+                    type TEXT NOT NULL,
+                    reason TEXT,
+                    player_id TEXT,
+                    player_guid TEXT NOT NULL,
+                    player_ip TEXT,
+                    player_name TEXT,
+                    origin_id TEXT,
+                    origin_name TEXT,
+                    server_id TEXT,
+                    duration INTEGER DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    expires_at DATETIME,
+                    revoked_at DATETIME,
+                    revoked_by TEXT,
+                    revoke_reason TEXT,
+                    FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE SET NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_penalties_player_guid ON penalties (player_guid);
+                CREATE INDEX IF NOT EXISTS idx_penalties_player_ip ON penalties (player_ip);
+            `);
+
+            // Create roles tables (roles inherit the permissions of their parent role)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS roles (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    description TEXT,
+                    parent_id TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (parent_id) REFERENCES roles(id) ON DELETE SET NULL
+                );
+                CREATE TABLE IF NOT EXISTS role_permissions (
+                    role_id TEXT NOT NULL,
+                    permission TEXT NOT NULL,
+                    PRIMARY KEY (role_id, permission),
+                    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+                );
+                CREATE TABLE IF NOT EXISTS role_assignments (
+                    id TEXT PRIMARY KEY,
+                    role_id TEXT NOT NULL,
+                    subject_type TEXT NOT NULL,
+                    subject_id TEXT NOT NULL,
+                    server_id TEXT,
+                    granted_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+                );
+                CREATE INDEX IF NOT EXISTS idx_role_assignments_subject ON role_assignments (subject_type, subject_id);
+                CREATE TABLE IF NOT EXISTS role_permission_migrations (
+                    version INTEGER PRIMARY KEY,
+                    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+
+            // Create scheduled tasks table (per-server cron jobs)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS scheduled_tasks (
+                    id TEXT PRIMARY KEY,
+                    server_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    type TEXT NOT NULL,
+                    cron TEXT NOT NULL,
+                    payload TEXT,
+                    enabled INTEGER DEFAULT 1,
+                    last_run_at DATETIME,
+                    last_status TEXT,
+                    last_result TEXT,
+                    run_count INTEGER DEFAULT 0,
+                    message_index INTEGER DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+                );
+                CREATE INDEX IF NOT EXISTS idx_scheduled_tasks_server ON scheduled_tasks (server_id);
+            `);
+
+            // Create RCON commands table (web console history and audit trail)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS rcon_commands (
+                    id TEXT PRIMARY KEY,
+                    server_id TEXT NOT NULL,
+                    user_id TEXT,
+                    username TEXT,
+                    command TEXT NOT NULL,
+                    response TEXT,
+                    success INTEGER DEFAULT 1,
+                    source TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_rcon_commands_server ON rcon_commands (server_id, created_at);
+                CREATE INDEX IF NOT EXISTS idx_rcon_commands_user ON rcon_commands (user_id, server_id);
+            `);
+            
+            // Create map rotation presets table (named sv_mapRotation values per server)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS map_rotation_presets (
+                    id TEXT PRIMARY KEY,
+                    server_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    description TEXT,
+                    entries TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (server_id, name),
+                    FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+                );
+            `);
+
+            // Create audit log table (administrative actions from the API, the sockets and in-game commands)
+            // Actors and targets are copied by value, entries must survive the deletion of what they refer to
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id TEXT PRIMARY KEY,
+                    actor_type TEXT NOT NULL,
+                    actor_id TEXT,
+                    actor_name TEXT,
+                    action TEXT NOT NULL,
+                    target_type TEXT,
+                    target_id TEXT,
+                    target_name TEXT,
+                    server_id TEXT,
+                    before_data TEXT,
+                    after_data TEXT,
+                    details TEXT,
+                    success INTEGER DEFAULT 1,
+                    source TEXT,
+                    ip TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at);
+                CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_type, actor_id);
+                CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log (target_type, target_id);
+            `);
+
+            // Create chat messages table (chat lines read from the server logs)
+            // The integer ID orders the messages of a server and is the rowid of the full-text index
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS chat_messages (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    server_id TEXT NOT NULL,
+                    match_id TEXT,
+                    player_id TEXT,
+                    player_guid TEXT,
+                    player_name TEXT NOT NULL,
+                    message TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_chat_messages_server ON chat_messages (server_id, created_at);
+                CREATE INDEX IF NOT EXISTS idx_chat_messages_player ON chat_messages (player_id, created_at);
+                CREATE INDEX IF NOT EXISTS idx_chat_messages_guid ON chat_messages (player_guid, created_at);
+                CREATE INDEX IF NOT EXISTS idx_chat_messages_match ON chat_messages (match_id);
+            `);
+
+            // Full-text index of the chat, kept in sync by triggers
+            // SQLite builds without FTS5 still store the chat, the search then falls back to LIKE
+            this.chatSearchEnabled = await this.exec(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS chat_messages_fts USING fts5(
+                    message,
+                    content='chat_messages',
+                    content_rowid='id'
+                );
+                CREATE TRIGGER IF NOT EXISTS chat_messages_fts_insert AFTER INSERT ON chat_messages
+                BEGIN
+                    INSERT INTO chat_messages_fts (rowid, message) VALUES (NEW.id, NEW.message);
+                END;
+                CREATE TRIGGER IF NOT EXISTS chat_messages_fts_delete AFTER DELETE ON chat_messages
+                BEGIN
+                    INSERT INTO chat_messages_fts (chat_messages_fts, rowid, message) VALUES ('delete', OLD.id, OLD.message);
+                END;
+            `).then(() => true).catch(error => {
+                this.logger.warn(`Chat full-text search not available: ${error.message}`);
+                return false;
+            });
+
+            // Create reports tables (player reports and the chat lines or events attached as evidence)
+            // The integer ID is the report number given to the players in game
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS reports (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    server_id TEXT,
+                    reporter_id TEXT,
+                    reporter_guid TEXT,
+                    reporter_name TEXT NOT NULL,
+                    target_id TEXT,
+                    target_guid TEXT NOT NULL,
+                    target_name TEXT NOT NULL,
+                    reason TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'open',
+                    claimed_by TEXT,
+                    claimed_by_name TEXT,
+                    claimed_at DATETIME,
+                    resolved_by TEXT,
+                    resolved_by_name TEXT,
+                    resolved_at DATETIME,
+                    resolution TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_reports_status ON reports (status, created_at);
+                CREATE INDEX IF NOT EXISTS idx_reports_target ON reports (target_guid);
+                CREATE INDEX IF NOT EXISTS idx_reports_reporter ON reports (reporter_guid);
+                CREATE TABLE IF NOT EXISTS report_evidence (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    report_id INTEGER NOT NULL,
+                    type TEXT NOT NULL,
+                    ref_id TEXT NOT NULL,
+                    note TEXT,
+                    added_by TEXT,
+                    added_by_name TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (report_id, type, ref_id),
+                    FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE
+                );
+            `);
+
+            // Create warnings table (warnings expire and escalate to a kick or a ban)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS warnings (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    server_id TEXT,
+                    player_id TEXT,
+                    player_guid TEXT NOT NULL,
+                    player_name TEXT,
+                    reason TEXT,
+                    origin_id TEXT,
+                    origin_name TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    expires_at DATETIME,
+                    cleared_at DATETIME,
+                    cleared_by TEXT,
+                    FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE SET NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_warnings_player_guid ON warnings (player_guid);
+            `);
+
+            // Create skill rating tables (one rating per player, game and game mode)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS player_ratings (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    player_guid TEXT NOT NULL,
+                    player_id TEXT,
+                    player_name TEXT,
+                    game TEXT NOT NULL,
+                    mode TEXT NOT NULL,
+                    rating REAL NOT NULL,
+                    deviation REAL NOT NULL,
+                    conservative REAL NOT NULL,
+                    matches INTEGER DEFAULT 0,
+                    kills INTEGER DEFAULT 0,
+                    deaths INTEGER DEFAULT 0,
+                    last_match_at DATETIME,
+                    decayed_at DATETIME,
+                    UNIQUE (player_guid, game, mode)
+                );
+                CREATE INDEX IF NOT EXISTS idx_player_ratings_rank ON player_ratings (game, mode, conservative);
+                CREATE INDEX IF NOT EXISTS idx_player_ratings_player_id ON player_ratings (player_id);
+                CREATE TABLE IF NOT EXISTS player_rating_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    player_guid TEXT NOT NULL,
+                    game TEXT NOT NULL,
+                    mode TEXT NOT NULL,
+                    match_id TEXT NOT NULL,
+                    server_id TEXT,
+                    rating REAL NOT NULL,
+                    deviation REAL NOT NULL,
+                    delta REAL NOT NULL,
+                    kills INTEGER DEFAULT 0,
+                    deaths INTEGER DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_player_rating_history_player ON player_rating_history (player_guid, created_at);
+                CREATE TABLE IF NOT EXISTS rated_matches (
+                    match_id TEXT PRIMARY KEY,
+                    server_id TEXT,
+                    game TEXT,
+                    mode TEXT,
+                    players INTEGER DEFAULT 0,
+                    source TEXT NOT NULL,
+                    rated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+
+            // Create rank ladder tables (ranks defined by admins and the rank of each player in each ladder)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS rank_ladders (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE,
+                    description TEXT,
+                    game TEXT,
+                    modes TEXT,
+                    metric TEXT NOT NULL,
+                    ranks TEXT NOT NULL,
+                    announce INTEGER DEFAULT 1,
+                    enabled INTEGER DEFAULT 1,
+                    created_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE TABLE IF NOT EXISTS player_ladder_ranks (
+                    ladder_id INTEGER NOT NULL,
+                    player_guid TEXT NOT NULL,
+                    player_name TEXT,
+                    rank_index INTEGER NOT NULL,
+                    rank_name TEXT,
+                    metric_value REAL DEFAULT 0,
+                    achieved_at DATETIME,
+                    updated_at DATETIME,
+                    PRIMARY KEY (ladder_id, player_guid),
+                    FOREIGN KEY (ladder_id) REFERENCES rank_ladders(id) ON DELETE CASCADE
+                );
+                CREATE INDEX IF NOT EXISTS idx_player_ladder_ranks_player ON player_ladder_ranks (player_guid);
+            `);
+
+            // Create achievement tables (lifetime stats the rules are checked against and the unlocks)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS player_achievement_stats (
+                    player_guid TEXT NOT NULL,
+                    stat TEXT NOT NULL,
+                    value REAL DEFAULT 0,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (player_guid, stat)
+                );
+                CREATE TABLE IF NOT EXISTS player_achievements (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    player_guid TEXT NOT NULL,
+                    player_name TEXT,
+                    achievement_id TEXT NOT NULL,
+                    server_id TEXT,
+                    map_name TEXT,
+                    unlocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (player_guid, achievement_id)
+                );
+                CREATE INDEX IF NOT EXISTS idx_player_achievements_achievement ON player_achievements (achievement_id);
+            `);
+
+            // Create stats period tables (zombies stats per period, period boundaries, final standings of closed periods)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS zombies_stats_periods (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    player_id INTEGER NOT NULL,
+                    period_type TEXT NOT NULL,
+                    period_key TEXT NOT NULL,
+                    kills INTEGER DEFAULT 0,
+                    downs INTEGER DEFAULT 0,
+                    revives INTEGER DEFAULT 0,
+                    headshots INTEGER DEFAULT 0,
+                    rounds_survived INTEGER DEFAULT 0,
+                    highest_round INTEGER DEFAULT 0,
+                    highest_score INTEGER DEFAULT 0,
+                    current_kills INTEGER DEFAULT 0,
+                    current_downs INTEGER DEFAULT 0,
+                    current_revives INTEGER DEFAULT 0,
+                    current_headshots INTEGER DEFAULT 0,
+                    current_rounds_survived INTEGER DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    CONSTRAINT unique_player_period UNIQUE (player_id, period_type, period_key)
+                );
+                CREATE TABLE IF NOT EXISTS stats_periods (
+                    period_type TEXT NOT NULL,
+                    period_key TEXT NOT NULL,
+                    starts_at DATETIME NOT NULL,
+                    ends_at DATETIME NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'open',
+                    closed_at DATETIME,
+                    PRIMARY KEY (period_type, period_key)
+                );
+                CREATE TABLE IF NOT EXISTS stats_period_standings (
+                    period_type TEXT NOT NULL,
+                    period_key TEXT NOT NULL,
+                    metric TEXT NOT NULL,
+                    position INTEGER NOT NULL,
+                    player_id INTEGER,
+                    player_guid TEXT,
+                    player_name TEXT,
+                    value INTEGER DEFAULT 0,
+                    PRIMARY KEY (period_type, period_key, metric, position)
+                );
+                CREATE TABLE IF NOT EXISTS stats_period_matches (
+                    match_id TEXT PRIMARY KEY,
+                    counted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+
+            // Create season tables (custom seasons, matches counted in each season, rewards given when a season ends)
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS seasons (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE,
+                    description TEXT,
+                    starts_at DATETIME NOT NULL,
+                    ends_at DATETIME NOT NULL,
+                    rewards TEXT,
+                    finalized_at DATETIME,
+                    created_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE TABLE IF NOT EXISTS season_matches (
+                    season_id INTEGER NOT NULL,
+                    match_id TEXT NOT NULL,
+                    counted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (season_id, match_id)
+                );
+                CREATE TABLE IF NOT EXISTS season_rewards (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    season_id INTEGER NOT NULL,
+                    metric TEXT NOT NULL,
+                    position INTEGER NOT NULL,
+                    player_id TEXT,
+                    player_guid TEXT,
+                    player_name TEXT,
+                    value INTEGER DEFAULT 0,
+                    title TEXT,
+                    awarded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_seasons_dates ON seasons (starts_at, ends_at);
+                CREATE INDEX IF NOT EXISTS idx_season_rewards_season ON season_rewards (season_id);
+                CREATE INDEX IF NOT EXISTS idx_season_rewards_player ON season_rewards (player_id);
+            `);
+
             // Create server triggers for updated_at
             await this.exec(`
                 CREATE TRIGGER IF NOT EXISTS servers_update_timestamp 
@@ -313,6 +837,84 @@ class DatabaseService {
         }
     }
     
+    /**
+     * Initialize the default roles on first start
+     * Roles can be edited afterwards, so they are only created when the table is empty
+     * @private
+     * @returns {Promise<void>}
+     */
+    async initializeDefaultRoles() {
+        try {
+            const { count } = await this.get('SELECT COUNT(*) as count FROM roles');
+            if (count > 0) {
+                this.logger.debug('Roles already exist, skipping default roles creation');
+                return;
+            }
+            
+            this.logger.info('Creating default roles...');
+            
+            // Parents first so the foreign keys resolve
+            const defaultRoles = [
+                { id: 'player', name: 'Player', parentId: null, permissions: [] },
+                { id: 'user', name: 'User', parentId: 'player', permissions: [] },
+                { id: 'vip', name: 'VIP', parentId: 'player', permissions: ['stats', 'map'] },
+                { id: 'moderator', name: 'Moderator', parentId: 'vip', permissions: ['moderate', 'mute', 'kick', 'ban', 'stats.others'] },
+                { id: 'admin', name: 'Admin', parentId: 'moderator', permissions: ['*'] }
+            ];
+            
+            for (const role of defaultRoles) {
+                await this.run(
+                    'INSERT INTO roles (id, name, parent_id) VALUES (?, ?, ?)',
+                    [role.id, role.name, role.parentId]
+                );
+                
+                for (const permission of role.permissions) {
+                    await this.run(
+                        'INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)',
+                        [role.id, permission]
+                    );
+                }
+            }
+        } catch (error) {
+            this.logger.error('Error creating default roles:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Apply the role permission migrations not applied yet
+     * Permissions of a role that was deleted are skipped, the migration is still recorded
+     * @param {Array<Object>} migrations - Migrations { version, roleId, permissions }
+     * @returns {Promise<void>}
+     */
+    async migrateRolePermissions(migrations = ROLE_PERMISSION_MIGRATIONS) {
+        try {
+            const applied = new Set(
+                (await this.all('SELECT version FROM role_permission_migrations')).map(row => row.version)
+            );
+            
+            for (const migration of migrations) {
+                if (applied.has(migration.version)) continue;
+                
+                const role = await this.get('SELECT id FROM roles WHERE id = ?', [migration.roleId]);
+                if (role) {
+                    for (const permission of migration.permissions) {
+                        await this.run(
+                            'INSERT OR IGNORE INTO role_permissions (role_id, permission) VALUES (?, ?)',
+                            [migration.roleId, permission]
+                        );
+                    }
+                    this.logger.info(`Granted ${migration.permissions.join(', ')} to the ${migration.roleId} role`);
+                }
+                
+                await this.run('INSERT INTO role_permission_migrations (version) VALUES (?)', [migration.version]);
+            }
+        } catch (error) {
+            this.logger.error('Error migrating role permissions:', error);
+            throw error;
+        }
+    }
+    
     /**
      * Close the database connection
      */
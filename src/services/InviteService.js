@@ -0,0 +1,167 @@
+/**
+ * Invite Service - Registration links for new web users
+ *
+ * An admin creates an invite with a role, the link token ("<inviteId>.<secret>") is only returned
+ * once. Registering with it creates the user with that role and uses up the invite.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Invite = require('../models/Invite');
+const InviteRepository = require('../repositories/InviteRepository');
+
+// Hours an invite stays valid when no duration is given
+const DEFAULT_INVITE_HOURS = 72;
+// Longest validity of an invite, 30 days
+const MAX_INVITE_HOURS = 30 * 24;
+
+class InviteService {
+    /**
+     * Create a new InviteService
+     * @param {Object} db - Database connection
+     * @param {Object} userService - User service creating the invited users
+     * @param {Object} permissionService - Permission service validating the roles
+     */
+    constructor(db, userService, permissionService) {
+        this.inviteRepository = new InviteRepository(db);
+        this.userService = userService;
+        this.permissionService = permissionService;
+    }
+
+    /**
+     * Create an invite
+     * @param {Object} data - { role, email, expiresInHours, createdBy }
+     * @returns {Promise<Object>} { invite, token }, the token is not stored and cannot be retrieved later
+     */
+    async createInvite(data) {
+        try {
+            const role = data.role || 'user';
+            if (!await this.permissionService.getRole(role)) {
+                throw new Error(`Unknown role: ${role}`);
+            }
+
+            const hours = parseInt(data.expiresInHours) || DEFAULT_INVITE_HOURS;
+            if (hours <= 0 || hours > MAX_INVITE_HOURS) {
+                throw new Error(`An invite must expire within ${MAX_INVITE_HOURS} hours`);
+            }
+
+            const secret = crypto.randomBytes(24).toString('hex');
+            const invite = new Invite({
+                id: uuidv4(),
+                tokenHash: this.hashToken(secret),
+                role,
+                email: data.email || null,
+                createdBy: data.createdBy || null,
+                expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+            });
+
+            await this.inviteRepository.create(invite);
+
+            return { invite, token: `${invite.id}.${secret}` };
+        } catch (error) {
+            console.error('Error in InviteService.createInvite:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the invites, most recent first
+     * @returns {Promise<Array<Invite>>} Invites
+     */
+    async getInvites() {
+        try {
+            return await this.inviteRepository.getInvites();
+        } catch (error) {
+            console.error('Error in InviteService.getInvites:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke an unused invite
+     * @param {string} id - Invite ID
+     * @returns {Promise<boolean>} Whether an invite was revoked
+     */
+    async revokeInvite(id) {
+        try {
+            return await this.inviteRepository.revokeInvite(id);
+        } catch (error) {
+            console.error('Error in InviteService.revokeInvite:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the usable invite of a link token
+     * @param {string} token - Invite token "<inviteId>.<secret>"
+     * @returns {Promise<Invite|null>} Invite or null if the token is invalid, used, revoked or expired
+     */
+    async getValidInvite(token) {
+        try {
+            const [inviteId, secret] = String(token || '').split('.');
+            if (!inviteId || !secret) return null;
+
+            const invite = await this.inviteRepository.getInviteById(inviteId);
+            if (!invite || !invite.isUsable() || invite.tokenHash !== this.hashToken(secret)) {
+                return null;
+            }
+
+            return invite;
+        } catch (error) {
+            console.error('Error in InviteService.getValidInvite:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Register a user with an invite
+     * @param {string} token - Invite token "<inviteId>.<secret>"
+     * @param {Object} userData - { username, password, email }
+     * @returns {Promise<Object>} Result { success, user } or { success: false, error, code }
+     */
+    async acceptInvite(token, userData) {
+        try {
+            const invite = await this.getValidInvite(token);
+            if (!invite) {
+                return { success: false, error: 'Invalid or expired invite', code: 400 };
+            }
+
+            if (!await this.permissionService.getRole(invite.role)) {
+                return { success: false, error: `The role of this invite no longer exists: ${invite.role}`, code: 400 };
+            }
+
+            const result = await this.userService.createUser({
+                username: userData.username,
+                password: userData.password,
+                email: userData.email || invite.email,
+                role: invite.role
+            });
+
+            if (!result.success) {
+                return { ...result, code: 400 };
+            }
+
+            // Another registration used the invite first
+            if (!await this.inviteRepository.markUsed(invite.id, result.user.id)) {
+                await this.userService.deleteUser(result.user.id, null);
+                return { success: false, error: 'Invalid or expired invite', code: 400 };
+            }
+
+            return { success: true, user: result.user };
+        } catch (error) {
+            console.error('Error in InviteService.acceptInvite:', error);
+            return { success: false, error: error.message, code: 500 };
+        }
+    }
+
+    /**
+     * Hash an invite secret for storage
+     * @private
+     * @param {string} secret - Invite secret
+     * @returns {string} SHA-256 hex digest
+     */
+    hashToken(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+}
+
+module.exports = InviteService;
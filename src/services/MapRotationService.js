@@ -0,0 +1,346 @@
+/**
+ * Map Rotation Service - Reads and writes the map rotation of the servers
+ * Handles the rotation presets stored per server and the map changes through RCON
+ */
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../core/Logger');
+const MapRotation = require('../core/MapRotation');
+const MapRotationPreset = require('../models/MapRotationPreset');
+const MapRotationPresetRepository = require('../repositories/MapRotationPresetRepository');
+
+class MapRotationService {
+    /**
+     * Create a new MapRotationService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager owning the server instances
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(db, serverManager, services = {}) {
+        this.presetRepository = new MapRotationPresetRepository(db);
+        this.serverManager = serverManager;
+        this.eventService = services.eventService;
+    }
+
+    /**
+     * Get a running server with RCON access
+     * @private
+     * @param {string} serverId - Server ID
+     * @returns {ServerInstanceService} Server instance
+     * @throws {Error} If the server is not running or read-only
+     */
+    getServer(serverId) {
+        const server = this.serverManager && this.serverManager.getServerById(serverId);
+
+        if (!server || !server.isRunning()) {
+            throw new Error('Server is not running');
+        }
+        if (server.readOnly) {
+            throw new Error('Server is tracked read-only, map changes require RCON');
+        }
+
+        return server;
+    }
+
+    /**
+     * Get the name of a dvar for the game of a server
+     * @private
+     * @param {ServerInstanceService} server - Server instance
+     * @param {string} key - Key in the Dvars section of the command prefixes
+     * @param {string} fallback - Dvar name when the game does not define it
+     * @returns {string} Dvar name
+     */
+    getDvarName(server, key, fallback) {
+        const dvars = server.rcon.commandPrefixes.Dvars || {};
+        return dvars[key] || fallback;
+    }
+
+    /**
+     * Read the current rotation of a server
+     * @param {string} serverId - Server ID
+     * @returns {Promise<Object>} { entries, value, currentMap, gametype }
+     */
+    async getRotation(serverId) {
+        try {
+            const server = this.getServer(serverId);
+
+            const result = await server.rcon.getDvar(this.getDvarName(server, 'maprotation', 'sv_mapRotation'));
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const rotation = MapRotation.parse(result.value);
+            const gametype = await server.rcon.getDvar(this.getDvarName(server, 'gametype', 'g_gametype'));
+
+            return {
+                entries: rotation.toJSON(),
+                value: rotation.toString(),
+                currentMap: await server.rcon.getMapName(),
+                gametype: gametype.success ? gametype.value : null
+            };
+        } catch (error) {
+            console.error('Error in MapRotationService.getRotation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the rotation of a server
+     * @param {string} serverId - Server ID
+     * @param {Array<Object>|string} rotation - Entries { map, gametype } or a sv_mapRotation value
+     * @returns {Promise<Object>} { entries, value }
+     */
+    async setRotation(serverId, rotation) {
+        try {
+            const server = this.getServer(serverId);
+            const mapRotation = typeof rotation === 'string' ? MapRotation.parse(rotation) : new MapRotation(rotation || []);
+            mapRotation.validate();
+
+            const value = mapRotation.toString();
+            const result = await server.rcon.setDvar(this.getDvarName(server, 'maprotation', 'sv_mapRotation'), value);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            logger.info(`Map rotation of ${server.name} set to: ${value}`);
+            await this.storeEvent('server.map.rotation', serverId, { value });
+
+            return { entries: mapRotation.toJSON(), value };
+        } catch (error) {
+            console.error('Error in MapRotationService.setRotation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load the next map of the rotation
+     * @param {string} serverId - Server ID
+     * @returns {Promise<boolean>} True once the command is sent
+     */
+    async rotate(serverId) {
+        try {
+            const server = this.getServer(serverId);
+
+            await server.rcon.executeCommandAsync('map_rotate');
+
+            logger.info(`Map rotated on ${server.name}`);
+            await this.storeEvent('server.map.change', serverId, { rotate: true });
+
+            return true;
+        } catch (error) {
+            console.error('Error in MapRotationService.rotate:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load a map, optionally with another gametype
+     * @param {string} serverId - Server ID
+     * @param {string} map - Map name
+     * @param {string|null} gametype - Gametype, null keeps the current one
+     * @returns {Promise<boolean>} True once the command is sent
+     */
+    async changeMap(serverId, map, gametype = null) {
+        try {
+            if (!MapRotation.isValidName(map)) {
+                throw new Error(`Invalid map name: ${map}`);
+            }
+            if (gametype && !MapRotation.isValidName(gametype)) {
+                throw new Error(`Invalid gametype: ${gametype}`);
+            }
+
+            const server = this.getServer(serverId);
+
+            // The gametype is read when the map loads
+            if (gametype) {
+                const result = await server.rcon.setDvar(this.getDvarName(server, 'gametype', 'g_gametype'), gametype);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }
+
+            await server.rcon.executeCommandAsync(`map ${map}`);
+
+            logger.info(`Map changed on ${server.name}: ${map}${gametype ? ` (${gametype})` : ''}`);
+            await this.storeEvent('server.map.change', serverId, { map, gametype });
+
+            return true;
+        } catch (error) {
+            console.error('Error in MapRotationService.changeMap:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the rotation presets of a server
+     * @param {string} serverId - Server ID
+     * @returns {Promise<Array<MapRotationPreset>>} Presets
+     */
+    async getPresets(serverId) {
+        try {
+            return await this.presetRepository.getPresets(String(serverId));
+        } catch (error) {
+            console.error('Error in MapRotationService.getPresets:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a preset of a server
+     * @param {string} serverId - Server ID
+     * @param {string} id - Preset ID
+     * @returns {Promise<MapRotationPreset|null>} Preset or null if not found on this server
+     */
+    async getPreset(serverId, id) {
+        try {
+            const preset = await this.presetRepository.getPresetById(id);
+            return preset && String(preset.serverId) === String(serverId) ? preset : null;
+        } catch (error) {
+            console.error('Error in MapRotationService.getPreset:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a preset
+     * @param {string} serverId - Server ID
+     * @param {Object} data - { name, description, entries } or { name, description, value }
+     * @returns {Promise<MapRotationPreset>} Created preset
+     */
+    async createPreset(serverId, data) {
+        try {
+            const preset = new MapRotationPreset({
+                id: uuidv4(),
+                serverId: String(serverId),
+                name: data.name,
+                description: data.description,
+                entries: this.toEntries(data)
+            });
+
+            await this.validatePreset(preset);
+            await this.presetRepository.create(preset);
+
+            return preset;
+        } catch (error) {
+            console.error('Error in MapRotationService.createPreset:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a preset
+     * @param {string} serverId - Server ID
+     * @param {string} id - Preset ID
+     * @param {Object} data - { name, description, entries } or { name, description, value }
+     * @returns {Promise<MapRotationPreset|null>} Updated preset or null if not found
+     */
+    async updatePreset(serverId, id, data) {
+        try {
+            const existing = await this.getPreset(serverId, id);
+            if (!existing) return null;
+
+            const preset = new MapRotationPreset({
+                ...existing,
+                name: data.name ?? existing.name,
+                description: data.description ?? existing.description,
+                entries: data.entries || data.value !== undefined ? this.toEntries(data) : existing.entries
+            });
+
+            await this.validatePreset(preset);
+            await this.presetRepository.update(preset);
+
+            return preset;
+        } catch (error) {
+            console.error('Error in MapRotationService.updatePreset:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a preset
+     * @param {string} serverId - Server ID
+     * @param {string} id - Preset ID
+     * @returns {Promise<boolean>} Whether a preset was deleted
+     */
+    async deletePreset(serverId, id) {
+        try {
+            if (!await this.getPreset(serverId, id)) return false;
+            return await this.presetRepository.deletePreset(id);
+        } catch (error) {
+            console.error('Error in MapRotationService.deletePreset:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Write a preset to the rotation of its server
+     * @param {string} serverId - Server ID
+     * @param {string} id - Preset ID
+     * @returns {Promise<Object|null>} { entries, value } or null if not found
+     */
+    async applyPreset(serverId, id) {
+        try {
+            const preset = await this.getPreset(serverId, id);
+            if (!preset) return null;
+
+            return await this.setRotation(serverId, preset.entries);
+        } catch (error) {
+            console.error('Error in MapRotationService.applyPreset:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the entries of a preset request
+     * @private
+     * @param {Object} data - { entries } or { value } with a sv_mapRotation value
+     * @returns {Array<Object>} Entries { map, gametype }
+     */
+    toEntries(data) {
+        const rotation = typeof data.value === 'string'
+            ? MapRotation.parse(data.value)
+            : new MapRotation(Array.isArray(data.entries) ? data.entries : []);
+
+        return rotation.toJSON();
+    }
+
+    /**
+     * Validate a preset
+     * @private
+     * @param {MapRotationPreset} preset - Preset to validate
+     * @returns {Promise<void>}
+     * @throws {Error} If the preset is invalid
+     */
+    async validatePreset(preset) {
+        if (!preset.name || !preset.name.trim()) {
+            throw new Error('A preset name is required');
+        }
+        preset.name = preset.name.trim();
+
+        preset.getRotation().validate();
+
+        const existing = await this.presetRepository.getPresetByName(preset.serverId, preset.name);
+        if (existing && existing.id !== preset.id) {
+            throw new Error(`A preset named ${preset.name} already exists`);
+        }
+    }
+
+    /**
+     * Store a map event
+     * @private
+     * @param {string} type - Event type
+     * @param {string} serverId - Server ID
+     * @param {Object} data - Event data
+     * @returns {Promise<void>}
+     */
+    async storeEvent(type, serverId, data) {
+        if (!this.eventService) return;
+
+        try {
+            await this.eventService.emitAndStore(type, { serverId: String(serverId), data }, true);
+        } catch (error) {
+            logger.error(`Error storing ${type} event: ${error.message}`);
+        }
+    }
+}
+
+module.exports = MapRotationService;
@@ -0,0 +1,307 @@
+/**
+ * Map Vote Service - In-game map votes (!votemap) and rock the vote (!rtv)
+ * A vote passes when one choice gets the quorum of the connected players, the map changes after a countdown
+ */
+const logger = require('../core/Logger');
+const MapRotation = require('../core/MapRotation');
+
+const DEFAULT_SETTINGS = {
+    // Share of the connected players needed to pass a vote
+    quorum: 0.6,
+    // Minimum number of votes, whatever the player count
+    minVotes: 1,
+    // Seconds before a vote without a result is dropped
+    duration: 120,
+    // Countdown broadcasts before the map change, in seconds
+    countdown: [10, 5, 3]
+};
+
+// Choice of the players voting to rock the vote, the next map of the rotation loads
+const ROTATE = 'rotate';
+
+class MapVoteService {
+    /**
+     * Create a new MapVoteService
+     * @param {ServerManager} serverManager - Server manager owning the server instances
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(serverManager, services = {}) {
+        this.serverManager = serverManager;
+        this.services = services;
+        this.config = services.configService?.config?.mapVote || {};
+
+        // Chat command prefix shown in the vote announcements
+        const prefix = services.configService?.config?.commands?.prefix;
+        this.prefix = (Array.isArray(prefix) ? prefix[0] : prefix) || '!';
+
+        // Server ID -> { votes: Map<guid, choice>, entries, startedAt, expiryTimer, changing }
+        this.votes = new Map();
+    }
+
+    /**
+     * Get the vote settings of a server, a server's own config overrides the global one
+     * @param {ServerInstanceService} server - Server instance
+     * @returns {Object} Settings { quorum, minVotes, duration, countdown }
+     */
+    getSettings(server) {
+        return {
+            ...DEFAULT_SETTINGS,
+            ...this.config,
+            ...(server.config && server.config.mapVote)
+        };
+    }
+
+    /**
+     * Vote for a map
+     * @param {ServerInstanceService} server - Server instance
+     * @param {ActivePlayer} player - Voting player
+     * @param {string} mapName - Map name or part of it
+     * @returns {Promise<Object>} Command result { success, message }
+     */
+    async voteMap(server, player, mapName) {
+        const rotation = await this.getRotation(server);
+        const entry = rotation.findMap(mapName);
+
+        if (!entry) {
+            return {
+                success: false,
+                message: `^1Unknown map: ^7${mapName}\n^7Maps: ^5${rotation.getMaps().join('^7, ^5')}`
+            };
+        }
+
+        return this.castVote(server, player, entry.map, rotation);
+    }
+
+    /**
+     * Vote to load the next map of the rotation
+     * @param {ServerInstanceService} server - Server instance
+     * @param {ActivePlayer} player - Voting player
+     * @returns {Promise<Object>} Command result { success, message }
+     */
+    async rockTheVote(server, player) {
+        return this.castVote(server, player, ROTATE, null);
+    }
+
+    /**
+     * Record a vote and change the map once a choice reaches the quorum
+     * @private
+     * @param {ServerInstanceService} server - Server instance
+     * @param {ActivePlayer} player - Voting player
+     * @param {string} choice - Map name or 'rotate'
+     * @param {MapRotation|null} rotation - Rotation the map was found in
+     * @returns {Promise<Object>} Command result { success, message }
+     */
+    async castVote(server, player, choice, rotation) {
+        const settings = this.getSettings(server);
+        let vote = this.votes.get(server.id);
+
+        if (vote && vote.changing) {
+            return { success: false, message: '^1A map change is already in progress' };
+        }
+
+        if (!vote) {
+            vote = {
+                votes: new Map(),
+                entries: new Map(),
+                startedAt: new Date(),
+                changing: false,
+                expiryTimer: setTimeout(() => this.expireVote(server), settings.duration * 1000)
+            };
+            this.votes.set(server.id, vote);
+        }
+
+        // Gametype of the voted map, taken from the rotation it was found in
+        if (rotation) {
+            const entry = rotation.findMap(choice);
+            vote.entries.set(choice, entry ? entry.gametype : null);
+        }
+
+        const previous = vote.votes.get(player.guid);
+        vote.votes.set(player.guid, choice);
+
+        const tally = this.getTally(server, vote);
+        const required = this.getRequiredVotes(server, settings);
+        const count = (tally.find(item => item.choice === choice) || { count: 0 }).count;
+        const label = this.describeChoice(choice);
+
+        if (count >= required) {
+            this.startCountdown(server, vote, choice, settings);
+            return { success: true, message: `^2Vote passed: ^5${label}` };
+        }
+
+        if (previous !== choice) {
+            await server.say(`^5${player.name}^7 voted for ^5${label}^7 (${count}/${required}) - type ^5${this.prefix}votemap <map>^7 or ^5${this.prefix}rtv`);
+        }
+
+        return { success: true, message: `^7Your vote for ^5${label}^7 is counted (${count}/${required})` };
+    }
+
+    /**
+     * Count the votes of the players still connected
+     * @private
+     * @param {ServerInstanceService} server - Server instance
+     * @param {Object} vote - Vote in progress
+     * @returns {Array<Object>} Choices { choice, count }, most voted first
+     */
+    getTally(server, vote) {
+        const connected = new Set((server.players || []).filter(p => p && p.isOnline !== false).map(p => p.guid));
+        const counts = new Map();
+
+        for (const [guid, choice] of vote.votes.entries()) {
+            if (!connected.has(guid)) continue;
+            counts.set(choice, (counts.get(choice) || 0) + 1);
+        }
+
+        return Array.from(counts.entries())
+            .map(([choice, count]) => ({ choice, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Get the number of votes needed to pass a vote
+     * @private
+     * @param {ServerInstanceService} server - Server instance
+     * @param {Object} settings - Vote settings
+     * @returns {number} Required votes
+     */
+    getRequiredVotes(server, settings) {
+        const players = (server.players || []).filter(p => p && p.isOnline !== false).length;
+        return Math.max(settings.minVotes, Math.ceil(players * settings.quorum));
+    }
+
+    /**
+     * Announce the map change, then run it
+     * @private
+     * @param {ServerInstanceService} server - Server instance
+     * @param {Object} vote - Vote that passed
+     * @param {string} choice - Map name or 'rotate'
+     * @param {Object} settings - Vote settings
+     */
+    startCountdown(server, vote, choice, settings) {
+        vote.changing = true;
+        clearTimeout(vote.expiryTimer);
+
+        const label = this.describeChoice(choice);
+        const warnings = [...settings.countdown].filter(seconds => seconds > 0).sort((a, b) => b - a);
+        const wait = (seconds) => new Promise(resolve => {
+            vote.countdownTimer = setTimeout(resolve, seconds * 1000);
+            vote.skipWait = resolve;
+        });
+
+        const run = async () => {
+            let remaining = warnings.length > 0 ? warnings[0] : 0;
+
+            for (const seconds of warnings) {
+                await wait(remaining - seconds);
+                if (this.votes.get(server.id) !== vote) return;
+                await server.say(`^7Changing map to ^5${label}^7 in ^5${seconds}^7 seconds`);
+                remaining = seconds;
+            }
+
+            await wait(remaining);
+            if (this.votes.get(server.id) !== vote) return;
+
+            const mapRotationService = this.services.mapRotationService;
+            if (choice === ROTATE) {
+                await mapRotationService.rotate(server.id);
+            } else {
+                await mapRotationService.changeMap(server.id, choice, vote.entries.get(choice) || null);
+            }
+        };
+
+        run()
+            .catch(async (error) => {
+                logger.error(`Map vote change failed on ${server.name}: ${error.message}`);
+                await server.say('^1The map change failed');
+            })
+            .finally(() => {
+                if (this.votes.get(server.id) === vote) {
+                    this.votes.delete(server.id);
+                }
+            });
+    }
+
+    /**
+     * Drop a vote that did not reach the quorum in time
+     * @private
+     * @param {ServerInstanceService} server - Server instance
+     */
+    expireVote(server) {
+        const vote = this.votes.get(server.id);
+        if (!vote || vote.changing) return;
+
+        this.votes.delete(server.id);
+        server.say('^7Map vote failed, not enough votes').catch(() => {});
+    }
+
+    /**
+     * Cancel the vote or countdown of a server
+     * @param {string} serverId - Server ID
+     * @returns {boolean} Whether a vote was cancelled
+     */
+    cancelVote(serverId) {
+        const vote = this.votes.get(serverId);
+        if (!vote) return false;
+
+        clearTimeout(vote.expiryTimer);
+        clearTimeout(vote.countdownTimer);
+        this.votes.delete(serverId);
+
+        // A countdown in progress wakes up and stops, the vote is no longer current
+        if (vote.skipWait) vote.skipWait();
+
+        return true;
+    }
+
+    /**
+     * Cancel every vote, used on shutdown
+     */
+    stop() {
+        for (const serverId of Array.from(this.votes.keys())) {
+            this.cancelVote(serverId);
+        }
+    }
+
+    /**
+     * Get the vote in progress on a server
+     * @param {string} serverId - Server ID
+     * @returns {Object|null} { startedAt, changing, required, tally } or null
+     */
+    getVote(serverId) {
+        const vote = this.votes.get(serverId);
+        const server = this.serverManager && this.serverManager.getServerById(serverId);
+        if (!vote || !server) return null;
+
+        return {
+            startedAt: vote.startedAt,
+            changing: vote.changing,
+            required: this.getRequiredVotes(server, this.getSettings(server)),
+            tally: this.getTally(server, vote)
+        };
+    }
+
+    /**
+     * Get the rotation maps can be voted from
+     * @private
+     * @param {ServerInstanceService} server - Server instance
+     * @returns {Promise<MapRotation>} Current rotation
+     */
+    async getRotation(server) {
+        const rotation = await this.services.mapRotationService.getRotation(server.id);
+        return new MapRotation(rotation.entries);
+    }
+
+    /**
+     * Get the label of a choice
+     * @private
+     * @param {string} choice - Map name or 'rotate'
+     * @returns {string} Label shown in game
+     */
+    describeChoice(choice) {
+        return choice === ROTATE ? 'next map' : choice;
+    }
+}
+
+MapVoteService.ROTATE = ROTATE;
+
+module.exports = MapVoteService;
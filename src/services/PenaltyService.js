@@ -0,0 +1,182 @@
+/**
+ * Penalty Service - Business logic for kicks, bans and temporary bans
+ */
+const { v4: uuidv4 } = require('uuid');
+const Penalty = require('../models/Penalty');
+const PenaltyRepository = require('../repositories/PenaltyRepository');
+
+class PenaltyService {
+    /**
+     * Create a new PenaltyService
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        this.penaltyRepository = new PenaltyRepository(db);
+    }
+
+    /**
+     * Record a penalty
+     * @param {Object} data - Penalty data
+     * @param {string} data.type - One of Penalty.Types
+     * @param {string} data.playerGuid - Target player GUID
+     * @param {string} data.playerId - Target player ID
+     * @param {string} data.playerIp - Target player IP address
+     * @param {string} data.playerName - Target player name
+     * @param {string} data.reason - Penalty reason
+     * @param {Object} data.origin - Origin admin { clientId, name }
+     * @param {string} data.serverId - Server the penalty was issued on
+     * @param {number} data.duration - Duration in seconds (temporary bans only)
+     * @returns {Promise<Penalty>} Created penalty
+     */
+    async addPenalty(data) {
+        try {
+            if (!Object.values(Penalty.Types).includes(data.type)) {
+                throw new Error(`Invalid penalty type: ${data.type}`);
+            }
+
+            if (!data.playerGuid) {
+                throw new Error('A player GUID is required to record a penalty');
+            }
+
+            const duration = data.type === Penalty.Types.TEMP_BAN ? parseInt(data.duration) || 0 : 0;
+            if (data.type === Penalty.Types.TEMP_BAN && duration <= 0) {
+                throw new Error('A temporary ban requires a positive duration');
+            }
+
+            const createdAt = new Date();
+            const penalty = new Penalty({
+                id: uuidv4(),
+                type: data.type,
+                reason: data.reason || '',
+                playerId: data.playerId || null,
+                playerGuid: data.playerGuid,
+                playerIp: data.playerIp ? data.playerIp.split(':')[0] : null,
+                playerName: data.playerName || null,
+                originId: data.origin ? data.origin.clientId : null,
+                originName: data.origin ? data.origin.name : null,
+                serverId: data.serverId || null,
+                duration,
+                createdAt,
+                expiresAt: duration > 0 ? new Date(createdAt.getTime() + duration * 1000) : null
+            });
+
+            await this.penaltyRepository.create(penalty);
+
+            if (penalty.isBan()) {
+                await this.syncBanFlag(penalty.playerGuid);
+            }
+
+            return penalty;
+        } catch (error) {
+            console.error('Error in PenaltyService.addPenalty:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the ban preventing a player from joining, if any
+     * @param {string} guid - Player GUID
+     * @param {string|null} ip - Player IP address, only checked when provided
+     * @returns {Promise<Penalty|null>} Ban in effect or null
+     */
+    async getActiveBan(guid, ip = null) {
+        try {
+            const bans = await this.penaltyRepository.getActiveBans(guid, ip ? ip.split(':')[0] : null);
+            return bans.length > 0 ? bans[0] : null;
+        } catch (error) {
+            console.error('Error in PenaltyService.getActiveBan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sync the legacy ban flag of a player from the strongest ban in effect
+     * A shorter temporary ban must not replace a permanent ban, the flag would be lifted when it expires
+     * @param {string} guid - Player GUID
+     * @returns {Promise<void>}
+     */
+    async syncBanFlag(guid) {
+        const ban = await this.getActiveBan(guid);
+        await this.penaltyRepository.syncPlayerBanFlag(guid, ban);
+    }
+
+    /**
+     * Get a penalty by ID
+     * @param {string} id - Penalty ID
+     * @returns {Promise<Penalty|null>} Penalty or null
+     */
+    async getPenaltyById(id) {
+        try {
+            return await this.penaltyRepository.getPenaltyById(id);
+        } catch (error) {
+            console.error('Error in PenaltyService.getPenaltyById:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get penalty history of a player
+     * @param {Object} target - { playerId, guid }
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Array<Penalty>>} Penalties
+     */
+    async getPlayerPenalties(target, options = {}) {
+        try {
+            const { limit = 50, offset = 0 } = options;
+            return await this.penaltyRepository.getPlayerPenalties(target, limit, offset);
+        } catch (error) {
+            console.error('Error in PenaltyService.getPlayerPenalties:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get recent penalties
+     * @param {Object} options - { type, limit, offset }
+     * @returns {Promise<Array<Penalty>>} Penalties
+     */
+    async getRecentPenalties(options = {}) {
+        try {
+            return await this.penaltyRepository.getRecentPenalties(options);
+        } catch (error) {
+            console.error('Error in PenaltyService.getRecentPenalties:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a penalty (unban)
+     * @param {string} id - Penalty ID
+     * @param {string} revokedBy - ID of the admin revoking the penalty
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<Object>} Result { success, penalty, error }
+     */
+    async revokePenalty(id, revokedBy, reason = null) {
+        try {
+            const penalty = await this.penaltyRepository.getPenaltyById(id);
+            if (!penalty) {
+                return { success: false, error: 'Penalty not found' };
+            }
+
+            const revoked = await this.penaltyRepository.revoke(id, revokedBy, reason);
+            if (!revoked) {
+                return { success: false, error: 'Penalty is already revoked' };
+            }
+
+            // Another ban may still apply to the same GUID
+            if (penalty.isBan()) {
+                await this.syncBanFlag(penalty.playerGuid);
+            }
+
+            return {
+                success: true,
+                penalty: await this.penaltyRepository.getPenaltyById(id)
+            };
+        } catch (error) {
+            console.error('Error in PenaltyService.revokePenalty:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = PenaltyService;
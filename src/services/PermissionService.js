@@ -0,0 +1,381 @@
+/**
+ * Permission Service - Roles and permissions shared by in-game commands and the web API
+ *
+ * Roles are assigned to player GUIDs and to web users, globally or for a single server,
+ * and inherit the permissions of their parent role. A player linked to a web user
+ * (users.game_id) gets the roles of both.
+ */
+const { v4: uuidv4 } = require('uuid');
+const Role = require('../models/Role');
+const RoleRepository = require('../repositories/RoleRepository');
+
+// Subject types of role assignments
+const SubjectTypes = {
+    PLAYER: 'player',
+    USER: 'user'
+};
+
+// Role every in-game player has without any assignment
+const PLAYER_ROLE = 'player';
+
+class PermissionService {
+    /**
+     * Create a new PermissionService
+     * @param {Object} db - Database connection
+     */
+    constructor(db) {
+        this.roleRepository = new RoleRepository(db);
+
+        // Role ID -> Role, reloaded after every role change
+        this.roleCache = null;
+    }
+
+    /**
+     * Check if a list of granted permissions covers a required permission
+     * @param {Array<string>} granted - Granted permissions ('*' and 'prefix.*' wildcards allowed)
+     * @param {string} required - Required permission
+     * @returns {boolean} Whether the permission is granted
+     */
+    static matches(granted, required) {
+        if (!required) return true;
+        if (!Array.isArray(granted)) return false;
+
+        return granted.some(permission => {
+            if (permission === '*' || permission === required) return true;
+
+            if (permission.endsWith('.*')) {
+                const prefix = permission.slice(0, -2);
+                return required === prefix || required.startsWith(`${prefix}.`);
+            }
+
+            return false;
+        });
+    }
+
+    /**
+     * Get all roles, keyed by ID
+     * @returns {Promise<Map<string, Role>>} Roles
+     */
+    async getRoleMap() {
+        try {
+            if (!this.roleCache) {
+                const roles = await this.roleRepository.getRoles();
+                this.roleCache = new Map(roles.map(role => [role.id, role]));
+            }
+
+            return this.roleCache;
+        } catch (error) {
+            console.error('Error in PermissionService.getRoleMap:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all roles
+     * @returns {Promise<Array<Role>>} Roles
+     */
+    async getRoles() {
+        try {
+            return Array.from((await this.getRoleMap()).values());
+        } catch (error) {
+            console.error('Error in PermissionService.getRoles:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a role by ID
+     * @param {string} id - Role ID
+     * @returns {Promise<Role|null>} Role or null
+     */
+    async getRole(id) {
+        try {
+            return (await this.getRoleMap()).get(id) || null;
+        } catch (error) {
+            console.error('Error in PermissionService.getRole:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a role
+     * @param {Object} data - { id, name, description, parentId, permissions }
+     * @returns {Promise<Role>} Created role
+     */
+    async createRole(data) {
+        try {
+            if (!data.id || !/^[a-z0-9_-]+$/.test(data.id)) {
+                throw new Error('Role ID must only contain lowercase letters, digits, "-" and "_"');
+            }
+
+            if (await this.getRole(data.id)) {
+                throw new Error(`Role already exists: ${data.id}`);
+            }
+
+            const role = new Role({
+                id: data.id,
+                name: data.name || data.id,
+                description: data.description,
+                parentId: data.parentId || null,
+                permissions: data.permissions || []
+            });
+
+            await this.validateParent(role.id, role.parentId);
+            await this.roleRepository.createRole(role);
+            this.roleCache = null;
+
+            return role;
+        } catch (error) {
+            console.error('Error in PermissionService.createRole:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a role
+     * @param {string} id - Role ID
+     * @param {Object} data - { name, description, parentId, permissions }
+     * @returns {Promise<Role|null>} Updated role or null if not found
+     */
+    async updateRole(id, data) {
+        try {
+            const existing = await this.roleRepository.getRoleById(id);
+            if (!existing) return null;
+
+            const role = new Role({
+                ...existing,
+                name: data.name ?? existing.name,
+                description: data.description ?? existing.description,
+                parentId: data.parentId !== undefined ? data.parentId : existing.parentId,
+                permissions: data.permissions ?? existing.permissions
+            });
+
+            await this.validateParent(role.id, role.parentId);
+            await this.roleRepository.updateRole(role);
+
+            if (data.permissions) {
+                await this.roleRepository.setRolePermissions(role.id, role.permissions);
+            }
+
+            this.roleCache = null;
+            return role;
+        } catch (error) {
+            console.error('Error in PermissionService.updateRole:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a role
+     * @param {string} id - Role ID
+     * @returns {Promise<Object>} Result { success, error }
+     */
+    async deleteRole(id) {
+        try {
+            if (id === PLAYER_ROLE) {
+                return { success: false, error: `The ${PLAYER_ROLE} role cannot be deleted` };
+            }
+
+            const roles = await this.getRoles();
+            const child = roles.find(role => role.parentId === id);
+            if (child) {
+                return { success: false, error: `Role is inherited by ${child.id}` };
+            }
+
+            const deleted = await this.roleRepository.deleteRole(id);
+            this.roleCache = null;
+
+            return deleted ? { success: true } : { success: false, error: 'Role not found' };
+        } catch (error) {
+            console.error('Error in PermissionService.deleteRole:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign a role to a player GUID or a web user
+     * @param {Object} data - { subjectType, subjectId, roleId, serverId, grantedBy }
+     * @returns {Promise<Object>} Assignment
+     */
+    async assignRole(data) {
+        try {
+            if (!Object.values(SubjectTypes).includes(data.subjectType)) {
+                throw new Error(`Invalid subject type: ${data.subjectType}`);
+            }
+
+            if (!data.subjectId) {
+                throw new Error('A subject ID is required to assign a role');
+            }
+
+            if (!await this.getRole(data.roleId)) {
+                throw new Error(`Unknown role: ${data.roleId}`);
+            }
+
+            const serverId = data.serverId ?? null;
+            const existing = await this.roleRepository.findAssignment(data.subjectType, data.subjectId, data.roleId, serverId);
+            if (existing) return existing;
+
+            return await this.roleRepository.createAssignment({
+                id: uuidv4(),
+                roleId: data.roleId,
+                subjectType: data.subjectType,
+                subjectId: String(data.subjectId),
+                serverId: serverId === null ? null : String(serverId),
+                grantedBy: data.grantedBy || null
+            });
+        } catch (error) {
+            console.error('Error in PermissionService.assignRole:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a role assignment
+     * @param {string} assignmentId - Assignment ID
+     * @returns {Promise<boolean>} Whether an assignment was removed
+     */
+    async revokeAssignment(assignmentId) {
+        try {
+            return await this.roleRepository.deleteAssignment(assignmentId);
+        } catch (error) {
+            console.error('Error in PermissionService.revokeAssignment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the role assignments of a player GUID or a web user
+     * @param {string} subjectType - 'player' or 'user'
+     * @param {string} subjectId - Player GUID or user ID
+     * @returns {Promise<Array<Object>>} Assignments
+     */
+    async getAssignments(subjectType, subjectId) {
+        try {
+            return await this.roleRepository.getAssignments(subjectType, subjectId);
+        } catch (error) {
+            console.error('Error in PermissionService.getAssignments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the roles and permissions of a player or web user on a server
+     * @param {Object} subject - { guid } for a player, { userId } for a web user
+     * @param {string|null} serverId - Server ID, null for global roles only
+     * @returns {Promise<Object>} { roles, permissions }
+     */
+    async resolve(subject, serverId = null) {
+        try {
+            const roleIds = new Set();
+            let guid = subject.guid || null;
+            let user = null;
+
+            if (subject.userId) {
+                user = await this.roleRepository.getUserById(subject.userId);
+                guid = guid || (user && user.game_id) || null;
+            } else if (guid) {
+                user = await this.roleRepository.getUserByGameId(guid);
+            }
+
+            if (guid) {
+                roleIds.add(PLAYER_ROLE);
+                for (const assignment of await this.roleRepository.getAssignments(SubjectTypes.PLAYER, guid, serverId)) {
+                    roleIds.add(assignment.roleId);
+                }
+            }
+
+            if (user) {
+                if (user.role) roleIds.add(user.role);
+                for (const assignment of await this.roleRepository.getAssignments(SubjectTypes.USER, user.id, serverId)) {
+                    roleIds.add(assignment.roleId);
+                }
+            }
+
+            const roleMap = await this.getRoleMap();
+            const roles = this.expandRoles(roleIds, roleMap);
+            const permissions = new Set();
+
+            for (const roleId of roles) {
+                roleMap.get(roleId).permissions.forEach(permission => permissions.add(permission));
+            }
+
+            return {
+                roles: Array.from(roles),
+                permissions: Array.from(permissions)
+            };
+        } catch (error) {
+            console.error('Error in PermissionService.resolve:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if a player or web user has a permission on a server
+     * @param {Object} subject - { guid } for a player, { userId } for a web user
+     * @param {string} permission - Required permission
+     * @param {string|null} serverId - Server ID, null for global roles only
+     * @returns {Promise<boolean>} Whether the permission is granted
+     */
+    async hasPermission(subject, permission, serverId = null) {
+        try {
+            const { permissions } = await this.resolve(subject, serverId);
+            return PermissionService.matches(permissions, permission);
+        } catch (error) {
+            console.error('Error in PermissionService.hasPermission:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add the inherited roles to a set of role IDs, dropping unknown roles
+     * @param {Set<string>} roleIds - Assigned role IDs
+     * @param {Map<string, Role>} roleMap - All roles
+     * @returns {Set<string>} Assigned and inherited role IDs
+     * @private
+     */
+    expandRoles(roleIds, roleMap) {
+        const expanded = new Set();
+
+        for (let roleId of roleIds) {
+            // The visited check also stops inheritance cycles
+            while (roleId && roleMap.has(roleId) && !expanded.has(roleId)) {
+                expanded.add(roleId);
+                roleId = roleMap.get(roleId).parentId;
+            }
+        }
+
+        return expanded;
+    }
+
+    /**
+     * Make sure a parent role exists and does not inherit from the role itself
+     * @param {string} roleId - Role ID
+     * @param {string|null} parentId - Parent role ID
+     * @returns {Promise<void>}
+     * @private
+     */
+    async validateParent(roleId, parentId) {
+        if (!parentId) return;
+
+        const roleMap = await this.getRoleMap();
+        let current = parentId;
+
+        while (current) {
+            if (current === roleId) {
+                throw new Error(`Role ${roleId} cannot inherit from itself`);
+            }
+
+            const parent = roleMap.get(current);
+            if (!parent) {
+                throw new Error(`Unknown parent role: ${current}`);
+            }
+
+            current = parent.parentId;
+        }
+    }
+}
+
+PermissionService.SubjectTypes = SubjectTypes;
+PermissionService.PLAYER_ROLE = PLAYER_ROLE;
+
+module.exports = PermissionService;
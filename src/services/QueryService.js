@@ -0,0 +1,269 @@
+/**
+ * Query Service - Connectionless getinfo/getstatus queries
+ * Reads the public state of a game server without the RCON password
+ */
+const dgram = require('dgram');
+const net = require('net');
+const Mutex = require('../utils/Mutex');
+const logger = require('../core/Logger');
+
+const debug = require('debug')('nsm:query');
+
+// Every out-of-band packet starts with four 0xff bytes
+const PACKET_HEADER = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+
+const DEFAULT_OPTIONS = {
+    timeout: 2000,
+    retries: 2
+};
+
+// Player line of a getstatus reply: <score> <ping> "<name>"
+const PLAYER_LINE = /^(-?\d+) +(\d+) +"(.*)"$/;
+
+/**
+ * Query client for the getinfo and getstatus packets of a game server
+ */
+class QueryService {
+    /**
+     * Create a new query client
+     * @param {string} ip - Server IP address
+     * @param {number|string} port - Server game port
+     * @param {Object} commandPrefixes - Command prefixes of the game, with getInfo and getStatus packets
+     * @param {Object} options - { timeout, retries }, timeout in milliseconds
+     */
+    constructor(ip, port, commandPrefixes, options = {}) {
+        this.ip = ip;
+        this.port = parseInt(port);
+        this.commandPrefixes = commandPrefixes;
+
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        this.timeout = settings.timeout;
+        this.retries = settings.retries;
+
+        this.socket = null;
+        this.pending = null;
+        this.mutex = new Mutex();
+    }
+
+    /**
+     * Create the UDP socket on first use
+     * @private
+     * @returns {dgram.Socket} Socket
+     */
+    getSocket() {
+        if (this.socket) return this.socket;
+
+        this.socket = dgram.createSocket('udp4');
+
+        this.socket.on('error', (err) => {
+            logger.error(`Query socket error for ${this.ip}:${this.port}: ${err.message}`);
+        });
+
+        this.socket.on('message', (message, info) => {
+            this.handleSocketMessage(message, info);
+        });
+
+        this.socket.bind();
+        return this.socket;
+    }
+
+    /**
+     * Close the socket
+     */
+    close() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    /**
+     * Handle incoming socket messages
+     * @private
+     * @param {Buffer} message - Message buffer
+     * @param {Object} info - Message info
+     */
+    handleSocketMessage(message, info) {
+        // Host names are resolved by the socket, only literal addresses can be compared
+        if (info.port !== this.port || (net.isIP(this.ip) && info.address !== this.ip)) {
+            return;
+        }
+
+        const request = this.pending;
+        if (!request || !message.subarray(0, PACKET_HEADER.length).equals(PACKET_HEADER)) {
+            return;
+        }
+
+        const text = message.subarray(PACKET_HEADER.length).toString('utf8');
+        const lineEnd = text.indexOf('\n');
+        const header = lineEnd === -1 ? text : text.substring(0, lineEnd);
+
+        // Late reply to a previous query
+        if (header !== request.responseHeader) {
+            debug(`Ignoring ${header} from ${this.ip}:${this.port}`);
+            return;
+        }
+
+        this.pending = null;
+        clearTimeout(request.timer);
+        request.resolve(lineEnd === -1 ? '' : text.substring(lineEnd + 1));
+    }
+
+    /**
+     * Send a query packet and wait for its reply, sending it again on packet loss
+     * @private
+     * @param {string} packet - Query packet, e.g. '\xff\xff\xff\xffgetinfo'
+     * @param {string} responseHeader - Header line of the reply, e.g. 'infoResponse'
+     * @returns {Promise<string>} Reply without its header line
+     */
+    async query(packet, responseHeader) {
+        await this.mutex.lock();
+
+        try {
+            const socket = this.getSocket();
+            const buffer = Buffer.from(packet, 'latin1');
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await new Promise((resolve, reject) => {
+                        const request = { responseHeader, resolve, timer: null };
+
+                        request.timer = setTimeout(() => {
+                            if (this.pending === request) this.pending = null;
+                            reject(new Error(`Query timed out: ${responseHeader}`));
+                        }, this.timeout);
+
+                        this.pending = request;
+
+                        socket.send(buffer, 0, buffer.length, this.port, this.ip, (error) => {
+                            if (error && this.pending === request) {
+                                this.pending = null;
+                                clearTimeout(request.timer);
+                                reject(error);
+                            }
+                        });
+                    });
+                } catch (error) {
+                    if (attempt >= this.retries) throw error;
+                    debug(`No ${responseHeader} from ${this.ip}:${this.port}, retrying`);
+                }
+            }
+        } finally {
+            this.mutex.unlock();
+        }
+    }
+
+    /**
+     * Query the server info (hostname, map, gametype, player counts)
+     * @async
+     * @returns {Promise<Object>} { success, info } or { success: false, error }
+     */
+    async getInfo() {
+        try {
+            const response = await this.query(this.commandPrefixes.getInfo, 'infoResponse');
+            const info = QueryService.parseInfoString(response.split('\n')[0]);
+
+            return {
+                success: true,
+                info,
+                ...QueryService.summarize(info)
+            };
+        } catch (error) {
+            logger.debug(`getinfo failed for ${this.ip}:${this.port}: ${error.message}`);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Query the server dvars and player list
+     * @async
+     * @returns {Promise<Object>} { success, info, players } or { success: false, error }
+     */
+    async getStatus() {
+        try {
+            const response = await this.query(this.commandPrefixes.getStatus, 'statusResponse');
+            const [infoString, ...lines] = response.split('\n');
+            const info = QueryService.parseInfoString(infoString);
+            const players = QueryService.parsePlayers(lines);
+
+            return {
+                success: true,
+                info,
+                players,
+                ...QueryService.summarize(info, players)
+            };
+        } catch (error) {
+            logger.debug(`getstatus failed for ${this.ip}:${this.port}: ${error.message}`);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Parse an infostring (\key\value\key\value)
+     * @param {string} infoString - Infostring
+     * @returns {Object} Key/value pairs
+     */
+    static parseInfoString(infoString) {
+        const info = {};
+        const parts = String(infoString || '').trim().split('\\');
+
+        // The string starts with a separator, the first part is empty
+        for (let i = parts[0] === '' ? 1 : 0; i + 1 < parts.length; i += 2) {
+            info[parts[i]] = parts[i + 1];
+        }
+
+        return info;
+    }
+
+    /**
+     * Parse the player lines of a getstatus reply
+     * @param {Array<string>} lines - Lines following the infostring
+     * @returns {Array<Object>} Players { score, ping, name }
+     */
+    static parsePlayers(lines) {
+        const players = [];
+
+        for (const line of lines) {
+            const match = PLAYER_LINE.exec(line.trim());
+            if (!match) continue;
+
+            players.push({
+                score: parseInt(match[1]),
+                ping: parseInt(match[2]),
+                name: match[3]
+            });
+        }
+
+        return players;
+    }
+
+    /**
+     * Pick the common fields of a getinfo or getstatus reply, key names differ between games
+     * @param {Object} info - Parsed infostring
+     * @param {Array<Object>} players - Players from getstatus, if any
+     * @returns {Object} { hostname, mapName, gametype, playerCount, maxClients }
+     */
+    static summarize(info, players = null) {
+        const pick = (...keys) => {
+            const key = keys.find(name => info[name] !== undefined);
+            return key ? info[key] : null;
+        };
+        const toNumber = (value) => (value === null || isNaN(parseInt(value)) ? null : parseInt(value));
+
+        return {
+            hostname: pick('hostname', 'sv_hostname'),
+            mapName: pick('mapname'),
+            gametype: pick('gametype', 'g_gametype'),
+            playerCount: players ? players.length : toNumber(pick('clients')),
+            maxClients: toNumber(pick('sv_maxclients', 'sv_maxClients', 'maxclients'))
+        };
+    }
+}
+
+module.exports = QueryService;
@@ -0,0 +1,538 @@
+/**
+ * Rank Service - Rank ladders defined by admins and the rank of each player in them
+ * Ranks are recomputed for the players of a match once its stats are stored (rated multiplayer
+ * matches, finished zombies matches), promotions and demotions are announced in game.
+ * Creating or changing a ladder recomputes it for every player, silently
+ */
+const logger = require('../core/Logger');
+const RankLadder = require('../core/RankLadder');
+const Ladder = require('../models/Ladder');
+const RankRepository = require('../repositories/RankRepository');
+const PlayerRepository = require('../repositories/PlayerRepository');
+
+// Ladders created when none exist
+const DEFAULT_LADDERS = [
+    {
+        name: 'Multiplayer',
+        description: 'Military ranks earned with kills, higher ranks also need a good K/D ratio',
+        metric: 'kills',
+        ranks: [
+            { name: 'Recruit', color: '^7', requirements: {} },
+            { name: 'Private', color: '^2', requirements: { kills: 50 } },
+            { name: 'Specialist', color: '^3', requirements: { kills: 150 } },
+            { name: 'Corporal', color: '^3', requirements: { kills: 300 } },
+            { name: 'Sergeant', color: '^4', requirements: { kills: 500, kd: 0.8 } },
+            { name: 'Lieutenant', color: '^5', requirements: { kills: 1000, kd: 1 } },
+            { name: 'Captain', color: '^5', requirements: { kills: 2000, kd: 1.1, matches: 50 } },
+            { name: 'Major', color: '^6', requirements: { kills: 3500, kd: 1.2, matches: 100 } },
+            { name: 'Colonel', color: '^1', requirements: { kills: 5000, kd: 1.3, matches: 200 } },
+            { name: 'General', color: '^1', requirements: { kills: 10000, kd: 1.5, matches: 400 } }
+        ]
+    },
+    {
+        name: 'Zombies',
+        description: 'Survivor ranks earned with the highest round reached and teammates revived',
+        metric: 'highestRound',
+        ranks: [
+            { name: 'Survivor', color: '^7', requirements: {} },
+            { name: 'Scavenger', color: '^2', requirements: { highestRound: 10 } },
+            { name: 'Veteran', color: '^3', requirements: { highestRound: 20, revives: 25 } },
+            { name: 'Medic', color: '^5', requirements: { highestRound: 30, revives: 100 } },
+            { name: 'Legend', color: '^1', requirements: { highestRound: 50, revives: 250 } }
+        ]
+    }
+];
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    // Say promotions and demotions in game, each ladder can also turn them off
+    announce: true,
+    ladders: DEFAULT_LADDERS
+};
+
+class RankService {
+    /**
+     * Create a new RankService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager owning the server instances
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(db, serverManager, services = {}) {
+        this.rankRepository = new RankRepository(db);
+        this.playerRepository = new PlayerRepository(db);
+        this.serverManager = serverManager;
+        this.services = services;
+        this.settings = { ...DEFAULT_SETTINGS, ...services.configService?.config?.ranks };
+
+        this.handleRatingsUpdated = this.handleRatingsUpdated.bind(this);
+        this.handleZombiesMatchEnded = this.handleZombiesMatchEnded.bind(this);
+    }
+
+    /**
+     * Create the default ladders on first start and follow the stored matches
+     * @returns {Promise<void>}
+     */
+    async attach() {
+        if (!this.settings.enabled) {
+            logger.info('Rank ladders disabled');
+            return;
+        }
+
+        const eventService = this.services.eventService;
+        if (eventService) {
+            eventService.on('ratings.updated', this.handleRatingsUpdated);
+            eventService.on('zombies.match.ended', this.handleZombiesMatchEnded);
+        }
+
+        try {
+            const ladders = await this.rankRepository.getLadders();
+            if (ladders.length === 0) {
+                for (const data of this.settings.ladders || []) {
+                    const result = await this.createLadder(data, 'system');
+                    if (!result.success) {
+                        logger.warn(`Default rank ladder ${data.name} skipped: ${result.error}`);
+                    }
+                }
+            }
+        } catch (error) {
+            logger.error(`Error creating the default rank ladders: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop following the matches
+     */
+    detach() {
+        const eventService = this.services.eventService;
+        if (eventService) {
+            eventService.off('ratings.updated', this.handleRatingsUpdated);
+            eventService.off('zombies.match.ended', this.handleZombiesMatchEnded);
+        }
+    }
+
+    /**
+     * Recompute the ranks of the players of a rated multiplayer match
+     * @param {Object} event - Event data { serverId, data: { guids, source } }
+     * @returns {Promise<void>}
+     */
+    async handleRatingsUpdated(event) {
+        try {
+            const { guids = [], source } = event.data || {};
+
+            // Stored matches are rated in bulk on start, the players are not in game anymore
+            await this.updatePlayers(guids, { serverId: event.serverId, announce: source === 'log' });
+        } catch (error) {
+            logger.error(`Error updating ranks after a rated match: ${error.message}`);
+        }
+    }
+
+    /**
+     * Recompute the ranks of the players of a finished zombies match
+     * @param {Object} event - Event data { matchId, serverId }
+     * @returns {Promise<void>}
+     */
+    async handleZombiesMatchEnded(event) {
+        try {
+            const guids = await this.rankRepository.getZombiesMatchPlayers(event.matchId);
+            await this.updatePlayers(guids, { serverId: event.serverId, announce: true });
+        } catch (error) {
+            logger.error(`Error updating ranks after zombies match ${event.matchId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Recompute the ranks of some players in every enabled ladder
+     * @param {Array<string>} guids - Player GUIDs
+     * @param {Object} options - { serverId, announce }
+     * @returns {Promise<Array<Object>>} Rank changes { ladder, guid, name, from, to, promoted }
+     */
+    async updatePlayers(guids, { serverId = null, announce = false } = {}) {
+        const unique = [...new Set(guids.filter(Boolean))];
+        if (unique.length === 0) return [];
+
+        const changes = [];
+        const ladders = await this.rankRepository.getLadders();
+
+        for (const ladder of ladders.filter(l => l.enabled)) {
+            changes.push(...await this.computeLadder(ladder, unique));
+        }
+
+        if (announce && serverId) {
+            await this.announce(serverId, changes);
+        }
+
+        for (const change of changes) {
+            await this.publish(serverId, change);
+        }
+
+        return changes;
+    }
+
+    /**
+     * Recompute a ladder for every player, nothing is announced
+     * @param {Ladder} ladder - Ladder
+     * @returns {Promise<number>} Players whose rank changed
+     */
+    async recomputeLadder(ladder) {
+        const changes = await this.computeLadder(ladder, null);
+        logger.info(`Rank ladder ${ladder.name} recomputed, ${changes.length} rank changes`);
+
+        return changes.length;
+    }
+
+    /**
+     * Compute and store the ranks of players in a ladder
+     * @param {Ladder} ladder - Ladder
+     * @param {Array<string>|null} guids - Player GUIDs, null for every player with stats
+     * @returns {Promise<Array<Object>>} Rank changes, a first rank above the lowest one counts as a promotion
+     * @private
+     */
+    async computeLadder(ladder, guids) {
+        const rankLadder = ladder.getRankLadder();
+        const players = await this.rankRepository.getMetrics(ladder, guids);
+        const stored = await this.rankRepository.getPlayerRanks(ladder.id, guids ? Array.from(players.keys()) : null);
+        const changes = [];
+
+        for (const player of players.values()) {
+            const index = rankLadder.getRankIndex(player.metrics);
+            const value = rankLadder.getValue(player.metrics);
+            const previous = stored.get(player.guid);
+            const from = previous ? previous.rankIndex : 0;
+
+            if (previous && previous.rankIndex === index && previous.metricValue === value) continue;
+
+            await this.rankRepository.savePlayerRank({
+                ladderId: ladder.id,
+                guid: player.guid,
+                name: player.name,
+                rankIndex: index,
+                rankName: rankLadder.ranks[index].name,
+                metricValue: value
+            });
+
+            if (index !== from) {
+                changes.push({
+                    ladder,
+                    guid: player.guid,
+                    name: player.name,
+                    from: rankLadder.ranks[from] || null,
+                    to: rankLadder.ranks[index],
+                    promoted: index > from
+                });
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Say the rank changes of the players still on a server
+     * @param {string} serverId - Server ID
+     * @param {Array<Object>} changes - Rank changes
+     * @returns {Promise<void>}
+     * @private
+     */
+    async announce(serverId, changes) {
+        if (!this.settings.announce || !this.serverManager) return;
+
+        const server = this.serverManager.getServerById(serverId);
+        if (!server) return;
+
+        for (const change of changes) {
+            if (!change.ladder.announce) continue;
+
+            const rank = `${change.to.color}${change.to.name}^7`;
+            const message = change.promoted
+                ? `^5${change.name}^7 has been promoted to ${rank} (${change.ladder.name})`
+                : `^5${change.name}^7 was demoted to ${rank} (${change.ladder.name})`;
+
+            await server.say(message);
+        }
+    }
+
+    /**
+     * Get the ladders
+     * @returns {Promise<Array<Ladder>>} Ladders
+     */
+    async getLadders() {
+        try {
+            return await this.rankRepository.getLadders();
+        } catch (error) {
+            console.error('Error in RankService.getLadders:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a ladder with the number of players holding each rank
+     * @param {number} id - Ladder ID
+     * @returns {Promise<Object|null>} { ladder, distribution } or null if not found
+     */
+    async getLadder(id) {
+        try {
+            const ladder = await this.rankRepository.getLadder(id);
+            if (!ladder) return null;
+
+            const counts = await this.rankRepository.countPlayersByRank(ladder.id);
+            const distribution = ladder.getRankLadder().ranks.map((rank, index) => ({
+                ...rank,
+                players: counts.get(index) || 0
+            }));
+
+            return { ladder, distribution };
+        } catch (error) {
+            console.error('Error in RankService.getLadder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a ladder and rank every player in it
+     * @param {Object} data - { name, description, game, modes, metric, ranks, announce, enabled }
+     * @param {string} createdBy - Username of the admin
+     * @returns {Promise<Object>} { success, ladder } or { success: false, error, code }
+     */
+    async createLadder(data, createdBy) {
+        try {
+            const ladder = new Ladder({ ...this.toLadderData(data), createdBy });
+
+            const error = await this.validateLadder(ladder);
+            if (error) return error;
+
+            await this.rankRepository.createLadder(ladder);
+            if (ladder.enabled) await this.recomputeLadder(ladder);
+
+            return { success: true, ladder };
+        } catch (error) {
+            console.error('Error in RankService.createLadder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a ladder and rank every player again
+     * @param {number} id - Ladder ID
+     * @param {Object} data - Fields to change
+     * @returns {Promise<Object>} { success, ladder, before } or { success: false, error, code }
+     */
+    async updateLadder(id, data) {
+        try {
+            const existing = await this.rankRepository.getLadder(id);
+            if (!existing) return { success: false, error: 'Ladder not found', code: 404 };
+
+            const ladder = new Ladder({ ...existing, ...this.toLadderData({ ...existing, ...data }) });
+
+            const error = await this.validateLadder(ladder);
+            if (error) return error;
+
+            await this.rankRepository.updateLadder(ladder);
+            if (ladder.enabled) await this.recomputeLadder(ladder);
+
+            return { success: true, ladder, before: existing };
+        } catch (error) {
+            console.error('Error in RankService.updateLadder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a ladder and the ranks of its players
+     * @param {number} id - Ladder ID
+     * @returns {Promise<Ladder|null>} Deleted ladder or null if not found
+     */
+    async deleteLadder(id) {
+        try {
+            const ladder = await this.rankRepository.getLadder(id);
+            if (!ladder) return null;
+
+            await this.rankRepository.deleteLadder(ladder.id);
+            return ladder;
+        } catch (error) {
+            console.error('Error in RankService.deleteLadder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count the players who would hold each rank of a ladder, nothing is stored
+     * @param {Object} data - Ladder definition, merged over the stored ladder when an ID is given
+     * @param {number|null} id - ID of the stored ladder to compare with
+     * @returns {Promise<Object>} { success, ranks, total, promoted, demoted } or { success: false, error, code }
+     */
+    async previewLadder(data, id = null) {
+        try {
+            let existing = null;
+            if (id !== null) {
+                existing = await this.rankRepository.getLadder(id);
+                if (!existing) return { success: false, error: 'Ladder not found', code: 404 };
+            }
+
+            const ladder = new Ladder(this.toLadderData({ ...existing, ...data }));
+            const rankLadder = ladder.getRankLadder();
+
+            try {
+                rankLadder.validate();
+            } catch (error) {
+                return { success: false, error: error.message, code: 400 };
+            }
+
+            const players = await this.rankRepository.getMetrics(ladder, null);
+            const stored = existing ? await this.rankRepository.getPlayerRanks(existing.id, null) : new Map();
+            const counts = rankLadder.ranks.map(() => 0);
+            let promoted = 0;
+            let demoted = 0;
+
+            for (const player of players.values()) {
+                const index = rankLadder.getRankIndex(player.metrics);
+                counts[index]++;
+
+                // Ranks are compared by name, the order of the ranks may have changed
+                const previous = stored.get(player.guid);
+                if (!previous) continue;
+
+                const previousIndex = rankLadder.ranks.findIndex(rank => rank.name === previous.rankName);
+                if (previousIndex !== -1 && index > previousIndex) promoted++;
+                if (previousIndex !== -1 && index < previousIndex) demoted++;
+            }
+
+            return {
+                success: true,
+                ranks: rankLadder.ranks.map((rank, index) => ({ ...rank, players: counts[index] })),
+                total: players.size,
+                promoted,
+                demoted
+            };
+        } catch (error) {
+            console.error('Error in RankService.previewLadder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the ranks of a player in every enabled ladder with the progress towards the next rank
+     * @param {Object} player - { guid } of a connected player or a stored player
+     * @returns {Promise<Array<Object>>} { ladder, rank, next, value, needed }
+     */
+    async getPlayerRanks(player) {
+        try {
+            const ladders = (await this.rankRepository.getLadders()).filter(ladder => ladder.enabled);
+            const stored = new Map((await this.rankRepository.getLadderRanksOfPlayer(player.guid))
+                .map(entry => [entry.ladderId, entry]));
+
+            return ladders.map(ladder => {
+                const rankLadder = ladder.getRankLadder();
+                const entry = stored.get(ladder.id);
+                const index = entry ? Math.min(entry.rankIndex, rankLadder.ranks.length - 1) : 0;
+                const next = rankLadder.ranks[index + 1] || null;
+                const value = entry ? entry.metricValue : 0;
+
+                return {
+                    ladder,
+                    rank: rankLadder.ranks[index],
+                    next,
+                    value,
+                    needed: next ? next.requirements[ladder.metric] ?? null : null,
+                    achievedAt: entry ? entry.achievedAt : null
+                };
+            });
+        } catch (error) {
+            console.error('Error in RankService.getPlayerRanks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the ranks of a stored player
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Array<Object>|null>} Ranks or null if the player does not exist
+     */
+    async getStoredPlayerRanks(playerId) {
+        try {
+            const player = await this.playerRepository.getById(playerId);
+            if (!player) return null;
+
+            return await this.getPlayerRanks(player);
+        } catch (error) {
+            console.error('Error in RankService.getStoredPlayerRanks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the ladder fields of a request
+     * @param {Object} data - Request body
+     * @returns {Object} Ladder data with clean ranks
+     * @private
+     */
+    toLadderData(data) {
+        const metric = data.metric || 'kills';
+        const modes = Array.isArray(data.modes)
+            ? data.modes
+            : String(data.modes || '').split(',');
+
+        return {
+            name: String(data.name || '').trim(),
+            description: data.description || '',
+            game: data.game ? String(data.game).trim() : null,
+            modes: modes.map(mode => String(mode).trim()).filter(Boolean),
+            metric,
+            ranks: new RankLadder(metric, Array.isArray(data.ranks) ? data.ranks : []).ranks,
+            announce: data.announce === undefined ? true : !!data.announce,
+            enabled: data.enabled === undefined ? true : !!data.enabled
+        };
+    }
+
+    /**
+     * Check a ladder before it is stored
+     * @param {Ladder} ladder - Ladder
+     * @returns {Promise<Object|null>} { success: false, error, code } or null when valid
+     * @private
+     */
+    async validateLadder(ladder) {
+        if (!ladder.name) {
+            return { success: false, error: 'A ladder name is required', code: 400 };
+        }
+
+        try {
+            ladder.getRankLadder().validate();
+        } catch (error) {
+            return { success: false, error: error.message, code: 400 };
+        }
+
+        const existing = await this.rankRepository.getLadderByName(ladder.name);
+        if (existing && existing.id !== ladder.id) {
+            return { success: false, error: `A ladder named ${ladder.name} already exists`, code: 409 };
+        }
+
+        return null;
+    }
+
+    /**
+     * Store a rank change in the events
+     * @param {string|null} serverId - Server ID
+     * @param {Object} change - Rank change
+     * @returns {Promise<void>}
+     * @private
+     */
+    async publish(serverId, change) {
+        if (!this.services.eventService) return;
+
+        try {
+            await this.services.eventService.emitAndStore(change.promoted ? 'player.rank.promoted' : 'player.rank.demoted', {
+                serverId,
+                data: {
+                    guid: change.guid,
+                    name: change.name,
+                    ladderId: change.ladder.id,
+                    ladder: change.ladder.name,
+                    from: change.from ? change.from.name : null,
+                    to: change.to.name
+                }
+            }, true);
+        } catch (error) {
+            logger.warn(`Could not store the rank change of ${change.name}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = RankService;
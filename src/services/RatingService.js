@@ -0,0 +1,426 @@
+/**
+ * Rating Service - Skill ratings of the players, per game and game mode
+ * Matches are rated from the kills read in the server logs (K; lines between InitGame and ShutdownGame)
+ * and from the finished matches stored in the matches and player_matches tables.
+ * Deviations grow back for inactive players, which lowers their place in the leaderboard
+ */
+const logger = require('../core/Logger');
+const SkillRating = require('../core/SkillRating');
+const PlayerRating = require('../models/PlayerRating');
+const RatingRepository = require('../repositories/RatingRepository');
+const PlayerRepository = require('../repositories/PlayerRepository');
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    initialRating: 1500,
+    initialDeviation: 350,
+    minDeviation: 50,
+    // Deviation gained per day without a match
+    inactivityGrowth: 25,
+    // Kills and deaths a player needs in a match to be rated
+    minEvents: 3,
+    // Rated matches needed to appear in the leaderboard
+    leaderboardMinMatches: 5
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Deviations of inactive players are grown every hour
+const DECAY_INTERVAL = 60 * 60 * 1000;
+
+// Stored matches rated at once
+const STORED_BATCH_SIZE = 100;
+
+class RatingService {
+    /**
+     * Create a new RatingService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager emitting the kills and match boundaries
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(db, serverManager, services = {}) {
+        this.ratingRepository = new RatingRepository(db);
+        this.playerRepository = new PlayerRepository(db);
+        this.serverManager = serverManager;
+        this.services = services;
+        this.settings = { ...DEFAULT_SETTINGS, ...services.configService?.config?.ratings };
+        this.engine = new SkillRating(this.settings);
+
+        // Server ID -> match being played { matchId, serverId, game, mode, players: Map<guid>, duels: Map }
+        this.liveMatches = new Map();
+        this.decayTimer = null;
+
+        this.handleMatchStart = this.handleMatchStart.bind(this);
+        this.handleMatchEnd = this.handleMatchEnd.bind(this);
+        this.handleKill = this.handleKill.bind(this);
+    }
+
+    /**
+     * Start rating the matches of the servers
+     */
+    attach() {
+        if (!this.settings.enabled) {
+            logger.info('Skill ratings disabled');
+            return;
+        }
+
+        this.serverManager.on('match.start', this.handleMatchStart);
+        this.serverManager.on('match.end', this.handleMatchEnd);
+        this.serverManager.on('player.kill', this.handleKill);
+
+        this.processStoredMatches().catch(error => {
+            logger.error(`Error rating the stored matches: ${error.message}`);
+        });
+
+        this.decayTimer = setInterval(() => {
+            this.applyDecay().catch(error => logger.error(`Error growing rating deviations: ${error.message}`));
+        }, DECAY_INTERVAL);
+        this.decayTimer.unref();
+    }
+
+    /**
+     * Stop rating matches, the matches being played are dropped
+     */
+    detach() {
+        this.serverManager.off('match.start', this.handleMatchStart);
+        this.serverManager.off('match.end', this.handleMatchEnd);
+        this.serverManager.off('player.kill', this.handleKill);
+
+        clearInterval(this.decayTimer);
+        this.decayTimer = null;
+        this.liveMatches.clear();
+    }
+
+    /**
+     * Start following a match, a match still followed on the server is rated first
+     * @param {Object} data - Event data { serverId, game, gametype, mapName }
+     * @returns {Promise<void>}
+     */
+    async handleMatchStart(data) {
+        try {
+            await this.finishLiveMatch(data.serverId);
+
+            const startedAt = new Date();
+            this.liveMatches.set(data.serverId, {
+                matchId: `${data.serverId}-${startedAt.getTime()}`,
+                serverId: data.serverId,
+                game: data.game || 'unknown',
+                mode: data.gametype,
+                mapName: data.mapName,
+                startedAt,
+                players: new Map(),
+                duels: new Map()
+            });
+        } catch (error) {
+            logger.error(`Error starting the rated match of server ${data.serverId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rate the match of a server once it ends
+     * @param {Object} data - Event data { serverId }
+     * @returns {Promise<void>}
+     */
+    async handleMatchEnd(data) {
+        try {
+            await this.finishLiveMatch(data.serverId);
+        } catch (error) {
+            logger.error(`Error rating the match of server ${data.serverId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count a kill in the match being played, suicides and kills by the world are ignored
+     * @param {Object} data - Event data { serverId, attacker, victim }
+     */
+    handleKill(data) {
+        const match = this.liveMatches.get(data.serverId);
+        const { attacker, victim } = data;
+
+        if (!match || !attacker || !victim || !attacker.guid || !victim.guid || attacker.guid === victim.guid) {
+            return;
+        }
+
+        this.getLivePlayer(match, attacker).kills++;
+        this.getLivePlayer(match, victim).deaths++;
+
+        const duel = `${attacker.guid} ${victim.guid}`;
+        match.duels.set(duel, (match.duels.get(duel) || 0) + 1);
+    }
+
+    /**
+     * Rate the match followed on a server and stop following it
+     * @param {string} serverId - Server ID
+     * @returns {Promise<Array<Object>|null>} Rating changes or null if nothing was rated
+     */
+    async finishLiveMatch(serverId) {
+        const match = this.liveMatches.get(serverId);
+        if (!match) return null;
+
+        this.liveMatches.delete(serverId);
+        if (!match.mode || match.players.size === 0) return null;
+
+        return await this.rateMatch({
+            matchId: match.matchId,
+            serverId: match.serverId,
+            game: match.game,
+            mode: match.mode,
+            endedAt: new Date(),
+            players: Array.from(match.players.values()),
+            duels: match.duels,
+            source: 'log'
+        });
+    }
+
+    /**
+     * Rate the finished matches of the matches table not rated yet
+     * @returns {Promise<number>} Matches rated
+     */
+    async processStoredMatches() {
+        let processed = 0;
+        let batch;
+
+        do {
+            batch = await this.ratingRepository.getUnratedMatches(STORED_BATCH_SIZE);
+
+            for (const match of batch) {
+                const players = await this.ratingRepository.getMatchPlayers(match.id);
+
+                await this.rateMatch({
+                    matchId: match.id,
+                    serverId: match.serverId,
+                    game: match.game || 'unknown',
+                    mode: match.mode,
+                    endedAt: new Date(match.endTime),
+                    players,
+                    teamScores: RatingService.getTeamScores(players),
+                    source: 'stored'
+                });
+                processed++;
+            }
+        } while (batch.length === STORED_BATCH_SIZE);
+
+        if (processed > 0) {
+            logger.info(`Rated ${processed} stored matches`);
+        }
+
+        return processed;
+    }
+
+    /**
+     * Rate a match and store the new ratings, a match is only rated once
+     * @param {Object} match - Match results
+     * @param {string} match.matchId - Match ID
+     * @param {string} match.serverId - Server ID
+     * @param {string} match.game - Game
+     * @param {string} match.mode - Game mode
+     * @param {Date} match.endedAt - End of the match
+     * @param {Array<Object>} match.players - { guid, playerId, name, team, kills, deaths, score }
+     * @param {Map<string, number>} match.duels - Kills by "attackerGuid victimGuid"
+     * @param {Object|null} match.teamScores - Score of each team
+     * @param {string} match.source - 'log' or 'stored'
+     * @returns {Promise<Array<Object>|null>} Rating changes { key, rating, deviation, delta } or null if already rated
+     */
+    async rateMatch(match) {
+        try {
+            const players = match.players.filter(player =>
+                player.guid && player.kills + player.deaths >= this.settings.minEvents
+            );
+
+            const isNew = await this.ratingRepository.markMatchRated({
+                matchId: match.matchId,
+                serverId: match.serverId,
+                game: match.game,
+                mode: match.mode,
+                players: players.length >= 2 ? players.length : 0,
+                source: match.source
+            });
+
+            if (!isNew) return null;
+            if (players.length < 2) return [];
+
+            const endedAt = match.endedAt || new Date();
+            const stored = await this.ratingRepository.getRatings(players.map(p => p.guid), match.game, match.mode);
+
+            const ratings = players.map(player => {
+                const rating = stored.get(player.guid) || new PlayerRating({
+                    playerGuid: player.guid,
+                    game: match.game,
+                    mode: match.mode,
+                    rating: this.settings.initialRating,
+                    deviation: this.settings.initialDeviation
+                });
+
+                const since = rating.decayedAt || rating.lastMatchAt;
+                if (since) {
+                    rating.deviation = this.engine.decay(rating.deviation, (endedAt - new Date(since)) / DAY);
+                }
+
+                return rating;
+            });
+
+            const changes = this.engine.rateMatch(players.map((player, index) => ({
+                key: player.guid,
+                rating: ratings[index].rating,
+                deviation: ratings[index].deviation,
+                team: player.team || null,
+                kills: player.kills,
+                deaths: player.deaths,
+                score: player.score || 0
+            })), { duels: match.duels, teamScores: match.teamScores });
+
+            for (let i = 0; i < players.length; i++) {
+                const player = players[i];
+                const rating = ratings[i];
+
+                rating.rating = changes[i].rating;
+                rating.deviation = changes[i].deviation;
+                rating.playerName = player.name || rating.playerName;
+                rating.playerId = player.playerId || rating.playerId;
+                rating.matches++;
+                rating.kills += player.kills;
+                rating.deaths += player.deaths;
+                rating.lastMatchAt = endedAt;
+                rating.decayedAt = endedAt;
+
+                await this.ratingRepository.save(rating);
+                await this.ratingRepository.addHistory({
+                    playerGuid: player.guid,
+                    game: match.game,
+                    mode: match.mode,
+                    matchId: match.matchId,
+                    serverId: match.serverId,
+                    rating: rating.rating,
+                    deviation: rating.deviation,
+                    delta: changes[i].delta,
+                    kills: player.kills,
+                    deaths: player.deaths,
+                    createdAt: endedAt
+                });
+            }
+
+            logger.debug(`Rated match ${match.matchId} (${match.game} ${match.mode}, ${players.length} players)`);
+
+            // Lets the stats computed from the ratings (rank ladders) follow, without storing an event
+            if (this.services.eventService) {
+                await this.services.eventService.emitAndStore('ratings.updated', {
+                    serverId: match.serverId,
+                    data: { matchId: match.matchId, game: match.game, mode: match.mode, source: match.source, guids: players.map(p => p.guid) }
+                });
+            }
+
+            return changes;
+        } catch (error) {
+            logger.error(`Error rating match ${match.matchId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Grow the deviation of the players who did not play for a day or more
+     * @param {Date} now - Reference date
+     * @returns {Promise<number>} Ratings updated
+     */
+    async applyDecay(now = new Date()) {
+        const ratings = await this.ratingRepository.getRatingsToDecay(new Date(now - DAY), this.settings.initialDeviation);
+
+        for (const rating of ratings) {
+            const since = new Date(rating.decayedAt || rating.lastMatchAt);
+            rating.deviation = this.engine.decay(rating.deviation, (now - since) / DAY);
+            rating.decayedAt = now;
+            await this.ratingRepository.save(rating);
+        }
+
+        return ratings.length;
+    }
+
+    /**
+     * Get the leaderboard of a game mode
+     * @param {Object} filters - { game, mode, search, minMatches }
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object>} { ratings, total }
+     */
+    async getLeaderboard(filters = {}, limit = 20, offset = 0) {
+        try {
+            return await this.ratingRepository.getLeaderboard({
+                minMatches: this.settings.leaderboardMinMatches,
+                ...filters
+            }, limit, offset);
+        } catch (error) {
+            console.error('Error in RatingService.getLeaderboard:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the game modes with ratings
+     * @returns {Promise<Array<Object>>} { game, mode, players }
+     */
+    async getModes() {
+        try {
+            return await this.ratingRepository.getModes();
+        } catch (error) {
+            console.error('Error in RatingService.getModes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the ratings of a stored player and their history
+     * @param {string} playerId - Player ID
+     * @param {Object} filters - History filters { game, mode }
+     * @param {number} limit - History entries to return
+     * @returns {Promise<Object|null>} { ratings, history } or null if the player does not exist
+     */
+    async getPlayerRatings(playerId, filters = {}, limit = 100) {
+        try {
+            const player = await this.playerRepository.getById(playerId);
+            if (!player) return null;
+
+            return {
+                ratings: await this.ratingRepository.getPlayerRatings(player.guid),
+                history: await this.ratingRepository.getHistory(player.guid, filters, limit)
+            };
+        } catch (error) {
+            console.error('Error in RatingService.getPlayerRatings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the entry of a player in a followed match
+     * @param {Object} match - Followed match
+     * @param {ActivePlayer} player - Connected player
+     * @returns {Object} { guid, playerId, name, kills, deaths }
+     * @private
+     */
+    getLivePlayer(match, player) {
+        let entry = match.players.get(player.guid);
+
+        if (!entry) {
+            entry = { guid: player.guid, playerId: player.clientId || null, name: player.name, kills: 0, deaths: 0 };
+            match.players.set(player.guid, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Sum the scores of each team of a stored match
+     * @param {Array<Object>} players - Match players { team, score }
+     * @returns {Object|null} Score by team, null unless at least two teams played
+     */
+    static getTeamScores(players) {
+        const scores = {};
+
+        for (const player of players) {
+            if (!player.team || player.team === 'none') continue;
+            scores[player.team] = (scores[player.team] || 0) + (player.score || 0);
+        }
+
+        return Object.keys(scores).length >= 2 ? scores : null;
+    }
+}
+
+module.exports = RatingService;
@@ -0,0 +1,161 @@
+/**
+ * RCON Console Service - Runs RCON commands sent by web users
+ * Every command is stored with its response, which gives the console history and the audit trail
+ */
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../core/Logger');
+const RconCommandRepository = require('../repositories/RconCommandRepository');
+
+// Console commands offered by the autocomplete on every game
+const COMMON_COMMANDS = [
+    'status', 'serverinfo', 'systeminfo', 'cvarlist', 'cmdlist',
+    'say', 'tell', 'clientkick', 'kick', 'banclient', 'tempbanclient', 'unbanuser',
+    'map', 'map_rotate', 'map_restart', 'fast_restart', 'set', 'seta', 'reset',
+    'g_gametype', 'g_password', 'g_speed', 'g_gravity', 'sv_hostname', 'sv_maxclients',
+    'sv_mapRotation', 'sv_mapRotationCurrent', 'sv_privateClients', 'scr_game_forceradar'
+];
+
+// Stored responses are truncated to keep the table small
+const MAX_RESPONSE_LENGTH = 8000;
+
+class RconConsoleService extends EventEmitter {
+    /**
+     * Create a new RconConsoleService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager owning the server instances
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(db, serverManager, services = {}) {
+        super();
+
+        this.commandRepository = new RconCommandRepository(db);
+        this.serverManager = serverManager;
+        this.eventService = services.eventService;
+    }
+
+    /**
+     * Run a command on a server and record it
+     * @param {string} serverId - Server ID
+     * @param {string} command - RCON command
+     * @param {Object} user - Web user sending the command { id, username }
+     * @param {string} source - 'api' or 'socket'
+     * @returns {Promise<Object>} Entry { id, serverId, command, response, success, username, createdAt }
+     */
+    async execute(serverId, command, user, source = 'api') {
+        try {
+            const text = typeof command === 'string' ? command.trim() : '';
+            if (!text) {
+                throw new Error('A command is required');
+            }
+
+            // One command per packet, the game stops reading at the first line break
+            if (/[\r\n]/.test(text)) {
+                throw new Error('Only a single command can be sent at once');
+            }
+
+            const server = this.serverManager && this.serverManager.getServerById(serverId);
+            if (!server || !server.isRunning()) {
+                throw new Error('Server is not running');
+            }
+
+            const entry = {
+                id: uuidv4(),
+                serverId: String(serverId),
+                userId: user.id,
+                username: user.username,
+                command: text,
+                response: null,
+                success: true,
+                source,
+                createdAt: new Date()
+            };
+
+            this.emit('command.sent', entry);
+
+            try {
+                const response = await server.rcon.executeCommandAsync(text);
+                entry.response = String(response || '').slice(0, MAX_RESPONSE_LENGTH);
+            } catch (error) {
+                entry.success = false;
+                entry.response = error.message;
+            }
+
+            logger.info(`RCON command by ${user.username} on ${server.name}: ${text}`);
+
+            await this.commandRepository.create(entry);
+            this.emit('command.response', entry);
+
+            if (this.eventService) {
+                await this.eventService.emitAndStore('server.rcon.command', {
+                    serverId: entry.serverId,
+                    data: {
+                        userId: entry.userId,
+                        username: entry.username,
+                        command: entry.command,
+                        success: entry.success,
+                        source
+                    }
+                }, true);
+            }
+
+            return entry;
+        } catch (error) {
+            console.error('Error in RconConsoleService.execute:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the commands a user previously sent to a server
+     * @param {string} userId - User ID
+     * @param {string} serverId - Server ID
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<string>>} Commands, most recently used first
+     */
+    async getHistory(userId, serverId, limit = 50) {
+        try {
+            return await this.commandRepository.getUserHistory(userId, String(serverId), limit);
+        } catch (error) {
+            console.error('Error in RconConsoleService.getHistory:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the latest commands sent to a server by all users, with their responses
+     * @param {string} serverId - Server ID
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<Object>>} Entries, oldest first
+     */
+    async getRecentCommands(serverId, limit = 50) {
+        try {
+            return await this.commandRepository.getServerCommands(String(serverId), limit);
+        } catch (error) {
+            console.error('Error in RconConsoleService.getRecentCommands:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the commands and dvars offered by the console autocomplete
+     * @param {string} serverId - Server ID
+     * @returns {Array<string>} Sorted suggestions
+     */
+    getSuggestions(serverId) {
+        const suggestions = new Set(COMMON_COMMANDS);
+        const server = this.serverManager && this.serverManager.getServerById(serverId);
+
+        // Dvar names known for the game of the server
+        const dvars = server && server.rcon && server.rcon.commandPrefixes && server.rcon.commandPrefixes.Dvars;
+        if (dvars) {
+            Object.values(dvars)
+                .filter(value => typeof value === 'string')
+                .forEach(value => suggestions.add(value));
+        }
+
+        return Array.from(suggestions).sort((a, b) => a.localeCompare(b));
+    }
+}
+
+module.exports = RconConsoleService;
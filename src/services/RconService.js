@@ -3,7 +3,7 @@
  * Handles communication with game servers using the RCON protocol
  */
 const dgram = require('dgram');
-const path = require('path');
+const net = require('net');
 const Mutex = require('../utils/Mutex');
 const logger = require('../core/Logger');
 
@@ -12,8 +12,29 @@ const debugModule = require('debug');
 const debug = debugModule('nsm:rcon');
 const verboseDebug = debugModule('nsm:rcon:verbose');
 
+// Every out-of-band packet starts with four 0xff bytes
+const PACKET_HEADER = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+
+// Header line of the console output packets
+const PRINT_HEADER = 'print\n';
+
+// Replies meaning the command was refused, sending it again would not help
+const REJECTED_REPLIES = [/^Invalid password/i, /^Bad rcon ?password/i, /^No rcon ?password set/i];
+
+// Console commands that only read the server state, the only ones sent again after a timeout:
+// a state-changing command may have run even though its reply was lost (a second say, kick or map change)
+const READ_ONLY_COMMANDS = ['status', 'teamstatus', 'serverinfo', 'systeminfo', 'cvarlist', 'dvarlist', 'cmdlist'];
+
+const DEFAULT_OPTIONS = {
+    timeout: 5000,
+    retries: 2,
+    idleWindow: 300
+};
+
 /**
  * RCON (Remote Console) Service for game server communication
+ * One request is in flight at a time: the game does not echo anything that identifies a request,
+ * so every packet received from the server belongs to the pending command
  */
 class RconService {
     /**
@@ -23,8 +44,9 @@ class RconService {
      * @param {string} password - RCON password
      * @param {string} game - Game type (CoD engine version: T4, T5, T6, IW4, IW5, etc.)
      * @param {Object} commandPrefixes - Command prefixes for the game type
+     * @param {Object} options - { timeout, retries, idleWindow } in milliseconds, retries per read-only command
      */
-    constructor(ip, port, password, game = 't6', commandPrefixes = null) {
+    constructor(ip, port, password, game = 't6', commandPrefixes = null, options = {}) {
         this.ip = ip;
         this.port = parseInt(port);
         this.password = password;
@@ -32,11 +54,19 @@ class RconService {
 
         // Set up command prefixes based on game type
         this.commandPrefixes = commandPrefixes || this.getCommandPrefixesByGame(this.game);
-        
+
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        this.timeout = settings.timeout;
+        this.retries = settings.retries;
+        this.idleWindow = settings.idleWindow;
+
+        // Some servers drop commands sent too close to each other
+        this.commandDelay = this.commandPrefixes.Rcon.commandDelay || 0;
+        this.lastCommandAt = 0;
+
         // Set up socket and request tracking
         this.socket = null;
-        this.requests = {};
-        this.requestCounter = 0;
+        this.pending = null;
         this.mutex = new Mutex();
         
         // Initialize with disconnected state
@@ -54,9 +84,9 @@ class RconService {
     getCommandPrefixesByGame(gameType) {
         try {
             const gameTypeMap = {
-                't4': 'IW3', // World at War
+                't4': 'T4', // World at War
                 't5': 'IW3', // Black Ops
-                't6': 'IW3', // Black Ops 2
+                't6': 'T6', // Black Ops 2
                 'iw3': 'IW3', // CoD4
                 'iw4': 'IW4', // MW2
                 'iw5': 'IW5', // MW3
@@ -113,6 +143,8 @@ class RconService {
     
     /**
      * Handle incoming socket messages
+     * Long outputs are split over several packets, each one restarts the idle window
+     * and the response is complete once the server stays quiet for that long
      * @private
      * @param {Buffer} message - Message buffer
      * @param {Object} info - Message info
@@ -120,77 +152,210 @@ class RconService {
     handleSocketMessage(message, info) {
         try {
             verboseDebug(`RCON received from ${info.address}:${info.port}: ${message.toString('utf8')}`);
-            
-            // Extract request ID and resolve promise
-            const requestId = message.toString('utf8').substring(0, 4);
-            
-            if (this.requests[requestId]) {
-                const { resolve, command } = this.requests[requestId];
-                const response = message.toString('utf8').substring(4);
-                
-                debug(`RCON response for command [${command}]: ${response.length} bytes`);
-                resolve(response);
-                
-                // Clean up request
-                delete this.requests[requestId];
+
+            if (!this.isFromServer(info)) {
+                debug(`Ignoring packet from ${info.address}:${info.port}`);
+                return;
+            }
+
+            const request = this.pending;
+            if (!request) {
+                // Tail of a command that already completed or timed out
+                debug(`Ignoring unexpected packet from ${this.ip}:${this.port}`);
+                return;
             }
+
+            request.chunks.push(this.readPacket(message));
+
+            clearTimeout(request.timeoutTimer);
+            clearTimeout(request.idleTimer);
+            request.idleTimer = setTimeout(() => this.completeRequest(request), this.idleWindow);
         } catch (error) {
             logger.error(`Error handling RCON response: ${error.message}`);
         }
     }
+
+    /**
+     * Whether a packet was sent by this server
+     * @private
+     * @param {Object} info - Message info
+     * @returns {boolean} True if the packet comes from the server
+     */
+    isFromServer(info) {
+        if (info.port !== this.port) return false;
+
+        // Host names are resolved by the socket, only literal addresses can be compared
+        return !net.isIP(this.ip) || info.address === this.ip;
+    }
+
+    /**
+     * Get the console text of a packet
+     * @private
+     * @param {Buffer} message - Message buffer
+     * @returns {string} Packet text without the out-of-band header
+     */
+    readPacket(message) {
+        let text = message.subarray(0, PACKET_HEADER.length).equals(PACKET_HEADER)
+            ? message.subarray(PACKET_HEADER.length).toString('utf8')
+            : message.toString('utf8');
+
+        // Every packet of a multi-packet output repeats the print header
+        if (text.startsWith(PRINT_HEADER)) {
+            text = text.substring(PRINT_HEADER.length);
+        } else if (text.startsWith('print')) {
+            text = text.substring('print'.length);
+        }
+
+        return text;
+    }
+
+    /**
+     * Resolve a request with the packets received so far
+     * @private
+     * @param {Object} request - Pending request
+     */
+    completeRequest(request) {
+        if (this.pending !== request) return;
+        this.pending = null;
+
+        const response = request.chunks.join('');
+        debug(`RCON response for command [${request.command}]: ${request.chunks.length} packets, ${response.length} bytes`);
+
+        const rejected = REJECTED_REPLIES.find(pattern => pattern.test(response.trim()));
+        if (rejected) {
+            request.reject(new Error(`Command rejected by server: ${response.trim()}`));
+            return;
+        }
+
+        request.resolve(response);
+    }
+
+    /**
+     * Send a command once and wait for its full response
+     * @private
+     * @param {string} command - Command to send
+     * @param {number} timeout - Time to wait for the first packet in milliseconds
+     * @returns {Promise<string>} Command response
+     */
+    sendRequest(command, timeout) {
+        return new Promise((resolve, reject) => {
+            const request = { command, chunks: [], resolve, reject, idleTimer: null, timeoutTimer: null };
+
+            const fail = (error) => {
+                if (this.pending !== request) return;
+                this.pending = null;
+                clearTimeout(request.timeoutTimer);
+                clearTimeout(request.idleTimer);
+                reject(error);
+            };
+
+            request.timeoutTimer = setTimeout(() => {
+                const error = new Error(`Command timed out: ${command}`);
+                error.retryable = true;
+                fail(error);
+            }, timeout);
+
+            this.pending = request;
+
+            const buffer = this.buildPacket(command);
+
+            this.socket.send(buffer, 0, buffer.length, this.port, this.ip, (error) => {
+                if (error) fail(error);
+            });
+        });
+    }
+
+    /**
+     * Build the packet of a command
+     * @private
+     * @param {string} command - Command to send
+     * @returns {Buffer} Packet with the raw header bytes and the UTF-8 command
+     */
+    buildPacket(command) {
+        const text = this.commandPrefixes.Rcon.prefix
+            .replace('%PASSWORD%', this.password)
+            .replace('%COMMAND%', command);
+
+        // Encoding the header as UTF-8 would turn each 0xff byte into two bytes
+        const header = PACKET_HEADER.toString('latin1');
+        return text.startsWith(header)
+            ? Buffer.concat([PACKET_HEADER, Buffer.from(text.substring(header.length), 'utf8')])
+            : Buffer.from(text, 'utf8');
+    }
+
+    /**
+     * Wait until the game's minimum delay since the previous command has passed
+     * @private
+     * @returns {Promise<void>}
+     */
+    async waitCommandDelay() {
+        const wait = this.lastCommandAt + this.commandDelay - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+    
+    /**
+     * Whether a command only reads the server state
+     * @param {string} command - Command to send
+     * @returns {boolean} True for the read-only console commands
+     */
+    static isReadOnlyCommand(command) {
+        const name = String(command || '').trim().split(/\s+/)[0].toLowerCase();
+        return READ_ONLY_COMMANDS.includes(name);
+    }
+    
+    /**
+     * Clean text put inside a quoted console command (say, tell, kick reason)
+     * A double quote would end the quoted text and a semicolon would start another console command
+     * @param {*} text - Text, often typed by a player (names, reasons, command arguments)
+     * @returns {string} Text safe to quote
+     */
+    static sanitizeText(text) {
+        return String(text ?? '').replace(/"/g, "'").replace(/;/g, ',');
+    }
     
     /**
      * Send a command to the game server
+     * Commands are sent one at a time, read-only commands are sent again when no reply arrives
      * @async
      * @param {string} command - Command to send
-     * @param {number} timeout - Timeout in milliseconds
+     * @param {number} timeout - Time to wait for a reply to each attempt in milliseconds
+     * @param {Object} options - Options
+     * @param {boolean} options.readOnly - Whether the command only reads the server state (e.g. a dvar read)
      * @returns {Promise<string>} Command response
      */
-    async executeCommandAsync(command, timeout = 5000) {
-        const release = await this.mutex.acquire();
+    async executeCommandAsync(command, timeout = this.timeout, options = {}) {
+        // Read-only servers are followed through queries only
+        if (!this.password) {
+            throw new Error('No RCON password configured for this server');
+        }
+        
+        await this.mutex.lock();
         
         try {
-            // Generate request ID
-            const requestId = (++this.requestCounter % 9999).toString().padStart(4, '0');
-            
-            // Create the full command with password
-            const fullCommand = this.commandPrefixes.rcon.prefix
-                .replace('%PASSWORD%', this.password)
-                .replace('%COMMAND%', command);
-            
-            debug(`Executing RCON command [${requestId}]: ${command}`);
-            
-            // Create promise for response
-            const responsePromise = new Promise((resolve, reject) => {
-                // Store request with timeout
-                this.requests[requestId] = {
-                    resolve,
-                    reject,
-                    command,
-                    timestamp: Date.now()
-                };
-                
-                // Set timeout
-                setTimeout(() => {
-                    if (this.requests[requestId]) {
-                        logger.warn(`RCON command timed out after ${timeout}ms: ${command}`);
-                        reject(new Error(`Command timed out: ${command}`));
-                        delete this.requests[requestId];
-                    }
-                }, timeout);
-            });
-            
-            // Send the command
-            const buffer = Buffer.from(requestId + fullCommand);
-            this.socket.send(buffer, 0, buffer.length, this.port, this.ip);
-            
-            // Wait for response
-            return await responsePromise;
+            debug(`Executing RCON command: ${command}`);
+
+            const readOnly = options.readOnly ?? RconService.isReadOnlyCommand(command);
+            const retries = readOnly ? this.retries : 0;
+
+            for (let attempt = 0; ; attempt++) {
+                await this.waitCommandDelay();
+
+                try {
+                    return await this.sendRequest(command, timeout);
+                } catch (error) {
+                    if (!error.retryable || attempt >= retries) throw error;
+                    logger.warn(`RCON command got no reply, retrying (${attempt + 1}/${retries}): ${command}`);
+                } finally {
+                    this.lastCommandAt = Date.now();
+                }
+            }
         } catch (error) {
             logger.error(`RCON command execution failed: ${error.message}`);
             throw error;
         } finally {
-            release();
+            this.mutex.unlock();
         }
     }
     
@@ -201,7 +366,7 @@ class RconService {
      */
     async getStatus() {
         try {
-            const response = await this.executeCommandAsync(this.commandPrefixes.rcon.status);
+            const response = await this.executeCommandAsync(this.commandPrefixes.Rcon.status, this.timeout, { readOnly: true });
             
             // Parse the status response
             const result = {
@@ -229,19 +394,16 @@ class RconService {
     parseStatusResponse(response) {
         try {
             const clients = [];
-            const statusRegex = this.commandPrefixes.rcon.statusRegex;
-            
-            // Reset regex lastIndex to ensure reliable matching
-            statusRegex.lastIndex = 0;
+            const statusRegex = this.commandPrefixes.Rcon.statusRegex;
             
-            let match;
-            while ((match = statusRegex.exec(response)) !== null) {
-                if (match.index === statusRegex.lastIndex) {
-                    statusRegex.lastIndex++;
-                }
+            // The patterns are anchored to a single line, the output is matched line by line
+            for (const line of response.split(/\r?\n/)) {
+                statusRegex.lastIndex = 0;
+                const match = statusRegex.exec(line);
+                if (!match) continue;
                 
                 // Parse client data using the configured parser
-                const clientData = this.commandPrefixes.rcon.parseStatus(match);
+                const clientData = this.commandPrefixes.Rcon.parseStatus(match);
                 clients.push(clientData);
             }
             
@@ -265,13 +427,23 @@ class RconService {
      */
     async getDvar(dvarName) {
         try {
-            const command = this.commandPrefixes.rcon.getDvar.replace('%DVAR%', dvarName);
-            const response = await this.executeCommandAsync(command);
+            const command = this.commandPrefixes.Rcon.getDvar.replace('%DVAR%', dvarName);
+            const response = await this.executeCommandAsync(command, this.timeout, { readOnly: true });
             
             // Parse DVar response
-            const dvarRegex = this.commandPrefixes.rcon.dvarRegex;
+            const dvarRegex = this.commandPrefixes.Rcon.dvarRegex;
             dvarRegex.lastIndex = 0;
             
+            // Games with several reply formats clean the value themselves
+            const cleanDvarValue = this.commandPrefixes.Rcon.cleanDvarValue;
+            if (cleanDvarValue) {
+                return {
+                    success: true,
+                    name: dvarName,
+                    value: cleanDvarValue(response)
+                };
+            }
+            
             const match = dvarRegex.exec(response);
             if (match) {
                 return {
@@ -303,7 +475,7 @@ class RconService {
      */
     async setDvar(dvarName, value) {
         try {
-            const command = this.commandPrefixes.rcon.setDvar
+            const command = this.commandPrefixes.Rcon.setDvar
                 .replace('%DVAR%', dvarName)
                 .replace('%VALUE%', value);
                 
@@ -331,7 +503,7 @@ class RconService {
      */
     async say(message) {
         try {
-            const command = this.commandPrefixes.rcon.Say.replace('%MESSAGE%', message);
+            const command = this.commandPrefixes.Rcon.Say.replace('%MESSAGE%', RconService.sanitizeText(message));
             await this.executeCommandAsync(command);
             
             return {
@@ -356,9 +528,9 @@ class RconService {
      */
     async tell(client, message) {
         try {
-            const command = this.commandPrefixes.rcon.Tell
-                .replace('%CLIENT%', client)
-                .replace('%MESSAGE%', message);
+            const command = this.commandPrefixes.Rcon.Tell
+                .replace('%CLIENT%', RconService.sanitizeText(client))
+                .replace('%MESSAGE%', RconService.sanitizeText(message));
                 
             await this.executeCommandAsync(command);
             
@@ -385,9 +557,9 @@ class RconService {
      */
     async kick(client, reason = '') {
         try {
-            const command = this.commandPrefixes.rcon.clientKick
-                .replace('%CLIENT%', client)
-                .replace('%REASON%', reason);
+            const command = this.commandPrefixes.Rcon.clientKick
+                .replace('%CLIENT%', RconService.sanitizeText(client))
+                .replace('%REASON%', RconService.sanitizeText(reason));
                 
             await this.executeCommandAsync(command);
             
@@ -412,7 +584,7 @@ class RconService {
      */
     async getMaxClients() {
         try {
-            const result = await this.getDvar(this.commandPrefixes.dvars.maxclients);
+            const result = await this.getDvar(this.commandPrefixes.Dvars.maxclients);
             return result.success ? parseInt(result.value) : 0;
         } catch (error) {
             logger.error(`Failed to get max clients: ${error.message}`);
@@ -427,7 +599,7 @@ class RconService {
      */
     async getMapName() {
         try {
-            const result = await this.getDvar(this.commandPrefixes.dvars.mapname);
+            const result = await this.getDvar(this.commandPrefixes.Dvars.mapname);
             return result.success ? result.value : '';
         } catch (error) {
             logger.error(`Failed to get map name: ${error.message}`);
@@ -442,7 +614,7 @@ class RconService {
      */
     async getHostname() {
         try {
-            const result = await this.getDvar(this.commandPrefixes.dvars.hostname);
+            const result = await this.getDvar(this.commandPrefixes.Dvars.hostname);
             return result.success ? result.value : '';
         } catch (error) {
             logger.error(`Failed to get hostname: ${error.message}`);
@@ -0,0 +1,444 @@
+/**
+ * Report Service - Player reports (!report), staff notifications and the moderation queue
+ * A report is open until a staff member claims it, then resolved or rejected.
+ * The last chat lines of the reported player are attached as evidence when the report is made
+ */
+const logger = require('../core/Logger');
+const Report = require('../models/Report');
+const ReportRepository = require('../repositories/ReportRepository');
+const ChatRepository = require('../repositories/ChatRepository');
+const EventRepository = require('../repositories/EventRepository');
+
+// Online players with this permission are told about new reports
+const NOTIFY_PERMISSION = 'reports.notify';
+
+const DEFAULT_SETTINGS = {
+    // Seconds a player waits between two reports
+    cooldown: 60,
+    // Chat lines of the reported player attached to the report
+    chatEvidence: 10,
+    // Shortest reason accepted
+    minReasonLength: 3
+};
+
+class ReportService {
+    /**
+     * Create a new ReportService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager owning the server instances
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(db, serverManager, services = {}) {
+        this.reportRepository = new ReportRepository(db);
+        this.chatRepository = new ChatRepository(db);
+        this.eventRepository = new EventRepository(db);
+        this.serverManager = serverManager;
+        this.services = services;
+        this.settings = { ...DEFAULT_SETTINGS, ...services.configService?.config?.reports };
+
+        // Reporter GUID -> time of the last report
+        this.lastReports = new Map();
+    }
+
+    /**
+     * Report a player
+     * @param {Object} data - Report data
+     * @param {ServerInstanceService} data.server - Server the player is reported on
+     * @param {ActivePlayer|Object} data.reporter - Reporting player, or the system user
+     * @param {ActivePlayer} data.target - Reported player
+     * @param {string} data.reason - Reason given by the reporter
+     * @returns {Promise<Object>} { success, report } or { success, error, code }
+     */
+    async createReport({ server, reporter, target, reason }) {
+        try {
+            const text = String(reason || '').trim();
+            if (text.length < this.settings.minReasonLength) {
+                return { success: false, error: 'A reason is required', code: 400 };
+            }
+
+            // The system user has no GUID and is not limited
+            const isPlayer = !!(reporter && reporter.guid);
+            if (isPlayer) {
+                if (reporter.guid === target.guid) {
+                    return { success: false, error: 'You cannot report yourself', code: 400 };
+                }
+
+                const wait = this.getCooldown(reporter.guid);
+                if (wait > 0) {
+                    return { success: false, error: `Wait ${wait}s before reporting again`, code: 429 };
+                }
+
+                const pending = await this.reportRepository.getPendingReport(reporter.guid, target.guid);
+                if (pending) {
+                    return { success: false, error: `You already reported ${target.name} (#${pending.id})`, code: 409 };
+                }
+            }
+
+            const report = await this.reportRepository.create(new Report({
+                serverId: server ? server.id : null,
+                reporterId: isPlayer ? reporter.clientId || null : 0,
+                reporterGuid: isPlayer ? reporter.guid : null,
+                reporterName: reporter ? reporter.name : 'System',
+                targetId: target.clientId || null,
+                targetGuid: target.guid,
+                targetName: target.name,
+                reason: text
+            }));
+
+            if (isPlayer) {
+                this.lastReports.set(reporter.guid, Date.now());
+            }
+
+            await this.attachRecentChat(report);
+            await this.publish(server, report, reporter, target);
+
+            logger.info(`Report #${report.id}: ${report.reporterName} reported ${report.targetName}: ${text}`);
+            return { success: true, report };
+        } catch (error) {
+            logger.error(`Error creating report: ${error.message}`);
+            return { success: false, error: error.message, code: 500 };
+        }
+    }
+
+    /**
+     * Get the seconds a player still waits before the next report
+     * @param {string} guid - Reporter GUID
+     * @returns {number} Seconds, 0 when the player may report
+     */
+    getCooldown(guid) {
+        const last = this.lastReports.get(guid);
+        if (!last) return 0;
+
+        const remaining = Math.ceil((last + this.settings.cooldown * 1000 - Date.now()) / 1000);
+        if (remaining <= 0) {
+            this.lastReports.delete(guid);
+            return 0;
+        }
+
+        return remaining;
+    }
+
+    /**
+     * Get a report with its evidence and the records they point to
+     * @param {number} id - Report ID
+     * @returns {Promise<Report|null>} Report or null
+     */
+    async getReport(id) {
+        try {
+            const report = await this.reportRepository.getReportById(id);
+            if (!report) return null;
+
+            const evidence = await this.reportRepository.getEvidence(report.id);
+            for (const item of evidence) {
+                item.record = await this.findEvidenceRecord(item.type, item.refId);
+            }
+
+            report.evidence = evidence;
+            return report;
+        } catch (error) {
+            console.error('Error in ReportService.getReport:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Search the reports
+     * @param {Object} filters - { status, serverId, player, from, to }
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object>} { reports, total, counts }
+     */
+    async search(filters = {}, limit = 50, offset = 0) {
+        try {
+            const { reports, total } = await this.reportRepository.search(filters, limit, offset);
+            const counts = await this.reportRepository.countByStatus();
+            return { reports, total, counts };
+        } catch (error) {
+            console.error('Error in ReportService.search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Claim a report, the staff member handling it is shown to the others
+     * @param {number} id - Report ID
+     * @param {Object} user - Web user { id, username }
+     * @returns {Promise<Object>} { success, report } or { success, error, code }
+     */
+    async claim(id, user) {
+        try {
+            const report = await this.reportRepository.getReportById(id);
+            if (!report) {
+                return { success: false, error: 'Report not found', code: 404 };
+            }
+
+            if (report.isClosed()) {
+                return { success: false, error: `Report is already ${report.status}`, code: 409 };
+            }
+
+            if (report.status === Report.Status.CLAIMED) {
+                if (report.claimedBy === user.id) {
+                    return { success: true, report };
+                }
+                return { success: false, error: `Report is already claimed by ${report.claimedByName}`, code: 409 };
+            }
+
+            report.status = Report.Status.CLAIMED;
+            report.claimedBy = user.id;
+            report.claimedByName = user.username;
+            report.claimedAt = new Date();
+            await this.reportRepository.updateStatus(report);
+
+            this.emitUpdate('claimed', report);
+            return { success: true, report };
+        } catch (error) {
+            logger.error(`Error claiming report ${id}: ${error.message}`);
+            return { success: false, error: error.message, code: 500 };
+        }
+    }
+
+    /**
+     * Close a report
+     * @param {number} id - Report ID
+     * @param {Object} user - Web user { id, username }
+     * @param {string} status - 'resolved' or 'rejected'
+     * @param {string} resolution - What was done, shown to the staff
+     * @returns {Promise<Object>} { success, report } or { success, error, code }
+     */
+    async resolve(id, user, status, resolution) {
+        try {
+            if (status !== Report.Status.RESOLVED && status !== Report.Status.REJECTED) {
+                return { success: false, error: `Invalid status: ${status}`, code: 400 };
+            }
+
+            const report = await this.reportRepository.getReportById(id);
+            if (!report) {
+                return { success: false, error: 'Report not found', code: 404 };
+            }
+
+            if (report.isClosed()) {
+                return { success: false, error: `Report is already ${report.status}`, code: 409 };
+            }
+
+            if (report.status === Report.Status.CLAIMED && report.claimedBy !== user.id) {
+                return { success: false, error: `Report is claimed by ${report.claimedByName}`, code: 409 };
+            }
+
+            if (!report.claimedBy) {
+                report.claimedBy = user.id;
+                report.claimedByName = user.username;
+                report.claimedAt = new Date();
+            }
+
+            report.status = status;
+            report.resolvedBy = user.id;
+            report.resolvedByName = user.username;
+            report.resolvedAt = new Date();
+            report.resolution = resolution ? String(resolution).trim() : null;
+            await this.reportRepository.updateStatus(report);
+
+            this.emitUpdate(status, report);
+            await this.tellReporter(report);
+
+            return { success: true, report };
+        } catch (error) {
+            logger.error(`Error resolving report ${id}: ${error.message}`);
+            return { success: false, error: error.message, code: 500 };
+        }
+    }
+
+    /**
+     * Attach a chat line or an event to a report
+     * @param {number} id - Report ID
+     * @param {Object} evidence - { type, refId, note }
+     * @param {Object} user - Web user { id, username }
+     * @returns {Promise<Object>} { success, report } or { success, error, code }
+     */
+    async addEvidence(id, evidence, user) {
+        try {
+            const { type, refId, note } = evidence;
+            if (!Object.values(Report.EvidenceTypes).includes(type)) {
+                return { success: false, error: `Invalid evidence type: ${type}`, code: 400 };
+            }
+
+            const report = await this.reportRepository.getReportById(id);
+            if (!report) {
+                return { success: false, error: 'Report not found', code: 404 };
+            }
+
+            const record = await this.findEvidenceRecord(type, refId);
+            if (!record) {
+                return { success: false, error: `No ${type} record with ID ${refId}`, code: 404 };
+            }
+
+            await this.reportRepository.addEvidence(report.id, {
+                type,
+                refId,
+                note,
+                addedBy: user.id,
+                addedByName: user.username
+            });
+
+            return { success: true, report: await this.getReport(report.id) };
+        } catch (error) {
+            logger.error(`Error adding evidence to report ${id}: ${error.message}`);
+            return { success: false, error: error.message, code: 500 };
+        }
+    }
+
+    /**
+     * Detach evidence from a report
+     * @param {number} id - Report ID
+     * @param {number} evidenceId - Evidence ID
+     * @returns {Promise<Object>} { success, report } or { success, error, code }
+     */
+    async removeEvidence(id, evidenceId) {
+        try {
+            const removed = await this.reportRepository.removeEvidence(id, evidenceId);
+            if (!removed) {
+                return { success: false, error: 'Evidence not found', code: 404 };
+            }
+
+            return { success: true, report: await this.getReport(id) };
+        } catch (error) {
+            logger.error(`Error removing evidence from report ${id}: ${error.message}`);
+            return { success: false, error: error.message, code: 500 };
+        }
+    }
+
+    /**
+     * Tell the online staff of every server
+     * @param {string} message - Message to send
+     * @returns {Promise<number>} Staff members told
+     */
+    async notifyStaff(message) {
+        let count = 0;
+
+        for (const server of this.serverManager.getServers()) {
+            for (const player of server.players || []) {
+                if (!player || player.isOnline === false) continue;
+                if (typeof player.hasPermission !== 'function' || !player.hasPermission(NOTIFY_PERMISSION)) continue;
+
+                if (await player.tell(message)) count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Attach the last chat lines of the reported player on the server
+     * @param {Report} report - New report
+     * @returns {Promise<void>}
+     * @private
+     */
+    async attachRecentChat(report) {
+        if (!report.serverId || this.settings.chatEvidence <= 0) return;
+
+        try {
+            const { messages } = await this.chatRepository.search({
+                serverId: report.serverId,
+                playerId: report.targetId,
+                playerGuid: report.targetGuid
+            }, this.settings.chatEvidence, 0);
+
+            for (const message of messages) {
+                await this.reportRepository.addEvidence(report.id, { type: Report.EvidenceTypes.CHAT, refId: message.id });
+            }
+        } catch (error) {
+            logger.warn(`Could not attach the chat of ${report.targetName} to report #${report.id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the record an evidence points to
+     * @param {string} type - Evidence type
+     * @param {string|number} refId - Record ID
+     * @returns {Promise<Object|null>} Chat message or event, null if it does not exist
+     * @private
+     */
+    async findEvidenceRecord(type, refId) {
+        try {
+            if (type === Report.EvidenceTypes.CHAT) {
+                return await this.chatRepository.getMessageById(refId);
+            }
+            if (type === Report.EvidenceTypes.EVENT) {
+                return await this.eventRepository.getById(refId);
+            }
+        } catch (error) {
+            logger.debug(`Evidence ${type} ${refId} not readable: ${error.message}`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Publish a new report to the event history, the plugins and the staff
+     * @param {ServerInstanceService|null} server - Server the player is reported on
+     * @param {Report} report - New report
+     * @param {Object} reporter - Reporting player or system user
+     * @param {ActivePlayer} target - Reported player
+     * @returns {Promise<void>}
+     * @private
+     */
+    async publish(server, report, reporter, target) {
+        if (this.services.eventService) {
+            await this.services.eventService.emitAndStore('player.report', {
+                serverId: report.serverId,
+                playerId: report.targetId,
+                data: {
+                    reportId: report.id,
+                    reason: report.reason,
+                    playerName: report.targetName,
+                    originId: report.reporterId,
+                    originName: report.reporterName
+                }
+            }, true);
+        }
+
+        if (server) {
+            server.emit('report', reporter, target, report.reason);
+        }
+
+        const serverName = server ? server.name : 'the web';
+        await this.notifyStaff(`^1Report #${report.id}^7: ^5${report.reporterName}^7 reported ^5${report.targetName}^7 on ${serverName}: ${report.reason}`);
+
+        this.emitUpdate('created', report);
+    }
+
+    /**
+     * Tell the reporter that the report was handled, when connected
+     * @param {Report} report - Closed report
+     * @returns {Promise<void>}
+     * @private
+     */
+    async tellReporter(report) {
+        if (!report.reporterGuid) return;
+
+        const outcome = report.status === Report.Status.RESOLVED ? '^2handled' : '^3rejected';
+
+        for (const server of this.serverManager.getServers()) {
+            const player = (server.players || []).find(p => p && p.isOnline !== false && p.guid === report.reporterGuid);
+            if (player) {
+                await player.tell(`^7Your report #${report.id} on ^5${report.targetName}^7 was ${outcome}`);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Publish a change of the queue to the dashboard
+     * @param {string} action - 'created', 'claimed', 'resolved' or 'rejected'
+     * @param {Report} report - Changed report
+     * @private
+     */
+    emitUpdate(action, report) {
+        this.serverManager.emit('report.update', {
+            action,
+            serverId: report.serverId,
+            report: report.toJSON()
+        });
+    }
+}
+
+module.exports = ReportService;
@@ -0,0 +1,446 @@
+/**
+ * Scheduler Service - Runs per-server scheduled tasks from cron expressions
+ * Tasks are stored in the database and evaluated once per minute in server local time
+ */
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../core/Logger');
+const CronExpression = require('../core/CronExpression');
+const ScheduledTask = require('../models/ScheduledTask');
+const ScheduledTaskRepository = require('../repositories/ScheduledTaskRepository');
+
+// Restart warning sent before the restart command, %SECONDS% is replaced
+const DEFAULT_RESTART_WARNING = '^1Server restart in ^5%SECONDS%^1 seconds';
+const DEFAULT_RESTART_WARNINGS = [60, 10];
+const DEFAULT_RESTART_COMMAND = 'map_restart';
+
+// Stored command responses are truncated to keep the table small
+const MAX_RESULT_LENGTH = 1000;
+
+class SchedulerService {
+    /**
+     * Create a new SchedulerService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager owning the server instances
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(db, serverManager, services = {}) {
+        this.taskRepository = new ScheduledTaskRepository(db);
+        this.serverManager = serverManager;
+        this.eventService = services.eventService;
+
+        // Task ID -> { task, cron }
+        this.tasks = new Map();
+
+        // IDs of the tasks currently running, a slow task is not started twice
+        this.runningTasks = new Set();
+
+        // Pending waits of restart countdowns { timer, reject }, cancelled when the scheduler stops
+        this.waits = new Set();
+
+        this.timer = null;
+    }
+
+    /**
+     * Load the tasks and start evaluating them every minute
+     * @returns {Promise<void>}
+     */
+    async start() {
+        try {
+            const tasks = await this.taskRepository.getTasks();
+            this.tasks.clear();
+            tasks.forEach(task => this.cacheTask(task));
+
+            this.scheduleTick();
+            logger.info(`Scheduler started with ${this.tasks.size} tasks`);
+        } catch (error) {
+            console.error('Error in SchedulerService.start:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop evaluating tasks, running tasks finish on their own but restart countdowns are cancelled
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        for (const wait of this.waits) {
+            clearTimeout(wait.timer);
+            wait.reject(new Error('Scheduler stopped before the restart'));
+        }
+        this.waits.clear();
+    }
+
+    /**
+     * Wait for the start of the next minute, then run the due tasks
+     * @private
+     */
+    scheduleTick() {
+        // Half a second into the minute so timer drift never evaluates the previous one
+        const delay = 60000 - (Date.now() % 60000) + 500;
+
+        this.timer = setTimeout(() => {
+            this.tick(new Date());
+            this.scheduleTick();
+        }, delay);
+    }
+
+    /**
+     * Start the tasks due at a given minute
+     * @param {Date} now - Current time
+     */
+    tick(now) {
+        for (const { task, cron } of this.tasks.values()) {
+            if (!task.enabled || !cron || !cron.matches(now)) continue;
+
+            this.runTask(task, 'schedule').catch(error => {
+                logger.error(`Scheduled task ${task.name} failed: ${error.message}`);
+            });
+        }
+    }
+
+    /**
+     * Run a task and record its outcome
+     * @param {ScheduledTask} task - Task to run
+     * @param {string} trigger - 'schedule' or 'manual'
+     * @returns {Promise<Object>} Run result { success, result }
+     */
+    async runTask(task, trigger = 'manual') {
+        if (this.runningTasks.has(task.id)) {
+            return { success: false, result: 'Task is already running' };
+        }
+
+        this.runningTasks.add(task.id);
+        let run;
+
+        try {
+            const server = this.serverManager && this.serverManager.getServerById(task.serverId);
+
+            if (!server || !server.isRunning()) {
+                run = { status: 'failed', result: 'Server is not running' };
+            } else {
+                logger.info(`Running scheduled task ${task.name} (${task.type}) on ${server.name}`);
+                run = { status: 'success', ...await this.executeTask(task, server) };
+            }
+        } catch (error) {
+            run = { status: 'failed', result: error.message };
+        } finally {
+            this.runningTasks.delete(task.id);
+        }
+
+        run.result = run.result ? String(run.result).slice(0, MAX_RESULT_LENGTH) : null;
+
+        try {
+            await this.taskRepository.recordRun(task.id, run);
+
+            task.lastRunAt = new Date();
+            task.lastStatus = run.status;
+            task.lastResult = run.result;
+            task.runCount++;
+            if (run.messageIndex !== undefined) task.messageIndex = run.messageIndex;
+
+            if (this.eventService) {
+                await this.eventService.emitAndStore('server.schedule.run', {
+                    serverId: task.serverId,
+                    data: {
+                        taskId: task.id,
+                        name: task.name,
+                        type: task.type,
+                        trigger,
+                        status: run.status,
+                        result: run.result
+                    }
+                }, true);
+            }
+        } catch (error) {
+            logger.error(`Error recording run of scheduled task ${task.name}: ${error.message}`);
+        }
+
+        return { success: run.status === 'success', result: run.result };
+    }
+
+    /**
+     * Execute a task on its server
+     * @param {ScheduledTask} task - Task to execute
+     * @param {ServerInstanceService} server - Target server
+     * @returns {Promise<Object>} { result, messageIndex }
+     * @private
+     */
+    async executeTask(task, server) {
+        switch (task.type) {
+            case ScheduledTask.Types.BROADCAST: {
+                const messages = task.payload.messages;
+                const index = task.messageIndex % messages.length;
+
+                if (!await server.say(messages[index])) {
+                    throw new Error('Failed to send the message');
+                }
+
+                return { result: messages[index], messageIndex: (index + 1) % messages.length };
+            }
+
+            case ScheduledTask.Types.RCON: {
+                const responses = [];
+                for (const command of task.payload.commands) {
+                    const response = await server.rcon.executeCommandAsync(command);
+                    responses.push(`${command}: ${String(response || '').trim()}`);
+                }
+                return { result: responses.join('\n') };
+            }
+
+            case ScheduledTask.Types.RESTART: {
+                await this.sendRestartWarnings(task, server);
+                await server.restart(task.payload.command);
+                return { result: `Server restarted (${task.payload.command})` };
+            }
+
+            default:
+                throw new Error(`Unknown task type: ${task.type}`);
+        }
+    }
+
+    /**
+     * Warn the players of an upcoming restart and wait until it is due
+     * @param {ScheduledTask} task - Restart task
+     * @param {ServerInstanceService} server - Target server
+     * @returns {Promise<void>}
+     * @private
+     */
+    async sendRestartWarnings(task, server) {
+        const warnings = [...task.payload.warnings].sort((a, b) => b - a);
+        if (warnings.length === 0) return;
+
+        let remaining = warnings[0];
+
+        for (const seconds of warnings) {
+            await this.wait(remaining - seconds);
+            await server.say(task.payload.message.replace('%SECONDS%', seconds));
+            remaining = seconds;
+        }
+
+        await this.wait(remaining);
+    }
+
+    /**
+     * Wait during a restart countdown, the wait is rejected if the scheduler stops first
+     * @param {number} seconds - Seconds to wait
+     * @returns {Promise<void>}
+     * @private
+     */
+    wait(seconds) {
+        return new Promise((resolve, reject) => {
+            const wait = { reject };
+
+            wait.timer = setTimeout(() => {
+                this.waits.delete(wait);
+                resolve();
+            }, seconds * 1000);
+
+            this.waits.add(wait);
+        });
+    }
+
+    /**
+     * Get the tasks of a server
+     * @param {string} serverId - Server ID
+     * @returns {Promise<Array<ScheduledTask>>} Tasks
+     */
+    async getTasks(serverId) {
+        try {
+            return await this.taskRepository.getTasks(serverId);
+        } catch (error) {
+            console.error('Error in SchedulerService.getTasks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a task of a server
+     * @param {string} serverId - Server ID
+     * @param {string} id - Task ID
+     * @returns {Promise<ScheduledTask|null>} Task or null if not found on this server
+     */
+    async getTask(serverId, id) {
+        try {
+            const task = await this.taskRepository.getTaskById(id);
+            return task && String(task.serverId) === String(serverId) ? task : null;
+        } catch (error) {
+            console.error('Error in SchedulerService.getTask:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a task
+     * @param {string} serverId - Server ID
+     * @param {Object} data - { name, type, cron, payload, enabled }
+     * @returns {Promise<ScheduledTask>} Created task
+     */
+    async createTask(serverId, data) {
+        try {
+            const task = new ScheduledTask({
+                id: uuidv4(),
+                serverId: String(serverId),
+                name: data.name,
+                type: data.type,
+                cron: data.cron,
+                payload: data.payload,
+                enabled: data.enabled !== undefined ? data.enabled : true
+            });
+
+            this.validateTask(task);
+            await this.taskRepository.create(task);
+            this.cacheTask(task);
+
+            return task;
+        } catch (error) {
+            console.error('Error in SchedulerService.createTask:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a task
+     * @param {string} serverId - Server ID
+     * @param {string} id - Task ID
+     * @param {Object} data - { name, type, cron, payload, enabled }
+     * @returns {Promise<ScheduledTask|null>} Updated task or null if not found
+     */
+    async updateTask(serverId, id, data) {
+        try {
+            const existing = await this.getTask(serverId, id);
+            if (!existing) return null;
+
+            const task = new ScheduledTask({
+                ...existing,
+                name: data.name ?? existing.name,
+                type: data.type ?? existing.type,
+                cron: data.cron ?? existing.cron,
+                payload: data.payload ?? existing.payload,
+                enabled: data.enabled ?? existing.enabled
+            });
+
+            // A new message list starts from its first message
+            if (data.payload) task.messageIndex = 0;
+
+            this.validateTask(task);
+            await this.taskRepository.update(task);
+            this.cacheTask(task);
+
+            return task;
+        } catch (error) {
+            console.error('Error in SchedulerService.updateTask:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a task
+     * @param {string} serverId - Server ID
+     * @param {string} id - Task ID
+     * @returns {Promise<boolean>} Whether a task was deleted
+     */
+    async deleteTask(serverId, id) {
+        try {
+            if (!await this.getTask(serverId, id)) return false;
+
+            const deleted = await this.taskRepository.deleteTask(id);
+            this.tasks.delete(id);
+
+            return deleted;
+        } catch (error) {
+            console.error('Error in SchedulerService.deleteTask:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Run a task immediately, outside of its schedule
+     * @param {string} serverId - Server ID
+     * @param {string} id - Task ID
+     * @returns {Promise<Object|null>} Run result or null if not found
+     */
+    async runTaskNow(serverId, id) {
+        try {
+            const task = await this.getTask(serverId, id);
+            if (!task) return null;
+
+            // Run the cached instance so the broadcast rotation stays in sync
+            const cached = this.tasks.get(id);
+            return await this.runTask(cached ? cached.task : task, 'manual');
+        } catch (error) {
+            console.error('Error in SchedulerService.runTaskNow:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Keep the in-memory copy of a task and its parsed expression
+     * @param {ScheduledTask} task - Task
+     * @private
+     */
+    cacheTask(task) {
+        let cron = null;
+
+        try {
+            cron = new CronExpression(task.cron);
+        } catch (error) {
+            logger.warn(`Scheduled task ${task.name} has an invalid cron expression: ${error.message}`);
+        }
+
+        this.tasks.set(task.id, { task, cron });
+    }
+
+    /**
+     * Validate a task and fill in the payload defaults
+     * @param {ScheduledTask} task - Task to validate
+     * @throws {Error} If the task is invalid
+     * @private
+     */
+    validateTask(task) {
+        if (!task.name || !task.name.trim()) {
+            throw new Error('A task name is required');
+        }
+
+        // Throws with a description of the invalid field
+        new CronExpression(task.cron);
+
+        const payload = task.payload || {};
+        const toList = (list, single) => (Array.isArray(list) ? list : [single])
+            .filter(item => typeof item === 'string' && item.trim().length > 0);
+
+        switch (task.type) {
+            case ScheduledTask.Types.BROADCAST:
+                task.payload = { messages: toList(payload.messages, payload.message) };
+                if (task.payload.messages.length === 0) {
+                    throw new Error('A broadcast task requires at least one message');
+                }
+                break;
+
+            case ScheduledTask.Types.RCON:
+                task.payload = { commands: toList(payload.commands, payload.command) };
+                if (task.payload.commands.length === 0) {
+                    throw new Error('An RCON task requires at least one command');
+                }
+                break;
+
+            case ScheduledTask.Types.RESTART: {
+                const warnings = Array.isArray(payload.warnings) ? payload.warnings : DEFAULT_RESTART_WARNINGS;
+                task.payload = {
+                    command: payload.command || DEFAULT_RESTART_COMMAND,
+                    message: payload.message || DEFAULT_RESTART_WARNING,
+                    warnings: warnings.map(Number).filter(seconds => Number.isInteger(seconds) && seconds > 0)
+                };
+                break;
+            }
+
+            default:
+                throw new Error(`Invalid task type: ${task.type}`);
+        }
+    }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,515 @@
+/**
+ * Season Service - Seasons with custom dates defined by admins
+ * Finished zombies matches are counted in every season containing their end time, apart from the
+ * calendar periods. When a season ends its leaderboards are frozen and its rewards are given to the
+ * top players: a title stored with the reward, a message said in game and a season.reward event
+ */
+const logger = require('../core/Logger');
+const StatsPeriod = require('../core/StatsPeriod');
+const Season = require('../models/Season');
+const SeasonRepository = require('../repositories/SeasonRepository');
+const StatsPeriodRepository = require('../repositories/StatsPeriodRepository');
+const StatsService = require('./StatsService');
+
+// Period type of the season stats, the period key is the season ID
+const PERIOD_TYPE = 'season';
+
+// Rewards of a season created without any
+const DEFAULT_REWARDS = [
+    { metric: 'kills', top: 3, title: 'Season Slayer' },
+    { metric: 'highest_round', top: 1, title: 'Season Survivor' }
+];
+
+const DEFAULT_SETTINGS = {
+    // Say the rewards in game when a season ends
+    announce: true,
+    // Players frozen in the final leaderboard of each metric
+    standings: 10,
+    rewards: DEFAULT_REWARDS
+};
+
+// Reward message, %SEASON%, %NAME%, %POSITION%, %METRIC%, %VALUE% and %TITLE% are replaced
+const DEFAULT_REWARD_MESSAGE = '^2%SEASON%^7: ^5%NAME%^7 finished #%POSITION% in %METRIC% (^5%VALUE%^7)';
+const DEFAULT_TITLE_MESSAGE = `${DEFAULT_REWARD_MESSAGE} and earns the title ^5%TITLE%`;
+
+// Highest position a reward can be given to
+const MAX_REWARD_TOP = 100;
+
+// Ended seasons are looked for every minute
+const UPDATE_INTERVAL = 60 * 1000;
+
+// Matches read at once from the history
+const MATCH_BATCH = 500;
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+class SeasonService {
+    /**
+     * Create a new SeasonService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager owning the servers the rewards are said on
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(db, serverManager, services = {}) {
+        this.seasonRepository = new SeasonRepository(db);
+        this.periodRepository = new StatsPeriodRepository(db);
+        this.statsService = new StatsService(db);
+        this.serverManager = serverManager;
+        this.services = services;
+        this.settings = { ...DEFAULT_SETTINGS, ...services.configService?.config?.seasons };
+
+        // Dates without a time are days of the timezone of the stats periods
+        this.periods = StatsPeriod.fromConfig(services.configService?.config?.periods);
+
+        // Counting, finalizing and editing share the season stats, they run one after the other
+        this.queue = Promise.resolve();
+        this.timer = null;
+
+        this.handleMatchEnded = this.handleMatchEnded.bind(this);
+    }
+
+    /**
+     * Count the matches of the history, finalize the ended seasons and start looking for the next ones
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const eventService = this.services.eventService;
+        if (eventService) {
+            eventService.on('zombies.match.ended', this.handleMatchEnded);
+        }
+
+        await this.enqueue(() => this.update(new Date()));
+
+        this.timer = setInterval(() => {
+            this.enqueue(() => this.update(new Date())).catch(error => {
+                logger.error(`Error updating the seasons: ${error.message}`);
+            });
+        }, UPDATE_INTERVAL);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop looking for ended seasons and stop counting the matches
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        const eventService = this.services.eventService;
+        if (eventService) {
+            eventService.off('zombies.match.ended', this.handleMatchEnded);
+        }
+    }
+
+    /**
+     * Count a zombies match in its seasons once it is stored as finished
+     * @returns {Promise<void>}
+     */
+    async handleMatchEnded() {
+        try {
+            await this.enqueue(() => this.update(new Date()));
+        } catch (error) {
+            logger.error(`Error counting the zombies match in the seasons: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a task after the ones already queued
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Result of the task
+     * @private
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Count the new matches of the seasons not finalized and finalize the ones that ended
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Number of seasons finalized
+     */
+    async update(now) {
+        let finalized = 0;
+
+        for (const season of await this.seasonRepository.getOpenSeasons()) {
+            if (await this.refresh(season, now)) finalized++;
+        }
+
+        return finalized;
+    }
+
+    /**
+     * Count the new matches of a season and finalize it if it ended
+     * @param {Season} season - Season not finalized
+     * @param {Date} now - Current time
+     * @returns {Promise<boolean>} Whether the season was finalized
+     * @private
+     */
+    async refresh(season, now) {
+        if (new Date(season.startsAt) > now) return false;
+
+        await this.countSeason(season);
+        if (new Date(season.endsAt) > now) return false;
+
+        await this.finalizeSeason(season);
+        return true;
+    }
+
+    /**
+     * Count the matches of a season not counted yet
+     * @param {Season} season - Season
+     * @returns {Promise<number>} Number of matches counted
+     * @private
+     */
+    async countSeason(season) {
+        const key = season.getPeriodKey();
+        let count = 0;
+        let matches;
+
+        do {
+            matches = await this.seasonRepository.getUncountedMatches(season, MATCH_BATCH);
+
+            for (const match of matches) {
+                for (const { playerId, stats } of await this.periodRepository.getMatchPlayerStats(match)) {
+                    await this.periodRepository.addPlayerStats(playerId, PERIOD_TYPE, key, stats);
+                }
+
+                await this.seasonRepository.markMatchCounted(season.id, match.match_id);
+                count++;
+            }
+        } while (matches.length === MATCH_BATCH);
+
+        return count;
+    }
+
+    /**
+     * Freeze the leaderboards of an ended season and give its rewards
+     * @param {Season} season - Ended season
+     * @returns {Promise<void>}
+     * @private
+     */
+    async finalizeSeason(season) {
+        const key = season.getPeriodKey();
+        const limit = Math.max(this.settings.standings, ...season.rewards.map(reward => reward.top));
+        const leaderboards = {};
+
+        for (const metric of StatsPeriodRepository.METRICS) {
+            leaderboards[metric] = await this.periodRepository.getStandings(PERIOD_TYPE, key, metric, limit);
+            await this.periodRepository.saveStandings(PERIOD_TYPE, key, metric, leaderboards[metric]);
+        }
+
+        season.finalizedAt = new Date();
+        await this.seasonRepository.updateSeason(season);
+
+        const rewards = [];
+        for (const reward of season.rewards) {
+            for (const standing of leaderboards[reward.metric].slice(0, reward.top)) {
+                const given = {
+                    metric: reward.metric,
+                    position: standing.position,
+                    playerId: standing.player_id,
+                    guid: standing.player_guid,
+                    name: standing.player_name,
+                    value: standing.value,
+                    title: reward.title || null
+                };
+
+                await this.seasonRepository.addReward(season.id, given);
+                await this.publish('season.reward', { seasonId: season.id, season: season.name, ...given });
+
+                rewards.push({ reward, given });
+            }
+        }
+
+        logger.info(`Season ${season.name} ended, ${rewards.length} reward(s) given`);
+        await this.publish('season.ended', { seasonId: season.id, season: season.name, rewards: rewards.length });
+        await this.announce(season, rewards);
+    }
+
+    /**
+     * Say the rewards of an ended season on every server
+     * @param {Season} season - Ended season
+     * @param {Array<Object>} rewards - Rewards { reward, given }
+     * @returns {Promise<void>}
+     * @private
+     */
+    async announce(season, rewards) {
+        if (!this.settings.announce || !this.serverManager || rewards.length === 0) return;
+
+        const messages = rewards.map(({ reward, given }) => {
+            const template = reward.message || (reward.title ? DEFAULT_TITLE_MESSAGE : DEFAULT_REWARD_MESSAGE);
+
+            return template
+                .replace(/%SEASON%/g, season.name)
+                .replace(/%NAME%/g, given.name || given.guid)
+                .replace(/%POSITION%/g, given.position)
+                .replace(/%METRIC%/g, given.metric.replace(/_/g, ' '))
+                .replace(/%VALUE%/g, given.value)
+                .replace(/%TITLE%/g, given.title || '');
+        });
+
+        for (const server of this.serverManager.getServers()) {
+            if (typeof server.isRunning === 'function' && !server.isRunning()) continue;
+
+            for (const message of messages) {
+                await server.say(message);
+            }
+        }
+    }
+
+    /**
+     * Store a season event, plugins listen to them to give their own rewards
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     * @returns {Promise<void>}
+     * @private
+     */
+    async publish(type, data) {
+        if (!this.services.eventService) return;
+
+        try {
+            await this.services.eventService.emitAndStore(type, { data }, true);
+        } catch (error) {
+            logger.warn(`Could not store the ${type} event of season ${data.season}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the seasons, most recent first
+     * @returns {Promise<Array<Season>>} Seasons
+     */
+    async getSeasons() {
+        try {
+            return await this.seasonRepository.getSeasons();
+        } catch (error) {
+            console.error('Error in SeasonService.getSeasons:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a season with a leaderboard, frozen once the season ended, its summary and its rewards
+     * @param {number} id - Season ID
+     * @param {string} metric - Ranked metric
+     * @param {number} limit - Maximum players in the leaderboard
+     * @returns {Promise<Object|null>} { season, standings, summary, rewards } or null if not found
+     */
+    async getSeason(id, metric = 'kills', limit = 10) {
+        try {
+            const season = await this.seasonRepository.getSeason(id);
+            if (!season) return null;
+
+            const key = season.getPeriodKey();
+            const standings = season.finalizedAt
+                ? await this.periodRepository.getArchivedStandings(PERIOD_TYPE, key, metric, limit)
+                : await this.periodRepository.getStandings(PERIOD_TYPE, key, metric, limit);
+
+            const [summary, rewards] = await Promise.all([
+                this.statsService.getPeriodSummary(PERIOD_TYPE, key),
+                this.seasonRepository.getRewards(season.id)
+            ]);
+
+            return {
+                season,
+                summary,
+                rewards,
+                standings: standings.map(standing => ({
+                    position: standing.position,
+                    playerId: standing.player_id,
+                    guid: standing.player_guid,
+                    name: standing.player_name,
+                    value: standing.value
+                }))
+            };
+        } catch (error) {
+            console.error('Error in SeasonService.getSeason:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a season, the matches it already contains are counted
+     * @param {Object} data - Season definition
+     * @param {string} createdBy - Username of the admin
+     * @returns {Promise<Object>} { success, season } or { success: false, error, code }
+     */
+    async createSeason(data, createdBy) {
+        try {
+            const parsed = this.toSeasonData(data);
+            if (parsed.error) return parsed.error;
+
+            const season = new Season({ ...parsed, createdBy });
+
+            const error = await this.validateSeason(season);
+            if (error) return error;
+
+            await this.seasonRepository.createSeason(season);
+            await this.enqueue(() => this.refresh(season, new Date()));
+
+            return { success: true, season };
+        } catch (error) {
+            console.error('Error in SeasonService.createSeason:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change a season, its matches are counted again when its dates change
+     * Ended seasons cannot be changed, their leaderboards are frozen
+     * @param {number} id - Season ID
+     * @param {Object} data - Fields to change
+     * @returns {Promise<Object>} { success, season, before } or { success: false, error, code }
+     */
+    async updateSeason(id, data) {
+        try {
+            const existing = await this.seasonRepository.getSeason(id);
+            if (!existing) return { success: false, error: 'Season not found', code: 404 };
+            if (existing.finalizedAt) {
+                return { success: false, error: 'The season has ended, its leaderboards are frozen', code: 409 };
+            }
+
+            const parsed = this.toSeasonData({ ...existing, ...data });
+            if (parsed.error) return parsed.error;
+
+            const season = new Season({ ...existing, ...parsed });
+
+            const error = await this.validateSeason(season);
+            if (error) return error;
+
+            const datesChanged = new Date(season.startsAt).getTime() !== new Date(existing.startsAt).getTime()
+                || new Date(season.endsAt).getTime() !== new Date(existing.endsAt).getTime();
+
+            await this.enqueue(async () => {
+                await this.seasonRepository.updateSeason(season);
+
+                if (datesChanged) {
+                    await this.periodRepository.deletePlayerStats(PERIOD_TYPE, season.getPeriodKey());
+                    await this.seasonRepository.clearCountedMatches(season.id);
+                }
+
+                await this.refresh(season, new Date());
+            });
+
+            return { success: true, season, before: existing };
+        } catch (error) {
+            console.error('Error in SeasonService.updateSeason:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a season with its stats, its leaderboards and its rewards
+     * @param {number} id - Season ID
+     * @returns {Promise<Season|null>} Deleted season or null if not found
+     */
+    async deleteSeason(id) {
+        try {
+            const season = await this.seasonRepository.getSeason(id);
+            if (!season) return null;
+
+            await this.enqueue(async () => {
+                await this.periodRepository.deletePlayerStats(PERIOD_TYPE, season.getPeriodKey());
+                await this.seasonRepository.deleteSeason(season.id);
+            });
+
+            return season;
+        } catch (error) {
+            console.error('Error in SeasonService.deleteSeason:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Normalize a season definition from the API
+     * Dates without a time are days in the timezone of the stats periods, the end day is included
+     * @param {Object} data - Season definition
+     * @returns {Object} Season fields or { error }
+     * @private
+     */
+    toSeasonData(data) {
+        const startsAt = this.parseDate(data.startsAt, false);
+        if (!startsAt) return { error: { success: false, error: 'A valid start date is required', code: 400 } };
+
+        const endsAt = this.parseDate(data.endsAt, true);
+        if (!endsAt) return { error: { success: false, error: 'A valid end date is required', code: 400 } };
+
+        const rewards = data.rewards === undefined ? this.settings.rewards : data.rewards;
+        if (!Array.isArray(rewards)) return { error: { success: false, error: 'Rewards must be a list', code: 400 } };
+
+        return {
+            name: String(data.name || '').trim(),
+            description: data.description || '',
+            startsAt,
+            endsAt,
+            rewards: rewards.map(reward => ({
+                metric: reward.metric,
+                top: parseInt(reward.top) || 1,
+                title: reward.title ? String(reward.title).trim() : null,
+                message: reward.message ? String(reward.message) : null
+            }))
+        };
+    }
+
+    /**
+     * Parse a season date
+     * @param {string|Date} value - ISO date, with or without a time
+     * @param {boolean} endOfDay - Whether a day without a time means the end of the day
+     * @returns {Date|null} Date or null if invalid
+     * @private
+     */
+    parseDate(value, endOfDay) {
+        if (!value) return null;
+
+        const match = DATE_ONLY.exec(String(value));
+        if (match) {
+            const [year, month, day] = match.slice(1).map(Number);
+            return this.periods.toDate(year, month, endOfDay ? day + 1 : day);
+        }
+
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Check a season before it is stored
+     * @param {Season} season - Season
+     * @returns {Promise<Object|null>} { success: false, error, code } or null if valid
+     * @private
+     */
+    async validateSeason(season) {
+        if (!season.name) {
+            return { success: false, error: 'A season name is required', code: 400 };
+        }
+
+        if (season.endsAt <= season.startsAt) {
+            return { success: false, error: 'The season must end after it starts', code: 400 };
+        }
+
+        for (const reward of season.rewards) {
+            if (!StatsPeriodRepository.METRICS.includes(reward.metric)) {
+                return {
+                    success: false,
+                    error: `Invalid reward metric ${reward.metric}. Must be one of: ${StatsPeriodRepository.METRICS.join(', ')}`,
+                    code: 400
+                };
+            }
+
+            if (reward.top < 1 || reward.top > MAX_REWARD_TOP) {
+                return { success: false, error: `Rewards are given to the top 1 to ${MAX_REWARD_TOP} players`, code: 400 };
+            }
+        }
+
+        const existing = await this.seasonRepository.getSeasonByName(season.name);
+        if (existing && existing.id !== season.id) {
+            return { success: false, error: `A season named ${season.name} already exists`, code: 409 };
+        }
+
+        return null;
+    }
+}
+
+module.exports = SeasonService;
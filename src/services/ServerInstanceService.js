@@ -4,9 +4,15 @@
  */
 const EventEmitter = require('events');
 const RconService = require('./RconService');
+const QueryService = require('./QueryService');
 const logger = require('../core/Logger');
 const ActivePlayer = require('../core/Entity/ActivePlayer');
 const ServerModel = require('../models/Server');
+const LogEmitterAdapter = require('../core/LogEmitterAdapter');
+const LogLineParser = require('../core/LogLineParser');
+const JsonLogEventParser = require('../core/JsonLogEventParser');
+const ChatCommandParser = require('../core/ChatCommandParser');
+const Utils = require('../utils/utils');
 
 class ServerInstanceService extends EventEmitter {
     /**
@@ -27,12 +33,19 @@ class ServerInstanceService extends EventEmitter {
         this.game = serverModel.game;
         this.maxPlayers = serverModel.maxPlayers;
         this.logPath = serverModel.logPath;
+        this.config = serverModel.config || {};
+        
+        // Without an RCON password the server is only followed through public queries
+        this.readOnly = !this.rconPassword;
         
         // Runtime properties
         this.status = 'offline';
         this.clients = []; // Active player slots
         this.players = []; // Active player references
         
+        // Last getstatus result of a read-only server
+        this.queryStatus = null;
+        
         // Statistics
         this.stats = {
             connectionsTotal: 0,
@@ -47,19 +60,35 @@ class ServerInstanceService extends EventEmitter {
         this.playerService = services.playerService;
         this.eventService = services.eventService;
         this.statsService = services.statsService;
+        this.penaltyService = services.penaltyService;
+        this.utils = new Utils();
         
         // Setup RCON connection
         this.rcon = new RconService(
             this.address,
             this.rconPort,
             this.rconPassword,
-            this.game
+            this.game,
+            null,
+            services.configService?.config?.rcon || {}
         );
         
+        // Setup connectionless queries, they go to the game port
+        this.query = new QueryService(this.address, this.port, this.rcon.commandPrefixes);
+        
         // Setup status checking
         this.statusCheckInterval = null;
         this.updateInterval = 30000; // 30 seconds
         
+        // Setup log tailing
+        this.logReader = null;
+        this.logParser = new LogLineParser(this.rcon.commandPrefixes.EventPatterns);
+        this.jsonEventParser = new JsonLogEventParser();
+        
+        // Setup chat command detection
+        const commandsConfig = services.configService?.config?.commands || {};
+        this.commandParser = new ChatCommandParser(commandsConfig.prefix || '!');
+        
         logger.info(`Server instance created: ${this.name} (${this.id}) at ${this.address}:${this.port}`);
     }
     
@@ -71,11 +100,15 @@ class ServerInstanceService extends EventEmitter {
         try {
             logger.info(`Starting server monitoring: ${this.name}`);
             
+            if (this.readOnly) {
+                return await this.startReadOnly();
+            }
+            
             // Test RCON connection
             const connectionTest = await this.rcon.testConnection();
             if (!connectionTest) {
                 logger.error(`Failed to connect to server: ${this.name}`);
-                this.status = 'error';
+                this.setStatus('error');
                 return false;
             }
             
@@ -83,21 +116,23 @@ class ServerInstanceService extends EventEmitter {
             const serverInfo = await this.getInfo();
             if (!serverInfo.success) {
                 logger.error(`Failed to get server info: ${this.name}`);
-                this.status = 'error';
+                this.setStatus('error');
                 return false;
             }
             
             // Initialize stats
             this.stats.startTime = new Date();
-            this.status = 'online';
+            this.setStatus('online');
             
             // Start status check interval
             this.startStatusChecking();
             
+            // Start following the server log
+            await this.startLogTailing();
+            
             // Log server start event
             if (this.eventService) {
-                await this.eventService.createEvent({
-                    type: 'server.start',
+                await this.eventService.emitAndStore('server.start', {
                     serverId: this.id,
                     data: {
                         name: this.name,
@@ -113,9 +148,34 @@ class ServerInstanceService extends EventEmitter {
             
         } catch (error) {
             logger.error(`Error starting server monitoring: ${error.message}`);
-            this.status = 'error';
+            this.setStatus('error');
+            return false;
+        }
+    }
+    
+    /**
+     * Start following a server without RCON access
+     * Hostname, map, gametype and players come from getstatus, players are not tracked individually
+     * @private
+     * @returns {Promise<boolean>} Success status
+     */
+    async startReadOnly() {
+        const status = await this.query.getStatus();
+        if (!status.success) {
+            logger.error(`Server ${this.name} does not answer getstatus: ${status.error}`);
+            this.setStatus('error');
             return false;
         }
+        
+        this.queryStatus = status;
+        this.stats.startTime = new Date();
+        this.setStatus('online');
+        
+        this.startStatusChecking();
+        
+        logger.info(`Server monitoring started read-only (no RCON password): ${this.name}`);
+        this.emit('server.start', { server: this });
+        return true;
     }
     
     /**
@@ -129,13 +189,15 @@ class ServerInstanceService extends EventEmitter {
             // Stop status check interval
             this.stopStatusChecking();
             
+            // Stop following the server log
+            this.stopLogTailing();
+            
             // Update status
-            this.status = 'offline';
+            this.setStatus('offline');
             
             // Log server stop event
             if (this.eventService) {
-                await this.eventService.createEvent({
-                    type: 'server.stop',
+                await this.eventService.emitAndStore('server.stop', {
                     serverId: this.id,
                     data: {
                         name: this.name,
@@ -155,6 +217,8 @@ class ServerInstanceService extends EventEmitter {
             // Clear player arrays
             this.clients = [];
             this.players = [];
+            this.queryStatus = null;
+            this.query.close();
             
             logger.info(`Server monitoring stopped: ${this.name}`);
             this.emit('server.stop', { server: this });
@@ -198,24 +262,209 @@ class ServerInstanceService extends EventEmitter {
         }
     }
     
+    /**
+     * Start following the server log file
+     * @private
+     * @returns {Promise<boolean>} Whether log tailing was started
+     */
+    async startLogTailing() {
+        if (!this.logPath) {
+            logger.debug(`No log path configured for server: ${this.name}`);
+            return false;
+        }
+        
+        this.stopLogTailing();
+        
+        this.logReader = new LogEmitterAdapter(this.logPath);
+        
+        this.logReader.on('line', (line) => {
+            this.handleLogLine(line).catch(error => {
+                logger.error(`Error handling log line for server ${this.name}: ${error.message}`);
+            });
+        });
+        
+        this.logReader.on('reset', ({ reason }) => {
+            logger.info(`Log file ${reason} for server ${this.name}, reading from the beginning`);
+        });
+        
+        this.logReader.on('error', (error) => {
+            logger.error(`Error reading log file for server ${this.name}: ${error.message}`);
+        });
+        
+        const started = await this.logReader.start();
+        if (started) {
+            logger.info(`Log tailing started for server ${this.name}: ${this.logPath}`);
+        }
+        
+        return started;
+    }
+    
+    /**
+     * Stop following the server log file
+     * @private
+     */
+    stopLogTailing() {
+        if (this.logReader) {
+            this.logReader.stop();
+            this.logReader.removeAllListeners();
+            this.logReader = null;
+            logger.debug(`Log tailing stopped for server: ${this.name}`);
+        }
+    }
+    
+    /**
+     * Handle a line read from the server log
+     * @private
+     * @param {string} line - Raw log line
+     * @returns {Promise<void>}
+     */
+    async handleLogLine(line) {
+        // Raw line for consumers with their own parsing
+        this.emit('log.line', { server: this, line });
+        
+        // Chat is parsed first, a message holding JSON stays a chat message
+        const event = this.logParser.parse(line);
+        
+        // JSON events written by the stats GSC script
+        const jsonEvent = event && event.type === 'player.say' ? null : this.jsonEventParser.parse(line);
+        if (jsonEvent) {
+            await this.handleJsonEvent(jsonEvent, line);
+            return;
+        }
+        
+        if (!event) return;
+        
+        const { type, data } = event;
+        const player = this.resolveLogPlayer(type === 'player.kill' ? data.attacker : data);
+        
+        if (this.eventService) {
+            await this.eventService.emitAndStore(type, {
+                serverId: this.id,
+                serverName: this.name,
+                playerId: player ? player.clientId : null,
+                data,
+                rawLog: line
+            });
+        }
+        
+        // Kick banned players as soon as they join, without waiting for the next status check
+        if (type === 'player.connected' && !player) {
+            await this.enforcePenalties({
+                guid: data.guid,
+                name: data.name,
+                clientSlot: data.clientSlot,
+                ipAddress: null
+            });
+        }
+        
+        if (type === 'player.say' && player) {
+            this.emit('chat.message', {
+                player,
+                message: data.message
+            });
+            
+            const command = this.commandParser.parse(data.message);
+            if (command) {
+                this.emit('chat.command', {
+                    player,
+                    command: command.command,
+                    args: command.args
+                });
+            }
+        }
+        
+        // Kills between connected players, the victim is unknown for kills by the world
+        if (type === 'player.kill') {
+            this.emit('player.kill', {
+                attacker: player,
+                victim: this.resolveLogPlayer(data.victim),
+                weapon: data.weapon
+            });
+        }
+        
+        if (type === 'match.start' || type === 'match.end') {
+            this.emit(type, data);
+        }
+    }
+    
+    /**
+     * Handle a JSON event read from the server log
+     * Valid events are emitted as game.<event> (e.g. game.match_start) through the EventService
+     * @private
+     * @param {Object} jsonEvent - Validation result from JsonLogEventParser
+     * @param {string} line - Raw log line
+     * @returns {Promise<void>}
+     */
+    async handleJsonEvent(jsonEvent, line) {
+        const { valid, errors, type, data } = jsonEvent;
+        
+        if (!valid) {
+            logger.warn(`Invalid ${type} event from server ${this.name}: ${errors.join(', ')}`);
+            return;
+        }
+        
+        const eventType = `game.${type}`;
+        
+        this.emit(eventType, { server: this, data });
+        
+        // Single event for listeners following every game event
+        this.emit('game.event', { server: this, type, data });
+        
+        if (this.eventService) {
+            await this.eventService.emitAndStore(eventType, {
+                serverId: this.id,
+                serverName: this.name,
+                data,
+                rawLog: line
+            });
+        }
+    }
+    
+    /**
+     * Find the active player referenced by a log event
+     * @private
+     * @param {Object} data - Parsed event data with clientSlot and optionally guid/name
+     * @returns {ActivePlayer|null} Player object or null if not found
+     */
+    resolveLogPlayer(data) {
+        if (!data) return null;
+        
+        const slotPlayer = this.clients[data.clientSlot];
+        if (slotPlayer &&
+            (!data.guid || slotPlayer.guid === data.guid) &&
+            (data.guid || slotPlayer.name === data.name)) {
+            return slotPlayer;
+        }
+        
+        if (data.guid) {
+            return this.players.find(p => p && p.guid === data.guid) || null;
+        }
+        
+        return null;
+    }
+    
     /**
      * Check server status and update player list
      * @private
      * @returns {Promise<void>}
      */
     async checkServerStatus() {
+        if (this.readOnly) {
+            return this.checkQueryStatus();
+        }
+        
         try {
             // Get server status
             const status = await this.rcon.getStatus();
             
             if (!status.success) {
                 logger.warn(`Server ${this.name} appears to be offline`);
-                this.status = 'offline';
+                this.setStatus('offline');
                 return;
             }
             
             // Update server status
-            this.status = 'online';
+            this.setStatus('online');
             
             // Update uptime
             if (this.stats.startTime) {
@@ -237,6 +486,32 @@ class ServerInstanceService extends EventEmitter {
         }
     }
     
+    /**
+     * Refresh the state of a read-only server from getstatus
+     * @private
+     * @returns {Promise<void>}
+     */
+    async checkQueryStatus() {
+        const status = await this.query.getStatus();
+        
+        if (!status.success) {
+            logger.warn(`Server ${this.name} appears to be offline`);
+            this.setStatus('offline');
+            return;
+        }
+        
+        this.setStatus('online');
+        this.queryStatus = status;
+        
+        if (this.stats.startTime) {
+            this.stats.uptime = Math.floor((Date.now() - this.stats.startTime) / 1000);
+        }
+        
+        if (status.playerCount > this.stats.peakPlayers) {
+            this.stats.peakPlayers = status.playerCount;
+        }
+    }
+    
     /**
      * Process player list from status update
      * @private
@@ -266,6 +541,12 @@ class ServerInstanceService extends EventEmitter {
                     // Handle disconnect
                     await player.disconnect();
                     
+                    // Emit disconnect event
+                    this.emit('player.disconnect', {
+                        player,
+                        server: this
+                    });
+                    
                     // Remove from arrays
                     this.clients[i] = null;
                     this.players = this.players.filter(p => p !== player);
@@ -293,6 +574,11 @@ class ServerInstanceService extends EventEmitter {
                 // Build player data
                 const success = await newPlayer.build();
                 
+                // Banned players are kicked before being announced
+                if (success && await this.enforcePenalties(newPlayer)) {
+                    continue;
+                }
+                
                 if (success) {
                     // Add to arrays
                     this.clients[slot] = newPlayer;
@@ -316,12 +602,78 @@ class ServerInstanceService extends EventEmitter {
         }
     }
     
+    /**
+     * Kick the player if a ban is in effect for their GUID (or IP when enabled)
+     * @private
+     * @param {ActivePlayer|Object} player - Player or { guid, name, clientSlot, ipAddress }
+     * @returns {Promise<boolean>} Whether the player was kicked
+     */
+    async enforcePenalties(player) {
+        if (!this.penaltyService || !player.guid) {
+            return false;
+        }
+        
+        try {
+            const penaltiesConfig = this.services.configService?.config?.penalties || {};
+            const ip = penaltiesConfig.enforceIpBans && player.ipAddress ? player.ipAddress : null;
+            
+            const ban = await this.penaltyService.getActiveBan(player.guid, ip);
+            if (!ban) {
+                return false;
+            }
+            
+            const remaining = ban.getRemainingSeconds();
+            const message = remaining === null
+                ? `You are permanently banned: ^5${ban.reason}`
+                : `You are banned: ^5${ban.reason}^7, ${this.utils.secondsToDhms(remaining)} left`;
+            
+            logger.info(`Kicking banned player ${player.name} (${player.guid}) from ${this.name}, penalty ${ban.id}`);
+            
+            // The ban is already recorded, the kick itself is not a new penalty
+            if (player instanceof ActivePlayer) {
+                await player.kick(message, ActivePlayer.SystemUser, false, '');
+            } else {
+                await this.rcon.kick(player.clientSlot, message);
+            }
+            
+            this.emit('player.banned', {
+                player,
+                penalty: ban,
+                server: this
+            });
+            
+            return true;
+        } catch (error) {
+            logger.error(`Error enforcing penalties for ${player.name}: ${error.message}`);
+            return false;
+        }
+    }
+    
     /**
      * Get server information
      * @returns {Promise<Object>} Server information
      */
     async getInfo() {
         try {
+            if (this.readOnly) {
+                const status = this.queryStatus || await this.query.getStatus();
+                if (!status.success) {
+                    throw new Error(status.error);
+                }
+                
+                return {
+                    success: true,
+                    hostname: status.hostname,
+                    mapName: status.mapName,
+                    gametype: status.gametype,
+                    maxClients: status.maxClients,
+                    playerCount: status.playerCount,
+                    status: this.status,
+                    uptime: this.stats.uptime,
+                    readOnly: true
+                };
+            }
+            
             // Get hostname
             const hostname = await this.rcon.getHostname();
             
@@ -357,6 +709,19 @@ class ServerInstanceService extends EventEmitter {
      * @returns {Promise<number>} Player count
      */
     async getPlayerCount() {
+        return this.getCurrentPlayerCount();
+    }
+    
+    /**
+     * Get the player count known from the last status check
+     * @private
+     * @returns {number} Player count
+     */
+    getCurrentPlayerCount() {
+        if (this.readOnly) {
+            return this.queryStatus ? this.queryStatus.playerCount : 0;
+        }
+        
         return this.players.length;
     }
     
@@ -383,6 +748,20 @@ class ServerInstanceService extends EventEmitter {
         }
     }
     
+    /**
+     * Restart the game server through RCON
+     * @param {string} command - Restart command (map_restart, fast_restart...)
+     * @returns {Promise<boolean>} Success status
+     */
+    async restart(command = 'map_restart') {
+        logger.info(`Restarting server ${this.name} with '${command}'`);
+        
+        await this.rcon.executeCommandAsync(command);
+        
+        this.emit('server.restart', { server: this, command });
+        return true;
+    }
+    
     /**
      * Find a player by name or client ID
      * @param {string|number} identifer - Player name or client ID
@@ -403,6 +782,26 @@ class ServerInstanceService extends EventEmitter {
         );
     }
     
+    /**
+     * Find the connected player a command means, by slot, exact name or part of the name
+     * @param {string} query - Slot or name typed by the player
+     * @returns {Object} { player } or { error }
+     */
+    matchPlayer(query) {
+        const exact = this.findPlayer(query);
+        if (exact) return { player: exact };
+        
+        const search = String(query).toLowerCase();
+        const matches = this.players.filter(p =>
+            p && p.isOnline !== false && p.name && p.name.toLowerCase().includes(search)
+        );
+        
+        if (matches.length === 1) return { player: matches[0] };
+        if (matches.length === 0) return { error: `No player matches '${query}'` };
+        
+        return { error: `Several players match '${query}': ${matches.slice(0, 5).map(p => p.name).join(', ')}` };
+    }
+
     /**
      * Kick a player from the server
      * @param {string|number} identifier - Player name or client ID
@@ -449,6 +848,20 @@ class ServerInstanceService extends EventEmitter {
         }
     }
     
+    /**
+     * Change the server status and notify the listeners
+     * @private
+     * @param {string} status - New status (online, offline, error)
+     */
+    setStatus(status) {
+        const previousStatus = this.status;
+        this.status = status;
+        
+        if (previousStatus !== status) {
+            this.emit('status.change', { status, previousStatus });
+        }
+    }
+    
     /**
      * Check if the server is running
      * @returns {boolean} Whether the server is running
@@ -476,7 +889,7 @@ class ServerInstanceService extends EventEmitter {
         
         // Add runtime info
         model.updateStatus(this.status);
-        model.updatePlayerCount(this.players.length);
+        model.updatePlayerCount(this.getCurrentPlayerCount());
         
         return model;
     }
@@ -494,13 +907,24 @@ class ServerInstanceService extends EventEmitter {
             port: this.port,
             game: this.game,
             status: this.status,
-            playerCount: this.players.length,
+            playerCount: this.getCurrentPlayerCount(),
             maxPlayers: this.maxPlayers,
-            uptime: this.stats.uptime
+            uptime: this.stats.uptime,
+            readOnly: this.readOnly
         };
         
+        if (this.readOnly && this.queryStatus) {
+            json.hostname = this.queryStatus.hostname;
+            json.mapName = this.queryStatus.mapName;
+            json.gametype = this.queryStatus.gametype;
+            json.maxPlayers = this.queryStatus.maxClients || this.maxPlayers;
+        }
+        
         if (includeDetails) {
-            json.players = this.players.map(p => p.toJSON());
+            // Read-only servers only know names, scores and pings
+            json.players = this.readOnly
+                ? (this.queryStatus ? this.queryStatus.players : [])
+                : this.players.map(p => p.toJSON());
             json.stats = this.stats;
         }
         
@@ -0,0 +1,170 @@
+/**
+ * Socket Session Service - Keeps track of the authenticated Socket.IO connections
+ * Disconnects the sockets of a session when it expires or is revoked, or when the user is removed.
+ * A socket outlives its short access token as long as the login session it belongs to is active.
+ */
+const logger = require('../core/Logger');
+
+// Interval between two checks of the connected sockets
+const DEFAULT_CHECK_INTERVAL = 60 * 1000;
+
+class SocketSessionService {
+    /**
+     * Create a new SocketSessionService
+     * @param {Object} services - Service container with the authService
+     * @param {Object} options - { checkInterval } in milliseconds
+     */
+    constructor(services = {}, options = {}) {
+        this.services = services;
+        this.checkInterval = options.checkInterval || DEFAULT_CHECK_INTERVAL;
+
+        // Socket -> expiry timer, sockets of every Socket.IO server and namespace
+        this.sockets = new Map();
+        this.checkTimer = null;
+    }
+
+    /**
+     * Start checking the connected sockets periodically
+     */
+    start() {
+        if (this.checkTimer) return;
+
+        this.checkTimer = setInterval(() => {
+            this.revalidate().catch(error => logger.error(`Socket session check failed: ${error.message}`));
+        }, this.checkInterval);
+        this.checkTimer.unref();
+    }
+
+    /**
+     * Stop the checks and disconnect every tracked socket
+     */
+    stop() {
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+
+        for (const socket of Array.from(this.sockets.keys())) {
+            this.end(socket, 'server shutdown');
+        }
+    }
+
+    /**
+     * Track an authenticated socket, socket.user and socket.token must be set
+     * @param {Object} socket - Socket.IO socket
+     */
+    track(socket) {
+        // Sockets of a login session are checked against the session, others end with their token
+        const expiresIn = socket.user && socket.user.exp && !socket.user.sid ? socket.user.exp * 1000 - Date.now() : null;
+        let timer = null;
+
+        // setTimeout does not handle delays above ~24.8 days, the periodic check covers them
+        if (expiresIn !== null && expiresIn < 0x7fffffff) {
+            timer = setTimeout(() => this.end(socket, 'session expired'), Math.max(expiresIn, 0));
+            timer.unref();
+        }
+
+        this.sockets.set(socket, timer);
+        socket.on('disconnect', () => this.untrack(socket));
+    }
+
+    /**
+     * Stop tracking a socket
+     * @param {Object} socket - Socket.IO socket
+     */
+    untrack(socket) {
+        clearTimeout(this.sockets.get(socket));
+        this.sockets.delete(socket);
+    }
+
+    /**
+     * Tell a socket why its session ended, then disconnect it
+     * @param {Object} socket - Socket.IO socket
+     * @param {string} reason - Reason sent to the client
+     */
+    end(socket, reason) {
+        this.untrack(socket);
+
+        socket.emit('session:ended', { reason });
+        socket.disconnect(true);
+    }
+
+    /**
+     * Check the session or token of every tracked socket again, disconnecting the invalid ones
+     * @returns {Promise<number>} Number of disconnected sockets
+     */
+    async revalidate() {
+        const authService = this.services.authService;
+        if (!authService) return 0;
+
+        let count = 0;
+        for (const socket of Array.from(this.sockets.keys())) {
+            const valid = socket.user.sid
+                ? await authService.isSessionActive(socket.user.sid, socket.user.id)
+                : !!await authService.verifyToken(socket.token);
+
+            if (!valid) {
+                this.end(socket, 'session revoked');
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Disconnect the sockets of a user
+     * @param {string} userId - User ID
+     * @param {string} reason - Reason sent to the client
+     * @returns {number} Number of disconnected sockets
+     */
+    disconnectUser(userId, reason = 'session revoked') {
+        return this.disconnectWhere(socket => String(socket.user.id) === String(userId), reason);
+    }
+
+    /**
+     * Disconnect the sockets of a login session
+     * @param {string} sessionId - Session ID (sid claim of the token)
+     * @param {string} reason - Reason sent to the client
+     * @returns {number} Number of disconnected sockets
+     */
+    disconnectSession(sessionId, reason = 'session revoked') {
+        return this.disconnectWhere(socket => socket.user.sid === sessionId, reason);
+    }
+
+    /**
+     * Disconnect the sockets authenticated with a token
+     * @param {string} token - JWT
+     * @param {string} reason - Reason sent to the client
+     * @returns {number} Number of disconnected sockets
+     */
+    disconnectToken(token, reason = 'session revoked') {
+        return this.disconnectWhere(socket => socket.token === token, reason);
+    }
+
+    /**
+     * Disconnect the tracked sockets matching a predicate
+     * @private
+     * @param {Function} predicate - (socket) => boolean
+     * @param {string} reason - Reason sent to the client
+     * @returns {number} Number of disconnected sockets
+     */
+    disconnectWhere(predicate, reason) {
+        let count = 0;
+        for (const socket of Array.from(this.sockets.keys())) {
+            if (predicate(socket)) {
+                this.end(socket, reason);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Get the number of tracked sockets
+     * @returns {number} Connected authenticated sockets
+     */
+    getConnectionCount() {
+        return this.sockets.size;
+    }
+}
+
+module.exports = SocketSessionService;
@@ -0,0 +1,321 @@
+/**
+ * Stats Period Service - Zombies stats of the players per day, ISO week, month, season and year
+ * Finished zombies matches are counted in the periods of their end time, in the configured timezone.
+ * Matches of the history not counted yet are counted at start, so missing period rows are backfilled.
+ * Periods are closed once they end: their final standings are archived and stay available afterwards
+ */
+const logger = require('../core/Logger');
+const StatsPeriod = require('../core/StatsPeriod');
+const StatsPeriodRepository = require('../repositories/StatsPeriodRepository');
+
+const DEFAULT_SETTINGS = {
+    timezone: 'UTC',
+    // Length of a season in months, it must divide the year
+    seasonMonths: 3,
+    // Players archived in the standings of each metric
+    standings: 10,
+    metrics: StatsPeriodRepository.METRICS
+};
+
+// Ended periods are looked for every minute
+const ROLLOVER_INTERVAL = 60 * 1000;
+
+// Matches read at once from the history
+const MATCH_BATCH = 500;
+
+class StatsPeriodService {
+    /**
+     * Create a new StatsPeriodService
+     * @param {Object} db - Database connection
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(db, services = {}) {
+        this.periodRepository = new StatsPeriodRepository(db);
+        this.services = services;
+        this.settings = { ...DEFAULT_SETTINGS, ...services.configService?.config?.periods };
+        this.periods = StatsPeriod.fromConfig(this.settings);
+        this.metrics = (this.settings.metrics || []).filter(metric => StatsPeriodRepository.METRICS.includes(metric));
+
+        // Counting and rollover share the period rows, they run one after the other
+        this.queue = Promise.resolve();
+        this.timer = null;
+
+        this.handleMatchEnded = this.handleMatchEnded.bind(this);
+    }
+
+    /**
+     * Count the matches of the history, close the ended periods and start the rollover
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const eventService = this.services.eventService;
+        if (eventService) {
+            eventService.on('zombies.match.ended', this.handleMatchEnded);
+        }
+
+        const counted = await this.enqueue(() => this.countMatches());
+        await this.enqueue(() => this.rollover(new Date()));
+
+        this.timer = setInterval(() => {
+            this.enqueue(() => this.rollover(new Date())).catch(error => {
+                logger.error(`Error rolling the stats periods over: ${error.message}`);
+            });
+        }, ROLLOVER_INTERVAL);
+        this.timer.unref();
+
+        logger.info(`Stats periods started in ${this.periods.timezone}, ${counted} match(es) counted from the history`);
+    }
+
+    /**
+     * Stop the rollover and stop counting the matches
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        const eventService = this.services.eventService;
+        if (eventService) {
+            eventService.off('zombies.match.ended', this.handleMatchEnded);
+        }
+    }
+
+    /**
+     * Count a zombies match once it is stored as finished
+     * @returns {Promise<void>}
+     */
+    async handleMatchEnded() {
+        try {
+            await this.enqueue(() => this.countMatches());
+        } catch (error) {
+            logger.error(`Error counting the zombies match in the stats periods: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a task after the ones already queued
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Result of the task
+     * @private
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Count the finished matches not counted yet in their periods
+     * Periods already closed when a late match is counted get their standings archived again
+     * @returns {Promise<number>} Number of matches counted
+     */
+    async countMatches() {
+        const touched = new Map();
+        let count = 0;
+        let matches;
+
+        do {
+            matches = await this.periodRepository.getUncountedMatches(MATCH_BATCH);
+
+            for (const match of matches) {
+                for (const period of await this.countMatch(match)) {
+                    touched.set(`${period.type}:${period.key}`, period);
+                }
+
+                await this.periodRepository.markMatchCounted(match.match_id);
+                count++;
+            }
+        } while (matches.length === MATCH_BATCH);
+
+        for (const period of touched.values()) {
+            const row = await this.periodRepository.getPeriod(period.type, period.key);
+
+            if (!row) {
+                await this.periodRepository.savePeriod(period, 'open');
+            } else if (row.status === 'closed') {
+                await this.closePeriod(period);
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Add the stats of the players of a match to the periods of its end time
+     * @param {Object} match - zombies_matches row
+     * @returns {Promise<Array<Object>>} Periods the match was counted in
+     * @private
+     */
+    async countMatch(match) {
+        const endTime = new Date(match.end_time);
+        if (isNaN(endTime.getTime())) {
+            logger.warn(`Zombies match ${match.match_id} has an invalid end time, it is not counted in the stats periods`);
+            return [];
+        }
+
+        const players = await this.periodRepository.getMatchPlayerStats(match);
+        if (players.length === 0) return [];
+
+        const periods = StatsPeriod.TYPES.map(type => this.periods.getPeriod(type, endTime));
+
+        for (const { playerId, stats } of players) {
+            for (const period of periods) {
+                await this.periodRepository.addPlayerStats(playerId, period.type, period.key, stats);
+            }
+        }
+
+        return periods;
+    }
+
+    /**
+     * Open the current periods and close the ones that ended
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Number of periods closed
+     */
+    async rollover(now) {
+        for (const type of StatsPeriod.TYPES) {
+            const current = this.periods.getPeriod(type, now);
+
+            if (!await this.periodRepository.getPeriod(current.type, current.key)) {
+                await this.periodRepository.savePeriod(current, 'open');
+            }
+        }
+
+        let closed = 0;
+        for (const row of await this.periodRepository.getOpenPeriods()) {
+            const period = this.fromRow(row);
+
+            if (period.end <= now) {
+                await this.closePeriod(period);
+                closed++;
+            }
+        }
+
+        return closed;
+    }
+
+    /**
+     * Archive the final standings of a period and close it
+     * @param {Object} period - Period { type, key, start, end }
+     * @returns {Promise<void>}
+     * @private
+     */
+    async closePeriod(period) {
+        const leaders = {};
+
+        for (const metric of this.metrics) {
+            const standings = await this.periodRepository.getStandings(period.type, period.key, metric, this.settings.standings);
+            await this.periodRepository.saveStandings(period.type, period.key, metric, standings);
+
+            if (standings.length > 0) {
+                leaders[metric] = { name: standings[0].player_name, value: standings[0].value };
+            }
+        }
+
+        await this.periodRepository.savePeriod(period, 'closed');
+        logger.info(`Stats period ${period.type} ${period.key} closed`);
+
+        if (!this.services.eventService) return;
+
+        try {
+            await this.services.eventService.emitAndStore('stats.period.closed', {
+                data: {
+                    type: period.type,
+                    key: period.key,
+                    start: period.start.toISOString(),
+                    end: period.end.toISOString(),
+                    leaders
+                }
+            }, true);
+        } catch (error) {
+            logger.warn(`Could not store the closing of the stats period ${period.key}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the periods of a type, most recent first
+     * @param {string} type - Period type
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array<Object>>} Periods { type, key, start, end, status, closedAt }
+     */
+    async getPeriods(type, limit = 20) {
+        try {
+            const rows = await this.periodRepository.getPeriods(type, limit);
+
+            return rows.map(row => ({
+                type: row.period_type,
+                key: row.period_key,
+                start: row.starts_at,
+                end: row.ends_at,
+                status: row.status,
+                closedAt: row.closed_at
+            }));
+        } catch (error) {
+            console.error('Error in StatsPeriodService.getPeriods:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the standings of a period, archived once it is closed and live while it is open
+     * @param {string} type - Period type
+     * @param {string} key - Period key, current for the period being played
+     * @param {string} metric - Ranked metric
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Object|null>} { period, standings } or null if the key is invalid
+     */
+    async getPeriodStandings(type, key, metric, limit = 10) {
+        try {
+            const period = key === 'current'
+                ? this.periods.getPeriod(type, new Date())
+                : this.periods.getPeriodByKey(type, key);
+            if (!period) return null;
+
+            const row = await this.periodRepository.getPeriod(type, period.key);
+            const closed = row && row.status === 'closed';
+
+            const standings = closed
+                ? await this.periodRepository.getArchivedStandings(type, period.key, metric, limit)
+                : await this.periodRepository.getStandings(type, period.key, metric, limit);
+
+            return {
+                period: {
+                    type,
+                    key: period.key,
+                    start: row ? row.starts_at : period.start.toISOString(),
+                    end: row ? row.ends_at : period.end.toISOString(),
+                    status: closed ? 'closed' : 'open',
+                    closedAt: closed ? row.closed_at : null
+                },
+                standings: standings.map(standing => ({
+                    position: standing.position,
+                    playerId: standing.player_id,
+                    guid: standing.player_guid,
+                    name: standing.player_name,
+                    value: standing.value
+                }))
+            };
+        } catch (error) {
+            console.error('Error in StatsPeriodService.getPeriodStandings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a period from its stored row, the stored boundaries are kept if the timezone changed
+     * @param {Object} row - stats_periods row
+     * @returns {Object} Period { type, key, start, end }
+     * @private
+     */
+    fromRow(row) {
+        return {
+            type: row.period_type,
+            key: row.period_key,
+            start: new Date(row.starts_at),
+            end: new Date(row.ends_at)
+        };
+    }
+}
+
+module.exports = StatsPeriodService;
@@ -163,16 +163,21 @@ class StatsService {
 
     /**
      * Get summary statistics for a period
-     * @param {string} periodType - Period type (weekly, monthly, yearly)
-     * @param {string} periodKey - Period key
+     * @param {string} periodType - Period type (daily, weekly, monthly, seasonal, yearly, or season for a custom season)
+     * @param {string} periodKey - Period key, the season ID for a custom season
      * @returns {Promise<Object>} Period summary
      */
     async getPeriodSummary(periodType = 'weekly', periodKey = null) {
         try {
+            // Custom seasons have no current key, several can run at once
+            if (!periodKey && periodType === 'season') {
+                throw new Error('A season ID is required');
+            }
+
             // If no period key provided, get current
             if (!periodKey) {
                 const { PeriodStats } = require('../models/Stats');
-                periodKey = PeriodStats.getCurrentPeriodKey(periodType);
+                periodKey = PeriodStats.getCurrentPeriodKey(periodType, this.statsRepository.periods);
             }
 
             // Get summary statistics
@@ -258,7 +263,7 @@ class StatsService {
     async _createZombiesStatsTables() {
         try {
             // Create zombies_stats table for tracking player statistics
-            await this.statsRepository.db._run(`
+            await this.statsRepository.db.run(`
                 CREATE TABLE IF NOT EXISTS zombies_stats (
                     id INTEGER PRIMARY KEY AUTOINCREMENT,
                     player_id INTEGER NOT NULL,
@@ -287,7 +292,7 @@ class StatsService {
             `);
 
             // Create table for period-based statistics (weekly, monthly, yearly)
-            await this.statsRepository.db._run(`
+            await this.statsRepository.db.run(`
                 CREATE TABLE IF NOT EXISTS zombies_stats_periods (
                     id INTEGER PRIMARY KEY AUTOINCREMENT,
                     player_id INTEGER NOT NULL,
@@ -312,7 +317,7 @@ class StatsService {
             `);
 
             // Create zombies_match_history table for tracking match details
-            await this.statsRepository.db._run(`
+            await this.statsRepository.db.run(`
                 CREATE TABLE IF NOT EXISTS zombies_match_history (
                     id INTEGER PRIMARY KEY AUTOINCREMENT,
                     server_id TEXT NOT NULL,
@@ -407,7 +412,7 @@ class StatsService {
         try {
             const { serverId, mapName, playerGuids, startTime } = matchData;
 
-            const result = await this.statsRepository.db._run(
+            const result = await this.statsRepository.db.run(
                 `INSERT INTO zombies_match_history 
                  (server_id, map_name, start_time, players, stats, created_at, updated_at)
                  VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
@@ -572,7 +577,7 @@ class StatsService {
 
             // If no stats record exists, create one
             if (!stats) {
-                await this.statsRepository.db._run(
+                await this.statsRepository.db.run(
                     `INSERT INTO zombies_stats (player_id) VALUES (?)`,
                     [player.id]
                 );
@@ -0,0 +1,252 @@
+/**
+ * Two-Factor Service - TOTP second factor of the web users
+ *
+ * Enrollment stores a pending secret until the user confirms it with a code from the
+ * authenticator app. Every accepted code records its time step so it cannot be replayed.
+ * Recovery codes replace a code once each when the authenticator is lost; only their hash is stored.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Totp = require('../core/Totp');
+const TwoFactorRepository = require('../repositories/TwoFactorRepository');
+
+// Number of recovery codes generated at once
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+    /**
+     * Create a new TwoFactorService
+     * @param {Object} db - Database connection
+     * @param {Object} config - { issuer, requiredRoles } (api.twoFactor section)
+     */
+    constructor(db, config = {}) {
+        this.twoFactorRepository = new TwoFactorRepository(db);
+        this.issuer = config.issuer || 'Node Server Manager';
+
+        // Roles that must enable two-factor before using the API
+        this.requiredRoles = Array.isArray(config.requiredRoles) ? config.requiredRoles : ['admin'];
+    }
+
+    /**
+     * Check if a user has two-factor enabled
+     * @param {Object} user - User row
+     * @returns {boolean} Whether a code is asked at login
+     */
+    isEnabled(user) {
+        return !!(user && user.totp_secret && user.totp_enabled_at);
+    }
+
+    /**
+     * Check if the policy requires two-factor for the role of a user
+     * @param {Object} user - User row
+     * @returns {boolean} Whether two-factor is mandatory
+     */
+    isRequired(user) {
+        return !!user && this.requiredRoles.includes(user.role);
+    }
+
+    /**
+     * Check if a user must enable two-factor before using the API
+     * @param {Object} user - User row
+     * @returns {boolean} True if two-factor is mandatory but not enabled
+     */
+    isSetupRequired(user) {
+        return this.isRequired(user) && !this.isEnabled(user);
+    }
+
+    /**
+     * Get the two-factor status of a user
+     * @param {Object} user - User row
+     * @returns {Promise<Object>} { enabled, required, pending, recoveryCodesRemaining }
+     */
+    async getStatus(user) {
+        try {
+            const enabled = this.isEnabled(user);
+
+            return {
+                enabled,
+                required: this.isRequired(user),
+                pending: !enabled && !!user.totp_secret,
+                recoveryCodesRemaining: enabled ? await this.twoFactorRepository.countRecoveryCodes(user.id) : 0
+            };
+        } catch (error) {
+            console.error('Error in TwoFactorService.getStatus:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start the enrollment with a new secret
+     * @param {Object} user - User row
+     * @returns {Promise<Object>} { success, secret, otpauthUrl } or { success: false, error, code }
+     */
+    async beginSetup(user) {
+        try {
+            if (this.isEnabled(user)) {
+                return { success: false, error: 'Two-factor authentication is already enabled', code: 400 };
+            }
+
+            const secret = Totp.generateSecret();
+            await this.twoFactorRepository.setPendingSecret(user.id, secret);
+
+            return {
+                success: true,
+                secret,
+                otpauthUrl: Totp.getProvisioningUri({ secret, account: user.username, issuer: this.issuer })
+            };
+        } catch (error) {
+            console.error('Error in TwoFactorService.beginSetup:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Confirm the enrollment with a code of the pending secret
+     * @param {Object} user - User row
+     * @param {string} code - TOTP code
+     * @returns {Promise<Object>} { success, recoveryCodes } or { success: false, error, code }
+     */
+    async enable(user, code) {
+        try {
+            if (this.isEnabled(user)) {
+                return { success: false, error: 'Two-factor authentication is already enabled', code: 400 };
+            }
+
+            if (!user.totp_secret) {
+                return { success: false, error: 'Two-factor setup has not been started', code: 400 };
+            }
+
+            const step = Totp.verify(user.totp_secret, code);
+            if (step === null) {
+                return { success: false, error: 'Invalid two-factor code', code: 401 };
+            }
+
+            await this.twoFactorRepository.enable(user.id, step);
+            const recoveryCodes = await this.generateRecoveryCodes(user.id);
+
+            return { success: true, recoveryCodes };
+        } catch (error) {
+            console.error('Error in TwoFactorService.enable:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a TOTP code or a recovery code of a user with two-factor enabled
+     * @param {Object} user - User row
+     * @param {string} code - TOTP code or recovery code
+     * @returns {Promise<string|null>} 'totp' or 'recovery' for an accepted code, null otherwise
+     */
+    async verify(user, code) {
+        try {
+            if (!this.isEnabled(user) || !code) return null;
+
+            const step = Totp.verify(user.totp_secret, code);
+            if (step !== null) {
+                return await this.twoFactorRepository.useStep(user.id, step) ? 'totp' : null;
+            }
+
+            const normalized = this.normalizeRecoveryCode(code);
+            if (normalized && await this.twoFactorRepository.useRecoveryCode(user.id, this.hashRecoveryCode(normalized))) {
+                return 'recovery';
+            }
+
+            return null;
+        } catch (error) {
+            console.error('Error in TwoFactorService.verify:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Disable two-factor, a code is required unless an admin resets it
+     * @param {Object} user - User row
+     * @param {string|null} code - TOTP code or recovery code, null for an admin reset
+     * @returns {Promise<Object>} { success } or { success: false, error, code }
+     */
+    async disable(user, code = null) {
+        try {
+            if (code !== null) {
+                if (this.isRequired(user)) {
+                    return { success: false, error: `Two-factor authentication is required for the ${user.role} role`, code: 403 };
+                }
+
+                if (!await this.verify(user, code)) {
+                    return { success: false, error: 'Invalid two-factor code', code: 401 };
+                }
+            }
+
+            await this.twoFactorRepository.disable(user.id);
+            return { success: true };
+        } catch (error) {
+            console.error('Error in TwoFactorService.disable:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the recovery codes after checking a code
+     * @param {Object} user - User row
+     * @param {string} code - TOTP code or recovery code
+     * @returns {Promise<Object>} { success, recoveryCodes } or { success: false, error, code }
+     */
+    async regenerateRecoveryCodes(user, code) {
+        try {
+            if (!this.isEnabled(user)) {
+                return { success: false, error: 'Two-factor authentication is not enabled', code: 400 };
+            }
+
+            if (!await this.verify(user, code)) {
+                return { success: false, error: 'Invalid two-factor code', code: 401 };
+            }
+
+            return { success: true, recoveryCodes: await this.generateRecoveryCodes(user.id) };
+        } catch (error) {
+            console.error('Error in TwoFactorService.regenerateRecoveryCodes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate and store a new set of recovery codes
+     * @private
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<string>>} Codes in clear, shown once to the user
+     */
+    async generateRecoveryCodes(userId) {
+        const codes = [];
+        const stored = [];
+
+        for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+            const raw = crypto.randomBytes(5).toString('hex');
+            codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+            stored.push({ id: uuidv4(), codeHash: this.hashRecoveryCode(raw) });
+        }
+
+        await this.twoFactorRepository.replaceRecoveryCodes(userId, stored);
+        return codes;
+    }
+
+    /**
+     * Normalize a recovery code as typed by the user
+     * @private
+     * @param {string} code - Recovery code, with or without the dash
+     * @returns {string|null} 10 lowercase hex characters or null if it cannot be a recovery code
+     */
+    normalizeRecoveryCode(code) {
+        const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+        return /^[0-9a-f]{10}$/.test(normalized) ? normalized : null;
+    }
+
+    /**
+     * Hash a recovery code for storage
+     * @private
+     * @param {string} code - Normalized recovery code
+     * @returns {string} SHA-256 hex digest
+     */
+    hashRecoveryCode(code) {
+        return crypto.createHash('sha256').update(code).digest('hex');
+    }
+}
+
+module.exports = TwoFactorService;
@@ -53,6 +53,10 @@ class UserService {
         try {
             const { username, password, email, role = 'user' } = userData;
 
+            if (!username || !password) {
+                return { success: false, error: 'Username and password required' };
+            }
+
             // Check if username already exists
             const existingUser = await this.getUserByUsername(username);
             if (existingUser) {
@@ -138,6 +142,138 @@ class UserService {
         }
     }
 
+    /**
+     * Get all users
+     * @returns {Promise<Array<Object>>} Sanitized users, oldest first
+     */
+    async getUsers() {
+        try {
+            const users = await this.db.all('SELECT * FROM users ORDER BY created_at ASC');
+            return users.map(user => this.sanitizeUser(user));
+        } catch (error) {
+            this.logger.error('Error getting users:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change the role of a user
+     * @param {string} id - User ID
+     * @param {string} role - Role ID
+     * @param {string} actorId - ID of the user making the change
+     * @returns {Promise<Object>} Result object
+     */
+    async setUserRole(id, role, actorId) {
+        try {
+            const user = await this.getUserById(id);
+            if (!user) {
+                return { success: false, error: 'User not found', code: 404 };
+            }
+
+            if (user.role === role) {
+                return { success: true, user: this.sanitizeUser(user) };
+            }
+
+            if (id === actorId) {
+                return { success: false, error: 'You cannot change your own role', code: 400 };
+            }
+
+            if (await this.isLastActiveAdmin(user)) {
+                return { success: false, error: 'The last active admin cannot lose the admin role', code: 400 };
+            }
+
+            await this.db.run('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+
+            const updatedUser = await this.getUserById(id);
+            return { success: true, user: this.sanitizeUser(updatedUser) };
+        } catch (error) {
+            this.logger.error('Error setting user role:', error);
+            return { success: false, error: error.message, code: 500 };
+        }
+    }
+
+    /**
+     * Disable or enable a user, a disabled user cannot log in
+     * @param {string} id - User ID
+     * @param {boolean} disabled - Whether the user is disabled
+     * @param {string} actorId - ID of the user making the change
+     * @returns {Promise<Object>} Result object
+     */
+    async setUserDisabled(id, disabled, actorId) {
+        try {
+            const user = await this.getUserById(id);
+            if (!user) {
+                return { success: false, error: 'User not found', code: 404 };
+            }
+
+            if (disabled) {
+                if (id === actorId) {
+                    return { success: false, error: 'You cannot disable your own account', code: 400 };
+                }
+
+                if (await this.isLastActiveAdmin(user)) {
+                    return { success: false, error: 'The last active admin cannot be disabled', code: 400 };
+                }
+            }
+
+            await this.db.run(
+                'UPDATE users SET disabled_at = ? WHERE id = ?',
+                [disabled ? (user.disabled_at || new Date().toISOString()) : null, id]
+            );
+
+            const updatedUser = await this.getUserById(id);
+            return { success: true, user: this.sanitizeUser(updatedUser) };
+        } catch (error) {
+            this.logger.error('Error disabling user:', error);
+            return { success: false, error: error.message, code: 500 };
+        }
+    }
+
+    /**
+     * Delete a user
+     * @param {string} id - User ID
+     * @param {string} actorId - ID of the user making the change
+     * @returns {Promise<Object>} Result object
+     */
+    async deleteUser(id, actorId) {
+        try {
+            const user = await this.getUserById(id);
+            if (!user) {
+                return { success: false, error: 'User not found', code: 404 };
+            }
+
+            if (id === actorId) {
+                return { success: false, error: 'You cannot delete your own account', code: 400 };
+            }
+
+            if (await this.isLastActiveAdmin(user)) {
+                return { success: false, error: 'The last active admin cannot be deleted', code: 400 };
+            }
+
+            await this.db.run('DELETE FROM users WHERE id = ?', [id]);
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Error deleting user:', error);
+            return { success: false, error: error.message, code: 500 };
+        }
+    }
+
+    /**
+     * Check if a user is the only enabled admin, removing it would lock everyone out
+     * @private
+     * @param {Object} user - User row
+     * @returns {Promise<boolean>} True if no other enabled admin exists
+     */
+    async isLastActiveAdmin(user) {
+        if (user.role !== 'admin' || user.disabled_at) return false;
+
+        const { count } = await this.db.get(
+            `SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND disabled_at IS NULL AND id != ?`,
+            [user.id]
+        );
+        return count === 0;
+    }
+
     /**
      * Update user last login time
      * @param {string} id - User ID
@@ -162,7 +298,7 @@ class UserService {
     sanitizeUser(user) {
         if (!user) return null;
         
-        const { password, ...sanitized } = user;
+        const { password, totp_secret, totp_last_step, ...sanitized } = user;
         return sanitized;
     }
 
@@ -0,0 +1,265 @@
+/**
+ * Warning Service - Warnings given by admins (!warn) and their automatic escalation
+ * A warning counts until it expires or is cleared. Reaching a threshold of active warnings
+ * kicks or bans the player, the thresholds can be set for each server
+ */
+const logger = require('../core/Logger');
+const Warning = require('../models/Warning');
+const WarningRepository = require('../repositories/WarningRepository');
+const PlayerRepository = require('../repositories/PlayerRepository');
+
+// Penalties applied by the escalation
+const ESCALATION_ACTIONS = ['kick', 'tempban', 'ban'];
+
+const DEFAULT_SETTINGS = {
+    // Seconds a warning counts, 0 to keep it until it is cleared
+    expiry: 604800,
+    // Penalty applied when the player reaches a number of active warnings
+    escalation: [
+        { at: 3, action: 'kick' },
+        { at: 5, action: 'tempban', duration: 86400 }
+    ]
+};
+
+class WarningService {
+    /**
+     * Create a new WarningService
+     * @param {Object} db - Database connection
+     * @param {ServerManager} serverManager - Server manager owning the server instances
+     * @param {Object} services - Service container with references to other services
+     */
+    constructor(db, serverManager, services = {}) {
+        this.warningRepository = new WarningRepository(db);
+        this.playerRepository = new PlayerRepository(db);
+        this.serverManager = serverManager;
+        this.services = services;
+        this.config = services.configService?.config?.warnings || {};
+    }
+
+    /**
+     * Get the warning settings of a server, a server's own config overrides the global one
+     * @param {ServerInstanceService|null} server - Server instance
+     * @returns {Object} Settings { expiry, escalation } with the escalation sorted by threshold
+     */
+    getSettings(server) {
+        const settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.config,
+            ...(server && server.config && server.config.warnings)
+        };
+
+        settings.escalation = (Array.isArray(settings.escalation) ? settings.escalation : [])
+            .filter(step => parseInt(step.at) > 0 && ESCALATION_ACTIONS.includes(step.action))
+            .map(step => ({ ...step, at: parseInt(step.at), duration: parseInt(step.duration) || 0 }))
+            .sort((a, b) => a.at - b.at);
+
+        return settings;
+    }
+
+    /**
+     * Get the escalation step reached with a number of active warnings
+     * @param {Array<Object>} escalation - Steps sorted by threshold
+     * @param {number} count - Active warnings
+     * @returns {Object|null} Highest step reached or null
+     */
+    static getEscalationStep(escalation, count) {
+        let reached = null;
+
+        for (const step of escalation) {
+            if (count >= step.at) reached = step;
+        }
+
+        return reached;
+    }
+
+    /**
+     * Warn a connected player and apply the escalation
+     * @param {Object} data - Warning data
+     * @param {ServerInstanceService} data.server - Server the player is warned on
+     * @param {ActivePlayer} data.player - Warned player
+     * @param {string} data.reason - Warning reason
+     * @param {ActivePlayer|Object} data.origin - Warning admin, or the system user
+     * @returns {Promise<Object>} { success, warning, count, action } or { success, error, code }
+     */
+    async warn({ server, player, reason, origin }) {
+        try {
+            const text = String(reason || '').trim();
+            if (!text) {
+                return { success: false, error: 'A reason is required', code: 400 };
+            }
+
+            if (origin && origin.guid && origin.guid === player.guid) {
+                return { success: false, error: 'You cannot warn yourself', code: 400 };
+            }
+
+            const settings = this.getSettings(server);
+            const createdAt = new Date();
+
+            const warning = await this.warningRepository.create(new Warning({
+                serverId: server ? server.id : null,
+                playerId: player.clientId || null,
+                playerGuid: player.guid,
+                playerName: player.name,
+                reason: text,
+                originId: origin ? origin.clientId : null,
+                originName: origin ? origin.name : null,
+                createdAt,
+                expiresAt: settings.expiry > 0 ? new Date(createdAt.getTime() + settings.expiry * 1000) : null
+            }));
+
+            const count = (await this.warningRepository.getActiveWarnings(player.guid)).length;
+            const step = WarningService.getEscalationStep(settings.escalation, count);
+            const action = step ? step.action : 'warn';
+
+            logger.info(`Warning #${warning.id}: ${warning.originName} warned ${player.name}: ${text} (${count} active, ${action})`);
+            await this.publish('player.warning', warning, { warnings: count, action });
+
+            if (step) {
+                await this.escalate(player, step, text, count, origin);
+            } else {
+                const next = settings.escalation.find(s => s.at > count);
+                const progress = next ? `${count}/${next.at}` : `${count}`;
+                await player.tell(`^3Warning ${progress}^7 from ^5${warning.originName}^7: ${text}`);
+            }
+
+            return { success: true, warning, count, action };
+        } catch (error) {
+            logger.error(`Error warning ${player.name}: ${error.message}`);
+            return { success: false, error: error.message, code: 500 };
+        }
+    }
+
+    /**
+     * Get the active warnings of a player
+     * @param {string} guid - Player GUID
+     * @returns {Promise<Array<Warning>>} Active warnings, oldest first
+     */
+    async getActiveWarnings(guid) {
+        try {
+            return await this.warningRepository.getActiveWarnings(guid);
+        } catch (error) {
+            console.error('Error in WarningService.getActiveWarnings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the warning history of a stored player
+     * @param {string} playerId - Player ID
+     * @param {number} limit - Maximum results
+     * @param {number} offset - Results to skip
+     * @returns {Promise<Object|null>} { warnings, total, active } or null if the player does not exist
+     */
+    async getPlayerWarnings(playerId, limit = 50, offset = 0) {
+        try {
+            const player = await this.playerRepository.getById(playerId);
+            if (!player) return null;
+
+            return await this.warningRepository.getPlayerWarnings({ playerId: player.id, guid: player.guid }, limit, offset);
+        } catch (error) {
+            console.error('Error in WarningService.getPlayerWarnings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear the active warnings of a player
+     * @param {Object} player - Connected or stored player { guid, name, clientId or id }
+     * @param {string} clearedBy - Name of the admin clearing the warnings
+     * @param {string|null} serverId - Server the warnings are cleared from, null for the web
+     * @returns {Promise<number>} Cleared warnings
+     */
+    async clearWarnings(player, clearedBy, serverId = null) {
+        try {
+            const count = await this.warningRepository.clearActive(player.guid, clearedBy);
+
+            if (count > 0) {
+                logger.info(`${clearedBy} cleared ${count} warnings of ${player.name}`);
+                await this.publish('player.warning.clear', new Warning({
+                    serverId,
+                    playerId: player.clientId || player.id || null,
+                    playerGuid: player.guid,
+                    playerName: player.name,
+                    originName: clearedBy
+                }), { warnings: count });
+            }
+
+            return count;
+        } catch (error) {
+            console.error('Error in WarningService.clearWarnings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear the active warnings of a stored player
+     * @param {string} playerId - Player ID
+     * @param {string} clearedBy - Name of the admin clearing the warnings
+     * @returns {Promise<Object|null>} { player, cleared } or null if the player does not exist
+     */
+    async clearPlayerWarnings(playerId, clearedBy) {
+        try {
+            const player = await this.playerRepository.getById(playerId);
+            if (!player) return null;
+
+            return { player, cleared: await this.clearWarnings(player, clearedBy) };
+        } catch (error) {
+            console.error('Error in WarningService.clearPlayerWarnings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply an escalation step to a player
+     * @param {ActivePlayer} player - Warned player
+     * @param {Object} step - Escalation step { at, action, duration }
+     * @param {string} reason - Reason of the last warning
+     * @param {number} count - Active warnings
+     * @param {Object} origin - Warning admin, or the system user
+     * @returns {Promise<void>}
+     * @private
+     */
+    async escalate(player, step, reason, count, origin) {
+        const penaltyReason = `${count} warnings, last: ${reason}`;
+
+        if (step.action === 'ban') {
+            await player.ban(penaltyReason, origin);
+        } else if (step.action === 'tempban' && step.duration > 0) {
+            await player.tempBan(penaltyReason, origin, step.duration);
+        } else {
+            await player.kick(penaltyReason, origin);
+        }
+    }
+
+    /**
+     * Store a warning change in the event history
+     * @param {string} type - Event type
+     * @param {Warning} warning - New warning, or the cleared player
+     * @param {Object} extra - Additional event data
+     * @returns {Promise<void>}
+     * @private
+     */
+    async publish(type, warning, extra = {}) {
+        if (!this.services.eventService) return;
+
+        try {
+            await this.services.eventService.emitAndStore(type, {
+                serverId: warning.serverId,
+                playerId: warning.playerId,
+                data: {
+                    warningId: warning.id,
+                    reason: warning.reason,
+                    name: warning.playerName,
+                    guid: warning.playerGuid,
+                    originId: warning.originId,
+                    originName: warning.originName,
+                    ...extra
+                }
+            }, true);
+        } catch (error) {
+            logger.warn(`Could not store the ${type} event of ${warning.playerName}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = WarningService;
@@ -10,6 +10,7 @@ import { Server } from 'socket.io';
 import { existsSync } from 'fs';
 import { createProxyMiddleware } from 'http-proxy-middleware';
 import fetch from 'node-fetch';
+import { authenticateSocket, requireSocketPermission } from '../api/sockets/auth.js';
 
 // Get __dirname equivalent in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -109,27 +110,8 @@ class WebServer {
                     pingInterval: 25000    // More frequent pings
                 });
                 
-                // Add authentication middleware if auth service is available
-                if (this.services.authService) {
-                    this.io.use((socket, next) => {
-                        const token = socket.handshake.auth?.token;
-                        
-                        if (token) {
-                            try {
-                                // In a real implementation, verify the token
-                                // For now, just accept any token
-                                socket.user = { authenticated: true };
-                                next();
-                            } catch (error) {
-                                next(new Error('Authentication error'));
-                            }
-                        } else {
-                            // Allow unauthenticated connections but mark them
-                            socket.user = { authenticated: false };
-                            next();
-                        }
-                    });
-                }
+                // Verify the JWT of the REST API, sockets without a valid token are refused
+                this.io.use(authenticateSocket(this.services));
                 
                 this.setupSocketHandlers();
                 this.logService.info('Socket.IO initialized successfully');
@@ -194,10 +176,12 @@ class WebServer {
             });
         });
         
-        // Create a logs namespace for real-time log streaming
+        // Create a logs namespace for real-time log streaming, restricted to the users allowed to read the logs
         const logsNamespace = this.io.of('/logs');
+        logsNamespace.use(authenticateSocket(this.services));
+        logsNamespace.use(requireSocketPermission('servers.logs'));
         logsNamespace.on('connection', (socket) => {
-            this.logService.debug('Client connected to logs namespace');
+            this.logService.debug(`Client connected to logs namespace: ${socket.user.username}`);
             
             socket.on('request_state', () => {
                 socket.emit('state', { connected: true });
@@ -19,7 +19,12 @@ import PlayerList from './pages/PlayerList';
 import PlayerDetails from './pages/PlayerDetails';
 import StatsOverview from './pages/StatsOverview';
 import ZombieStats from './pages/ZombieStats';
+import Settings from './pages/Settings';
+import Users from './pages/Users';
+import Audit from './pages/Audit';
+import Reports from './pages/Reports';
 import Login from './pages/Login';
+import Register from './pages/Register';
 import InitialSetup from './pages/InitialSetup';
 import NotFound from './pages/NotFound';
 
@@ -67,6 +72,13 @@ function ProtectedRoute({ children }) {
     return <Navigate to="/login" replace />;
   }
   
+  // La double authentification est obligatoire pour ce rôle : l'activer depuis les paramètres
+  // (la configuration initiale reste accessible, elle n'utilise que les routes /api/auth)
+  const twoFactorPaths = ['/settings', '/setup'];
+  if (currentUser?.twoFactorSetupRequired && !twoFactorPaths.includes(window.location.pathname)) {
+    return <Navigate to="/settings" replace />;
+  }
+  
   // Redirection vers la page de configuration initiale si nécessaire
   if (needsInitialSetup() && window.location.pathname !== '/setup') {
     console.log('Setup nécessaire, redirection vers /setup');
@@ -87,6 +99,7 @@ function App() {
         <SocketProvider>
           <Routes>
             <Route path="/login" element={<Login />} />
+            <Route path="/register" element={<Register />} />
             <Route 
               path="/setup" 
               element={
@@ -111,6 +124,10 @@ function App() {
               <Route path="players/:id" element={<PlayerDetails />} />
               <Route path="stats" element={<StatsOverview />} />
               <Route path="stats/zombies" element={<ZombieStats />} />
+              <Route path="users" element={<Users />} />
+              <Route path="reports" element={<Reports />} />
+              <Route path="audit" element={<Audit />} />
+              <Route path="settings" element={<Settings />} />
               <Route path="*" element={<NotFound />} />
             </Route>
           </Routes>
@@ -39,8 +39,11 @@ const LogEventViewer = ({ baseUrl }) => {
     
     try {
       setLoading(true);
+      // Le namespace /logs exige le jeton JWT de l'API
+      const token = localStorage.getItem('nsm_token') || localStorage.getItem('auth_token');
       socketRef.current = io(`${socketUrl}/logs`, {
         path: '/socket.io',
+        auth: { token },
         reconnectionAttempts: 5,
         reconnectionDelay: 1000,
         reconnectionDelayMax: 5000
@@ -1,6 +1,6 @@
 import { Box, VStack, Link, Text, Flex, Badge, Tooltip, Divider, Icon } from '@chakra-ui/react';
 import { NavLink, useLocation } from 'react-router-dom';
-import { FaHome, FaServer, FaUsers, FaChartBar, FaBrain, FaExclamation, FaCog, FaGamepad, FaList } from 'react-icons/fa';
+import { FaHome, FaServer, FaUsers, FaChartBar, FaBrain, FaExclamation, FaCog, FaGamepad, FaList, FaUserShield, FaClipboardList, FaFlag } from 'react-icons/fa';
 import { MdSecurity } from 'react-icons/md';
 
 function Sidebar({ isOpen }) {
@@ -26,6 +26,9 @@ function Sidebar({ isOpen }) {
       ]
     },
     { name: 'Logs & Événements', path: '/logs', icon: FaExclamation },
+    { name: 'Signalements', path: '/reports', icon: FaFlag },
+    { name: 'Utilisateurs', path: '/users', icon: FaUserShield },
+    { name: 'Audit', path: '/audit', icon: FaClipboardList },
     { name: 'Paramètres', path: '/settings', icon: FaCog }
   ];
   
@@ -0,0 +1,117 @@
+import {
+  Box, Flex, Text, Badge, Spinner, SimpleGrid, Icon, Progress, Tooltip
+} from '@chakra-ui/react';
+import {
+  FaTrophy, FaCrosshairs, FaFire, FaSkull, FaShieldAlt, FaMedkit, FaFlag, FaClock, FaUser, FaLock
+} from 'react-icons/fa';
+import { useQuery } from '@tanstack/react-query';
+import { playerService } from '../../services/api';
+
+// Icônes utilisables dans les règles de succès
+const ICONS = {
+  trophy: FaTrophy,
+  crosshairs: FaCrosshairs,
+  fire: FaFire,
+  skull: FaSkull,
+  shield: FaShieldAlt,
+  medkit: FaMedkit,
+  flag: FaFlag,
+  clock: FaClock,
+  user: FaUser
+};
+
+// Le temps de jeu est compté en secondes, il est affiché en heures
+const formatValue = (achievement, value) => (
+  achievement.stat === 'playtime' ? `${Math.floor(value / 3600)} h` : value
+);
+
+/**
+ * Badge d'un succès, grisé tant qu'il n'est pas débloqué
+ *
+ * @param {Object} achievement - Succès et progression du joueur
+ */
+const AchievementBadge = ({ achievement }) => {
+  const locked = !achievement.unlocked;
+  const color = locked ? 'gray.500' : 'teal.300';
+
+  let status = null;
+  if (achievement.unlocked) {
+    status = <Text fontSize="xs" color="gray.400">Débloqué le {new Date(achievement.unlockedAt).toLocaleDateString()}</Text>;
+  } else if (!achievement.available) {
+    status = <Badge colorScheme="gray">Déjà remporté</Badge>;
+  } else if (achievement.progress !== null) {
+    status = (
+      <Box>
+        <Progress value={(achievement.progress / achievement.target) * 100} size="xs" colorScheme="teal" borderRadius="md" />
+        <Text fontSize="xs" color="gray.400" mt={1}>
+          {formatValue(achievement, achievement.progress)} / {formatValue(achievement, achievement.target)}
+        </Text>
+      </Box>
+    );
+  } else {
+    status = <Text fontSize="xs" color="gray.500">À réaliser en un seul match</Text>;
+  }
+
+  return (
+    <Tooltip label={`Débloqué par ${achievement.unlockedBy} joueur(s)`} hasArrow>
+      <Box
+        borderWidth="1px"
+        borderColor={locked ? 'gray.700' : 'teal.500'}
+        borderRadius="md"
+        p={4}
+        opacity={locked ? 0.6 : 1}
+        textAlign="center"
+      >
+        <Icon as={locked ? FaLock : ICONS[achievement.icon] || FaTrophy} boxSize={8} color={color} mb={2} />
+        <Text fontWeight="bold">{achievement.name}</Text>
+        <Text fontSize="sm" color="gray.400" mb={2}>{achievement.description}</Text>
+        {achievement.map && <Badge colorScheme="purple" mb={2}>{achievement.map}</Badge>}
+        {status}
+      </Box>
+    </Tooltip>
+  );
+};
+
+/**
+ * PlayerAchievements component
+ * Grille des succès d'un joueur, débloqués ou avec sa progression
+ *
+ * @param {string} playerId - ID du joueur
+ */
+const PlayerAchievements = ({ playerId }) => {
+  const {
+    data,
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['player-achievements', playerId],
+    queryFn: () => playerService.getPlayerAchievements(playerId),
+  });
+
+  if (isLoading) return <Spinner />;
+  if (isError) return <Text color="red.500">Impossible de charger les succès: {error.message}</Text>;
+
+  const achievements = data?.achievements || [];
+  if (achievements.length === 0) return <Text color="gray.500">Aucun succès n'est défini</Text>;
+
+  // Les succès débloqués sont affichés en premier
+  const sorted = [...achievements].sort((a, b) => Number(b.unlocked) - Number(a.unlocked));
+
+  return (
+    <Box>
+      <Flex justify="space-between" align="center" mb={4}>
+        <Text fontWeight="bold">Succès</Text>
+        <Badge colorScheme="teal">{data.unlocked} / {data.total} débloqué(s)</Badge>
+      </Flex>
+
+      <SimpleGrid columns={{ base: 1, sm: 2, md: 3, lg: 4 }} spacing={4}>
+        {sorted.map((achievement) => (
+          <AchievementBadge key={achievement.id} achievement={achievement} />
+        ))}
+      </SimpleGrid>
+    </Box>
+  );
+};
+
+export default PlayerAchievements;
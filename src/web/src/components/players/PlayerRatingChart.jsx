@@ -0,0 +1,159 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  Box, Flex, Text, Select, Spinner, SimpleGrid, Stat, StatLabel, StatNumber, StatHelpText
+} from '@chakra-ui/react';
+import { useQuery } from '@tanstack/react-query';
+import Chart from 'chart.js/auto';
+import { playerService } from '../../services/api';
+
+const HISTORY_SIZE = 100;
+
+// Clé d'un mode de jeu dans la liste de sélection
+const modeKey = (rating) => `${rating.game}|${rating.mode}`;
+
+/**
+ * PlayerRatingChart component
+ * Classement d'un joueur dans chaque mode de jeu et évolution de son classement au fil des matchs
+ *
+ * @param {string} playerId - ID du joueur
+ */
+const PlayerRatingChart = ({ playerId }) => {
+  const [selected, setSelected] = useState('');
+  const chartRef = useRef(null);
+  const chartInstanceRef = useRef(null);
+
+  const [game, mode] = selected ? selected.split('|') : [];
+
+  const {
+    data,
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['player-ratings', playerId, selected],
+    queryFn: () => playerService.getPlayerRatings(playerId, { game, mode, limit: HISTORY_SIZE }),
+  });
+
+  const ratings = data?.ratings || [];
+  const history = data?.history || [];
+  const current = ratings.find((rating) => modeKey(rating) === selected);
+
+  // Le mode le plus joué est affiché par défaut
+  useEffect(() => {
+    if (!selected && ratings.length > 0) {
+      setSelected(modeKey(ratings[0]));
+    }
+  }, [selected, ratings]);
+
+  useEffect(() => {
+    if (chartInstanceRef.current) {
+      chartInstanceRef.current.destroy();
+      chartInstanceRef.current = null;
+    }
+
+    if (!selected || !chartRef.current || history.length === 0) return;
+
+    chartInstanceRef.current = new Chart(chartRef.current, {
+      type: 'line',
+      data: {
+        labels: history.map((entry) => new Date(entry.createdAt).toLocaleDateString()),
+        datasets: [
+          {
+            label: 'Classement',
+            data: history.map((entry) => entry.rating),
+            borderColor: 'rgba(56, 178, 172, 1)',
+            backgroundColor: 'rgba(56, 178, 172, 0.2)',
+            fill: false,
+            tension: 0.3
+          },
+          {
+            label: 'Classement retenu',
+            data: history.map((entry) => entry.rating - 2 * entry.deviation),
+            borderColor: 'rgba(160, 174, 192, 0.8)',
+            borderDash: [4, 4],
+            pointRadius: 0,
+            fill: false,
+            tension: 0.3
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          tooltip: {
+            mode: 'index',
+            intersect: false,
+            callbacks: {
+              afterBody: (items) => {
+                const entry = history[items[0].dataIndex];
+                return `${entry.delta >= 0 ? '+' : ''}${entry.delta} (${entry.kills} kills / ${entry.deaths} morts)`;
+              }
+            }
+          }
+        }
+      }
+    });
+  }, [selected, history]);
+
+  // Nettoyage du graphique au démontage
+  useEffect(() => {
+    return () => {
+      if (chartInstanceRef.current) {
+        chartInstanceRef.current.destroy();
+      }
+    };
+  }, []);
+
+  if (isLoading && !data) return <Spinner />;
+  if (isError) return <Text color="red.500">Impossible de charger le classement: {error.message}</Text>;
+  if (ratings.length === 0) return <Text color="gray.500">Aucun match classé pour ce joueur</Text>;
+
+  return (
+    <Box>
+      <Flex justify="space-between" align="center" mb={4}>
+        <Text fontWeight="bold">Classement par mode de jeu</Text>
+        <Select size="sm" maxW="300px" value={selected} onChange={(e) => setSelected(e.target.value)}>
+          {ratings.map((rating) => (
+            <option key={modeKey(rating)} value={modeKey(rating)}>
+              {rating.mode} ({rating.game}) - {rating.matches} match(s)
+            </option>
+          ))}
+        </Select>
+      </Flex>
+
+      {current && (
+        <SimpleGrid columns={{ base: 2, md: 4 }} spacing={4} mb={4}>
+          <Stat>
+            <StatLabel>Classement</StatLabel>
+            <StatNumber>{current.rating}</StatNumber>
+            <StatHelpText>± {current.deviation * 2}</StatHelpText>
+          </Stat>
+          <Stat>
+            <StatLabel>Classement retenu</StatLabel>
+            <StatNumber>{current.conservative}</StatNumber>
+            <StatHelpText>Utilisé pour le tableau des leaders</StatHelpText>
+          </Stat>
+          <Stat>
+            <StatLabel>Matchs classés</StatLabel>
+            <StatNumber>{current.matches}</StatNumber>
+          </Stat>
+          <Stat>
+            <StatLabel>K/D</StatLabel>
+            <StatNumber>{current.deaths > 0 ? (current.kills / current.deaths).toFixed(2) : current.kills}</StatNumber>
+            <StatHelpText>{current.kills} kills / {current.deaths} morts</StatHelpText>
+          </Stat>
+        </SimpleGrid>
+      )}
+
+      {history.length === 0 ? (
+        <Text color="gray.500">Aucun historique pour ce mode</Text>
+      ) : (
+        <Box>
+          <canvas ref={chartRef}></canvas>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default PlayerRatingChart;
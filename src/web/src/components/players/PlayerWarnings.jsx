@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import {
+  Box, Flex, Text, Button, Badge, Spinner, Table, Thead, Tbody, Tr, Th, Td, useToast
+} from '@chakra-ui/react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { playerService } from '../../services/api';
+import ConfirmationDialog from '../shared/ConfirmationDialog';
+
+const PAGE_SIZE = 25;
+
+/**
+ * Statut d'un avertissement : actif, expiré ou effacé
+ *
+ * @param {Object} warning - Avertissement
+ */
+const WarningStatus = ({ warning }) => {
+  if (warning.active) return <Badge colorScheme="orange">Actif</Badge>;
+  if (warning.clearedAt) return <Badge colorScheme="gray" title={`Effacé par ${warning.clearedBy || 'inconnu'}`}>Effacé</Badge>;
+  return <Badge colorScheme="gray">Expiré</Badge>;
+};
+
+/**
+ * PlayerWarnings component
+ * Historique des avertissements d'un joueur, les avertissements actifs peuvent être effacés
+ *
+ * @param {string} playerId - ID du joueur
+ */
+const PlayerWarnings = ({ playerId }) => {
+  const toast = useToast();
+  const queryClient = useQueryClient();
+  const [page, setPage] = useState(0);
+  const [isConfirmOpen, setIsConfirmOpen] = useState(false);
+
+  const {
+    data,
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['player-warnings', playerId, page],
+    queryFn: () => playerService.getPlayerWarnings(playerId, PAGE_SIZE, page * PAGE_SIZE),
+  });
+
+  const clearMutation = useMutation({
+    mutationFn: () => playerService.clearPlayerWarnings(playerId),
+    onSuccess: (result) => {
+      toast({
+        title: `${result.cleared} avertissement(s) effacé(s)`,
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      queryClient.invalidateQueries({ queryKey: ['player-warnings', playerId] });
+    },
+    onError: (err) => {
+      toast({
+        title: 'Erreur',
+        description: `Impossible d'effacer les avertissements: ${err.message}`,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  });
+
+  if (isLoading) return <Spinner />;
+  if (isError) return <Text color="red.500">Impossible de charger les avertissements: {error.message}</Text>;
+
+  const warnings = data?.warnings || [];
+  const total = data?.total || 0;
+  const active = data?.active || 0;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <Box>
+      <Flex justify="space-between" align="center" mb={4}>
+        <Text>
+          <Text as="span" fontWeight="bold" color={active > 0 ? 'orange.300' : 'gray.300'}>{active}</Text> avertissement(s) actif(s) sur {total}
+        </Text>
+        <Button
+          size="sm"
+          colorScheme="orange"
+          variant="outline"
+          onClick={() => setIsConfirmOpen(true)}
+          isDisabled={active === 0}
+          isLoading={clearMutation.isPending}
+        >
+          Effacer les avertissements actifs
+        </Button>
+      </Flex>
+
+      {warnings.length === 0 ? (
+        <Text color="gray.500">Aucun avertissement</Text>
+      ) : (
+        <>
+          <Table size="sm" variant="simple">
+            <Thead>
+              <Tr>
+                <Th>Date</Th>
+                <Th>Raison</Th>
+                <Th>Par</Th>
+                <Th>Expire</Th>
+                <Th>Statut</Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {warnings.map((warning) => (
+                <Tr key={warning.id}>
+                  <Td whiteSpace="nowrap">{new Date(warning.createdAt).toLocaleString()}</Td>
+                  <Td>{warning.reason}</Td>
+                  <Td>{warning.originName || 'Système'}</Td>
+                  <Td whiteSpace="nowrap">{warning.expiresAt ? new Date(warning.expiresAt).toLocaleString() : 'Jamais'}</Td>
+                  <Td><WarningStatus warning={warning} /></Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+
+          <Flex justify="flex-end" align="center" gap={2} mt={4}>
+            <Button size="xs" onClick={() => setPage(page - 1)} isDisabled={page === 0}>Précédent</Button>
+            <Text fontSize="sm">{page + 1} / {pageCount}</Text>
+            <Button size="xs" onClick={() => setPage(page + 1)} isDisabled={page + 1 >= pageCount}>Suivant</Button>
+          </Flex>
+        </>
+      )}
+
+      <ConfirmationDialog
+        isOpen={isConfirmOpen}
+        onClose={() => setIsConfirmOpen(false)}
+        onConfirm={() => clearMutation.mutate()}
+        title="Effacer les avertissements"
+        message={`Effacer les ${active} avertissement(s) actif(s) de ce joueur ? Ils resteront dans l'historique.`}
+        confirmLabel="Effacer"
+        isLoading={clearMutation.isPending}
+      />
+    </Box>
+  );
+};
+
+export default PlayerWarnings;
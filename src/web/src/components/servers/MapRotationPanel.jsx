@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react';
+import {
+  Box, Flex, Heading, Text, Button, Input, Textarea, HStack, Stack, Badge, Tag,
+  Wrap, WrapItem, Spinner, Divider, useToast
+} from '@chakra-ui/react';
+import { FaRandom, FaSave, FaForward } from 'react-icons/fa';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { serverService } from '../../services/api';
+
+/**
+ * MapRotationPanel component
+ * Rotation des cartes d'un serveur : lecture et édition de sv_mapRotation,
+ * changement de carte et rotations enregistrées
+ *
+ * @param {string} serverId - ID du serveur
+ * @param {boolean} isOnline - Si le serveur accepte des commandes
+ */
+const MapRotationPanel = ({ serverId, isOnline }) => {
+  const toast = useToast();
+  const [value, setValue] = useState('');
+  const [presetName, setPresetName] = useState('');
+
+  const {
+    data: rotation,
+    isLoading,
+    isError,
+    error,
+    refetch
+  } = useQuery({
+    queryKey: ['server-map-rotation', serverId],
+    queryFn: () => serverService.getMapRotation(serverId),
+    enabled: isOnline,
+  });
+
+  const { data: presets = [], refetch: refetchPresets } = useQuery({
+    queryKey: ['server-map-presets', serverId],
+    queryFn: () => serverService.getMapPresets(serverId),
+  });
+
+  useEffect(() => {
+    if (rotation) setValue(rotation.value);
+  }, [rotation]);
+
+  const notify = (title, err) => {
+    toast({
+      title: err ? 'Erreur' : title,
+      description: err ? `${title}: ${err.message}` : undefined,
+      status: err ? 'error' : 'success',
+      duration: err ? 5000 : 3000,
+      isClosable: true,
+    });
+  };
+
+  const saveRotationMutation = useMutation({
+    mutationFn: () => serverService.setMapRotation(serverId, value),
+    onSuccess: () => { notify('Rotation enregistrée sur le serveur'); refetch(); },
+    onError: (err) => notify('Impossible de modifier la rotation', err)
+  });
+
+  const rotateMutation = useMutation({
+    mutationFn: () => serverService.rotateMap(serverId),
+    onSuccess: () => notify('Passage à la carte suivante'),
+    onError: (err) => notify('Impossible de changer de carte', err)
+  });
+
+  const changeMapMutation = useMutation({
+    mutationFn: (entry) => serverService.changeMap(serverId, entry.map, entry.gametype),
+    onSuccess: () => notify('Changement de carte envoyé'),
+    onError: (err) => notify('Impossible de changer de carte', err)
+  });
+
+  const createPresetMutation = useMutation({
+    mutationFn: () => serverService.createMapPreset(serverId, { name: presetName, value }),
+    onSuccess: () => { notify('Rotation enregistrée'); setPresetName(''); refetchPresets(); },
+    onError: (err) => notify("Impossible d'enregistrer la rotation", err)
+  });
+
+  const applyPresetMutation = useMutation({
+    mutationFn: (presetId) => serverService.applyMapPreset(serverId, presetId),
+    onSuccess: () => { notify('Rotation appliquée'); refetch(); },
+    onError: (err) => notify("Impossible d'appliquer la rotation", err)
+  });
+
+  const deletePresetMutation = useMutation({
+    mutationFn: (presetId) => serverService.deleteMapPreset(serverId, presetId),
+    onSuccess: () => { notify('Rotation supprimée'); refetchPresets(); },
+    onError: (err) => notify('Impossible de supprimer la rotation', err)
+  });
+
+  return (
+    <Stack spacing={6}>
+      <Box>
+        <Flex align="center" mb={3}>
+          <Heading size="sm">Rotation actuelle</Heading>
+          {rotation && (
+            <HStack ml={3} spacing={2}>
+              <Badge colorScheme="green">{rotation.currentMap || '?'}</Badge>
+              {rotation.gametype && <Badge>{rotation.gametype}</Badge>}
+            </HStack>
+          )}
+          <Button
+            ml="auto"
+            size="sm"
+            leftIcon={<FaForward />}
+            isDisabled={!isOnline}
+            isLoading={rotateMutation.isPending}
+            onClick={() => rotateMutation.mutate()}
+          >
+            Carte suivante
+          </Button>
+        </Flex>
+
+        {!isOnline ? (
+          <Text color="gray.500">Le serveur doit être en ligne pour lire la rotation.</Text>
+        ) : isLoading ? (
+          <Spinner />
+        ) : isError ? (
+          <Text color="red.500">Impossible de lire la rotation: {error.message}</Text>
+        ) : (
+          <>
+            <Wrap mb={3}>
+              {(rotation?.entries || []).map((entry, index) => (
+                <WrapItem key={`${entry.map}-${index}`}>
+                  <Tag
+                    cursor="pointer"
+                    colorScheme={entry.map === rotation.currentMap ? 'green' : 'gray'}
+                    title="Charger cette carte"
+                    onClick={() => changeMapMutation.mutate(entry)}
+                  >
+                    {entry.map}{entry.gametype ? ` (${entry.gametype})` : ''}
+                  </Tag>
+                </WrapItem>
+              ))}
+            </Wrap>
+
+            <Textarea
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              fontFamily="monospace"
+              size="sm"
+              rows={3}
+              placeholder="gametype tdm map mp_raid map mp_slums"
+            />
+            <Button
+              mt={2}
+              size="sm"
+              colorScheme="blue"
+              leftIcon={<FaSave />}
+              isLoading={saveRotationMutation.isPending}
+              isDisabled={!value.trim()}
+              onClick={() => saveRotationMutation.mutate()}
+            >
+              Appliquer sur le serveur
+            </Button>
+          </>
+        )}
+      </Box>
+
+      <Divider />
+
+      <Box>
+        <Heading size="sm" mb={3}>Rotations enregistrées</Heading>
+
+        {presets.length === 0 ? (
+          <Text color="gray.500" mb={3}>Aucune rotation enregistrée.</Text>
+        ) : (
+          <Stack spacing={2} mb={3}>
+            {presets.map((preset) => (
+              <Flex key={preset.id} align="center" borderWidth={1} borderRadius="md" p={2}>
+                <Box flex="1" minW={0}>
+                  <Text fontWeight="bold">{preset.name}</Text>
+                  <Text fontSize="xs" fontFamily="monospace" color="gray.500" noOfLines={1}>
+                    {preset.value}
+                  </Text>
+                </Box>
+                <HStack spacing={2} ml={2}>
+                  <Button
+                    size="xs"
+                    colorScheme="blue"
+                    leftIcon={<FaRandom />}
+                    isDisabled={!isOnline}
+                    onClick={() => applyPresetMutation.mutate(preset.id)}
+                  >
+                    Appliquer
+                  </Button>
+                  <Button size="xs" variant="ghost" onClick={() => setValue(preset.value)}>
+                    Éditer
+                  </Button>
+                  <Button size="xs" colorScheme="red" variant="ghost" onClick={() => deletePresetMutation.mutate(preset.id)}>
+                    Supprimer
+                  </Button>
+                </HStack>
+              </Flex>
+            ))}
+          </Stack>
+        )}
+
+        <HStack>
+          <Input
+            size="sm"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Nom de la rotation"
+          />
+          <Button
+            size="sm"
+            isDisabled={!presetName.trim() || !value.trim()}
+            isLoading={createPresetMutation.isPending}
+            onClick={() => createPresetMutation.mutate()}
+          >
+            Enregistrer
+          </Button>
+        </HStack>
+      </Box>
+    </Stack>
+  );
+};
+
+export default MapRotationPanel;
@@ -0,0 +1,266 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  Box, Flex, Input, Button, Text, Badge, HStack, Wrap, WrapItem, Tag
+} from '@chakra-ui/react';
+import { serverService } from '../../services/api';
+import { useSocket } from '../../contexts/SocketContext';
+
+// Codes couleur du jeu (^1, ^7...) retirés de l'affichage
+const stripColors = (text) => String(text || '').replace(/\^[0-9:;]/g, '');
+
+/**
+ * RconTerminal component
+ * Console RCON d'un serveur : historique par utilisateur (flèches haut/bas),
+ * autocomplétion des commandes et dvars (Tab) et sortie partagée entre les admins
+ *
+ * @param {string} serverId - ID du serveur
+ * @param {boolean} isOnline - Si le serveur accepte des commandes
+ */
+const RconTerminal = ({ serverId, isOnline }) => {
+  const { socket } = useSocket() || {};
+  const [rconSocket, setRconSocket] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+  const [lines, setLines] = useState([]);
+  const [input, setInput] = useState('');
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(-1);
+  const [suggestions, setSuggestions] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [isSending, setIsSending] = useState(false);
+  const outputRef = useRef(null);
+
+  const addLines = (newLines) => setLines((current) => [...current, ...newLines].slice(-500));
+
+  const entryToLines = (entry, withCommand = true) => {
+    const output = [];
+    if (withCommand) {
+      output.push({ type: 'command', text: `${entry.username || '?'}> ${entry.command}` });
+    }
+    stripColors(entry.response)
+      .split('\n')
+      .filter((line) => line.trim().length > 0)
+      .forEach((line) => output.push({ type: entry.success ? 'response' : 'error', text: line }));
+    return output;
+  };
+
+  // Connexion au namespace /rcon sur la connexion Socket.IO existante
+  useEffect(() => {
+    if (!socket || !socket.io) return undefined;
+
+    const token = localStorage.getItem('nsm_token') || localStorage.getItem('auth_token');
+    const nsSocket = socket.io.socket('/rcon', { auth: { token } });
+
+    const handleCommand = (entry) => addLines([{ type: 'command', text: `${entry.username}> ${entry.command}` }]);
+    const handleResponse = (entry) => addLines(entryToLines(entry, false));
+    const handleDisconnect = () => setIsConnected(false);
+    const handleConnectError = (err) => {
+      addLines([{ type: 'error', text: `Connexion à la console impossible: ${err.message}` }]);
+    };
+    const handleConnect = () => {
+      setIsConnected(true);
+      nsSocket.emit('rcon:join', { serverId }, (result) => {
+        if (!result || !result.success) {
+          addLines([{ type: 'error', text: result?.error || 'Console RCON indisponible' }]);
+          return;
+        }
+        setHistory(result.history || []);
+        setSuggestions(result.suggestions || []);
+        setLines((result.recent || []).flatMap((entry) => entryToLines(entry)));
+      });
+    };
+
+    nsSocket.on('connect', handleConnect);
+    nsSocket.on('disconnect', handleDisconnect);
+    nsSocket.on('connect_error', handleConnectError);
+    nsSocket.on('rcon:command', handleCommand);
+    nsSocket.on('rcon:response', handleResponse);
+
+    // Le socket se connecte seul, il peut déjà l'être s'il a été réutilisé
+    if (nsSocket.connected) handleConnect();
+    setRconSocket(nsSocket);
+
+    return () => {
+      nsSocket.emit('rcon:leave', { serverId });
+      nsSocket.off('connect', handleConnect);
+      nsSocket.off('disconnect', handleDisconnect);
+      nsSocket.off('connect_error', handleConnectError);
+      nsSocket.off('rcon:command', handleCommand);
+      nsSocket.off('rcon:response', handleResponse);
+      nsSocket.disconnect();
+      setRconSocket(null);
+      setIsConnected(false);
+    };
+  }, [socket, serverId]);
+
+  // Sans Socket.IO, l'historique et les suggestions viennent de l'API REST
+  useEffect(() => {
+    if (socket) return;
+
+    serverService.getRconHistory(serverId).then(setHistory).catch(() => {});
+    serverService.getRconSuggestions(serverId).then(setSuggestions).catch(() => {});
+  }, [socket, serverId]);
+
+  // Garder la fin de la sortie visible
+  useEffect(() => {
+    if (outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [lines]);
+
+  const sendCommand = async (command) => {
+    setHistory((current) => [command, ...current.filter((item) => item !== command)].slice(0, 50));
+    setHistoryIndex(-1);
+    setInput('');
+    setMatches([]);
+    setIsSending(true);
+
+    try {
+      if (rconSocket && isConnected) {
+        // La commande et sa réponse reviennent par le salon du serveur
+        await new Promise((resolve) => {
+          rconSocket.emit('rcon:command', { serverId, command }, (result) => {
+            if (!result?.success && !result?.entry) {
+              addLines([{ type: 'error', text: result?.error || 'Échec de la commande' }]);
+            }
+            resolve();
+          });
+        });
+      } else {
+        const result = await serverService.sendCommand(serverId, command);
+        addLines(entryToLines({ ...result, command, username: 'vous' }));
+      }
+    } catch (error) {
+      addLines([{ type: 'error', text: error.message }]);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const command = input.trim();
+    if (!command || !isOnline) return;
+    sendCommand(command);
+  };
+
+  const completeWord = () => {
+    const word = input.split(' ')[0];
+    if (!word || input.includes(' ')) return;
+
+    const found = suggestions.filter((item) => item.toLowerCase().startsWith(word.toLowerCase()));
+    if (found.length === 0) return;
+
+    if (found.length === 1) {
+      setInput(`${found[0]} `);
+      setMatches([]);
+      return;
+    }
+
+    // Compléter jusqu'au préfixe commun et afficher les possibilités
+    let prefix = found[0];
+    for (const item of found) {
+      while (!item.toLowerCase().startsWith(prefix.toLowerCase())) {
+        prefix = prefix.slice(0, -1);
+      }
+    }
+    if (prefix.length > word.length) setInput(prefix);
+    setMatches(found.slice(0, 20));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      completeWord();
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      const index = Math.min(historyIndex + 1, history.length - 1);
+      if (index >= 0) {
+        setHistoryIndex(index);
+        setInput(history[index]);
+      }
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      const index = historyIndex - 1;
+      setHistoryIndex(Math.max(index, -1));
+      setInput(index >= 0 ? history[index] : '');
+    } else if (matches.length > 0) {
+      setMatches([]);
+    }
+  };
+
+  const lineColor = { command: 'cyan.300', response: 'green.400', error: 'red.400' };
+
+  return (
+    <Box>
+      <Box
+        ref={outputRef}
+        borderWidth={1}
+        borderRadius="md"
+        p={3}
+        bg="black"
+        fontFamily="monospace"
+        fontSize="sm"
+        height="400px"
+        overflowY="auto"
+        mb={2}
+      >
+        {lines.length === 0 ? (
+          <Text color="gray.500">Aucune sortie console disponible</Text>
+        ) : (
+          lines.map((line, index) => (
+            <Text key={index} color={lineColor[line.type]} whiteSpace="pre-wrap">
+              {line.text}
+            </Text>
+          ))
+        )}
+      </Box>
+
+      {matches.length > 0 && (
+        <Wrap mb={2}>
+          {matches.map((item) => (
+            <WrapItem key={item}>
+              <Tag size="sm" cursor="pointer" onClick={() => { setInput(`${item} `); setMatches([]); }}>
+                {item}
+              </Tag>
+            </WrapItem>
+          ))}
+        </Wrap>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <Flex>
+          <Input
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Entrez une commande... (Tab : autocomplétion, ↑/↓ : historique)"
+            fontFamily="monospace"
+            size="sm"
+            mr={2}
+            isDisabled={!isOnline}
+          />
+          <Button
+            type="submit"
+            colorScheme="blue"
+            size="sm"
+            isLoading={isSending}
+            isDisabled={!isOnline}
+          >
+            Envoyer
+          </Button>
+        </Flex>
+      </form>
+
+      <HStack mt={2} spacing={2}>
+        <Badge colorScheme={isConnected ? 'green' : 'gray'}>
+          {isConnected ? 'Temps réel' : 'API'}
+        </Badge>
+        <Text fontSize="xs" color="gray.500">
+          Chaque commande est enregistrée avec son auteur.
+        </Text>
+      </HStack>
+    </Box>
+  );
+};
+
+export default RconTerminal;
@@ -0,0 +1,122 @@
+import {
+  Box, Flex, Heading, Text, Button, Badge, Stack, Spinner, Icon, useToast
+} from '@chakra-ui/react';
+import { FaDesktop, FaSignOutAlt } from 'react-icons/fa';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { authService } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+/**
+ * SessionList component
+ * Sessions actives de l'utilisateur connecté, avec révocation d'une session,
+ * des autres sessions ou de toutes les sessions
+ */
+const SessionList = () => {
+  const toast = useToast();
+  const { logout } = useAuth();
+
+  const {
+    data: sessions = [],
+    isLoading,
+    isError,
+    error,
+    refetch
+  } = useQuery({
+    queryKey: ['auth-sessions'],
+    queryFn: authService.getSessions,
+  });
+
+  const notify = (title, err) => {
+    toast({
+      title: err ? 'Erreur' : title,
+      description: err ? `${title}: ${err.message}` : undefined,
+      status: err ? 'error' : 'success',
+      duration: err ? 5000 : 3000,
+      isClosable: true,
+    });
+  };
+
+  const revokeMutation = useMutation({
+    mutationFn: (sessionId) => authService.revokeSession(sessionId),
+    onSuccess: () => { notify('Session révoquée'); refetch(); },
+    onError: (err) => notify('Impossible de révoquer la session', err)
+  });
+
+  const revokeOthersMutation = useMutation({
+    mutationFn: () => authService.revokeOtherSessions(),
+    onSuccess: (data) => { notify(`${data.count} session(s) révoquée(s)`); refetch(); },
+    onError: (err) => notify('Impossible de révoquer les sessions', err)
+  });
+
+  const logoutEverywhereMutation = useMutation({
+    mutationFn: () => authService.logoutEverywhere(),
+    onSettled: () => logout()
+  });
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+  return (
+    <Box>
+      <Flex align="center" mb={3} wrap="wrap" gap={2}>
+        <Heading size="sm">Sessions actives</Heading>
+        <Button
+          ml="auto"
+          size="sm"
+          variant="outline"
+          isDisabled={sessions.length < 2}
+          isLoading={revokeOthersMutation.isPending}
+          onClick={() => revokeOthersMutation.mutate()}
+        >
+          Révoquer les autres sessions
+        </Button>
+        <Button
+          size="sm"
+          colorScheme="red"
+          leftIcon={<FaSignOutAlt />}
+          isLoading={logoutEverywhereMutation.isPending}
+          onClick={() => logoutEverywhereMutation.mutate()}
+        >
+          Déconnexion partout
+        </Button>
+      </Flex>
+
+      {isLoading ? (
+        <Spinner />
+      ) : isError ? (
+        <Text color="red.500">Impossible de charger les sessions: {error.message}</Text>
+      ) : sessions.length === 0 ? (
+        <Text color="gray.500">Aucune session active.</Text>
+      ) : (
+        <Stack spacing={2}>
+          {sessions.map((session) => (
+            <Flex key={session.id} align="center" borderWidth={1} borderRadius="md" p={2}>
+              <Icon as={FaDesktop} mr={3} color="gray.400" />
+              <Box flex="1" minW={0}>
+                <Flex align="center" gap={2}>
+                  <Text fontWeight="bold" noOfLines={1}>{session.userAgent || 'Client inconnu'}</Text>
+                  {session.current && <Badge colorScheme="green">Session actuelle</Badge>}
+                </Flex>
+                <Text fontSize="xs" color="gray.500">
+                  {session.ipAddress || '?'} - ouverte le {formatDate(session.createdAt)} - dernière activité {formatDate(session.lastUsedAt)}
+                </Text>
+              </Box>
+              {!session.current && (
+                <Button
+                  size="xs"
+                  colorScheme="red"
+                  variant="ghost"
+                  ml={2}
+                  onClick={() => revokeMutation.mutate(session.id)}
+                >
+                  Révoquer
+                </Button>
+              )}
+            </Flex>
+          ))}
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default SessionList;
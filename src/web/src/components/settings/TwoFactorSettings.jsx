@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import {
+  Box, Flex, Heading, Text, Button, Badge, Spinner, Input, FormControl, FormLabel,
+  Alert, AlertIcon, Code, SimpleGrid, Stack, useToast
+} from '@chakra-ui/react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { authService } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+/**
+ * TwoFactorSettings component
+ * Activation de la double authentification (TOTP), codes de récupération et désactivation
+ */
+const TwoFactorSettings = () => {
+  const toast = useToast();
+  const { updateUserProfile } = useAuth();
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const {
+    data: status,
+    isLoading,
+    isError,
+    error,
+    refetch
+  } = useQuery({
+    queryKey: ['auth-2fa'],
+    queryFn: authService.getTwoFactorStatus,
+  });
+
+  const notify = (title, err) => {
+    toast({
+      title: err ? 'Erreur' : title,
+      description: err ? `${title}: ${err.message}` : undefined,
+      status: err ? 'error' : 'success',
+      duration: err ? 5000 : 3000,
+      isClosable: true,
+    });
+  };
+
+  const reset = () => {
+    setPassword('');
+    setCode('');
+  };
+
+  const setupMutation = useMutation({
+    mutationFn: () => authService.setupTwoFactor(password),
+    onSuccess: (data) => { setSetup(data); reset(); },
+    onError: (err) => notify('Impossible de démarrer la configuration', err)
+  });
+
+  const enableMutation = useMutation({
+    mutationFn: () => authService.enableTwoFactor(code.trim()),
+    onSuccess: (data) => {
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      updateUserProfile({ twoFactorEnabled: true, twoFactorSetupRequired: false });
+      notify('Double authentification activée');
+      reset();
+      refetch();
+    },
+    onError: (err) => notify('Code invalide', err)
+  });
+
+  const disableMutation = useMutation({
+    mutationFn: () => authService.disableTwoFactor(password, code.trim()),
+    onSuccess: () => {
+      updateUserProfile({ twoFactorEnabled: false });
+      notify('Double authentification désactivée');
+      setRecoveryCodes(null);
+      reset();
+      refetch();
+    },
+    onError: (err) => notify('Impossible de désactiver la double authentification', err)
+  });
+
+  const regenerateMutation = useMutation({
+    mutationFn: () => authService.regenerateRecoveryCodes(code.trim()),
+    onSuccess: (codes) => { setRecoveryCodes(codes); reset(); refetch(); },
+    onError: (err) => notify('Impossible de générer les codes', err)
+  });
+
+  if (isLoading) return <Spinner />;
+  if (isError) return <Text color="red.500">Impossible de charger la double authentification: {error.message}</Text>;
+
+  return (
+    <Box>
+      <Flex align="center" mb={3} gap={2}>
+        <Heading size="sm">Double authentification</Heading>
+        {status.enabled
+          ? <Badge colorScheme="green">Activée</Badge>
+          : <Badge colorScheme="gray">Désactivée</Badge>}
+        {status.required && <Badge colorScheme="orange">Obligatoire pour votre rôle</Badge>}
+      </Flex>
+
+      {status.required && !status.enabled && (
+        <Alert status="warning" mb={3} borderRadius="md">
+          <AlertIcon />
+          Activez la double authentification pour accéder au reste du panneau.
+        </Alert>
+      )}
+
+      {recoveryCodes && (
+        <Alert status="info" mb={3} borderRadius="md" flexDirection="column" alignItems="stretch">
+          <Flex align="center" mb={2}>
+            <AlertIcon />
+            <Text fontSize="sm">
+              Codes de récupération, utilisables une seule fois chacun. Conservez-les en lieu sûr, ils ne seront plus affichés.
+            </Text>
+          </Flex>
+          <SimpleGrid columns={2} spacing={1}>
+            {recoveryCodes.map((recoveryCode) => <Code key={recoveryCode}>{recoveryCode}</Code>)}
+          </SimpleGrid>
+        </Alert>
+      )}
+
+      {!status.enabled && !setup && (
+        <Flex gap={2} align="flex-end" wrap="wrap">
+          <FormControl w="auto">
+            <FormLabel fontSize="sm">Mot de passe actuel</FormLabel>
+            <Input size="sm" type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+          </FormControl>
+          <Button
+            size="sm"
+            colorScheme="teal"
+            isDisabled={!password}
+            isLoading={setupMutation.isPending}
+            onClick={() => setupMutation.mutate()}
+          >
+            Activer
+          </Button>
+        </Flex>
+      )}
+
+      {!status.enabled && setup && (
+        <Stack spacing={3}>
+          <Text fontSize="sm">
+            Ajoutez ce compte dans votre application d'authentification avec le lien ou la clé ci-dessous,
+            puis entrez le code affiché.
+          </Text>
+          <Box>
+            <Text fontSize="xs" color="gray.500">Clé</Text>
+            <Code>{setup.secret}</Code>
+          </Box>
+          <Box>
+            <Text fontSize="xs" color="gray.500">Lien de configuration</Text>
+            <Code wordBreak="break-all">{setup.otpauthUrl}</Code>
+          </Box>
+          <Flex gap={2} align="flex-end" wrap="wrap">
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Code</FormLabel>
+              <Input size="sm" value={code} onChange={(e) => setCode(e.target.value)} autoComplete="one-time-code" />
+            </FormControl>
+            <Button
+              size="sm"
+              colorScheme="teal"
+              isDisabled={!code}
+              isLoading={enableMutation.isPending}
+              onClick={() => enableMutation.mutate()}
+            >
+              Confirmer
+            </Button>
+            <Button size="sm" variant="ghost" onClick={() => setSetup(null)}>Annuler</Button>
+          </Flex>
+        </Stack>
+      )}
+
+      {status.enabled && (
+        <Stack spacing={3}>
+          <Text fontSize="sm" color="gray.500">
+            {status.recoveryCodesRemaining} code(s) de récupération restant(s)
+          </Text>
+          <Flex gap={2} align="flex-end" wrap="wrap">
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Code</FormLabel>
+              <Input size="sm" value={code} onChange={(e) => setCode(e.target.value)} autoComplete="one-time-code" />
+            </FormControl>
+            <Button
+              size="sm"
+              variant="outline"
+              isDisabled={!code}
+              isLoading={regenerateMutation.isPending}
+              onClick={() => regenerateMutation.mutate()}
+            >
+              Nouveaux codes de récupération
+            </Button>
+            {!status.required && (
+              <>
+                <FormControl w="auto">
+                  <FormLabel fontSize="sm">Mot de passe actuel</FormLabel>
+                  <Input size="sm" type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+                </FormControl>
+                <Button
+                  size="sm"
+                  colorScheme="red"
+                  isDisabled={!code || !password}
+                  isLoading={disableMutation.isPending}
+                  onClick={() => disableMutation.mutate()}
+                >
+                  Désactiver
+                </Button>
+              </>
+            )}
+          </Flex>
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default TwoFactorSettings;
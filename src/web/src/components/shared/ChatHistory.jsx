@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import {
+  Box, Flex, Text, Button, Input, Spinner, Stack, FormControl, FormLabel, Collapse
+} from '@chakra-ui/react';
+import { useQuery } from '@tanstack/react-query';
+import { chatService } from '../../services/api';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { q: '', from: '', to: '' };
+
+/**
+ * ChatContext component
+ * Messages envoyés sur le serveur autour d'un message
+ *
+ * @param {Object} message - Message de référence
+ */
+const ChatContext = ({ message }) => {
+  const {
+    data: messages = [],
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['chat-context', message.serverId, message.id],
+    queryFn: () => chatService.getContext(message.serverId, message.id),
+  });
+
+  if (isLoading) return <Spinner size="sm" />;
+  if (isError) return <Text color="red.500" fontSize="sm">Impossible de charger le contexte: {error.message}</Text>;
+
+  return (
+    <Box borderLeft="2px solid" borderColor="teal.700" pl={3} my={2}>
+      {messages.map((item) => (
+        <Text key={item.id} fontSize="sm" color={item.id === message.id ? 'teal.200' : 'gray.400'} fontWeight={item.id === message.id ? 'bold' : 'normal'}>
+          <Text as="span" color="gray.500">{new Date(item.createdAt).toLocaleTimeString()}</Text>{' '}
+          {item.playerName}: {item.message}
+        </Text>
+      ))}
+    </Box>
+  );
+};
+
+/**
+ * ChatHistory component
+ * Historique du chat d'un serveur ou d'un joueur : recherche, période et contexte d'un message
+ *
+ * @param {string} serverId - ID du serveur (historique d'un serveur)
+ * @param {string} playerId - ID du joueur (historique d'un joueur)
+ */
+const ChatHistory = ({ serverId, playerId }) => {
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState({});
+  const [page, setPage] = useState(0);
+  const [openMessageId, setOpenMessageId] = useState(null);
+
+  const {
+    data,
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['chat', serverId || null, playerId || null, filters, page],
+    queryFn: () => (serverId
+      ? chatService.getServerChat(serverId, filters, PAGE_SIZE, page * PAGE_SIZE)
+      : chatService.getPlayerChat(playerId, filters, PAGE_SIZE, page * PAGE_SIZE)),
+  });
+
+  const applyFilters = () => {
+    const next = {};
+    Object.entries(form).forEach(([key, value]) => {
+      if (value) next[key] = key === 'q' ? value : new Date(value).toISOString();
+    });
+    setFilters(next);
+    setPage(0);
+    setOpenMessageId(null);
+  };
+
+  const messages = data?.messages || [];
+  const total = data?.total || 0;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <Box>
+      <Flex
+        as="form"
+        gap={2}
+        wrap="wrap"
+        align="flex-end"
+        mb={4}
+        onSubmit={(e) => { e.preventDefault(); applyFilters(); }}
+      >
+        <FormControl w="auto">
+          <FormLabel fontSize="sm">Recherche</FormLabel>
+          <Input size="sm" value={form.q} onChange={(e) => setForm({ ...form, q: e.target.value })} />
+        </FormControl>
+        <FormControl w="auto">
+          <FormLabel fontSize="sm">Du</FormLabel>
+          <Input size="sm" type="datetime-local" value={form.from} onChange={(e) => setForm({ ...form, from: e.target.value })} />
+        </FormControl>
+        <FormControl w="auto">
+          <FormLabel fontSize="sm">Au</FormLabel>
+          <Input size="sm" type="datetime-local" value={form.to} onChange={(e) => setForm({ ...form, to: e.target.value })} />
+        </FormControl>
+        <Button type="submit" size="sm" colorScheme="teal">Rechercher</Button>
+      </Flex>
+
+      {isLoading ? (
+        <Spinner />
+      ) : isError ? (
+        <Text color="red.500">Impossible de charger le chat: {error.message}</Text>
+      ) : messages.length === 0 ? (
+        <Text color="gray.500">Aucun message</Text>
+      ) : (
+        <>
+          <Stack spacing={1}>
+            {messages.map((message) => (
+              <Box key={message.id}>
+                <Flex align="baseline" gap={2}>
+                  <Text fontSize="xs" color="gray.600">#{message.id}</Text>
+                  <Text fontSize="xs" color="gray.500" whiteSpace="nowrap">{new Date(message.createdAt).toLocaleString()}</Text>
+                  <Text fontSize="sm" flex="1">
+                    <Text as="span" fontWeight="bold">{message.playerName}</Text>: {message.message}
+                  </Text>
+                  <Button
+                    size="xs"
+                    variant="ghost"
+                    onClick={() => setOpenMessageId(openMessageId === message.id ? null : message.id)}
+                  >
+                    Contexte
+                  </Button>
+                </Flex>
+                <Collapse in={openMessageId === message.id} animateOpacity>
+                  {openMessageId === message.id && <ChatContext message={message} />}
+                </Collapse>
+              </Box>
+            ))}
+          </Stack>
+
+          <Flex justify="space-between" align="center" mt={4}>
+            <Text fontSize="sm" color="gray.500">{total} message(s)</Text>
+            <Flex gap={2} align="center">
+              <Button size="xs" onClick={() => setPage(page - 1)} isDisabled={page === 0}>Précédent</Button>
+              <Text fontSize="sm">{page + 1} / {pageCount}</Text>
+              <Button size="xs" onClick={() => setPage(page + 1)} isDisabled={page + 1 >= pageCount}>Suivant</Button>
+            </Flex>
+          </Flex>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ChatHistory;
@@ -2,10 +2,12 @@ import LoadingSpinner from './LoadingSpinner';
 import ErrorAlert from './ErrorAlert';
 import StatusBadge from './StatusBadge';
 import ConfirmationDialog from './ConfirmationDialog';
+import ChatHistory from './ChatHistory';
 
 export {
   LoadingSpinner,
   ErrorAlert,
   StatusBadge,
-  ConfirmationDialog
+  ConfirmationDialog,
+  ChatHistory
 };
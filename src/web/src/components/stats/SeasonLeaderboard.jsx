@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import {
+  Box, Flex, Text, Badge, Spinner, Select, SimpleGrid, Stat, StatLabel, StatNumber, StatHelpText,
+  Table, Thead, Tbody, Tr, Th, Td, Heading, Divider
+} from '@chakra-ui/react';
+import { useQuery } from '@tanstack/react-query';
+import { Link as RouterLink } from 'react-router-dom';
+import { statsService } from '../../services/api';
+
+// Libellés des statistiques classées
+const METRIC_LABELS = {
+  kills: 'Zombies tués',
+  downs: 'À terre',
+  revives: 'Réanimations',
+  headshots: 'Tirs à la tête',
+  rounds_survived: 'Manches survécues',
+  highest_round: 'Meilleure manche',
+  highest_score: 'Meilleur score'
+};
+
+const STATUS_BADGES = {
+  scheduled: { label: 'À venir', color: 'gray' },
+  active: { label: 'En cours', color: 'green' },
+  ended: { label: 'Terminée', color: 'purple' }
+};
+
+/**
+ * SeasonLeaderboard component
+ * Classement d'une saison, figé une fois la saison terminée, avec son résumé et les récompenses données
+ *
+ * @param {number} seasonId - ID de la saison
+ */
+const SeasonLeaderboard = ({ seasonId }) => {
+  const [metric, setMetric] = useState('kills');
+
+  const {
+    data,
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['season', seasonId, metric],
+    queryFn: () => statsService.getSeason(seasonId, metric),
+  });
+
+  if (isLoading) return <Spinner />;
+  if (isError) return <Text color="red.500">Impossible de charger la saison: {error.message}</Text>;
+
+  const { season, summary, standings = [], rewards = [] } = data;
+  const status = STATUS_BADGES[season.status] || STATUS_BADGES.active;
+
+  return (
+    <Box>
+      <Flex justify="space-between" align="center" wrap="wrap" gap={2} mb={4}>
+        <Box>
+          <Flex align="center" gap={2}>
+            <Heading size="md">{season.name}</Heading>
+            <Badge colorScheme={status.color}>{status.label}</Badge>
+          </Flex>
+          <Text fontSize="sm" color="gray.400">
+            Du {new Date(season.startsAt).toLocaleString()} au {new Date(season.endsAt).toLocaleString()}
+          </Text>
+          {season.description && <Text fontSize="sm" mt={1}>{season.description}</Text>}
+        </Box>
+        <Select size="sm" w="220px" value={metric} onChange={(e) => setMetric(e.target.value)}>
+          {Object.entries(METRIC_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </Select>
+      </Flex>
+
+      <SimpleGrid columns={{ base: 1, md: 2, lg: 4 }} spacing={5} mb={6}>
+        <Stat>
+          <StatLabel>Joueurs</StatLabel>
+          <StatNumber>{summary.uniquePlayers}</StatNumber>
+        </Stat>
+        <Stat>
+          <StatLabel>Zombies tués</StatLabel>
+          <StatNumber>{summary.totalKills.toLocaleString()}</StatNumber>
+        </Stat>
+        <Stat>
+          <StatLabel>Meilleure manche</StatLabel>
+          <StatNumber>{summary.highestRound.round}</StatNumber>
+          <StatHelpText>{summary.highestRound.player || '-'}</StatHelpText>
+        </Stat>
+        <Stat>
+          <StatLabel>Meilleur score</StatLabel>
+          <StatNumber>{summary.highestScore.score.toLocaleString()}</StatNumber>
+          <StatHelpText>{summary.highestScore.player || '-'}</StatHelpText>
+        </Stat>
+      </SimpleGrid>
+
+      <Table variant="simple" size="sm">
+        <Thead>
+          <Tr>
+            <Th>#</Th>
+            <Th>Joueur</Th>
+            <Th isNumeric>{METRIC_LABELS[metric]}</Th>
+          </Tr>
+        </Thead>
+        <Tbody>
+          {standings.length > 0 ? (
+            standings.map((standing) => (
+              <Tr key={standing.position}>
+                <Td>{standing.position}</Td>
+                <Td>
+                  {standing.playerId ? (
+                    <RouterLink to={`/players/${standing.playerId}`}>{standing.name || standing.guid}</RouterLink>
+                  ) : (standing.name || standing.guid)}
+                </Td>
+                <Td isNumeric>{standing.value.toLocaleString()}</Td>
+              </Tr>
+            ))
+          ) : (
+            <Tr>
+              <Td colSpan={3} textAlign="center">
+                <Text>Aucune donnée disponible</Text>
+              </Td>
+            </Tr>
+          )}
+        </Tbody>
+      </Table>
+
+      {rewards.length > 0 && (
+        <>
+          <Divider my={6} />
+          <Heading size="sm" mb={3}>Récompenses</Heading>
+          <Table variant="simple" size="sm">
+            <Thead>
+              <Tr>
+                <Th>Classement</Th>
+                <Th>Joueur</Th>
+                <Th>Titre</Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {rewards.map((reward, index) => (
+                <Tr key={`${reward.metric}-${reward.position}-${index}`}>
+                  <Td>#{reward.position} {METRIC_LABELS[reward.metric] || reward.metric} ({reward.value.toLocaleString()})</Td>
+                  <Td>{reward.name || reward.guid}</Td>
+                  <Td>{reward.title ? <Badge colorScheme="teal">{reward.title}</Badge> : '-'}</Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default SeasonLeaderboard;
@@ -0,0 +1,166 @@
+import { useState } from 'react';
+import {
+  Box, Flex, Heading, Text, Button, Badge, Stack, Spinner, Input, Select,
+  FormControl, FormLabel, Alert, AlertIcon, InputGroup, InputRightElement, useToast
+} from '@chakra-ui/react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { userService } from '../../services/api';
+
+const STATUS_COLORS = {
+  pending: 'green',
+  used: 'blue',
+  revoked: 'red',
+  expired: 'gray'
+};
+
+/**
+ * InviteList component
+ * Création des liens d'invitation avec un rôle attribué et liste des invitations
+ * @param {Array} roles - Rôles disponibles
+ */
+const InviteList = ({ roles = [] }) => {
+  const toast = useToast();
+  const [role, setRole] = useState('moderator');
+  const [email, setEmail] = useState('');
+  const [expiresInHours, setExpiresInHours] = useState(72);
+  const [inviteLink, setInviteLink] = useState('');
+
+  const {
+    data: invites = [],
+    isLoading,
+    isError,
+    error,
+    refetch
+  } = useQuery({
+    queryKey: ['user-invites'],
+    queryFn: userService.getInvites,
+  });
+
+  const notify = (title, err) => {
+    toast({
+      title: err ? 'Erreur' : title,
+      description: err ? `${title}: ${err.message}` : undefined,
+      status: err ? 'error' : 'success',
+      duration: err ? 5000 : 3000,
+      isClosable: true,
+    });
+  };
+
+  const createMutation = useMutation({
+    mutationFn: () => userService.createInvite({ role, email: email || undefined, expiresInHours }),
+    onSuccess: (data) => {
+      // Le jeton n'est renvoyé qu'une seule fois par l'API
+      setInviteLink(`${window.location.origin}/register?invite=${encodeURIComponent(data.token)}`);
+      setEmail('');
+      refetch();
+    },
+    onError: (err) => notify('Impossible de créer l\'invitation', err)
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (inviteId) => userService.revokeInvite(inviteId),
+    onSuccess: () => { notify('Invitation révoquée'); refetch(); },
+    onError: (err) => notify('Impossible de révoquer l\'invitation', err)
+  });
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      notify('Lien copié');
+    } catch (err) {
+      notify('Impossible de copier le lien', err);
+    }
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+  return (
+    <Box>
+      <Heading size="sm" mb={3}>Invitations</Heading>
+
+      <Flex gap={2} wrap="wrap" align="flex-end" mb={3}>
+        <FormControl w="auto">
+          <FormLabel fontSize="sm">Rôle</FormLabel>
+          <Select size="sm" value={role} onChange={(e) => setRole(e.target.value)}>
+            {roles.map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+          </Select>
+        </FormControl>
+        <FormControl w="auto">
+          <FormLabel fontSize="sm">Email (optionnel)</FormLabel>
+          <Input size="sm" type="email" value={email} onChange={(e) => setEmail(e.target.value)} />
+        </FormControl>
+        <FormControl w="120px">
+          <FormLabel fontSize="sm">Validité (h)</FormLabel>
+          <Input
+            size="sm"
+            type="number"
+            min={1}
+            value={expiresInHours}
+            onChange={(e) => setExpiresInHours(e.target.value)}
+          />
+        </FormControl>
+        <Button
+          size="sm"
+          colorScheme="teal"
+          isLoading={createMutation.isPending}
+          onClick={() => createMutation.mutate()}
+        >
+          Créer un lien d'invitation
+        </Button>
+      </Flex>
+
+      {inviteLink && (
+        <Alert status="info" mb={3} borderRadius="md" flexDirection="column" alignItems="stretch">
+          <Flex align="center" mb={2}>
+            <AlertIcon />
+            <Text fontSize="sm">Ce lien ne sera plus affiché, copiez-le maintenant.</Text>
+          </Flex>
+          <InputGroup size="sm">
+            <Input value={inviteLink} isReadOnly pr="5rem" />
+            <InputRightElement width="5rem">
+              <Button size="xs" onClick={copyLink}>Copier</Button>
+            </InputRightElement>
+          </InputGroup>
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <Spinner />
+      ) : isError ? (
+        <Text color="red.500">Impossible de charger les invitations: {error.message}</Text>
+      ) : invites.length === 0 ? (
+        <Text color="gray.500">Aucune invitation.</Text>
+      ) : (
+        <Stack spacing={2}>
+          {invites.map((invite) => (
+            <Flex key={invite.id} align="center" borderWidth={1} borderRadius="md" p={2}>
+              <Box flex="1" minW={0}>
+                <Flex align="center" gap={2}>
+                  <Badge colorScheme="teal">{invite.role}</Badge>
+                  <Badge colorScheme={STATUS_COLORS[invite.status]}>{invite.status}</Badge>
+                  {invite.email && <Text fontSize="sm" noOfLines={1}>{invite.email}</Text>}
+                </Flex>
+                <Text fontSize="xs" color="gray.500">
+                  créée le {formatDate(invite.createdAt)} - expire le {formatDate(invite.expiresAt)}
+                </Text>
+              </Box>
+              {invite.status === 'pending' && (
+                <Button
+                  size="xs"
+                  colorScheme="red"
+                  variant="ghost"
+                  ml={2}
+                  onClick={() => revokeMutation.mutate(invite.id)}
+                >
+                  Révoquer
+                </Button>
+              )}
+            </Flex>
+          ))}
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default InviteList;
@@ -228,12 +228,21 @@ export function AuthProvider({ children }) {
       
       const result = await authService.login(username, password);
       
+      // Mot de passe accepté, le code de double authentification est attendu
+      if (result && result.success && result.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: result.challengeToken };
+      }
+      
       if (result && result.success && result.token) {
         // Mettre à jour le token dans localStorage
         localStorage.setItem('nsm_token', result.token);
         if (result.token !== 'test-token') {
           localStorage.setItem('auth_token', result.token);
         }
+        // Jeton de rafraîchissement de la session
+        if (result.refreshToken) {
+          localStorage.setItem('nsm_refresh_token', result.refreshToken);
+        }
         
         // Mettre à jour l'utilisateur dans le contexte
         if (result.user) {
@@ -278,6 +287,54 @@ export function AuthProvider({ children }) {
         };
       }
     }
+  };
+
+  // Enregistrer la session ouverte par l'API
+  const startSession = (services, result) => {
+    services.storeTokens(result.token, result.refreshToken);
+    setCurrentUser(result.user);
+    localStorage.setItem('auth_user', JSON.stringify(result.user));
+    setIsAuthenticated(true);
+  };
+
+  // Deuxième étape de connexion avec le code de double authentification
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const services = await import('../services/api');
+      const result = await services.authService.loginTwoFactor(challengeToken, code);
+
+      if (result && result.success && result.token) {
+        startSession(services, result);
+        return { success: true, usedRecoveryCode: result.usedRecoveryCode };
+      }
+
+      return {
+        success: false,
+        error: result?.error || 'Code invalide',
+        challengeExpired: !!result?.challengeExpired
+      };
+    } catch (error) {
+      console.error('Erreur lors de la vérification du code:', error);
+      return { success: false, error: error.message || 'Erreur de connexion au serveur' };
+    }
+  };
+
+  // Inscription avec une invitation, ouvre directement une session
+  const register = async (inviteToken, userData) => {
+    try {
+      const services = await import('../services/api');
+      const result = await services.authService.register(inviteToken, userData);
+
+      if (result && result.success && result.token) {
+        startSession(services, result);
+        return { success: true };
+      }
+
+      return { success: false, error: result?.error || 'Échec de l\'inscription' };
+    } catch (error) {
+      console.error('Erreur lors de l\'inscription:', error);
+      return { success: false, error: error.message || 'Erreur de connexion au serveur' };
+    }
   };  // Fonction de déconnexion
   const logout = async () => {
     try {
@@ -299,6 +356,7 @@ export function AuthProvider({ children }) {
       // Remove auth tokens for both formats for compatibility
       localStorage.removeItem('nsm_token');
       localStorage.removeItem('auth_token');
+      localStorage.removeItem('nsm_refresh_token');
       localStorage.removeItem('auth_user');
       
       // Clear axios authorization headers
@@ -314,6 +372,7 @@ export function AuthProvider({ children }) {
       // In case of error, reset state anyway for clean logout
       localStorage.removeItem('nsm_token');
       localStorage.removeItem('auth_token');
+      localStorage.removeItem('nsm_refresh_token');
       localStorage.removeItem('auth_user');
       delete axios.defaults.headers.common['Authorization'];
       setCurrentUser(null);
@@ -384,6 +443,8 @@ export function AuthProvider({ children }) {
     isAuthenticated,
     isLoading,
     login,
+    completeTwoFactorLogin,
+    register,
     logout,
     updateUserProfile,
     needsInitialSetup,
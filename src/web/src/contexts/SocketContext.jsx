@@ -20,9 +20,6 @@ export const SocketProvider = ({ socket, children }) => {
     if (!socket) {
       console.log('Aucun socket fourni, création d\'une nouvelle connexion');
       
-      // Get auth token for socket authentication
-      const token = localStorage.getItem('nsm_token') || localStorage.getItem('auth_token');
-      
       // Force connection to Vite dev server port
       const socketUrl = 'http://localhost:8085'; 
       
@@ -34,7 +31,8 @@ export const SocketProvider = ({ socket, children }) => {
         timeout: 10000,
         path: '/socket.io',
         transports: ['websocket', 'polling'],
-        auth: token ? { token } : undefined // Add token authentication if available
+        // Jeton relu à chaque (re)connexion, il est renouvelé par le rafraîchissement de session
+        auth: (cb) => cb({ token: localStorage.getItem('nsm_token') || localStorage.getItem('auth_token') })
       };
       
       console.log('Connecting to Socket.IO with options:', socketOptions);
@@ -61,6 +59,12 @@ export const SocketProvider = ({ socket, children }) => {
         setError(err);
       });
 
+      // Session expirée ou révoquée : le serveur ferme la connexion
+      newSocket.on('session:ended', ({ reason }) => {
+        console.warn('Session Socket.IO terminée:', reason);
+        setError(new Error(reason));
+      });
+
       setSocketInstance(newSocket);
 
       // Nettoyage lors du démontage
@@ -0,0 +1,211 @@
+import { useState } from 'react';
+import {
+  Box, Heading, Flex, Icon, Card, CardBody, Text, Button, Badge, Spinner, Input, Select,
+  FormControl, FormLabel, Table, Thead, Tbody, Tr, Th, Td, Code, useToast
+} from '@chakra-ui/react';
+import { FaClipboardList } from 'react-icons/fa';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { auditService } from '../services/api';
+
+const PAGE_SIZE = 50;
+
+const SOURCES = [
+  { value: 'api', label: 'API' },
+  { value: 'socket', label: 'Console' },
+  { value: 'game', label: 'En jeu' }
+];
+
+const EMPTY_FILTERS = { actor: '', action: '', source: '', from: '', to: '' };
+
+/**
+ * Audit page
+ * Journal des actions d'administration : filtres, détail des modifications et export CSV
+ */
+const Audit = () => {
+  const toast = useToast();
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState({});
+  const [page, setPage] = useState(0);
+
+  const {
+    data,
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['audit', filters, page],
+    queryFn: () => auditService.getEntries(filters, PAGE_SIZE, page * PAGE_SIZE),
+  });
+
+  const { data: actions = [] } = useQuery({
+    queryKey: ['audit-actions'],
+    queryFn: auditService.getActions,
+  });
+
+  const exportMutation = useMutation({
+    mutationFn: () => auditService.exportCsv(filters),
+    onSuccess: (blob) => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    },
+    onError: (err) => toast({
+      title: 'Erreur',
+      description: `Impossible d'exporter le journal: ${err.message}`,
+      status: 'error',
+      duration: 5000,
+      isClosable: true,
+    })
+  });
+
+  const applyFilters = () => {
+    const next = {};
+    Object.entries(form).forEach(([key, value]) => {
+      if (value) next[key] = key === 'from' || key === 'to' ? new Date(value).toISOString() : value;
+    });
+    setFilters(next);
+    setPage(0);
+  };
+
+  const resetFilters = () => {
+    setForm(EMPTY_FILTERS);
+    setFilters({});
+    setPage(0);
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleString() : '-');
+  const formatValue = (value) => (value === null || value === undefined ? '-' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+  const entries = data?.entries || [];
+  const total = data?.total || 0;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <Box p={5} className="fade-in" bg="gray.900" borderRadius="xl">
+      <Flex align="center" justify="space-between" mb={6} bg="gray.800" p={4} borderRadius="xl" borderLeft="4px solid" borderColor="teal.500">
+        <Heading size="lg" color="teal.300">
+          <Flex align="center">
+            <Icon as={FaClipboardList} mr={2} color="teal.400" />
+            Journal d'audit
+          </Flex>
+        </Heading>
+        <Button size="sm" colorScheme="teal" variant="outline" isLoading={exportMutation.isPending} onClick={() => exportMutation.mutate()}>
+          Exporter en CSV
+        </Button>
+      </Flex>
+
+      <Card bg="gray.800">
+        <CardBody>
+          <Flex
+            as="form"
+            gap={2}
+            wrap="wrap"
+            align="flex-end"
+            mb={6}
+            onSubmit={(e) => { e.preventDefault(); applyFilters(); }}
+          >
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Auteur</FormLabel>
+              <Input size="sm" value={form.actor} onChange={(e) => setForm({ ...form, actor: e.target.value })} />
+            </FormControl>
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Action</FormLabel>
+              <Select size="sm" placeholder="Toutes" value={form.action} onChange={(e) => setForm({ ...form, action: e.target.value })}>
+                {actions.map((action) => <option key={action} value={action}>{action}</option>)}
+              </Select>
+            </FormControl>
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Origine</FormLabel>
+              <Select size="sm" placeholder="Toutes" value={form.source} onChange={(e) => setForm({ ...form, source: e.target.value })}>
+                {SOURCES.map((source) => <option key={source.value} value={source.value}>{source.label}</option>)}
+              </Select>
+            </FormControl>
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Du</FormLabel>
+              <Input size="sm" type="datetime-local" value={form.from} onChange={(e) => setForm({ ...form, from: e.target.value })} />
+            </FormControl>
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Au</FormLabel>
+              <Input size="sm" type="datetime-local" value={form.to} onChange={(e) => setForm({ ...form, to: e.target.value })} />
+            </FormControl>
+            <Button type="submit" size="sm" colorScheme="teal">Filtrer</Button>
+            <Button size="sm" variant="ghost" onClick={resetFilters}>Réinitialiser</Button>
+          </Flex>
+
+          {isLoading ? (
+            <Spinner />
+          ) : isError ? (
+            <Text color="red.500">Impossible de charger le journal d'audit: {error.message}</Text>
+          ) : entries.length === 0 ? (
+            <Text color="gray.500">Aucune action enregistrée</Text>
+          ) : (
+            <>
+              <Table size="sm" variant="simple" className="zombie-table">
+                <Thead>
+                  <Tr>
+                    <Th>Date</Th>
+                    <Th>Auteur</Th>
+                    <Th>Action</Th>
+                    <Th>Cible</Th>
+                    <Th>Modifications</Th>
+                    <Th>IP</Th>
+                    <Th>Résultat</Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {entries.map((entry) => (
+                    <Tr key={entry.id}>
+                      <Td whiteSpace="nowrap">{formatDate(entry.createdAt)}</Td>
+                      <Td>
+                        <Text fontWeight="bold">{entry.actorName || entry.actorId || 'Anonyme'}</Text>
+                        <Text fontSize="xs" color="gray.500">
+                          {SOURCES.find((source) => source.value === entry.source)?.label || entry.source}
+                        </Text>
+                      </Td>
+                      <Td><Code>{entry.action}</Code></Td>
+                      <Td>
+                        {entry.targetType ? (
+                          <>
+                            <Text>{entry.targetName || entry.targetId || '-'}</Text>
+                            <Text fontSize="xs" color="gray.500">{entry.targetType}</Text>
+                          </>
+                        ) : '-'}
+                      </Td>
+                      <Td>
+                        {Object.entries(entry.changes || {}).map(([field, change]) => (
+                          <Text key={field} fontSize="xs">
+                            <Text as="span" fontWeight="bold">{field}</Text>: {formatValue(change.from)} → {formatValue(change.to)}
+                          </Text>
+                        ))}
+                      </Td>
+                      <Td>{entry.ip || '-'}</Td>
+                      <Td>
+                        {entry.success
+                          ? <Badge colorScheme="green">OK</Badge>
+                          : <Badge colorScheme="red">Échec</Badge>}
+                      </Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+
+              <Flex justify="space-between" align="center" mt={4}>
+                <Text fontSize="sm" color="gray.500">{total} action(s)</Text>
+                <Flex gap={2} align="center">
+                  <Button size="xs" onClick={() => setPage(page - 1)} isDisabled={page === 0}>Précédent</Button>
+                  <Text fontSize="sm">{page + 1} / {pageCount}</Text>
+                  <Button size="xs" onClick={() => setPage(page + 1)} isDisabled={page + 1 >= pageCount}>Suivant</Button>
+                </Flex>
+              </Flex>
+            </>
+          )}
+        </CardBody>
+      </Card>
+    </Box>
+  );
+};
+
+export default Audit;
@@ -325,6 +325,11 @@ function Dashboard() {
                         <Text fontSize="sm" fontWeight="medium" color="gray.300">
                           {event.type}
                         </Text>
+                        {event.serverName && (
+                          <Text fontSize="xs" color="gray.400">
+                            {event.serverName}{event.player ? ` - ${event.player}` : ''}
+                          </Text>
+                        )}
                         <Text fontSize="xs" color="gray.500">
                           {new Date(event.timestamp).toLocaleTimeString()}
                         </Text>
@@ -25,8 +25,11 @@ function Login() {
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  // Jeton de la deuxième étape quand la double authentification est activée
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
   
   const bgColor = useColorModeValue('white', 'gray.800');
@@ -50,6 +53,9 @@ function Login() {
       if (result.success) {
         console.log('Connexion réussie, redirection vers la page d\'accueil');
         navigate('/');
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        setTwoFactorCode('');
       } else {
         console.error('Échec de la connexion:', result.error);
         setError(result.error || 'Échec de la connexion');
@@ -63,6 +69,27 @@ function Login() {
     }
   };
   
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    
+    setError('');
+    setIsLoading(true);
+    const result = await completeTwoFactorLogin(challengeToken, twoFactorCode.trim());
+    setIsLoading(false);
+    
+    if (result.success) {
+      navigate('/');
+    } else if (result.challengeExpired) {
+      // Trop d'essais : recommencer depuis le mot de passe
+      setChallengeToken(null);
+      setPassword('');
+      setError(result.error);
+    } else {
+      setError(result.error);
+      setTwoFactorCode('');
+    }
+  };
+  
   const toggleShowPassword = () => {
     setShowPassword(!showPassword);
   };
@@ -98,6 +125,42 @@ function Login() {
           </Alert>
         )}
         
+        {challengeToken ? (
+        <form onSubmit={handleTwoFactorSubmit}>
+          <FormControl id="twoFactorCode" mb={6} isRequired>
+            <FormLabel>Code de double authentification</FormLabel>
+            <Input
+              value={twoFactorCode}
+              onChange={(e) => setTwoFactorCode(e.target.value)}
+              placeholder="123456"
+              autoComplete="one-time-code"
+              autoFocus
+            />
+            <Text mt={2} fontSize="sm" color="gray.500">
+              Entrez le code de votre application d'authentification, ou un code de récupération.
+            </Text>
+          </FormControl>
+          
+          <Button
+            type="submit"
+            colorScheme="blue"
+            size="lg"
+            width="full"
+            isLoading={isLoading}
+            loadingText="Vérification..."
+          >
+            Vérifier
+          </Button>
+          <Button
+            mt={2}
+            variant="ghost"
+            width="full"
+            onClick={() => { setChallengeToken(null); setError(''); }}
+          >
+            Retour
+          </Button>
+        </form>
+        ) : (
         <form onSubmit={handleSubmit}>
           <FormControl id="username" mb={4} isRequired>
             <FormLabel>Nom d'utilisateur</FormLabel>
@@ -141,6 +204,7 @@ function Login() {
             Se connecter
           </Button>
         </form>
+        )}
       </Box>
     </Flex>
   );
@@ -11,11 +11,15 @@ import {
 import { 
   FaUser, FaArrowLeft, FaGamepad, FaHistory, FaServer,
   FaBan, FaUserCog, FaCommentAlt, FaClock, FaCalendarAlt, 
-  FaExclamation, FaEnvelope
+  FaExclamation, FaEnvelope, FaExclamationTriangle, FaChartLine, FaTrophy
 } from 'react-icons/fa';
 import { useQuery, useMutation } from '@tanstack/react-query';
 import { playerService } from '../services/api';
 import { useSocket } from '../contexts/SocketContext';
+import { ChatHistory } from '../components/shared';
+import PlayerWarnings from '../components/players/PlayerWarnings';
+import PlayerRatingChart from '../components/players/PlayerRatingChart';
+import PlayerAchievements from '../components/players/PlayerAchievements';
 import { useState } from 'react';
 
 const PlayerDetails = () => {
@@ -134,14 +138,16 @@ const PlayerDetails = () => {
     if (!socket) return;
 
     const handlePlayerUpdate = (updatedPlayer) => {
-      if (updatedPlayer.id === id) {
+      if (String(updatedPlayer.id) === String(id)) {
         refetch();
       }
     };
 
+    socket.emit('subscribe', { playerId: id });
     socket.on('player:update', handlePlayerUpdate);
     
     return () => {
+      socket.emit('unsubscribe', { playerId: id });
       socket.off('player:update', handlePlayerUpdate);
     };
   }, [socket, id, refetch]);
@@ -306,6 +312,34 @@ const PlayerDetails = () => {
           >
             <Icon as={FaServer} mr={2} className="icon-teal" /> Serveurs
           </Tab>
+          <Tab 
+            color="gray.400" 
+            _selected={{ color: "teal.300", borderColor: "teal.300" }} 
+            _hover={{ color: "teal.200" }}
+          >
+            <Icon as={FaCommentAlt} mr={2} className="icon-teal" /> Chat
+          </Tab>
+          <Tab 
+            color="gray.400" 
+            _selected={{ color: "teal.300", borderColor: "teal.300" }} 
+            _hover={{ color: "teal.200" }}
+          >
+            <Icon as={FaExclamationTriangle} mr={2} className="icon-teal" /> Avertissements
+          </Tab>
+          <Tab 
+            color="gray.400" 
+            _selected={{ color: "teal.300", borderColor: "teal.300" }} 
+            _hover={{ color: "teal.200" }}
+          >
+            <Icon as={FaChartLine} mr={2} className="icon-teal" /> Classement
+          </Tab>
+          <Tab 
+            color="gray.400" 
+            _selected={{ color: "teal.300", borderColor: "teal.300" }} 
+            _hover={{ color: "teal.200" }}
+          >
+            <Icon as={FaTrophy} mr={2} className="icon-teal" /> Succès
+          </Tab>
         </TabList>
 
         <TabPanels>
@@ -718,6 +752,26 @@ const PlayerDetails = () => {
               </Box>
             )}
           </TabPanel>
+
+          {/* Onglet historique du chat */}
+          <TabPanel>
+            <ChatHistory playerId={id} />
+          </TabPanel>
+
+          {/* Onglet avertissements */}
+          <TabPanel>
+            <PlayerWarnings playerId={id} />
+          </TabPanel>
+
+          {/* Onglet classement */}
+          <TabPanel>
+            <PlayerRatingChart playerId={id} />
+          </TabPanel>
+
+          {/* Onglet succès */}
+          <TabPanel>
+            <PlayerAchievements playerId={id} />
+          </TabPanel>
         </TabPanels>
       </Tabs>      {/* Modal pour envoyer un message */}
       <Modal isOpen={isMessageModalOpen} onClose={onMessageModalClose}>
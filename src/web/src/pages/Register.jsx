@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Flex,
+  Heading,
+  FormControl,
+  FormLabel,
+  Input,
+  Button,
+  Text,
+  Alert,
+  AlertIcon,
+  Badge,
+  Link,
+  Spinner,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { authService } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+/**
+ * Register page
+ * Création d'un compte à partir d'un lien d'invitation (/register?invite=...)
+ */
+function Register() {
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite') || '';
+
+  const [invite, setInvite] = useState(null);
+  const [isChecking, setIsChecking] = useState(true);
+  const [username, setUsername] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const { register } = useAuth();
+  const navigate = useNavigate();
+
+  const bgColor = useColorModeValue('white', 'gray.800');
+  const borderColor = useColorModeValue('gray.200', 'gray.700');
+
+  // Vérifier l'invitation au chargement
+  useEffect(() => {
+    if (!inviteToken) {
+      setIsChecking(false);
+      return;
+    }
+
+    authService.getInvite(inviteToken)
+      .then((result) => {
+        setInvite(result);
+        setEmail(result.email || '');
+      })
+      .catch(() => setInvite(null))
+      .finally(() => setIsChecking(false));
+  }, [inviteToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setError('Les mots de passe ne correspondent pas');
+      return;
+    }
+
+    setError('');
+    setIsLoading(true);
+    const result = await register(inviteToken, { username, password, email });
+    setIsLoading(false);
+
+    if (result.success) {
+      navigate('/');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Flex
+      minH="100vh"
+      align="center"
+      justify="center"
+      bg={useColorModeValue('gray.50', 'gray.900')}
+    >
+      <Box
+        w="full"
+        maxW="md"
+        p={8}
+        borderWidth="1px"
+        borderRadius="lg"
+        boxShadow="lg"
+        bg={bgColor}
+        borderColor={borderColor}
+      >
+        <Box textAlign="center" mb={8}>
+          <Heading size="xl">Node Server Manager</Heading>
+          <Text mt={2} color={useColorModeValue('gray.600', 'gray.400')}>
+            Créez votre compte
+          </Text>
+        </Box>
+
+        {isChecking ? (
+          <Flex justify="center"><Spinner /></Flex>
+        ) : !invite ? (
+          <>
+            <Alert status="error" mb={4} borderRadius="md">
+              <AlertIcon />
+              Ce lien d'invitation est invalide, a expiré ou a déjà été utilisé.
+            </Alert>
+            <Link as={RouterLink} to="/login" color="teal.400">Retour à la connexion</Link>
+          </>
+        ) : (
+          <>
+            <Text mb={4}>
+              Vous êtes invité avec le rôle <Badge colorScheme="teal">{invite.role}</Badge>
+            </Text>
+
+            {error && (
+              <Alert status="error" mb={4} borderRadius="md">
+                <AlertIcon />
+                {error}
+              </Alert>
+            )}
+
+            <form onSubmit={handleSubmit}>
+              <FormControl id="username" mb={4} isRequired>
+                <FormLabel>Nom d'utilisateur</FormLabel>
+                <Input value={username} onChange={(e) => setUsername(e.target.value)} />
+              </FormControl>
+
+              <FormControl id="email" mb={4}>
+                <FormLabel>Email</FormLabel>
+                <Input type="email" value={email} onChange={(e) => setEmail(e.target.value)} />
+              </FormControl>
+
+              <FormControl id="password" mb={4} isRequired>
+                <FormLabel>Mot de passe</FormLabel>
+                <Input type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+              </FormControl>
+
+              <FormControl id="confirmPassword" mb={6} isRequired>
+                <FormLabel>Confirmer le mot de passe</FormLabel>
+                <Input type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} />
+              </FormControl>
+
+              <Button
+                type="submit"
+                colorScheme="blue"
+                size="lg"
+                width="full"
+                isLoading={isLoading}
+                loadingText="Création du compte..."
+              >
+                Créer le compte
+              </Button>
+            </form>
+          </>
+        )}
+      </Box>
+    </Flex>
+  );
+}
+
+export default Register;
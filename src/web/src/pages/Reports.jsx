@@ -0,0 +1,374 @@
+import { useState, useEffect } from 'react';
+import {
+  Box, Heading, Flex, Icon, Card, CardBody, Text, Button, Badge, Spinner, Input, Select, Textarea,
+  FormControl, FormLabel, Table, Thead, Tbody, Tr, Th, Td, Stack, HStack, Modal, ModalOverlay,
+  ModalContent, ModalHeader, ModalBody, ModalFooter, ModalCloseButton, useToast
+} from '@chakra-ui/react';
+import { FaFlag } from 'react-icons/fa';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { reportService } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+
+const PAGE_SIZE = 50;
+
+const STATUSES = {
+  open: { label: 'Ouvert', color: 'red' },
+  claimed: { label: 'Pris en charge', color: 'orange' },
+  resolved: { label: 'Traité', color: 'green' },
+  rejected: { label: 'Rejeté', color: 'gray' }
+};
+
+const STATUS_FILTERS = [
+  { value: 'open,claimed', label: 'En attente' },
+  { value: 'open', label: 'Ouverts' },
+  { value: 'claimed', label: 'Pris en charge' },
+  { value: 'resolved', label: 'Traités' },
+  { value: 'rejected', label: 'Rejetés' },
+  { value: 'all', label: 'Tous' }
+];
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+/**
+ * ReportDetails component
+ * Détail d'un signalement : preuves, prise en charge et clôture
+ *
+ * @param {number} reportId - ID du signalement
+ * @param {Function} onClose - Fermeture de la fenêtre
+ */
+const ReportDetails = ({ reportId, onClose }) => {
+  const toast = useToast();
+  const queryClient = useQueryClient();
+  const { currentUser } = useAuth();
+  const [resolution, setResolution] = useState('');
+  const [evidence, setEvidence] = useState({ type: 'chat', refId: '', note: '' });
+
+  const {
+    data: report,
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['report', reportId],
+    queryFn: () => reportService.getReport(reportId),
+  });
+
+  const notify = (title, err) => {
+    toast({
+      title: err ? 'Erreur' : title,
+      description: err ? `${title}: ${err.message}` : undefined,
+      status: err ? 'error' : 'success',
+      duration: err ? 5000 : 3000,
+      isClosable: true,
+    });
+  };
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['report', reportId] });
+    queryClient.invalidateQueries({ queryKey: ['reports'] });
+  };
+
+  const claimMutation = useMutation({
+    mutationFn: () => reportService.claim(reportId),
+    onSuccess: () => { notify('Signalement pris en charge'); refresh(); },
+    onError: (err) => { notify('Impossible de prendre en charge le signalement', err); refresh(); }
+  });
+
+  const resolveMutation = useMutation({
+    mutationFn: (status) => reportService.resolve(reportId, status, resolution),
+    onSuccess: (updated) => { notify(updated.status === 'resolved' ? 'Signalement traité' : 'Signalement rejeté'); refresh(); },
+    onError: (err) => { notify('Impossible de clôturer le signalement', err); refresh(); }
+  });
+
+  const addEvidenceMutation = useMutation({
+    mutationFn: () => reportService.addEvidence(reportId, evidence),
+    onSuccess: () => { notify('Preuve ajoutée'); setEvidence({ ...evidence, refId: '', note: '' }); refresh(); },
+    onError: (err) => notify('Impossible d\'ajouter la preuve', err)
+  });
+
+  const removeEvidenceMutation = useMutation({
+    mutationFn: (evidenceId) => reportService.removeEvidence(reportId, evidenceId),
+    onSuccess: () => { notify('Preuve retirée'); refresh(); },
+    onError: (err) => notify('Impossible de retirer la preuve', err)
+  });
+
+  const isClosed = report && (report.status === 'resolved' || report.status === 'rejected');
+  const claimedByOther = report && report.status === 'claimed' && report.claimedBy !== currentUser?.id;
+
+  return (
+    <Modal isOpen onClose={onClose} size="3xl" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent bg="gray.800">
+        <ModalHeader color="teal.300">Signalement #{reportId}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          {isLoading ? (
+            <Spinner />
+          ) : isError ? (
+            <Text color="red.500">Impossible de charger le signalement: {error.message}</Text>
+          ) : (
+            <Stack spacing={4}>
+              <Box>
+                <HStack mb={2}>
+                  <Badge colorScheme={STATUSES[report.status]?.color}>{STATUSES[report.status]?.label || report.status}</Badge>
+                  <Text fontSize="sm" color="gray.400">{formatDate(report.createdAt)} - serveur {report.serverId || '-'}</Text>
+                </HStack>
+                <Text>
+                  <Text as="span" fontWeight="bold">{report.reporterName}</Text> a signalé{' '}
+                  <Text as="span" fontWeight="bold" color="red.300">{report.targetName}</Text>
+                </Text>
+                <Text mt={1} fontStyle="italic">« {report.reason} »</Text>
+                {report.claimedByName && (
+                  <Text fontSize="sm" color="gray.400" mt={1}>Pris en charge par {report.claimedByName} le {formatDate(report.claimedAt)}</Text>
+                )}
+                {isClosed && (
+                  <Text fontSize="sm" color="gray.400" mt={1}>
+                    Clôturé par {report.resolvedByName} le {formatDate(report.resolvedAt)}{report.resolution ? ` : ${report.resolution}` : ''}
+                  </Text>
+                )}
+              </Box>
+
+              <Box>
+                <Heading size="sm" mb={2}>Preuves</Heading>
+                {report.evidence.length === 0 ? (
+                  <Text color="gray.500" fontSize="sm">Aucune preuve</Text>
+                ) : (
+                  <Stack spacing={1}>
+                    {report.evidence.map((item) => (
+                      <Flex key={item.id} align="baseline" gap={2}>
+                        <Badge colorScheme={item.type === 'chat' ? 'teal' : 'purple'}>{item.type === 'chat' ? 'Chat' : 'Événement'}</Badge>
+                        <Text fontSize="sm" flex="1">
+                          {!item.record ? (
+                            <Text as="span" color="gray.500">#{item.refId} introuvable</Text>
+                          ) : item.type === 'chat' ? (
+                            <>
+                              <Text as="span" color="gray.500">{formatDate(item.record.createdAt)}</Text>{' '}
+                              <Text as="span" fontWeight="bold">{item.record.playerName}</Text>: {item.record.message}
+                            </>
+                          ) : (
+                            <>
+                              <Text as="span" color="gray.500">{formatDate(item.record.timestamp)}</Text>{' '}
+                              {item.record.summary || item.record.type}
+                            </>
+                          )}
+                          {item.note && <Text as="span" color="gray.400"> - {item.note}</Text>}
+                        </Text>
+                        {!isClosed && (
+                          <Button size="xs" variant="ghost" colorScheme="red" onClick={() => removeEvidenceMutation.mutate(item.id)}>
+                            Retirer
+                          </Button>
+                        )}
+                      </Flex>
+                    ))}
+                  </Stack>
+                )}
+
+                {!isClosed && (
+                  <Flex
+                    as="form"
+                    gap={2}
+                    wrap="wrap"
+                    align="flex-end"
+                    mt={3}
+                    onSubmit={(e) => { e.preventDefault(); addEvidenceMutation.mutate(); }}
+                  >
+                    <FormControl w="auto">
+                      <FormLabel fontSize="sm">Type</FormLabel>
+                      <Select size="sm" value={evidence.type} onChange={(e) => setEvidence({ ...evidence, type: e.target.value })}>
+                        <option value="chat">Message du chat</option>
+                        <option value="event">Événement</option>
+                      </Select>
+                    </FormControl>
+                    <FormControl w="auto">
+                      <FormLabel fontSize="sm">ID</FormLabel>
+                      <Input size="sm" w="100px" value={evidence.refId} onChange={(e) => setEvidence({ ...evidence, refId: e.target.value })} />
+                    </FormControl>
+                    <FormControl w="auto">
+                      <FormLabel fontSize="sm">Note</FormLabel>
+                      <Input size="sm" value={evidence.note} onChange={(e) => setEvidence({ ...evidence, note: e.target.value })} />
+                    </FormControl>
+                    <Button type="submit" size="sm" isDisabled={!evidence.refId} isLoading={addEvidenceMutation.isPending}>Ajouter</Button>
+                  </Flex>
+                )}
+              </Box>
+
+              {!isClosed && (
+                <FormControl>
+                  <FormLabel fontSize="sm">Décision</FormLabel>
+                  <Textarea size="sm" value={resolution} onChange={(e) => setResolution(e.target.value)} placeholder="Sanction appliquée, raison du rejet..." />
+                </FormControl>
+              )}
+            </Stack>
+          )}
+        </ModalBody>
+        <ModalFooter gap={2}>
+          {report && !isClosed && (
+            <>
+              {report.status === 'open' && (
+                <Button size="sm" colorScheme="orange" isLoading={claimMutation.isPending} onClick={() => claimMutation.mutate()}>
+                  Prendre en charge
+                </Button>
+              )}
+              <Button size="sm" colorScheme="green" isDisabled={claimedByOther} isLoading={resolveMutation.isPending} onClick={() => resolveMutation.mutate('resolved')}>
+                Traité
+              </Button>
+              <Button size="sm" variant="outline" isDisabled={claimedByOther} isLoading={resolveMutation.isPending} onClick={() => resolveMutation.mutate('rejected')}>
+                Rejeter
+              </Button>
+            </>
+          )}
+          <Button size="sm" variant="ghost" onClick={onClose}>Fermer</Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+/**
+ * Reports page
+ * File de modération des signalements de joueurs
+ */
+const Reports = () => {
+  const queryClient = useQueryClient();
+  const { socket } = useSocket();
+  const [form, setForm] = useState({ status: 'open,claimed', player: '' });
+  const [filters, setFilters] = useState({ status: 'open,claimed' });
+  const [page, setPage] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const {
+    data,
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['reports', filters, page],
+    queryFn: () => reportService.getReports(filters, PAGE_SIZE, page * PAGE_SIZE),
+  });
+
+  // Nouveaux signalements et changements faits par les autres membres de l'équipe
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleReportUpdate = ({ report }) => {
+      queryClient.invalidateQueries({ queryKey: ['reports'] });
+      queryClient.invalidateQueries({ queryKey: ['report', report.id] });
+    };
+
+    socket.on('report:update', handleReportUpdate);
+
+    return () => {
+      socket.off('report:update', handleReportUpdate);
+    };
+  }, [socket, queryClient]);
+
+  const applyFilters = () => {
+    const next = { status: form.status };
+    if (form.player) next.player = form.player;
+    setFilters(next);
+    setPage(0);
+  };
+
+  const reports = data?.reports || [];
+  const total = data?.total || 0;
+  const counts = data?.counts || {};
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <Box p={5} className="fade-in" bg="gray.900" borderRadius="xl">
+      <Flex align="center" justify="space-between" mb={6} bg="gray.800" p={4} borderRadius="xl" borderLeft="4px solid" borderColor="teal.500">
+        <Heading size="lg" color="teal.300">
+          <Flex align="center">
+            <Icon as={FaFlag} mr={2} color="teal.400" />
+            Signalements
+          </Flex>
+        </Heading>
+        <HStack>
+          <Badge colorScheme="red" fontSize="sm">{counts.open || 0} ouvert(s)</Badge>
+          <Badge colorScheme="orange" fontSize="sm">{counts.claimed || 0} pris en charge</Badge>
+        </HStack>
+      </Flex>
+
+      <Card bg="gray.800">
+        <CardBody>
+          <Flex
+            as="form"
+            gap={2}
+            wrap="wrap"
+            align="flex-end"
+            mb={6}
+            onSubmit={(e) => { e.preventDefault(); applyFilters(); }}
+          >
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Statut</FormLabel>
+              <Select size="sm" value={form.status} onChange={(e) => setForm({ ...form, status: e.target.value })}>
+                {STATUS_FILTERS.map((status) => <option key={status.value} value={status.value}>{status.label}</option>)}
+              </Select>
+            </FormControl>
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Joueur signalé</FormLabel>
+              <Input size="sm" value={form.player} onChange={(e) => setForm({ ...form, player: e.target.value })} />
+            </FormControl>
+            <Button type="submit" size="sm" colorScheme="teal">Filtrer</Button>
+          </Flex>
+
+          {isLoading ? (
+            <Spinner />
+          ) : isError ? (
+            <Text color="red.500">Impossible de charger les signalements: {error.message}</Text>
+          ) : reports.length === 0 ? (
+            <Text color="gray.500">Aucun signalement</Text>
+          ) : (
+            <>
+              <Table size="sm" variant="simple" className="zombie-table">
+                <Thead>
+                  <Tr>
+                    <Th>#</Th>
+                    <Th>Date</Th>
+                    <Th>Joueur signalé</Th>
+                    <Th>Par</Th>
+                    <Th>Raison</Th>
+                    <Th>Statut</Th>
+                    <Th></Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {reports.map((report) => (
+                    <Tr key={report.id}>
+                      <Td>{report.id}</Td>
+                      <Td whiteSpace="nowrap">{formatDate(report.createdAt)}</Td>
+                      <Td fontWeight="bold">{report.targetName}</Td>
+                      <Td>{report.reporterName}</Td>
+                      <Td maxW="300px" isTruncated>{report.reason}</Td>
+                      <Td>
+                        <Badge colorScheme={STATUSES[report.status]?.color}>{STATUSES[report.status]?.label || report.status}</Badge>
+                        {report.claimedByName && <Text fontSize="xs" color="gray.500">{report.claimedByName}</Text>}
+                      </Td>
+                      <Td>
+                        <Button size="xs" onClick={() => setSelectedId(report.id)}>Détails</Button>
+                      </Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+
+              <Flex justify="space-between" align="center" mt={4}>
+                <Text fontSize="sm" color="gray.500">{total} signalement(s)</Text>
+                <Flex gap={2} align="center">
+                  <Button size="xs" onClick={() => setPage(page - 1)} isDisabled={page === 0}>Précédent</Button>
+                  <Text fontSize="sm">{page + 1} / {pageCount}</Text>
+                  <Button size="xs" onClick={() => setPage(page + 1)} isDisabled={page + 1 >= pageCount}>Suivant</Button>
+                </Flex>
+              </Flex>
+            </>
+          )}
+        </CardBody>
+      </Card>
+
+      {selectedId && <ReportDetails reportId={selectedId} onClose={() => setSelectedId(null)} />}
+    </Box>
+  );
+};
+
+export default Reports;
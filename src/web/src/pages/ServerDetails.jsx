@@ -8,14 +8,16 @@ import {
 } from '@chakra-ui/react';
 import { Accordion, AccordionItem, AccordionButton, AccordionPanel, AccordionIcon } from '@chakra-ui/react';
 import { Divider } from '@chakra-ui/react';
-import { Textarea } from '@chakra-ui/react';
 import { 
   FaServer, FaArrowLeft, FaUsers, FaUserCog, FaTerminal,
-  FaCog, FaPlay, FaStop, FaRedo, FaHistory, FaFileCode
+  FaCog, FaPlay, FaStop, FaRedo, FaHistory, FaFileCode, FaMap, FaCommentAlt
 } from 'react-icons/fa';
 import { useQuery, useMutation } from '@tanstack/react-query';
 import { serverService } from '../services/api';
 import { useSocket } from '../contexts/SocketContext';
+import RconTerminal from '../components/servers/RconTerminal';
+import MapRotationPanel from '../components/servers/MapRotationPanel';
+import { ChatHistory } from '../components/shared';
 
 const ServerDetails = () => {
   const { id } = useParams();
@@ -23,7 +25,6 @@ const ServerDetails = () => {
   const toast = useToast();
   const { socket } = useSocket();
   const [selectedLogFile, setSelectedLogFile] = useState('server.log');
-  const [consoleCommand, setConsoleCommand] = useState('');
 
   // Récupération des détails du serveur
   const { 
@@ -118,29 +119,6 @@ const ServerDetails = () => {
     }
   });
 
-  // Mutation pour envoyer une commande à la console du serveur
-  const sendCommandMutation = useMutation({
-    mutationFn: (command) => serverService.sendServerCommand(id, command),
-    onSuccess: () => {
-      toast({
-        title: 'Commande envoyée',
-        status: 'success',
-        duration: 2000,
-      });
-      setConsoleCommand('');
-      // Refetch logs after a short delay to see the command result
-      setTimeout(() => refetchLogs(), 500);
-    },
-    onError: (err) => {
-      toast({
-        title: 'Erreur',
-        description: `Impossible d'envoyer la commande: ${err.message}`,
-        status: 'error',
-        duration: 5000,
-      });
-    }
-  });
-
   // Écouter les mises à jour en temps réel
   useEffect(() => {
     if (!socket) return;
@@ -152,23 +130,20 @@ const ServerDetails = () => {
       }
     };
 
+    // Abonnement aux événements détaillés du serveur (joueurs, logs)
+    socket.emit('subscribe', { serverId: id });
     socket.on('server:update', handleServerUpdate);
+    socket.on('server:players', handleServerUpdate);
     socket.on('server:log', () => refetchLogs());
     
     return () => {
+      socket.emit('unsubscribe', { serverId: id });
       socket.off('server:update', handleServerUpdate);
+      socket.off('server:players', handleServerUpdate);
       socket.off('server:log');
     };
   }, [socket, id, refetch, refetchLogs]);
 
-  // Gérer l'envoi d'une commande
-  const handleSendCommand = (e) => {
-    e.preventDefault();
-    if (!consoleCommand.trim()) return;
-    
-    sendCommandMutation.mutate(consoleCommand.trim());
-  };
-
   if (isLoading) {
     return (
       <Box textAlign="center" py={10}>
@@ -219,6 +194,12 @@ const ServerDetails = () => {
         >
           {server.status === 'online' ? 'En ligne' : 'Hors ligne'}
         </Badge>
+
+        {server.readOnly && (
+          <Badge ml={2} colorScheme="purple" fontSize="md" px={2} py={1}>
+            Lecture seule
+          </Badge>
+        )}
         
         <Spacer />
         
@@ -267,6 +248,8 @@ const ServerDetails = () => {
         <TabList mb={4}>
           <Tab><Icon as={FaUsers} mr={2} /> Joueurs</Tab>
           <Tab><Icon as={FaTerminal} mr={2} /> Console</Tab>
+          <Tab><Icon as={FaMap} mr={2} /> Cartes</Tab>
+          <Tab><Icon as={FaCommentAlt} mr={2} /> Chat</Tab>
           <Tab><Icon as={FaHistory} mr={2} /> Logs</Tab>
           <Tab><Icon as={FaFileCode} mr={2} /> Configuration</Tab>
           <Tab><Icon as={FaCog} mr={2} /> Détails</Tab>
@@ -318,46 +301,24 @@ const ServerDetails = () => {
 
           {/* Onglet console */}
           <TabPanel>
-            <Box mb={4}>
-              <form onSubmit={handleSendCommand}>
-                <Flex>
-                  <Textarea
-                    value={consoleCommand}
-                    onChange={(e) => setConsoleCommand(e.target.value)}
-                    placeholder="Entrez une commande..."
-                    size="sm"
-                    mr={2}
-                  />
-                  <Button 
-                    type="submit" 
-                    colorScheme="blue"
-                    isLoading={sendCommandMutation.isPending}
-                    isDisabled={server.status !== 'online'}
-                  >
-                    Envoyer
-                  </Button>
-                </Flex>
-              </form>
-            </Box>
-            
-            <Box 
-              borderWidth={1} 
-              borderRadius="md" 
-              p={3} 
-              bg="black" 
-              color="green.400" 
-              fontFamily="monospace"
-              height="400px"
-              overflowY="auto"
-            >
-              {isLogsLoading ? (
-                <Spinner size="sm" />
-              ) : logs ? (
-                <Box whiteSpace="pre-wrap">{logs}</Box>
-              ) : (
-                <Text>Aucune sortie console disponible</Text>
-              )}
-            </Box>
+            {server.readOnly ? (
+              <Box textAlign="center" py={6}>
+                <Text fontSize="lg">Console indisponible.</Text>
+                <Text color="gray.500">Ce serveur est suivi en lecture seule, sans mot de passe RCON.</Text>
+              </Box>
+            ) : (
+              <RconTerminal serverId={id} isOnline={server.status === 'online'} />
+            )}
+          </TabPanel>
+
+          {/* Onglet rotation des cartes */}
+          <TabPanel>
+            <MapRotationPanel serverId={id} isOnline={server.status === 'online' && !server.readOnly} />
+          </TabPanel>
+
+          {/* Onglet historique du chat */}
+          <TabPanel>
+            <ChatHistory serverId={id} />
           </TabPanel>
 
           {/* Onglet logs */}
@@ -0,0 +1,37 @@
+import { Box, Heading, Flex, Icon, Card, CardBody } from '@chakra-ui/react';
+import { FaCog } from 'react-icons/fa';
+import SessionList from '../components/settings/SessionList';
+import TwoFactorSettings from '../components/settings/TwoFactorSettings';
+
+/**
+ * Settings page
+ * Paramètres du compte de l'utilisateur connecté
+ */
+const Settings = () => {
+  return (
+    <Box p={5} className="fade-in" bg="gray.900" borderRadius="xl">
+      <Flex align="center" mb={6} bg="gray.800" p={4} borderRadius="xl" borderLeft="4px solid" borderColor="teal.500">
+        <Heading size="lg" color="teal.300">
+          <Flex align="center">
+            <Icon as={FaCog} mr={2} color="teal.400" />
+            Paramètres
+          </Flex>
+        </Heading>
+      </Flex>
+
+      <Card bg="gray.800" mb={6}>
+        <CardBody>
+          <TwoFactorSettings />
+        </CardBody>
+      </Card>
+
+      <Card bg="gray.800">
+        <CardBody>
+          <SessionList />
+        </CardBody>
+      </Card>
+    </Box>
+  );
+};
+
+export default Settings;
@@ -1,8 +1,9 @@
-import { useEffect } from 'react';
-import { Box, Heading, Tabs, TabList, TabPanels, Tab, TabPanel, SimpleGrid, Stat, StatLabel, StatNumber, StatHelpText, Card, CardHeader, CardBody, Table, Thead, Tbody, Tr, Th, Td, Text, Divider } from '@chakra-ui/react';
+import { useEffect, useState } from 'react';
+import { Box, Heading, Tabs, TabList, TabPanels, Tab, TabPanel, SimpleGrid, Stat, StatLabel, StatNumber, StatHelpText, Card, CardHeader, CardBody, Table, Thead, Tbody, Tr, Th, Td, Text, Divider, Select, Spinner } from '@chakra-ui/react';
 import { useQuery } from '@tanstack/react-query';
 import { Link as RouterLink } from 'react-router-dom';
 import { statsService } from '../services/api';
+import SeasonLeaderboard from '../components/stats/SeasonLeaderboard';
 
 function StatsOverview() {
   // Requête pour récupérer les statistiques générales
@@ -25,6 +26,26 @@ function StatsOverview() {
     queryFn: () => statsService.getPlaytimeStats()
   });
   
+  // Requête pour récupérer les saisons
+  const {
+    data: seasonsData,
+    isLoading: isSeasonsLoading
+  } = useQuery({
+    queryKey: ['seasons'],
+    queryFn: () => statsService.getSeasons()
+  });
+  
+  const [seasonId, setSeasonId] = useState('');
+  const seasons = seasonsData?.seasons || [];
+  
+  // La saison en cours est affichée par défaut, sinon la plus récente
+  useEffect(() => {
+    if (!seasonId && seasons.length > 0) {
+      const current = seasons.find(season => season.status === 'active') || seasons[0];
+      setSeasonId(String(current.id));
+    }
+  }, [seasonId, seasons]);
+  
   // Rafraîchir automatiquement toutes les 60 secondes
   useEffect(() => {
     const interval = setInterval(() => {
@@ -49,6 +70,7 @@ function StatsOverview() {
           <Tab>Vue d'ensemble</Tab>
           <Tab>Temps de jeu</Tab>
           <Tab>Serveurs</Tab>
+          <Tab>Saisons</Tab>
         </TabList>
         
         <TabPanels>
@@ -251,6 +273,31 @@ function StatsOverview() {
               </CardBody>
             </Card>
           </TabPanel>
+          
+          {/* Saisons */}
+          <TabPanel>
+            <Card>
+              <CardHeader>
+                <Heading size="md" mb={3}>Classements par saison</Heading>
+                {seasons.length > 0 && (
+                  <Select size="sm" maxW="320px" value={seasonId} onChange={(e) => setSeasonId(e.target.value)}>
+                    {seasons.map(season => (
+                      <option key={season.id} value={season.id}>{season.name}</option>
+                    ))}
+                  </Select>
+                )}
+              </CardHeader>
+              <CardBody>
+                {isSeasonsLoading ? (
+                  <Spinner />
+                ) : seasonId ? (
+                  <SeasonLeaderboard seasonId={seasonId} />
+                ) : (
+                  <Text>Aucune saison définie</Text>
+                )}
+              </CardBody>
+            </Card>
+          </TabPanel>
         </TabPanels>
       </Tabs>
     </Box>
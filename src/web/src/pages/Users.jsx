@@ -0,0 +1,231 @@
+import { useState } from 'react';
+import {
+  Box, Heading, Flex, Icon, Card, CardBody, Text, Button, Badge, Spinner, Input, Select,
+  FormControl, FormLabel, Table, Thead, Tbody, Tr, Th, Td, useToast
+} from '@chakra-ui/react';
+import { FaUserShield } from 'react-icons/fa';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { userService } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { ConfirmationDialog } from '../components/shared';
+import InviteList from '../components/users/InviteList';
+
+/**
+ * Users page
+ * Gestion des utilisateurs de l'interface web : création, rôle, désactivation, suppression et invitations
+ */
+const Users = () => {
+  const toast = useToast();
+  const { currentUser } = useAuth();
+  const [newUser, setNewUser] = useState({ username: '', password: '', email: '', role: 'user' });
+  const [userToDelete, setUserToDelete] = useState(null);
+
+  const {
+    data: users = [],
+    isLoading,
+    isError,
+    error,
+    refetch
+  } = useQuery({
+    queryKey: ['users'],
+    queryFn: userService.getUsers,
+  });
+
+  const { data: roles = [] } = useQuery({
+    queryKey: ['roles'],
+    queryFn: userService.getRoles,
+  });
+
+  const notify = (title, err) => {
+    toast({
+      title: err ? 'Erreur' : title,
+      description: err ? `${title}: ${err.message}` : undefined,
+      status: err ? 'error' : 'success',
+      duration: err ? 5000 : 3000,
+      isClosable: true,
+    });
+  };
+
+  const createMutation = useMutation({
+    mutationFn: () => userService.createUser({ ...newUser, email: newUser.email || undefined }),
+    onSuccess: () => {
+      notify('Utilisateur créé');
+      setNewUser({ username: '', password: '', email: '', role: 'user' });
+      refetch();
+    },
+    onError: (err) => notify('Impossible de créer l\'utilisateur', err)
+  });
+
+  const roleMutation = useMutation({
+    mutationFn: ({ userId, role }) => userService.setRole(userId, role),
+    onSuccess: () => { notify('Rôle modifié'); refetch(); },
+    onError: (err) => { notify('Impossible de modifier le rôle', err); refetch(); }
+  });
+
+  const disableMutation = useMutation({
+    mutationFn: ({ userId, disabled }) => userService.setDisabled(userId, disabled),
+    onSuccess: (user) => { notify(user.disabled_at ? 'Utilisateur désactivé' : 'Utilisateur réactivé'); refetch(); },
+    onError: (err) => notify('Impossible de mettre à jour l\'utilisateur', err)
+  });
+
+  const resetTwoFactorMutation = useMutation({
+    mutationFn: (userId) => userService.resetTwoFactor(userId),
+    onSuccess: () => { notify('Double authentification réinitialisée'); refetch(); },
+    onError: (err) => notify('Impossible de réinitialiser la double authentification', err)
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (userId) => userService.deleteUser(userId),
+    onSuccess: () => { notify('Utilisateur supprimé'); refetch(); },
+    onError: (err) => notify('Impossible de supprimer l\'utilisateur', err),
+    onSettled: () => setUserToDelete(null)
+  });
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+  return (
+    <Box p={5} className="fade-in" bg="gray.900" borderRadius="xl">
+      <Flex align="center" mb={6} bg="gray.800" p={4} borderRadius="xl" borderLeft="4px solid" borderColor="teal.500">
+        <Heading size="lg" color="teal.300">
+          <Flex align="center">
+            <Icon as={FaUserShield} mr={2} color="teal.400" />
+            Utilisateurs
+          </Flex>
+        </Heading>
+      </Flex>
+
+      <Card bg="gray.800" mb={6}>
+        <CardBody>
+          <Heading size="sm" mb={3}>Nouvel utilisateur</Heading>
+          <Flex
+            as="form"
+            gap={2}
+            wrap="wrap"
+            align="flex-end"
+            mb={6}
+            onSubmit={(e) => { e.preventDefault(); createMutation.mutate(); }}
+          >
+            <FormControl w="auto" isRequired>
+              <FormLabel fontSize="sm">Nom d'utilisateur</FormLabel>
+              <Input size="sm" value={newUser.username} onChange={(e) => setNewUser({ ...newUser, username: e.target.value })} />
+            </FormControl>
+            <FormControl w="auto" isRequired>
+              <FormLabel fontSize="sm">Mot de passe</FormLabel>
+              <Input size="sm" type="password" value={newUser.password} onChange={(e) => setNewUser({ ...newUser, password: e.target.value })} />
+            </FormControl>
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Email</FormLabel>
+              <Input size="sm" type="email" value={newUser.email} onChange={(e) => setNewUser({ ...newUser, email: e.target.value })} />
+            </FormControl>
+            <FormControl w="auto">
+              <FormLabel fontSize="sm">Rôle</FormLabel>
+              <Select size="sm" value={newUser.role} onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}>
+                {roles.map((role) => <option key={role.id} value={role.id}>{role.name}</option>)}
+              </Select>
+            </FormControl>
+            <Button type="submit" size="sm" colorScheme="teal" isLoading={createMutation.isPending}>
+              Créer
+            </Button>
+          </Flex>
+
+          {isLoading ? (
+            <Spinner />
+          ) : isError ? (
+            <Text color="red.500">Impossible de charger les utilisateurs: {error.message}</Text>
+          ) : (
+            <Table size="sm" variant="simple" className="zombie-table">
+              <Thead>
+                <Tr>
+                  <Th>Utilisateur</Th>
+                  <Th>Rôle</Th>
+                  <Th>Dernière connexion</Th>
+                  <Th>Statut</Th>
+                  <Th>2FA</Th>
+                  <Th />
+                </Tr>
+              </Thead>
+              <Tbody>
+                {users.map((user) => {
+                  const isSelf = user.id === currentUser?.id;
+                  return (
+                    <Tr key={user.id}>
+                      <Td>
+                        <Text fontWeight="bold">{user.username}</Text>
+                        {user.email && <Text fontSize="xs" color="gray.500">{user.email}</Text>}
+                      </Td>
+                      <Td>
+                        <Select
+                          size="sm"
+                          value={user.role}
+                          isDisabled={isSelf}
+                          onChange={(e) => roleMutation.mutate({ userId: user.id, role: e.target.value })}
+                        >
+                          {roles.map((role) => <option key={role.id} value={role.id}>{role.name}</option>)}
+                        </Select>
+                      </Td>
+                      <Td>{formatDate(user.last_login)}</Td>
+                      <Td>
+                        {user.disabled_at
+                          ? <Badge colorScheme="red">Désactivé</Badge>
+                          : <Badge colorScheme="green">Actif</Badge>}
+                      </Td>
+                      <Td>
+                        {user.totp_enabled_at
+                          ? <Badge colorScheme="green">Activée</Badge>
+                          : <Badge colorScheme="gray">Non</Badge>}
+                      </Td>
+                      <Td textAlign="right">
+                        {!isSelf && (
+                          <Flex gap={1} justify="flex-end">
+                            {user.totp_enabled_at && (
+                              <Button
+                                size="xs"
+                                variant="outline"
+                                isLoading={resetTwoFactorMutation.isPending && resetTwoFactorMutation.variables === user.id}
+                                onClick={() => resetTwoFactorMutation.mutate(user.id)}
+                              >
+                                Réinitialiser 2FA
+                              </Button>
+                            )}
+                            <Button
+                              size="xs"
+                              variant="outline"
+                              onClick={() => disableMutation.mutate({ userId: user.id, disabled: !user.disabled_at })}
+                            >
+                              {user.disabled_at ? 'Réactiver' : 'Désactiver'}
+                            </Button>
+                            <Button size="xs" colorScheme="red" variant="ghost" onClick={() => setUserToDelete(user)}>
+                              Supprimer
+                            </Button>
+                          </Flex>
+                        )}
+                      </Td>
+                    </Tr>
+                  );
+                })}
+              </Tbody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      <Card bg="gray.800">
+        <CardBody>
+          <InviteList roles={roles} />
+        </CardBody>
+      </Card>
+
+      <ConfirmationDialog
+        isOpen={!!userToDelete}
+        onClose={() => setUserToDelete(null)}
+        onConfirm={() => deleteMutation.mutate(userToDelete.id)}
+        title="Supprimer l'utilisateur"
+        message={`Supprimer définitivement le compte ${userToDelete?.username} ?`}
+        confirmLabel="Supprimer"
+        isLoading={deleteMutation.isPending}
+      />
+    </Box>
+  );
+};
+
+export default Users;
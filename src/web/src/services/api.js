@@ -15,16 +15,79 @@ export const apiClient = axios.create({
   }
 });
 
+// Enregistrer les jetons d'accès et de rafraîchissement
+export const storeTokens = (token, refreshToken) => {
+  localStorage.setItem('nsm_token', token);
+  localStorage.setItem('auth_token', token);
+  if (refreshToken) {
+    localStorage.setItem('nsm_refresh_token', refreshToken);
+  }
+  apiClient.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+};
+
+// Supprimer les jetons (déconnexion)
+export const clearTokens = () => {
+  localStorage.removeItem('nsm_token');
+  localStorage.removeItem('auth_token');
+  localStorage.removeItem('nsm_refresh_token');
+  delete apiClient.defaults.headers.common['Authorization'];
+  delete axios.defaults.headers.common['Authorization'];
+};
+
+// Un seul rafraîchissement à la fois, les requêtes en échec attendent le même
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  const refreshToken = localStorage.getItem('nsm_refresh_token');
+  if (!refreshToken) return Promise.resolve(null);
+
+  if (!refreshPromise) {
+    refreshPromise = apiClient.post('/auth/refresh', { refreshToken })
+      .then((response) => {
+        if (response.status === 200 && response.data.success) {
+          storeTokens(response.data.token, response.data.refreshToken);
+          return response.data.token;
+        }
+        clearTokens();
+        return null;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Add request interceptor for debugging
 apiClient.interceptors.request.use(config => {
+  // Toujours envoyer le jeton le plus récent
+  const currentToken = localStorage.getItem('nsm_token');
+  if (currentToken) {
+    config.headers['Authorization'] = `Bearer ${currentToken}`;
+  }
   console.log(`API Request: ${config.method.toUpperCase()} ${config.baseURL}${config.url}`, config);
   return config;
 });
 
 // Add response interceptor for debugging
 apiClient.interceptors.response.use(
-  response => {
+  async response => {
     console.log(`API Response Success: ${response.config.method.toUpperCase()} ${response.config.url}`, response);
+
+    // Jeton expiré : rafraîchir la session puis rejouer la requête une fois
+    const { config } = response;
+    const isAuthRequest = config.url.startsWith('/auth/login') || config.url.startsWith('/auth/refresh');
+    if (response.status === 401 && !config._retried && !isAuthRequest) {
+      const token = await refreshAccessToken();
+      if (token) {
+        config._retried = true;
+        config.headers['Authorization'] = `Bearer ${token}`;
+        return apiClient(config);
+      }
+    }
+
     return response;
   },
   error => {
@@ -289,6 +352,59 @@ export const playerService = {  // Get all players (combines online and recent)
       throw error;
     }
   },
+  // Historique des avertissements d'un joueur
+  getPlayerWarnings: async (id, limit = 50, offset = 0) => {
+    try {
+      const response = await apiClient.get(`/players/${id}/warnings`, { params: { limit, offset } });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération des avertissements');
+      }
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération des avertissements du joueur ${id}:`, error);
+      throw error;
+    }
+  },
+  // Effacer les avertissements actifs d'un joueur
+  clearPlayerWarnings: async (id) => {
+    try {
+      const response = await apiClient.delete(`/players/${id}/warnings`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de l\'effacement des avertissements');
+      }
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de l'effacement des avertissements du joueur ${id}:`, error);
+      throw error;
+    }
+  },
+  // Classements d'un joueur par mode de jeu et historique de son classement
+  getPlayerRatings: async (id, params = {}) => {
+    try {
+      const response = await apiClient.get(`/players/${id}/ratings`, { params });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération du classement');
+      }
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération du classement du joueur ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Récupérer les succès d'un joueur et sa progression
+  getPlayerAchievements: async (id) => {
+    try {
+      const response = await apiClient.get(`/players/${id}/achievements`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération des succès');
+      }
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération des succès du joueur ${id}:`, error);
+      throw error;
+    }
+  },
 };
 
 // Services pour les statistiques
@@ -322,6 +438,32 @@ export const statsService = {
       console.error('Erreur lors de la récupération des statistiques de temps de jeu:', error);
       throw error;
     }
+  },
+  // Récupérer les saisons et les statistiques qui peuvent être classées
+  getSeasons: async () => {
+    try {
+      const response = await apiClient.get('/seasons');
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération des saisons');
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la récupération des saisons:', error);
+      throw error;
+    }
+  },
+  // Récupérer une saison avec son classement, son résumé et ses récompenses
+  getSeason: async (id, metric = 'kills', limit = 10) => {
+    try {
+      const response = await apiClient.get(`/seasons/${id}`, { params: { metric, limit } });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération de la saison');
+      }
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération de la saison ${id}:`, error);
+      throw error;
+    }
   }
 };
 
@@ -346,6 +488,459 @@ export const authService = {
       console.error('Erreur lors de la validation de l\'authentification:', error);
       throw error;
     }
+  },
+  // Déconnexion : révoque la session courante
+  logout: async () => {
+    try {
+      await apiClient.post('/auth/logout');
+    } finally {
+      clearTokens();
+    }
+  },
+  // Déconnexion de toutes les sessions, la session courante comprise
+  logoutEverywhere: async () => {
+    try {
+      const response = await apiClient.post('/auth/logout-all');
+      return response.data;
+    } finally {
+      clearTokens();
+    }
+  },
+  // Récupérer les sessions actives
+  getSessions: async () => {
+    try {
+      const response = await apiClient.get('/auth/sessions');
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération des sessions');
+      }
+      return response.data.sessions;
+    } catch (error) {
+      console.error('Erreur lors de la récupération des sessions:', error);
+      throw error;
+    }
+  },
+  // Révoquer une session
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await apiClient.delete(`/auth/sessions/${sessionId}`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la révocation de la session');
+      }
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la révocation de la session ${sessionId}:`, error);
+      throw error;
+    }
+  },
+  // Révoquer toutes les autres sessions
+  revokeOtherSessions: async () => {
+    try {
+      const response = await apiClient.delete('/auth/sessions');
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la révocation des sessions');
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la révocation des sessions:', error);
+      throw error;
+    }
+  },
+  // Deuxième étape de connexion avec un code TOTP ou un code de récupération
+  loginTwoFactor: async (challengeToken, code) => {
+    try {
+      const response = await apiClient.post('/auth/login/2fa', { challengeToken, code });
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la vérification du code:', error);
+      throw error;
+    }
+  },
+  // Récupérer l'état de la double authentification
+  getTwoFactorStatus: async () => {
+    try {
+      const response = await apiClient.get('/auth/2fa');
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération de la double authentification');
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la récupération de la double authentification:', error);
+      throw error;
+    }
+  },
+  // Démarrer l'activation de la double authentification
+  setupTwoFactor: async (currentPassword) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/setup', { currentPassword });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la configuration de la double authentification');
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la configuration de la double authentification:', error);
+      throw error;
+    }
+  },
+  // Confirmer l'activation avec un code, renvoie les codes de récupération
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/enable', { code });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de l\'activation de la double authentification');
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de l\'activation de la double authentification:', error);
+      throw error;
+    }
+  },
+  // Désactiver la double authentification
+  disableTwoFactor: async (currentPassword, code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/disable', { currentPassword, code });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la désactivation de la double authentification');
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la désactivation de la double authentification:', error);
+      throw error;
+    }
+  },
+  // Générer de nouveaux codes de récupération
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/recovery-codes', { code });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la génération des codes de récupération');
+      }
+      return response.data.recoveryCodes;
+    } catch (error) {
+      console.error('Erreur lors de la génération des codes de récupération:', error);
+      throw error;
+    }
+  },
+  // Vérifier une invitation avant l'inscription
+  getInvite: async (inviteToken) => {
+    try {
+      const response = await apiClient.get(`/auth/invites/${encodeURIComponent(inviteToken)}`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Invitation invalide ou expirée');
+      }
+      return response.data.invite;
+    } catch (error) {
+      console.error('Erreur lors de la vérification de l\'invitation:', error);
+      throw error;
+    }
+  },
+  // Créer un compte avec une invitation
+  register: async (inviteToken, { username, password, email }) => {
+    try {
+      const response = await apiClient.post('/auth/register', { inviteToken, username, password, email });
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de l\'inscription:', error);
+      throw error;
+    }
+  }
+};
+
+// Services pour la gestion des utilisateurs web
+export const userService = {
+  // Récupérer les utilisateurs
+  getUsers: async () => {
+    try {
+      const response = await apiClient.get('/users');
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération des utilisateurs');
+      }
+      return response.data.users;
+    } catch (error) {
+      console.error('Erreur lors de la récupération des utilisateurs:', error);
+      throw error;
+    }
+  },
+  // Créer un utilisateur
+  createUser: async (user) => {
+    try {
+      const response = await apiClient.post('/users', user);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la création de l\'utilisateur');
+      }
+      return response.data.user;
+    } catch (error) {
+      console.error('Erreur lors de la création de l\'utilisateur:', error);
+      throw error;
+    }
+  },
+  // Changer le rôle d'un utilisateur
+  setRole: async (userId, role) => {
+    try {
+      const response = await apiClient.put(`/users/${userId}/role`, { role });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors du changement de rôle');
+      }
+      return response.data.user;
+    } catch (error) {
+      console.error(`Erreur lors du changement de rôle de l'utilisateur ${userId}:`, error);
+      throw error;
+    }
+  },
+  // Désactiver ou réactiver un utilisateur
+  setDisabled: async (userId, disabled) => {
+    try {
+      const response = await apiClient.post(`/users/${userId}/${disabled ? 'disable' : 'enable'}`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la mise à jour de l\'utilisateur');
+      }
+      return response.data.user;
+    } catch (error) {
+      console.error(`Erreur lors de la mise à jour de l'utilisateur ${userId}:`, error);
+      throw error;
+    }
+  },
+  // Supprimer un utilisateur
+  deleteUser: async (userId) => {
+    try {
+      const response = await apiClient.delete(`/users/${userId}`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la suppression de l\'utilisateur');
+      }
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la suppression de l'utilisateur ${userId}:`, error);
+      throw error;
+    }
+  },
+  // Réinitialiser la double authentification d'un utilisateur
+  resetTwoFactor: async (userId) => {
+    try {
+      const response = await apiClient.delete(`/users/${userId}/2fa`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la réinitialisation de la double authentification');
+      }
+      return response.data.user;
+    } catch (error) {
+      console.error(`Erreur lors de la réinitialisation de la double authentification de l'utilisateur ${userId}:`, error);
+      throw error;
+    }
+  },
+  // Récupérer les invitations
+  getInvites: async () => {
+    try {
+      const response = await apiClient.get('/users/invites');
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération des invitations');
+      }
+      return response.data.invites;
+    } catch (error) {
+      console.error('Erreur lors de la récupération des invitations:', error);
+      throw error;
+    }
+  },
+  // Créer une invitation, le jeton n'est renvoyé qu'une seule fois
+  createInvite: async ({ role, email, expiresInHours }) => {
+    try {
+      const response = await apiClient.post('/users/invites', { role, email, expiresInHours });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la création de l\'invitation');
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la création de l\'invitation:', error);
+      throw error;
+    }
+  },
+  // Révoquer une invitation
+  revokeInvite: async (inviteId) => {
+    try {
+      const response = await apiClient.delete(`/users/invites/${inviteId}`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la révocation de l\'invitation');
+      }
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la révocation de l'invitation ${inviteId}:`, error);
+      throw error;
+    }
+  },
+  // Récupérer les rôles disponibles
+  getRoles: async () => {
+    try {
+      const response = await apiClient.get('/permissions/roles');
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération des rôles');
+      }
+      return response.data.roles;
+    } catch (error) {
+      console.error('Erreur lors de la récupération des rôles:', error);
+      throw error;
+    }
+  }
+};
+
+// Services pour l'historique du chat
+export const chatService = {
+  // Rechercher dans le chat d'un serveur
+  getServerChat: async (serverId, filters = {}, limit = 50, offset = 0) => {
+    try {
+      const response = await apiClient.get(`/servers/${serverId}/chat`, { params: { ...filters, limit, offset } });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération du chat');
+      }
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération du chat du serveur ${serverId}:`, error);
+      throw error;
+    }
+  },
+  // Rechercher dans le chat d'un joueur
+  getPlayerChat: async (playerId, filters = {}, limit = 50, offset = 0) => {
+    try {
+      const response = await apiClient.get(`/players/${playerId}/chat`, { params: { ...filters, limit, offset } });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération du chat');
+      }
+      return response.data;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération du chat du joueur ${playerId}:`, error);
+      throw error;
+    }
+  },
+  // Messages envoyés autour d'un message
+  getContext: async (serverId, messageId, size = 10) => {
+    try {
+      const response = await apiClient.get(`/servers/${serverId}/chat/${messageId}/context`, { params: { size } });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération du contexte');
+      }
+      return response.data.messages;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération du contexte du message ${messageId}:`, error);
+      throw error;
+    }
+  }
+};
+
+// Services pour le journal d'audit
+export const auditService = {
+  // Rechercher dans le journal d'audit
+  getEntries: async (filters = {}, limit = 50, offset = 0) => {
+    try {
+      const response = await apiClient.get('/audit', { params: { ...filters, limit, offset } });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération du journal d\'audit');
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la récupération du journal d\'audit:', error);
+      throw error;
+    }
+  },
+  // Récupérer les actions enregistrées
+  getActions: async () => {
+    try {
+      const response = await apiClient.get('/audit/actions');
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération des actions');
+      }
+      return response.data.actions;
+    } catch (error) {
+      console.error('Erreur lors de la récupération des actions:', error);
+      throw error;
+    }
+  },
+  // Exporter le journal d'audit en CSV
+  exportCsv: async (filters = {}) => {
+    try {
+      const response = await apiClient.get('/audit/export', { params: filters, responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de l\'export du journal d\'audit:', error);
+      throw error;
+    }
+  }
+};
+
+// Services pour les signalements de joueurs
+export const reportService = {
+  // Rechercher dans les signalements (ouverts et pris en charge par défaut)
+  getReports: async (filters = {}, limit = 50, offset = 0) => {
+    try {
+      const response = await apiClient.get('/reports', { params: { ...filters, limit, offset } });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération des signalements');
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Erreur lors de la récupération des signalements:', error);
+      throw error;
+    }
+  },
+  // Récupérer un signalement avec ses preuves
+  getReport: async (id) => {
+    try {
+      const response = await apiClient.get(`/reports/${id}`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la récupération du signalement');
+      }
+      return response.data.report;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération du signalement ${id}:`, error);
+      throw error;
+    }
+  },
+  // Prendre en charge un signalement
+  claim: async (id) => {
+    try {
+      const response = await apiClient.post(`/reports/${id}/claim`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la prise en charge du signalement');
+      }
+      return response.data.report;
+    } catch (error) {
+      console.error(`Erreur lors de la prise en charge du signalement ${id}:`, error);
+      throw error;
+    }
+  },
+  // Traiter ou rejeter un signalement
+  resolve: async (id, status, resolution) => {
+    try {
+      const response = await apiClient.post(`/reports/${id}/resolve`, { status, resolution });
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la clôture du signalement');
+      }
+      return response.data.report;
+    } catch (error) {
+      console.error(`Erreur lors de la clôture du signalement ${id}:`, error);
+      throw error;
+    }
+  },
+  // Ajouter un message du chat ou un événement comme preuve
+  addEvidence: async (id, evidence) => {
+    try {
+      const response = await apiClient.post(`/reports/${id}/evidence`, evidence);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de l\'ajout de la preuve');
+      }
+      return response.data.report;
+    } catch (error) {
+      console.error(`Erreur lors de l'ajout d'une preuve au signalement ${id}:`, error);
+      throw error;
+    }
+  },
+  // Retirer une preuve
+  removeEvidence: async (id, evidenceId) => {
+    try {
+      const response = await apiClient.delete(`/reports/${id}/evidence/${evidenceId}`);
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Erreur lors de la suppression de la preuve');
+      }
+      return response.data.report;
+    } catch (error) {
+      console.error(`Erreur lors de la suppression d'une preuve du signalement ${id}:`, error);
+      throw error;
+    }
   }
 };
 
@@ -121,7 +121,110 @@ const serverService = {
    * @returns {Promise<Object>} Résultat de l'exécution de la commande
    */
   sendCommand: async (id, command) => {
-    return await apiClient.post(`/servers/${id}/command`, { command });
+    return await apiClient.post(`/servers/${id}/rcon`, { command });
+  },
+
+  /**
+   * Récupère l'historique des commandes RCON de l'utilisateur
+   * @param {string|number} id - ID du serveur
+   * @returns {Promise<Array<string>>} Commandes, de la plus récente à la plus ancienne
+   */
+  getRconHistory: async (id) => {
+    const response = await apiClient.get(`/servers/${id}/rcon/history`);
+    return response.history || [];
+  },
+
+  /**
+   * Récupère les commandes et dvars proposés par l'autocomplétion de la console
+   * @param {string|number} id - ID du serveur
+   * @returns {Promise<Array<string>>} Suggestions
+   */
+  getRconSuggestions: async (id) => {
+    const response = await apiClient.get(`/servers/${id}/rcon/suggestions`);
+    return response.suggestions || [];
+  },
+
+  /**
+   * Récupère la rotation des cartes et la carte en cours
+   * @param {string|number} id - ID du serveur
+   * @returns {Promise<Object>} { entries, value, currentMap, gametype }
+   */
+  getMapRotation: async (id) => {
+    const response = await apiClient.get(`/servers/${id}/maps/rotation`);
+    return response.rotation;
+  },
+
+  /**
+   * Remplace la rotation des cartes
+   * @param {string|number} id - ID du serveur
+   * @param {string} value - Valeur de sv_mapRotation
+   * @returns {Promise<Object>} { entries, value }
+   */
+  setMapRotation: async (id, value) => {
+    const response = await apiClient.put(`/servers/${id}/maps/rotation`, { value });
+    return response.rotation;
+  },
+
+  /**
+   * Passe à la carte suivante de la rotation
+   * @param {string|number} id - ID du serveur
+   * @returns {Promise<Object>} Résultat de l'opération
+   */
+  rotateMap: async (id) => {
+    return await apiClient.post(`/servers/${id}/maps/rotate`);
+  },
+
+  /**
+   * Charge une carte
+   * @param {string|number} id - ID du serveur
+   * @param {string} map - Nom de la carte
+   * @param {string} gametype - Mode de jeu (optionnel)
+   * @returns {Promise<Object>} Résultat de l'opération
+   */
+  changeMap: async (id, map, gametype = null) => {
+    return await apiClient.post(`/servers/${id}/maps/change`, { map, gametype });
+  },
+
+  /**
+   * Récupère les rotations enregistrées du serveur
+   * @param {string|number} id - ID du serveur
+   * @returns {Promise<Array<Object>>} Rotations enregistrées
+   */
+  getMapPresets: async (id) => {
+    const response = await apiClient.get(`/servers/${id}/maps/presets`);
+    return response.presets || [];
+  },
+
+  /**
+   * Enregistre une rotation
+   * @param {string|number} id - ID du serveur
+   * @param {Object} preset - { name, description, value }
+   * @returns {Promise<Object>} Rotation enregistrée
+   */
+  createMapPreset: async (id, preset) => {
+    const response = await apiClient.post(`/servers/${id}/maps/presets`, preset);
+    return response.preset;
+  },
+
+  /**
+   * Supprime une rotation enregistrée
+   * @param {string|number} id - ID du serveur
+   * @param {string} presetId - ID de la rotation
+   * @returns {Promise<Object>} Résultat de l'opération
+   */
+  deleteMapPreset: async (id, presetId) => {
+    return await apiClient.delete(`/servers/${id}/maps/presets/${presetId}`);
+  },
+
+  /**
+   * Applique une rotation enregistrée au serveur
+   * @param {string|number} id - ID du serveur
+   * @param {string} presetId - ID de la rotation
+   * @returns {Promise<Object>} { entries, value }
+   */
+  applyMapPreset: async (id, presetId) => {
+    const response = await apiClient.post(`/servers/${id}/maps/presets/${presetId}/apply`);
+    return response.rotation;
   }
 };
 
@@ -29,6 +29,8 @@ const statsService = {  /**
     if (options.mode) queryParams.append('mode', options.mode);
     if (options.stat) queryParams.append('stat', options.stat);
     if (options.limit) queryParams.append('limit', options.limit);
+    if (options.offset) queryParams.append('offset', options.offset);
+    if (options.search) queryParams.append('search', options.search);
     if (options.period) queryParams.append('period', options.period);
     
     const query = queryParams.toString() ? `?${queryParams.toString()}` : '';
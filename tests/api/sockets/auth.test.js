@@ -0,0 +1,81 @@
+jest.mock('../../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventEmitter = require('events');
+const { authenticateSocket, requireSocketPermission } = require('../../../src/api/sockets/auth');
+const attachEvents = require('../../../src/api/sockets/events');
+const { FakeSocket, FakeNamespace } = require('../../helpers/sockets');
+
+describe('Socket.IO authentication', () => {
+    const users = {
+        admin: { id: 1, username: 'admin', role: 'admin' },
+        viewer: { id: 2, username: 'viewer', role: 'user' },
+        pending: { id: 3, username: 'pending', role: 'admin', twoFactorSetupRequired: true }
+    };
+    const authService = { verifyToken: async (token) => users[token] ? { ...users[token] } : null };
+
+    const authenticate = (services, socket) => new Promise(resolve => authenticateSocket(services)(socket, resolve));
+
+    test('accepts the token of the handshake auth or Authorization header', async () => {
+        const socket = new FakeSocket();
+        socket.handshake.headers.authorization = 'Bearer admin';
+
+        expect(await authenticate({ authService }, socket)).toBeUndefined();
+        expect(socket.user).toMatchObject({ username: 'admin', roles: ['admin'], permissions: ['*'] });
+        expect(socket.token).toBe('admin');
+    });
+
+    test('refuses users who must still set up two-factor authentication', async () => {
+        const error = await authenticate({ authService }, new FakeSocket({ token: 'pending' }));
+        expect(error.message).toContain('Two-factor authentication');
+    });
+
+    test('resolves the permissions of the user roles and tracks the socket', async () => {
+        const permissionService = { resolve: jest.fn().mockResolvedValue({ roles: ['moderator'], permissions: ['servers.logs'] }) };
+        const socketSessionService = { track: jest.fn() };
+        const socket = new FakeSocket({ token: 'viewer' });
+
+        await authenticate({ authService, permissionService, socketSessionService }, socket);
+
+        expect(permissionService.resolve).toHaveBeenCalledWith({ userId: 2 });
+        expect(socket.user.permissions).toEqual(['servers.logs']);
+        expect(socketSessionService.track).toHaveBeenCalledWith(socket);
+    });
+
+    test('restricts a namespace to the users with a permission', async () => {
+        const middleware = requireSocketPermission('admin');
+        const check = (permissions) => new Promise(resolve => middleware({ user: { permissions } }, resolve));
+
+        expect(await check(['*'])).toBeUndefined();
+        expect((await check(['servers.logs'])).message).toBe('Permission required: admin');
+    });
+
+    test('sends the log lines and admin notifications to the allowed sockets only', async () => {
+        const io = new FakeNamespace();
+        const serverManager = new EventEmitter();
+        serverManager.getServerById = () => null;
+        attachEvents(io, { authService, serverManager });
+
+        const admin = new FakeSocket({ token: 'admin' });
+        const viewer = new FakeSocket({ token: 'viewer' });
+        await io.connect(admin);
+        await io.connect(viewer);
+
+        expect(await admin.request('subscribe', { serverId: '1' })).toMatchObject({ success: true, logs: true });
+        expect(await viewer.request('subscribe', { serverId: '1' })).toMatchObject({ success: true, logs: false });
+        expect(admin.rooms.has('server:1:logs')).toBe(true);
+        expect(viewer.rooms.has('server:1:logs')).toBe(false);
+
+        serverManager.emit('server.log', { serverId: '1', line: 'say;0;abc;Zombie;hello' });
+        expect(io.sent('server:log').map(item => item.room)).toEqual(['server:1:logs']);
+
+        const adminNamespace = io.of('/admin');
+        expect((await adminNamespace.connect(new FakeSocket({ token: 'viewer' }))).message).toBe('Permission required: admin');
+        expect(await adminNamespace.connect(new FakeSocket({ token: 'admin' }))).toBeNull();
+
+        serverManager.emit('server.status.change', { serverId: '1', serverName: 'Zombies', status: 'error' });
+        expect(adminNamespace.sent('notification')[0].payload).toMatchObject({ level: 'error', type: 'server.error' });
+    });
+});
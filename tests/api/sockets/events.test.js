@@ -0,0 +1,82 @@
+jest.mock('../../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventEmitter = require('events');
+const attachEvents = require('../../../src/api/sockets/events');
+const { FakeSocket, FakeNamespace } = require('../../helpers/sockets');
+
+describe('Socket.IO event bridge', () => {
+    let io;
+    let serverManager;
+    let eventService;
+
+    const player = { id: 7, guid: 'abc', name: 'Zombie', clientSlot: 2, ip: '10.0.0.1' };
+
+    beforeEach(() => {
+        io = new FakeNamespace();
+        serverManager = new EventEmitter();
+        serverManager.getServerById = (id) => id === '1' ? {
+            toJSON: () => ({ id: '1', name: 'Zombies', status: 'online', playerCount: 1, maxPlayers: 8, mapName: 'zm_transit', readOnly: false })
+        } : null;
+        eventService = new EventEmitter();
+
+        attachEvents(io, {
+            serverManager,
+            eventService,
+            authService: { verifyToken: async (token) => token === 'valid' ? { id: 1, username: 'admin', role: 'admin' } : null }
+        });
+    });
+
+    test('refuses sockets without a valid token', async () => {
+        expect((await io.connect(new FakeSocket())).message).toBe('Authentication required');
+        expect((await io.connect(new FakeSocket({ token: 'expired' }))).message).toBe('Invalid or expired token');
+        expect(await io.connect(new FakeSocket({ token: 'valid' }))).toBeNull();
+    });
+
+    test('publishes connections to every socket without the player IP', () => {
+        serverManager.emit('player.connect', { serverId: '1', serverName: 'Zombies', player });
+
+        const [connect] = io.sent('player:connect');
+        expect(connect.room).toBeNull();
+        expect(connect.payload.player).toEqual({ id: 7, guid: 'abc', name: 'Zombie', clientSlot: 2 });
+
+        expect(io.sent('player:update')[0]).toMatchObject({ room: 'player:7', payload: { online: true, serverId: '1' } });
+        expect(io.sent('server:players')[0]).toMatchObject({ room: 'server:1', payload: { id: '1', playerCount: 1 } });
+        expect(io.sent('server_event')[0].payload).toMatchObject({ type: 'connect', serverId: '1', player: 'Zombie' });
+    });
+
+    test('sends the chat to the server and player rooms only', () => {
+        serverManager.emit('chat.message', { serverId: '1', player, message: 'hello' });
+
+        expect(io.sent('server:chat').map(item => item.room)).toEqual(['server:1']);
+        expect(io.sent('player:chat').map(item => item.room)).toEqual(['player:7']);
+        expect(io.sent('server:chat')[0].payload.message).toBe('hello');
+    });
+
+    test('subscribes sockets to the rooms of a server or a player', async () => {
+        const socket = new FakeSocket({ token: 'valid' });
+        await io.connect(socket);
+
+        expect(await socket.request('subscribe', {})).toMatchObject({ success: false });
+
+        const ack = await socket.request('subscribe', { serverId: '1', playerId: 7 });
+        expect(ack).toMatchObject({ success: true, server: { id: '1', name: 'Zombies' } });
+        expect([...socket.rooms]).toEqual(expect.arrayContaining(['server:1', 'player:7']));
+
+        await socket.request('unsubscribe', { serverId: '1' });
+        expect(socket.rooms.has('server:1')).toBe(false);
+        expect(socket.rooms.has('player:7')).toBe(true);
+    });
+
+    test('forwards the event service events of a server to its room', () => {
+        eventService.emit('server.map.change', { serverId: '1', data: { map: 'zm_prison' } });
+        eventService.emit('server.map.change', { data: { map: 'zm_tomb' } });
+
+        const events = io.sent('server:event');
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ room: 'server:1', payload: { type: 'server.map.change', serverId: '1' } });
+        expect(io.sent('server_event')[0].payload).toMatchObject({ type: 'server.map.change', map: 'zm_prison' });
+    });
+});
@@ -0,0 +1,35 @@
+const MapCommand = require('../../src/commands/MapCommand');
+const RtvCommand = require('../../src/commands/RtvCommand');
+const VoteMapCommand = require('../../src/commands/VoteMapCommand');
+
+describe('Map commands', () => {
+    const services = (prefix) => ({ configService: { config: { commands: { prefix } } } });
+
+    test('build their usage from the configured command prefix', () => {
+        expect(new RtvCommand(services('!')).getUsage()).toBe('!rtv');
+        expect(new VoteMapCommand(services(['@', '!'])).getUsage()).toBe('@votemap <map>');
+        expect(new MapCommand({}).getUsage()).toBe('!map <map|next> [gametype]');
+    });
+
+    test('reply with the usage when the map is missing', async () => {
+        const server = { id: '1' };
+        const command = new VoteMapCommand({ ...services('!'), mapVoteService: {} });
+
+        expect(await command.execute([], { player: {}, server })).toEqual({ success: false, message: '^7Usage: ^5!votemap <map>' });
+    });
+
+    test('cancel a vote in progress when staff change the map', async () => {
+        const mapVoteService = { cancelVote: jest.fn() };
+        const mapRotationService = {
+            getRotation: jest.fn().mockResolvedValue({ entries: [{ map: 'zm_prison', gametype: 'zgrief' }] }),
+            changeMap: jest.fn().mockResolvedValue(true)
+        };
+        const command = new MapCommand({ mapVoteService, mapRotationService });
+
+        const result = await command.execute(['prison'], { server: { id: '1' } });
+
+        expect(result).toEqual({ success: true, message: '^2Loading ^5zm_prison' });
+        expect(mapVoteService.cancelVote).toHaveBeenCalledWith('1');
+        expect(mapRotationService.changeMap).toHaveBeenCalledWith('1', 'zm_prison', 'zgrief');
+    });
+});
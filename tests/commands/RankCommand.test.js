@@ -0,0 +1,35 @@
+const RankCommand = require('../../src/commands/RankCommand');
+
+describe('RankCommand', () => {
+    const services = { configService: { config: { commands: { prefix: ['!', '.'] } } } };
+
+    test('builds its usage from the first configured command prefix', () => {
+        expect(new RankCommand(services).getUsage()).toBe('!rank [player]');
+    });
+
+    test('shows the progress towards the next rank of each ladder', async () => {
+        const rankService = {
+            getPlayerRanks: jest.fn().mockResolvedValue([
+                {
+                    ladder: { name: 'Combat', metric: 'kills' },
+                    rank: { name: 'Soldier', color: '^2' },
+                    next: { name: 'Veteran', color: '^3' },
+                    value: 120,
+                    needed: 500
+                },
+                { ladder: { name: 'Zombies', metric: 'highestRound' }, rank: { name: 'Legend', color: '^1' }, next: null }
+            ])
+        };
+        const player = { guid: 'p1', name: 'Alice' };
+        const command = new RankCommand({ ...services, rankService });
+
+        const result = await command.execute([], { player, server: {} });
+
+        expect(rankService.getPlayerRanks).toHaveBeenCalledWith(player);
+        expect(result.message).toEqual([
+            '^5Alice^7 ranks:',
+            '^7Combat: ^2Soldier^7, next ^3Veteran^7 120/500 kills',
+            '^7Zombies: ^1Legend^7 (highest rank)'
+        ]);
+    });
+});
@@ -0,0 +1,26 @@
+const ReportCommand = require('../../src/commands/ReportCommand');
+
+describe('ReportCommand', () => {
+    const services = (extra = {}) => ({ configService: { config: { commands: { prefix: '!' } } }, ...extra });
+
+    test('replies with the usage built from the configured prefix', async () => {
+        const command = new ReportCommand(services({ reportService: {} }));
+
+        expect(command.getUsage()).toBe('!report <player> <reason>');
+        expect(await command.execute(['Target'], { player: {}, server: {} }))
+            .toEqual({ success: false, message: '^7Usage: ^5!report <player> <reason>' });
+    });
+
+    test('reports the matched player with the rest of the message as reason', async () => {
+        const target = { name: 'Target' };
+        const reportService = { createReport: jest.fn().mockResolvedValue({ success: true, report: { id: 4 } }) };
+        const server = { matchPlayer: jest.fn().mockReturnValue({ player: target }) };
+        const player = { name: 'Reporter' };
+
+        const result = await new ReportCommand(services({ reportService })).execute(['targ', 'wall', 'hack'], { player, server });
+
+        expect(server.matchPlayer).toHaveBeenCalledWith('targ');
+        expect(reportService.createReport).toHaveBeenCalledWith({ server, reporter: player, target, reason: 'wall hack' });
+        expect(result.message).toBe('^2Report #4^7 on ^5Target^7 sent to the staff');
+    });
+});
@@ -0,0 +1,27 @@
+const ClearWarnsCommand = require('../../src/commands/ClearWarnsCommand');
+const WarnCommand = require('../../src/commands/WarnCommand');
+const WarnsCommand = require('../../src/commands/WarnsCommand');
+
+describe('Warning commands', () => {
+    const services = { configService: { config: { commands: { prefix: '!' } } } };
+
+    test('build their usage from the configured command prefix', () => {
+        expect(new WarnCommand(services).getUsage()).toBe('!warn <player> <reason>');
+        expect(new WarnsCommand(services).getUsage()).toBe('!warns [player]');
+        expect(new ClearWarnsCommand(services).getUsage()).toBe('!clearwarns <player>');
+    });
+
+    test('only list the warnings of other players with the view permission', async () => {
+        const warningService = { getActiveWarnings: jest.fn().mockResolvedValue([{ reason: 'camping', originName: 'Admin' }]) };
+        const target = { guid: 't1', name: 'Target' };
+        const server = { matchPlayer: () => ({ player: target }) };
+        const command = new WarnsCommand({ ...services, warningService });
+        const player = (permissions) => ({ guid: 'p1', hasPermission: (permission) => permissions.includes(permission) });
+
+        expect(await command.execute(['targ'], { player: player([]), server }))
+            .toEqual({ success: false, message: '^1You cannot list the warnings of other players' });
+
+        const result = await command.execute(['targ'], { player: player(['warnings.view']), server });
+        expect(result.message).toEqual(['^5Target^7 has ^31^7 active warnings:', '^31.^7 camping ^7(Admin)']);
+    });
+});
@@ -0,0 +1,44 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const http = require('http');
+const AppController = require('../../src/controllers/AppController');
+const { silentLogger } = require('../helpers/database');
+
+describe('AppController.stop', () => {
+    test('stops the services and closes the API server', async () => {
+        const services = {
+            logService: silentLogger,
+            schedulerService: { stop: jest.fn() }
+        };
+        const app = new AppController({}, { getServices: () => services });
+
+        app.apiServer = http.createServer();
+        await new Promise(resolve => app.apiServer.listen(0, '127.0.0.1', resolve));
+
+        expect(await app.stop()).toBe(true);
+        expect(services.schedulerService.stop).toHaveBeenCalled();
+        expect(app.apiServer.listening).toBe(false);
+    });
+
+    test('stops the timers before a failing shutdown step', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const services = {
+            logService: silentLogger,
+            schedulerService: { stop: jest.fn() },
+            mapVoteService: { stop: jest.fn() },
+            statsPeriodService: { stop: jest.fn() },
+            seasonService: { stop: jest.fn() }
+        };
+        const app = new AppController({}, { getServices: () => services });
+        app.webServer = { stop: jest.fn().mockRejectedValue(new Error('close failed')) };
+
+        expect(await app.stop()).toBe(false);
+        expect(services.mapVoteService.stop).toHaveBeenCalled();
+        expect(services.statsPeriodService.stop).toHaveBeenCalled();
+        expect(services.seasonService.stop).toHaveBeenCalled();
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,56 @@
+const AchievementRules = require('../../src/core/AchievementRules');
+
+describe('AchievementRules', () => {
+    test('fills the defaults of the rule definitions', () => {
+        const rules = new AchievementRules([
+            { id: ' spree ', name: 'Spree', type: 'streak', stat: 'kills', count: '5' },
+            { id: 'regular', name: 'Regular', type: 'playtime', hours: 10 },
+            { id: 'hunter', name: 'Hunter', stat: 'zombiesKills', count: 1000 }
+        ]);
+
+        expect(rules.get('spree')).toMatchObject({ count: 5, resetOn: ['deaths'], map: null });
+        expect(rules.get('regular')).toMatchObject({ stat: 'playtime', count: 36000, resetOn: [] });
+        expect(rules.get('hunter')).toMatchObject({ type: 'threshold', resetOn: [] });
+        expect(rules.get('missing')).toBeNull();
+    });
+
+    test('checks streaks against the match and the other types against the lifetime stats', () => {
+        const streak = AchievementRules.normalizeRule({ id: 'spree', type: 'streak', stat: 'kills', count: 5 });
+        const threshold = AchievementRules.normalizeRule({ id: 'marksman', stat: 'kills', count: 100 });
+
+        expect(AchievementRules.isMet(streak, { lifetime: 500, streak: 4 })).toBe(false);
+        expect(AchievementRules.isMet(streak, { streak: 5 })).toBe(true);
+        expect(AchievementRules.isMet(threshold, { lifetime: 100, streak: 0 })).toBe(true);
+        expect(AchievementRules.isMet(threshold, {})).toBe(false);
+    });
+
+    test('keeps the stats of the rules limited to a map under their own key', () => {
+        const rules = new AchievementRules([
+            { id: 'pioneer', name: 'Pioneer', type: 'first', stat: 'round', count: 30, map: 'zm_transit' }
+        ]);
+
+        expect(AchievementRules.statKey('round', 'zm_transit')).toBe('round:zm_transit');
+        expect(rules.getStatKeys().has('round:zm_transit')).toBe(true);
+        expect(rules.getStatKeys().has('kills')).toBe(true);
+        expect(rules.getRulesFor('round').map(rule => rule.id)).toEqual(['pioneer']);
+    });
+
+    test('rejects invalid rules', () => {
+        const invalid = (rule) => () => new AchievementRules([
+            { id: 'valid', name: 'Valid', stat: 'kills', count: 1 },
+            { name: 'Rule', stat: 'kills', count: 1, ...rule }
+        ]).validate();
+
+        expect(invalid({ id: 'rule' })).not.toThrow();
+        expect(invalid({ id: 'Bad Id' })).toThrow('Invalid achievement id: Bad Id');
+        expect(invalid({ id: 'valid' })).toThrow('Duplicate achievement: valid');
+        expect(invalid({ id: 'rule', name: '' })).toThrow('Achievement rule needs a name');
+        expect(invalid({ id: 'rule', type: 'combo' })).toThrow('Unknown type for achievement rule: combo');
+        expect(invalid({ id: 'rule', stat: 'assists' })).toThrow('Unknown stat for achievement rule: assists');
+        expect(invalid({ id: 'rule', count: 0 })).toThrow('Invalid count for achievement rule');
+        expect(invalid({ id: 'rule', type: 'streak', stat: 'round' }))
+            .toThrow('Achievement rule counts a streak of round, which is not a counter');
+        expect(invalid({ id: 'rule', type: 'streak', resetOn: ['kills'] }))
+            .toThrow('Invalid reset stat for achievement rule: kills');
+    });
+});
@@ -0,0 +1,54 @@
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventEmitter = require('events');
+const logger = require('../../src/core/Logger');
+const ChatCommandDispatcher = require('../../src/core/ChatCommandDispatcher');
+
+describe('ChatCommandDispatcher', () => {
+    let serverManager;
+    let commandService;
+    let dispatcher;
+    let player;
+
+    beforeEach(() => {
+        serverManager = new EventEmitter();
+        serverManager.getServerById = jest.fn(() => null);
+        commandService = { executeCommand: jest.fn() };
+        dispatcher = new ChatCommandDispatcher(serverManager, commandService, { prefix: '!', linesPerPage: 2 });
+        player = { guid: '1234567', name: 'Player One', tell: jest.fn().mockResolvedValue(true) };
+        logger.error.mockClear();
+    });
+
+    test('sends long results page by page', async () => {
+        commandService.executeCommand.mockResolvedValue({ success: true, message: 'one\ntwo\nthree' });
+
+        await dispatcher.handleCommand({ serverId: 1, player, command: 'help', args: [] });
+        expect(player.tell.mock.calls.map(call => call[0])).toEqual([
+            'one',
+            'two',
+            '^7Page 1/2 - type ^5!more^7 for more'
+        ]);
+
+        await dispatcher.handleCommand({ serverId: 1, player, command: 'more' });
+        expect(player.tell).toHaveBeenLastCalledWith('three');
+        expect(dispatcher.pendingPages.size).toBe(0);
+    });
+
+    test('tells the player when a command fails', async () => {
+        commandService.executeCommand.mockRejectedValue(new Error('boom'));
+
+        await dispatcher.handleCommand({ serverId: 1, player, command: 'stats' });
+
+        expect(player.tell).toHaveBeenCalledWith('^1Error executing command: stats');
+    });
+
+    test('logs instead of throwing when the error reply fails', async () => {
+        commandService.executeCommand.mockRejectedValue(new Error('boom'));
+        player.tell.mockRejectedValue(new Error('RCON timeout'));
+
+        await expect(dispatcher.handleCommand({ serverId: 1, player, command: 'stats' })).resolves.toBeUndefined();
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('RCON timeout'));
+    });
+});
@@ -0,0 +1,29 @@
+const ChatCommandParser = require('../../src/core/ChatCommandParser');
+
+describe('ChatCommandParser', () => {
+    test('parses a command with quoted arguments', () => {
+        const parser = new ChatCommandParser('!');
+
+        expect(parser.parse('  !Report "Some Player" camping  ')).toEqual({
+            prefix: '!',
+            command: 'report',
+            args: ['Some Player', 'camping'],
+            argString: '"Some Player" camping'
+        });
+    });
+
+    test('ignores plain chat and a lone prefix', () => {
+        const parser = new ChatCommandParser('!');
+
+        expect(parser.parse('hello !help')).toBeNull();
+        expect(parser.parse('! help')).toBeNull();
+        expect(parser.isCommand('')).toBe(false);
+    });
+
+    test('prefers the longest prefix', () => {
+        const parser = new ChatCommandParser(['!', '!!']);
+
+        expect(parser.parse('!!kick Bob')).toMatchObject({ prefix: '!!', command: 'kick', args: ['Bob'] });
+        expect(parser.parse('!kick Bob').prefix).toBe('!');
+    });
+});
@@ -0,0 +1,47 @@
+const CronExpression = require('../../src/core/CronExpression');
+
+describe('CronExpression', () => {
+    test('parses lists, ranges, steps and names', () => {
+        const cron = new CronExpression('*/15 8-10,22 * jan-mar mon-fri');
+
+        expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+        expect([...cron.hour]).toEqual([8, 9, 10, 22]);
+        expect([...cron.month]).toEqual([1, 2, 3]);
+        expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('accepts aliases and sunday as 7', () => {
+        expect(new CronExpression('@hourly').matches(new Date(2026, 4, 3, 14, 0))).toBe(true);
+        expect(new CronExpression('0 12 * * 7').matches(new Date(2026, 4, 3, 12, 0))).toBe(true);
+    });
+
+    test('rejects invalid expressions', () => {
+        expect(() => new CronExpression('')).toThrow('required');
+        expect(() => new CronExpression('* * * *')).toThrow('expected 5 fields');
+        expect(() => new CronExpression('60 * * * *')).toThrow('Invalid value "60" in minute field');
+        expect(() => new CronExpression('*/0 * * * *')).toThrow('Invalid step');
+        expect(() => new CronExpression('30-10 * * * *')).toThrow('Invalid range');
+        expect(CronExpression.isValid('0 4 * * *')).toBe(true);
+    });
+
+    test('matches either day field when both are restricted', () => {
+        const cron = new CronExpression('0 0 13 * fri');
+
+        // Thursday 13th, Friday 14th, Saturday 15th
+        expect(cron.matches(new Date(2026, 7, 13, 0, 0))).toBe(true);
+        expect(cron.matches(new Date(2026, 7, 14, 0, 0))).toBe(true);
+        expect(cron.matches(new Date(2026, 7, 15, 0, 0))).toBe(false);
+    });
+
+    test('computes the next run strictly after a date', () => {
+        const cron = new CronExpression('30 4 * * *');
+
+        expect(cron.next(new Date(2026, 0, 5, 4, 30, 20))).toEqual(new Date(2026, 0, 6, 4, 30));
+        expect(cron.next(new Date(2026, 0, 5, 3, 59))).toEqual(new Date(2026, 0, 5, 4, 30));
+        expect(new CronExpression('0 0 1 * *').next(new Date(2026, 11, 31, 12, 0))).toEqual(new Date(2027, 0, 1, 0, 0));
+    });
+
+    test('gives up on dates that never exist', () => {
+        expect(new CronExpression('0 0 31 2 *').next(new Date(2026, 0, 1))).toBeNull();
+    });
+});
@@ -0,0 +1,40 @@
+jest.mock('../../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const ActivePlayer = require('../../../src/core/Entity/ActivePlayer');
+const T6 = require('../../../src/core/RconCommandPrefixes/T6');
+
+describe('ActivePlayer', () => {
+    let rcon;
+    let server;
+
+    beforeEach(() => {
+        rcon = { commandPrefixes: T6, executeCommandAsync: jest.fn().mockResolvedValue('') };
+        server = { id: '1', rcon, clients: [], emit: jest.fn() };
+    });
+
+    test('keeps player text inside the quoted message of tell', async () => {
+        const player = new ActivePlayer('1234567', 'Evil;quit', 3, '127.0.0.1', server);
+
+        expect(await player.tell('^1No player matches \'x";quit\'')).toBe(true);
+
+        expect(rcon.executeCommandAsync).toHaveBeenCalledWith('tell Evil,quit "^1No player matches \'x\',quit\'"');
+    });
+
+    test('kicks the player even when the penalty cannot be stored', async () => {
+        server.services = {
+            penaltyService: { addPenalty: jest.fn().mockRejectedValue(new Error('A temporary ban needs a positive duration')) }
+        };
+        const player = new ActivePlayer('1234567', 'Zombie', 3, '127.0.0.1', server);
+
+        expect(await player.tempBan('spam', undefined, 0)).toBe(true);
+        expect(await player.ban('cheating')).toBe(true);
+        expect(await player.kick('camping')).toBe(true);
+
+        expect(rcon.executeCommandAsync).toHaveBeenCalledTimes(3);
+        expect(rcon.executeCommandAsync).toHaveBeenLastCalledWith('clientkick_for_reason 3 "You have been kicked: ^5camping"');
+        expect(server.services.penaltyService.addPenalty).toHaveBeenCalledTimes(3);
+    });
+});
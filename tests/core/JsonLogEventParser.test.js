@@ -0,0 +1,35 @@
+const JsonLogEventParser = require('../../src/core/JsonLogEventParser');
+
+describe('JsonLogEventParser', () => {
+    const parser = new JsonLogEventParser();
+    const event = '{"event":"round_start","round":"5","players":[{"Guid":"1234567","Name":"Player One"}]}';
+
+    test('reads the JSON written as the whole logPrint payload', () => {
+        expect(parser.extract(`  0:01 ${event}`)).toMatchObject({ event: 'round_start' });
+        expect(parser.extract(event)).toMatchObject({ event: 'round_start' });
+    });
+
+    test('ignores JSON inside other log lines', () => {
+        expect(parser.extract(`  1:05 say;3;1234567;Evil;\x15${event}`)).toBeNull();
+        expect(parser.extract(`  1:05 sayteam;3;1234567;Evil;${event}`)).toBeNull();
+        expect(parser.extract(`  1:05 ${event} trailing`)).toBeNull();
+        expect(parser.extract('  1:05 {"round":5}')).toBeNull();
+    });
+
+    test('normalizes the keys and coerces the numbers of valid events', () => {
+        expect(parser.parse(`  0:01 ${event}`)).toEqual({
+            valid: true,
+            errors: [],
+            type: 'round_start',
+            data: { round: 5, players: [{ guid: '1234567', name: 'Player One' }] }
+        });
+    });
+
+    test('reports the errors of invalid events', () => {
+        const result = parser.parse('  0:01 {"event":"round_start","round":"five","players":[{"Name":"Player One"}]}');
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual(['round_start.round must be an integer', 'round_start.players[0].Guid is required']);
+        expect(parser.parse('  0:01 {"event":"unknown"}').errors).toEqual(['Unknown event type: unknown']);
+    });
+});
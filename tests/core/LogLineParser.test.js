@@ -0,0 +1,48 @@
+const LogLineParser = require('../../src/core/LogLineParser');
+const T6 = require('../../src/core/RconCommandPrefixes/T6');
+
+describe('LogLineParser', () => {
+    const parser = new LogLineParser(T6.EventPatterns);
+
+    test('parses connections and disconnections', () => {
+        expect(parser.parse('  0:12 J;3;1234567;Player One')).toEqual({
+            type: 'player.connected',
+            data: { clientSlot: 3, guid: '1234567', name: 'Player One' }
+        });
+        expect(parser.parse('  2:40 Q;3;1234567;Player One').type).toBe('player.disconnected');
+    });
+
+    test('strips the control character of chat messages', () => {
+        const event = parser.parse('  1:05 say;3;1234567;Player One;\x15!help K;not;a;kill;line;x');
+
+        expect(event.type).toBe('player.say');
+        expect(event.data.message).toBe('!help K;not;a;kill;line;x');
+    });
+
+    test('parses kills with attacker and victim slots', () => {
+        expect(parser.parse('  3:00 K;2;Killer;5;Victim;ray_gun_zm').data).toEqual({
+            attacker: { clientSlot: 2, name: 'Killer' },
+            victim: { clientSlot: 5, name: 'Victim' },
+            weapon: 'ray_gun_zm'
+        });
+    });
+
+    test('reads the map and game type of InitGame lines', () => {
+        expect(parser.parse('  0:00 InitGame: \\g_gametype\\zclassic\\mapname\\zm_transit')).toEqual({
+            type: 'match.start',
+            data: { gametype: 'zclassic', mapName: 'zm_transit' }
+        });
+        expect(parser.parse('  9:59 ShutdownGame:').type).toBe('match.end');
+    });
+
+    test('ignores unknown lines and tries registered patterns', () => {
+        expect(parser.parse('  0:01 ------------------------')).toBeNull();
+
+        const custom = new LogLineParser(T6.EventPatterns)
+            .registerPattern('server.exit', /ExitLevel: (\w+)/, (match) => ({ reason: match[1] }));
+        expect(custom.parse('  5:00 ExitLevel: executed')).toEqual({
+            type: 'server.exit',
+            data: { reason: 'executed' }
+        });
+    });
+});
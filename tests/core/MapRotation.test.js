@@ -0,0 +1,51 @@
+const MapRotation = require('../../src/core/MapRotation');
+
+describe('MapRotation', () => {
+    test('parses a rotation, a gametype applies to every map after it', () => {
+        const rotation = MapRotation.parse('^7gametype zclassic map zm_transit map zm_nuked gametype zgrief map zm_prison');
+
+        expect(rotation.entries).toEqual([
+            { map: 'zm_transit', gametype: 'zclassic' },
+            { map: 'zm_nuked', gametype: 'zclassic' },
+            { map: 'zm_prison', gametype: 'zgrief' }
+        ]);
+    });
+
+    test('ignores a trailing key without a value', () => {
+        expect(MapRotation.parse('map mp_raid map').entries).toEqual([{ map: 'mp_raid', gametype: null }]);
+        expect(MapRotation.parse('').entries).toEqual([]);
+    });
+
+    test('writes a gametype only when it changes', () => {
+        const rotation = new MapRotation([
+            { map: 'zm_transit', gametype: 'zclassic' },
+            { map: 'zm_nuked', gametype: 'zclassic' },
+            { map: 'zm_prison', gametype: 'zgrief' },
+            { map: 'zm_tomb' }
+        ]);
+
+        expect(rotation.toString()).toBe('gametype zclassic map zm_transit map zm_nuked gametype zgrief map zm_prison map zm_tomb');
+        expect(MapRotation.parse(rotation.toString()).getMaps()).toEqual(['zm_transit', 'zm_nuked', 'zm_prison', 'zm_tomb']);
+    });
+
+    test('rejects empty rotations and names that could inject a command', () => {
+        expect(() => new MapRotation([]).validate()).toThrow('at least one map');
+        expect(() => new MapRotation([{ map: 'mp_raid;quit' }]).validate()).toThrow('Invalid map name');
+        expect(() => new MapRotation([{ map: 'mp_raid', gametype: 'tdm map' }]).validate()).toThrow('Invalid gametype');
+        expect(() => new MapRotation([{ map: 'mp_raid', gametype: 'tdm' }]).validate()).not.toThrow();
+    });
+
+    test('finds a map by exact name or by an unambiguous part of it', () => {
+        const rotation = new MapRotation([
+            { map: 'mp_raid', gametype: 'tdm' },
+            { map: 'mp_slums', gametype: 'tdm' },
+            { map: 'mp_slums_night', gametype: 'dom' }
+        ]);
+
+        expect(rotation.findMap('RAID')).toEqual({ map: 'mp_raid', gametype: 'tdm' });
+        expect(rotation.findMap('mp_slums')).toEqual({ map: 'mp_slums', gametype: 'tdm' });
+        expect(rotation.findMap('slums')).toBeNull();
+        expect(rotation.findMap('night')).toEqual({ map: 'mp_slums_night', gametype: 'dom' });
+        expect(rotation.findMap('')).toBeNull();
+    });
+});
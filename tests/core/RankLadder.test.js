@@ -0,0 +1,47 @@
+const RankLadder = require('../../src/core/RankLadder');
+
+describe('RankLadder', () => {
+    const ladder = new RankLadder('kills', [
+        { name: 'Veteran', color: '^3', requirements: { kills: 500, kd: 1.5 } },
+        { name: 'Recruit', color: '^7', requirements: {} },
+        { name: 'Soldier', color: '^2', requirements: { kills: 100 } }
+    ]);
+
+    test('orders the ranks by the ladder metric', () => {
+        expect(ladder.ranks.map(rank => rank.name)).toEqual(['Recruit', 'Soldier', 'Veteran']);
+    });
+
+    test('gives the highest rank whose requirements are all met', () => {
+        expect(ladder.getRankIndex({})).toBe(0);
+        expect(ladder.getRankIndex({ kills: 100 })).toBe(1);
+        expect(ladder.getRankIndex({ kills: 800, kd: 1.2 })).toBe(1);
+        expect(ladder.getRankIndex({ kills: 800, kd: 1.5 })).toBe(2);
+    });
+
+    test('reads the stats of every metric the ranks use', () => {
+        const mixed = new RankLadder('kills', [
+            { name: 'Survivor', requirements: { kills: 0, highestRound: 30 } },
+            { name: 'Regular', requirements: { kills: 10, playtime: 5 } }
+        ]);
+
+        expect([...mixed.getSources()].sort()).toEqual(['multiplayer', 'players', 'zombies']);
+    });
+
+    test('converts the legacy kill thresholds', () => {
+        expect(RankLadder.normalizeRank({ name: ' Private ', minKills: '50' }))
+            .toEqual({ name: 'Private', color: '^7', requirements: { kills: 50 } });
+        expect(RankLadder.normalizeRank({ name: 'Any', requirements: { kills: '', kd: null } }).requirements).toEqual({});
+    });
+
+    test('rejects invalid ladders', () => {
+        const invalid = (metric, ranks) => () => new RankLadder(metric, ranks).validate();
+
+        expect(() => ladder.validate()).not.toThrow();
+        expect(invalid('score', [{ name: 'A' }])).toThrow('Unknown metric: score');
+        expect(invalid('kills', [])).toThrow('A ladder needs at least one rank');
+        expect(invalid('kills', [{ name: 'A' }, { name: 'a' }])).toThrow('Duplicate rank: a');
+        expect(invalid('kills', [{ name: 'A', color: '^a' }])).toThrow('Invalid color for rank A: ^a');
+        expect(invalid('kills', [{ name: 'A', requirements: { score: 1 } }])).toThrow('Unknown metric in rank A: score');
+        expect(invalid('kills', [{ name: 'A', requirements: { kills: -1 } }])).toThrow('Invalid kills requirement in rank A');
+    });
+});
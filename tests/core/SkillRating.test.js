@@ -0,0 +1,69 @@
+const SkillRating = require('../../src/core/SkillRating');
+
+describe('SkillRating', () => {
+    const engine = new SkillRating();
+
+    test('matches the example of the Glicko paper', () => {
+        const result = engine.update({ rating: 1500, deviation: 200 }, [
+            { rating: 1400, deviation: 30, score: 1 },
+            { rating: 1550, deviation: 100, score: 0 },
+            { rating: 1700, deviation: 300, score: 0 }
+        ]);
+
+        expect(result.rating).toBeCloseTo(1464.1, 0);
+        expect(result.deviation).toBeCloseTo(151.4, 0);
+    });
+
+    test('weighs opponents less when their rating is uncertain', () => {
+        expect(SkillRating.g(30)).toBeCloseTo(0.9955, 4);
+        expect(SkillRating.g(300)).toBeCloseTo(0.7242, 4);
+        expect(SkillRating.expectedScore(1500, 1400, 30)).toBeCloseTo(0.639, 3);
+        expect(SkillRating.expectedScore(1500, 1500, 350)).toBe(0.5);
+    });
+
+    test('grows the deviation with inactivity up to the initial deviation', () => {
+        expect(engine.decay(100, 0)).toBe(100);
+        expect(engine.decay(100, 16)).toBeCloseTo(Math.sqrt(100 * 100 + 625 * 16), 6);
+        expect(engine.decay(300, 365)).toBe(350);
+    });
+
+    test('never lowers the deviation under the minimum', () => {
+        const opponents = Array.from({ length: 50 }, () => ({ rating: 1500, deviation: 50, score: 0.5 }));
+        expect(engine.update({ rating: 1500, deviation: 60 }, opponents).deviation).toBe(50);
+    });
+
+    test('rates a team match from the team result and the duels', () => {
+        const players = [
+            { key: 'a', rating: 1500, deviation: 200, team: 'allies', kills: 10, deaths: 2, score: 0 },
+            { key: 'b', rating: 1500, deviation: 200, team: 'allies', kills: 1, deaths: 9, score: 0 },
+            { key: 'c', rating: 1500, deviation: 200, team: 'axis', kills: 5, deaths: 5, score: 0 }
+        ];
+
+        const [a, b, c] = engine.rateMatch(players, {
+            teamScores: { allies: 75, axis: 50 },
+            duels: new Map([['a c', 3], ['c b', 4]])
+        });
+
+        // Teammates are not opponents; b won with the team but lost every duel, an even result
+        expect(a.delta).toBeGreaterThan(0);
+        expect(b.delta).toBeCloseTo(0, 6);
+        expect(c.delta).toBeLessThan(0);
+        expect(a.deviation).toBeLessThan(200);
+    });
+
+    test('compares the performance of free-for-all players who did not meet', () => {
+        const [first, second] = engine.rateMatch([
+            { key: 'a', rating: 1500, deviation: 350, kills: 8, deaths: 2, score: 0 },
+            { key: 'b', rating: 1500, deviation: 350, kills: 2, deaths: 8, score: 0 }
+        ]);
+
+        expect(first.delta).toBeCloseTo(-second.delta, 6);
+        expect(first.delta).toBeGreaterThan(0);
+    });
+
+    test('leaves a player without opponents unchanged', () => {
+        expect(engine.rateMatch([{ key: 'a', rating: 1600, deviation: 80, kills: 3, deaths: 0, score: 0 }]))
+            .toEqual([{ key: 'a', rating: 1600, deviation: 80, delta: 0 }]);
+        expect(SkillRating.conservative(1600, 80)).toBe(1440);
+    });
+});
@@ -0,0 +1,67 @@
+const StatsPeriod = require('../../src/core/StatsPeriod');
+
+describe('StatsPeriod', () => {
+    const utc = new StatsPeriod();
+
+    test('puts the last days of december in the first ISO week of the next year', () => {
+        const week = utc.getPeriod('weekly', new Date('2025-12-31T12:00:00Z'));
+
+        expect(week.key).toBe('2026-W01');
+        expect(week.start.toISOString()).toBe('2025-12-29T00:00:00.000Z');
+        expect(week.end.toISOString()).toBe('2026-01-05T00:00:00.000Z');
+    });
+
+    test('puts the first days of january in the last ISO week of the previous year', () => {
+        expect(utc.getPeriod('weekly', new Date('2021-01-03T23:59:59Z')).key).toBe('2020-W53');
+        expect(utc.getPeriod('weekly', new Date('2021-01-04T00:00:00Z')).key).toBe('2021-W01');
+        expect(utc.getPeriod('weekly', new Date('2027-01-01T00:00:00Z')).key).toBe('2026-W53');
+    });
+
+    test('finds a week from its key and rejects the weeks a year does not have', () => {
+        expect(utc.getPeriodByKey('weekly', '2026-W01').start.toISOString()).toBe('2025-12-29T00:00:00.000Z');
+        expect(utc.getPeriodByKey('weekly', '2020-W53').start.toISOString()).toBe('2020-12-28T00:00:00.000Z');
+        expect(utc.getPeriodByKey('weekly', '2025-W53')).toBeNull();
+        expect(utc.getPeriodByKey('monthly', '2026-13')).toBeNull();
+        expect(utc.getPeriodByKey('weekly', '2026-01')).toBeNull();
+    });
+
+    test('gets the previous period across a year boundary', () => {
+        const week = utc.getPeriodByKey('weekly', '2026-W01');
+
+        expect(utc.getPrevious(week).key).toBe('2025-W52');
+        expect(utc.getPrevious(utc.getPeriodByKey('seasonal', '2026-S1')).key).toBe('2025-S4');
+    });
+
+    test('splits the year in seasons of the configured length', () => {
+        const halves = new StatsPeriod({ seasonMonths: 6 });
+        const season = halves.getPeriod('seasonal', new Date('2026-08-15T00:00:00Z'));
+
+        expect(season.key).toBe('2026-S2');
+        expect(season.start.toISOString()).toBe('2026-07-01T00:00:00.000Z');
+        expect(season.end.toISOString()).toBe('2027-01-01T00:00:00.000Z');
+        expect(() => new StatsPeriod({ seasonMonths: 5 }).validate()).toThrow('Invalid season length: 5 months');
+    });
+
+    test('uses the local days of the configured timezone', () => {
+        const paris = new StatsPeriod({ timezone: 'Europe/Paris' });
+
+        // Sunday 23:30 UTC is already monday in Paris
+        const week = paris.getPeriod('weekly', new Date('2026-01-04T23:30:00Z'));
+        expect(week.key).toBe('2026-W02');
+        expect(week.start.toISOString()).toBe('2026-01-04T23:00:00.000Z');
+
+        // The day of the switch to summer time lasts 23 hours
+        const day = paris.getPeriod('daily', new Date('2026-03-29T12:00:00Z'));
+        expect(day.end - day.start).toBe(23 * 60 * 60 * 1000);
+    });
+
+    test('falls back to UTC quarters for an invalid configuration', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const periods = StatsPeriod.fromConfig({ timezone: 'Mars/Olympus' });
+        expect(periods.timezone).toBe('UTC');
+        expect(periods.seasonMonths).toBe(3);
+
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,48 @@
+const Totp = require('../../src/core/Totp');
+
+describe('Totp', () => {
+    // Secret of the RFC 4226 and RFC 6238 test vectors, "12345678901234567890"
+    const secret = Totp.base32Encode(Buffer.from('12345678901234567890'));
+
+    test('encodes and decodes base32', () => {
+        expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(Totp.base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+        expect(Totp.base32Decode('mzxw 6ytb-oi==').toString()).toBe('foobar');
+        expect(() => Totp.base32Decode('MZXW1')).toThrow('Invalid base32 character: 1');
+    });
+
+    test('matches the RFC 4226 HOTP test vectors', () => {
+        expect([0, 1, 2, 3, 9].map(counter => Totp.hotp(secret, counter)))
+            .toEqual(['755224', '287082', '359152', '969429', '520489']);
+    });
+
+    test('matches the RFC 6238 SHA-1 test vectors', () => {
+        const code = (seconds) => Totp.generate(secret, seconds * 1000, { digits: 8 });
+
+        expect(code(59)).toBe('94287082');
+        expect(code(1111111109)).toBe('07081804');
+        expect(code(1111111111)).toBe('14050471');
+        expect(code(2000000000)).toBe('69279037');
+    });
+
+    test('accepts the codes of the adjacent steps only', () => {
+        const timestamp = 1111111111 * 1000;
+        const step = Totp.getStep(timestamp);
+
+        expect(Totp.verify(secret, Totp.generate(secret, timestamp), { timestamp })).toBe(step);
+        expect(Totp.verify(secret, Totp.generate(secret, timestamp - 30000), { timestamp })).toBe(step - 1);
+        expect(Totp.verify(secret, Totp.generate(secret, timestamp + 30000), { timestamp })).toBe(step + 1);
+        expect(Totp.verify(secret, Totp.generate(secret, timestamp - 60000), { timestamp })).toBeNull();
+    });
+
+    test('refuses codes that are not made of the expected digits', () => {
+        expect(Totp.verify(secret, '12345')).toBeNull();
+        expect(Totp.verify(secret, 'abcdef')).toBeNull();
+        expect(Totp.verify(secret, null)).toBeNull();
+    });
+
+    test('builds the provisioning URI of authenticator apps', () => {
+        expect(Totp.getProvisioningUri({ secret: 'ABC', account: 'alice', issuer: 'Node Server Manager' }))
+            .toBe('otpauth://totp/Node%20Server%20Manager:alice?secret=ABC&algorithm=SHA1&digits=6&period=30&issuer=Node+Server+Manager');
+    });
+});
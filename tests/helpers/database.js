@@ -0,0 +1,41 @@
+/**
+ * In-memory database with every table and default row of the application
+ */
+const DatabaseService = require('../../src/services/DatabaseService');
+
+const silentLogger = {
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+/**
+ * Create and initialize an in-memory DatabaseService
+ * @returns {Promise<DatabaseService>} Initialized database service
+ */
+async function createDatabase() {
+    const dbService = new DatabaseService({ path: ':memory:' }, silentLogger);
+    await dbService.initialize();
+    return dbService;
+}
+
+/**
+ * Wait until a condition holds, for work done by listeners that are not awaited
+ * @param {Function} condition - Async function returning a truthy value once done
+ * @param {number} timeout - Maximum wait in milliseconds
+ * @returns {Promise<*>} Value returned by the condition
+ */
+async function waitFor(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+        const value = await condition();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    throw new Error('Condition not met in time');
+}
+
+module.exports = { createDatabase, waitFor, silentLogger };
@@ -0,0 +1,105 @@
+/**
+ * In-memory stand-ins for a Socket.IO namespace and its sockets
+ * They record what is emitted and to which room, without a network connection
+ */
+
+class FakeSocket {
+    /**
+     * Create a socket with the handshake of a dashboard client
+     * @param {Object} auth - Handshake auth, e.g. { token }
+     */
+    constructor(auth = {}) {
+        this.id = `socket-${Math.random().toString(36).slice(2, 8)}`;
+        this.handshake = { auth, headers: {} };
+        this.rooms = new Set();
+        this.handlers = {};
+        this.emitted = [];
+        this.connected = true;
+    }
+
+    join(room) {
+        this.rooms.add(room);
+    }
+
+    leave(room) {
+        this.rooms.delete(room);
+    }
+
+    on(event, handler) {
+        this.handlers[event] = handler;
+    }
+
+    emit(event, payload) {
+        this.emitted.push({ event, payload });
+    }
+
+    disconnect() {
+        this.connected = false;
+    }
+
+    /**
+     * Send an event from the client and wait for its acknowledgement
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     * @returns {Promise<Object>} Acknowledgement payload
+     */
+    request(event, payload) {
+        return new Promise(resolve => this.handlers[event](payload, resolve));
+    }
+}
+
+class FakeNamespace {
+    constructor() {
+        this.middlewares = [];
+        this.handlers = {};
+        this.emitted = [];
+        this.namespaces = {};
+    }
+
+    use(middleware) {
+        this.middlewares.push(middleware);
+    }
+
+    on(event, handler) {
+        this.handlers[event] = handler;
+    }
+
+    emit(event, payload) {
+        this.emitted.push({ room: null, event, payload });
+    }
+
+    to(room) {
+        return { emit: (event, payload) => this.emitted.push({ room, event, payload }) };
+    }
+
+    of(name) {
+        if (!this.namespaces[name]) this.namespaces[name] = new FakeNamespace();
+        return this.namespaces[name];
+    }
+
+    /**
+     * Run the middlewares, then the connection handler if they all accept the socket
+     * @param {FakeSocket} socket - Connecting socket
+     * @returns {Promise<Error|null>} Error of the middleware that refused the socket
+     */
+    async connect(socket) {
+        for (const middleware of this.middlewares) {
+            const error = await new Promise(resolve => middleware(socket, resolve));
+            if (error) return error;
+        }
+
+        if (this.handlers.connection) this.handlers.connection(socket);
+        return null;
+    }
+
+    /**
+     * Get what was emitted with an event name
+     * @param {string} event - Event name
+     * @returns {Array<Object>} Emitted { room, event, payload }
+     */
+    sent(event) {
+        return this.emitted.filter(item => item.event === event);
+    }
+}
+
+module.exports = { FakeSocket, FakeNamespace };
@@ -0,0 +1,82 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventService = require('../../src/services/EventService');
+const ServerInstanceService = require('../../src/services/ServerInstanceService');
+const ZombieStatsPlugin = require('../../src/plugins/core/ZombieStatsPlugin');
+const { createDatabase, waitFor, silentLogger } = require('../helpers/database');
+
+const PLAYERS = '[{"Guid":"1234567","Name":"Player One","Clientslot":0,"Stats":{"Kills":42,"Downs":1,"Revives":2,"Headshots":9,"Score":5120,"Round":7}}]';
+
+describe('ZombieStatsPlugin', () => {
+    let dbService;
+    let server;
+    let plugin;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        dbService = await createDatabase();
+        const services = {
+            logService: silentLogger,
+            configService: { config: {} },
+            dbService,
+            eventService: new EventService(dbService)
+        };
+
+        plugin = new ZombieStatsPlugin({ getServices: () => services });
+        expect(await plugin.init()).toBe(true);
+
+        server = new ServerInstanceService({
+            id: 1,
+            name: 'Zombies',
+            address: '127.0.0.1',
+            port: 4976,
+            rconPassword: 'secret',
+            game: 't6'
+        }, services);
+    });
+
+    afterEach(async () => {
+        server.rcon.socket.close();
+        await plugin.shutdown();
+        await dbService.close();
+        console.log.mockRestore();
+    });
+
+    test('records a match from the JSON lines of the server log', async () => {
+        await server.handleLogLine(`  0:01 {"event":"match_start","map":"zm_transit","players":${PLAYERS}}`);
+
+        const started = await waitFor(() => dbService.get('SELECT * FROM zombies_matches'));
+        expect(started).toMatchObject({ server_id: '1', map_name: 'zm_transit', end_time: null });
+
+        await server.handleLogLine(`  9:30 {"event":"match_end","map":"zm_transit","players":${PLAYERS},"duration_seconds":570}`);
+
+        const ended = await waitFor(() => dbService.get('SELECT * FROM zombies_matches WHERE end_time IS NOT NULL'));
+        expect(ended.match_id).toBe(started.match_id);
+        expect(ended.max_round).toBe(7);
+
+        const stats = await waitFor(() => dbService.get('SELECT * FROM zombies_player_stats WHERE player_guid = ?', ['1234567']));
+        expect(stats).toMatchObject({ kills: 42, downs: 1, revives: 2, matches_played: 1, highest_round: 7 });
+    });
+
+    test('ignores a match end without a running match', async () => {
+        await server.handleLogLine(`  9:30 {"event":"match_end","map":"zm_transit","players":${PLAYERS}}`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(await dbService.get('SELECT COUNT(*) AS count FROM zombies_matches')).toEqual({ count: 0 });
+    });
+
+    test('handles the events of a server in the order they were read', async () => {
+        // Not awaited, like the lines of the log reader
+        server.handleLogLine(`  0:01 {"event":"match_start","map":"zm_transit","players":${PLAYERS}}`);
+        server.handleLogLine(`  1:10 {"event":"round_start","round":2,"players":${PLAYERS}}`);
+        server.handleLogLine(`  2:20 {"event":"round_start","round":3,"players":${PLAYERS}}`);
+
+        const match = await waitFor(() => dbService.get('SELECT * FROM zombies_matches WHERE round = 3'));
+        expect(match.max_round).toBe(3);
+        expect(await dbService.get('SELECT COUNT(*) AS count FROM zombies_matches')).toEqual({ count: 1 });
+    });
+});
@@ -0,0 +1,40 @@
+const PlayerRepository = require('../../src/repositories/PlayerRepository');
+const { createDatabase } = require('../helpers/database');
+
+describe('PlayerRepository.addPenalty', () => {
+    let dbService;
+    let playerRepository;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        dbService = await createDatabase();
+        playerRepository = new PlayerRepository(dbService);
+        await dbService.run('INSERT INTO players (id, name, guid) VALUES (?, ?, ?)', ['p1', 'Player One', '1234567']);
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+        console.error.mockRestore();
+    });
+
+    test('stores the penalty with the GUID of the player', async () => {
+        const penalty = await playerRepository.addPenalty({
+            PenaltyType: 'PENALTY_TEMP_BAN',
+            Reason: 'Spam',
+            TargetId: 'p1',
+            OriginId: 0,
+            Duration: 600
+        });
+
+        const row = await dbService.get('SELECT * FROM penalties WHERE id = ?', [penalty.id]);
+        expect(row).toMatchObject({ player_id: 'p1', player_guid: '1234567', duration: 600 });
+        expect(row.expires_at).not.toBeNull();
+    });
+
+    test('refuses a penalty for an unknown player', async () => {
+        await expect(playerRepository.addPenalty({ PenaltyType: 'PENALTY_KICK', TargetId: 'unknown' }))
+            .rejects.toThrow('Player unknown not found');
+        expect(await dbService.get('SELECT COUNT(*) AS count FROM penalties')).toEqual({ count: 0 });
+    });
+});
@@ -0,0 +1,106 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventEmitter = require('events');
+const AchievementService = require('../../src/services/AchievementService');
+const { createDatabase } = require('../helpers/database');
+
+describe('AchievementService', () => {
+    let dbService;
+    let serverManager;
+    let tell;
+    let eventService;
+
+    const alice = { guid: 'g1', name: 'Alice' };
+    const bob = { guid: 'g2', name: 'Bob' };
+
+    const createService = (achievements) => new AchievementService(dbService, serverManager, {
+        eventService,
+        configService: { config: { achievements: { achievements } } }
+    });
+
+    const unlockedIds = async (service, guid) =>
+        (await service.achievementRepository.getUnlocks(guid)).map(unlock => unlock.achievementId);
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+        tell = jest.fn().mockResolvedValue();
+        serverManager = new EventEmitter();
+        serverManager.getServerById = () => ({ players: [{ ...alice, tell }], queryStatus: { mapName: 'mp_raid' } });
+        eventService = { emitAndStore: jest.fn().mockResolvedValue() };
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('unlocks a lifetime threshold once and tells the player', async () => {
+        const service = createService([{ id: 'marksman', name: 'Marksman', stat: 'kills', count: 2 }]);
+
+        await service.handleKill({ serverId: '1', attacker: alice, victim: bob });
+        expect(await unlockedIds(service, 'g1')).toEqual([]);
+
+        await service.handleKill({ serverId: '1', attacker: alice, victim: bob });
+        await service.handleKill({ serverId: '1', attacker: alice, victim: bob });
+
+        expect(await unlockedIds(service, 'g1')).toEqual(['marksman']);
+        expect(tell).toHaveBeenCalledTimes(1);
+        expect(tell).toHaveBeenCalledWith('^2Achievement unlocked ^5Marksman');
+        expect(eventService.emitAndStore).toHaveBeenCalledWith('player.achievement.unlocked', {
+            serverId: '1',
+            data: { guid: 'g1', name: 'Alice', achievementId: 'marksman', achievement: 'Marksman' }
+        }, true);
+    });
+
+    test('resets a streak when the player dies and drops it with the match', async () => {
+        const service = createService([{ id: 'spree', name: 'Spree', type: 'streak', stat: 'kills', count: 3 }]);
+        const kill = (attacker, victim) => service.handleKill({ serverId: '1', attacker, victim });
+
+        await kill(alice, bob);
+        await kill(alice, bob);
+        await kill(bob, alice);
+        await kill(alice, bob);
+        await kill(alice, bob);
+        service.handleMatchStart({ serverId: '1', mapName: 'mp_raid' });
+        await kill(alice, bob);
+        expect(await unlockedIds(service, 'g1')).toEqual([]);
+
+        await kill(alice, bob);
+        await kill(alice, bob);
+        expect(await unlockedIds(service, 'g1')).toEqual(['spree']);
+    });
+
+    test('only counts the map stats of the rules limited to that map', async () => {
+        const service = createService([
+            { id: 'raider', name: 'Raider', stat: 'kills', count: 1, map: 'mp_raid' }
+        ]);
+
+        service.handleMatchStart({ serverId: '1', mapName: 'mp_nuketown_2020' });
+        await service.handleKill({ serverId: '1', attacker: alice, victim: bob });
+        expect(await unlockedIds(service, 'g1')).toEqual([]);
+
+        service.handleMatchStart({ serverId: '1', mapName: 'mp_raid' });
+        await service.handleKill({ serverId: '1', attacker: alice, victim: bob });
+
+        expect(await unlockedIds(service, 'g1')).toEqual(['raider']);
+        expect(await service.achievementRepository.getStats('g1')).toMatchObject({ kills: 2, 'kills:mp_raid': 1 });
+    });
+
+    test('gives a first achievement only to the players of the match where it was unlocked first', async () => {
+        const service = createService([{ id: 'pioneer', name: 'Pioneer', type: 'first', stat: 'kills', count: 1 }]);
+
+        service.handleMatchStart({ serverId: '1' });
+        await service.handleKill({ serverId: '1', attacker: alice, victim: bob });
+        await service.handleKill({ serverId: '1', attacker: bob, victim: alice });
+
+        service.handleMatchStart({ serverId: '2' });
+        const carol = { guid: 'g3', name: 'Carol' };
+        await service.handleKill({ serverId: '2', attacker: carol, victim: bob });
+
+        expect(await unlockedIds(service, 'g1')).toEqual(['pioneer']);
+        expect(await unlockedIds(service, 'g2')).toEqual(['pioneer']);
+        expect(await unlockedIds(service, 'g3')).toEqual([]);
+    });
+});
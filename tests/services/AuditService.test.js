@@ -0,0 +1,85 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const AuditService = require('../../src/services/AuditService');
+const logger = require('../../src/core/Logger');
+const { createDatabase } = require('../helpers/database');
+
+describe('AuditService', () => {
+    let dbService;
+    let auditService;
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+        auditService = new AuditService(dbService);
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('masks the secrets of nested values', () => {
+        expect(AuditService.redact({
+            username: 'alice',
+            password: 'hunter2',
+            settings: { rconPassword: 'secret', port: 4976, refreshToken: null },
+            players: [{ name: 'Zombie', totpCode: '123456' }]
+        })).toEqual({
+            username: 'alice',
+            password: '***',
+            settings: { rconPassword: '***', port: 4976, refreshToken: null },
+            players: [{ name: 'Zombie', totpCode: '***' }]
+        });
+        expect(AuditService.redact(undefined)).toBeNull();
+    });
+
+    test('stores the changed fields without the secrets', async () => {
+        await auditService.record({
+            actorType: 'user',
+            actorId: '1',
+            actorName: 'admin',
+            action: 'server.update',
+            targetType: 'server',
+            targetId: '1',
+            before: { name: 'Zombies', rconPassword: 'old' },
+            after: { name: 'Zombies EU', rconPassword: 'new' },
+            source: 'api'
+        });
+
+        const { entries, total } = await auditService.search({ action: 'server.update' });
+        expect(total).toBe(1);
+        expect(entries[0].getChanges()).toEqual({ name: { from: 'Zombies', to: 'Zombies EU' } });
+
+        const row = await dbService.get('SELECT * FROM audit_log');
+        expect(JSON.stringify(row)).not.toMatch(/"(old|new)"/);
+    });
+
+    test('never throws when an entry cannot be recorded', async () => {
+        expect(await auditService.record({ actorName: 'admin' })).toBeNull();
+        expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('An action is required'));
+    });
+
+    test('filters by actor, action prefix and result', async () => {
+        await auditService.record({ actorId: '1', actorName: 'admin', action: 'user.role', success: true });
+        await auditService.record({ actorId: '2', actorName: 'moderator', action: 'user.disable', success: false });
+        await auditService.record({ actorId: '2', actorName: 'moderator', action: 'server.restart', success: true });
+
+        expect((await auditService.search({ action: 'user.*' })).total).toBe(2);
+        expect((await auditService.search({ actor: 'moder' })).total).toBe(2);
+        expect((await auditService.search({ actor: '2', success: false })).entries.map(entry => entry.action)).toEqual(['user.disable']);
+        expect(await auditService.getActions()).toEqual(expect.arrayContaining(['user.role', 'user.disable', 'server.restart']));
+    });
+
+    test('exports CSV that spreadsheets do not run as formulas', async () => {
+        await auditService.record({ actorName: '=HYPERLINK("x")', action: 'player.kick', targetName: 'Zombie, the "best"' });
+
+        const csv = await auditService.exportCsv();
+        const [header, line] = csv.trim().split('\r\n');
+
+        expect(header.split(',')).toContain('actor_name');
+        expect(line).toContain(`"'=HYPERLINK(""x"")"`);
+        expect(line).toContain('"Zombie, the ""best"""');
+    });
+});
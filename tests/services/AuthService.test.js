@@ -0,0 +1,95 @@
+const jwt = require('jsonwebtoken');
+const AuthService = require('../../src/services/AuthService');
+const UserService = require('../../src/services/UserService');
+const { createDatabase, silentLogger } = require('../helpers/database');
+
+describe('AuthService sessions', () => {
+    let dbService;
+    let userService;
+    let authService;
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+        userService = new UserService(dbService, silentLogger);
+        authService = new AuthService(userService, silentLogger, { secret: 'test-secret', tokenExpiry: '15m' }, dbService);
+        await userService.createUser({ username: 'alice', password: 'correct horse', role: 'admin' });
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    const login = () => authService.authenticate('alice', 'correct horse', { userAgent: 'jest', ipAddress: '127.0.0.1' });
+
+    test('opens a session whose ID is carried by the access token', async () => {
+        const result = await login();
+
+        expect(result.success).toBe(true);
+        const { sid } = jwt.decode(result.token);
+        expect(result.refreshToken.startsWith(`${sid}.`)).toBe(true);
+        expect(await authService.verifyToken(result.token)).toMatchObject({ username: 'alice', sid });
+
+        const [session] = await authService.getSessions(result.user.id);
+        expect(session).toMatchObject({ id: sid, userAgent: 'jest', ipAddress: '127.0.0.1' });
+    });
+
+    test('rejects a wrong password without opening a session', async () => {
+        expect(await authService.authenticate('alice', 'wrong')).toEqual({ success: false, error: 'Invalid password' });
+        expect(await dbService.get('SELECT COUNT(*) AS count FROM sessions')).toEqual({ count: 0 });
+    });
+
+    test('rotates the refresh token on every use', async () => {
+        const first = await login();
+        const second = await authService.refreshSession(first.refreshToken);
+
+        expect(second.success).toBe(true);
+        expect(second.refreshToken).not.toBe(first.refreshToken);
+        expect(jwt.decode(second.token).sid).toBe(jwt.decode(first.token).sid);
+
+        const third = await authService.refreshSession(second.refreshToken);
+        expect(third.success).toBe(true);
+    });
+
+    test('revokes the session when a used refresh token comes back', async () => {
+        const first = await login();
+        const second = await authService.refreshSession(first.refreshToken);
+
+        const reused = await authService.refreshSession(first.refreshToken);
+        expect(reused).toMatchObject({ success: false, revokedSessionId: jwt.decode(first.token).sid });
+
+        // The stolen and the legitimate tokens both stop working
+        expect(await authService.refreshSession(second.refreshToken)).toMatchObject({ success: false });
+        expect(await authService.verifyToken(second.token)).toBeNull();
+    });
+
+    test('refuses malformed refresh tokens and tokens of revoked sessions', async () => {
+        expect(await authService.refreshSession('garbage')).toMatchObject({ success: false });
+        expect(await authService.refreshSession(null)).toMatchObject({ success: false });
+
+        const result = await login();
+        expect(await authService.revokeSession('someone-else', jwt.decode(result.token).sid)).toBe(false);
+        expect(await authService.revokeSession(result.user.id, jwt.decode(result.token).sid)).toBe(true);
+
+        expect(await authService.refreshSession(result.refreshToken)).toMatchObject({ success: false });
+        expect(await authService.verifyToken(result.token)).toBeNull();
+    });
+
+    test('refuses tokens without a session and tokens signed with another secret', async () => {
+        const user = await userService.getUserByUsername('alice');
+
+        expect(await authService.verifyToken(await authService.generateToken(user))).toBeNull();
+        expect(await authService.verifyToken(jwt.sign({ id: user.id }, 'other-secret'))).toBeNull();
+    });
+
+    test('logs out everywhere except the current session', async () => {
+        const current = await login();
+        const other = await login();
+        const currentSid = jwt.decode(current.token).sid;
+
+        const revoked = await authService.revokeAllSessions(current.user.id, currentSid);
+
+        expect(revoked).toEqual([jwt.decode(other.token).sid]);
+        expect(await authService.verifyToken(current.token)).not.toBeNull();
+        expect(await authService.verifyToken(other.token)).toBeNull();
+    });
+});
@@ -0,0 +1,110 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const ChatModerationService = require('../../src/services/ChatModerationService');
+const { createDatabase } = require('../helpers/database');
+
+describe('ChatModerationService', () => {
+    let dbService;
+    let moderation;
+    let eventService;
+
+    const createPlayer = (guid = 'abc') => ({
+        guid,
+        name: 'Zombie',
+        clientId: null,
+        hasPermission: () => false,
+        tell: jest.fn().mockResolvedValue(true),
+        kick: jest.fn().mockResolvedValue(true),
+        tempBan: jest.fn().mockResolvedValue(true)
+    });
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+        eventService = { emitAndStore: jest.fn().mockResolvedValue(true) };
+        moderation = new ChatModerationService(dbService, { on: jest.fn(), off: jest.fn() }, { eventService }, {
+            words: ['bad'],
+            patterns: ['discord\\.gg/\\w+', '(unclosed'],
+            escalation: { kickAt: 3, banAt: 4, banDuration: 600, decay: 60 }
+        });
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('normalizes color codes, leetspeak and separators', () => {
+        expect(ChatModerationService.normalize('^1B.4.D w0rd$!')).toBe('bad words');
+        expect(ChatModerationService.normalize('Sh!t')).toBe('shit');
+    });
+
+    test('filters words spelled with repeated or separated letters only as whole words', () => {
+        const check = (message) => moderation.containsFilteredWord(message, ChatModerationService.normalize(message));
+
+        expect(check('so baaaad')).toBe(true);
+        expect(check('b a d')).toBe(true);
+        expect(check('B4D')).toBe(true);
+        expect(check('badge')).toBe(false);
+        expect(check('join discord.gg/abc')).toBe(true);
+    });
+
+    test('detects flood, repeated messages and caps', () => {
+        const now = 1000000;
+
+        for (let i = 0; i < 5; i++) {
+            expect(moderation.check('1:flood', `message ${i}`, now + i)).toBeNull();
+        }
+        expect(moderation.check('1:flood', 'message 5', now + 5)).toBe('spamming the chat');
+
+        expect(moderation.check('1:repeat', 'gg', now)).toBeNull();
+        expect(moderation.check('1:repeat', 'GG!', now + 20000)).toBeNull();
+        expect(moderation.check('1:repeat', 'gg', now + 40000)).toBe('repeating the same message');
+
+        expect(moderation.check('1:caps', 'WHO TOOK MY PERKS', now)).toBe('excessive caps');
+        expect(moderation.check('1:caps', 'OK GG', now + 20000)).toBeNull();
+    });
+
+    test('escalates warnings to a kick then a temporary ban', async () => {
+        const player = createPlayer();
+        const say = () => moderation.handleMessage({ serverId: '1', player, message: 'bad' });
+
+        expect(await say()).toEqual({ reason: 'inappropriate language', action: 'warn', warnings: 1 });
+        expect(player.tell).toHaveBeenCalledWith('^3Warning 1/2: ^7inappropriate language');
+        expect(eventService.emitAndStore).toHaveBeenCalledWith('player.warning', expect.objectContaining({ serverId: '1' }), true);
+
+        await say();
+        expect((await say()).action).toBe('kick');
+        expect(player.kick).toHaveBeenCalledWith('Chat: inappropriate language', expect.anything());
+
+        expect((await say()).action).toBe('tempban');
+        expect(player.tempBan).toHaveBeenCalledWith('Chat: inappropriate language', expect.anything(), 600);
+    });
+
+    test('lets warnings decay one per period', () => {
+        const updatedAt = new Date(0).toISOString();
+
+        expect(ChatModerationService.decay({ count: 3, updatedAt }, 60, 59 * 1000)).toBe(3);
+        expect(ChatModerationService.decay({ count: 3, updatedAt }, 60, 125 * 1000)).toBe(1);
+        expect(ChatModerationService.decay({ count: 3, updatedAt }, 0, 999 * 1000)).toBe(3);
+        expect(ChatModerationService.decay(null, 60)).toBe(0);
+    });
+
+    test('stores the warnings of known players in their metadata', async () => {
+        await dbService.run('INSERT INTO players (id, name, guid) VALUES (?, ?, ?)', ['p1', 'Zombie', 'abc']);
+        const player = { ...createPlayer(), clientId: 'p1' };
+
+        await moderation.handleMessage({ serverId: '1', player, message: 'bad' });
+
+        expect(await moderation.getWarnings(player)).toBe(1);
+        expect(await moderation.getWarnings({ ...player, clientId: null, guid: 'other' })).toBe(0);
+    });
+
+    test('skips exempt players', async () => {
+        const player = { ...createPlayer(), hasPermission: (permission) => permission === 'chat.moderation.exempt' };
+
+        expect(await moderation.handleMessage({ serverId: '1', player, message: 'bad' })).toBeNull();
+        expect(player.tell).not.toHaveBeenCalled();
+    });
+});
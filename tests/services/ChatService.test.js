@@ -0,0 +1,91 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventEmitter = require('events');
+const ChatService = require('../../src/services/ChatService');
+const { createDatabase, waitFor } = require('../helpers/database');
+
+describe('ChatService', () => {
+    let dbService;
+    let serverManager;
+    let chatService;
+
+    const say = (serverId, name, message) => chatService.handleMessage({
+        serverId,
+        player: { guid: `guid-${name}`, name },
+        message
+    });
+
+    beforeEach(async () => {
+        // The match history is read from the stats tables, the chat is stored without it
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dbService = await createDatabase();
+        serverManager = new EventEmitter();
+        chatService = new ChatService(dbService, serverManager);
+    });
+
+    afterEach(async () => {
+        chatService.detach();
+        console.error.mockRestore();
+        await dbService.close();
+    });
+
+    test('stores the chat.message events of the servers once attached', async () => {
+        chatService.attach();
+        serverManager.emit('chat.message', { serverId: '1', player: { guid: 'abc', name: 'Zombie' }, message: 'hello' });
+
+        const { messages } = await waitFor(async () => {
+            const result = await chatService.search({ serverId: '1' });
+            return result.total > 0 && result;
+        });
+        expect(messages[0]).toMatchObject({ serverId: '1', playerGuid: 'abc', playerName: 'Zombie', message: 'hello' });
+    });
+
+    test('searches every word, the last one as a prefix', async () => {
+        await say('1', 'Alice', 'anyone for the easter egg');
+        await say('1', 'Bob', 'the egg is done');
+        await say('2', 'Carol', 'easter egg on origins');
+
+        const result = await chatService.search({ query: 'easter eg' });
+        expect(result.messages.map(message => message.playerName).sort()).toEqual(['Alice', 'Carol']);
+
+        expect((await chatService.search({ query: 'easter eg', serverId: '2' })).total).toBe(1);
+    });
+
+    test('searches operators typed by the user as text', async () => {
+        await say('1', 'Alice', 'camping OR training');
+        await say('1', 'Bob', 'camping');
+
+        expect((await chatService.search({ query: 'camping OR' })).total).toBe(1);
+        expect(ChatService.toMatchQuery(ChatService.tokenize('"a" b* (c)'))).toBe('"a" "b" "c"*');
+    });
+
+    test('falls back to LIKE without full-text search', async () => {
+        dbService.chatSearchEnabled = false;
+        await say('1', 'Alice', 'reached round 50%');
+        await say('1', 'Bob', 'reached round 5');
+
+        expect((await chatService.search({ query: '50%' })).messages.map(message => message.playerName)).toEqual(['Alice']);
+    });
+
+    test('returns the messages said around a message of the same server', async () => {
+        const messages = [];
+        for (let i = 1; i <= 5; i++) {
+            messages.push(await say('1', 'Alice', `message ${i}`));
+            await say('2', 'Bob', `other ${i}`);
+        }
+
+        const context = await chatService.getContext('1', messages[2].id, 1);
+        expect(context.map(message => message.message)).toEqual(['message 2', 'message 3', 'message 4']);
+
+        expect(await chatService.getContext('2', messages[2].id)).toBeNull();
+    });
+
+    test('reads the filters of a query string', () => {
+        expect(ChatService.parseQuery({ q: ' egg ', serverId: '1', from: '2026-01-01' }))
+            .toEqual({ query: 'egg', serverId: '1', from: new Date('2026-01-01') });
+        expect(() => ChatService.parseQuery({ to: 'yesterday' })).toThrow('Invalid date for to');
+    });
+});
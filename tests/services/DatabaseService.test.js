@@ -0,0 +1,59 @@
+const { createDatabase } = require('../helpers/database');
+
+describe('DatabaseService role permission migrations', () => {
+    let dbService;
+
+    const getPermissions = async (roleId) => (await dbService.all(
+        'SELECT permission FROM role_permissions WHERE role_id = ? ORDER BY permission',
+        [roleId]
+    )).map(row => row.permission);
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+    });
+
+    afterEach(() => dbService.close());
+
+    test('grants new permissions to a role seeded before them', async () => {
+        await dbService.migrateRolePermissions([
+            { version: 1000, roleId: 'moderator', permissions: ['example.view', 'example.manage'] }
+        ]);
+
+        expect(await getPermissions('moderator')).toEqual(expect.arrayContaining(['example.manage', 'example.view', 'kick']));
+    });
+
+    test('applies each migration once', async () => {
+        const migrations = [{ version: 1000, roleId: 'moderator', permissions: ['example.view'] }];
+
+        await dbService.migrateRolePermissions(migrations);
+        await dbService.run('DELETE FROM role_permissions WHERE role_id = ? AND permission = ?', ['moderator', 'example.view']);
+        await dbService.migrateRolePermissions(migrations);
+
+        expect(await getPermissions('moderator')).not.toContain('example.view');
+    });
+
+    test('records migrations of a deleted role without granting anything', async () => {
+        await dbService.migrateRolePermissions([
+            { version: 1000, roleId: 'helper', permissions: ['example.view'] }
+        ]);
+
+        expect(await getPermissions('helper')).toEqual([]);
+        expect(await dbService.get('SELECT version FROM role_permission_migrations WHERE version = 1000')).toEqual({ version: 1000 });
+    });
+
+    test('grants the permissions added since the first release to moderators of older databases', async () => {
+        const added = [
+            'chat.view',
+            'reports.view', 'reports.manage',
+            'warnings.add', 'warnings.clear', 'warnings.view'
+        ];
+        expect(await getPermissions('moderator')).toEqual(expect.arrayContaining(added));
+
+        // A database seeded before these permissions existed
+        await dbService.run('DELETE FROM role_permission_migrations');
+        await dbService.run(`DELETE FROM role_permissions WHERE role_id = 'moderator' AND permission IN (${added.map(() => '?').join(', ')})`, added);
+
+        await dbService.migrateRolePermissions();
+        expect(await getPermissions('moderator')).toEqual(expect.arrayContaining(added));
+    });
+});
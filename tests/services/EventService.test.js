@@ -0,0 +1,54 @@
+const EventService = require('../../src/services/EventService');
+const { createDatabase } = require('../helpers/database');
+
+describe('EventService', () => {
+    let dbService;
+    let eventService;
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+        eventService = new EventService(dbService);
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('emits an event and stores it when asked to', async () => {
+        const listener = jest.fn();
+        eventService.on('zombies.match.ended', listener);
+
+        const stored = await eventService.emitAndStore('zombies.match.ended', { serverId: '1', matchId: 'm1', round: 12 }, true);
+
+        expect(listener).toHaveBeenCalledWith({ serverId: '1', matchId: 'm1', round: 12 });
+        expect(stored.id).toEqual(expect.any(Number));
+
+        const { total, events } = await eventService.getEvents({ type: 'zombies.match.ended' });
+        expect(total).toBe(1);
+        expect(events[0]).toMatchObject({
+            id: stored.id,
+            serverId: '1',
+            type: 'zombies.match.ended',
+            data: { serverId: '1', matchId: 'm1', round: 12 }
+        });
+    });
+
+    test('stores the penalty events of a player', async () => {
+        await eventService.emitAndStore('player.penalty.kick', {
+            serverId: '1',
+            playerId: 'p1',
+            data: { reason: 'camping' }
+        }, true);
+
+        const { events } = await eventService.getEvents({ playerId: 'p1' });
+        expect(events).toEqual([expect.objectContaining({
+            type: 'player.penalty.kick',
+            data: expect.objectContaining({ reason: 'camping' })
+        })]);
+    });
+
+    test('only emits the events it is not asked to store', async () => {
+        expect(await eventService.emitAndStore('game.round_start', { serverId: '1' })).toBeNull();
+        expect((await eventService.getEvents()).total).toBe(0);
+    });
+});
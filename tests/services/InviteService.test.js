@@ -0,0 +1,66 @@
+const InviteService = require('../../src/services/InviteService');
+const PermissionService = require('../../src/services/PermissionService');
+const UserService = require('../../src/services/UserService');
+const { createDatabase, silentLogger } = require('../helpers/database');
+
+describe('InviteService', () => {
+    let dbService;
+    let userService;
+    let inviteService;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dbService = await createDatabase();
+        userService = new UserService(dbService, silentLogger);
+        inviteService = new InviteService(dbService, userService, new PermissionService(dbService));
+    });
+
+    afterEach(async () => {
+        console.error.mockRestore();
+        await dbService.close();
+    });
+
+    test('registers a user with the role of the invite, once', async () => {
+        const { invite, token } = await inviteService.createInvite({ role: 'moderator', email: 'mod@example.com' });
+        expect(token.startsWith(`${invite.id}.`)).toBe(true);
+
+        const result = await inviteService.acceptInvite(token, { username: 'mod', password: 'secret123' });
+        expect(result.success).toBe(true);
+        expect(result.user).toMatchObject({ username: 'mod', role: 'moderator', email: 'mod@example.com' });
+
+        const again = await inviteService.acceptInvite(token, { username: 'mod2', password: 'secret123' });
+        expect(again).toEqual({ success: false, error: 'Invalid or expired invite', code: 400 });
+        expect(await userService.getUserByUsername('mod2')).toBeNull();
+    });
+
+    test('refuses a token with a wrong secret', async () => {
+        const { invite } = await inviteService.createInvite({});
+
+        expect(await inviteService.getValidInvite(`${invite.id}.wrong`)).toBeNull();
+        expect(await inviteService.getValidInvite('malformed')).toBeNull();
+    });
+
+    test('refuses revoked and expired invites', async () => {
+        const revoked = await inviteService.createInvite({});
+        expect(await inviteService.revokeInvite(revoked.invite.id)).toBe(true);
+        expect(await inviteService.getValidInvite(revoked.token)).toBeNull();
+
+        const expired = await inviteService.createInvite({ expiresInHours: 1 });
+        await dbService.run('UPDATE user_invites SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), expired.invite.id]);
+        expect(await inviteService.getValidInvite(expired.token)).toBeNull();
+    });
+
+    test('validates the role and the expiry of new invites', async () => {
+        await expect(inviteService.createInvite({ role: 'ghost' })).rejects.toThrow('Unknown role: ghost');
+        await expect(inviteService.createInvite({ expiresInHours: 24 * 31 })).rejects.toThrow('must expire within');
+    });
+
+    test('keeps the invite usable when the username is taken', async () => {
+        await userService.createUser({ username: 'taken', password: 'secret123' });
+        const { token } = await inviteService.createInvite({});
+
+        expect(await inviteService.acceptInvite(token, { username: 'taken', password: 'secret123' }))
+            .toMatchObject({ success: false, error: 'Username already exists', code: 400 });
+        expect(await inviteService.getValidInvite(token)).not.toBeNull();
+    });
+});
@@ -0,0 +1,92 @@
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const MapVoteService = require('../../src/services/MapVoteService');
+const { waitFor } = require('../helpers/database');
+
+describe('MapVoteService', () => {
+    let server;
+    let mapRotationService;
+    let mapVoteService;
+
+    const player = (guid) => ({ guid, name: `Player${guid}`, isOnline: true });
+
+    beforeEach(() => {
+        server = {
+            id: '1',
+            name: 'Zombies',
+            config: {},
+            players: [player('1'), player('2'), player('3')],
+            say: jest.fn().mockResolvedValue(true)
+        };
+        mapRotationService = {
+            getRotation: jest.fn().mockResolvedValue({
+                entries: [{ map: 'zm_transit', gametype: 'zclassic' }, { map: 'zm_prison', gametype: 'zgrief' }]
+            }),
+            changeMap: jest.fn().mockResolvedValue(true),
+            rotate: jest.fn().mockResolvedValue(true)
+        };
+        mapVoteService = new MapVoteService({ getServerById: () => server }, {
+            mapRotationService,
+            configService: { config: { commands: { prefix: '!' }, mapVote: { countdown: [] } } }
+        });
+    });
+
+    afterEach(() => {
+        mapVoteService.stop();
+    });
+
+    test('counts votes until the quorum, then changes to the voted map with its gametype', async () => {
+        const first = await mapVoteService.voteMap(server, server.players[0], 'prison');
+        expect(first.message).toContain('(1/2)');
+        expect(server.say).toHaveBeenCalledWith(expect.stringContaining('type ^5!votemap <map>^7 or ^5!rtv'));
+        expect(mapVoteService.getVote('1').tally).toEqual([{ choice: 'zm_prison', count: 1 }]);
+
+        const second = await mapVoteService.voteMap(server, server.players[1], 'zm_prison');
+        expect(second.message).toContain('Vote passed');
+
+        await waitFor(() => mapRotationService.changeMap.mock.calls.length > 0);
+        expect(mapRotationService.changeMap).toHaveBeenCalledWith('1', 'zm_prison', 'zgrief');
+        await waitFor(() => mapVoteService.getVote('1') === null);
+    });
+
+    test('rejects maps that are not in the rotation', async () => {
+        const result = await mapVoteService.voteMap(server, server.players[0], 'zm_tomb');
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('zm_transit');
+        expect(mapVoteService.getVote('1')).toBeNull();
+    });
+
+    test('does not count the votes of disconnected players', async () => {
+        await mapVoteService.rockTheVote(server, server.players[0]);
+        server.players[0].isOnline = false;
+
+        const result = await mapVoteService.rockTheVote(server, server.players[1]);
+        expect(result.message).toContain('(1/2)');
+        expect(mapRotationService.rotate).not.toHaveBeenCalled();
+    });
+
+    test('rocking the vote loads the next map of the rotation', async () => {
+        await mapVoteService.rockTheVote(server, server.players[0]);
+        await mapVoteService.rockTheVote(server, server.players[1]);
+
+        await waitFor(() => mapRotationService.rotate.mock.calls.length > 0);
+        expect(mapRotationService.rotate).toHaveBeenCalledWith('1');
+    });
+
+    test('a cancelled countdown does not change the map', async () => {
+        mapVoteService.config = { countdown: [1] };
+
+        await mapVoteService.rockTheVote(server, server.players[0]);
+        await mapVoteService.rockTheVote(server, server.players[1]);
+        expect(await mapVoteService.rockTheVote(server, server.players[2])).toMatchObject({ success: false });
+
+        expect(mapVoteService.cancelVote('1')).toBe(true);
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(mapRotationService.rotate).not.toHaveBeenCalled();
+        expect(mapVoteService.getVote('1')).toBeNull();
+    });
+});
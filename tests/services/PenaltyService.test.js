@@ -0,0 +1,77 @@
+const PenaltyService = require('../../src/services/PenaltyService');
+const Penalty = require('../../src/models/Penalty');
+const { createDatabase } = require('../helpers/database');
+
+const GUID = '1234567';
+
+describe('PenaltyService', () => {
+    let dbService;
+    let penaltyService;
+
+    const getPlayer = () => dbService.get('SELECT banned, ban_reason, ban_expiry FROM players WHERE guid = ?', [GUID]);
+
+    const expire = (penalty) => dbService.run(
+        'UPDATE penalties SET expires_at = ? WHERE id = ?',
+        [new Date(Date.now() - 1000).toISOString(), penalty.id]
+    );
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        dbService = await createDatabase();
+        penaltyService = new PenaltyService(dbService);
+        await dbService.run('INSERT INTO players (id, name, guid) VALUES (?, ?, ?)', ['p1', 'Player One', GUID]);
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+        console.error.mockRestore();
+    });
+
+    test('validates the penalty type, target and duration', async () => {
+        await expect(penaltyService.addPenalty({ type: 'PENALTY_WARN', playerGuid: GUID })).rejects.toThrow('Invalid penalty type');
+        await expect(penaltyService.addPenalty({ type: Penalty.Types.KICK })).rejects.toThrow('GUID is required');
+        await expect(penaltyService.addPenalty({ type: Penalty.Types.TEMP_BAN, playerGuid: GUID, duration: 0 }))
+            .rejects.toThrow('positive duration');
+    });
+
+    test('a temporary ban expires', async () => {
+        const tempBan = await penaltyService.addPenalty({ type: Penalty.Types.TEMP_BAN, playerGuid: GUID, reason: 'Spam', duration: 3600 });
+
+        expect((await penaltyService.getActiveBan(GUID)).id).toBe(tempBan.id);
+        expect(await getPlayer()).toMatchObject({ banned: 1, ban_reason: 'Spam', ban_expiry: tempBan.expiresAt.toISOString() });
+
+        await expire(tempBan);
+        expect(await penaltyService.getActiveBan(GUID)).toBeNull();
+    });
+
+    test('a temporary ban does not replace a permanent ban', async () => {
+        const permaBan = await penaltyService.addPenalty({ type: Penalty.Types.PERMA_BAN, playerGuid: GUID, reason: 'Cheating' });
+        const tempBan = await penaltyService.addPenalty({ type: Penalty.Types.TEMP_BAN, playerGuid: GUID, reason: 'Spam', duration: 60 });
+
+        expect(await getPlayer()).toEqual({ banned: 1, ban_reason: 'Cheating', ban_expiry: null });
+
+        await expire(tempBan);
+        expect((await penaltyService.getActiveBan(GUID)).id).toBe(permaBan.id);
+    });
+
+    test('revoking a ban keeps the ban flag of the remaining one', async () => {
+        const permaBan = await penaltyService.addPenalty({ type: Penalty.Types.PERMA_BAN, playerGuid: GUID, reason: 'Cheating' });
+        const tempBan = await penaltyService.addPenalty({ type: Penalty.Types.TEMP_BAN, playerGuid: GUID, reason: 'Spam', duration: 60 });
+
+        expect((await penaltyService.revokePenalty(permaBan.id, 'admin')).success).toBe(true);
+        expect(await getPlayer()).toMatchObject({ banned: 1, ban_reason: 'Spam', ban_expiry: tempBan.expiresAt.toISOString() });
+
+        await penaltyService.revokePenalty(tempBan.id, 'admin');
+        expect(await getPlayer()).toEqual({ banned: 0, ban_reason: null, ban_expiry: null });
+
+        expect(await penaltyService.revokePenalty(tempBan.id, 'admin')).toEqual({ success: false, error: 'Penalty is already revoked' });
+    });
+
+    test('matches bans by IP address only when asked to', async () => {
+        await penaltyService.addPenalty({ type: Penalty.Types.PERMA_BAN, playerGuid: GUID, playerIp: '10.0.0.5:28960' });
+
+        expect(await penaltyService.getActiveBan('7654321')).toBeNull();
+        expect(await penaltyService.getActiveBan('7654321', '10.0.0.5:28961')).not.toBeNull();
+    });
+});
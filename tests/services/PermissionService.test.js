@@ -0,0 +1,54 @@
+const PermissionService = require('../../src/services/PermissionService');
+const { createDatabase } = require('../helpers/database');
+
+describe('PermissionService', () => {
+    test('matches exact permissions and wildcards', () => {
+        expect(PermissionService.matches(['*'], 'ban')).toBe(true);
+        expect(PermissionService.matches(['reports.*'], 'reports.manage')).toBe(true);
+        expect(PermissionService.matches(['reports.*'], 'reports')).toBe(true);
+        expect(PermissionService.matches(['reports.*'], 'reportsx')).toBe(false);
+        expect(PermissionService.matches(['kick'], 'ban')).toBe(false);
+        expect(PermissionService.matches([], null)).toBe(true);
+    });
+
+    describe('with the default roles', () => {
+        let dbService;
+        let permissionService;
+
+        beforeEach(async () => {
+            dbService = await createDatabase();
+            permissionService = new PermissionService(dbService);
+        });
+
+        afterEach(() => dbService.close());
+
+        test('inherits the permissions of parent roles', async () => {
+            await permissionService.assignRole({ roleId: 'moderator', subjectType: 'player', subjectId: '1234567' });
+
+            const { roles, permissions } = await permissionService.resolve({ guid: '1234567' });
+
+            expect(roles).toEqual(expect.arrayContaining(['moderator', 'vip', 'player']));
+            expect(permissions).toEqual(expect.arrayContaining(['kick', 'stats']));
+            expect(await permissionService.hasPermission({ guid: '1234567' }, 'users.manage')).toBe(false);
+        });
+
+        test('limits server roles to their server', async () => {
+            await permissionService.assignRole({ roleId: 'admin', subjectType: 'player', subjectId: '1234567', serverId: 2 });
+
+            expect(await permissionService.hasPermission({ guid: '1234567' }, 'ban', '2')).toBe(true);
+            expect(await permissionService.hasPermission({ guid: '1234567' }, 'ban', '3')).toBe(false);
+            expect(await permissionService.hasPermission({ guid: '1234567' }, 'ban')).toBe(false);
+        });
+
+        test('refuses unknown roles and subject types', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await expect(permissionService.assignRole({ roleId: 'owner', subjectType: 'player', subjectId: '1' }))
+                .rejects.toThrow('Unknown role');
+            await expect(permissionService.assignRole({ roleId: 'admin', subjectType: 'group', subjectId: '1' }))
+                .rejects.toThrow('Invalid subject type');
+
+            console.error.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,88 @@
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const dgram = require('dgram');
+const QueryService = require('../../src/services/QueryService');
+const T6 = require('../../src/core/RconCommandPrefixes/T6');
+
+const HEADER = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+const packet = (text) => Buffer.concat([HEADER, Buffer.from(text)]);
+
+describe('QueryService', () => {
+    test('parses infostrings and player lines', () => {
+        expect(QueryService.parseInfoString('\\hostname\\Zombies\\mapname\\zm_transit\\clients\\2')).toEqual({
+            hostname: 'Zombies',
+            mapname: 'zm_transit',
+            clients: '2'
+        });
+        expect(QueryService.parsePlayers(['1250 48 "Player One"', 'garbage', '0 999 "Bot ^1Two"'])).toEqual([
+            { score: 1250, ping: 48, name: 'Player One' },
+            { score: 0, ping: 999, name: 'Bot ^1Two' }
+        ]);
+    });
+
+    test('summarizes the key names used by the different games', () => {
+        expect(QueryService.summarize({ sv_hostname: 'Zombies', g_gametype: 'zclassic', sv_maxclients: '8', clients: '3' })).toEqual({
+            hostname: 'Zombies',
+            mapName: null,
+            gametype: 'zclassic',
+            playerCount: 3,
+            maxClients: 8
+        });
+    });
+
+    describe('against a game server', () => {
+        let gameServer;
+        let received;
+        let reply;
+        let query;
+
+        beforeEach(async () => {
+            received = [];
+            reply = () => {};
+
+            gameServer = dgram.createSocket('udp4');
+            gameServer.on('message', (message, info) => {
+                received.push(message.subarray(HEADER.length).toString());
+                reply((text) => gameServer.send(packet(text), info.port, info.address), received.length);
+            });
+            await new Promise(resolve => gameServer.bind(0, '127.0.0.1', resolve));
+
+            query = new QueryService('127.0.0.1', gameServer.address().port, T6, { timeout: 100, retries: 1 });
+        });
+
+        afterEach(() => {
+            query.close();
+            gameServer.close();
+        });
+
+        test('reads the players of a getstatus reply', async () => {
+            reply = (send) => send('statusResponse\n\\sv_hostname\\Zombies\\mapname\\zm_nuked\n250 30 "Player One"\n');
+
+            expect(await query.getStatus()).toMatchObject({
+                success: true,
+                hostname: 'Zombies',
+                mapName: 'zm_nuked',
+                playerCount: 1,
+                players: [{ score: 250, ping: 30, name: 'Player One' }]
+            });
+            expect(received).toEqual(['getstatus']);
+        });
+
+        test('ignores late replies to another query and retries on packet loss', async () => {
+            reply = (send, count) => {
+                send('statusResponse\n\\mapname\\zm_old\n');
+                if (count === 2) send('infoResponse\n\\hostname\\Zombies\\clients\\4');
+            };
+
+            expect(await query.getInfo()).toMatchObject({ success: true, hostname: 'Zombies', playerCount: 4 });
+            expect(received).toEqual(['getinfo', 'getinfo']);
+        });
+
+        test('reports a server that does not answer', async () => {
+            expect(await query.getInfo()).toEqual({ success: false, error: 'Query timed out: infoResponse' });
+            expect(received).toHaveLength(2);
+        });
+    });
+});
@@ -0,0 +1,43 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const RankService = require('../../src/services/RankService');
+const ServerInstanceService = require('../../src/services/ServerInstanceService');
+
+describe('RankService', () => {
+    let server;
+    let rankService;
+
+    beforeEach(() => {
+        server = new ServerInstanceService({
+            id: 1,
+            name: 'Zombies',
+            address: '127.0.0.1',
+            port: 4976,
+            rconPassword: 'secret',
+            game: 't6'
+        }, {});
+        server.rcon.executeCommandAsync = jest.fn().mockResolvedValue('');
+
+        rankService = new RankService({}, { getServerById: () => server });
+    });
+
+    afterEach(() => {
+        server.rcon.socket.close();
+    });
+
+    test('keeps player names inside the quoted message of the announces', async () => {
+        const ladder = { name: 'Combat', announce: true };
+
+        await rankService.announce(1, [
+            { ladder, name: 'Evil";quit', to: { name: 'Veteran', color: '^3' }, promoted: true },
+            { ladder: { ...ladder, announce: false }, name: 'Quiet', to: { name: 'Recruit', color: '^7' }, promoted: false }
+        ]);
+
+        expect(server.rcon.executeCommandAsync.mock.calls).toEqual([
+            ['say "^5Evil\',quit^7 has been promoted to ^3Veteran^7 (Combat)"']
+        ]);
+    });
+});
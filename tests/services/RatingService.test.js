@@ -0,0 +1,97 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventEmitter = require('events');
+const RatingService = require('../../src/services/RatingService');
+const { createDatabase } = require('../helpers/database');
+
+describe('RatingService', () => {
+    let dbService;
+    let ratingService;
+
+    const alice = { guid: 'g1', name: 'Alice' };
+    const bob = { guid: 'g2', name: 'Bob' };
+
+    const kill = (attacker, victim, times = 1) => {
+        for (let i = 0; i < times; i++) {
+            ratingService.handleKill({ serverId: '1', attacker, victim });
+        }
+    };
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+        ratingService = new RatingService(dbService, new EventEmitter(), {
+            configService: { config: { ratings: { leaderboardMinMatches: 1 } } }
+        });
+    });
+
+    afterEach(async () => {
+        ratingService.detach();
+        await dbService.close();
+    });
+
+    test('rates a match from the kills read in the log', async () => {
+        await ratingService.handleMatchStart({ serverId: '1', game: 't6', gametype: 'dm', mapName: 'mp_raid' });
+        kill(alice, bob, 4);
+        kill(bob, alice, 1);
+        kill(alice, alice);
+
+        const changes = await ratingService.finishLiveMatch('1');
+
+        expect(changes.map(change => change.key)).toEqual(['g1', 'g2']);
+        expect(changes[0].delta).toBeGreaterThan(0);
+        expect(changes[1].delta).toBeLessThan(0);
+
+        const { ratings } = await ratingService.getLeaderboard({ game: 't6', mode: 'dm' });
+        expect(ratings.map(rating => rating.playerName)).toEqual(['Alice', 'Bob']);
+        expect(ratings[0]).toMatchObject({ matches: 1, kills: 4, deaths: 1 });
+    });
+
+    test('does not rate players below the minimum of kills and deaths', async () => {
+        await ratingService.handleMatchStart({ serverId: '1', game: 't6', gametype: 'dm' });
+        kill(alice, bob, 2);
+
+        expect(await ratingService.finishLiveMatch('1')).toEqual([]);
+        expect((await ratingService.getLeaderboard({ game: 't6', mode: 'dm' })).total).toBe(0);
+    });
+
+    test('rates a match only once', async () => {
+        const match = {
+            matchId: 'stored-1',
+            serverId: '1',
+            game: 't6',
+            mode: 'tdm',
+            players: [
+                { guid: 'g1', name: 'Alice', team: 'allies', kills: 5, deaths: 1, score: 0 },
+                { guid: 'g2', name: 'Bob', team: 'axis', kills: 1, deaths: 5, score: 0 }
+            ],
+            teamScores: { allies: 75, axis: 10 },
+            source: 'stored'
+        };
+
+        expect(await ratingService.rateMatch(match)).toHaveLength(2);
+        expect(await ratingService.rateMatch(match)).toBeNull();
+    });
+
+    test('a new match start rates the match still followed on the server', async () => {
+        await ratingService.handleMatchStart({ serverId: '1', game: 't6', gametype: 'dm' });
+        kill(alice, bob, 3);
+        kill(bob, alice, 3);
+
+        await ratingService.handleMatchStart({ serverId: '1', game: 't6', gametype: 'dm' });
+
+        expect((await ratingService.getLeaderboard({ game: 't6', mode: 'dm' })).total).toBe(2);
+        expect(ratingService.liveMatches.get('1').players.size).toBe(0);
+    });
+
+    test('sums the team scores of a stored match', () => {
+        expect(RatingService.getTeamScores([
+            { team: 'allies', score: 10 },
+            { team: 'allies', score: 5 },
+            { team: 'axis', score: 7 }
+        ])).toEqual({ allies: 15, axis: 7 });
+        expect(RatingService.getTeamScores([{ team: 'allies', score: 10 }])).toBeNull();
+    });
+});
@@ -0,0 +1,73 @@
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const RconConsoleService = require('../../src/services/RconConsoleService');
+const { createDatabase } = require('../helpers/database');
+
+describe('RconConsoleService', () => {
+    const user = { id: 'u1', username: 'admin' };
+    let dbService;
+    let server;
+    let consoleService;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        dbService = await createDatabase();
+        server = {
+            name: 'Zombies',
+            running: true,
+            isRunning() { return this.running; },
+            rcon: {
+                executeCommandAsync: jest.fn().mockResolvedValue('map: zm_transit'),
+                commandPrefixes: { Dvars: { mapname: 'mapname', hostname: 'sv_hostname' } }
+            }
+        };
+        consoleService = new RconConsoleService(dbService, { getServerById: () => server });
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+        console.error.mockRestore();
+    });
+
+    test('runs a command and records it with its response', async () => {
+        const responses = [];
+        consoleService.on('command.response', entry => responses.push(entry));
+
+        const entry = await consoleService.execute('1', '  mapname  ', user);
+
+        expect(server.rcon.executeCommandAsync).toHaveBeenCalledWith('mapname');
+        expect(entry).toMatchObject({ serverId: '1', command: 'mapname', response: 'map: zm_transit', success: true, source: 'api' });
+        expect(responses).toEqual([entry]);
+        expect(await consoleService.getHistory('u1', '1')).toEqual(['mapname']);
+    });
+
+    test('records failed commands', async () => {
+        server.rcon.executeCommandAsync.mockRejectedValue(new Error('RCON request timed out'));
+
+        const entry = await consoleService.execute('1', 'status', user, 'socket');
+
+        expect(entry).toMatchObject({ success: false, response: 'RCON request timed out' });
+        expect(await consoleService.getRecentCommands('1')).toEqual([
+            expect.objectContaining({ command: 'status', success: false, source: 'socket' })
+        ]);
+    });
+
+    test('refuses empty, multi-line and offline commands', async () => {
+        await expect(consoleService.execute('1', ' ', user)).rejects.toThrow('A command is required');
+        await expect(consoleService.execute('1', 'say hi\nquit', user)).rejects.toThrow('single command');
+
+        server.running = false;
+        await expect(consoleService.execute('1', 'status', user)).rejects.toThrow('Server is not running');
+        expect(server.rcon.executeCommandAsync).not.toHaveBeenCalled();
+    });
+
+    test('suggests common commands and the dvars of the game', () => {
+        const suggestions = consoleService.getSuggestions('1');
+
+        expect(suggestions).toEqual(expect.arrayContaining(['status', 'mapname', 'sv_hostname']));
+        expect(suggestions).toEqual([...suggestions].sort((a, b) => a.localeCompare(b)));
+    });
+});
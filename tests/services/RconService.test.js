@@ -0,0 +1,97 @@
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const dgram = require('dgram');
+const RconService = require('../../src/services/RconService');
+
+const HEADER = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+const print = (text) => Buffer.concat([HEADER, Buffer.from(`print\n${text}`)]);
+
+describe('RconService', () => {
+    let gameServer;
+    let received;
+    let reply;
+    let rcon;
+
+    beforeEach(async () => {
+        received = [];
+        reply = () => {};
+
+        // Game server answering with whatever the test wants
+        gameServer = dgram.createSocket('udp4');
+        gameServer.on('message', (message, info) => {
+            received.push(message.subarray(HEADER.length).toString());
+            reply(message, (packet) => gameServer.send(packet, info.port, info.address), received.length);
+        });
+        await new Promise(resolve => gameServer.bind(0, '127.0.0.1', resolve));
+
+        rcon = new RconService('127.0.0.1', gameServer.address().port, 'secret', 't6', null, {
+            timeout: 150,
+            retries: 2,
+            idleWindow: 30
+        });
+        rcon.commandDelay = 0;
+    });
+
+    afterEach(() => {
+        rcon.socket.close();
+        gameServer.close();
+    });
+
+    test('reassembles a response split over several packets', async () => {
+        reply = (message, send) => {
+            send(print('map: zm_transit\n'));
+            send(print('num score ping guid\n'));
+        };
+
+        expect(await rcon.executeCommandAsync('status')).toBe('map: zm_transit\nnum score ping guid\n');
+        expect(received).toEqual(['rcon secret status']);
+    });
+
+    test('rejects commands refused by the server', async () => {
+        reply = (message, send) => send(print('Invalid password.\n'));
+
+        await expect(rcon.executeCommandAsync('status')).rejects.toThrow('Command rejected by server: Invalid password.');
+        expect(received).toHaveLength(1);
+    });
+
+    test('sends read-only commands again when no reply arrives', async () => {
+        reply = (message, send, count) => {
+            if (count === 2) send(print('"sv_hostname" is: "Zombies^7"\n'));
+        };
+
+        expect(await rcon.getDvar('sv_hostname')).toEqual({ success: true, name: 'sv_hostname', value: 'Zombies' });
+        expect(received).toEqual(['rcon secret sv_hostname', 'rcon secret sv_hostname']);
+    });
+
+    test('sends state-changing commands only once', async () => {
+        await expect(rcon.executeCommandAsync('say "Restart in 1 minute"')).rejects.toThrow('Command timed out');
+        await expect(rcon.executeCommandAsync('map zm_nuked')).rejects.toThrow('Command timed out');
+
+        expect(received).toEqual(['rcon secret say "Restart in 1 minute"', 'rcon secret map zm_nuked']);
+    });
+
+    test('gives up on read-only commands after the configured retries', async () => {
+        await expect(rcon.executeCommandAsync('serverinfo')).rejects.toThrow('Command timed out');
+        expect(received).toHaveLength(3);
+    });
+
+    test('recognizes read-only commands', () => {
+        expect(RconService.isReadOnlyCommand(' STATUS ')).toBe(true);
+        expect(RconService.isReadOnlyCommand('cvarlist sv_')).toBe(true);
+        expect(RconService.isReadOnlyCommand('clientkick 3')).toBe(false);
+        expect(RconService.isReadOnlyCommand('tempbanclient 3')).toBe(false);
+        expect(RconService.isReadOnlyCommand('')).toBe(false);
+    });
+
+    test('keeps player text inside the quoted message of say and tell', async () => {
+        await rcon.say('No player matches \'x";quit\'');
+        await rcon.tell('Evil;quit', 'Reported "x";map mp_nuketown');
+
+        expect(received).toEqual([
+            'rcon secret say "No player matches \'x\',quit\'"',
+            'rcon secret tell Evil,quit "Reported \'x\',map mp_nuketown"'
+        ]);
+    });
+});
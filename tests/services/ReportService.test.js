@@ -0,0 +1,112 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventEmitter = require('events');
+const ReportService = require('../../src/services/ReportService');
+const { createDatabase } = require('../helpers/database');
+
+describe('ReportService', () => {
+    let dbService;
+    let serverManager;
+    let server;
+    let reportService;
+    let reporter;
+    let target;
+    let staff;
+
+    const createPlayer = (guid, name, permissions = []) => ({
+        guid,
+        name,
+        clientId: null,
+        hasPermission: (permission) => permissions.includes(permission),
+        tell: jest.fn().mockResolvedValue(true)
+    });
+
+    const moderator = { id: 'u1', username: 'moderator' };
+    const admin = { id: 'u2', username: 'admin' };
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+
+        reporter = createPlayer('r1', 'Reporter');
+        target = createPlayer('t1', 'Target');
+        staff = createPlayer('s1', 'Staff', ['reports.notify']);
+        server = { id: '1', name: 'Zombies', players: [reporter, target, staff], emit: jest.fn() };
+
+        serverManager = new EventEmitter();
+        serverManager.getServers = () => [server];
+        reportService = new ReportService(dbService, serverManager, {
+            configService: { config: { reports: { cooldown: 60 } } }
+        });
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    const report = (from = reporter, reason = 'wallhacking') => reportService.createReport({ server, reporter: from, target, reason });
+
+    test('stores a report and tells the online staff and the dashboard', async () => {
+        const updates = [];
+        serverManager.on('report.update', update => updates.push(update));
+
+        const result = await report();
+
+        expect(result.success).toBe(true);
+        expect(result.report).toMatchObject({ serverId: '1', reporterName: 'Reporter', targetGuid: 't1', reason: 'wallhacking' });
+        expect(staff.tell).toHaveBeenCalledWith(expect.stringContaining('Reporter^7 reported ^5Target^7 on Zombies'));
+        expect(target.tell).not.toHaveBeenCalled();
+        expect(server.emit).toHaveBeenCalledWith('report', reporter, target, 'wallhacking');
+        expect(updates.map(update => update.action)).toEqual(['created']);
+    });
+
+    test('refuses self reports, short reasons and reports during the cooldown', async () => {
+        expect(await reportService.createReport({ server, reporter, target: reporter, reason: 'cheater' }))
+            .toMatchObject({ success: false, code: 400 });
+        expect(await report(reporter, 'x')).toMatchObject({ success: false, error: 'A reason is required' });
+
+        await report();
+        expect(await report()).toMatchObject({ success: false, code: 429 });
+
+        // The system user is not limited
+        expect((await report({ name: 'System' })).success).toBe(true);
+    });
+
+    test('refuses a second pending report on the same player', async () => {
+        const first = await report();
+        reportService.lastReports.clear();
+
+        expect(await report()).toMatchObject({ success: false, code: 409, error: `You already reported Target (#${first.report.id})` });
+    });
+
+    test('attaches the recent chat of the reported player', async () => {
+        await dbService.run(
+            'INSERT INTO chat_messages (server_id, player_guid, player_name, message) VALUES (?, ?, ?, ?), (?, ?, ?, ?)',
+            ['1', 't1', 'Target', 'easy aimbot', '1', 'r1', 'Reporter', 'stop cheating']
+        );
+
+        const { report: created } = await report();
+        const evidence = (await reportService.getReport(created.id)).evidence;
+
+        expect(evidence).toHaveLength(1);
+        expect(evidence[0]).toMatchObject({ type: 'chat' });
+    });
+
+    test('lets the staff member who claimed a report close it and tells the reporter', async () => {
+        const { report: created } = await report();
+
+        expect((await reportService.claim(created.id, moderator)).success).toBe(true);
+        expect(await reportService.claim(created.id, admin)).toMatchObject({ success: false, code: 409 });
+        expect(await reportService.resolve(created.id, admin, 'resolved')).toMatchObject({ success: false, code: 409 });
+
+        expect(await reportService.resolve(created.id, moderator, 'closed')).toMatchObject({ success: false, code: 400 });
+
+        const result = await reportService.resolve(created.id, moderator, 'resolved', 'Banned');
+        expect(result.report).toMatchObject({ status: 'resolved', resolvedByName: 'moderator', resolution: 'Banned' });
+        expect(reporter.tell).toHaveBeenCalledWith(expect.stringContaining('was ^2handled'));
+
+        expect(await reportService.resolve(created.id, moderator, 'rejected')).toMatchObject({ success: false, code: 409 });
+    });
+});
@@ -0,0 +1,96 @@
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const SchedulerService = require('../../src/services/SchedulerService');
+const { createDatabase } = require('../helpers/database');
+
+describe('SchedulerService', () => {
+    let dbService;
+    let server;
+    let scheduler;
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+        await dbService.run(
+            'INSERT INTO servers (id, name, host, port, game) VALUES (?, ?, ?, ?, ?)',
+            ['1', 'Zombies', '127.0.0.1', 4976, 't6']
+        );
+        server = {
+            name: 'Zombies',
+            isRunning: () => true,
+            say: jest.fn().mockResolvedValue(true),
+            restart: jest.fn().mockResolvedValue(true)
+        };
+        scheduler = new SchedulerService(dbService, { getServerById: () => server });
+    });
+
+    afterEach(async () => {
+        scheduler.stop();
+        jest.useRealTimers();
+        await dbService.close();
+    });
+
+    test('validates tasks and fills in the restart defaults', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(scheduler.createTask('1', { name: 'Bad', type: 'broadcast', cron: '* * *', payload: {} }))
+            .rejects.toThrow('expected 5 fields');
+        await expect(scheduler.createTask('1', { name: 'Empty', type: 'broadcast', cron: '* * * * *', payload: { messages: [' '] } }))
+            .rejects.toThrow('at least one message');
+
+        const task = await scheduler.createTask('1', { name: 'Restart', type: 'restart', cron: '0 4 * * *' });
+        expect(task.payload).toEqual({
+            command: 'map_restart',
+            message: '^1Server restart in ^5%SECONDS%^1 seconds',
+            warnings: [60, 10]
+        });
+
+        console.error.mockRestore();
+    });
+
+    test('rotates broadcast messages', async () => {
+        const task = await scheduler.createTask('1', {
+            name: 'Ads',
+            type: 'broadcast',
+            cron: '*/5 * * * *',
+            payload: { messages: ['First', 'Second'] }
+        });
+
+        await scheduler.runTaskNow('1', task.id);
+        await scheduler.runTaskNow('1', task.id);
+        await scheduler.runTaskNow('1', task.id);
+
+        expect(server.say.mock.calls.map(call => call[0])).toEqual(['First', 'Second', 'First']);
+        expect((await scheduler.getTask('1', task.id)).runCount).toBe(3);
+    });
+
+    test('warns the players before a restart', async () => {
+        const task = await scheduler.createTask('1', { name: 'Restart', type: 'restart', cron: '0 4 * * *' });
+
+        jest.useFakeTimers();
+        const run = scheduler.runTask(task);
+        await jest.advanceTimersByTimeAsync(60000);
+
+        expect(server.say.mock.calls.map(call => call[0])).toEqual([
+            '^1Server restart in ^560^1 seconds',
+            '^1Server restart in ^510^1 seconds'
+        ]);
+        expect(await run).toEqual({ success: true, result: 'Server restarted (map_restart)' });
+        expect(server.restart).toHaveBeenCalledWith('map_restart');
+    });
+
+    test('stopping cancels a restart countdown', async () => {
+        const task = await scheduler.createTask('1', { name: 'Restart', type: 'restart', cron: '0 4 * * *' });
+
+        jest.useFakeTimers();
+        const run = scheduler.runTask(task);
+        await jest.advanceTimersByTimeAsync(20000);
+        scheduler.stop();
+
+        expect(await run).toEqual({ success: false, result: 'Scheduler stopped before the restart' });
+        expect(server.restart).not.toHaveBeenCalled();
+        expect(scheduler.waits.size).toBe(0);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+});
@@ -0,0 +1,127 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventService = require('../../src/services/EventService');
+const SeasonService = require('../../src/services/SeasonService');
+const ServerInstanceService = require('../../src/services/ServerInstanceService');
+const ZombieStatsPlugin = require('../../src/plugins/core/ZombieStatsPlugin');
+const { createDatabase, waitFor, silentLogger } = require('../helpers/database');
+
+const PLAYERS = '[{"Guid":"1234567","Name":"Player One","Clientslot":0,"Stats":{"Kills":42,"Downs":1,"Revives":2,"Headshots":9,"Score":5120,"Round":7}}]';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('SeasonService', () => {
+    let dbService;
+    let services;
+    let server;
+    let plugin;
+    let say;
+    let seasonService;
+
+    // The match end is only read once the match start is stored
+    const playMatch = async () => {
+        await server.handleLogLine(`  0:01 {"event":"match_start","map":"zm_transit","players":${PLAYERS}}`);
+        await waitFor(() => dbService.get('SELECT * FROM zombies_matches'));
+        await server.handleLogLine(`  9:30 {"event":"match_end","map":"zm_transit","players":${PLAYERS},"duration_seconds":570}`);
+    };
+
+    const createSeason = async () => {
+        const result = await seasonService.createSeason({
+            name: 'Season One',
+            startsAt: new Date(Date.now() - DAY).toISOString(),
+            endsAt: new Date(Date.now() + DAY).toISOString(),
+            rewards: [{ metric: 'kills', top: 1, title: 'Slayer' }]
+        }, 'admin');
+
+        expect(result.success).toBe(true);
+        return result.season;
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        dbService = await createDatabase();
+        await dbService.run("INSERT INTO players (id, name, guid) VALUES ('p1', 'Player One', '1234567')");
+
+        services = {
+            logService: silentLogger,
+            configService: { config: {} },
+            dbService,
+            eventService: new EventService(dbService)
+        };
+
+        plugin = new ZombieStatsPlugin({ getServices: () => services });
+        expect(await plugin.init()).toBe(true);
+
+        say = jest.fn().mockResolvedValue();
+        seasonService = new SeasonService(dbService, { getServers: () => [{ say }] }, services);
+        await seasonService.start();
+
+        server = new ServerInstanceService({
+            id: 1,
+            name: 'Zombies',
+            address: '127.0.0.1',
+            port: 4976,
+            rconPassword: 'secret',
+            game: 't6'
+        }, services);
+    });
+
+    afterEach(async () => {
+        seasonService.stop();
+        // Let the counting started by the last match end finish before the database closes
+        await seasonService.queue;
+        server.rcon.socket.close();
+        await plugin.shutdown();
+        await dbService.close();
+        console.log.mockRestore();
+    });
+
+    test('counts a finished zombies match in the running season', async () => {
+        const season = await createSeason();
+
+        await playMatch();
+
+        const row = await waitFor(() => dbService.get(
+            "SELECT * FROM zombies_stats_periods WHERE player_id = 'p1' AND period_type = 'season'"
+        ));
+        expect(row).toMatchObject({ period_key: String(season.id), kills: 42, highest_round: 7 });
+
+        const { standings, summary } = await seasonService.getSeason(season.id, 'kills');
+        expect(standings).toEqual([expect.objectContaining({ position: 1, playerId: 'p1', value: 42 })]);
+        expect(summary.uniquePlayers).toBe(1);
+    });
+
+    test('freezes the leaderboards of an ended season and gives its rewards', async () => {
+        const season = await createSeason();
+        await playMatch();
+        await waitFor(() => dbService.get("SELECT * FROM zombies_stats_periods WHERE period_type = 'season'"));
+
+        expect(await seasonService.update(new Date(Date.now() + 2 * DAY))).toBe(1);
+
+        const result = await seasonService.getSeason(season.id, 'kills');
+        expect(result.season.finalizedAt).not.toBeNull();
+        expect(result.rewards).toEqual([
+            expect.objectContaining({ metric: 'kills', position: 1, name: 'Player One', value: 42, title: 'Slayer' })
+        ]);
+        expect(say).toHaveBeenCalledWith('^2Season One^7: ^5Player One^7 finished #1 in kills (^542^7) and earns the title ^5Slayer');
+
+        const update = await seasonService.updateSeason(season.id, { name: 'Renamed' });
+        expect(update).toMatchObject({ success: false, code: 409 });
+    });
+
+    test('stops counting the matches once stopped', async () => {
+        await createSeason();
+        seasonService.stop();
+
+        await playMatch();
+        await waitFor(() => dbService.get('SELECT * FROM zombies_matches WHERE end_time IS NOT NULL'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const row = await dbService.get("SELECT * FROM zombies_stats_periods WHERE period_type = 'season'");
+        expect(row).toBeUndefined();
+    });
+});
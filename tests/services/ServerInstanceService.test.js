@@ -0,0 +1,81 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventService = require('../../src/services/EventService');
+const ServerInstanceService = require('../../src/services/ServerInstanceService');
+
+describe('ServerInstanceService log events', () => {
+    let eventService;
+    let server;
+
+    beforeEach(() => {
+        eventService = new EventService({});
+        server = new ServerInstanceService({
+            id: 1,
+            name: 'Zombies',
+            address: '127.0.0.1',
+            port: 4976,
+            rconPassword: 'secret',
+            game: 't6'
+        }, { eventService });
+    });
+
+    afterEach(() => {
+        server.rcon.socket.close();
+    });
+
+    test('publishes parsed log lines on the event service', async () => {
+        const listener = jest.fn();
+        eventService.on('player.connected', listener);
+        server.enforcePenalties = jest.fn();
+
+        await server.handleLogLine('  0:12 J;3;1234567;Player One');
+
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+            serverId: 1,
+            serverName: 'Zombies',
+            data: { clientSlot: 3, guid: '1234567', name: 'Player One' }
+        }));
+    });
+
+    test('publishes stats_system.gsc JSON events as game events', async () => {
+        const listener = jest.fn();
+        eventService.on('game.match_start', listener);
+
+        await server.handleLogLine('  0:01 {"event":"match_start","map":"zm_transit","players":[{"Guid":"1234567","Name":"Player One"}]}');
+
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+            serverId: 1,
+            data: expect.objectContaining({
+                mapName: 'zm_transit',
+                players: [expect.objectContaining({ guid: '1234567', name: 'Player One' })]
+            })
+        }));
+    });
+
+    test('drops JSON events that do not match their schema', async () => {
+        const listener = jest.fn();
+        eventService.on('game.match_start', listener);
+
+        await server.handleLogLine('  0:01 {"event":"match_start","players":[]}');
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('keeps a chat message holding a JSON event as chat', async () => {
+        const chat = jest.fn();
+        const forged = jest.fn();
+        eventService.on('player.say', chat);
+        eventService.on('game.match_end', forged);
+
+        const json = '{"event":"match_end","map":"zm_transit","players":[{"Guid":"1234567","Name":"Evil","Stats":{"Round":99}}]}';
+        await server.handleLogLine(`  1:05 say;3;1234567;Evil;\x15${json}`);
+        await server.handleLogLine(`  1:06 sayteam;3;1234567;Evil;\x15${json}`);
+
+        expect(forged).not.toHaveBeenCalled();
+        expect(chat).toHaveBeenCalledTimes(1);
+        expect(chat.mock.calls[0][0].data.message).toBe(json);
+    });
+});
@@ -0,0 +1,81 @@
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const SocketSessionService = require('../../src/services/SocketSessionService');
+const { FakeSocket } = require('../helpers/sockets');
+
+describe('SocketSessionService', () => {
+    let authService;
+    let service;
+
+    const connect = (user, token = 'token') => {
+        const socket = new FakeSocket();
+        socket.user = user;
+        socket.token = token;
+        service.track(socket);
+        return socket;
+    };
+
+    beforeEach(() => {
+        authService = {
+            isSessionActive: jest.fn().mockResolvedValue(true),
+            verifyToken: jest.fn().mockResolvedValue({ id: 1 })
+        };
+        service = new SocketSessionService({ authService });
+    });
+
+    afterEach(() => {
+        service.stop();
+        jest.useRealTimers();
+    });
+
+    test('ends the socket of a token without session when the token expires', () => {
+        jest.useFakeTimers();
+        const socket = connect({ id: 1, exp: Math.floor(Date.now() / 1000) + 60 });
+
+        jest.advanceTimersByTime(59 * 1000);
+        expect(socket.connected).toBe(true);
+
+        jest.advanceTimersByTime(1000);
+        expect(socket.connected).toBe(false);
+        expect(socket.emitted).toEqual([{ event: 'session:ended', payload: { reason: 'session expired' } }]);
+        expect(service.getConnectionCount()).toBe(0);
+    });
+
+    test('keeps the sockets of an active login session past the token expiry', async () => {
+        jest.useFakeTimers();
+        const socket = connect({ id: 1, sid: 'session-1', exp: Math.floor(Date.now() / 1000) + 60 });
+
+        jest.advanceTimersByTime(120 * 1000);
+        expect(socket.connected).toBe(true);
+
+        authService.isSessionActive.mockResolvedValue(false);
+        expect(await service.revalidate()).toBe(1);
+        expect(authService.isSessionActive).toHaveBeenCalledWith('session-1', 1);
+        expect(socket.connected).toBe(false);
+    });
+
+    test('disconnects the sockets of a user, a session or a token', () => {
+        const first = connect({ id: 1, sid: 'a' }, 'token-a');
+        const second = connect({ id: 1, sid: 'b' }, 'token-b');
+        const other = connect({ id: 2, sid: 'c' }, 'token-c');
+
+        expect(service.disconnectSession('a')).toBe(1);
+        expect(first.connected).toBe(false);
+
+        expect(service.disconnectToken('token-c', 'user removed')).toBe(1);
+        expect(other.emitted[0].payload.reason).toBe('user removed');
+
+        expect(service.disconnectUser('1')).toBe(1);
+        expect(second.connected).toBe(false);
+        expect(service.getConnectionCount()).toBe(0);
+    });
+
+    test('stops tracking a socket once it disconnects', () => {
+        const socket = connect({ id: 1, sid: 'a' });
+
+        socket.handlers.disconnect();
+        expect(service.getConnectionCount()).toBe(0);
+    });
+});
@@ -0,0 +1,108 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const EventService = require('../../src/services/EventService');
+const ServerInstanceService = require('../../src/services/ServerInstanceService');
+const StatsPeriodService = require('../../src/services/StatsPeriodService');
+const StatsPeriod = require('../../src/core/StatsPeriod');
+const ZombieStatsPlugin = require('../../src/plugins/core/ZombieStatsPlugin');
+const { createDatabase, waitFor, silentLogger } = require('../helpers/database');
+
+const PLAYERS = '[{"Guid":"1234567","Name":"Player One","Clientslot":0,"Stats":{"Kills":42,"Downs":1,"Revives":2,"Headshots":9,"Score":5120,"Round":7}}]';
+
+describe('StatsPeriodService', () => {
+    let dbService;
+    let services;
+    let server;
+    let plugin;
+    let statsPeriodService;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        dbService = await createDatabase();
+        await dbService.run("INSERT INTO players (id, name, guid) VALUES ('p1', 'Player One', '1234567')");
+
+        services = {
+            logService: silentLogger,
+            configService: { config: {} },
+            dbService,
+            eventService: new EventService(dbService)
+        };
+
+        plugin = new ZombieStatsPlugin({ getServices: () => services });
+        expect(await plugin.init()).toBe(true);
+
+        statsPeriodService = new StatsPeriodService(dbService, services);
+        await statsPeriodService.start();
+
+        server = new ServerInstanceService({
+            id: 1,
+            name: 'Zombies',
+            address: '127.0.0.1',
+            port: 4976,
+            rconPassword: 'secret',
+            game: 't6'
+        }, services);
+    });
+
+    // The match end is only read once the match start is stored
+    const playMatch = async () => {
+        await server.handleLogLine(`  0:01 {"event":"match_start","map":"zm_transit","players":${PLAYERS}}`);
+        await waitFor(() => dbService.get('SELECT * FROM zombies_matches'));
+        await server.handleLogLine(`  9:30 {"event":"match_end","map":"zm_transit","players":${PLAYERS},"duration_seconds":570}`);
+    };
+
+    afterEach(async () => {
+        statsPeriodService.stop();
+        // Let the counting started by the last match end finish before the database closes
+        await statsPeriodService.queue;
+        server.rcon.socket.close();
+        await plugin.shutdown();
+        await dbService.close();
+        console.log.mockRestore();
+    });
+
+    test('counts a finished zombies match in the periods of its end', async () => {
+        await playMatch();
+
+        // A match is marked as counted once it is added to all of its periods
+        await waitFor(() => dbService.get('SELECT * FROM stats_period_matches'));
+
+        const week = new StatsPeriod().getPeriod('weekly', new Date());
+        const row = await dbService.get(
+            "SELECT * FROM zombies_stats_periods WHERE player_id = 'p1' AND period_type = 'weekly'"
+        );
+        expect(row).toMatchObject({ period_key: week.key, highest_round: 7 });
+
+        // Counting again finds nothing new
+        expect(await statsPeriodService.countMatches()).toBe(0);
+    });
+
+    test('closes the ended periods with their final standings', async () => {
+        await playMatch();
+        await waitFor(() => dbService.get('SELECT * FROM stats_period_matches'));
+
+        const day = new StatsPeriod().getPeriod('daily', new Date());
+        expect(await statsPeriodService.rollover(day.end)).toBeGreaterThan(0);
+
+        const result = await statsPeriodService.getPeriodStandings('daily', day.key, 'highest_round');
+        expect(result.period.status).toBe('closed');
+        expect(result.standings).toEqual([
+            expect.objectContaining({ position: 1, playerId: 'p1', name: 'Player One', value: 7 })
+        ]);
+    });
+
+    test('stops counting the matches once stopped', async () => {
+        statsPeriodService.stop();
+
+        await playMatch();
+        await waitFor(() => dbService.get('SELECT * FROM zombies_matches WHERE end_time IS NOT NULL'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const counted = await dbService.get('SELECT COUNT(*) AS count FROM stats_period_matches');
+        expect(counted.count).toBe(0);
+    });
+});
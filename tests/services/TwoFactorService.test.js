@@ -0,0 +1,106 @@
+const Totp = require('../../src/core/Totp');
+const AuthService = require('../../src/services/AuthService');
+const TwoFactorService = require('../../src/services/TwoFactorService');
+const UserService = require('../../src/services/UserService');
+const { createDatabase, silentLogger } = require('../helpers/database');
+
+describe('TwoFactorService', () => {
+    let dbService;
+    let userService;
+    let twoFactorService;
+    let userId;
+
+    const getUser = () => userService.getUserById(userId);
+
+    // Enables two-factor, the code of the current step is used up by the enrollment
+    const enable = async () => {
+        const { secret } = await twoFactorService.beginSetup(await getUser());
+        const code = Totp.generate(secret);
+        const { recoveryCodes } = await twoFactorService.enable(await getUser(), code);
+        return { secret, code, recoveryCodes };
+    };
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+        userService = new UserService(dbService, silentLogger);
+        twoFactorService = new TwoFactorService(dbService, { requiredRoles: ['admin'] });
+        ({ user: { id: userId } } = await userService.createUser({ username: 'alice', password: 'correct horse' }));
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('enables two-factor once a code of the pending secret is confirmed', async () => {
+        const { secret, otpauthUrl } = await twoFactorService.beginSetup(await getUser());
+        expect(otpauthUrl).toContain(`secret=${secret}`);
+        expect(await twoFactorService.getStatus(await getUser())).toMatchObject({ enabled: false, pending: true });
+
+        expect(await twoFactorService.enable(await getUser(), '000000')).toMatchObject({ success: false, code: 401 });
+
+        const result = await twoFactorService.enable(await getUser(), Totp.generate(secret));
+        expect(result.recoveryCodes).toHaveLength(10);
+        expect(await twoFactorService.getStatus(await getUser())).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    });
+
+    test('refuses a code that was already used', async () => {
+        const { secret, code } = await enable();
+
+        // The enrollment code cannot log in
+        expect(await twoFactorService.verify(await getUser(), code)).toBeNull();
+
+        const next = Totp.generate(secret, Date.now() + 30000);
+        expect(await twoFactorService.verify(await getUser(), next)).toBe('totp');
+        expect(await twoFactorService.verify(await getUser(), next)).toBeNull();
+    });
+
+    test('accepts each recovery code once, with or without the dash', async () => {
+        const { recoveryCodes } = await enable();
+
+        expect(await twoFactorService.verify(await getUser(), recoveryCodes[0].replace('-', '').toUpperCase())).toBe('recovery');
+        expect(await twoFactorService.verify(await getUser(), recoveryCodes[0])).toBeNull();
+        expect((await twoFactorService.getStatus(await getUser())).recoveryCodesRemaining).toBe(9);
+    });
+
+    test('keeps two-factor enabled for the roles that require it', async () => {
+        const { recoveryCodes } = await enable();
+        await dbService.run(`UPDATE users SET role = 'admin' WHERE id = ?`, [userId]);
+
+        expect(await twoFactorService.disable(await getUser(), recoveryCodes[0])).toMatchObject({ success: false, code: 403 });
+        expect(await twoFactorService.disable(await getUser())).toEqual({ success: true });
+        expect(twoFactorService.isSetupRequired(await getUser())).toBe(true);
+    });
+
+    test('opens a session once the second factor of a login is given', async () => {
+        const { secret } = await enable();
+        const authService = new AuthService(userService, silentLogger, { secret: 'test-secret' }, dbService, twoFactorService);
+
+        const login = await authService.authenticate('alice', 'correct horse');
+        expect(login).toMatchObject({ success: true, twoFactorRequired: true });
+        expect(login.token).toBeUndefined();
+
+        // The challenge is not an access token
+        expect(await authService.verifyToken(login.challengeToken)).toBeNull();
+
+        expect(await authService.completeTwoFactorLogin(login.challengeToken, '000000')).toMatchObject({ success: false, error: 'Invalid two-factor code' });
+
+        const result = await authService.completeTwoFactorLogin(login.challengeToken, Totp.generate(secret, Date.now() + 30000));
+        expect(result).toMatchObject({ success: true, usedRecoveryCode: false });
+        expect(await authService.verifyToken(result.token)).toMatchObject({ username: 'alice' });
+
+        // A challenge only opens one session
+        expect(await authService.completeTwoFactorLogin(login.challengeToken, '000000')).toMatchObject({ success: false, error: 'Invalid or expired login challenge' });
+    });
+
+    test('drops a login challenge after too many wrong codes', async () => {
+        await enable();
+        const authService = new AuthService(userService, silentLogger, { secret: 'test-secret' }, dbService, twoFactorService);
+        const { challengeToken } = await authService.authenticate('alice', 'correct horse');
+
+        for (let i = 0; i < 4; i++) {
+            await authService.completeTwoFactorLogin(challengeToken, '000000');
+        }
+
+        expect(await authService.completeTwoFactorLogin(challengeToken, '000000')).toMatchObject({ success: false, challengeExpired: true });
+    });
+});
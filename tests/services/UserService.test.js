@@ -0,0 +1,31 @@
+const UserService = require('../../src/services/UserService');
+const { createDatabase, silentLogger } = require('../helpers/database');
+
+describe('UserService administration', () => {
+    let dbService;
+    let userService;
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+        userService = new UserService(dbService, silentLogger);
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('never removes the last active admin', async () => {
+        // The database creates a default admin
+        const admin = await userService.getUserByUsername('admin');
+        const { user: other } = await userService.createUser({ username: 'other', password: 'secret123', role: 'admin' });
+
+        expect(await userService.setUserDisabled(admin.id, true, admin.id)).toMatchObject({ success: false, code: 400 });
+        expect((await userService.setUserDisabled(other.id, true, admin.id)).success).toBe(true);
+
+        expect(await userService.setUserRole(admin.id, 'user', other.id)).toMatchObject({ success: false, error: expect.stringContaining('last active admin') });
+        expect(await userService.deleteUser(admin.id, other.id)).toMatchObject({ success: false, error: expect.stringContaining('last active admin') });
+
+        expect((await userService.setUserDisabled(other.id, false, admin.id)).success).toBe(true);
+        expect((await userService.setUserRole(admin.id, 'user', other.id)).success).toBe(true);
+    });
+});
@@ -0,0 +1,122 @@
+jest.mock('../../src/config-loader', () => ({ logging: {}, commands: { prefix: '!' } }));
+jest.mock('../../src/core/Logger', () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn()
+}));
+
+const ActivePlayer = require('../../src/core/Entity/ActivePlayer');
+const T6 = require('../../src/core/RconCommandPrefixes/T6');
+const WarningService = require('../../src/services/WarningService');
+const { createDatabase } = require('../helpers/database');
+
+describe('WarningService', () => {
+    let dbService;
+    let warningService;
+    let server;
+    let player;
+
+    const admin = { guid: 'a1', name: 'Admin', clientId: null };
+
+    const createPlayer = () => ({
+        guid: 'p1',
+        name: 'Zombie',
+        clientId: null,
+        tell: jest.fn().mockResolvedValue(true),
+        kick: jest.fn().mockResolvedValue(true),
+        tempBan: jest.fn().mockResolvedValue(true),
+        ban: jest.fn().mockResolvedValue(true)
+    });
+
+    const warn = (reason = 'camping') => warningService.warn({ server, player, reason, origin: admin });
+
+    beforeEach(async () => {
+        dbService = await createDatabase();
+        warningService = new WarningService(dbService, null, {
+            configService: { config: { warnings: { expiry: 3600 } } }
+        });
+        server = { id: '1', config: {} };
+        player = createPlayer();
+    });
+
+    afterEach(async () => {
+        await dbService.close();
+    });
+
+    test('merges the server settings over the global ones and drops invalid steps', () => {
+        server.config.warnings = {
+            escalation: [
+                { at: 4, action: 'ban' },
+                { at: 2, action: 'kick' },
+                { at: 0, action: 'kick' },
+                { at: 3, action: 'mute' }
+            ]
+        };
+
+        expect(warningService.getSettings(server)).toEqual({
+            expiry: 3600,
+            escalation: [
+                { at: 2, action: 'kick', duration: 0 },
+                { at: 4, action: 'ban', duration: 0 }
+            ]
+        });
+    });
+
+    test('picks the highest escalation step reached', () => {
+        const escalation = [{ at: 3, action: 'kick' }, { at: 5, action: 'tempban' }];
+
+        expect(WarningService.getEscalationStep(escalation, 2)).toBeNull();
+        expect(WarningService.getEscalationStep(escalation, 4).action).toBe('kick');
+        expect(WarningService.getEscalationStep(escalation, 7).action).toBe('tempban');
+    });
+
+    test('warns, then kicks and temporarily bans as warnings add up', async () => {
+        expect(await warn()).toMatchObject({ success: true, count: 1, action: 'warn' });
+        expect(player.tell).toHaveBeenCalledWith('^3Warning 1/3^7 from ^5Admin^7: camping');
+
+        await warn();
+        expect(await warn('spawn killing')).toMatchObject({ count: 3, action: 'kick' });
+        expect(player.kick).toHaveBeenCalledWith('3 warnings, last: spawn killing', admin);
+
+        await warn();
+        expect(await warn()).toMatchObject({ count: 5, action: 'tempban' });
+        expect(player.tempBan).toHaveBeenCalledWith('5 warnings, last: camping', admin, 86400);
+    });
+
+    test('refuses warnings without a reason or to the warning admin', async () => {
+        expect(await warn(' ')).toMatchObject({ success: false, code: 400 });
+        expect(await warningService.warn({ server, player, reason: 'test', origin: { ...player } }))
+            .toMatchObject({ success: false, error: 'You cannot warn yourself' });
+    });
+
+    test('only counts the warnings that have not expired or been cleared', async () => {
+        await warn();
+        await warn();
+        await dbService.run('UPDATE warnings SET expires_at = ? WHERE id = 1', [new Date(Date.now() - 1000).toISOString()]);
+
+        expect(await warningService.getActiveWarnings('p1')).toHaveLength(1);
+
+        expect(await warningService.clearWarnings(player, 'Admin', '1')).toBe(1);
+        expect(await warningService.getActiveWarnings('p1')).toHaveLength(0);
+        expect(await warningService.clearWarnings(player, 'Admin', '1')).toBe(0);
+    });
+
+    test('keeps the reason inside the quoted tell and kick commands', async () => {
+        const rcon = { commandPrefixes: T6, executeCommandAsync: jest.fn().mockResolvedValue('') };
+        server = {
+            id: '1',
+            config: { warnings: { escalation: [{ at: 2, action: 'kick' }] } },
+            rcon,
+            clients: [],
+            emit: jest.fn()
+        };
+        player = new ActivePlayer('p1', 'Zombie', 3, '127.0.0.1', server);
+
+        await warn('camping";quit');
+        await warn('camping";quit');
+
+        const commands = rcon.executeCommandAsync.mock.calls.map(([command]) => command);
+        expect(commands).toEqual([
+            'tell Zombie "^3Warning 1/2^7 from ^5Admin^7: camping\',quit"',
+            'clientkick_for_reason 3 "You have been kicked: ^52 warnings, last: camping\',quit"'
+        ]);
+    });
+});